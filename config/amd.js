@@ -5,6 +5,7 @@
  * 1. Quickly detect voicemail/answering machines
  * 2. Automatically hang up to avoid wasting money
  * 3. Minimize false positives while maximizing detection speed
+ * 4. Optionally leave a personalized voicemail after the beep (voicemail drop)
  */
 
 /**
@@ -217,14 +218,16 @@ export function detectAutomatedSystem(transcript) {
  * @param {string} endedReason - VAPI's ended reason
  * @param {string} transcript - Call transcript
  * @param {Array} messages - VAPI messages array
- * @returns {string} Call outcome: 'human', 'voicemail', 'ivr', 'no_answer', 'busy', 'failed'
+ * @param {object} options - { voicemailDrop: true if the call was placed with a voicemail message }
+ * @returns {string} Call outcome: 'human', 'voicemail', 'voicemail_left', 'ivr', 'no_answer', 'busy', 'failed'
  */
-export function determineCallOutcome(endedReason, transcript, messages) {
+export function determineCallOutcome(endedReason, transcript, messages, options = {}) {
     const reason = (endedReason || '').toLowerCase();
 
     // Check VAPI's endedReason first - these are most reliable
     if (reason.includes('voicemail') || reason.includes('machine')) {
-        return 'voicemail';
+        // AMD fired at the beep, so VAPI played our voicemail message before hanging up
+        return options.voicemailDrop ? 'voicemail_left' : 'voicemail';
     }
     if (reason.includes('no-answer') || reason.includes('timeout')) {
         return 'no_answer';
@@ -317,6 +320,80 @@ export const END_CALL_TOOL = {
     }
 };
 
+/**
+ * Voicemail drop waits for the beep so the message is recorded in full
+ */
+export const VOICEMAIL_DROP_DETECTION_TYPES = ["machine_end_beep"];
+
+/**
+ * Default voicemail drop script
+ * Placeholders: {{firstName}}, {{businessName}}, {{openingLine}}, {{painPoint}}
+ */
+export const DEFAULT_VOICEMAIL_DROP_TEMPLATE = 'Hi {{firstName}}, I was hoping to catch you. {{openingLine}} {{painPoint}} I\'ll try you again soon, or feel free to reply to my email. Thanks!';
+
+/**
+ * Build a personalized voicemail message for a lead
+ * @param {object} lead - Lead row (name)
+ * @param {object} personalizedData - Enrollment personalized_data (firstName, openingLine, painPoint)
+ * @param {string} template - Message template (defaults to DEFAULT_VOICEMAIL_DROP_TEMPLATE)
+ * @returns {string} Message for the assistant to speak after the beep
+ */
+export function buildVoicemailDropMessage(lead, personalizedData = {}, template = null) {
+    const values = {
+        firstName: personalizedData.firstName || 'there',
+        businessName: lead?.name || '',
+        openingLine: personalizedData.openingLine || '',
+        painPoint: personalizedData.painPoint || '',
+    };
+
+    return (template || DEFAULT_VOICEMAIL_DROP_TEMPLATE)
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match))
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([.,!?])/g, '$1')
+        .trim();
+}
+
+/**
+ * Get assistant overrides that leave a voicemail instead of hanging up
+ * Detection only ends on the beep; VAPI speaks voicemailMessage, then ends the call
+ * @param {string} preset - AMD preset for detection timings ('disabled' falls back to default)
+ * @param {string} message - Voicemail message to leave
+ * @returns {object} { voicemailDetection, voicemailMessage }
+ */
+export function getVoicemailDropConfig(preset = DEFAULT_AMD_PRESET, message) {
+    const base = preset === 'disabled' ? getAMDConfig(DEFAULT_AMD_PRESET) : getAMDConfig(preset);
+
+    return {
+        voicemailDetection: {
+            ...base,
+            voicemailDetectionTypes: VOICEMAIL_DROP_DETECTION_TYPES,
+        },
+        voicemailMessage: message,
+    };
+}
+
+/**
+ * Switch a VAPI call payload to voicemail drop
+ * Inline assistants take the config directly, saved assistants via assistantOverrides.
+ * metadata.voicemailDrop lets the end-of-call report record voicemail_left.
+ * @param {object} callPayload - POST /call/phone body (modified in place)
+ * @param {string} message - Voicemail message to leave
+ * @param {string} preset - AMD preset for detection timings
+ * @returns {object} The same payload
+ */
+export function applyVoicemailDrop(callPayload, message, preset = DEFAULT_AMD_PRESET) {
+    const config = getVoicemailDropConfig(preset, message);
+
+    if (callPayload.assistant) {
+        callPayload.assistant = { ...callPayload.assistant, ...config };
+    } else {
+        callPayload.assistantOverrides = { ...(callPayload.assistantOverrides || {}), ...config };
+    }
+    callPayload.metadata = { ...(callPayload.metadata || {}), voicemailDrop: true };
+
+    return callPayload;
+}
+
 export default {
     AMD_PRESETS,
     DEFAULT_AMD_PRESET,
@@ -328,4 +405,9 @@ export default {
     determineCallOutcome,
     AMD_SYSTEM_PROMPT_INSTRUCTIONS,
     END_CALL_TOOL,
+    VOICEMAIL_DROP_DETECTION_TYPES,
+    DEFAULT_VOICEMAIL_DROP_TEMPLATE,
+    buildVoicemailDropMessage,
+    getVoicemailDropConfig,
+    applyVoicemailDrop,
 };
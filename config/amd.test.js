@@ -13,6 +13,10 @@ import {
     determineCallOutcome,
     AMD_SYSTEM_PROMPT_INSTRUCTIONS,
     END_CALL_TOOL,
+    VOICEMAIL_DROP_DETECTION_TYPES,
+    buildVoicemailDropMessage,
+    getVoicemailDropConfig,
+    applyVoicemailDrop,
 } from './amd.js';
 
 describe('AMD Configuration Module', () => {
@@ -220,6 +224,16 @@ describe('determineCallOutcome', () => {
             expect(determineCallOutcome('error', '', [])).toBe('failed');
             expect(determineCallOutcome('connection_error', '', [])).toBe('failed');
         });
+
+        test('should return voicemail_left when a voicemail drop was configured', () => {
+            expect(determineCallOutcome('voicemail', '', [], { voicemailDrop: true })).toBe('voicemail_left');
+            expect(determineCallOutcome('machine_detected', '', [], { voicemailDrop: true })).toBe('voicemail_left');
+        });
+
+        test('should not report voicemail_left for non-voicemail endings', () => {
+            expect(determineCallOutcome('customer-ended-call', '', [], { voicemailDrop: true })).toBe('human');
+            expect(determineCallOutcome('no-answer', '', [], { voicemailDrop: true })).toBe('no_answer');
+        });
     });
 
     describe('based on tool calls', () => {
@@ -375,3 +389,75 @@ describe('AMD Timeout Comparisons', () => {
         expect(timeSaved).toBeGreaterThanOrEqual(20);
     });
 });
+
+describe('Voicemail Drop', () => {
+    describe('buildVoicemailDropMessage', () => {
+        test('should personalize the default template', () => {
+            const message = buildVoicemailDropMessage(
+                { name: 'Acme Plumbing' },
+                { firstName: 'Sarah', openingLine: 'Saw your great reviews in Dublin.', painPoint: 'Missed calls cost jobs.' }
+            );
+            expect(message).toContain('Hi Sarah,');
+            expect(message).toContain('Saw your great reviews in Dublin.');
+            expect(message).toContain('Missed calls cost jobs.');
+        });
+
+        test('should fall back gracefully without personalized data', () => {
+            const message = buildVoicemailDropMessage({ name: 'Acme' });
+            expect(message).toMatch(/^Hi there,/);
+            expect(message).not.toMatch(/\{\{|\s{2}/);
+        });
+
+        test('should fill custom templates and leave unknown placeholders', () => {
+            const message = buildVoicemailDropMessage(
+                { name: 'Acme' },
+                { firstName: 'Tom' },
+                'Hi {{ firstName }} from {{businessName}}, {{unknown}}'
+            );
+            expect(message).toBe('Hi Tom from Acme, {{unknown}}');
+        });
+    });
+
+    describe('getVoicemailDropConfig', () => {
+        test('should only end detection on the beep', () => {
+            const config = getVoicemailDropConfig('aggressive', 'Hello');
+            expect(config.voicemailDetection.voicemailDetectionTypes).toEqual(VOICEMAIL_DROP_DETECTION_TYPES);
+            expect(config.voicemailDetection.machineDetectionTimeout).toBe(AMD_PRESETS.aggressive.machineDetectionTimeout);
+            expect(config.voicemailMessage).toBe('Hello');
+        });
+
+        test('should keep detection enabled when preset is disabled', () => {
+            const config = getVoicemailDropConfig('disabled', 'Hello');
+            expect(config.voicemailDetection.enabled).toBe(true);
+        });
+
+        test('should not mutate presets', () => {
+            getVoicemailDropConfig('balanced', 'Hello');
+            expect(AMD_PRESETS.balanced.voicemailDetectionTypes).toHaveLength(3);
+        });
+    });
+
+    describe('applyVoicemailDrop', () => {
+        test('should override a saved assistant and keep existing overrides', () => {
+            const payload = applyVoicemailDrop({
+                assistantId: 'assistant-1',
+                assistantOverrides: { model: { tools: [END_CALL_TOOL] }, voicemailDetection: getAMDConfig('balanced') },
+            }, 'Hello', 'aggressive');
+
+            expect(payload.assistantOverrides.model.tools).toEqual([END_CALL_TOOL]);
+            expect(payload.assistantOverrides.voicemailMessage).toBe('Hello');
+            expect(payload.assistantOverrides.voicemailDetection.voicemailDetectionTypes).toEqual(VOICEMAIL_DROP_DETECTION_TYPES);
+            expect(payload.metadata).toEqual({ voicemailDrop: true });
+        });
+
+        test('should configure an inline assistant without touching the shared copy', () => {
+            const shared = { firstMessage: 'Hi', voicemailDetection: getAMDConfig('balanced') };
+            const payload = applyVoicemailDrop({ assistant: shared, metadata: { leadId: 'lead-1' } }, 'Hello');
+
+            expect(payload.assistant).toMatchObject({ firstMessage: 'Hi', voicemailMessage: 'Hello' });
+            expect(payload.assistantOverrides).toBeUndefined();
+            expect(payload.metadata).toEqual({ leadId: 'lead-1', voicemailDrop: true });
+            expect(shared.voicemailMessage).toBeUndefined();
+        });
+    });
+});
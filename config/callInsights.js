@@ -0,0 +1,275 @@
+/**
+ * Call Insights Configuration
+ *
+ * After every answered call the transcript is run through Claude to answer
+ * the campaign's qualification questions (current provider, budget, decision
+ * maker, interest...). The answers are stored in call_insights and drive:
+ * - leads.status: interested / not_interested / contacted
+ * - leads.lead_score: 0-100, from scored answers and the overall outcome
+ */
+
+export const QUESTION_TYPES = ['text', 'boolean', 'number', 'scale', 'choice'];
+export const INSIGHT_OUTCOMES = ['interested', 'not_interested', 'callback', 'undecided'];
+export const MAX_QUESTIONS = 20;
+export const MIN_TRANSCRIPT_LENGTH = 80;
+// Outcomes from determineCallOutcome() with nobody to qualify
+export const UNQUALIFIABLE_OUTCOMES = ['voicemail', 'voicemail_left', 'ivr', 'no_answer', 'busy', 'failed'];
+const MAX_TEXT_ANSWER_LENGTH = 500;
+const MAX_TRANSCRIPT_LENGTH = 30000;
+
+/**
+ * Used when a campaign has no questions of its own
+ */
+export const DEFAULT_QUALIFICATION_QUESTIONS = [
+    { key: 'current_provider', label: 'Current provider', type: 'text' },
+    { key: 'budget', label: 'Budget', type: 'text' },
+    { key: 'decision_maker', label: 'Decision maker?', type: 'boolean' },
+    { key: 'interest', label: 'Interest (1-5)', type: 'scale', min: 1, max: 5 },
+];
+
+// How much the outcome counts towards the score; the rest comes from answers
+const OUTCOME_WEIGHT = 0.5;
+const OUTCOME_SCORES = {
+    interested: 1,
+    callback: 0.6,
+    undecided: 0.4,
+    not_interested: 0,
+};
+
+/**
+ * Validate and normalize a campaign's question list
+ * @param {Object[]} questions - [{ key, label, type, options?, min?, max?, weight?, description? }]
+ * @returns {{ questions: Object[]|null, error: string|null }}
+ */
+export function validateQuestions(questions) {
+    if (!Array.isArray(questions)) {
+        return { questions: null, error: 'questions must be an array' };
+    }
+    if (questions.length === 0 || questions.length > MAX_QUESTIONS) {
+        return { questions: null, error: `Provide between 1 and ${MAX_QUESTIONS} questions` };
+    }
+
+    const normalized = [];
+    const keys = new Set();
+
+    for (const [index, question] of questions.entries()) {
+        const label = String(question?.label || '').trim();
+        const key = String(question?.key || label)
+            .trim()
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_|_$/g, '');
+        const type = question?.type || 'text';
+        const position = `Question ${index + 1}`;
+
+        if (!key) return { questions: null, error: `${position} needs a key or label` };
+        if (keys.has(key)) return { questions: null, error: `${position}: duplicate key "${key}"` };
+        if (!QUESTION_TYPES.includes(type)) {
+            return { questions: null, error: `${position}: type must be one of ${QUESTION_TYPES.join(', ')}` };
+        }
+
+        const entry = { key, label: label || key, type };
+
+        if (question.description) entry.description = String(question.description).trim();
+
+        if (type === 'choice') {
+            const options = (question.options || []).map(o => String(o).trim()).filter(Boolean);
+            if (options.length < 2) return { questions: null, error: `${position}: choice questions need at least 2 options` };
+            entry.options = options;
+        }
+
+        if (type === 'scale') {
+            const min = Number(question.min ?? 1);
+            const max = Number(question.max ?? 5);
+            if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+                return { questions: null, error: `${position}: scale needs min < max` };
+            }
+            entry.min = min;
+            entry.max = max;
+        }
+
+        if (question.weight !== undefined) {
+            const weight = Number(question.weight);
+            if (!Number.isFinite(weight) || weight < 0) {
+                return { questions: null, error: `${position}: weight must be a non-negative number` };
+            }
+            entry.weight = weight;
+        }
+
+        keys.add(key);
+        normalized.push(entry);
+    }
+
+    return { questions: normalized, error: null };
+}
+
+/**
+ * Whether a call had a conversation worth qualifying
+ */
+export function isQualifiableCall(call) {
+    return !UNQUALIFIABLE_OUTCOMES.includes(call?.call_outcome)
+        && String(call?.transcript || '').trim().length >= MIN_TRANSCRIPT_LENGTH;
+}
+
+function describeExpectedAnswer(question) {
+    switch (question.type) {
+        case 'boolean': return 'true or false';
+        case 'number': return 'a number';
+        case 'scale': return `an integer from ${question.min} to ${question.max}`;
+        case 'choice': return `one of: ${question.options.map(o => JSON.stringify(o)).join(', ')}`;
+        default: return 'a short string';
+    }
+}
+
+/**
+ * Prompt asking Claude to answer the questions from a transcript
+ * @param {Object} params - { transcript, questions, productIdea, leadName }
+ */
+export function buildExtractionPrompt({ transcript, questions, productIdea = null, leadName = null }) {
+    const questionLines = questions
+        .map(q => `- "${q.key}": ${q.label}${q.description ? ` (${q.description})` : ''} -> ${describeExpectedAnswer(q)}`)
+        .join('\n');
+    const trimmed = String(transcript || '').slice(0, MAX_TRANSCRIPT_LENGTH);
+
+    return `You are analyzing a sales/market research phone call transcript to qualify a lead.
+${productIdea ? `\nWHAT THE CALLER WAS OFFERING:\n${productIdea}\n` : ''}${leadName ? `\nLEAD: ${leadName}\n` : ''}
+TRANSCRIPT:
+${trimmed}
+
+Answer each question using only what was said on the call. Use null when the call doesn't answer it - never guess.
+
+QUESTIONS:
+${questionLines}
+
+Also classify the overall outcome as one of: ${INSIGHT_OUTCOMES.join(', ')}
+- interested: wants to hear more, a demo, a meeting or pricing
+- not_interested: declined or asked not to be called
+- callback: asked to be called back another time
+- undecided: none of the above
+
+Return ONLY valid JSON in this exact format:
+{
+  "answers": { ${questions.map(q => `"${q.key}": ...`).join(', ')} },
+  "outcome": "interested",
+  "reasoning": "One sentence explaining the outcome"
+}`;
+}
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'y'].includes(normalized)) return true;
+    if (['false', 'no', 'n'].includes(normalized)) return false;
+    return null;
+}
+
+/**
+ * Coerce one answer to its question's type (null when it doesn't fit)
+ */
+export function coerceAnswer(question, value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    switch (question.type) {
+        case 'boolean':
+            return toBoolean(value);
+        case 'number': {
+            const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.-]/g, ''));
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'scale': {
+            const number = Math.round(Number(value));
+            if (!Number.isFinite(number)) return null;
+            return Math.min(question.max, Math.max(question.min, number));
+        }
+        case 'choice': {
+            const normalized = String(value).trim().toLowerCase();
+            return question.options.find(o => o.toLowerCase() === normalized) || null;
+        }
+        default: {
+            const text = String(value).trim();
+            return text ? text.slice(0, MAX_TEXT_ANSWER_LENGTH) : null;
+        }
+    }
+}
+
+/**
+ * Parse Claude's reply into typed answers
+ * @param {string|Object} result - Raw reply (may be fenced JSON)
+ * @param {Object[]} questions - Validated questions
+ * @returns {{ answers: Object, outcome: string, reasoning: string|null }}
+ * @throws {Error} - If the reply isn't JSON
+ */
+export function parseExtractionResponse(result, questions) {
+    let parsed = result;
+    if (typeof result === 'string') {
+        const json = result.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+        const start = json.indexOf('{');
+        const end = json.lastIndexOf('}');
+        parsed = JSON.parse(start >= 0 && end > start ? json.slice(start, end + 1) : json);
+    }
+
+    const raw = parsed?.answers || {};
+    const answers = Object.fromEntries(questions.map(q => [q.key, coerceAnswer(q, raw[q.key])]));
+    const outcome = INSIGHT_OUTCOMES.includes(parsed?.outcome) ? parsed.outcome : 'undecided';
+
+    return {
+        answers,
+        outcome,
+        reasoning: parsed?.reasoning ? String(parsed.reasoning).slice(0, MAX_TEXT_ANSWER_LENGTH) : null,
+    };
+}
+
+/**
+ * Lead score (0-100)
+ * Scale and boolean answers are scored (weighted, unanswered ones ignored);
+ * the outcome makes up the rest. With nothing scorable answered, the outcome decides alone.
+ */
+export function scoreInsights(answers, questions, outcome) {
+    let total = 0;
+    let weights = 0;
+
+    for (const question of questions) {
+        const value = answers[question.key];
+        const weight = question.weight ?? 1;
+        if (value === null || value === undefined || weight === 0) continue;
+
+        if (question.type === 'scale') {
+            total += ((value - question.min) / (question.max - question.min)) * weight;
+            weights += weight;
+        } else if (question.type === 'boolean') {
+            total += (value ? 1 : 0) * weight;
+            weights += weight;
+        }
+    }
+
+    const outcomeScore = OUTCOME_SCORES[outcome] ?? OUTCOME_SCORES.undecided;
+    const answerScore = weights > 0 ? total / weights : outcomeScore;
+
+    return Math.round(100 * (OUTCOME_WEIGHT * outcomeScore + (1 - OUTCOME_WEIGHT) * answerScore));
+}
+
+/**
+ * New leads.status after a qualified call
+ * Callbacks and undecided calls don't undo an earlier "interested"
+ */
+export function resolveLeadStatus(outcome, currentStatus = null) {
+    if (outcome === 'interested') return 'interested';
+    if (outcome === 'not_interested') return 'not_interested';
+    return currentStatus === 'interested' ? 'interested' : 'contacted';
+}
+
+export default {
+    QUESTION_TYPES,
+    INSIGHT_OUTCOMES,
+    MAX_QUESTIONS,
+    MIN_TRANSCRIPT_LENGTH,
+    UNQUALIFIABLE_OUTCOMES,
+    DEFAULT_QUALIFICATION_QUESTIONS,
+    validateQuestions,
+    isQualifiableCall,
+    buildExtractionPrompt,
+    coerceAnswer,
+    parseExtractionResponse,
+    scoreInsights,
+    resolveLeadStatus,
+};
@@ -0,0 +1,179 @@
+/**
+ * Unit tests for call insights module
+ */
+
+import {
+    DEFAULT_QUALIFICATION_QUESTIONS,
+    validateQuestions,
+    isQualifiableCall,
+    buildExtractionPrompt,
+    coerceAnswer,
+    parseExtractionResponse,
+    scoreInsights,
+    resolveLeadStatus,
+} from './callInsights.js';
+
+describe('Question Schema Validation', () => {
+    test('should accept the default questions unchanged', () => {
+        const { questions, error } = validateQuestions(DEFAULT_QUALIFICATION_QUESTIONS);
+
+        expect(error).toBeNull();
+        expect(questions).toEqual(DEFAULT_QUALIFICATION_QUESTIONS);
+    });
+
+    test('should derive keys from labels and default the type to text', () => {
+        const { questions } = validateQuestions([{ label: 'Number of Staff?' }]);
+
+        expect(questions).toEqual([{ key: 'number_of_staff', label: 'Number of Staff?', type: 'text' }]);
+    });
+
+    test('should default scale bounds to 1-5', () => {
+        const { questions } = validateQuestions([{ key: 'urgency', type: 'scale' }]);
+
+        expect(questions[0]).toMatchObject({ min: 1, max: 5 });
+    });
+
+    test('should reject empty, oversized and non-array lists', () => {
+        expect(validateQuestions(null).error).toBe('questions must be an array');
+        expect(validateQuestions([]).error).toMatch(/between 1 and/);
+        expect(validateQuestions(Array.from({ length: 21 }, (_, i) => ({ key: `q${i}` }))).error).toMatch(/between 1 and/);
+    });
+
+    test('should reject duplicate keys, unknown types and bad options', () => {
+        expect(validateQuestions([{ key: 'budget' }, { label: 'Budget' }]).error).toContain('duplicate key "budget"');
+        expect(validateQuestions([{ key: 'x', type: 'date' }]).error).toContain('type must be one of');
+        expect(validateQuestions([{ key: 'x', type: 'choice', options: ['Only'] }]).error).toContain('at least 2 options');
+        expect(validateQuestions([{ key: 'x', type: 'scale', min: 5, max: 1 }]).error).toContain('min < max');
+        expect(validateQuestions([{ key: 'x', weight: -1 }]).error).toContain('non-negative');
+    });
+});
+
+describe('Qualifiable Calls', () => {
+    const transcript = 'AI: Hi, is this the owner?\nUser: Yes it is, we use Acme for bookings at the moment.';
+
+    test('should qualify answered calls with a real conversation', () => {
+        expect(isQualifiableCall({ call_outcome: 'human', transcript })).toBe(true);
+        expect(isQualifiableCall({ call_outcome: null, transcript })).toBe(true);
+    });
+
+    test('should skip voicemail and short transcripts', () => {
+        expect(isQualifiableCall({ call_outcome: 'voicemail_left', transcript })).toBe(false);
+        expect(isQualifiableCall({ call_outcome: 'human', transcript: 'AI: Hello?' })).toBe(false);
+    });
+});
+
+describe('Extraction Prompt', () => {
+    test('should list each question with its expected answer', () => {
+        const prompt = buildExtractionPrompt({
+            transcript: 'AI: Hi\nUser: We use Acme at the moment',
+            questions: [
+                ...DEFAULT_QUALIFICATION_QUESTIONS,
+                { key: 'plan', label: 'Plan', type: 'choice', options: ['Basic', 'Pro'] },
+            ],
+            productIdea: 'Booking software',
+            leadName: 'Cafe Nero',
+        });
+
+        expect(prompt).toContain('We use Acme at the moment');
+        expect(prompt).toContain('"decision_maker": Decision maker? -> true or false');
+        expect(prompt).toContain('"interest": Interest (1-5) -> an integer from 1 to 5');
+        expect(prompt).toContain('one of: "Basic", "Pro"');
+        expect(prompt).toContain('Booking software');
+        expect(prompt).toContain('LEAD: Cafe Nero');
+    });
+});
+
+describe('Answer Coercion', () => {
+    test('should coerce booleans from yes/no strings', () => {
+        const question = { key: 'dm', type: 'boolean' };
+
+        expect(coerceAnswer(question, 'Yes')).toBe(true);
+        expect(coerceAnswer(question, 'no')).toBe(false);
+        expect(coerceAnswer(question, 'maybe')).toBeNull();
+    });
+
+    test('should clamp and round scale answers', () => {
+        const question = { key: 'interest', type: 'scale', min: 1, max: 5 };
+
+        expect(coerceAnswer(question, 9)).toBe(5);
+        expect(coerceAnswer(question, '3.6')).toBe(4);
+        expect(coerceAnswer(question, 'high')).toBeNull();
+    });
+
+    test('should parse numbers out of text and match choices case-insensitively', () => {
+        expect(coerceAnswer({ key: 'budget', type: 'number' }, '€1,500')).toBe(1500);
+        expect(coerceAnswer({ key: 'plan', type: 'choice', options: ['Basic', 'Pro'] }, 'pro')).toBe('Pro');
+        expect(coerceAnswer({ key: 'plan', type: 'choice', options: ['Basic', 'Pro'] }, 'Enterprise')).toBeNull();
+    });
+
+    test('should treat empty answers as unanswered', () => {
+        expect(coerceAnswer({ key: 'budget', type: 'text' }, '')).toBeNull();
+        expect(coerceAnswer({ key: 'budget', type: 'text' }, '   ')).toBeNull();
+        expect(coerceAnswer({ key: 'budget', type: 'text' }, undefined)).toBeNull();
+    });
+});
+
+describe('Response Parsing', () => {
+    test('should parse fenced JSON and type the answers', () => {
+        const reply = '```json\n{"answers": {"current_provider": "Acme", "budget": null, "decision_maker": "yes", "interest": 4}, "outcome": "interested", "reasoning": "Asked for a demo"}\n```';
+        const parsed = parseExtractionResponse(reply, DEFAULT_QUALIFICATION_QUESTIONS);
+
+        expect(parsed).toEqual({
+            answers: { current_provider: 'Acme', budget: null, decision_maker: true, interest: 4 },
+            outcome: 'interested',
+            reasoning: 'Asked for a demo',
+        });
+    });
+
+    test('should fill missing answers with null and unknown outcomes with undecided', () => {
+        const parsed = parseExtractionResponse({ answers: {}, outcome: 'maybe' }, DEFAULT_QUALIFICATION_QUESTIONS);
+
+        expect(Object.values(parsed.answers).every(v => v === null)).toBe(true);
+        expect(parsed.outcome).toBe('undecided');
+        expect(parsed.reasoning).toBeNull();
+    });
+
+    test('should throw when the reply is not JSON', () => {
+        expect(() => parseExtractionResponse('I could not find any answers', DEFAULT_QUALIFICATION_QUESTIONS)).toThrow();
+    });
+});
+
+describe('Lead Scoring', () => {
+    const questions = DEFAULT_QUALIFICATION_QUESTIONS;
+
+    test('should score an interested decision maker at the top', () => {
+        expect(scoreInsights({ decision_maker: true, interest: 5 }, questions, 'interested')).toBe(100);
+    });
+
+    test('should score a declined call with no interest at zero', () => {
+        expect(scoreInsights({ decision_maker: false, interest: 1 }, questions, 'not_interested')).toBe(0);
+    });
+
+    test('should fall back to the outcome when nothing scorable was answered', () => {
+        expect(scoreInsights({ current_provider: 'Acme' }, questions, 'callback')).toBe(60);
+    });
+
+    test('should weight answers and ignore zero-weight questions', () => {
+        const weighted = [
+            { key: 'dm', type: 'boolean', weight: 2 },
+            { key: 'interest', type: 'scale', min: 1, max: 5, weight: 1 },
+            { key: 'ignored', type: 'boolean', weight: 0 },
+        ];
+
+        // answers: (2 * 1 + 1 * 0) / 3, outcome undecided 0.4
+        expect(scoreInsights({ dm: true, interest: 1, ignored: false }, weighted, 'undecided')).toBe(53);
+    });
+});
+
+describe('Lead Status', () => {
+    test('should follow clear outcomes', () => {
+        expect(resolveLeadStatus('interested', 'new')).toBe('interested');
+        expect(resolveLeadStatus('not_interested', 'interested')).toBe('not_interested');
+    });
+
+    test('should not undo an earlier interested on a callback or undecided call', () => {
+        expect(resolveLeadStatus('callback', 'interested')).toBe('interested');
+        expect(resolveLeadStatus('undecided', 'new')).toBe('contacted');
+        expect(resolveLeadStatus('callback')).toBe('contacted');
+    });
+});
@@ -0,0 +1,240 @@
+/**
+ * Calling Hours Configuration
+ *
+ * Legal hours for outbound calls, by destination country, evaluated in the
+ * recipient's local time. Every dial path (single calls, batches, scheduled
+ * calls and workflow call steps) checks these before placing a call:
+ * - The lead's own timezone is used when it is known (explicit, coordinates, city)
+ * - Otherwise the call must be inside the window in every timezone of the
+ *   number's country, so a US number is only dialled when it is 8am-9pm
+ *   from New York to Los Angeles
+ *
+ * Public holidays are not modelled; France and Australia forbid calls on them.
+ */
+
+import { parsePhoneLocation, COUNTRY_CALLING_CODES } from './numberPool.js';
+import { toE164, DEFAULT_DNC_COUNTRY } from './dnc.js';
+import {
+    isValidTimezone,
+    timezoneFromCoordinates,
+    timezoneFromCity,
+    timezoneFromPhone,
+    getLocalTime,
+    getNextSendWindowStart,
+} from './timezones.js';
+
+const ALL_DAYS = [1, 2, 3, 4, 5, 6, 7];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const MONDAY_TO_SATURDAY = [1, 2, 3, 4, 5, 6];
+
+/**
+ * ISO country -> legal calling windows (days: 1=Monday, 7=Sunday; end is exclusive)
+ */
+export const CALLING_HOURS = {
+    US: {
+        rule: 'TCPA (47 CFR 64.1200(c)(1))',
+        windows: [{ days: ALL_DAYS, start: '08:00', end: '21:00' }],
+    },
+    CA: {
+        rule: 'CRTC Unsolicited Telecommunications Rules',
+        windows: [
+            { days: WEEKDAYS, start: '09:00', end: '21:30' },
+            { days: [6, 7], start: '10:00', end: '18:00' },
+        ],
+    },
+    GB: {
+        rule: 'Ofcom persistent misuse guidance',
+        windows: [{ days: ALL_DAYS, start: '08:00', end: '21:00' }],
+    },
+    IE: {
+        rule: 'Business hours (no statutory window)',
+        windows: [{ days: MONDAY_TO_SATURDAY, start: '09:00', end: '20:00' }],
+    },
+    FR: {
+        rule: 'Décret n° 2022-1313',
+        windows: [
+            { days: WEEKDAYS, start: '10:00', end: '13:00' },
+            { days: WEEKDAYS, start: '14:00', end: '20:00' },
+        ],
+    },
+    AU: {
+        rule: 'Telemarketing and Research Calls Industry Standard 2017',
+        windows: [
+            { days: WEEKDAYS, start: '09:00', end: '20:00' },
+            { days: [6], start: '09:00', end: '17:00' },
+        ],
+    },
+};
+
+/**
+ * Countries without their own entry
+ */
+export const DEFAULT_CALLING_HOURS = {
+    rule: 'Business hours (default)',
+    windows: [{ days: MONDAY_TO_SATURDAY, start: '09:00', end: '20:00' }],
+};
+
+/**
+ * Timezones a number may be in when the lead's own timezone is unknown
+ * Single-zone countries resolve through the phone country code instead
+ */
+export const COUNTRY_TIMEZONES = {
+    US: ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix', 'America/Los_Angeles'],
+    CA: ['America/St_Johns', 'America/Halifax', 'America/Toronto', 'America/Winnipeg', 'America/Edmonton', 'America/Vancouver'],
+    AU: ['Australia/Sydney', 'Australia/Brisbane', 'Australia/Adelaide', 'Australia/Darwin', 'Australia/Perth'],
+};
+
+/**
+ * NANP area codes outside the zones above
+ */
+export const AREA_CODE_TIMEZONES = {
+    '907': 'America/Anchorage',
+    '808': 'Pacific/Honolulu',
+};
+
+/**
+ * Canadian NANP area codes (everything else on +1 is treated as the US)
+ */
+export const CANADIAN_AREA_CODES = [
+    '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368',
+    '382', '403', '416', '418', '428', '431', '437', '438', '450', '460', '468', '474', '506',
+    '514', '519', '548', '579', '581', '584', '587', '604', '613', '639', '647', '672', '683',
+    '705', '709', '742', '753', '778', '780', '782', '807', '819', '825', '867', '873', '879',
+    '902', '905',
+];
+
+/**
+ * ISO country of an E.164 number (null if the calling code isn't one we know)
+ */
+export function getCallingCountry(e164) {
+    const { callingCode, areaCode } = parsePhoneLocation(e164);
+    if (!callingCode) return null;
+
+    if (callingCode === '1') {
+        return CANADIAN_AREA_CODES.includes(areaCode) ? 'CA' : 'US';
+    }
+
+    return Object.keys(COUNTRY_CALLING_CODES).find(country => COUNTRY_CALLING_CODES[country] === callingCode) || null;
+}
+
+/**
+ * Calling hours that apply to a country
+ */
+export function getCallingRules(country) {
+    return CALLING_HOURS[country] || DEFAULT_CALLING_HOURS;
+}
+
+/**
+ * Timezones the recipient may be in
+ * @param {string} e164 - Number being dialled
+ * @param {Object} lead - Lead row (timezone, latitude, longitude, city), if known
+ * @returns {string[]}
+ */
+export function resolveCallTimezones(e164, lead = null) {
+    // Phone-based inference is deliberately skipped: it picks one zone per country
+    const leadTimezone = isValidTimezone(lead?.timezone)
+        ? lead.timezone
+        : timezoneFromCoordinates(lead?.latitude, lead?.longitude) || timezoneFromCity(lead?.city);
+    if (leadTimezone) return [leadTimezone];
+
+    const { callingCode, areaCode } = parsePhoneLocation(e164);
+    if (callingCode === '1' && AREA_CODE_TIMEZONES[areaCode]) {
+        return [AREA_CODE_TIMEZONES[areaCode]];
+    }
+
+    const country = getCallingCountry(e164);
+    if (COUNTRY_TIMEZONES[country]) return COUNTRY_TIMEZONES[country];
+
+    return [timezoneFromPhone(e164) || 'UTC'];
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Check whether `now` is inside one of the rule's windows in a timezone
+ */
+export function isWithinCallingHours(rules, now = new Date(), timezone = 'UTC') {
+    const { dayOfWeek, minutes } = getLocalTime(now, timezone);
+
+    return rules.windows.some(window =>
+        window.days.includes(dayOfWeek)
+        && minutes >= toMinutes(window.start)
+        && minutes < toMinutes(window.end)
+    );
+}
+
+/**
+ * Earliest time calling is allowed in every one of the timezones
+ * The shared window always opens when the last zone's window opens, so only
+ * window starts need checking
+ * @returns {Date|null} - null if nothing opens within the next week
+ */
+export function getNextCallingWindow(rules, now = new Date(), timezones = ['UTC']) {
+    const horizon = now.getTime() + 8 * 24 * 60 * 60 * 1000;
+    const candidates = [];
+
+    for (const timezone of timezones) {
+        for (const window of rules.windows) {
+            const sendWindow = { send_days: window.days, send_window_start: window.start };
+            let from = now;
+
+            while (from.getTime() < horizon) {
+                const start = getNextSendWindowStart(sendWindow, from, timezone);
+                if (!start) break;
+                candidates.push(start);
+                from = start;
+            }
+        }
+    }
+
+    candidates.sort((a, b) => a - b);
+
+    return candidates.find(candidate =>
+        timezones.every(timezone => isWithinCallingHours(rules, candidate, timezone))
+    ) || null;
+}
+
+/**
+ * Decide whether a number may be dialled now
+ * @param {string} phone - Number in any format
+ * @param {Object} options - { lead, now, defaultCountry }
+ * @returns {{ allowed: boolean, phoneE164: string|null, country: string|null, rule: string|null,
+ *            timezones: string[], nextAllowedAt: Date|null }}
+ */
+export function evaluateCallingHours(phone, { lead = null, now = new Date(), defaultCountry = DEFAULT_DNC_COUNTRY } = {}) {
+    const phoneE164 = toE164(phone, defaultCountry);
+    if (!phoneE164) {
+        return { allowed: false, phoneE164: null, country: null, rule: null, timezones: [], nextAllowedAt: null };
+    }
+
+    const country = getCallingCountry(phoneE164);
+    const rules = getCallingRules(country);
+    const timezones = resolveCallTimezones(phoneE164, lead);
+    const allowed = timezones.every(timezone => isWithinCallingHours(rules, now, timezone));
+
+    return {
+        allowed,
+        phoneE164,
+        country,
+        rule: rules.rule,
+        timezones,
+        nextAllowedAt: allowed ? now : getNextCallingWindow(rules, now, timezones),
+    };
+}
+
+export default {
+    CALLING_HOURS,
+    DEFAULT_CALLING_HOURS,
+    COUNTRY_TIMEZONES,
+    AREA_CODE_TIMEZONES,
+    CANADIAN_AREA_CODES,
+    getCallingCountry,
+    getCallingRules,
+    resolveCallTimezones,
+    isWithinCallingHours,
+    getNextCallingWindow,
+    evaluateCallingHours,
+};
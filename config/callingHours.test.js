@@ -0,0 +1,138 @@
+/**
+ * Unit tests for calling hours module
+ */
+
+import {
+    CALLING_HOURS,
+    DEFAULT_CALLING_HOURS,
+    getCallingCountry,
+    getCallingRules,
+    resolveCallTimezones,
+    isWithinCallingHours,
+    getNextCallingWindow,
+    evaluateCallingHours,
+} from './callingHours.js';
+
+describe('Destination Country', () => {
+    test('should split +1 numbers into US and Canada by area code', () => {
+        expect(getCallingCountry('+12015550123')).toBe('US');
+        expect(getCallingCountry('+14165550123')).toBe('CA');
+    });
+
+    test('should map other calling codes to their country', () => {
+        expect(getCallingCountry('+353861234567')).toBe('IE');
+        expect(getCallingCountry('+447911123456')).toBe('GB');
+        expect(getCallingCountry('+33612345678')).toBe('FR');
+    });
+
+    test('should return null for unknown or missing numbers', () => {
+        expect(getCallingCountry('+41791234567')).toBeNull();
+        expect(getCallingCountry(null)).toBeNull();
+    });
+
+    test('should fall back to default hours for countries without rules', () => {
+        expect(getCallingRules('US')).toBe(CALLING_HOURS.US);
+        expect(getCallingRules('DE')).toBe(DEFAULT_CALLING_HOURS);
+        expect(getCallingRules(null)).toBe(DEFAULT_CALLING_HOURS);
+    });
+});
+
+describe('Recipient Timezones', () => {
+    test('should prefer what is known about the lead', () => {
+        expect(resolveCallTimezones('+12015550123', { timezone: 'America/Chicago' })).toEqual(['America/Chicago']);
+        expect(resolveCallTimezones('+12015550123', { city: 'Seattle' })).toEqual(['America/Los_Angeles']);
+    });
+
+    test('should use every zone of a multi-zone country when the lead is unknown', () => {
+        const zones = resolveCallTimezones('+12015550123');
+        expect(zones).toContain('America/New_York');
+        expect(zones).toContain('America/Los_Angeles');
+    });
+
+    test('should place Alaska and Hawaii numbers in their own zones', () => {
+        expect(resolveCallTimezones('+19075550123')).toEqual(['America/Anchorage']);
+        expect(resolveCallTimezones('+18085550123')).toEqual(['Pacific/Honolulu']);
+    });
+
+    test('should use the country zone for single-zone countries', () => {
+        expect(resolveCallTimezones('+353861234567')).toEqual(['Europe/Dublin']);
+        expect(resolveCallTimezones('+41791234567')).toEqual(['UTC']);
+    });
+});
+
+describe('Calling Windows', () => {
+    test('should apply TCPA hours with an exclusive end', () => {
+        const rules = CALLING_HOURS.US;
+        // Wednesday 2026-01-14, EST = UTC-5
+        expect(isWithinCallingHours(rules, new Date('2026-01-14T12:59:00Z'), 'America/New_York')).toBe(false);
+        expect(isWithinCallingHours(rules, new Date('2026-01-14T13:00:00Z'), 'America/New_York')).toBe(true);
+        expect(isWithinCallingHours(rules, new Date('2026-01-15T01:59:00Z'), 'America/New_York')).toBe(true);
+        expect(isWithinCallingHours(rules, new Date('2026-01-15T02:00:00Z'), 'America/New_York')).toBe(false);
+    });
+
+    test('should honour split windows and closed days', () => {
+        const rules = CALLING_HOURS.FR;
+        // Wednesday 2026-01-14, CET = UTC+1
+        expect(isWithinCallingHours(rules, new Date('2026-01-14T11:30:00Z'), 'Europe/Paris')).toBe(true);
+        expect(isWithinCallingHours(rules, new Date('2026-01-14T12:30:00Z'), 'Europe/Paris')).toBe(false);
+        // Saturday
+        expect(isWithinCallingHours(rules, new Date('2026-01-17T11:30:00Z'), 'Europe/Paris')).toBe(false);
+    });
+
+    test('should find the next window in a single timezone', () => {
+        // Wednesday 2026-01-14 22:00 Dublin -> Thursday 09:00
+        const next = getNextCallingWindow(CALLING_HOURS.IE, new Date('2026-01-14T22:00:00Z'), ['Europe/Dublin']);
+        expect(next.toISOString()).toBe('2026-01-15T09:00:00.000Z');
+    });
+
+    test('should skip closed days', () => {
+        // Saturday 2026-01-17 21:00 Dublin -> Monday 09:00
+        const next = getNextCallingWindow(CALLING_HOURS.IE, new Date('2026-01-17T21:00:00Z'), ['Europe/Dublin']);
+        expect(next.toISOString()).toBe('2026-01-19T09:00:00.000Z');
+    });
+
+    test('should wait until every timezone is open', () => {
+        // 08:00 in New York is 05:00 in Los Angeles; 08:00 Pacific is 16:00 UTC
+        const next = getNextCallingWindow(
+            CALLING_HOURS.US,
+            new Date('2026-01-14T13:00:00Z'),
+            ['America/New_York', 'America/Los_Angeles']
+        );
+        expect(next.toISOString()).toBe('2026-01-14T16:00:00.000Z');
+    });
+});
+
+describe('Evaluating a Dial', () => {
+    test('should allow a call inside the recipient window', () => {
+        const result = evaluateCallingHours('+353861234567', { now: new Date('2026-01-14T10:00:00Z') });
+        expect(result.allowed).toBe(true);
+        expect(result.country).toBe('IE');
+        expect(result.nextAllowedAt.toISOString()).toBe('2026-01-14T10:00:00.000Z');
+    });
+
+    test('should defer a late call to the next allowed slot', () => {
+        const result = evaluateCallingHours('(201) 555-0123', {
+            now: new Date('2026-01-15T03:00:00Z'),
+            defaultCountry: 'US',
+        });
+        expect(result.allowed).toBe(false);
+        expect(result.phoneE164).toBe('+12015550123');
+        expect(result.rule).toMatch(/TCPA/);
+        expect(result.nextAllowedAt.toISOString()).toBe('2026-01-15T16:00:00.000Z');
+    });
+
+    test('should use the lead timezone to widen the window', () => {
+        const result = evaluateCallingHours('+12015550123', {
+            lead: { timezone: 'America/New_York' },
+            now: new Date('2026-01-14T14:00:00Z'),
+        });
+        expect(result.allowed).toBe(true);
+        expect(result.timezones).toEqual(['America/New_York']);
+    });
+
+    test('should refuse numbers that cannot be normalized', () => {
+        const result = evaluateCallingHours('12345', { defaultCountry: 'US' });
+        expect(result.allowed).toBe(false);
+        expect(result.nextAllowedAt).toBeNull();
+    });
+});
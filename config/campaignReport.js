@@ -0,0 +1,417 @@
+/**
+ * Campaign Report Configuration
+ *
+ * Market validation report for a campaign: the campaign's call transcripts
+ * and summaries are condensed into one prompt, Claude writes up recurring
+ * objections, pain points (with quotes) and willingness-to-pay signals, and
+ * the result is combined with call metrics broken down by lead category and
+ * city. The report renders to JSON, Markdown or PDF.
+ */
+
+import { INSIGHT_OUTCOMES, isQualifiableCall } from './callInsights.js';
+
+export const REPORT_FORMATS = ['json', 'markdown', 'pdf'];
+export const REPORT_VERDICTS = ['validated', 'promising', 'inconclusive', 'invalidated'];
+export const MIN_REPORT_CONVERSATIONS = 1;
+export const MAX_SEGMENTS = 10;
+
+// Prompt budget: full transcripts until the budget runs out, then summaries only
+const MAX_PROMPT_TRANSCRIPT_CHARS = 120000;
+const MAX_CHARS_PER_TRANSCRIPT = 6000;
+const MAX_SUMMARY_CHARS = 600;
+const MAX_ITEMS = 10;
+const MAX_QUOTES = 3;
+const MAX_TEXT_LENGTH = 1500;
+
+const VERDICT_LABELS = {
+    validated: 'Validated',
+    promising: 'Promising',
+    inconclusive: 'Inconclusive',
+    invalidated: 'Invalidated',
+};
+
+const UNKNOWN_SEGMENT = 'Unknown';
+
+/**
+ * Report format from a query value ("md" and "markdown" are both accepted)
+ * @returns {string|null} - One of REPORT_FORMATS, or null if unsupported
+ */
+export function normalizeReportFormat(format) {
+    const normalized = String(format || 'json').trim().toLowerCase();
+    if (normalized === 'md') return 'markdown';
+    return REPORT_FORMATS.includes(normalized) ? normalized : null;
+}
+
+function percentage(part, total) {
+    return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+function average(values) {
+    return values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+/**
+ * Per-segment counts for one lead field (category or city)
+ */
+function buildSegments(calls, field) {
+    const segments = new Map();
+
+    for (const call of calls) {
+        const name = String(call.lead?.[field] || '').trim() || UNKNOWN_SEGMENT;
+        const key = name.toLowerCase();
+        if (!segments.has(key)) {
+            segments.set(key, { name, calls: 0, conversations: 0, interested: 0, notInterested: 0, scores: [] });
+        }
+
+        const segment = segments.get(key);
+        segment.calls++;
+        if (!isQualifiableCall(call)) continue;
+
+        segment.conversations++;
+        if (call.insight?.outcome === 'interested') segment.interested++;
+        if (call.insight?.outcome === 'not_interested') segment.notInterested++;
+        if (Number.isFinite(call.insight?.score)) segment.scores.push(call.insight.score);
+    }
+
+    return [...segments.values()]
+        .sort((a, b) => b.conversations - a.conversations || b.calls - a.calls || a.name.localeCompare(b.name))
+        .slice(0, MAX_SEGMENTS)
+        .map(({ scores, ...segment }) => ({
+            ...segment,
+            interestRate: percentage(segment.interested, segment.conversations),
+            avgScore: average(scores),
+        }));
+}
+
+/**
+ * Campaign call metrics
+ * @param {Object[]} calls - Calls with { status, call_outcome, duration_seconds, transcript, lead: { category, city }, insight: { outcome, score } }
+ * @returns {Object} - Totals, outcome counts and segment breakdowns
+ */
+export function computeCampaignMetrics(calls = []) {
+    const conversations = calls.filter(isQualifiableCall);
+    const outcomes = Object.fromEntries(INSIGHT_OUTCOMES.map(outcome => [outcome, 0]));
+    let qualified = 0;
+
+    for (const call of conversations) {
+        if (outcomes[call.insight?.outcome] !== undefined) {
+            outcomes[call.insight.outcome]++;
+            qualified++;
+        }
+    }
+
+    const durations = conversations.map(c => c.duration_seconds).filter(Number.isFinite);
+    const scores = conversations.map(c => c.insight?.score).filter(Number.isFinite);
+
+    return {
+        totalCalls: calls.length,
+        conversations: conversations.length,
+        answerRate: percentage(conversations.length, calls.length),
+        avgConversationSeconds: average(durations) ?? 0,
+        qualified,
+        outcomes,
+        interestRate: percentage(outcomes.interested, qualified),
+        avgScore: average(scores),
+        segments: {
+            category: buildSegments(calls, 'category'),
+            city: buildSegments(calls, 'city'),
+        },
+    };
+}
+
+function truncate(text, length) {
+    const value = String(text || '').trim();
+    return value.length > length ? `${value.slice(0, length)}...` : value;
+}
+
+function formatSegmentLines(segments) {
+    return segments
+        .map(s => `- ${s.name}: ${s.conversations} conversations, ${s.interested} interested, ${s.notInterested} not interested`)
+        .join('\n');
+}
+
+/**
+ * Prompt asking Claude for the validation write-up
+ * Leads are labelled by segment, not name, so quotes are safe to share
+ * @param {Object} params - { campaign: { name, product_idea, company_context }, calls, metrics }
+ */
+export function buildReportPrompt({ campaign, calls, metrics }) {
+    let budget = MAX_PROMPT_TRANSCRIPT_CHARS;
+    const blocks = calls.filter(isQualifiableCall).map((call, index) => {
+        const segment = [call.lead?.category, call.lead?.city].filter(Boolean).join(', ') || 'unknown segment';
+        const lines = [`### Call ${index + 1} (${segment})${call.insight?.outcome ? ` - outcome: ${call.insight.outcome}` : ''}`];
+
+        if (call.summary) lines.push(`Summary: ${truncate(call.summary, MAX_SUMMARY_CHARS)}`);
+
+        const transcript = truncate(call.transcript, MAX_CHARS_PER_TRANSCRIPT);
+        if (transcript.length <= budget) {
+            lines.push(`Transcript:\n${transcript}`);
+            budget -= transcript.length;
+        }
+
+        return lines.join('\n');
+    });
+
+    return `You are a market research analyst. A founder is validating a product idea by phone and needs an honest report they can share with co-founders and investors.
+
+PRODUCT IDEA:
+${campaign.product_idea || 'Not specified'}
+${campaign.company_context ? `\nCOMPANY CONTEXT:\n${campaign.company_context}\n` : ''}
+CAMPAIGN NUMBERS:
+- ${metrics.totalCalls} calls, ${metrics.conversations} real conversations (${metrics.answerRate}% answer rate)
+- Outcomes of qualified calls: ${INSIGHT_OUTCOMES.map(o => `${o} ${metrics.outcomes[o]}`).join(', ')}
+
+BY CATEGORY:
+${formatSegmentLines(metrics.segments.category) || '- none'}
+
+BY CITY:
+${formatSegmentLines(metrics.segments.city) || '- none'}
+
+CONVERSATIONS:
+${blocks.join('\n\n')}
+
+Write the report from these conversations only. Quotes must be verbatim from the transcripts (what the prospect said, not the caller). Never name people or businesses - attribute quotes to a segment such as "Cafe, Galway". Leave a list empty rather than inventing entries.
+
+Return ONLY valid JSON in this exact format:
+{
+  "verdict": "one of: ${REPORT_VERDICTS.join(', ')}",
+  "executiveSummary": "3-5 sentences: is there demand, from whom, and what is holding people back",
+  "objections": [{ "objection": "Already use a competitor", "count": 4, "quotes": ["..."] }],
+  "painPoints": [{ "painPoint": "Missed calls during lunch rush", "count": 3, "quotes": ["..."] }],
+  "willingnessToPay": {
+    "summary": "What prospects said about price and budget",
+    "signals": [{ "signal": "Would pay 50 EUR/month", "quote": "...", "segment": "Cafe, Galway" }]
+  },
+  "segmentInsights": [{ "segment": "Cafe", "insight": "Most receptive - ..." }],
+  "recommendations": ["Next step the founder should take"]
+}`;
+}
+
+function cleanText(value, length = MAX_TEXT_LENGTH) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    return text.slice(0, length);
+}
+
+function cleanQuotes(quotes) {
+    return (Array.isArray(quotes) ? quotes : [])
+        .map(q => cleanText(q, 400).replace(/^["'“”]+|["'“”]+$/g, ''))
+        .filter(Boolean)
+        .slice(0, MAX_QUOTES);
+}
+
+function cleanCount(count) {
+    const number = Math.round(Number(count));
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function cleanList(items, textKey) {
+    return (Array.isArray(items) ? items : [])
+        .map(item => ({
+            [textKey]: cleanText(item?.[textKey], 300),
+            count: cleanCount(item?.count),
+            quotes: cleanQuotes(item?.quotes),
+        }))
+        .filter(item => item[textKey])
+        .slice(0, MAX_ITEMS);
+}
+
+/**
+ * Parse Claude's report reply
+ * @param {string|Object} result - Raw reply (may be fenced JSON)
+ * @returns {Object} - { verdict, executiveSummary, objections, painPoints, willingnessToPay, segmentInsights, recommendations }
+ * @throws {Error} - If the reply isn't JSON
+ */
+export function parseReportResponse(result) {
+    let parsed = result;
+    if (typeof result === 'string') {
+        const json = result.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+        const start = json.indexOf('{');
+        const end = json.lastIndexOf('}');
+        parsed = JSON.parse(start >= 0 && end > start ? json.slice(start, end + 1) : json);
+    }
+
+    const wtp = parsed?.willingnessToPay || {};
+
+    return {
+        verdict: REPORT_VERDICTS.includes(parsed?.verdict) ? parsed.verdict : 'inconclusive',
+        executiveSummary: cleanText(parsed?.executiveSummary),
+        objections: cleanList(parsed?.objections, 'objection'),
+        painPoints: cleanList(parsed?.painPoints, 'painPoint'),
+        willingnessToPay: {
+            summary: cleanText(wtp.summary),
+            signals: (Array.isArray(wtp.signals) ? wtp.signals : [])
+                .map(s => ({
+                    signal: cleanText(s?.signal, 300),
+                    quote: cleanQuotes([s?.quote])[0] || null,
+                    segment: cleanText(s?.segment, 100) || null,
+                }))
+                .filter(s => s.signal)
+                .slice(0, MAX_ITEMS),
+        },
+        segmentInsights: (Array.isArray(parsed?.segmentInsights) ? parsed.segmentInsights : [])
+            .map(s => ({ segment: cleanText(s?.segment, 100), insight: cleanText(s?.insight, 500) }))
+            .filter(s => s.segment && s.insight)
+            .slice(0, MAX_ITEMS),
+        recommendations: (Array.isArray(parsed?.recommendations) ? parsed.recommendations : [])
+            .map(r => cleanText(r, 500))
+            .filter(Boolean)
+            .slice(0, MAX_ITEMS),
+    };
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function segmentTable(segments, label) {
+    return {
+        type: 'table',
+        headers: [label, 'Calls', 'Conversations', 'Interested', 'Not interested', 'Interest rate', 'Avg score'],
+        rows: segments.map(s => [
+            s.name,
+            s.calls,
+            s.conversations,
+            s.interested,
+            s.notInterested,
+            `${s.interestRate}%`,
+            s.avgScore ?? '-',
+        ]),
+    };
+}
+
+function countSuffix(count) {
+    return count ? ` (${count} ${count === 1 ? 'call' : 'calls'})` : '';
+}
+
+/**
+ * Report as document blocks (shared by the Markdown and PDF renderers)
+ * @param {Object} report - { campaign: { name, productIdea }, generatedAt, metrics, analysis }
+ */
+export function buildReportBlocks(report) {
+    const { campaign, metrics, analysis } = report;
+    const blocks = [
+        { type: 'title', text: `Market Validation Report: ${campaign.name}` },
+        { type: 'paragraph', text: `Product idea: ${campaign.productIdea || 'Not specified'}` },
+        { type: 'paragraph', text: `Generated ${String(report.generatedAt).slice(0, 10)} from ${metrics.conversations} conversations (${metrics.totalCalls} calls).` },
+        { type: 'heading', text: `Verdict: ${VERDICT_LABELS[analysis.verdict] || VERDICT_LABELS.inconclusive}` },
+    ];
+
+    if (analysis.executiveSummary) blocks.push({ type: 'paragraph', text: analysis.executiveSummary });
+
+    blocks.push(
+        { type: 'heading', text: 'Key Numbers' },
+        {
+            type: 'table',
+            headers: ['Metric', 'Value'],
+            rows: [
+                ['Calls made', metrics.totalCalls],
+                ['Conversations', `${metrics.conversations} (${metrics.answerRate}% of calls)`],
+                ['Average conversation', formatDuration(metrics.avgConversationSeconds)],
+                ...INSIGHT_OUTCOMES.map(o => [o.replace('_', ' ').replace(/^\w/, c => c.toUpperCase()), metrics.outcomes[o]]),
+                ['Interest rate', `${metrics.interestRate}% of ${metrics.qualified} qualified`],
+                ['Average lead score', metrics.avgScore ?? '-'],
+            ],
+        },
+    );
+
+    const addFindings = (heading, items, textKey) => {
+        blocks.push({ type: 'heading', text: heading });
+        if (items.length === 0) {
+            blocks.push({ type: 'paragraph', text: 'None came up in these conversations.' });
+            return;
+        }
+        for (const item of items) {
+            blocks.push({ type: 'subheading', text: `${item[textKey]}${countSuffix(item.count)}` });
+            for (const quote of item.quotes) blocks.push({ type: 'quote', text: `"${quote}"` });
+        }
+    };
+
+    addFindings('Recurring Objections', analysis.objections, 'objection');
+    addFindings('Pain Points', analysis.painPoints, 'painPoint');
+
+    blocks.push({ type: 'heading', text: 'Willingness to Pay' });
+    blocks.push({ type: 'paragraph', text: analysis.willingnessToPay.summary || 'No pricing signals came up in these conversations.' });
+    for (const signal of analysis.willingnessToPay.signals) {
+        blocks.push({ type: 'bullet', text: `${signal.signal}${signal.segment ? ` (${signal.segment})` : ''}` });
+        if (signal.quote) blocks.push({ type: 'quote', text: `"${signal.quote}"` });
+    }
+
+    blocks.push({ type: 'heading', text: 'Segments' });
+    for (const insight of analysis.segmentInsights) {
+        blocks.push({ type: 'bullet', text: `${insight.segment}: ${insight.insight}` });
+    }
+    if (metrics.segments.category.length > 0) {
+        blocks.push({ type: 'subheading', text: 'By category' }, segmentTable(metrics.segments.category, 'Category'));
+    }
+    if (metrics.segments.city.length > 0) {
+        blocks.push({ type: 'subheading', text: 'By city' }, segmentTable(metrics.segments.city, 'City'));
+    }
+
+    if (analysis.recommendations.length > 0) {
+        blocks.push({ type: 'heading', text: 'Recommended Next Steps' });
+        for (const recommendation of analysis.recommendations) {
+            blocks.push({ type: 'bullet', text: recommendation });
+        }
+    }
+
+    return blocks;
+}
+
+function escapeTableCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Render document blocks as Markdown
+ */
+export function renderMarkdown(blocks) {
+    const parts = blocks.map(block => {
+        switch (block.type) {
+            case 'title': return `# ${block.text}`;
+            case 'heading': return `## ${block.text}`;
+            case 'subheading': return `### ${block.text}`;
+            case 'bullet': return `- ${block.text}`;
+            case 'quote': return `> ${block.text}`;
+            case 'table': return [
+                `| ${block.headers.map(escapeTableCell).join(' | ')} |`,
+                `| ${block.headers.map(() => '---').join(' | ')} |`,
+                ...block.rows.map(row => `| ${row.map(escapeTableCell).join(' | ')} |`),
+            ].join('\n');
+            default: return block.text;
+        }
+    });
+
+    // Consecutive bullets form one list; everything else is its own paragraph
+    return parts.reduce((markdown, part, i) => {
+        if (i === 0) return part;
+        const tight = blocks[i].type === 'bullet' && blocks[i - 1].type === 'bullet';
+        return `${markdown}${tight ? '\n' : '\n\n'}${part}`;
+    }, '') + '\n';
+}
+
+/**
+ * File name for a downloaded report
+ */
+export function getReportFilename(campaignName, format) {
+    const slug = String(campaignName || 'campaign')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, 60) || 'campaign';
+    return `${slug}-validation-report.${format === 'markdown' ? 'md' : format}`;
+}
+
+export default {
+    REPORT_FORMATS,
+    REPORT_VERDICTS,
+    MIN_REPORT_CONVERSATIONS,
+    MAX_SEGMENTS,
+    normalizeReportFormat,
+    computeCampaignMetrics,
+    buildReportPrompt,
+    parseReportResponse,
+    buildReportBlocks,
+    renderMarkdown,
+    getReportFilename,
+};
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for campaign report module
+ */
+
+import {
+    normalizeReportFormat,
+    computeCampaignMetrics,
+    buildReportPrompt,
+    parseReportResponse,
+    buildReportBlocks,
+    renderMarkdown,
+    getReportFilename,
+} from './campaignReport.js';
+
+const transcript = text => `AI: Hi, quick question about how you take bookings.\nUser: ${text}`;
+
+const calls = [
+    {
+        call_outcome: 'human',
+        duration_seconds: 120,
+        transcript: transcript('We lose bookings at lunch because nobody answers the phone.'),
+        summary: 'Interested, asked for pricing',
+        lead: { category: 'Cafe', city: 'Galway' },
+        insight: { outcome: 'interested', score: 80 },
+    },
+    {
+        call_outcome: 'human',
+        duration_seconds: 60,
+        transcript: transcript('We already use a booking app and it works fine for us.'),
+        lead: { category: 'cafe', city: 'Cork' },
+        insight: { outcome: 'not_interested', score: 10 },
+    },
+    {
+        call_outcome: 'human',
+        duration_seconds: 90,
+        transcript: transcript('Maybe, call me back next month when things are quieter.'),
+        lead: { category: 'Salon', city: 'Galway' },
+        insight: null,
+    },
+    { call_outcome: 'voicemail', transcript: 'Leave a message after the tone', lead: { category: 'Salon', city: null } },
+    { call_outcome: 'no_answer', lead: null },
+];
+
+describe('Report Format', () => {
+    test('should accept json, markdown (or md) and pdf', () => {
+        expect(normalizeReportFormat()).toBe('json');
+        expect(normalizeReportFormat('MD')).toBe('markdown');
+        expect(normalizeReportFormat('pdf')).toBe('pdf');
+        expect(normalizeReportFormat('docx')).toBeNull();
+    });
+
+    test('should build a download file name from the campaign name', () => {
+        expect(getReportFilename('Dublin Cafés: Q3!', 'markdown')).toBe('dublin-caf-s-q3-validation-report.md');
+        expect(getReportFilename('', 'pdf')).toBe('campaign-validation-report.pdf');
+    });
+});
+
+describe('Campaign Metrics', () => {
+    const metrics = computeCampaignMetrics(calls);
+
+    test('should count only real conversations', () => {
+        expect(metrics.totalCalls).toBe(5);
+        expect(metrics.conversations).toBe(3);
+        expect(metrics.answerRate).toBe(60);
+        expect(metrics.avgConversationSeconds).toBe(90);
+    });
+
+    test('should tally insight outcomes and scores', () => {
+        expect(metrics.outcomes).toEqual({ interested: 1, not_interested: 1, callback: 0, undecided: 0 });
+        expect(metrics.qualified).toBe(2);
+        expect(metrics.interestRate).toBe(50);
+        expect(metrics.avgScore).toBe(45);
+    });
+
+    test('should break down by category case-insensitively', () => {
+        expect(metrics.segments.category[0]).toEqual({
+            name: 'Cafe',
+            calls: 2,
+            conversations: 2,
+            interested: 1,
+            notInterested: 1,
+            interestRate: 50,
+            avgScore: 45,
+        });
+        expect(metrics.segments.category.map(s => s.name)).toEqual(['Cafe', 'Salon', 'Unknown']);
+    });
+
+    test('should group leads without a city as Unknown', () => {
+        const unknown = metrics.segments.city.find(s => s.name === 'Unknown');
+
+        expect(unknown).toMatchObject({ calls: 2, conversations: 0, avgScore: null });
+    });
+
+    test('should handle a campaign with no calls', () => {
+        expect(computeCampaignMetrics([])).toMatchObject({ totalCalls: 0, conversations: 0, answerRate: 0, avgScore: null });
+    });
+});
+
+describe('Report Prompt', () => {
+    const prompt = buildReportPrompt({
+        campaign: { product_idea: 'AI receptionist for restaurants', company_context: 'Two founders in Dublin' },
+        calls,
+        metrics: computeCampaignMetrics(calls),
+    });
+
+    test('should include the product idea, numbers and conversations', () => {
+        expect(prompt).toContain('AI receptionist for restaurants');
+        expect(prompt).toContain('Two founders in Dublin');
+        expect(prompt).toContain('5 calls, 3 real conversations');
+        expect(prompt).toContain('### Call 1 (Cafe, Galway) - outcome: interested');
+        expect(prompt).toContain('nobody answers the phone');
+    });
+
+    test('should leave out calls without a conversation', () => {
+        expect(prompt).not.toContain('Leave a message after the tone');
+        expect(prompt).not.toContain('### Call 4');
+    });
+});
+
+describe('Report Parsing', () => {
+    test('should parse fenced JSON and clean up quotes and counts', () => {
+        const reply = '```json\n' + JSON.stringify({
+            verdict: 'promising',
+            executiveSummary: 'Cafes feel the pain.',
+            objections: [{ objection: 'Already have a tool', count: '2', quotes: ['"It works fine"', ''] }],
+            painPoints: [{ painPoint: 'Missed lunch calls', count: 0, quotes: 'not a list' }],
+            willingnessToPay: { summary: 'Some budget', signals: [{ signal: '50/month', quote: 'fifty a month is fine', segment: 'Cafe' }, { quote: 'no signal' }] },
+            segmentInsights: [{ segment: 'Cafe', insight: 'Most receptive' }, { segment: 'Salon' }],
+            recommendations: ['Interview 10 more cafes', 42],
+        }) + '\n```';
+
+        expect(parseReportResponse(reply)).toEqual({
+            verdict: 'promising',
+            executiveSummary: 'Cafes feel the pain.',
+            objections: [{ objection: 'Already have a tool', count: 2, quotes: ['It works fine'] }],
+            painPoints: [{ painPoint: 'Missed lunch calls', count: null, quotes: [] }],
+            willingnessToPay: { summary: 'Some budget', signals: [{ signal: '50/month', quote: 'fifty a month is fine', segment: 'Cafe' }] },
+            segmentInsights: [{ segment: 'Cafe', insight: 'Most receptive' }],
+            recommendations: ['Interview 10 more cafes'],
+        });
+    });
+
+    test('should default missing sections and unknown verdicts', () => {
+        const analysis = parseReportResponse({ verdict: 'great' });
+
+        expect(analysis.verdict).toBe('inconclusive');
+        expect(analysis.objections).toEqual([]);
+        expect(analysis.willingnessToPay).toEqual({ summary: '', signals: [] });
+    });
+
+    test('should throw when the reply is not JSON', () => {
+        expect(() => parseReportResponse('Sorry, I cannot help with that')).toThrow();
+    });
+});
+
+describe('Report Rendering', () => {
+    const report = {
+        campaign: { name: 'Galway Cafes', productIdea: 'AI receptionist' },
+        generatedAt: '2026-03-02T10:00:00.000Z',
+        metrics: computeCampaignMetrics(calls),
+        analysis: parseReportResponse({
+            verdict: 'validated',
+            executiveSummary: 'Strong pull from cafes.',
+            objections: [{ objection: 'Price', count: 1, quotes: ['Too dear | for us'] }],
+            recommendations: ['Run a paid pilot', 'Talk to salons'],
+        }),
+    };
+    const markdown = renderMarkdown(buildReportBlocks(report));
+
+    test('should render the verdict, findings and quotes as Markdown', () => {
+        expect(markdown.startsWith('# Market Validation Report: Galway Cafes\n')).toBe(true);
+        expect(markdown).toContain('Generated 2026-03-02 from 3 conversations (5 calls).');
+        expect(markdown).toContain('## Verdict: Validated');
+        expect(markdown).toContain('### Price (1 call)\n\n> "Too dear | for us"');
+        expect(markdown).toContain('## Pain Points\n\nNone came up in these conversations.');
+    });
+
+    test('should render segment tables and keep bullet lists together', () => {
+        expect(markdown).toContain('| Category | Calls | Conversations | Interested | Not interested | Interest rate | Avg score |');
+        expect(markdown).toContain('| Cafe | 2 | 2 | 1 | 1 | 50% | 45 |');
+        expect(markdown).toContain('- Run a paid pilot\n- Talk to salons\n');
+    });
+});
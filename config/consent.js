@@ -0,0 +1,248 @@
+/**
+ * Call Consent Configuration
+ *
+ * Recording and AI disclosures per destination country, and verbal opt-out
+ * detection. Before every outbound call the disclosure line is put in front
+ * of the assistant's first message:
+ * - 'auto' mode (default): only where the destination requires it
+ * - 'always' mode: on every call
+ * A user can't turn a required disclosure off, only reword it.
+ *
+ * After the call, anything the lead said like "don't call me again" adds
+ * their number to the owner's suppression list.
+ */
+
+import { toE164 } from './dnc.js';
+import { getCallingCountry } from './callingHours.js';
+
+export const CONSENT_MODES = ['auto', 'always'];
+export const DEFAULT_CONSENT_MODE = 'auto';
+export const MAX_DISCLOSURE_LENGTH = 300;
+
+// EU member state -> calling code, for countries the number pool doesn't know
+const EU_CALLING_CODES = {
+    AT: '43', BE: '32', BG: '359', HR: '385', CY: '357', CZ: '420', DK: '45', EE: '372',
+    FI: '358', FR: '33', DE: '49', GR: '30', HU: '36', IE: '353', IT: '39', LV: '371',
+    LT: '370', LU: '352', MT: '356', NL: '31', PL: '48', PT: '351', RO: '40', SK: '421',
+    SI: '386', ES: '34', SE: '46',
+};
+
+/**
+ * Countries where recorded calls must be disclosed up front
+ * basis is shown to users and kept in the consent log
+ */
+export const DISCLOSURE_RULES = {
+    // State can't be told from the number, so the all-party consent states
+    // (CA, FL, IL, MD, MA, PA, WA...) set the bar for every US call
+    US: { language: 'en', aiDisclosure: true, basis: 'US all-party consent states; FCC rules on AI-generated voices' },
+    CA: { language: 'en', aiDisclosure: false, basis: 'PIPEDA - callers must be told a call is recorded' },
+    GB: { language: 'en', aiDisclosure: false, basis: 'UK GDPR transparency; Ofcom guidance' },
+    AU: { language: 'en', aiDisclosure: false, basis: 'Telecommunications (Interception and Access) Act; state surveillance devices acts' },
+    NZ: { language: 'en', aiDisclosure: false, basis: 'Privacy Act 2020 - collection notice' },
+    ...Object.fromEntries(Object.keys(EU_CALLING_CODES).map(country => [country, {
+        language: { FR: 'fr', BE: 'fr', LU: 'fr', DE: 'de', AT: 'de', ES: 'es', IT: 'it', NL: 'nl' }[country] || 'en',
+        aiDisclosure: true,
+        basis: 'GDPR Art. 13 transparency; EU AI Act Art. 50 (AI interactions)',
+    }])),
+};
+
+const DISCLOSURE_TEXT = {
+    en: {
+        recording: 'This call is recorded for quality and research purposes.',
+        ai: 'I am an AI assistant',
+        onBehalfOf: business => `I am an AI assistant calling on behalf of ${business}.`,
+    },
+    fr: {
+        recording: 'Cet appel est enregistré à des fins de qualité et d\'étude.',
+        ai: 'Je suis un assistant virtuel',
+        onBehalfOf: business => `Je suis un assistant virtuel qui appelle de la part de ${business}.`,
+    },
+    de: {
+        recording: 'Dieses Gespräch wird zu Qualitäts- und Forschungszwecken aufgezeichnet.',
+        ai: 'Ich bin ein KI-Assistent',
+        onBehalfOf: business => `Ich bin ein KI-Assistent und rufe im Auftrag von ${business} an.`,
+    },
+    es: {
+        recording: 'Esta llamada se graba con fines de calidad e investigación.',
+        ai: 'Soy un asistente de inteligencia artificial',
+        onBehalfOf: business => `Soy un asistente de inteligencia artificial que llama en nombre de ${business}.`,
+    },
+    it: {
+        recording: 'Questa chiamata viene registrata per finalità di qualità e ricerca.',
+        ai: 'Sono un assistente virtuale',
+        onBehalfOf: business => `Sono un assistente virtuale che chiama per conto di ${business}.`,
+    },
+    nl: {
+        recording: 'Dit gesprek wordt opgenomen voor kwaliteits- en onderzoeksdoeleinden.',
+        ai: 'Ik ben een AI-assistent',
+        onBehalfOf: business => `Ik ben een AI-assistent en bel namens ${business}.`,
+    },
+};
+
+/**
+ * Destination country of a number
+ */
+export function getDestinationCountry(phone, defaultCountry) {
+    const e164 = toE164(phone, defaultCountry);
+    if (!e164) return null;
+
+    const country = getCallingCountry(e164);
+    if (country) return country;
+
+    // Longest calling code wins (+358 before +35)
+    const match = Object.entries(EU_CALLING_CODES)
+        .filter(([, code]) => e164.startsWith(`+${code}`))
+        .sort((a, b) => b[1].length - a[1].length)[0];
+    return match ? match[0] : null;
+}
+
+/**
+ * Validate a custom disclosure line
+ * @returns {{ text: string|null, error: string|null }} - null text uses the built-in wording
+ */
+export function validateDisclosureText(text) {
+    if (text === null || text === undefined || String(text).trim() === '') {
+        return { text: null, error: null };
+    }
+
+    const trimmed = String(text).trim().replace(/\s+/g, ' ');
+    if (trimmed.length > MAX_DISCLOSURE_LENGTH) {
+        return { text: null, error: `Disclosure must be ${MAX_DISCLOSURE_LENGTH} characters or fewer` };
+    }
+    if (!/record/i.test(trimmed)) {
+        return { text: null, error: 'Disclosure must say that the call is recorded' };
+    }
+
+    return { text: trimmed, error: null };
+}
+
+/**
+ * Disclosure for a call
+ * @param {string} phone - Destination number
+ * @param {Object} settings - { mode, customText, businessName, defaultCountry }
+ * @returns {Object|null} - { text, country, required, basis, mode }, or null if none is needed
+ */
+export function buildDisclosure(phone, { mode = DEFAULT_CONSENT_MODE, customText = null, businessName = null, defaultCountry } = {}) {
+    const country = getDestinationCountry(phone, defaultCountry);
+    const rule = country ? DISCLOSURE_RULES[country] : null;
+
+    if (!rule && mode !== 'always') return null;
+
+    const language = rule?.language || 'en';
+    const wording = DISCLOSURE_TEXT[language];
+    let text;
+
+    if (customText) {
+        text = customText;
+    } else {
+        const aiLine = businessName ? wording.onBehalfOf(businessName) : `${wording.ai}.`;
+        text = rule?.aiDisclosure || mode === 'always' ? `${aiLine} ${wording.recording}` : wording.recording;
+    }
+
+    return {
+        text,
+        country,
+        required: !!rule,
+        basis: rule?.basis || null,
+        mode,
+    };
+}
+
+/**
+ * Put the disclosure in front of a first message (once)
+ */
+export function prependDisclosure(firstMessage, disclosureText) {
+    const message = String(firstMessage || '').trim();
+    if (!disclosureText) return message;
+    if (message.includes(disclosureText)) return message;
+    return message ? `${disclosureText} ${message}` : disclosureText;
+}
+
+/**
+ * Add the disclosure to a VAPI call payload
+ * Inline assistants get it in their firstMessage; saved assistants (assistantId)
+ * get it in assistantOverrides.firstMessage, in front of baseFirstMessage
+ * @param {Object} callPayload - Payload for POST /call/phone (modified in place)
+ * @param {Object|null} disclosure - From buildDisclosure
+ * @param {string|null} baseFirstMessage - The saved assistant's own first message
+ * @returns {Object} - The payload
+ */
+export function applyDisclosure(callPayload, disclosure, baseFirstMessage = null) {
+    if (!disclosure) return callPayload;
+
+    if (callPayload.assistant) {
+        callPayload.assistant.firstMessage = prependDisclosure(callPayload.assistant.firstMessage, disclosure.text);
+        return callPayload;
+    }
+
+    const overrides = callPayload.assistantOverrides || {};
+    callPayload.assistantOverrides = {
+        ...overrides,
+        firstMessage: prependDisclosure(overrides.firstMessage || baseFirstMessage, disclosure.text),
+    };
+    return callPayload;
+}
+
+// A later "call me (back/again) <when>" turns a "don't call me" into a callback request
+const CALLBACK_REQUEST = String.raw`(?!.*\b(?:back|again|(?:call|ring|phone)\s+me)\s+(?:after|at|around|before|by|in|on|later|next|this|tomorrow|today|tonight|monday|tuesday|wednesday|thursday|friday|saturday|sunday|\d))`;
+
+// Said by the lead, these mean "stop calling me"
+const OPT_OUT_PATTERNS = [
+    // The negation must govern the call verb - not "why don't you call me back"
+    new RegExp(String.raw`(?<!\bwhy\s)\b(?:don'?t|do not|never|stop|quit)\s+(?:ever\s+|bother\s+)?(?:call|calling|ring|ringing|phone|phoning|contact|contacting|bother|bothering)\s+(?:me|us|here|this number|again)\b${CALLBACK_REQUEST}`, 'i'),
+    // "Stop calling." needs no object
+    new RegExp(String.raw`(?<!\bwhy\s)\b(?:stop|quit)\s+(?:calling|ringing|phoning|contacting|bothering)\b${CALLBACK_REQUEST}`, 'i'),
+    /\b(?:take|remove|delete|get|scrub)\s+(?:me|us|my number|this number|our number)\s+(?:off|from|out of)\s+(?:your|the|this)\s+(?:\w+\s+)?(?:list|database|records|system)\b/i,
+    /\b(?:add|put)\s+(?:me|us|my number|this number)\s+(?:on|to)\s+(?:your|the)\s+do[\s-]?not[\s-]?call\b/i,
+    /\bno more calls\b/i,
+    /\b(?:unsubscribe|opt(?:\s|-)?out)\b/i,
+    /\bne m'appelez plus\b/i,
+    /\brufen sie (?:mich|uns) nicht mehr an\b/i,
+    /\bno (?:me|nos) (?:llame|llamen|vuelva a llamar)\b/i,
+];
+
+/**
+ * What the lead said on the call
+ * Uses the message list when available, otherwise "User:" lines of the transcript
+ */
+export function getLeadUtterances({ transcript = null, messages = null } = {}) {
+    if (Array.isArray(messages) && messages.length > 0) {
+        return messages
+            .filter(m => m?.role === 'user' || m?.role === 'customer')
+            .map(m => String(m.message || m.content || '').trim())
+            .filter(Boolean);
+    }
+
+    return String(transcript || '')
+        .split('\n')
+        .map(line => line.match(/^\s*(?:user|customer|human)\s*:\s*(.+)$/i)?.[1]?.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Find a verbal opt-out in a call
+ * @param {Object} call - { transcript, messages }
+ * @returns {{ optedOut: boolean, phrase: string|null }} - phrase is the utterance that matched
+ */
+export function detectOptOut(call) {
+    for (const utterance of getLeadUtterances(call)) {
+        if (OPT_OUT_PATTERNS.some(pattern => pattern.test(utterance))) {
+            return { optedOut: true, phrase: utterance.slice(0, 300) };
+        }
+    }
+    return { optedOut: false, phrase: null };
+}
+
+export default {
+    CONSENT_MODES,
+    DEFAULT_CONSENT_MODE,
+    MAX_DISCLOSURE_LENGTH,
+    DISCLOSURE_RULES,
+    getDestinationCountry,
+    validateDisclosureText,
+    buildDisclosure,
+    prependDisclosure,
+    applyDisclosure,
+    getLeadUtterances,
+    detectOptOut,
+};
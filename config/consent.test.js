@@ -0,0 +1,181 @@
+/**
+ * Unit tests for call consent module
+ */
+
+import {
+    getDestinationCountry,
+    validateDisclosureText,
+    buildDisclosure,
+    prependDisclosure,
+    applyDisclosure,
+    getLeadUtterances,
+    detectOptOut,
+} from './consent.js';
+
+describe('Destination Country', () => {
+    test('should resolve countries from the calling code', () => {
+        expect(getDestinationCountry('+353861234567')).toBe('IE');
+        expect(getDestinationCountry('+447700900123')).toBe('GB');
+        expect(getDestinationCountry('+12125550123')).toBe('US');
+        expect(getDestinationCountry('+14165550123')).toBe('CA');
+    });
+
+    test('should resolve EU countries outside the number pool list', () => {
+        expect(getDestinationCountry('+48221234567')).toBe('PL');
+        expect(getDestinationCountry('+358401234567')).toBe('FI');
+    });
+
+    test('should use the default country for national numbers', () => {
+        expect(getDestinationCountry('086 123 4567', 'IE')).toBe('IE');
+    });
+
+    test('should return null for unknown or invalid numbers', () => {
+        expect(getDestinationCountry('+81312345678')).toBeNull();
+        expect(getDestinationCountry('not a number')).toBeNull();
+    });
+});
+
+describe('Disclosure Text Validation', () => {
+    test('should treat empty text as the built-in wording', () => {
+        expect(validateDisclosureText('')).toEqual({ text: null, error: null });
+        expect(validateDisclosureText(null)).toEqual({ text: null, error: null });
+    });
+
+    test('should normalize whitespace', () => {
+        expect(validateDisclosureText('  This call   is recorded. ').text).toBe('This call is recorded.');
+    });
+
+    test('should require a mention of recording', () => {
+        expect(validateDisclosureText('Hello there!').error).toContain('recorded');
+    });
+
+    test('should reject overly long text', () => {
+        expect(validateDisclosureText(`Recorded ${'x'.repeat(300)}`).error).toContain('300');
+    });
+});
+
+describe('Building Disclosures', () => {
+    test('should disclose recording on Irish and UK calls', () => {
+        const ie = buildDisclosure('+353861234567');
+        expect(ie.required).toBe(true);
+        expect(ie.country).toBe('IE');
+        expect(ie.text).toContain('This call is recorded');
+        expect(ie.basis).toContain('GDPR');
+
+        const gb = buildDisclosure('+447700900123');
+        expect(gb.text).toBe('This call is recorded for quality and research purposes.');
+    });
+
+    test('should add an AI disclosure where the rules require it', () => {
+        const us = buildDisclosure('+12125550123', { businessName: 'Acme' });
+        expect(us.text).toBe('I am an AI assistant calling on behalf of Acme. This call is recorded for quality and research purposes.');
+    });
+
+    test('should use the language of the destination', () => {
+        expect(buildDisclosure('+33612345678').text).toContain('Cet appel est enregistré');
+        expect(buildDisclosure('+4915112345678').text).toContain('aufgezeichnet');
+    });
+
+    test('should skip countries without a rule in auto mode', () => {
+        expect(buildDisclosure('+81312345678')).toBeNull();
+    });
+
+    test('should disclose everywhere in always mode', () => {
+        const disclosure = buildDisclosure('+81312345678', { mode: 'always' });
+        expect(disclosure.required).toBe(false);
+        expect(disclosure.text).toContain('This call is recorded');
+    });
+
+    test('should use custom wording when set', () => {
+        const disclosure = buildDisclosure('+353861234567', { customText: 'Just so you know, we record calls.' });
+        expect(disclosure.text).toBe('Just so you know, we record calls.');
+        expect(disclosure.required).toBe(true);
+    });
+});
+
+describe('Applying Disclosures', () => {
+    const disclosure = { text: 'This call is recorded.' };
+
+    test('should prepend once', () => {
+        expect(prependDisclosure('Hi, is this Sam?', 'This call is recorded.')).toBe('This call is recorded. Hi, is this Sam?');
+        expect(prependDisclosure('This call is recorded. Hi!', 'This call is recorded.')).toBe('This call is recorded. Hi!');
+        expect(prependDisclosure('', 'This call is recorded.')).toBe('This call is recorded.');
+    });
+
+    test('should set assistantOverrides.firstMessage for saved assistants', () => {
+        const payload = applyDisclosure({ assistantId: 'a1', assistantOverrides: { voicemailDetection: {} } }, disclosure, 'Hello!');
+        expect(payload.assistantOverrides.firstMessage).toBe('This call is recorded. Hello!');
+        expect(payload.assistantOverrides.voicemailDetection).toEqual({});
+    });
+
+    test('should prefer an existing first message override', () => {
+        const payload = applyDisclosure({ assistantId: 'a1', assistantOverrides: { firstMessage: 'Hi there' } }, disclosure, 'Hello!');
+        expect(payload.assistantOverrides.firstMessage).toBe('This call is recorded. Hi there');
+    });
+
+    test('should update inline assistants directly', () => {
+        const payload = applyDisclosure({ assistant: { firstMessage: 'Hello!' } }, disclosure);
+        expect(payload.assistant.firstMessage).toBe('This call is recorded. Hello!');
+        expect(payload.assistantOverrides).toBeUndefined();
+    });
+
+    test('should leave the payload alone without a disclosure', () => {
+        expect(applyDisclosure({ assistantId: 'a1' }, null)).toEqual({ assistantId: 'a1' });
+    });
+});
+
+describe('Opt-Out Detection', () => {
+    test('should read user turns from messages', () => {
+        const messages = [
+            { role: 'system', message: 'You are...' },
+            { role: 'bot', message: 'Hi!' },
+            { role: 'user', message: 'Who is this?' },
+        ];
+        expect(getLeadUtterances({ messages })).toEqual(['Who is this?']);
+    });
+
+    test('should fall back to transcript lines', () => {
+        const transcript = 'AI: Hi, is this Sam?\nUser: Yes.\nAI: Great.';
+        expect(getLeadUtterances({ transcript })).toEqual(['Yes.']);
+    });
+
+    test.each([
+        "Please don't call me again.",
+        "Don't ever call me again",
+        "Don't bother calling me again",
+        'Stop calling this number',
+        'Stop calling.',
+        'Quit ringing',
+        'Take me off your list',
+        'Remove my number from your calling list please',
+        'Put me on the do not call list',
+        'No more calls, thanks',
+        'I want to opt out',
+        'Ne m\'appelez plus',
+        'Rufen Sie mich nicht mehr an',
+        'Por favor no me llame',
+    ])('should detect "%s"', (phrase) => {
+        const result = detectOptOut({ transcript: `AI: Hello\nUser: ${phrase}` });
+        expect(result).toEqual({ optedOut: true, phrase });
+    });
+
+    test('should ignore the assistant saying the same words', () => {
+        const transcript = 'AI: If you like, I can take you off our list.\nAI: We won\'t call you again.\nUser: Thanks, bye.';
+        expect(detectOptOut({ transcript }).optedOut).toBe(false);
+    });
+
+    test('should not flag ordinary conversation', () => {
+        const transcript = 'User: Sure, call me back next week.\nUser: I called you earlier actually.';
+        expect(detectOptOut({ transcript })).toEqual({ optedOut: false, phrase: null });
+    });
+
+    test.each([
+        "Why don't you call me back tomorrow?",
+        "don't bother calling me before ten, call me again after lunch",
+        "Don't call me now, call me back at 3",
+        "I am busy, don't bother me now, call me next week",
+        'Stop calling me today, ring me tomorrow',
+    ])('should not treat a callback request as an opt-out: "%s"', (phrase) => {
+        expect(detectOptOut({ transcript: `AI: Hello\nUser: ${phrase}` }).optedOut).toBe(false);
+    });
+});
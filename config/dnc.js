@@ -0,0 +1,187 @@
+/**
+ * Do-Not-Call Registry Configuration
+ *
+ * Numbers from national opt-out registries are loaded from files the user
+ * uploads (or the platform admin uploads for everyone) and checked before
+ * every dial:
+ * - US: the FTC National Do Not Call Registry (area code + number per line)
+ * - IE: ComReg's National Directory Database opt-out register
+ *
+ * All numbers are compared in E.164. A listed number is blocked, or only
+ * flagged when the user's dnc_mode is 'flag' (e.g. existing customers).
+ */
+
+import { COUNTRY_CALLING_CODES } from './numberPool.js';
+
+export const DNC_REGISTRIES = {
+    us_national: {
+        country: 'US',
+        name: 'US National Do Not Call Registry',
+    },
+    ie_ndd: {
+        country: 'IE',
+        name: 'Ireland NDD opt-out register (ComReg)',
+    },
+};
+
+export const DNC_MODES = ['block', 'flag'];
+export const DEFAULT_DNC_MODE = 'block';
+export const DEFAULT_DNC_COUNTRY = 'IE';
+
+/**
+ * Screening results stored on leads.dnc_status
+ * - clear: a registry for the number's country is loaded and it isn't listed
+ * - listed: on a registry
+ * - unscreened: no registry loaded for the number's country
+ * - invalid: couldn't be turned into an E.164 number
+ */
+export const DNC_STATUSES = ['clear', 'listed', 'unscreened', 'invalid'];
+
+const NANP_COUNTRIES = ['US', 'CA'];
+
+/**
+ * Normalize a phone number to E.164
+ * National formats are read in the default country: "086 123 4567" (IE) -> +353861234567,
+ * "(201) 555-0123" (US) -> +12015550123
+ * @param {string} phone - Number in any common format
+ * @param {string} defaultCountry - ISO country for numbers without a country code
+ * @returns {string|null} - E.164, or null if it can't be a valid number
+ */
+export function toE164(phone, defaultCountry = DEFAULT_DNC_COUNTRY) {
+    if (!phone) return null;
+
+    const trimmed = String(phone).trim();
+    const digits = trimmed.replace(/\D/g, '');
+    if (!digits) return null;
+
+    const country = String(defaultCountry || DEFAULT_DNC_COUNTRY).toUpperCase();
+    const callingCode = COUNTRY_CALLING_CODES[country];
+    let e164;
+
+    if (trimmed.startsWith('+')) {
+        e164 = `+${digits}`;
+    } else if (digits.startsWith('00')) {
+        e164 = `+${digits.slice(2)}`;
+    } else if (NANP_COUNTRIES.includes(country) && digits.length === 10) {
+        e164 = `+1${digits}`;
+    } else if (NANP_COUNTRIES.includes(country) && digits.length === 11 && digits.startsWith('1')) {
+        e164 = `+${digits}`;
+    } else if (digits.startsWith('0') && callingCode) {
+        // National trunk prefix
+        e164 = `+${callingCode}${digits.slice(1)}`;
+    } else if (callingCode && digits.startsWith(callingCode) && digits.length > callingCode.length + 6) {
+        // Country code written without the +
+        e164 = `+${digits}`;
+    } else if (callingCode) {
+        e164 = `+${callingCode}${digits}`;
+    } else {
+        return null;
+    }
+
+    // E.164 allows at most 15 digits; anything under 8 isn't a dialable number
+    return /^\+[1-9]\d{7,14}$/.test(e164) ? e164 : null;
+}
+
+/**
+ * ISO country whose registry covers an E.164 number (null if none we support)
+ */
+export function getRegistryCountry(e164) {
+    if (!e164) return null;
+    if (e164.startsWith('+1')) return 'US';
+    if (e164.startsWith(`+${COUNTRY_CALLING_CODES.IE}`)) return 'IE';
+    return null;
+}
+
+/**
+ * Registries that can list a number
+ * @returns {string[]} - Keys of DNC_REGISTRIES
+ */
+export function getRegistriesForNumber(e164) {
+    const country = getRegistryCountry(e164);
+    return Object.entries(DNC_REGISTRIES)
+        .filter(([, registry]) => registry.country === country)
+        .map(([key]) => key);
+}
+
+/**
+ * Pull the phone number out of one registry file line
+ * Handles "2015550123", "201,5550123" (FTC area code files), "0861234567",
+ * and CSVs where the number is in any column
+ */
+function extractLineNumber(line) {
+    const cells = line.split(/[,;\t|]/).map(c => c.trim().replace(/^"|"$/g, ''));
+
+    // FTC format: area code and local number in separate columns
+    if (/^\d{3}$/.test(cells[0]) && /^\d{7}$/.test(cells[1] || '')) {
+        return cells[0] + cells[1];
+    }
+
+    return cells.find(c => (c.match(/\d/g) || []).length >= 7 && /^[+\d\s().-]+$/.test(c)) || null;
+}
+
+/**
+ * Parse an uploaded registry file
+ * @param {string} text - File contents
+ * @param {string} registry - Key of DNC_REGISTRIES (sets the default country)
+ * @returns {{ numbers: string[], invalid: number, lines: number }} - Unique E.164 numbers
+ */
+export function parseRegistryFile(text, registry) {
+    const country = DNC_REGISTRIES[registry]?.country || DEFAULT_DNC_COUNTRY;
+    const numbers = new Set();
+    let invalid = 0;
+    let lines = 0;
+
+    for (const line of String(text || '').split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        lines++;
+
+        const raw = extractLineNumber(line);
+        const e164 = raw ? toE164(raw, country) : null;
+
+        if (e164) numbers.add(e164);
+        // Header rows have no number and aren't counted as invalid
+        else if (raw || /\d/.test(line)) invalid++;
+    }
+
+    return { numbers: [...numbers], invalid, lines };
+}
+
+/**
+ * Work out the screening result for one number
+ * @param {string|null} e164 - From toE164
+ * @param {string[]} listedIn - Registries the number was found on
+ * @param {string[]} loadedRegistries - Registries the user has numbers loaded for
+ * @param {string} mode - 'block' or 'flag'
+ * @returns {{ status: string, registry: string|null, allowed: boolean }}
+ */
+export function resolveScreening(e164, listedIn = [], loadedRegistries = [], mode = DEFAULT_DNC_MODE) {
+    if (!e164) {
+        return { status: 'invalid', registry: null, allowed: false };
+    }
+
+    if (listedIn.length > 0) {
+        return { status: 'listed', registry: listedIn[0], allowed: mode === 'flag' };
+    }
+
+    const applicable = getRegistriesForNumber(e164);
+    const screened = applicable.some(registry => loadedRegistries.includes(registry));
+
+    return {
+        status: screened ? 'clear' : 'unscreened',
+        registry: screened ? applicable.find(r => loadedRegistries.includes(r)) : null,
+        allowed: true,
+    };
+}
+
+export default {
+    DNC_REGISTRIES,
+    DNC_MODES,
+    DEFAULT_DNC_MODE,
+    DEFAULT_DNC_COUNTRY,
+    DNC_STATUSES,
+    toE164,
+    getRegistryCountry,
+    getRegistriesForNumber,
+    parseRegistryFile,
+    resolveScreening,
+};
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for do-not-call registry module
+ */
+
+import {
+    toE164,
+    getRegistryCountry,
+    getRegistriesForNumber,
+    parseRegistryFile,
+    resolveScreening,
+} from './dnc.js';
+
+describe('E.164 Normalization', () => {
+    test('should keep international numbers', () => {
+        expect(toE164('+353 86 123 4567')).toBe('+353861234567');
+        expect(toE164('00353861234567')).toBe('+353861234567');
+        expect(toE164('+1 (201) 555-0123', 'IE')).toBe('+12015550123');
+    });
+
+    test('should read Irish national numbers', () => {
+        expect(toE164('086 123 4567', 'IE')).toBe('+353861234567');
+        expect(toE164('(01) 265 5181', 'IE')).toBe('+35312655181');
+        expect(toE164('353861234567', 'IE')).toBe('+353861234567');
+    });
+
+    test('should read US national numbers', () => {
+        expect(toE164('(201) 555-0123', 'US')).toBe('+12015550123');
+        expect(toE164('1-201-555-0123', 'US')).toBe('+12015550123');
+    });
+
+    test('should reject numbers that cannot be valid', () => {
+        expect(toE164('')).toBeNull();
+        expect(toE164('12345', 'US')).toBeNull();
+        expect(toE164('+0123456789')).toBeNull();
+        expect(toE164('+1234567890123456')).toBeNull();
+    });
+});
+
+describe('Registry Coverage', () => {
+    test('should map numbers to the registry for their country', () => {
+        expect(getRegistryCountry('+12015550123')).toBe('US');
+        expect(getRegistryCountry('+353861234567')).toBe('IE');
+        expect(getRegistryCountry('+447700900123')).toBeNull();
+        expect(getRegistriesForNumber('+353861234567')).toEqual(['ie_ndd']);
+        expect(getRegistriesForNumber('+12015550123')).toEqual(['us_national']);
+    });
+});
+
+describe('Registry File Parsing', () => {
+    test('should parse FTC area code files', () => {
+        const { numbers, invalid } = parseRegistryFile('201,5550123\n201,5550124\n2015550125\n', 'us_national');
+        expect(numbers).toEqual(['+12015550123', '+12015550124', '+12015550125']);
+        expect(invalid).toBe(0);
+    });
+
+    test('should parse Irish national numbers, skip headers and dedupe', () => {
+        const { numbers, invalid, lines } = parseRegistryFile(
+            'Phone Number,Date Added\r\n0861234567,2026-01-01\r\n+353 86 123 4567,2026-01-02\r\n01 265 5181,2026-01-03\r\n',
+            'ie_ndd'
+        );
+        expect(numbers).toEqual(['+353861234567', '+35312655181']);
+        expect(invalid).toBe(0);
+        expect(lines).toBe(4);
+    });
+
+    test('should count lines it cannot read', () => {
+        const { numbers, invalid } = parseRegistryFile('12345\n2015550123', 'us_national');
+        expect(numbers).toEqual(['+12015550123']);
+        expect(invalid).toBe(1);
+    });
+});
+
+describe('Screening Results', () => {
+    test('should block listed numbers in block mode', () => {
+        expect(resolveScreening('+353861234567', ['ie_ndd'], ['ie_ndd'], 'block')).toEqual({
+            status: 'listed',
+            registry: 'ie_ndd',
+            allowed: false,
+        });
+    });
+
+    test('should allow but flag listed numbers in flag mode', () => {
+        expect(resolveScreening('+353861234567', ['ie_ndd'], ['ie_ndd'], 'flag').allowed).toBe(true);
+    });
+
+    test('should be clear only when the country registry is loaded', () => {
+        expect(resolveScreening('+353861234567', [], ['ie_ndd']).status).toBe('clear');
+        expect(resolveScreening('+353861234567', [], ['us_national']).status).toBe('unscreened');
+        expect(resolveScreening('+447700900123', [], ['ie_ndd', 'us_national']).status).toBe('unscreened');
+    });
+
+    test('should refuse numbers that could not be normalized', () => {
+        expect(resolveScreening(null, [], ['ie_ndd'])).toEqual({ status: 'invalid', registry: null, allowed: false });
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Email Transport Configuration
+ *
+ * Every outgoing email goes through services/emailTransport.js, which tries
+ * an ordered chain of provider adapters:
+ * 1. The user's own providers (profiles.email_provider first, then any other
+ *    provider they saved a key for)
+ * 2. The platform providers from EMAIL_PROVIDERS (default: resend,sendgrid,smtp),
+ *    skipping any that aren't configured
+ *
+ * The next provider is only tried when the error is one another provider
+ * could get past (network, auth, rate limit, 5xx) - a malformed message
+ * would fail everywhere.
+ */
+
+import { getSendGridMessageId } from './sendgridWebhook.js';
+
+export const EMAIL_PROVIDERS = ['resend', 'sendgrid', 'smtp', 'file'];
+
+export const DEFAULT_PLATFORM_PROVIDERS = ['resend', 'sendgrid', 'smtp'];
+
+// Bad request / unprocessable message - retrying elsewhere won't help
+const NON_RETRYABLE_STATUS_CODES = [400, 413, 422];
+
+/**
+ * Parse a comma-separated provider list, dropping unknown names and duplicates
+ * @param {string|string[]} value - e.g. "sendgrid, resend"
+ * @returns {string[]}
+ */
+export function parseProviderList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    const providers = [];
+
+    for (const item of items) {
+        const name = String(item).trim().toLowerCase();
+        if (EMAIL_PROVIDERS.includes(name) && !providers.includes(name)) {
+            providers.push(name);
+        }
+    }
+
+    return providers;
+}
+
+/**
+ * Platform providers to use, in order
+ * @param {Object} env - process.env (or a subset of it)
+ * @returns {string[]} - Only providers that have credentials configured
+ */
+export function getPlatformProviders(env = {}) {
+    const requested = parseProviderList(env.EMAIL_PROVIDERS);
+    const order = requested.length > 0 ? requested : DEFAULT_PLATFORM_PROVIDERS;
+
+    return order.filter(provider => isPlatformProviderConfigured(provider, env));
+}
+
+/**
+ * Whether the platform has credentials for a provider
+ */
+export function isPlatformProviderConfigured(provider, env = {}) {
+    switch (provider) {
+        case 'resend':
+            return !!env.RESEND_API_KEY;
+        case 'sendgrid':
+            return !!env.SENDGRID_API_KEY;
+        case 'smtp':
+            return !!(env.SMTP_URL || env.SMTP_HOST);
+        case 'file':
+            // The sink needs nothing but a writable directory
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Build the ordered list of transports to try for one send
+ * @param {Object[]} userProviders - [{ provider, apiKey }] from the user's settings, preferred first
+ * @param {string[]} platformProviders - From getPlatformProviders
+ * @returns {Object[]} - [{ provider, apiKey, owner: 'user'|'platform' }]
+ */
+export function buildTransportChain(userProviders = [], platformProviders = []) {
+    const chain = [];
+
+    for (const { provider, apiKey } of userProviders) {
+        if (!EMAIL_PROVIDERS.includes(provider) || !apiKey) continue;
+        if (chain.some(t => t.provider === provider && t.apiKey === apiKey)) continue;
+        chain.push({ provider, apiKey, owner: 'user' });
+    }
+
+    for (const provider of platformProviders) {
+        if (chain.some(t => t.provider === provider && t.owner === 'platform')) continue;
+        chain.push({ provider, apiKey: null, owner: 'platform' });
+    }
+
+    return chain;
+}
+
+/**
+ * Normalize a provider message ID to the form we store in email_logs.resend_id
+ * and match webhook events against
+ * @param {string} provider - Provider that sent the message
+ * @param {string} messageId - ID as the provider returned it
+ */
+export function normalizeMessageId(provider, messageId) {
+    if (!messageId) return null;
+
+    if (provider === 'sendgrid') {
+        return getSendGridMessageId(messageId);
+    }
+
+    // SMTP Message-IDs come wrapped in angle brackets
+    return String(messageId).trim().replace(/^<|>$/g, '') || null;
+}
+
+/**
+ * Whether a failed send should be retried on the next provider
+ * @param {Error} error - Error thrown by an adapter (may carry statusCode)
+ */
+export function shouldFailover(error) {
+    if (!error) return false;
+    if (error.retryable === false) return false;
+
+    const status = Number(error.statusCode);
+    if (NON_RETRYABLE_STATUS_CODES.includes(status)) return false;
+
+    return true;
+}
+
+export default {
+    EMAIL_PROVIDERS,
+    DEFAULT_PLATFORM_PROVIDERS,
+    parseProviderList,
+    getPlatformProviders,
+    isPlatformProviderConfigured,
+    buildTransportChain,
+    normalizeMessageId,
+    shouldFailover,
+};
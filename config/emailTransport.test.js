@@ -0,0 +1,106 @@
+/**
+ * Unit tests for email transport configuration
+ */
+
+import {
+    parseProviderList,
+    getPlatformProviders,
+    isPlatformProviderConfigured,
+    buildTransportChain,
+    normalizeMessageId,
+    shouldFailover,
+} from './emailTransport.js';
+
+describe('Provider Lists', () => {
+    test('should parse, lowercase and dedupe provider names', () => {
+        expect(parseProviderList(' SendGrid, resend,sendgrid ')).toEqual(['sendgrid', 'resend']);
+        expect(parseProviderList(['smtp', 'file'])).toEqual(['smtp', 'file']);
+    });
+
+    test('should drop unknown providers and empty input', () => {
+        expect(parseProviderList('mailgun,resend')).toEqual(['resend']);
+        expect(parseProviderList('')).toEqual([]);
+        expect(parseProviderList(undefined)).toEqual([]);
+    });
+
+    test('should only use configured platform providers', () => {
+        expect(getPlatformProviders({ RESEND_API_KEY: 're_x' })).toEqual(['resend']);
+        expect(getPlatformProviders({ SENDGRID_API_KEY: 'SG.x', SMTP_HOST: 'mail' })).toEqual(['sendgrid', 'smtp']);
+        expect(getPlatformProviders({})).toEqual([]);
+    });
+
+    test('should respect EMAIL_PROVIDERS order', () => {
+        expect(getPlatformProviders({
+            EMAIL_PROVIDERS: 'smtp,resend',
+            RESEND_API_KEY: 're_x',
+            SENDGRID_API_KEY: 'SG.x',
+            SMTP_URL: 'smtp://localhost',
+        })).toEqual(['smtp', 'resend']);
+    });
+
+    test('should treat the file sink as always configured', () => {
+        expect(isPlatformProviderConfigured('file', {})).toBe(true);
+        expect(getPlatformProviders({ EMAIL_PROVIDERS: 'file' })).toEqual(['file']);
+        expect(isPlatformProviderConfigured('mailgun', {})).toBe(false);
+    });
+});
+
+describe('Transport Chain', () => {
+    test('should try user providers before platform providers', () => {
+        const chain = buildTransportChain(
+            [{ provider: 'sendgrid', apiKey: 'SG.user' }, { provider: 'resend', apiKey: 're_user' }],
+            ['resend', 'smtp']
+        );
+        expect(chain).toEqual([
+            { provider: 'sendgrid', apiKey: 'SG.user', owner: 'user' },
+            { provider: 'resend', apiKey: 're_user', owner: 'user' },
+            { provider: 'resend', apiKey: null, owner: 'platform' },
+            { provider: 'smtp', apiKey: null, owner: 'platform' },
+        ]);
+    });
+
+    test('should skip user providers without a key', () => {
+        const chain = buildTransportChain([{ provider: 'resend', apiKey: null }], ['resend']);
+        expect(chain).toEqual([{ provider: 'resend', apiKey: null, owner: 'platform' }]);
+    });
+
+    test('should be empty when nothing is configured', () => {
+        expect(buildTransportChain([], [])).toEqual([]);
+    });
+});
+
+describe('Message IDs', () => {
+    test('should strip the SendGrid filter suffix', () => {
+        expect(normalizeMessageId('sendgrid', 'abc123.filter0001.1')).toBe('abc123');
+    });
+
+    test('should strip angle brackets from SMTP Message-IDs', () => {
+        expect(normalizeMessageId('smtp', '<a1b2@validatecall.com>')).toBe('a1b2@validatecall.com');
+    });
+
+    test('should keep Resend ids as-is', () => {
+        expect(normalizeMessageId('resend', '4ef9a417-02e9-4d39-ad75-9611e0fcc33c')).toBe('4ef9a417-02e9-4d39-ad75-9611e0fcc33c');
+        expect(normalizeMessageId('resend', null)).toBeNull();
+    });
+});
+
+describe('Failover Decisions', () => {
+    const withStatus = (statusCode, retryable) => Object.assign(new Error('failed'), { statusCode, retryable });
+
+    test('should fail over on network, auth, rate limit and server errors', () => {
+        expect(shouldFailover(new Error('ECONNRESET'))).toBe(true);
+        expect(shouldFailover(withStatus(401))).toBe(true);
+        expect(shouldFailover(withStatus(429))).toBe(true);
+        expect(shouldFailover(withStatus(503))).toBe(true);
+    });
+
+    test('should not fail over on a malformed message', () => {
+        expect(shouldFailover(withStatus(400))).toBe(false);
+        expect(shouldFailover(withStatus(422))).toBe(false);
+    });
+
+    test('should honor adapters marking an error permanent', () => {
+        expect(shouldFailover(withStatus(550, false))).toBe(false);
+        expect(shouldFailover(null)).toBe(false);
+    });
+});
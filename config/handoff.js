@@ -0,0 +1,115 @@
+/**
+ * Warm Transfer (Handoff) Configuration
+ *
+ * Decides where a qualified lead's call is transferred:
+ * 1. Campaign handoff number (if the campaign overrides it)
+ * 2. The user's handoff number from settings
+ * 3. The legacy global HANDOFF_PHONE env var
+ * Outside the user's business hours the assistant takes a message instead,
+ * which is emailed to the user when the call ends.
+ */
+
+import { isValidTimezone, isWithinSendWindow } from './timezones.js';
+
+export const LEAD_QUALITIES = ['hot', 'warm', 'cold'];
+
+export const DEFAULT_HANDOFF_HOURS = {
+    timezone: 'UTC',
+    start: '09:00',
+    end: '17:00',
+    days: [1, 2, 3, 4, 5],
+};
+
+/**
+ * Instructions returned to the assistant when nobody is available
+ */
+export const TAKE_MESSAGE_INSTRUCTIONS = "Nobody is available to take the call right now because it's outside business hours. Do not transfer. Let the caller know, ask for a short message and the best time and number to call them back, confirm it back to them, then end the call politely.";
+
+/**
+ * Check a phone number looks like E.164 (+ and 8-15 digits)
+ */
+export function isValidHandoffPhone(phone) {
+    return typeof phone === 'string' && /^\+[1-9]\d{7,14}$/.test(phone.trim());
+}
+
+/**
+ * Pick the transfer target for a call
+ * @param {Object} profile - Profile row (handoff_phone, handoff_name)
+ * @param {Object} campaign - Campaign row (handoff_phone, handoff_name), optional
+ * @param {string} fallbackPhone - Global HANDOFF_PHONE, optional
+ * @returns {{ phone: string, name: string|null, source: string }|null}
+ */
+export function resolveHandoffTarget(profile, campaign = null, fallbackPhone = null) {
+    if (campaign?.handoff_phone) {
+        return {
+            phone: campaign.handoff_phone,
+            name: campaign.handoff_name || profile?.handoff_name || null,
+            source: 'campaign',
+        };
+    }
+
+    if (profile?.handoff_phone) {
+        return { phone: profile.handoff_phone, name: profile.handoff_name || null, source: 'user' };
+    }
+
+    if (fallbackPhone) {
+        return { phone: fallbackPhone, name: null, source: 'global' };
+    }
+
+    return null;
+}
+
+/**
+ * Check whether the user is taking transfers right now
+ * Users without hours configured are always available
+ * Hours are evaluated in handoff_timezone, falling back to the profile timezone
+ * @param {Object} profile - Profile row (handoff_timezone, timezone, handoff_hours_start, handoff_hours_end, handoff_days)
+ * @param {Date} now - Current time
+ */
+export function isWithinHandoffHours(profile, now = new Date()) {
+    if (!profile?.handoff_hours_start || !profile?.handoff_hours_end) return true;
+
+    const timezone = [profile.handoff_timezone, profile.timezone].find(isValidTimezone)
+        || DEFAULT_HANDOFF_HOURS.timezone;
+
+    return isWithinSendWindow({
+        send_days: profile.handoff_days || DEFAULT_HANDOFF_HOURS.days,
+        send_window_start: profile.handoff_hours_start,
+        send_window_end: profile.handoff_hours_end,
+    }, now, timezone);
+}
+
+/**
+ * Extract transferCall arguments from a VAPI tool-call message
+ * Arguments may arrive as an object or a JSON string
+ * @returns {{ reason: string, leadQuality: string }}
+ */
+export function getTransferArguments(message) {
+    const toolCall = (message?.toolCallList || message?.toolCalls || [])[0];
+    let args = toolCall?.function?.arguments || {};
+
+    if (typeof args === 'string') {
+        try {
+            args = JSON.parse(args);
+        } catch {
+            args = {};
+        }
+    }
+
+    const leadQuality = String(args.leadQuality || '').toLowerCase();
+
+    return {
+        reason: args.reason || 'interested lead',
+        leadQuality: LEAD_QUALITIES.includes(leadQuality) ? leadQuality : 'warm',
+    };
+}
+
+export default {
+    LEAD_QUALITIES,
+    DEFAULT_HANDOFF_HOURS,
+    TAKE_MESSAGE_INSTRUCTIONS,
+    isValidHandoffPhone,
+    resolveHandoffTarget,
+    isWithinHandoffHours,
+    getTransferArguments,
+};
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for warm transfer (handoff) configuration module
+ */
+
+import {
+    isValidHandoffPhone,
+    resolveHandoffTarget,
+    isWithinHandoffHours,
+    getTransferArguments,
+} from './handoff.js';
+
+describe('Handoff Configuration Module', () => {
+    describe('isValidHandoffPhone', () => {
+        test('should accept E.164 numbers', () => {
+            expect(isValidHandoffPhone('+353861234567')).toBe(true);
+            expect(isValidHandoffPhone('+14155550123')).toBe(true);
+        });
+
+        test('should reject local or malformed numbers', () => {
+            expect(isValidHandoffPhone('0861234567')).toBe(false);
+            expect(isValidHandoffPhone('+0861234567')).toBe(false);
+            expect(isValidHandoffPhone('+1 415 555 0123')).toBe(false);
+            expect(isValidHandoffPhone(null)).toBe(false);
+        });
+    });
+
+    describe('resolveHandoffTarget', () => {
+        const profile = { handoff_phone: '+353861111111', handoff_name: 'Aoife' };
+
+        test('should prefer the campaign override', () => {
+            const campaign = { handoff_phone: '+353862222222', handoff_name: 'Sales Desk' };
+            expect(resolveHandoffTarget(profile, campaign, '+353863333333')).toEqual({
+                phone: '+353862222222',
+                name: 'Sales Desk',
+                source: 'campaign',
+            });
+        });
+
+        test('should use the user name for a campaign number without one', () => {
+            const campaign = { handoff_phone: '+353862222222' };
+            expect(resolveHandoffTarget(profile, campaign).name).toBe('Aoife');
+        });
+
+        test('should fall back to the user number', () => {
+            expect(resolveHandoffTarget(profile, { handoff_phone: null })).toEqual({
+                phone: '+353861111111',
+                name: 'Aoife',
+                source: 'user',
+            });
+        });
+
+        test('should fall back to the global number', () => {
+            expect(resolveHandoffTarget({}, null, '+353863333333')).toEqual({
+                phone: '+353863333333',
+                name: null,
+                source: 'global',
+            });
+        });
+
+        test('should return null when nothing is configured', () => {
+            expect(resolveHandoffTarget(null, null, undefined)).toBeNull();
+        });
+    });
+
+    describe('isWithinHandoffHours', () => {
+        const profile = {
+            handoff_timezone: 'Europe/Dublin',
+            handoff_hours_start: '09:00',
+            handoff_hours_end: '17:30',
+            handoff_days: [1, 2, 3, 4, 5],
+        };
+
+        test('should be available when no hours are set', () => {
+            expect(isWithinHandoffHours({}, new Date('2026-01-18T03:00:00Z'))).toBe(true);
+            expect(isWithinHandoffHours(null)).toBe(true);
+        });
+
+        test('should be available during business hours', () => {
+            // Wednesday 10:00 Dublin (UTC+0 in January)
+            expect(isWithinHandoffHours(profile, new Date('2026-01-14T10:00:00Z'))).toBe(true);
+        });
+
+        test('should not be available after hours or at weekends', () => {
+            expect(isWithinHandoffHours(profile, new Date('2026-01-14T18:00:00Z'))).toBe(false);
+            // Saturday
+            expect(isWithinHandoffHours(profile, new Date('2026-01-17T10:00:00Z'))).toBe(false);
+        });
+
+        test('should evaluate hours in the handoff timezone', () => {
+            const newYork = { ...profile, handoff_timezone: 'America/New_York' };
+            // 15:00 UTC = 10:00 New York
+            expect(isWithinHandoffHours(newYork, new Date('2026-01-14T15:00:00Z'))).toBe(true);
+            // 13:00 UTC = 08:00 New York
+            expect(isWithinHandoffHours(newYork, new Date('2026-01-14T13:00:00Z'))).toBe(false);
+        });
+
+        test('should fall back to the profile timezone', () => {
+            const fallback = { ...profile, handoff_timezone: null, timezone: 'America/New_York' };
+            expect(isWithinHandoffHours(fallback, new Date('2026-01-14T13:00:00Z'))).toBe(false);
+        });
+    });
+
+    describe('getTransferArguments', () => {
+        test('should read object arguments', () => {
+            const message = {
+                toolCalls: [{ function: { name: 'transferCall', arguments: { reason: 'wants a demo', leadQuality: 'hot' } } }],
+            };
+            expect(getTransferArguments(message)).toEqual({ reason: 'wants a demo', leadQuality: 'hot' });
+        });
+
+        test('should read JSON string arguments from toolCallList', () => {
+            const message = {
+                toolCallList: [{ function: { arguments: '{"reason":"pricing","leadQuality":"COLD"}' } }],
+            };
+            expect(getTransferArguments(message)).toEqual({ reason: 'pricing', leadQuality: 'cold' });
+        });
+
+        test('should default missing or unknown values', () => {
+            expect(getTransferArguments({})).toEqual({ reason: 'interested lead', leadQuality: 'warm' });
+            expect(getTransferArguments({ toolCalls: [{ function: { arguments: '{bad json' } }] }))
+                .toEqual({ reason: 'interested lead', leadQuality: 'warm' });
+            expect(getTransferArguments({ toolCalls: [{ function: { arguments: { leadQuality: 'lukewarm' } } }] }).leadQuality)
+                .toBe('warm');
+        });
+    });
+});
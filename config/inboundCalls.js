@@ -0,0 +1,164 @@
+/**
+ * Inbound Call Configuration
+ *
+ * When a lead calls back one of our numbers, VAPI sends an assistant-request
+ * and we answer with an assistant that knows who is calling:
+ * - The caller ID is matched to leads.phone and the owner's previous calls
+ * - The prompt carries the summaries of the most recent calls
+ * - Unknown callers get a generic receptionist
+ */
+
+import { toE164, DEFAULT_DNC_COUNTRY } from './dnc.js';
+import { END_CALL_TOOL } from './amd.js';
+import { COUNTRY_CALLING_CODES } from './numberPool.js';
+
+export const PREVIOUS_CALLS_IN_CONTEXT = 3;
+const MAX_SUMMARY_LENGTH = 600;
+
+/**
+ * Formats a caller ID may be stored in on leads.phone / calls.phone_number
+ * "+353861234567" -> ['+353861234567', '353861234567', '0861234567']
+ * "+12015550123" -> ['+12015550123', '12015550123', '2015550123']
+ * @returns {string[]}
+ */
+export function getPhoneMatchVariants(phone, defaultCountry = DEFAULT_DNC_COUNTRY) {
+    const e164 = toE164(phone, defaultCountry);
+    if (!e164) return phone ? [String(phone).trim()] : [];
+
+    const digits = e164.slice(1);
+    const variants = [e164, digits];
+
+    if (e164.startsWith('+1')) {
+        variants.push(digits.slice(1));
+    } else {
+        const national = toNational(e164, defaultCountry);
+        if (national) variants.push(national);
+    }
+
+    if (phone && !variants.includes(String(phone).trim())) {
+        variants.push(String(phone).trim());
+    }
+
+    return variants;
+}
+
+/**
+ * National format with trunk prefix, for the default country only
+ * (other countries' numbers are almost always stored internationally)
+ */
+function toNational(e164, defaultCountry) {
+    const callingCode = COUNTRY_CALLING_CODES[String(defaultCountry || '').toUpperCase()];
+    if (!callingCode || !e164.startsWith(`+${callingCode}`)) return null;
+
+    return `0${e164.slice(callingCode.length + 1)}`;
+}
+
+function truncate(text, length) {
+    const value = String(text || '').trim();
+    return value.length > length ? `${value.slice(0, length - 3)}...` : value;
+}
+
+/**
+ * Summarize previous calls for the assistant prompt
+ * @param {Object[]} calls - calls rows, newest first (created_at, summary, call_outcome, direction)
+ */
+export function formatCallHistory(calls = []) {
+    return calls
+        .slice(0, PREVIOUS_CALLS_IN_CONTEXT)
+        .map(call => {
+            const date = call.created_at ? new Date(call.created_at).toISOString().split('T')[0] : 'Unknown date';
+            const direction = call.direction === 'inbound' ? 'they called us' : 'we called them';
+            const summary = truncate(call.summary, MAX_SUMMARY_LENGTH) || 'No summary recorded';
+            return `- ${date} (${direction}${call.call_outcome ? `, ${call.call_outcome}` : ''}): ${summary}`;
+        })
+        .join('\n');
+}
+
+/**
+ * System prompt for an inbound call
+ * @param {Object} context - { lead, previousCalls, businessName, productIdea, optedOut }
+ */
+export function buildInboundPrompt({ lead = null, previousCalls = [], businessName = null, productIdea = null, optedOut = false } = {}) {
+    const business = businessName || 'our team';
+    const sections = [
+        `You are a friendly assistant answering an incoming phone call on behalf of ${business}.`,
+    ];
+
+    if (lead) {
+        sections.push(`CALLER:
+- Name: ${lead.name || 'Unknown'}
+- Business type: ${lead.category || 'Unknown'}
+- Location: ${lead.city || 'Unknown'}`);
+    } else {
+        sections.push('CALLER: Not in our records. Ask for their name and what they are calling about.');
+    }
+
+    if (previousCalls.length > 0) {
+        sections.push(`PREVIOUS CALLS (most recent first):
+${formatCallHistory(previousCalls)}
+
+They are most likely returning one of these calls. Pick up where the last conversation left off.`);
+    }
+
+    if (productIdea) {
+        sections.push(`WHAT WE CALLED ABOUT:
+${productIdea}`);
+    }
+
+    sections.push(optedOut
+        ? 'This caller asked not to be contacted. Help with whatever they need, but do not pitch or ask survey questions.'
+        : `GOALS:
+1. Thank them for calling back and confirm why they are calling
+2. Answer their questions honestly; if you don't know, say someone will follow up
+3. Note anything they want passed on, and the best time and number to reach them`);
+
+    sections.push('Keep it short and conversational. End the call politely once they have what they need.');
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Opening line for an inbound call
+ */
+export function buildInboundFirstMessage({ lead = null, businessName = null } = {}) {
+    const business = businessName ? ` from ${businessName}` : '';
+    const firstName = lead?.name?.split(' ')[0];
+
+    return firstName
+        ? `Hi, thanks for calling back! This is the assistant${business}. Am I speaking with ${firstName}?`
+        : `Hi, thanks for calling${business}. How can I help you today?`;
+}
+
+/**
+ * Inline assistant for an inbound call (used when no inbound assistant ID is configured)
+ * @param {Object} context - As buildInboundPrompt, plus tools
+ */
+export function buildInboundAssistant(context = {}) {
+    return {
+        name: 'Inbound Call Assistant',
+        model: {
+            provider: 'openai',
+            model: 'gpt-4o-mini',
+            temperature: 0.5,
+            messages: [
+                { role: 'system', content: buildInboundPrompt(context) },
+            ],
+            tools: [END_CALL_TOOL, ...(context.tools || [])],
+        },
+        voice: {
+            provider: '11labs',
+            voiceId: '21m00Tcm4TlvDq8ikWAM', // Rachel - same voice as outbound calls
+        },
+        firstMessage: buildInboundFirstMessage(context),
+        endCallMessage: 'Thanks for calling. Have a great day!',
+    };
+}
+
+export default {
+    PREVIOUS_CALLS_IN_CONTEXT,
+    getPhoneMatchVariants,
+    formatCallHistory,
+    buildInboundPrompt,
+    buildInboundFirstMessage,
+    buildInboundAssistant,
+};
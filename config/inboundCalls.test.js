@@ -0,0 +1,94 @@
+/**
+ * Unit tests for inbound call module
+ */
+
+import {
+    getPhoneMatchVariants,
+    formatCallHistory,
+    buildInboundPrompt,
+    buildInboundFirstMessage,
+    buildInboundAssistant,
+} from './inboundCalls.js';
+
+describe('Caller ID Matching', () => {
+    test('should match Irish numbers in international and national formats', () => {
+        expect(getPhoneMatchVariants('+353861234567', 'IE')).toEqual([
+            '+353861234567',
+            '353861234567',
+            '0861234567',
+        ]);
+    });
+
+    test('should match NANP numbers with and without the country code', () => {
+        expect(getPhoneMatchVariants('+12015550123', 'US')).toEqual([
+            '+12015550123',
+            '12015550123',
+            '2015550123',
+        ]);
+    });
+
+    test('should skip the national format for other countries', () => {
+        expect(getPhoneMatchVariants('+447911123456', 'IE')).toEqual(['+447911123456', '447911123456']);
+    });
+
+    test('should keep the caller ID as given when it cannot be normalized', () => {
+        expect(getPhoneMatchVariants('anonymous', 'IE')).toEqual(['anonymous']);
+        expect(getPhoneMatchVariants(null)).toEqual([]);
+    });
+});
+
+describe('Call History', () => {
+    test('should summarize the most recent calls with direction and outcome', () => {
+        const history = formatCallHistory([
+            { created_at: '2026-01-14T10:00:00Z', summary: 'Interested, asked for pricing', call_outcome: 'human', direction: 'outbound' },
+            { created_at: '2026-01-10T10:00:00Z', summary: null, direction: 'inbound' },
+        ]);
+
+        expect(history).toContain('2026-01-14 (we called them, human): Interested, asked for pricing');
+        expect(history).toContain('2026-01-10 (they called us): No summary recorded');
+    });
+
+    test('should cap the number of calls and the summary length', () => {
+        const calls = Array.from({ length: 5 }, () => ({ created_at: '2026-01-14T10:00:00Z', summary: 'x'.repeat(1000) }));
+        const lines = formatCallHistory(calls).split('\n');
+
+        expect(lines).toHaveLength(3);
+        expect(lines[0].length).toBeLessThan(700);
+        expect(lines[0].endsWith('...')).toBe(true);
+    });
+});
+
+describe('Inbound Assistant', () => {
+    const lead = { name: 'Mary Byrne', category: 'Cafe', city: 'Galway' };
+    const previousCalls = [{ created_at: '2026-01-14T10:00:00Z', summary: 'Asked us to call back next week' }];
+
+    test('should brief the assistant on a known lead and their previous calls', () => {
+        const prompt = buildInboundPrompt({ lead, previousCalls, businessName: 'Acme', productIdea: 'Booking software' });
+
+        expect(prompt).toContain('on behalf of Acme');
+        expect(prompt).toContain('Mary Byrne');
+        expect(prompt).toContain('Asked us to call back next week');
+        expect(prompt).toContain('Booking software');
+    });
+
+    test('should ask unknown callers who they are', () => {
+        expect(buildInboundPrompt()).toContain('Not in our records');
+    });
+
+    test('should not pitch to callers who opted out', () => {
+        expect(buildInboundPrompt({ lead, optedOut: true })).toContain('do not pitch');
+    });
+
+    test('should greet known leads by first name', () => {
+        expect(buildInboundFirstMessage({ lead, businessName: 'Acme' })).toContain('Am I speaking with Mary?');
+        expect(buildInboundFirstMessage()).toBe('Hi, thanks for calling. How can I help you today?');
+    });
+
+    test('should build an inline assistant with the end-call tool and extra tools', () => {
+        const assistant = buildInboundAssistant({ lead, tools: [{ type: 'function', function: { name: 'bookMeeting' } }] });
+
+        expect(assistant.model.messages[0].content).toContain('Mary Byrne');
+        expect(assistant.model.tools.map(t => t.function?.name || t.type)).toContain('bookMeeting');
+        expect(assistant.model.tools.length).toBe(2);
+    });
+});
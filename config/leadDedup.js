@@ -0,0 +1,356 @@
+/**
+ * Lead Deduplication Configuration
+ *
+ * The same business often arrives more than once - scraped, imported from a
+ * spreadsheet, generated - with a different place_id each time. Leads are
+ * compared on:
+ * - phone: the same number once normalized to E.164
+ * - email_domain: the same company email domain (free mail providers excluded)
+ * - website: the same website host (social and directory hosts excluded)
+ * - name_address: similar business names at a similar address
+ *
+ * Matching pairs go to a review queue; merging keeps one lead and moves the
+ * other leads' history onto it.
+ */
+
+import { toE164, DEFAULT_DNC_COUNTRY } from './dnc.js';
+import { getEmailDomain } from './suppression.js';
+
+export const DUPLICATE_MATCH_TYPES = ['phone', 'email_domain', 'website', 'name_address'];
+
+export const DUPLICATE_STATUSES = ['pending', 'dismissed'];
+
+// Confidence each signal gives on its own; signals combine as independent evidence
+export const MATCH_CONFIDENCE = {
+    phone: 0.95,
+    website: 0.85,
+    email_domain: 0.8,
+    name_address: 0.75,
+};
+
+export const NAME_SIMILARITY_THRESHOLD = 0.85;
+export const ADDRESS_SIMILARITY_THRESHOLD = 0.8;
+export const DEFAULT_MIN_CONFIDENCE = 0.75;
+
+// Leads sharing one of these keys are compared pairwise; a bigger group
+// (e.g. a franchise's shared head-office number) only compares its first leads
+export const MAX_BLOCK_SIZE = 50;
+
+export const MAX_MERGE_LEADS = 10;
+
+const FREE_EMAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.ie', 'hotmail.com', 'hotmail.co.uk',
+    'outlook.com', 'outlook.ie', 'live.com', 'live.ie', 'msn.com', 'icloud.com', 'me.com', 'aol.com',
+    'protonmail.com', 'proton.me', 'gmx.com', 'gmx.de', 'web.de', 'mail.com', 'eircom.net',
+];
+
+// Many small businesses list a social page or directory listing as their website
+const SHARED_WEBSITE_HOSTS = [
+    'facebook.com', 'm.facebook.com', 'instagram.com', 'linkedin.com', 'twitter.com', 'x.com', 'tiktok.com',
+    'google.com', 'maps.google.com', 'business.site', 'sites.google.com', 'yelp.com', 'tripadvisor.com',
+    'wix.com', 'wixsite.com', 'squarespace.com', 'linktr.ee', 'goldenpages.ie', 'yell.com',
+];
+
+const NAME_STOPWORDS = ['the', 'ltd', 'limited', 'inc', 'llc', 'plc', 'co', 'company', 'corp', 'gmbh', 'and', 'teo'];
+
+const ADDRESS_ABBREVIATIONS = {
+    street: 'st',
+    road: 'rd',
+    avenue: 'ave',
+    drive: 'dr',
+    lane: 'ln',
+    square: 'sq',
+    place: 'pl',
+    court: 'ct',
+    terrace: 'tce',
+    county: 'co',
+};
+
+/**
+ * Phone key - E.164, so "086 123 4567" and "+353 86 123 4567" match
+ */
+export function getPhoneKey(lead, defaultCountry = DEFAULT_DNC_COUNTRY) {
+    return lead.phone_e164 || toE164(lead.phone, defaultCountry);
+}
+
+/**
+ * Company email domain (null for free mail providers)
+ */
+export function getEmailDomainKey(email) {
+    const domain = getEmailDomain(email);
+    return domain && !FREE_EMAIL_DOMAINS.includes(domain) ? domain : null;
+}
+
+/**
+ * Website host without www (null for social and directory hosts)
+ */
+export function getWebsiteHost(url) {
+    if (!url) return null;
+    const host = String(url)
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .split(/[/?#]/)[0]
+        .replace(/:\d+$/, '')
+        .replace(/^www\./, '');
+
+    if (!host.includes('.')) return null;
+    if (SHARED_WEBSITE_HOSTS.some(shared => host === shared || host.endsWith(`.${shared}`))) return null;
+    return host;
+}
+
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/['\u2019]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * "The O'Brien & Sons Ltd." -> "obrien sons"
+ */
+export function normalizeBusinessName(name) {
+    return normalizeText(name)
+        .split(' ')
+        .filter(word => word && !NAME_STOPWORDS.includes(word))
+        .join(' ');
+}
+
+/**
+ * "12 Main Street, Dublin 2" -> "12 main st dublin 2"
+ */
+export function normalizeAddress(address) {
+    return normalizeText(address)
+        .split(' ')
+        .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+        .join(' ');
+}
+
+function bigrams(text) {
+    const compact = text.replace(/ /g, '');
+    const grams = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+        const gram = compact.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+/**
+ * Dice coefficient of two strings' character bigrams (0 - 1)
+ */
+export function textSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    let total = 0;
+    let shared = 0;
+
+    for (const count of gramsA.values()) total += count;
+    for (const [gram, count] of gramsB) {
+        total += count;
+        shared += Math.min(count, gramsA.get(gram) || 0);
+    }
+
+    return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/**
+ * Match keys for one lead
+ */
+export function getMatchKeys(lead, defaultCountry = DEFAULT_DNC_COUNTRY) {
+    const name = normalizeBusinessName(lead.name);
+    return {
+        phone: getPhoneKey(lead, defaultCountry),
+        email_domain: getEmailDomainKey(lead.email),
+        website: getWebsiteHost(lead.website),
+        name,
+        address: normalizeAddress(lead.address),
+        // Name+address candidates are only compared within the same first word of the name
+        nameBlock: name ? name.split(' ')[0] : null,
+    };
+}
+
+/**
+ * Compare two leads
+ * @returns {{ confidence: number, reasons: Object[] }|null} - reasons: [{ type, value }]; null if they don't match
+ */
+export function compareLeads(keysA, keysB) {
+    const reasons = [];
+
+    for (const type of ['phone', 'email_domain', 'website']) {
+        if (keysA[type] && keysA[type] === keysB[type]) {
+            reasons.push({ type, value: keysA[type] });
+        }
+    }
+
+    if (keysA.name && keysB.name && keysA.address && keysB.address) {
+        const nameScore = textSimilarity(keysA.name, keysB.name);
+        const addressScore = textSimilarity(keysA.address, keysB.address);
+        if (nameScore >= NAME_SIMILARITY_THRESHOLD && addressScore >= ADDRESS_SIMILARITY_THRESHOLD) {
+            reasons.push({ type: 'name_address', value: Math.round(nameScore * addressScore * 100) / 100 });
+        }
+    }
+
+    if (reasons.length === 0) return null;
+
+    const miss = reasons.reduce((product, reason) => product * (1 - MATCH_CONFIDENCE[reason.type]), 1);
+    return { confidence: Math.round((1 - miss) * 1000) / 1000, reasons };
+}
+
+/**
+ * Order a pair key so (a, b) and (b, a) are the same pair
+ */
+export function getPairKey(idA, idB) {
+    return idA < idB ? `${idA}:${idB}` : `${idB}:${idA}`;
+}
+
+/**
+ * How much history a lead has - the lead with more is kept when merging
+ */
+function activityScore(lead) {
+    return (lead.call_count || 0) * 10
+        + (lead.total_emails_sent || 0) * 5
+        + (lead.status && lead.status !== 'new' ? 20 : 0)
+        + (lead.lead_score ? 5 : 0)
+        + ['phone', 'email', 'address', 'website'].filter(field => lead[field]).length;
+}
+
+/**
+ * Lead to keep when merging: the most history, then the oldest
+ */
+export function pickSurvivor(leads) {
+    return [...leads].sort((a, b) =>
+        activityScore(b) - activityScore(a)
+        || new Date(a.created_at || 0) - new Date(b.created_at || 0)
+    )[0];
+}
+
+/**
+ * Find likely duplicate pairs among a user's leads
+ * Leads are only compared when they share a phone, email domain, website
+ * host or first name word, so this stays fast on large lists.
+ * @param {Object[]} leads - Lead rows
+ * @param {Object} options - { defaultCountry, minConfidence, skipPairs: Set of getPairKey() }
+ * @returns {Object[]} - [{ leadId, duplicateLeadId, confidence, reasons }], most confident first;
+ *                       leadId is the suggested survivor
+ */
+export function findDuplicatePairs(leads, { defaultCountry = DEFAULT_DNC_COUNTRY, minConfidence = DEFAULT_MIN_CONFIDENCE, skipPairs = new Set() } = {}) {
+    const keys = new Map(leads.map(lead => [lead.id, getMatchKeys(lead, defaultCountry)]));
+    const blocks = new Map();
+
+    for (const lead of leads) {
+        const leadKeys = keys.get(lead.id);
+        for (const type of ['phone', 'email_domain', 'website', 'nameBlock']) {
+            if (!leadKeys[type]) continue;
+            const block = `${type}:${leadKeys[type]}`;
+            if (!blocks.has(block)) blocks.set(block, []);
+            const members = blocks.get(block);
+            if (members.length < MAX_BLOCK_SIZE) members.push(lead);
+        }
+    }
+
+    const compared = new Set();
+    const pairs = [];
+
+    for (const members of blocks.values()) {
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                const pairKey = getPairKey(members[i].id, members[j].id);
+                if (compared.has(pairKey) || skipPairs.has(pairKey)) continue;
+                compared.add(pairKey);
+
+                const match = compareLeads(keys.get(members[i].id), keys.get(members[j].id));
+                if (!match || match.confidence < minConfidence) continue;
+
+                const survivor = pickSurvivor([members[i], members[j]]);
+                const duplicate = survivor === members[i] ? members[j] : members[i];
+                pairs.push({ leadId: survivor.id, duplicateLeadId: duplicate.id, ...match });
+            }
+        }
+    }
+
+    return pairs.sort((a, b) => b.confidence - a.confidence);
+}
+
+const FILLABLE_FIELDS = [
+    'phone', 'phone_e164', 'email', 'address', 'city', 'website', 'rating', 'review_count', 'category',
+    'google_maps_url', 'latitude', 'longitude', 'timezone', 'qualified_at',
+];
+
+// Later wins; a lead that said no on any copy stays not_interested
+const STATUS_RANK = ['new', 'contacted', 'interested', 'not_interested'];
+
+/**
+ * Changes to make to the surviving lead so nothing the merged leads knew is lost
+ * - blank fields are filled from the merged leads
+ * - call counts are added up and the latest call / best score kept
+ * - tags are combined and notes appended
+ * @returns {Object} - Column updates for the survivor (only changed columns)
+ */
+export function buildMergedFields(survivor, mergedLeads) {
+    const updates = {};
+
+    for (const field of FILLABLE_FIELDS) {
+        if (survivor[field] !== null && survivor[field] !== undefined && survivor[field] !== '') continue;
+        const source = mergedLeads.find(lead => lead[field] !== null && lead[field] !== undefined && lead[field] !== '');
+        if (source) updates[field] = source[field];
+    }
+
+    const callCount = mergedLeads.reduce((sum, lead) => sum + (lead.call_count || 0), survivor.call_count || 0);
+    if (callCount !== (survivor.call_count || 0)) updates.call_count = callCount;
+
+    const lastCalled = [survivor, ...mergedLeads]
+        .map(lead => lead.last_called_at)
+        .filter(Boolean)
+        .sort((a, b) => new Date(b) - new Date(a))[0];
+    if (lastCalled && lastCalled !== survivor.last_called_at) updates.last_called_at = lastCalled;
+
+    const bestScore = Math.max(...[survivor, ...mergedLeads].map(lead => lead.lead_score ?? -1));
+    if (bestScore >= 0 && bestScore !== survivor.lead_score) updates.lead_score = bestScore;
+
+    const furthest = [survivor, ...mergedLeads]
+        .map(lead => lead.status)
+        .filter(status => STATUS_RANK.includes(status))
+        .sort((a, b) => STATUS_RANK.indexOf(b) - STATUS_RANK.indexOf(a))[0];
+    if (furthest && furthest !== survivor.status) updates.status = furthest;
+
+    const tags = [...new Set([survivor, ...mergedLeads].flatMap(lead => lead.tags || []))];
+    if (tags.length !== (survivor.tags || []).length) updates.tags = tags;
+
+    const extraNotes = mergedLeads.map(lead => lead.notes).filter(note => note && note !== survivor.notes);
+    if (extraNotes.length > 0) {
+        updates.notes = [survivor.notes, ...extraNotes].filter(Boolean).join('\n\n');
+    }
+
+    return updates;
+}
+
+export default {
+    DUPLICATE_MATCH_TYPES,
+    DUPLICATE_STATUSES,
+    MATCH_CONFIDENCE,
+    NAME_SIMILARITY_THRESHOLD,
+    ADDRESS_SIMILARITY_THRESHOLD,
+    DEFAULT_MIN_CONFIDENCE,
+    MAX_BLOCK_SIZE,
+    MAX_MERGE_LEADS,
+    getPhoneKey,
+    getEmailDomainKey,
+    getWebsiteHost,
+    normalizeBusinessName,
+    normalizeAddress,
+    textSimilarity,
+    getMatchKeys,
+    compareLeads,
+    getPairKey,
+    pickSurvivor,
+    findDuplicatePairs,
+    buildMergedFields,
+};
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for lead deduplication module
+ */
+
+import {
+    MATCH_CONFIDENCE,
+    getEmailDomainKey,
+    getWebsiteHost,
+    normalizeBusinessName,
+    normalizeAddress,
+    textSimilarity,
+    getMatchKeys,
+    compareLeads,
+    getPairKey,
+    pickSurvivor,
+    findDuplicatePairs,
+    buildMergedFields,
+} from './leadDedup.js';
+
+describe('Match Keys', () => {
+    test('should normalize phone numbers to E.164', () => {
+        expect(getMatchKeys({ phone: '086 123 4567' }, 'IE').phone).toBe('+353861234567');
+        expect(getMatchKeys({ phone: '(01) 555 0001', phone_e164: '+35315550001' }, 'IE').phone).toBe('+35315550001');
+    });
+
+    test('should ignore free email providers', () => {
+        expect(getEmailDomainKey('Info@Acme.ie')).toBe('acme.ie');
+        expect(getEmailDomainKey('acme.dental@gmail.com')).toBeNull();
+    });
+
+    test('should reduce websites to their host', () => {
+        expect(getWebsiteHost('https://www.Acme.ie/contact?ref=maps')).toBe('acme.ie');
+        expect(getWebsiteHost('acme.ie:8080')).toBe('acme.ie');
+        expect(getWebsiteHost('https://www.facebook.com/acme')).toBeNull();
+        expect(getWebsiteHost('acme')).toBeNull();
+    });
+
+    test('should normalize names and addresses', () => {
+        expect(normalizeBusinessName("The O'Brien & Sons Ltd.")).toBe('obrien sons');
+        expect(normalizeBusinessName('Café Nöel')).toBe('cafe noel');
+        expect(normalizeAddress('12 Main Street, Dublin 2')).toBe('12 main st dublin 2');
+    });
+
+    test('should score text similarity', () => {
+        expect(textSimilarity('smile dental', 'smile dental')).toBe(1);
+        expect(textSimilarity('bright smile dental', 'bright smile dentl')).toBeGreaterThan(0.85);
+        expect(textSimilarity('smile dental', 'quickfix plumbing')).toBeLessThan(0.3);
+        expect(textSimilarity('', 'a')).toBe(0);
+    });
+});
+
+describe('Comparing Leads', () => {
+    test('should match on the same number in different formats', () => {
+        const match = compareLeads(
+            getMatchKeys({ name: 'Smile Dental', phone: '01 555 0001' }, 'IE'),
+            getMatchKeys({ name: 'Smile Dental Clinic', phone: '+353-1-555-0001' }, 'IE')
+        );
+        expect(match.reasons).toEqual([{ type: 'phone', value: '+35315550001' }]);
+        expect(match.confidence).toBe(MATCH_CONFIDENCE.phone);
+    });
+
+    test('should match similar names at a similar address', () => {
+        const match = compareLeads(
+            getMatchKeys({ name: "O'Connor's Restaurant", address: '45 Temple Bar, Dublin' }),
+            getMatchKeys({ name: 'OConnors Restaurant Ltd', address: '45 Temple Bar Dublin 2' })
+        );
+        expect(match.reasons.map(r => r.type)).toEqual(['name_address']);
+    });
+
+    test('should not match a similar name at another address', () => {
+        expect(compareLeads(
+            getMatchKeys({ name: 'Smile Dental', address: '1 Main St, Cork' }),
+            getMatchKeys({ name: 'Smile Dental', address: '90 Silicon Docks, Dublin' })
+        )).toBeNull();
+    });
+
+    test('should combine signals', () => {
+        const match = compareLeads(
+            getMatchKeys({ name: 'Acme', phone: '+35315550001', website: 'acme.ie', email: 'a@acme.ie' }),
+            getMatchKeys({ name: 'Acme Ltd', phone: '+353 1 555 0001', website: 'https://www.acme.ie', email: 'b@acme.ie' })
+        );
+        expect(match.reasons.map(r => r.type)).toEqual(['phone', 'email_domain', 'website']);
+        expect(match.confidence).toBeGreaterThan(MATCH_CONFIDENCE.phone);
+        expect(match.confidence).toBeLessThanOrEqual(1);
+    });
+
+    test('should give a pair the same key either way round', () => {
+        expect(getPairKey('b', 'a')).toBe(getPairKey('a', 'b'));
+    });
+});
+
+describe('Finding Duplicates', () => {
+    const leads = [
+        { id: 'l1', name: 'Bright Smile Dental', phone: '+353-1-555-0001', created_at: '2025-01-01' },
+        { id: 'l2', name: 'Bright Smile Dental', phone: '01 555 0001', call_count: 2, created_at: '2025-02-01' },
+        { id: 'l3', name: 'QuickFix Plumbing', phone: '+353-21-555-0003', website: 'quickfix.ie', created_at: '2025-01-01' },
+        { id: 'l4', name: 'Quick Fix', phone: '+353-21-555-9999', website: 'http://www.quickfix.ie/', created_at: '2025-03-01' },
+        { id: 'l5', name: 'TechStart Solutions', phone: '+353-1-555-0004', created_at: '2025-01-01' },
+    ];
+
+    test('should pair leads that share a signal', () => {
+        const pairs = findDuplicatePairs(leads, { defaultCountry: 'IE' });
+        expect(pairs.map(p => getPairKey(p.leadId, p.duplicateLeadId)).sort()).toEqual(['l1:l2', 'l3:l4']);
+        expect(pairs[0].confidence).toBeGreaterThanOrEqual(pairs[1].confidence);
+    });
+
+    test('should suggest keeping the lead with history', () => {
+        const pair = findDuplicatePairs(leads, { defaultCountry: 'IE' }).find(p => p.reasons[0].type === 'phone');
+        expect(pair).toMatchObject({ leadId: 'l2', duplicateLeadId: 'l1' });
+    });
+
+    test('should skip pairs already reviewed', () => {
+        const pairs = findDuplicatePairs(leads, { defaultCountry: 'IE', skipPairs: new Set([getPairKey('l2', 'l1')]) });
+        expect(pairs.map(p => p.leadId).sort()).toEqual(['l3']);
+    });
+
+    test('should respect the minimum confidence', () => {
+        expect(findDuplicatePairs(leads, { defaultCountry: 'IE', minConfidence: 0.9 }).map(p => p.reasons[0].type)).toEqual(['phone']);
+    });
+
+    test('should keep the oldest lead when history is equal', () => {
+        expect(pickSurvivor([
+            { id: 'new', created_at: '2025-05-01' },
+            { id: 'old', created_at: '2024-05-01' },
+        ]).id).toBe('old');
+    });
+});
+
+describe('Merging', () => {
+    test('should fill blanks and keep history', () => {
+        const survivor = { name: 'Acme', phone: '+35315550001', email: null, status: 'contacted', call_count: 2, last_called_at: '2025-01-01T10:00:00Z', lead_score: 40, tags: ['dublin'], notes: 'Call after 2pm' };
+        const merged = [
+            { email: 'info@acme.ie', website: 'acme.ie', status: 'interested', call_count: 1, last_called_at: '2025-02-01T10:00:00Z', lead_score: 70, tags: ['dental', 'dublin'], notes: 'Asked for pricing' },
+            { email: 'other@acme.ie', city: 'Dublin', call_count: 0 },
+        ];
+
+        expect(buildMergedFields(survivor, merged)).toEqual({
+            email: 'info@acme.ie',
+            website: 'acme.ie',
+            city: 'Dublin',
+            call_count: 3,
+            last_called_at: '2025-02-01T10:00:00Z',
+            lead_score: 70,
+            status: 'interested',
+            tags: ['dublin', 'dental'],
+            notes: 'Call after 2pm\n\nAsked for pricing',
+        });
+    });
+
+    test('should keep an opt-out from any merged lead', () => {
+        expect(buildMergedFields({ status: 'interested' }, [{ status: 'not_interested' }]).status).toBe('not_interested');
+    });
+
+    test('should change nothing when the survivor already has everything', () => {
+        expect(buildMergedFields(
+            { phone: '1', email: 'a@b.ie', status: 'new', call_count: 0, tags: [] },
+            [{ phone: '2', email: 'c@d.ie', status: 'new', call_count: 0 }]
+        )).toEqual({});
+    });
+});
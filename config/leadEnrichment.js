@@ -0,0 +1,571 @@
+/**
+ * Lead Enrichment Configuration
+ * Pulls contact names, email addresses, services offered and social profiles
+ * out of a lead's website pages (fetched by services/leadEnrichment.js) for
+ * personalization and call context.
+ */
+
+import { isIP } from 'node:net';
+
+export const ENRICHMENT_STATUSES = ['completed', 'failed'];
+
+export const MAX_ENRICHMENT_PAGES = 4;
+
+// Failed websites are retried this many times, a day apart
+export const MAX_ENRICHMENT_ATTEMPTS = 3;
+
+const MAX_CONTACTS = 5;
+const MAX_EMAILS = 5;
+const MAX_SERVICES = 12;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+export const SOCIAL_NETWORKS = {
+    facebook: ['facebook.com', 'fb.com'],
+    instagram: ['instagram.com'],
+    linkedin: ['linkedin.com'],
+    twitter: ['twitter.com', 'x.com'],
+    tiktok: ['tiktok.com'],
+    youtube: ['youtube.com'],
+};
+
+const SOCIAL_LABELS = {
+    facebook: 'Facebook',
+    instagram: 'Instagram',
+    linkedin: 'LinkedIn',
+    twitter: 'X/Twitter',
+    tiktok: 'TikTok',
+    youtube: 'YouTube',
+};
+
+// Share buttons and embeds rather than the business's own profile
+const SOCIAL_SHARE_PATTERN = /\/(sharer|share|intent|plugins|dialog|embed|watch)\b|[?&](u|url)=/i;
+
+// Pages worth fetching after the homepage, most useful first
+const RELATED_PAGES = [
+    { type: 'contact', pattern: /contact|get-in-touch|find-us/i },
+    { type: 'about', pattern: /about|team|our-people|meet-the|staff|who-we-are/i },
+    { type: 'services', pattern: /services|treatments|what-we-do|our-work|pricing/i },
+];
+
+const ROLE_TITLES = [
+    'Owner', 'Co-Owner', 'Founder', 'Co-Founder', 'Director', 'Managing Director', 'Manager',
+    'General Manager', 'Practice Manager', 'Office Manager', 'Operations Manager', 'Principal',
+    'Principal Dentist', 'Partner', 'Managing Partner', 'Proprietor', 'President', 'CEO', 'Head Chef',
+    'Chef', 'Lead Dentist', 'Dentist', 'Hygienist', 'Solicitor', 'Senior Partner', 'Head of Sales',
+];
+
+// Role titles match capitalized or not ("Jane Smith, owner"); names must be capitalized
+const ROLE_PATTERN = ROLE_TITLES
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(role => role
+        .split(/[-\s]/)
+        .map(word => `[${word[0]}${word[0].toLowerCase()}]${word.slice(1)}`)
+        .join('[-\\s]'))
+    .join('|');
+
+const HONORIFIC = '(?:Dr|Mr|Mrs|Ms|Miss|Prof)\\.?\\s+';
+// Jane, O'Neill, McDonald, Smith-Jones
+const NAME_WORD = "(?:\\p{Lu}['\\u2019])?\\p{Lu}\\p{Ll}+(?:\\p{Lu}\\p{Ll}+)?(?:-\\p{Lu}?\\p{Ll}+)?";
+const PERSON_NAME = `(?:${HONORIFIC})?${NAME_WORD}(?:\\s+${NAME_WORD}){1,2}`;
+
+const CONTACT_PATTERNS = [
+    // "Jane Smith, Owner" / "Jane Smith - Practice Manager"
+    new RegExp(`(${PERSON_NAME})\\s*(?:,|-|\\u2013|\\u2014|\\|)\\s*(?:[Oo]ur\\s+|[Tt]he\\s+)?(${ROLE_PATTERN})\\b`, 'gu'),
+    // "Owner: Jane Smith" / "Principal Dentist Dr. Jane Smith"
+    new RegExp(`\\b(${ROLE_PATTERN})(?:\\s*[:\\u2013\\u2014-]\\s*|\\s+(?=${HONORIFIC}))(${PERSON_NAME})`, 'gu'),
+    // "Dr. Jane Smith" on its own
+    new RegExp(`(${HONORIFIC}${NAME_WORD}(?:\\s+${NAME_WORD}){1,2})`, 'gu'),
+];
+
+// Capitalized words that start a "name" but never are one
+const NOT_NAME_WORDS = new Set([
+    'about', 'our', 'the', 'contact', 'meet', 'call', 'book', 'welcome', 'home', 'team', 'email',
+    'phone', 'opening', 'hours', 'read', 'more', 'view', 'get', 'find', 'visit', 'follow', 'us',
+]);
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,24}/gi;
+const IGNORED_EMAIL_PATTERN = /\.(png|jpe?g|gif|webp|svg|css|js)$|@(example\.|domain\.|email\.|sentry|wixpress\.com)/i;
+
+const SERVICES_HEADING_PATTERN = /services|what we do|what we offer|we offer|treatments|our work|specialit(y|ies)|expertise|solutions/i;
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '\u2013', mdash: '\u2014',
+    rsquo: '\u2019', lsquo: '\u2018', rdquo: '\u201D', ldquo: '\u201C', hellip: '\u2026',
+};
+
+/**
+ * Turn a lead's website into a URL to fetch
+ * @returns {string|null} - http(s) URL, or null if it isn't one
+ */
+export function normalizeWebsiteUrl(website) {
+    const value = String(website || '').trim();
+    if (!value) return null;
+
+    const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value.replace(/^\/+/, '')}`;
+
+    let url;
+    try {
+        url = new URL(withScheme);
+    } catch {
+        return null;
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.') || url.username || url.password) {
+        return null;
+    }
+
+    url.hash = '';
+    return url.toString();
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet
+ */
+export function isPrivateAddress(address) {
+    const ip = String(address || '').toLowerCase().replace(/^\[|\]$/g, '');
+
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+
+    if (isIP(ip) === 4) {
+        const [a, b] = ip.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224
+            || (a === 100 && b >= 64 && b <= 127)
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168)
+            || (a === 198 && (b === 18 || b === 19));
+    }
+
+    if (isIP(ip) === 6) {
+        return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith('ff');
+    }
+
+    return true;
+}
+
+/**
+ * Decode the HTML entities that turn up in visible text
+ */
+export function decodeEntities(text) {
+    return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(point) && point > 0 && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+        }
+        return ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+function stripNonContent(html) {
+    return String(html || '')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+}
+
+function cleanText(html) {
+    return decodeEntities(String(html || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Visible text of a page, one block (paragraph, heading, list item...) per line
+ */
+export function htmlToText(html) {
+    return decodeEntities(
+        stripNonContent(html)
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/?(p|div|section|article|header|footer|nav|aside|main|li|ul|ol|h[1-6]|tr|td|th|table|address|blockquote|dd|dt)\b[^>]*>/gi, '\n')
+            .replace(/<[^>]*>/g, ' ')
+    )
+        .split('\n')
+        .map(line => line.replace(/[ \t\f\v\u00a0]+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+    return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Links on a page, resolved against its URL
+ * @returns {Array<{ href: string, text: string }>}
+ */
+export function extractLinks(html, pageUrl) {
+    const links = [];
+    const content = stripNonContent(html);
+    const pattern = /<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+        const raw = getAttribute(match[1], 'href');
+        if (!raw) continue;
+
+        if (/^mailto:/i.test(raw.trim())) {
+            links.push({ href: raw.trim(), text: cleanText(match[2]) });
+            continue;
+        }
+
+        try {
+            const url = new URL(raw.trim(), pageUrl);
+            if (!['http:', 'https:'].includes(url.protocol)) continue;
+            url.hash = '';
+            links.push({ href: url.toString(), text: cleanText(match[2]) });
+        } catch {
+            // Not a URL
+        }
+    }
+
+    return links;
+}
+
+/**
+ * JSON-LD blocks on a page, with @graph entries flattened
+ */
+export function extractJsonLd(html) {
+    const items = [];
+    const pattern = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script\s*>/gi;
+    let match;
+
+    while ((match = pattern.exec(String(html || ''))) !== null) {
+        try {
+            const data = JSON.parse(match[1].trim());
+            for (const item of [].concat(data)) {
+                if (!item || typeof item !== 'object') continue;
+                items.push(item, ...[].concat(item['@graph'] || []));
+            }
+        } catch {
+            // Invalid JSON-LD is common - skip it
+        }
+    }
+
+    return items;
+}
+
+function getMetaContent(html, name) {
+    const pattern = /<meta\b[^>]*>/gi;
+    let match;
+    while ((match = pattern.exec(String(html || ''))) !== null) {
+        const key = getAttribute(match[0], 'name') || getAttribute(match[0], 'property');
+        if (key && key.toLowerCase() === name) {
+            return getAttribute(match[0], 'content');
+        }
+    }
+    return null;
+}
+
+/**
+ * Email addresses from mailto links, JSON-LD and the page text, including
+ * "info [at] acme [dot] ie" style obfuscation
+ */
+export function extractEmails(html, links = [], jsonLd = []) {
+    const found = [];
+
+    for (const link of links) {
+        if (/^mailto:/i.test(link.href)) {
+            found.push(decodeURIComponent(link.href.slice(7).split('?')[0]));
+        }
+    }
+
+    for (const item of jsonLd) {
+        if (typeof item.email === 'string') found.push(item.email.replace(/^mailto:/i, ''));
+    }
+
+    const text = htmlToText(html)
+        .replace(/\s*[[({]\s*at\s*[\])}]\s*/gi, '@')
+        .replace(/\s*[[({]\s*dot\s*[\])}]\s*/gi, '.');
+    found.push(...(text.match(EMAIL_PATTERN) || []));
+
+    const emails = [];
+    for (const value of found) {
+        const email = value.trim().toLowerCase().replace(/^[._-]+|[._-]+$/g, '');
+        if (!/^[^@\s]+@[^@\s]+\.[a-z]{2,24}$/.test(email) || IGNORED_EMAIL_PATTERN.test(email)) continue;
+        if (!emails.includes(email)) emails.push(email);
+    }
+    return emails;
+}
+
+function normalizeRole(role) {
+    const lower = role.replace(/\s+/g, ' ').toLowerCase();
+    return ROLE_TITLES.find(title => title.toLowerCase().replace(/-/g, ' ') === lower.replace(/-/g, ' ')) || role;
+}
+
+const HONORIFIC_PREFIX = new RegExp(`^${HONORIFIC}`);
+
+// "Meet Jane Smith" -> "Jane Smith"; null if what's left isn't a first and last name
+function cleanPersonName(name) {
+    const honorific = name.match(HONORIFIC_PREFIX)?.[0] || '';
+    const words = name.slice(honorific.length).split(/\s+/);
+    while (words.length > 0 && NOT_NAME_WORDS.has(words[0].toLowerCase())) words.shift();
+
+    if (words.length < 2 || words.some(word => NOT_NAME_WORDS.has(word.toLowerCase()))) return null;
+    if (words.some(word => ROLE_TITLES.some(role => role.toLowerCase() === word.toLowerCase()))) return null;
+    return `${honorific}${words.join(' ')}`;
+}
+
+/**
+ * People named on a page, with their role where it's given
+ * Names come from schema.org Person entries and from role titles next to
+ * a name ("Jane Smith, Owner", "Practice Manager: Tom Byrne", "Dr. Jane Smith").
+ * @returns {Array<{ name: string, role: string|null }>}
+ */
+export function extractContactNames(html, jsonLd = []) {
+    const contacts = [];
+
+    const add = (name, role) => {
+        const clean = cleanPersonName(String(name || '').replace(/\s+/g, ' ').trim());
+        if (!clean || clean.length > 60) return;
+
+        const key = clean.replace(HONORIFIC_PREFIX, '').toLowerCase();
+        const existing = contacts.find(c => c.name.replace(HONORIFIC_PREFIX, '').toLowerCase() === key);
+        if (existing) {
+            if (!existing.role && role) existing.role = role;
+            if (clean.length > existing.name.length) existing.name = clean;
+            return;
+        }
+        contacts.push({ name: clean, role: role || null });
+    };
+
+    const people = [];
+    for (const item of jsonLd) {
+        if (item['@type'] === 'Person') people.push({ person: item, role: item.jobTitle });
+        for (const [key, role] of [['founder', 'Founder'], ['employee', null], ['member', null]]) {
+            for (const person of [].concat(item[key] || [])) {
+                if (person && typeof person === 'object') people.push({ person, role: person.jobTitle || role });
+            }
+        }
+    }
+    for (const { person, role } of people) {
+        if (typeof person.name === 'string') add(person.name, typeof role === 'string' ? role : null);
+    }
+
+    for (const line of htmlToText(html).split('\n')) {
+        const [nameThenRole, roleThenName, honorific] = CONTACT_PATTERNS;
+
+        for (const match of line.matchAll(nameThenRole)) add(match[1], normalizeRole(match[2]));
+        for (const match of line.matchAll(roleThenName)) add(match[2], normalizeRole(match[1]));
+        for (const match of line.matchAll(honorific)) add(match[1], null);
+    }
+
+    return contacts;
+}
+
+function addService(services, value) {
+    const text = cleanText(value).replace(/[\s:|\u2013\u2014-]+$/, '');
+    if (text.length < 3 || text.length > 80 || text.split(' ').length > 8) return;
+    if (/^(home|about|contact|more|read more|learn more|book now|view all|services)$/i.test(text)) return;
+    if (!services.some(s => s.toLowerCase() === text.toLowerCase())) services.push(text);
+}
+
+/**
+ * Services offered: the items listed under a "Services" / "What we do" /
+ * "Treatments" heading, and schema.org offer catalogues
+ */
+export function extractServices(html, jsonLd = []) {
+    const services = [];
+
+    for (const item of jsonLd) {
+        const offers = [
+            ...[].concat(item.makesOffer || []),
+            ...[].concat(item.hasOfferCatalog?.itemListElement || []),
+        ];
+        for (const offer of offers) {
+            const name = offer?.itemOffered?.name || offer?.name;
+            if (typeof name === 'string') addService(services, name);
+        }
+        for (const type of [].concat(item.serviceType || [])) {
+            if (typeof type === 'string') addService(services, type);
+        }
+    }
+
+    // Menus and footers repeat the site's page names, not what it offers
+    const content = stripNonContent(html).replace(/<(nav|header|footer)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+    const pattern = /<(h[1-6]|li)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi;
+    let sectionLevel = null;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+        const tag = match[1].toLowerCase();
+        const text = cleanText(match[2]);
+
+        if (tag === 'li') {
+            if (sectionLevel !== null) addService(services, text);
+            continue;
+        }
+
+        const level = Number(tag[1]);
+        if (sectionLevel !== null && level > sectionLevel) {
+            addService(services, text);
+        } else if (SERVICES_HEADING_PATTERN.test(text) && text.split(' ').length <= 6) {
+            sectionLevel = level;
+        } else {
+            sectionLevel = null;
+        }
+    }
+
+    return services;
+}
+
+/**
+ * The business's own social profiles, one per network
+ * @returns {Object} - { facebook: url, instagram: url, ... }
+ */
+export function extractSocialLinks(links = [], jsonLd = []) {
+    const hrefs = [
+        ...links.map(link => link.href),
+        ...jsonLd.flatMap(item => [].concat(item.sameAs || [])).filter(href => typeof href === 'string'),
+    ];
+
+    const social = {};
+    for (const href of hrefs) {
+        let url;
+        try {
+            url = new URL(href);
+        } catch {
+            continue;
+        }
+
+        const host = url.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+        const network = Object.keys(SOCIAL_NETWORKS).find(key => SOCIAL_NETWORKS[key].includes(host));
+        if (!network || social[network]) continue;
+        if (url.pathname.replace(/\/+$/, '') === '' || SOCIAL_SHARE_PATTERN.test(url.pathname + url.search)) continue;
+
+        url.search = '';
+        social[network] = url.toString();
+    }
+    return social;
+}
+
+/**
+ * Everything useful on one page
+ */
+export function extractPage(html, pageUrl) {
+    const links = extractLinks(html, pageUrl);
+    const jsonLd = extractJsonLd(html);
+    const business = jsonLd.find(item => typeof item.description === 'string' && item['@type'] !== 'Person');
+    const description = getMetaContent(html, 'description') || getMetaContent(html, 'og:description') || business?.description;
+
+    return {
+        links,
+        emails: extractEmails(html, links, jsonLd),
+        contacts: extractContactNames(html, jsonLd),
+        services: extractServices(html, jsonLd),
+        socialLinks: extractSocialLinks(links, jsonLd),
+        description: description ? cleanText(description).slice(0, MAX_DESCRIPTION_LENGTH) : null,
+    };
+}
+
+function sameSite(a, b) {
+    const host = url => new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    return host(a) === host(b);
+}
+
+/**
+ * Contact, about and services pages linked from the homepage, most useful first
+ */
+export function findRelatedPages(links, homeUrl, limit = MAX_ENRICHMENT_PAGES - 1) {
+    const home = new URL(homeUrl);
+    const pages = [];
+
+    for (const { type, pattern } of RELATED_PAGES) {
+        const link = links.find(({ href, text }) => {
+            if (/^mailto:/i.test(href) || !sameSite(href, homeUrl)) return false;
+            const url = new URL(href);
+            if (url.pathname === home.pathname || /\.(pdf|jpe?g|png|gif|docx?|zip)$/i.test(url.pathname)) return false;
+            return pattern.test(url.pathname) || pattern.test(text.replace(/\s+/g, '-'));
+        });
+
+        if (link && !pages.some(page => page.url === link.href)) {
+            pages.push({ type, url: link.href });
+        }
+    }
+
+    return pages.slice(0, limit);
+}
+
+/**
+ * Combine the pages' results into one enrichment record
+ * Emails on the website's own domain come first.
+ */
+export function mergePageResults(pages, websiteUrl) {
+    const host = new URL(websiteUrl).hostname.toLowerCase().replace(/^www\./, '');
+
+    const contacts = [];
+    const nameKey = name => name.replace(HONORIFIC_PREFIX, '').toLowerCase();
+    for (const contact of pages.flatMap(page => page.contacts)) {
+        const existing = contacts.find(c => nameKey(c.name) === nameKey(contact.name));
+        if (existing) {
+            existing.role = existing.role || contact.role;
+            if (contact.name.length > existing.name.length) existing.name = contact.name;
+        } else {
+            contacts.push({ ...contact });
+        }
+    }
+
+    const emails = [...new Set(pages.flatMap(page => page.emails))];
+    emails.sort((a, b) => Number(b.endsWith(`@${host}`)) - Number(a.endsWith(`@${host}`)));
+
+    const services = [];
+    for (const service of pages.flatMap(page => page.services)) {
+        if (!services.some(s => s.toLowerCase() === service.toLowerCase())) services.push(service);
+    }
+
+    return {
+        contactNames: contacts.slice(0, MAX_CONTACTS),
+        emails: emails.slice(0, MAX_EMAILS),
+        services: services.slice(0, MAX_SERVICES),
+        socialLinks: Object.assign({}, ...pages.map(page => page.socialLinks).reverse()),
+        description: pages.find(page => page.description)?.description || null,
+    };
+}
+
+/**
+ * Enrichment as prompt lines for email personalization and call context
+ * @param {Object} enrichment - lead_enrichment row
+ * @returns {string} - Empty when there's nothing worth adding
+ */
+export function formatEnrichmentContext(enrichment) {
+    if (!enrichment) return '';
+
+    const lines = [];
+    const contacts = enrichment.contact_names || [];
+    if (contacts.length > 0) {
+        lines.push(`- Contacts: ${contacts.map(c => (c.role ? `${c.name} (${c.role})` : c.name)).join(', ')}`);
+    }
+    if ((enrichment.services || []).length > 0) {
+        lines.push(`- Services offered: ${enrichment.services.join(', ')}`);
+    }
+    if (enrichment.description) {
+        lines.push(`- About: ${enrichment.description}`);
+    }
+    const networks = Object.keys(enrichment.social_links || {}).filter(key => SOCIAL_LABELS[key]);
+    if (networks.length > 0) {
+        lines.push(`- Active on: ${networks.map(key => SOCIAL_LABELS[key]).join(', ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+export default {
+    ENRICHMENT_STATUSES,
+    MAX_ENRICHMENT_PAGES,
+    MAX_ENRICHMENT_ATTEMPTS,
+    SOCIAL_NETWORKS,
+    normalizeWebsiteUrl,
+    isPrivateAddress,
+    decodeEntities,
+    htmlToText,
+    extractLinks,
+    extractJsonLd,
+    extractEmails,
+    extractContactNames,
+    extractServices,
+    extractSocialLinks,
+    extractPage,
+    findRelatedPages,
+    mergePageResults,
+    formatEnrichmentContext,
+};
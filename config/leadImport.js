@@ -0,0 +1,311 @@
+/**
+ * Lead Import Configuration
+ *
+ * Spreadsheet uploads (CSV or XLSX) become leads in three steps:
+ * 1. The file is read into rows and its columns are previewed, with a
+ *    suggested column -> lead field mapping
+ * 2. The caller saves a mapping; every row is validated against it and
+ *    phone numbers are normalized to E.164
+ * 3. Valid rows are saved in the background; every rejected row is kept in
+ *    a per-row error report
+ */
+
+import { LEAD_CSV_COLUMNS, getImportedPlaceId } from './leadSourcing.js';
+import { parseCsvLine, escapeCsvCell, normalizeEmail } from './suppression.js';
+import { toE164, DEFAULT_DNC_COUNTRY } from './dnc.js';
+
+export const IMPORT_FILE_TYPES = ['csv', 'xlsx'];
+
+export const LEAD_IMPORT_FIELDS = ['name', 'phone', 'email', 'address', 'city', 'website', 'category'];
+export const REQUIRED_IMPORT_FIELDS = ['name', 'phone'];
+
+// mapping: file uploaded, waiting for a column mapping
+// processing -> completed | failed: rows are being saved
+export const LEAD_IMPORT_STATUSES = ['mapping', 'processing', 'completed', 'failed'];
+
+export const MAX_IMPORT_ROWS = 5000;
+export const PREVIEW_SAMPLE_ROWS = 5;
+export const IMPORT_ERROR_CSV_COLUMNS = ['row', 'field', 'value', 'error'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * File type from the upload's name or MIME type
+ * @returns {string|null} - 'csv', 'xlsx' or null if unsupported
+ */
+export function getImportFileType(filename = '', mimetype = '') {
+    const extension = String(filename).toLowerCase().split('.').pop();
+    if (extension === 'xlsx' || mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+        return 'xlsx';
+    }
+    if (extension === 'csv' || ['text/csv', 'application/csv', 'text/plain'].includes(mimetype)) {
+        return 'csv';
+    }
+    return null;
+}
+
+/**
+ * Split CSV text into rows of cells
+ * Quoted cells may span lines (addresses often do)
+ */
+export function parseCsvRows(text) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const rows = [];
+    let pending = null;
+
+    for (const line of lines) {
+        pending = pending === null ? line : `${pending}\n${line}`;
+        // An odd number of quotes means a quoted cell continues on the next line
+        if ((pending.match(/"/g) || []).length % 2 === 1) continue;
+        rows.push(parseCsvLine(pending));
+        pending = null;
+    }
+    if (pending !== null) rows.push(parseCsvLine(pending));
+
+    return rows;
+}
+
+function cellToString(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    // Spreadsheets store long phone numbers as numbers - never show them as 3.5386E+11
+    if (typeof value === 'number') return Number.isInteger(value) ? value.toFixed(0) : String(value);
+    return String(value).trim();
+}
+
+/**
+ * Turn raw sheet rows (CSV or XLSX) into a header and data rows
+ * Data rows keep their spreadsheet row number (the header is row 1) so
+ * errors point at the line the user sees; blank rows are dropped.
+ * @param {Array<Array>} sheet - Rows of cell values, header first
+ * @returns {{ headers: string[], rows: Object[], truncated: boolean, error: string|null }} - rows: [{ row, cells }]
+ */
+export function normalizeSheet(sheet) {
+    const [headerRow = [], ...dataRows] = sheet || [];
+    const headers = headerRow.map(cellToString);
+
+    if (!headers.some(Boolean)) {
+        return { headers: [], rows: [], truncated: false, error: 'The file has no header row' };
+    }
+
+    const seen = new Set();
+    for (const header of headers) {
+        if (!header) continue;
+        if (seen.has(header.toLowerCase())) {
+            return { headers: [], rows: [], truncated: false, error: `Column "${header}" appears more than once` };
+        }
+        seen.add(header.toLowerCase());
+    }
+
+    const rows = [];
+    let truncated = false;
+    for (let i = 0; i < dataRows.length; i++) {
+        const cells = headers.map((_, column) => cellToString(dataRows[i][column]));
+        if (!cells.some(Boolean)) continue;
+        if (rows.length >= MAX_IMPORT_ROWS) {
+            truncated = true;
+            break;
+        }
+        rows.push({ row: i + 2, cells });
+    }
+
+    if (rows.length === 0) {
+        return { headers, rows, truncated, error: 'The file has no data rows' };
+    }
+    return { headers, rows, truncated, error: null };
+}
+
+/**
+ * Suggest which column holds each lead field, matched on common header names
+ * @returns {Object} - { field: header }
+ */
+export function suggestMapping(headers) {
+    const mapping = {};
+    for (const field of LEAD_IMPORT_FIELDS) {
+        const header = headers.find(h => h && LEAD_CSV_COLUMNS[field].includes(h.toLowerCase()));
+        if (header && !Object.values(mapping).includes(header)) {
+            mapping[field] = header;
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Columns with a few sample values each, for the mapping screen
+ */
+export function previewColumns(headers, rows, sampleSize = PREVIEW_SAMPLE_ROWS) {
+    return headers.map((header, index) => ({
+        index,
+        header,
+        samples: rows.map(r => r.cells[index]).filter(Boolean).slice(0, sampleSize),
+    }));
+}
+
+/**
+ * Check a column mapping against the file's headers
+ * @param {Object} mapping - { field: header }
+ * @returns {{ mapping: Object|null, error: string|null }}
+ */
+export function validateMapping(mapping, headers) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return { mapping: null, error: 'mapping must be an object of { field: column }' };
+    }
+
+    const cleaned = {};
+    for (const [field, header] of Object.entries(mapping)) {
+        if (header === null || header === undefined || header === '') continue;
+        if (!LEAD_IMPORT_FIELDS.includes(field)) {
+            return { mapping: null, error: `Unknown field "${field}" - must be one of: ${LEAD_IMPORT_FIELDS.join(', ')}` };
+        }
+        if (!headers.includes(header)) {
+            return { mapping: null, error: `Column "${header}" is not in the file` };
+        }
+        cleaned[field] = header;
+    }
+
+    const missing = REQUIRED_IMPORT_FIELDS.filter(field => !cleaned[field]);
+    if (missing.length > 0) {
+        return { mapping: null, error: `${REQUIRED_IMPORT_FIELDS.join(' and ')} are required - map a column to ${missing.join(' and ')}` };
+    }
+
+    return { mapping: cleaned, error: null };
+}
+
+/**
+ * Validate one row against a mapping
+ * @returns {{ lead: Object|null, errors: Object[] }} - errors: [{ field, value, error }]
+ */
+export function buildLeadFromRow(cells, headers, mapping, defaultCountry = DEFAULT_DNC_COUNTRY) {
+    const value = field => (mapping[field] ? cells[headers.indexOf(mapping[field])] || '' : '');
+    const errors = [];
+
+    const name = value('name');
+    if (!name) {
+        errors.push({ field: 'name', value: '', error: 'Name is required' });
+    }
+
+    const rawPhone = value('phone');
+    const phone = toE164(rawPhone, defaultCountry);
+    if (!rawPhone) {
+        errors.push({ field: 'phone', value: '', error: 'Phone is required' });
+    } else if (!phone) {
+        errors.push({ field: 'phone', value: rawPhone, error: 'Not a valid phone number' });
+    }
+
+    const rawEmail = value('email');
+    const email = rawEmail ? normalizeEmail(rawEmail) : null;
+    if (email && !EMAIL_PATTERN.test(email)) {
+        errors.push({ field: 'email', value: rawEmail, error: 'Not a valid email address' });
+    }
+
+    if (errors.length > 0) {
+        return { lead: null, errors };
+    }
+
+    const lead = {
+        name,
+        phone,
+        email,
+        address: value('address') || null,
+        city: value('city') || null,
+        website: value('website') || null,
+        category: value('category') || null,
+    };
+    return { lead: { ...lead, placeId: getImportedPlaceId(lead, 'import') }, errors: [] };
+}
+
+/**
+ * Validate every row
+ * A phone number repeated within the file is imported once; later rows are
+ * reported as duplicates of the first.
+ * @param {Object[]} rows - From normalizeSheet
+ * @returns {{ leads: Object[], errors: Object[] }} - leads: [{ row, lead }], errors: [{ row, field, value, error }]
+ */
+export function validateImportRows(headers, rows, mapping, { defaultCountry = DEFAULT_DNC_COUNTRY } = {}) {
+    const leads = [];
+    const errors = [];
+    const phoneRows = new Map();
+
+    for (const { row, cells } of rows) {
+        const { lead, errors: rowErrors } = buildLeadFromRow(cells, headers, mapping, defaultCountry);
+        if (!lead) {
+            errors.push(...rowErrors.map(error => ({ row, ...error })));
+            continue;
+        }
+
+        if (phoneRows.has(lead.phone)) {
+            errors.push({ row, field: 'phone', value: lead.phone, error: `Duplicate of row ${phoneRows.get(lead.phone)}` });
+            continue;
+        }
+        phoneRows.set(lead.phone, row);
+        leads.push({ row, lead });
+    }
+
+    return { leads, errors };
+}
+
+/**
+ * Parse a pasted list of numbers ("Name: number" or just a number per line
+ * or comma) into E.164
+ * @returns {{ phones: Object[], invalid: Object[] }} - phones: [{ name, number }], invalid: [{ input, error }]
+ */
+export function parsePhoneList(input, defaultCountry = DEFAULT_DNC_COUNTRY) {
+    const phones = [];
+    const invalid = [];
+    const seen = new Set();
+
+    const entries = String(input || '').split(/[\n,]+/).map(line => line.trim()).filter(Boolean);
+    for (const entry of entries) {
+        const match = entry.match(/^(.+?):\s*(.+)$/);
+        const name = match ? match[1].trim() : null;
+        const number = toE164(match ? match[2] : entry, defaultCountry);
+
+        if (!number) {
+            invalid.push({ input: entry, error: 'Not a valid phone number' });
+        } else if (!seen.has(number)) {
+            seen.add(number);
+            phones.push({ name, number });
+        }
+    }
+
+    return { phones, invalid };
+}
+
+/**
+ * Signature of a header row, to find a mapping saved for the same layout
+ */
+export function getHeaderSignature(headers) {
+    return headers.map(h => h.trim().toLowerCase()).join('|');
+}
+
+/**
+ * Per-row error report as CSV
+ */
+export function toImportErrorCsv(errors = []) {
+    const lines = [IMPORT_ERROR_CSV_COLUMNS.join(',')];
+    for (const error of errors) {
+        lines.push(IMPORT_ERROR_CSV_COLUMNS.map(col => escapeCsvCell(error[col])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+export default {
+    IMPORT_FILE_TYPES,
+    LEAD_IMPORT_FIELDS,
+    REQUIRED_IMPORT_FIELDS,
+    LEAD_IMPORT_STATUSES,
+    MAX_IMPORT_ROWS,
+    PREVIEW_SAMPLE_ROWS,
+    IMPORT_ERROR_CSV_COLUMNS,
+    getImportFileType,
+    parseCsvRows,
+    normalizeSheet,
+    suggestMapping,
+    previewColumns,
+    validateMapping,
+    buildLeadFromRow,
+    validateImportRows,
+    parsePhoneList,
+    getHeaderSignature,
+    toImportErrorCsv,
+};
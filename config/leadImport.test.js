@@ -0,0 +1,182 @@
+/**
+ * Unit tests for lead import module
+ */
+
+import { readFileSync } from 'fs';
+import {
+    MAX_IMPORT_ROWS,
+    getImportFileType,
+    parseCsvRows,
+    normalizeSheet,
+    suggestMapping,
+    previewColumns,
+    validateMapping,
+    buildLeadFromRow,
+    validateImportRows,
+    parsePhoneList,
+    getHeaderSignature,
+    toImportErrorCsv,
+} from './leadImport.js';
+
+const readSample = name => readFileSync(new URL(`../e2e-tests/test-data/${name}`, import.meta.url), 'utf8');
+
+describe('File Types', () => {
+    test('should detect CSV and XLSX uploads', () => {
+        expect(getImportFileType('leads.csv', 'application/octet-stream')).toBe('csv');
+        expect(getImportFileType('Leads.XLSX')).toBe('xlsx');
+        expect(getImportFileType('export', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')).toBe('xlsx');
+    });
+
+    test('should reject other files', () => {
+        expect(getImportFileType('leads.xls', 'application/vnd.ms-excel')).toBeNull();
+        expect(getImportFileType('leads.pdf', 'application/pdf')).toBeNull();
+    });
+});
+
+describe('Reading Sheets', () => {
+    test('should keep quoted cells that span lines together', () => {
+        const rows = parseCsvRows('name,address\n"Acme","1 Main St\nDublin"\nBeta,2 High St');
+        expect(rows).toEqual([
+            ['name', 'address'],
+            ['Acme', '1 Main St\nDublin'],
+            ['Beta', '2 High St'],
+        ]);
+    });
+
+    test('should keep spreadsheet row numbers and skip blank rows', () => {
+        const { headers, rows, error } = normalizeSheet([['Name', 'Phone'], ['A', '1'], ['', ''], ['B', '2']]);
+        expect(error).toBeNull();
+        expect(headers).toEqual(['Name', 'Phone']);
+        expect(rows).toEqual([{ row: 2, cells: ['A', '1'] }, { row: 4, cells: ['B', '2'] }]);
+    });
+
+    test('should turn XLSX cell values into text', () => {
+        const { rows } = normalizeSheet([['Name', 'Phone', 'Since'], ['A', 353861234567, new Date('2024-03-01T00:00:00Z')]]);
+        expect(rows[0].cells).toEqual(['A', '353861234567', '2024-03-01']);
+    });
+
+    test('should reject files without a header or data', () => {
+        expect(normalizeSheet([]).error).toBe('The file has no header row');
+        expect(normalizeSheet([['name', 'phone']]).error).toBe('The file has no data rows');
+        expect(normalizeSheet([['Phone', 'phone'], ['1', '2']]).error).toContain('more than once');
+    });
+
+    test('should stop at the row limit', () => {
+        const sheet = [['name', 'phone'], ...Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => [`Lead ${i}`, '1'])];
+        const { rows, truncated } = normalizeSheet(sheet);
+        expect(rows).toHaveLength(MAX_IMPORT_ROWS);
+        expect(truncated).toBe(true);
+    });
+});
+
+describe('Column Mapping', () => {
+    test('should suggest a mapping from header names', () => {
+        expect(suggestMapping(['Company', 'Telephone', 'E-mail', 'Notes'])).toEqual({
+            name: 'Company',
+            phone: 'Telephone',
+            email: 'E-mail',
+        });
+    });
+
+    test('should preview columns with samples', () => {
+        const columns = previewColumns(['name', 'phone'], [{ row: 2, cells: ['A', ''] }, { row: 3, cells: ['B', '1'] }]);
+        expect(columns).toEqual([
+            { index: 0, header: 'name', samples: ['A', 'B'] },
+            { index: 1, header: 'phone', samples: ['1'] },
+        ]);
+    });
+
+    test('should require name and phone', () => {
+        const { mapping, error } = validateMapping({ email: 'email' }, ['email']);
+        expect(mapping).toBeNull();
+        expect(error).toContain('name and phone are required');
+    });
+
+    test('should reject unknown fields and columns', () => {
+        expect(validateMapping({ name: 'name', phone: 'tel', fax: 'fax' }, ['name', 'tel', 'fax']).error).toContain('Unknown field');
+        expect(validateMapping({ name: 'name', phone: 'mobile' }, ['name', 'tel']).error).toBe('Column "mobile" is not in the file');
+    });
+
+    test('should drop unmapped fields', () => {
+        const { mapping } = validateMapping({ name: 'name', phone: 'tel', email: '' }, ['name', 'tel']);
+        expect(mapping).toEqual({ name: 'name', phone: 'tel' });
+    });
+
+    test('should match headers case-insensitively for saved mappings', () => {
+        expect(getHeaderSignature(['Name', ' Phone '])).toBe(getHeaderSignature(['name', 'phone']));
+    });
+});
+
+describe('Row Validation', () => {
+    const headers = ['name', 'phone', 'email'];
+    const mapping = { name: 'name', phone: 'phone', email: 'email' };
+
+    test('should normalize phone numbers to E.164', () => {
+        const { lead, errors } = buildLeadFromRow(['Acme', '086 123 4567', 'Hi@Acme.ie'], headers, mapping, 'IE');
+        expect(errors).toEqual([]);
+        expect(lead).toMatchObject({ name: 'Acme', phone: '+353861234567', email: 'hi@acme.ie' });
+        expect(lead.placeId).toMatch(/^import:/);
+    });
+
+    test('should use the default country for national numbers', () => {
+        expect(buildLeadFromRow(['Acme', '(415) 555-0100', ''], headers, mapping, 'US').lead.phone).toBe('+14155550100');
+    });
+
+    test('should report every problem with a row', () => {
+        const { lead, errors } = buildLeadFromRow(['', '12', 'not-an-email'], headers, mapping, 'IE');
+        expect(lead).toBeNull();
+        expect(errors.map(e => e.field)).toEqual(['name', 'phone', 'email']);
+    });
+
+    test('should report repeats within the file', () => {
+        const rows = [
+            { row: 2, cells: ['Acme', '0861234567', ''] },
+            { row: 3, cells: ['Acme Again', '+353 86 123 4567', ''] },
+            { row: 5, cells: ['No Phone', '', ''] },
+        ];
+        const { leads, errors } = validateImportRows(headers, rows, mapping, { defaultCountry: 'IE' });
+        expect(leads.map(l => l.row)).toEqual([2]);
+        expect(errors).toEqual([
+            { row: 3, field: 'phone', value: '+353861234567', error: 'Duplicate of row 2' },
+            { row: 5, field: 'phone', value: '', error: 'Phone is required' },
+        ]);
+    });
+
+    test('should write the error report as CSV', () => {
+        const csv = toImportErrorCsv([{ row: 3, field: 'email', value: 'a,b', error: 'Not a valid email address' }]);
+        expect(csv).toBe('row,field,value,error\n3,email,"a,b",Not a valid email address\n');
+    });
+});
+
+describe('Sample Files', () => {
+    test('should import every row of the valid sample', () => {
+        const { headers, rows } = normalizeSheet(parseCsvRows(readSample('sample-leads-50.csv')));
+        const { mapping, error } = validateMapping(suggestMapping(headers), headers);
+        expect(error).toBeNull();
+
+        const { leads, errors } = validateImportRows(headers, rows, mapping, { defaultCountry: 'IE' });
+        expect(errors).toEqual([]);
+        expect(leads).toHaveLength(50);
+        expect(leads[0].lead.phone).toBe('+35315550001');
+    });
+
+    test('should refuse the invalid sample without a name column', () => {
+        const { headers } = normalizeSheet(parseCsvRows(readSample('sample-leads-invalid.csv')));
+        expect(validateMapping(suggestMapping(headers), headers).error).toContain('required');
+    });
+});
+
+describe('Phone Lists', () => {
+    test('should parse names and numbers into E.164', () => {
+        const { phones, invalid } = parsePhoneList('Jane: 086 123 4567\n+44 20 7946 0958, 12', 'IE');
+        expect(phones).toEqual([
+            { name: 'Jane', number: '+353861234567' },
+            { name: null, number: '+442079460958' },
+        ]);
+        expect(invalid).toEqual([{ input: '12', error: 'Not a valid phone number' }]);
+    });
+
+    test('should list each number once', () => {
+        expect(parsePhoneList('0861234567\n+353861234567', 'IE').phones).toHaveLength(1);
+    });
+});
@@ -0,0 +1,240 @@
+/**
+ * Lead Sourcing Configuration
+ *
+ * Providers that find real businesses for a keyword + location and the
+ * mapping of their results into the lead shape POST /api/supabase/leads takes:
+ * - apify: Google Maps scraper actor, started and polled (runs take minutes)
+ * - google_places: Places API (New) text search, fetched in one go
+ * - csv: an uploaded list, run as a spreadsheet import (services/leadImport.js)
+ *
+ * Each search is tracked in scrape_jobs and charged against the free-tier lead
+ * allowance; leads that turn out to be duplicates are refunded.
+ */
+
+import { createHash } from 'crypto';
+
+export const LEAD_SOURCE_PROVIDERS = ['apify', 'google_places', 'csv'];
+export const SCRAPE_JOB_STATUSES = ['running', 'completed', 'failed', 'cancelled'];
+
+// leads.source for each provider (Apify results are Google Maps listings, as the frontend scraper's were)
+export const PROVIDER_LEAD_SOURCES = {
+    apify: 'google_maps',
+    google_places: 'google_places',
+};
+export const DEFAULT_MAX_RESULTS = 100;
+export const MAX_RESULTS_LIMIT = 500;
+export const DEFAULT_APIFY_ACTOR = 'compass~crawler-google-places';
+export const APIFY_RUN_TIMEOUT_MINUTES = 60;
+
+// Places API (New) returns at most 20 per page and 60 per query
+export const GOOGLE_PLACES_PAGE_SIZE = 20;
+export const GOOGLE_PLACES_MAX_RESULTS = 60;
+export const GOOGLE_PLACES_FIELD_MASK = [
+    'places.id',
+    'places.displayName',
+    'places.formattedAddress',
+    'places.addressComponents',
+    'places.nationalPhoneNumber',
+    'places.internationalPhoneNumber',
+    'places.websiteUri',
+    'places.rating',
+    'places.userRatingCount',
+    'places.primaryTypeDisplayName',
+    'places.googleMapsUri',
+    'places.location',
+    'nextPageToken',
+].join(',');
+
+const APIFY_STATUS_MAP = {
+    READY: 'running',
+    RUNNING: 'running',
+    SUCCEEDED: 'completed',
+    FAILED: 'failed',
+    'TIMING-OUT': 'running',
+    'TIMED-OUT': 'failed',
+    ABORTING: 'running',
+    ABORTED: 'cancelled',
+};
+
+// Spreadsheet header aliases -> lead field (used by lead imports)
+export const LEAD_CSV_COLUMNS = {
+    name: ['name', 'business', 'business name', 'company', 'company name', 'title'],
+    phone: ['phone', 'phone number', 'telephone', 'tel', 'mobile', 'number'],
+    email: ['email', 'email address', 'e-mail'],
+    address: ['address', 'street', 'street address'],
+    city: ['city', 'town', 'location'],
+    website: ['website', 'url', 'web', 'site'],
+    category: ['category', 'industry', 'type'],
+};
+
+/**
+ * Validate a sourcing request
+ * @param {Object} body - { provider, keyword, location, maxResults, csv, filename }
+ * @returns {{ request: Object|null, error: string|null }}
+ */
+export function validateSourcingRequest({ provider, keyword, location, maxResults, csv, filename } = {}) {
+    if (!LEAD_SOURCE_PROVIDERS.includes(provider)) {
+        return { request: null, error: `provider must be one of: ${LEAD_SOURCE_PROVIDERS.join(', ')}` };
+    }
+
+    const max = maxResults === undefined || maxResults === null ? DEFAULT_MAX_RESULTS : Number(maxResults);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_RESULTS_LIMIT) {
+        return { request: null, error: `maxResults must be a whole number from 1 to ${MAX_RESULTS_LIMIT}` };
+    }
+
+    if (provider === 'csv') {
+        if (!csv || !String(csv).trim()) {
+            return { request: null, error: 'csv is required for the csv provider' };
+        }
+        return {
+            request: { provider, csv: String(csv), filename: String(filename || 'leads.csv') },
+            error: null,
+        };
+    }
+
+    if (!keyword || !String(keyword).trim() || !location || !String(location).trim()) {
+        return { request: null, error: 'keyword and location are required' };
+    }
+
+    const request = {
+        provider,
+        keyword: String(keyword).trim(),
+        location: String(location).trim(),
+        maxResults: provider === 'google_places' ? Math.min(max, GOOGLE_PLACES_MAX_RESULTS) : max,
+    };
+    return { request, error: null };
+}
+
+/**
+ * scrape_jobs status for an Apify run status
+ */
+export function mapApifyRunStatus(status) {
+    return APIFY_STATUS_MAP[status] || 'running';
+}
+
+/**
+ * Input for the Google Maps scraper actor
+ */
+export function buildApifyInput({ keyword, location, maxResults }) {
+    return {
+        searchStringsArray: [keyword],
+        locationQuery: location,
+        maxCrawledPlacesPerSearch: maxResults,
+        language: 'en',
+        skipClosedPlaces: true,
+    };
+}
+
+/**
+ * Apify Google Maps place -> lead
+ */
+export function mapApifyPlace(place) {
+    if (!place) return null;
+
+    return {
+        name: place.title || place.name || null,
+        phone: place.phone || place.phoneUnformatted || null,
+        email: Array.isArray(place.emails) ? place.emails[0] || null : place.email || null,
+        address: place.address || null,
+        city: place.city || null,
+        website: place.website || null,
+        rating: place.totalScore ?? null,
+        reviewCount: place.reviewsCount ?? null,
+        category: place.categoryName || (Array.isArray(place.categories) ? place.categories[0] : null) || null,
+        placeId: place.placeId || null,
+        googleMapsUrl: place.url || null,
+        location: place.location ? { lat: place.location.lat, lng: place.location.lng } : null,
+    };
+}
+
+/**
+ * Places API text search request body
+ */
+export function buildGooglePlacesRequest({ keyword, location, pageToken = null }) {
+    const body = {
+        textQuery: `${keyword} in ${location}`,
+        pageSize: GOOGLE_PLACES_PAGE_SIZE,
+    };
+    if (pageToken) body.pageToken = pageToken;
+    return body;
+}
+
+/**
+ * Places API (New) place -> lead
+ */
+export function mapGooglePlace(place) {
+    if (!place) return null;
+
+    const locality = (place.addressComponents || [])
+        .find(component => (component.types || []).includes('locality') || (component.types || []).includes('postal_town'));
+
+    return {
+        name: place.displayName?.text || null,
+        phone: place.internationalPhoneNumber || place.nationalPhoneNumber || null,
+        email: null,
+        address: place.formattedAddress || null,
+        city: locality?.longText || null,
+        website: place.websiteUri || null,
+        rating: place.rating ?? null,
+        reviewCount: place.userRatingCount ?? null,
+        category: place.primaryTypeDisplayName?.text || null,
+        placeId: place.id || null,
+        googleMapsUrl: place.googleMapsUri || null,
+        location: place.location ? { lat: place.location.latitude, lng: place.location.longitude } : null,
+    };
+}
+
+/**
+ * Stable placeId for a lead that didn't come from Google, so re-importing
+ * the same row hits the (user_id, place_id) upsert instead of duplicating it
+ */
+export function getImportedPlaceId(lead, prefix = 'csv') {
+    const key = [lead.name, lead.phone ? String(lead.phone).replace(/\D/g, '') : '', lead.address]
+        .map(part => String(part || '').trim().toLowerCase())
+        .join('|');
+    return `${prefix}:${createHash('sha1').update(key).digest('hex').slice(0, 20)}`;
+}
+
+/**
+ * Drop unusable and repeated results, capped to the job's size
+ * A lead is usable if it can be called or emailed
+ */
+export function prepareSourcedLeads(leads, maxResults) {
+    const seen = new Set();
+    const prepared = [];
+
+    for (const lead of leads || []) {
+        if (!lead || (!lead.phone && !lead.email)) continue;
+
+        const key = lead.placeId || getImportedPlaceId(lead, 'lead');
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        prepared.push({ ...lead, placeId: key });
+        if (prepared.length >= maxResults) break;
+    }
+
+    return prepared;
+}
+
+export default {
+    LEAD_SOURCE_PROVIDERS,
+    SCRAPE_JOB_STATUSES,
+    PROVIDER_LEAD_SOURCES,
+    LEAD_CSV_COLUMNS,
+    DEFAULT_MAX_RESULTS,
+    MAX_RESULTS_LIMIT,
+    DEFAULT_APIFY_ACTOR,
+    APIFY_RUN_TIMEOUT_MINUTES,
+    GOOGLE_PLACES_PAGE_SIZE,
+    GOOGLE_PLACES_MAX_RESULTS,
+    GOOGLE_PLACES_FIELD_MASK,
+    validateSourcingRequest,
+    mapApifyRunStatus,
+    buildApifyInput,
+    mapApifyPlace,
+    buildGooglePlacesRequest,
+    mapGooglePlace,
+    getImportedPlaceId,
+    prepareSourcedLeads,
+};
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for lead sourcing module
+ */
+
+import {
+    DEFAULT_MAX_RESULTS,
+    GOOGLE_PLACES_MAX_RESULTS,
+    validateSourcingRequest,
+    mapApifyRunStatus,
+    buildApifyInput,
+    mapApifyPlace,
+    buildGooglePlacesRequest,
+    mapGooglePlace,
+    getImportedPlaceId,
+    prepareSourcedLeads,
+} from './leadSourcing.js';
+
+describe('Request Validation', () => {
+    test('should accept a provider search', () => {
+        const { request, error } = validateSourcingRequest({ provider: 'apify', keyword: ' dentists ', location: 'Dublin', maxResults: '50' });
+        expect(error).toBeNull();
+        expect(request).toEqual({ provider: 'apify', keyword: 'dentists', location: 'Dublin', maxResults: 50 });
+    });
+
+    test('should default the result count', () => {
+        expect(validateSourcingRequest({ provider: 'apify', keyword: 'a', location: 'b' }).request.maxResults).toBe(DEFAULT_MAX_RESULTS);
+    });
+
+    test('should cap Google Places to what one query can return', () => {
+        const { request } = validateSourcingRequest({ provider: 'google_places', keyword: 'a', location: 'b', maxResults: 200 });
+        expect(request.maxResults).toBe(GOOGLE_PLACES_MAX_RESULTS);
+    });
+
+    test('should reject unknown providers and bad sizes', () => {
+        expect(validateSourcingRequest({ provider: 'claude', keyword: 'a', location: 'b' }).error).toContain('provider');
+        expect(validateSourcingRequest({ provider: 'apify', keyword: 'a', location: 'b', maxResults: 0 }).error).toContain('maxResults');
+        expect(validateSourcingRequest({ provider: 'apify', keyword: 'a', location: 'b', maxResults: 501 }).error).toContain('500');
+    });
+
+    test('should require keyword and location for searches', () => {
+        expect(validateSourcingRequest({ provider: 'apify', keyword: 'a' }).error).toBe('keyword and location are required');
+    });
+
+    test('should require CSV content for imports only', () => {
+        expect(validateSourcingRequest({ provider: 'csv' }).error).toContain('csv is required');
+        const { request } = validateSourcingRequest({ provider: 'csv', csv: 'name,phone\nA,1' });
+        expect(request).toEqual({ provider: 'csv', csv: 'name,phone\nA,1', filename: 'leads.csv' });
+    });
+});
+
+describe('Apify', () => {
+    test('should map run statuses onto job statuses', () => {
+        expect(mapApifyRunStatus('RUNNING')).toBe('running');
+        expect(mapApifyRunStatus('SUCCEEDED')).toBe('completed');
+        expect(mapApifyRunStatus('TIMED-OUT')).toBe('failed');
+        expect(mapApifyRunStatus('ABORTED')).toBe('cancelled');
+    });
+
+    test('should build actor input', () => {
+        expect(buildApifyInput({ keyword: 'dentists', location: 'Cork', maxResults: 20 })).toMatchObject({
+            searchStringsArray: ['dentists'],
+            locationQuery: 'Cork',
+            maxCrawledPlacesPerSearch: 20,
+        });
+    });
+
+    test('should map places into the leads API shape', () => {
+        const lead = mapApifyPlace({
+            title: 'Smile Dental',
+            phone: '+353 21 123 4567',
+            address: '1 Main St, Cork',
+            city: 'Cork',
+            website: 'https://smile.ie',
+            totalScore: 4.7,
+            reviewsCount: 88,
+            categoryName: 'Dentist',
+            placeId: 'ChIJ123',
+            url: 'https://maps.google.com/?cid=1',
+            location: { lat: 51.9, lng: -8.47 },
+            emails: ['info@smile.ie'],
+        });
+
+        expect(lead).toEqual({
+            name: 'Smile Dental',
+            phone: '+353 21 123 4567',
+            email: 'info@smile.ie',
+            address: '1 Main St, Cork',
+            city: 'Cork',
+            website: 'https://smile.ie',
+            rating: 4.7,
+            reviewCount: 88,
+            category: 'Dentist',
+            placeId: 'ChIJ123',
+            googleMapsUrl: 'https://maps.google.com/?cid=1',
+            location: { lat: 51.9, lng: -8.47 },
+        });
+    });
+});
+
+describe('Google Places', () => {
+    test('should build a text search with an optional page token', () => {
+        expect(buildGooglePlacesRequest({ keyword: 'cafes', location: 'Galway' })).toEqual({ textQuery: 'cafes in Galway', pageSize: 20 });
+        expect(buildGooglePlacesRequest({ keyword: 'cafes', location: 'Galway', pageToken: 't' }).pageToken).toBe('t');
+    });
+
+    test('should map places into the leads API shape', () => {
+        const lead = mapGooglePlace({
+            id: 'ChIJabc',
+            displayName: { text: 'Bean There' },
+            formattedAddress: '2 Shop St, Galway',
+            addressComponents: [
+                { longText: 'Shop St', types: ['route'] },
+                { longText: 'Galway', types: ['locality', 'political'] },
+            ],
+            internationalPhoneNumber: '+353 91 123 456',
+            websiteUri: 'https://bean.ie',
+            rating: 4.2,
+            userRatingCount: 40,
+            primaryTypeDisplayName: { text: 'Coffee shop' },
+            googleMapsUri: 'https://maps.google.com/?cid=2',
+            location: { latitude: 53.27, longitude: -9.05 },
+        });
+
+        expect(lead).toMatchObject({
+            name: 'Bean There',
+            phone: '+353 91 123 456',
+            city: 'Galway',
+            category: 'Coffee shop',
+            placeId: 'ChIJabc',
+            location: { lat: 53.27, lng: -9.05 },
+        });
+    });
+});
+
+describe('Imported Leads', () => {
+    test('should give the same row the same placeId', () => {
+        const a = getImportedPlaceId({ name: 'Acme', phone: '086-123-4567' });
+        const b = getImportedPlaceId({ name: ' ACME ', phone: '0861234567' });
+        expect(a).toBe(b);
+        expect(getImportedPlaceId({ name: 'Other', phone: '0861234567' })).not.toBe(a);
+    });
+});
+
+describe('Preparing Results', () => {
+    test('should drop unreachable and repeated places and cap the count', () => {
+        const leads = prepareSourcedLeads([
+            { name: 'A', phone: '1', placeId: 'p1' },
+            { name: 'A again', phone: '1', placeId: 'p1' },
+            { name: 'No contact', placeId: 'p2' },
+            { name: 'B', email: 'b@b.com', placeId: 'p3' },
+            { name: 'C', phone: '3', placeId: 'p4' },
+        ], 2);
+
+        expect(leads.map(l => l.placeId)).toEqual(['p1', 'p3']);
+    });
+
+    test('should give results without a placeId a stable one', () => {
+        const [lead] = prepareSourcedLeads([{ name: 'A', phone: '1' }], 10);
+        expect(lead.placeId).toMatch(/^lead:/);
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Meeting Booking Configuration
+ *
+ * This module provides:
+ * 1. VAPI function tools the assistant uses to offer and book slots mid-call
+ * 2. Prompt instructions telling the assistant when to use them
+ * 3. Normalizers for Calendly / Cal.com "booking created" webhook payloads
+ * 4. Webhook signature verification for both providers
+ */
+
+import crypto from 'crypto';
+
+export const BOOKING_PROVIDERS = ['calcom', 'calendly'];
+
+/**
+ * Tool: list open slots on the user's calendar
+ */
+export const CHECK_AVAILABILITY_TOOL = {
+    type: "function",
+    function: {
+        name: "checkAvailability",
+        description: "Get the next available meeting slots on the calendar. Use this when the customer is interested in a follow-up meeting or demo, before proposing times.",
+        parameters: {
+            type: "object",
+            properties: {
+                days: {
+                    type: "number",
+                    description: "How many days ahead to look (1-14). Defaults to 5."
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Tool: book one of the offered slots
+ */
+export const BOOK_MEETING_TOOL = {
+    type: "function",
+    function: {
+        name: "bookMeeting",
+        description: "Book a meeting at one of the slots returned by checkAvailability, once the customer has agreed to a specific time.",
+        parameters: {
+            type: "object",
+            properties: {
+                startTime: {
+                    type: "string",
+                    description: "The exact ISO 8601 start time of the chosen slot, as returned by checkAvailability"
+                },
+                name: {
+                    type: "string",
+                    description: "The customer's name"
+                },
+                email: {
+                    type: "string",
+                    description: "The customer's email address for the calendar invite"
+                }
+            },
+            required: ["startTime"]
+        }
+    }
+};
+
+export const MEETING_BOOKING_PROMPT_INSTRUCTIONS = `
+MEETING BOOKING:
+If the customer is interested in a follow-up meeting or demo:
+1. Use the checkAvailability function to get open slots
+2. Offer two or three of the returned times (read them in the customer's local time as given)
+3. Once they agree to a time, confirm their email address and use the bookMeeting function
+4. Confirm the booking back to the customer
+Never invent times that checkAvailability did not return.
+`;
+
+/**
+ * Build the tool list for a call, pointing tool calls at our webhook
+ * @param {string} serverUrl - URL VAPI should send tool calls to
+ */
+export function getMeetingTools(serverUrl) {
+    return [CHECK_AVAILABILITY_TOOL, BOOK_MEETING_TOOL].map(tool => ({
+        ...tool,
+        server: { url: serverUrl },
+    }));
+}
+
+/**
+ * Normalize a booking webhook payload from Calendly or Cal.com
+ * @param {Object} body - Parsed webhook body
+ * @returns {Object|null} - { provider, event, externalId, startTime, endTime, inviteeName,
+ *                            inviteeEmail, inviteePhone, meetingUrl, leadId, enrollmentId }
+ *                          event is 'created' | 'cancelled' | 'rescheduled'; null if unrecognized
+ */
+export function normalizeBookingPayload(body) {
+    if (!body || typeof body !== 'object') return null;
+
+    // Cal.com: { triggerEvent: 'BOOKING_CREATED', payload: { uid, startTime, attendees, metadata } }
+    if (body.triggerEvent) {
+        const eventMap = {
+            BOOKING_CREATED: 'created',
+            BOOKING_RESCHEDULED: 'rescheduled',
+            BOOKING_CANCELLED: 'cancelled',
+        };
+        const event = eventMap[body.triggerEvent];
+        if (!event) return null;
+
+        const payload = body.payload || {};
+        const attendee = payload.attendees?.[0] || {};
+        const metadata = payload.metadata || {};
+
+        return {
+            provider: 'calcom',
+            event,
+            externalId: payload.uid || (payload.bookingId ? String(payload.bookingId) : null),
+            startTime: payload.startTime || null,
+            endTime: payload.endTime || null,
+            inviteeName: attendee.name || null,
+            inviteeEmail: attendee.email?.toLowerCase() || null,
+            inviteePhone: attendee.phoneNumber || payload.responses?.attendeePhoneNumber?.value || null,
+            meetingUrl: payload.videoCallData?.url || metadata.videoCallUrl || null,
+            leadId: metadata.leadId || null,
+            enrollmentId: metadata.enrollmentId || null,
+        };
+    }
+
+    // Calendly: { event: 'invitee.created', payload: { email, name, scheduled_event, tracking } }
+    if (body.event?.startsWith('invitee.')) {
+        const eventMap = {
+            'invitee.created': 'created',
+            'invitee.canceled': 'cancelled',
+        };
+        const event = eventMap[body.event];
+        if (!event) return null;
+
+        const payload = body.payload || {};
+        const scheduledEvent = payload.scheduled_event || {};
+        const tracking = payload.tracking || {};
+
+        return {
+            provider: 'calendly',
+            event,
+            externalId: scheduledEvent.uri || payload.uri || null,
+            startTime: scheduledEvent.start_time || null,
+            endTime: scheduledEvent.end_time || null,
+            inviteeName: payload.name || null,
+            inviteeEmail: payload.email?.toLowerCase() || null,
+            inviteePhone: payload.text_reminder_number || null,
+            meetingUrl: scheduledEvent.location?.join_url || null,
+            // Scheduling links we hand out carry utm_term=leadId, utm_content=enrollmentId
+            leadId: tracking.utm_term || null,
+            enrollmentId: tracking.utm_content || null,
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Verify a booking webhook signature
+ * - Cal.com: X-Cal-Signature-256 = hex HMAC-SHA256(body)
+ * - Calendly: Calendly-Webhook-Signature = "t=<ts>,v1=<hex HMAC-SHA256(`${t}.${body}`)>"
+ * @param {string} rawBody - Raw request body
+ * @param {Object} headers - Request headers (lowercased keys)
+ * @param {string} secret - Signing secret configured for the user
+ */
+export function verifyBookingSignature(rawBody, headers, secret) {
+    if (!secret) return false;
+
+    try {
+        const calSignature = headers['x-cal-signature-256'];
+        if (calSignature) {
+            const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+            return crypto.timingSafeEqual(Buffer.from(calSignature), Buffer.from(expected));
+        }
+
+        const calendlySignature = headers['calendly-webhook-signature'];
+        if (calendlySignature) {
+            const parts = calendlySignature.split(',');
+            const timestamp = parts.find(p => p.startsWith('t='))?.split('=')[1];
+            const v1Signature = parts.find(p => p.startsWith('v1='))?.split('=')[1];
+            if (!timestamp || !v1Signature) return false;
+
+            const expected = crypto
+                .createHmac('sha256', secret)
+                .update(`${timestamp}.${rawBody}`)
+                .digest('hex');
+            return crypto.timingSafeEqual(Buffer.from(v1Signature), Buffer.from(expected));
+        }
+
+        return false;
+    } catch {
+        return false;
+    }
+}
+
+export default {
+    BOOKING_PROVIDERS,
+    CHECK_AVAILABILITY_TOOL,
+    BOOK_MEETING_TOOL,
+    MEETING_BOOKING_PROMPT_INSTRUCTIONS,
+    getMeetingTools,
+    normalizeBookingPayload,
+    verifyBookingSignature,
+};
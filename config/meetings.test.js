@@ -0,0 +1,138 @@
+/**
+ * Unit tests for meeting booking configuration module
+ */
+
+import crypto from 'crypto';
+import {
+    CHECK_AVAILABILITY_TOOL,
+    BOOK_MEETING_TOOL,
+    getMeetingTools,
+    normalizeBookingPayload,
+    verifyBookingSignature,
+} from './meetings.js';
+
+describe('Meeting Booking Configuration Module', () => {
+    describe('getMeetingTools', () => {
+        test('should point both tools at the given server URL', () => {
+            const tools = getMeetingTools('https://api.example.com/api/vapi/webhook');
+
+            expect(tools).toHaveLength(2);
+            expect(tools.map(t => t.function.name)).toEqual(['checkAvailability', 'bookMeeting']);
+            tools.forEach(tool => {
+                expect(tool.type).toBe('function');
+                expect(tool.server.url).toBe('https://api.example.com/api/vapi/webhook');
+            });
+        });
+
+        test('should not mutate the base tool definitions', () => {
+            getMeetingTools('https://example.com');
+            expect(CHECK_AVAILABILITY_TOOL.server).toBeUndefined();
+            expect(BOOK_MEETING_TOOL.server).toBeUndefined();
+        });
+
+        test('bookMeeting should require startTime', () => {
+            expect(BOOK_MEETING_TOOL.function.parameters.required).toContain('startTime');
+        });
+    });
+
+    describe('normalizeBookingPayload', () => {
+        test('should normalize a Cal.com BOOKING_CREATED payload', () => {
+            const booking = normalizeBookingPayload({
+                triggerEvent: 'BOOKING_CREATED',
+                payload: {
+                    uid: 'abc123',
+                    startTime: '2026-10-20T14:00:00Z',
+                    endTime: '2026-10-20T14:30:00Z',
+                    attendees: [{ name: 'Jane Doe', email: 'Jane@Example.com', timeZone: 'Europe/Dublin' }],
+                    metadata: { leadId: 'lead-1', enrollmentId: 'enr-1' },
+                    videoCallData: { url: 'https://meet.example.com/x' },
+                },
+            });
+
+            expect(booking).toEqual({
+                provider: 'calcom',
+                event: 'created',
+                externalId: 'abc123',
+                startTime: '2026-10-20T14:00:00Z',
+                endTime: '2026-10-20T14:30:00Z',
+                inviteeName: 'Jane Doe',
+                inviteeEmail: 'jane@example.com',
+                inviteePhone: null,
+                meetingUrl: 'https://meet.example.com/x',
+                leadId: 'lead-1',
+                enrollmentId: 'enr-1',
+            });
+        });
+
+        test('should map Cal.com cancellation and reschedule events', () => {
+            expect(normalizeBookingPayload({ triggerEvent: 'BOOKING_CANCELLED', payload: { uid: 'x' } }).event).toBe('cancelled');
+            expect(normalizeBookingPayload({ triggerEvent: 'BOOKING_RESCHEDULED', payload: { uid: 'x' } }).event).toBe('rescheduled');
+        });
+
+        test('should normalize a Calendly invitee.created payload', () => {
+            const booking = normalizeBookingPayload({
+                event: 'invitee.created',
+                payload: {
+                    email: 'bob@example.com',
+                    name: 'Bob',
+                    text_reminder_number: '+15555550100',
+                    scheduled_event: {
+                        uri: 'https://api.calendly.com/scheduled_events/EV1',
+                        start_time: '2026-10-21T16:00:00Z',
+                        end_time: '2026-10-21T16:30:00Z',
+                        location: { join_url: 'https://zoom.example.com/1' },
+                    },
+                    tracking: { utm_source: 'validatecall', utm_term: 'lead-2', utm_content: 'enr-2' },
+                },
+            });
+
+            expect(booking.provider).toBe('calendly');
+            expect(booking.event).toBe('created');
+            expect(booking.externalId).toBe('https://api.calendly.com/scheduled_events/EV1');
+            expect(booking.inviteePhone).toBe('+15555550100');
+            expect(booking.meetingUrl).toBe('https://zoom.example.com/1');
+            expect(booking.leadId).toBe('lead-2');
+            expect(booking.enrollmentId).toBe('enr-2');
+        });
+
+        test('should map Calendly cancellations', () => {
+            expect(normalizeBookingPayload({ event: 'invitee.canceled', payload: {} }).event).toBe('cancelled');
+        });
+
+        test('should return null for unrelated events', () => {
+            expect(normalizeBookingPayload({ triggerEvent: 'MEETING_ENDED', payload: {} })).toBeNull();
+            expect(normalizeBookingPayload({ event: 'routing_form_submission.created' })).toBeNull();
+            expect(normalizeBookingPayload(null)).toBeNull();
+        });
+    });
+
+    describe('verifyBookingSignature', () => {
+        const SECRET = 'booking_secret';
+        const body = '{"triggerEvent":"BOOKING_CREATED"}';
+
+        test('should verify a Cal.com signature', () => {
+            const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+            expect(verifyBookingSignature(body, { 'x-cal-signature-256': signature }, SECRET)).toBe(true);
+        });
+
+        test('should reject a tampered Cal.com body', () => {
+            const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+            expect(verifyBookingSignature(body + ' ', { 'x-cal-signature-256': signature }, SECRET)).toBe(false);
+        });
+
+        test('should verify a Calendly signature', () => {
+            const t = '1700000000';
+            const v1 = crypto.createHmac('sha256', SECRET).update(`${t}.${body}`).digest('hex');
+            expect(verifyBookingSignature(body, { 'calendly-webhook-signature': `t=${t},v1=${v1}` }, SECRET)).toBe(true);
+        });
+
+        test('should reject malformed Calendly signatures', () => {
+            expect(verifyBookingSignature(body, { 'calendly-webhook-signature': 't=1' }, SECRET)).toBe(false);
+        });
+
+        test('should reject missing signature or secret', () => {
+            expect(verifyBookingSignature(body, {}, SECRET)).toBe(false);
+            expect(verifyBookingSignature(body, { 'x-cal-signature-256': 'abc' }, null)).toBe(false);
+        });
+    });
+});
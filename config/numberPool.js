@@ -0,0 +1,203 @@
+/**
+ * Outbound Number Pool Configuration
+ *
+ * Every outbound call reserves a number from user_phone_numbers:
+ * - A user's own numbers, or the platform pool (rows with no user_id)
+ * - Numbers over their daily cap are skipped (counters reset on a new day)
+ * - Numbers flagged as spam sit out a cool-down before rejoining rotation
+ * - Local presence: numbers matching the lead's area code win, then country
+ * - Ties go to the least used number
+ */
+
+export const DEFAULT_DAILY_CALL_LIMIT = 50;
+export const SPAM_COOLDOWN_HOURS = 72;
+
+/**
+ * ISO country code -> international calling code
+ */
+export const COUNTRY_CALLING_CODES = {
+    IE: '353',
+    GB: '44',
+    US: '1',
+    CA: '1',
+    AU: '61',
+    NZ: '64',
+    DE: '49',
+    FR: '33',
+    ES: '34',
+    IT: '39',
+    NL: '31',
+};
+
+// Longest first so '353' is tried before '35'/'3'
+const CALLING_CODES = [...new Set(Object.values(COUNTRY_CALLING_CODES))]
+    .sort((a, b) => b.length - a.length);
+
+/**
+ * Today's date as YYYY-MM-DD (UTC), matching last_reset_date
+ */
+export function getPoolDate(now = new Date()) {
+    return now.toISOString().split('T')[0];
+}
+
+/**
+ * Work out the calling code and area code of an E.164 number
+ * Area codes: NANP uses 3 digits; Ireland uses 1 for Dublin, else 2;
+ * the UK uses 2 for London (20), else 3. Other countries match on country only.
+ * @param {string} phone - E.164 number
+ * @returns {{ callingCode: string|null, areaCode: string|null }}
+ */
+export function parsePhoneLocation(phone) {
+    const digits = String(phone || '').replace(/[^\d+]/g, '');
+    if (!digits.startsWith('+')) return { callingCode: null, areaCode: null };
+
+    const national = digits.slice(1);
+    const callingCode = CALLING_CODES.find(code => national.startsWith(code)) || null;
+    if (!callingCode) return { callingCode: null, areaCode: null };
+
+    const subscriber = national.slice(callingCode.length);
+    let areaCode = null;
+
+    if (callingCode === '1') {
+        areaCode = subscriber.slice(0, 3);
+    } else if (callingCode === '353') {
+        areaCode = subscriber.startsWith('1') ? '1' : subscriber.slice(0, 2);
+    } else if (callingCode === '44') {
+        areaCode = subscriber.startsWith('20') ? '20' : subscriber.slice(0, 3);
+    }
+
+    return { callingCode, areaCode: areaCode || null };
+}
+
+/**
+ * Location of a pool number, preferring its stored country/area codes
+ */
+export function getNumberLocation(number) {
+    const parsed = parsePhoneLocation(number?.phone_number);
+    const storedCode = COUNTRY_CALLING_CODES[String(number?.country_code || '').toUpperCase()];
+
+    return {
+        callingCode: parsed.callingCode || storedCode || null,
+        areaCode: number?.area_code ? String(number.area_code).replace(/^0+/, '') : parsed.areaCode,
+    };
+}
+
+/**
+ * Calls used today - a counter last reset on an earlier day counts as zero
+ */
+export function getDailyUsage(number, now = new Date()) {
+    if (!number?.last_reset_date || number.last_reset_date < getPoolDate(now)) return 0;
+    return number.daily_calls_used || 0;
+}
+
+/**
+ * Check whether a spam-flagged number is still cooling down
+ */
+export function isInSpamCooldown(number, now = new Date(), cooldownHours = SPAM_COOLDOWN_HOURS) {
+    if (!number?.flagged_as_spam) return false;
+    if (!number.spam_flagged_at) return true;
+
+    const flaggedAt = new Date(number.spam_flagged_at).getTime();
+    return now.getTime() - flaggedAt < cooldownHours * 60 * 60 * 1000;
+}
+
+/**
+ * Check a number can take another call right now
+ * Flagged numbers come back once their cool-down has passed
+ */
+export function isNumberAvailable(number, now = new Date(), cooldownHours = SPAM_COOLDOWN_HOURS) {
+    if (!number?.phone_number_id) return false;
+    if (!['active', 'flagged'].includes(number.status)) return false;
+    if (number.status === 'flagged' && !number.flagged_as_spam) return false;
+    if (isInSpamCooldown(number, now, cooldownHours)) return false;
+
+    const limit = number.daily_calls_limit ?? DEFAULT_DAILY_CALL_LIMIT;
+    return getDailyUsage(number, now) < limit;
+}
+
+/**
+ * Score how local a number looks to the lead
+ * @returns {number} - 2 same area, 1 same country, 0 otherwise
+ */
+export function getLocalPresenceScore(number, leadPhone) {
+    const lead = parsePhoneLocation(leadPhone);
+    if (!lead.callingCode) return 0;
+
+    const location = getNumberLocation(number);
+    if (location.callingCode !== lead.callingCode) return 0;
+    if (lead.areaCode && location.areaCode === lead.areaCode) return 2;
+    return 1;
+}
+
+/**
+ * Order the available numbers for a call, best first
+ * @param {Object[]} numbers - user_phone_numbers rows
+ * @param {string} leadPhone - Destination number (optional)
+ */
+export function rankPoolNumbers(numbers, leadPhone = null, now = new Date()) {
+    return (numbers || [])
+        .filter(number => isNumberAvailable(number, now))
+        .map(number => ({
+            number,
+            score: getLocalPresenceScore(number, leadPhone),
+            used: getDailyUsage(number, now),
+        }))
+        .sort((a, b) =>
+            b.score - a.score
+            || a.used - b.used
+            || (a.number.total_calls_made || 0) - (b.number.total_calls_made || 0))
+        .map(entry => entry.number);
+}
+
+/**
+ * Summarise a pool's capacity for today
+ */
+export function summarizePool(numbers, now = new Date()) {
+    const pool = (numbers || []).filter(n => ['active', 'flagged'].includes(n.status));
+    const available = pool.filter(n => !isInSpamCooldown(n, now));
+
+    const totalDailyCapacity = available.reduce((sum, n) => sum + (n.daily_calls_limit ?? DEFAULT_DAILY_CALL_LIMIT), 0);
+    const usedToday = available.reduce((sum, n) => sum + getDailyUsage(n, now), 0);
+
+    return {
+        totalNumbers: pool.length,
+        activeNumbers: available.length,
+        coolingDownNumbers: pool.length - available.length,
+        totalDailyCapacity,
+        usedToday,
+        remainingToday: Math.max(0, totalDailyCapacity - usedToday),
+        numbers: pool.map(n => {
+            const used = getDailyUsage(n, now);
+            const limit = n.daily_calls_limit ?? DEFAULT_DAILY_CALL_LIMIT;
+            return {
+                id: n.id,
+                phoneNumber: n.phone_number,
+                phoneNumberId: n.phone_number_id,
+                countryCode: n.country_code,
+                areaCode: getNumberLocation(n).areaCode,
+                dailyCallsUsed: used,
+                dailyCallsLimit: limit,
+                remaining: Math.max(0, limit - used),
+                available: isNumberAvailable(n, now),
+                flaggedAsSpam: !!n.flagged_as_spam,
+                coolingDown: isInSpamCooldown(n, now),
+                totalCallsMade: n.total_calls_made || 0,
+            };
+        }),
+    };
+}
+
+export default {
+    DEFAULT_DAILY_CALL_LIMIT,
+    SPAM_COOLDOWN_HOURS,
+    COUNTRY_CALLING_CODES,
+    getPoolDate,
+    parsePhoneLocation,
+    getNumberLocation,
+    getDailyUsage,
+    isInSpamCooldown,
+    isNumberAvailable,
+    getLocalPresenceScore,
+    rankPoolNumbers,
+    summarizePool,
+};
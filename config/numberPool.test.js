@@ -0,0 +1,199 @@
+/**
+ * Unit tests for the outbound number pool configuration module
+ */
+
+import {
+    SPAM_COOLDOWN_HOURS,
+    parsePhoneLocation,
+    getNumberLocation,
+    getDailyUsage,
+    isInSpamCooldown,
+    isNumberAvailable,
+    getLocalPresenceScore,
+    rankPoolNumbers,
+    summarizePool,
+} from './numberPool.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const TODAY = '2026-03-10';
+
+function number(overrides = {}) {
+    return {
+        id: overrides.phone_number_id || 'pn',
+        phone_number_id: 'pn',
+        phone_number: '+35312655181',
+        country_code: 'IE',
+        area_code: null,
+        status: 'active',
+        daily_calls_used: 0,
+        daily_calls_limit: 50,
+        last_reset_date: TODAY,
+        total_calls_made: 0,
+        flagged_as_spam: false,
+        spam_flagged_at: null,
+        ...overrides,
+    };
+}
+
+describe('Number Pool Configuration Module', () => {
+    describe('parsePhoneLocation', () => {
+        test('should parse NANP area codes', () => {
+            expect(parsePhoneLocation('+14155550123')).toEqual({ callingCode: '1', areaCode: '415' });
+        });
+
+        test('should parse Irish area codes', () => {
+            expect(parsePhoneLocation('+35312655181')).toEqual({ callingCode: '353', areaCode: '1' });
+            expect(parsePhoneLocation('+353214123456')).toEqual({ callingCode: '353', areaCode: '21' });
+        });
+
+        test('should parse UK area codes', () => {
+            expect(parsePhoneLocation('+442079460000')).toEqual({ callingCode: '44', areaCode: '20' });
+            expect(parsePhoneLocation('+441614960000')).toEqual({ callingCode: '44', areaCode: '161' });
+        });
+
+        test('should match country only elsewhere', () => {
+            expect(parsePhoneLocation('+4930123456')).toEqual({ callingCode: '49', areaCode: null });
+        });
+
+        test('should return nulls for non E.164 input', () => {
+            expect(parsePhoneLocation('0861234567')).toEqual({ callingCode: null, areaCode: null });
+            expect(parsePhoneLocation(null)).toEqual({ callingCode: null, areaCode: null });
+        });
+    });
+
+    describe('getNumberLocation', () => {
+        test('should prefer the stored area code', () => {
+            expect(getNumberLocation(number({ phone_number: '+353212000000', area_code: '021' })))
+                .toEqual({ callingCode: '353', areaCode: '21' });
+        });
+
+        test('should fall back to the stored country code', () => {
+            expect(getNumberLocation(number({ phone_number: 'Demo', country_code: 'us' })).callingCode).toBe('1');
+        });
+    });
+
+    describe('getDailyUsage', () => {
+        test('should count today\'s calls', () => {
+            expect(getDailyUsage(number({ daily_calls_used: 12 }), NOW)).toBe(12);
+        });
+
+        test('should treat a counter from an earlier day as reset', () => {
+            expect(getDailyUsage(number({ daily_calls_used: 50, last_reset_date: '2026-03-09' }), NOW)).toBe(0);
+        });
+    });
+
+    describe('isInSpamCooldown', () => {
+        test('should cool down recently flagged numbers', () => {
+            const flagged = number({ flagged_as_spam: true, spam_flagged_at: '2026-03-09T12:00:00Z' });
+            expect(isInSpamCooldown(flagged, NOW)).toBe(true);
+        });
+
+        test('should release numbers after the cool-down', () => {
+            const flaggedAt = new Date(NOW.getTime() - (SPAM_COOLDOWN_HOURS + 1) * 60 * 60 * 1000);
+            const flagged = number({ flagged_as_spam: true, spam_flagged_at: flaggedAt.toISOString() });
+            expect(isInSpamCooldown(flagged, NOW)).toBe(false);
+        });
+
+        test('should keep flagged numbers without a timestamp out', () => {
+            expect(isInSpamCooldown(number({ flagged_as_spam: true }), NOW)).toBe(true);
+        });
+    });
+
+    describe('isNumberAvailable', () => {
+        test('should accept active numbers under their cap', () => {
+            expect(isNumberAvailable(number({ daily_calls_used: 49 }), NOW)).toBe(true);
+        });
+
+        test('should reject numbers at their cap', () => {
+            expect(isNumberAvailable(number({ daily_calls_used: 50 }), NOW)).toBe(false);
+        });
+
+        test('should accept capped numbers on a new day', () => {
+            expect(isNumberAvailable(number({ daily_calls_used: 50, last_reset_date: '2026-03-09' }), NOW)).toBe(true);
+        });
+
+        test('should reject released numbers and numbers cooling down', () => {
+            expect(isNumberAvailable(number({ status: 'released' }), NOW)).toBe(false);
+            expect(isNumberAvailable(number({
+                status: 'flagged',
+                flagged_as_spam: true,
+                spam_flagged_at: '2026-03-10T06:00:00Z',
+            }), NOW)).toBe(false);
+        });
+
+        test('should accept flagged numbers once cooled down', () => {
+            expect(isNumberAvailable(number({
+                status: 'flagged',
+                flagged_as_spam: true,
+                spam_flagged_at: '2026-03-01T00:00:00Z',
+            }), NOW)).toBe(true);
+        });
+    });
+
+    describe('getLocalPresenceScore', () => {
+        const dublin = number({ phone_number: '+35312655181' });
+
+        test('should score a matching area highest', () => {
+            expect(getLocalPresenceScore(dublin, '+35318001234')).toBe(2);
+        });
+
+        test('should score a matching country', () => {
+            expect(getLocalPresenceScore(dublin, '+353214123456')).toBe(1);
+        });
+
+        test('should score other countries zero', () => {
+            expect(getLocalPresenceScore(dublin, '+14155550123')).toBe(0);
+            expect(getLocalPresenceScore(dublin, null)).toBe(0);
+        });
+    });
+
+    describe('rankPoolNumbers', () => {
+        const dublin = number({ phone_number_id: 'dublin', phone_number: '+35312655181', daily_calls_used: 30 });
+        const cork = number({ phone_number_id: 'cork', phone_number: '+353212000000', daily_calls_used: 5 });
+        const sf = number({ phone_number_id: 'sf', phone_number: '+14155550100', country_code: 'US', daily_calls_used: 0 });
+        const full = number({ phone_number_id: 'full', phone_number: '+35312655193', daily_calls_used: 50 });
+
+        test('should put the local number first', () => {
+            const ranked = rankPoolNumbers([sf, cork, dublin, full], '+35318001234', NOW);
+            expect(ranked.map(n => n.phone_number_id)).toEqual(['dublin', 'cork', 'sf']);
+        });
+
+        test('should prefer the same country over usage', () => {
+            const ranked = rankPoolNumbers([sf, dublin], '+353871234567', NOW);
+            expect(ranked[0].phone_number_id).toBe('dublin');
+        });
+
+        test('should fall back to least used without a lead number', () => {
+            const ranked = rankPoolNumbers([dublin, cork, sf], null, NOW);
+            expect(ranked.map(n => n.phone_number_id)).toEqual(['sf', 'cork', 'dublin']);
+        });
+
+        test('should return an empty list when nothing is available', () => {
+            expect(rankPoolNumbers([full], '+35318001234', NOW)).toEqual([]);
+            expect(rankPoolNumbers(null)).toEqual([]);
+        });
+    });
+
+    describe('summarizePool', () => {
+        test('should total today\'s capacity, excluding numbers cooling down', () => {
+            const stats = summarizePool([
+                number({ phone_number_id: 'a', daily_calls_used: 10 }),
+                number({ phone_number_id: 'b', daily_calls_used: 40, last_reset_date: '2026-03-09' }),
+                number({ phone_number_id: 'c', status: 'flagged', flagged_as_spam: true, spam_flagged_at: '2026-03-10T00:00:00Z' }),
+                number({ phone_number_id: 'd', status: 'released' }),
+            ], NOW);
+
+            expect(stats.totalNumbers).toBe(3);
+            expect(stats.activeNumbers).toBe(2);
+            expect(stats.coolingDownNumbers).toBe(1);
+            expect(stats.totalDailyCapacity).toBe(100);
+            expect(stats.usedToday).toBe(10);
+            expect(stats.remainingToday).toBe(90);
+            expect(stats.numbers.find(n => n.phoneNumberId === 'c').coolingDown).toBe(true);
+        });
+
+        test('should handle an empty pool', () => {
+            expect(summarizePool([], NOW)).toMatchObject({ totalNumbers: 0, remainingToday: 0, numbers: [] });
+        });
+    });
+});
@@ -0,0 +1,277 @@
+/**
+ * PDF Rendering
+ *
+ * Minimal text-only PDF writer for shareable reports. Takes a list of
+ * document blocks and lays them out on A4 pages using the standard PDF
+ * fonts (Helvetica, Courier), so no font files or native dependencies are
+ * needed. Text is WinAnsi-encoded; characters outside it are replaced.
+ *
+ * Blocks:
+ * - { type: 'title', text }
+ * - { type: 'heading', text } / { type: 'subheading', text }
+ * - { type: 'paragraph', text }
+ * - { type: 'bullet', text }
+ * - { type: 'quote', text }
+ * - { type: 'table', headers: [], rows: [[]] }
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FOOTER_Y = 30;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+const FONTS = {
+    regular: { id: 'F1', name: 'Helvetica' },
+    bold: { id: 'F2', name: 'Helvetica-Bold' },
+    italic: { id: 'F3', name: 'Helvetica-Oblique' },
+    mono: { id: 'F4', name: 'Courier' },
+};
+
+const BLOCK_STYLES = {
+    title: { font: 'bold', size: 20, before: 0, after: 12 },
+    heading: { font: 'bold', size: 14, before: 14, after: 6 },
+    subheading: { font: 'bold', size: 11.5, before: 8, after: 4 },
+    paragraph: { font: 'regular', size: 10.5, before: 0, after: 6 },
+    bullet: { font: 'regular', size: 10.5, before: 0, after: 3, indent: 14 },
+    quote: { font: 'italic', size: 10, before: 0, after: 4, indent: 18 },
+    table: { font: 'mono', size: 8.5, before: 2, after: 8 },
+};
+
+const LINE_HEIGHT = 1.35;
+
+// Unicode punctuation that WinAnsi places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '†': 0x86,
+    '‡': 0x87, '‰': 0x89, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+
+/**
+ * Approximate Helvetica advance width of a character (in em)
+ */
+function charWidth(char) {
+    if (' ,.:;\'|!il[]()ftjrI'.includes(char)) return 0.3;
+    if ('mwMW@%'.includes(char)) return 0.85;
+    if (char >= 'A' && char <= 'Z') return 0.68;
+    return 0.56;
+}
+
+/**
+ * Approximate width of a string in points
+ */
+export function measureText(text, size, font = 'regular') {
+    if (font === 'mono') return text.length * 0.6 * size;
+    const width = [...text].reduce((sum, char) => sum + charWidth(char), 0) * size;
+    return font === 'bold' ? width * 1.06 : width;
+}
+
+/**
+ * Break text into lines that fit a width (long words are split)
+ */
+export function wrapText(text, maxWidth, size, font = 'regular') {
+    const lines = [];
+
+    for (const paragraph of String(text ?? '').split('\n')) {
+        let line = '';
+        for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+            while (measureText(word, size, font) > maxWidth) {
+                let cut = word.length - 1;
+                while (cut > 1 && measureText(word.slice(0, cut), size, font) > maxWidth) cut--;
+                if (line) {
+                    lines.push(line);
+                    line = '';
+                }
+                lines.push(word.slice(0, cut));
+                word = word.slice(cut);
+            }
+
+            const candidate = line ? `${line} ${word}` : word;
+            if (measureText(candidate, size, font) <= maxWidth) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        }
+        lines.push(line);
+    }
+
+    return lines;
+}
+
+/**
+ * PDF literal string body: WinAnsi bytes with ( ) \ escaped and non-ASCII as octal
+ */
+export function encodePdfText(text) {
+    let encoded = '';
+    for (const char of String(text ?? '')) {
+        let code = WIN_ANSI_EXTRAS[char] ?? char.codePointAt(0);
+        if (code > 0xFF || (code < 0x20 && char !== '\t') || (code >= 0x7F && code < 0xA0 && !WIN_ANSI_EXTRAS[char])) {
+            code = 0x3F; // ?
+        }
+        if (char === '\t') code = 0x20;
+
+        if (code === 0x28 || code === 0x29 || code === 0x5C) {
+            encoded += `\\${String.fromCharCode(code)}`;
+        } else if (code > 0x7E) {
+            encoded += `\\${code.toString(8).padStart(3, '0')}`;
+        } else {
+            encoded += String.fromCharCode(code);
+        }
+    }
+    return encoded;
+}
+
+/**
+ * Fixed-width table lines, columns shrunk to fit the page
+ */
+function layoutTable(block, size) {
+    const headers = block.headers || [];
+    const rows = (block.rows || []).map(row => row.map(cell => String(cell ?? '')));
+    const maxChars = Math.floor(CONTENT_WIDTH / (0.6 * size));
+    const gap = 2;
+
+    const widths = headers.map((header, i) => Math.max(String(header).length, ...rows.map(row => (row[i] || '').length)));
+    // Shrink the widest column until the table fits
+    while (widths.reduce((a, b) => a + b, 0) + gap * (widths.length - 1) > maxChars) {
+        const widest = widths.indexOf(Math.max(...widths));
+        if (widths[widest] <= 4) break;
+        widths[widest]--;
+    }
+
+    const formatRow = row => widths
+        .map((width, i) => {
+            const cell = String(row[i] ?? '');
+            return (cell.length > width ? `${cell.slice(0, width - 1)}~` : cell).padEnd(width);
+        })
+        .join(' '.repeat(gap))
+        .trimEnd();
+
+    return [
+        formatRow(headers),
+        widths.map(w => '-'.repeat(w)).join(' '.repeat(gap)),
+        ...rows.map(formatRow),
+    ];
+}
+
+/**
+ * Lay blocks out into pages of positioned text runs
+ */
+function layoutPages(blocks) {
+    const pages = [[]];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    const place = (text, { font, size, x }) => {
+        const lineHeight = size * LINE_HEIGHT;
+        if (y - lineHeight < MARGIN) {
+            pages.push([]);
+            y = PAGE_HEIGHT - MARGIN;
+        }
+        y -= lineHeight;
+        pages[pages.length - 1].push({ text, font, size, x, y });
+    };
+
+    for (const block of blocks) {
+        const style = BLOCK_STYLES[block.type] || BLOCK_STYLES.paragraph;
+        const indent = style.indent || 0;
+        const size = style.size;
+
+        // Headings shouldn't be stranded at the bottom of a page
+        if ((block.type === 'heading' || block.type === 'subheading') && y - size * LINE_HEIGHT * 3 < MARGIN) {
+            pages.push([]);
+            y = PAGE_HEIGHT - MARGIN;
+        } else if (pages[pages.length - 1].length > 0) {
+            y -= style.before;
+        }
+
+        if (block.type === 'table') {
+            for (const line of layoutTable(block, size)) {
+                place(line, { font: 'mono', size, x: MARGIN });
+            }
+        } else {
+            const lines = wrapText(block.text, CONTENT_WIDTH - indent, size, style.font);
+            lines.forEach((line, i) => {
+                place(line, { font: style.font, size, x: MARGIN + indent });
+                if (block.type === 'bullet' && i === 0) {
+                    const page = pages[pages.length - 1];
+                    page.push({ text: '•', font: style.font, size, x: MARGIN + 3, y: page[page.length - 1].y });
+                }
+            });
+        }
+
+        y -= style.after;
+    }
+
+    return pages;
+}
+
+function pageContent(runs, pageNumber, pageCount) {
+    const ops = runs.map(run =>
+        `BT /${FONTS[run.font].id} ${run.size} Tf ${run.x.toFixed(2)} ${run.y.toFixed(2)} Td (${encodePdfText(run.text)}) Tj ET`
+    );
+    const footer = `Page ${pageNumber} of ${pageCount}`;
+    const footerX = PAGE_WIDTH - MARGIN - measureText(footer, 8);
+    ops.push(`BT /${FONTS.regular.id} 8 Tf ${footerX.toFixed(2)} ${FOOTER_Y} Td (${encodePdfText(footer)}) Tj ET`);
+    return ops.join('\n');
+}
+
+/**
+ * Render blocks to a PDF document
+ * @param {Object[]} blocks - Document blocks (see module header)
+ * @param {Object} options - { title } for the document properties
+ * @returns {Buffer}
+ */
+export function renderPdf(blocks, { title = null } = {}) {
+    const pages = layoutPages(blocks);
+    const fontKeys = Object.keys(FONTS);
+
+    // 1 catalog, 2 page tree, 3 info, then fonts, then a page + content stream per page
+    const objects = [];
+    const fontObjectIds = {};
+    const firstFontId = 4;
+    const firstPageId = firstFontId + fontKeys.length;
+    const pageIds = pages.map((_, i) => firstPageId + i * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = `<< /Producer (Market Research AI)${title ? ` /Title (${encodePdfText(title)})` : ''} >>`;
+
+    fontKeys.forEach((key, i) => {
+        fontObjectIds[key] = firstFontId + i;
+        objects[firstFontId + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[key].name} /Encoding /WinAnsiEncoding >>`;
+    });
+
+    const fontResources = fontKeys.map(key => `/${FONTS[key].id} ${fontObjectIds[key]} 0 R`).join(' ');
+
+    pages.forEach((runs, i) => {
+        const pageId = pageIds[i];
+        const content = pageContent(runs, i + 1, pages.length);
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    // Everything is ASCII, so string offsets are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = pdf.length;
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+export default {
+    measureText,
+    wrapText,
+    encodePdfText,
+    renderPdf,
+};
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for PDF rendering module
+ */
+
+import { measureText, wrapText, encodePdfText, renderPdf } from './pdf.js';
+
+describe('Text Layout', () => {
+    test('should measure wider text as longer', () => {
+        expect(measureText('WWWW', 10)).toBeGreaterThan(measureText('iiii', 10));
+        expect(measureText('abcd', 10, 'mono')).toBe(24);
+    });
+
+    test('should wrap text to the given width', () => {
+        const lines = wrapText('the quick brown fox jumps over the lazy dog', 60, 10);
+
+        expect(lines.length).toBeGreaterThan(1);
+        expect(lines.every(line => measureText(line, 10) <= 60)).toBe(true);
+        expect(lines.join(' ')).toBe('the quick brown fox jumps over the lazy dog');
+    });
+
+    test('should split words longer than a line and keep explicit line breaks', () => {
+        expect(wrapText('x'.repeat(100), 50, 10).length).toBeGreaterThan(1);
+        expect(wrapText('one\ntwo', 500, 10)).toEqual(['one', 'two']);
+    });
+});
+
+describe('Text Encoding', () => {
+    test('should escape PDF string delimiters', () => {
+        expect(encodePdfText('a (b) \\c')).toBe('a \\(b\\) \\\\c');
+    });
+
+    test('should encode Latin-1 and WinAnsi punctuation as octal', () => {
+        expect(encodePdfText('Café')).toBe('Caf\\351');
+        expect(encodePdfText('€5 – “ok”')).toBe('\\2005 \\226 \\223ok\\224');
+    });
+
+    test('should replace characters WinAnsi cannot show', () => {
+        expect(encodePdfText('日本 👍')).toBe('?? ?');
+    });
+});
+
+describe('PDF Document', () => {
+    const pdfText = buffer => buffer.toString('latin1');
+
+    test('should produce a PDF with a valid cross-reference table', () => {
+        const pdf = pdfText(renderPdf([{ type: 'title', text: 'Report' }, { type: 'paragraph', text: 'Hello' }], { title: 'Report' }));
+
+        expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+        expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+        expect(pdf).toContain('/Title (Report)');
+
+        const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+        expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+        const offsets = [...pdf.slice(xrefOffset).matchAll(/(\d{10}) 00000 n/g)].map(m => Number(m[1]));
+        offsets.forEach((offset, i) => {
+            expect(pdf.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true);
+        });
+    });
+
+    test('should declare the exact length of each content stream', () => {
+        const pdf = pdfText(renderPdf([{ type: 'quote', text: 'Prices (in €) are too high' }]));
+
+        for (const match of pdf.matchAll(/\/Length (\d+) >>\nstream\n/g)) {
+            const end = match.index + match[0].length + Number(match[1]);
+            expect(pdf.slice(end, end + 10)).toBe('\nendstream');
+        }
+    });
+
+    test('should flow long documents onto more pages with page numbers', () => {
+        const blocks = Array.from({ length: 120 }, (_, i) => ({ type: 'bullet', text: `Finding number ${i + 1}` }));
+        const pdf = pdfText(renderPdf(blocks));
+        const pageCount = Number(pdf.match(/\/Type \/Pages .*\/Count (\d+)/)[1]);
+
+        expect(pageCount).toBeGreaterThan(1);
+        expect(pdf).toContain(`(Page ${pageCount} of ${pageCount})`);
+    });
+
+    test('should lay tables out in fixed-width columns', () => {
+        const pdf = pdfText(renderPdf([{ type: 'table', headers: ['City', 'Calls'], rows: [['Galway', 12]] }]));
+
+        expect(pdf).toContain('(City    Calls)');
+        expect(pdf).toContain('(Galway  12)');
+    });
+});
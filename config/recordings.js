@@ -0,0 +1,133 @@
+/**
+ * Call Recording Configuration
+ *
+ * Recordings VAPI hosts for us are copied into the private call-recordings
+ * Storage bucket soon after a call ends, then deleted once the owner's
+ * retention period has passed:
+ * - profiles.recording_retention_days: 1-3650, or null to keep indefinitely
+ * - playback goes through short-lived signed URLs, never public links
+ */
+
+export const RECORDINGS_BUCKET = 'call-recordings';
+export const DEFAULT_RETENTION_DAYS = 365;
+export const MIN_RETENTION_DAYS = 1;
+export const MAX_RETENTION_DAYS = 3650;
+export const SIGNED_URL_TTL_SECONDS = 3600;
+export const MAX_ARCHIVE_ATTEMPTS = 6;
+export const MAX_RECORDING_BYTES = 200 * 1024 * 1024;
+
+const RETRY_BASE_MINUTES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONTENT_TYPE_EXTENSIONS = {
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/ogg': 'ogg',
+    'audio/webm': 'webm',
+    'audio/mp4': 'm4a',
+    'audio/x-m4a': 'm4a',
+};
+
+const EXTENSION_CONTENT_TYPES = {
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    webm: 'audio/webm',
+    m4a: 'audio/mp4',
+};
+
+/**
+ * Validate a retention period
+ * @param {*} value - Days, or null/'' to keep recordings indefinitely
+ * @returns {{ days: number|null, error: string|null }}
+ */
+export function validateRetentionDays(value) {
+    if (value === null || value === '') {
+        return { days: null, error: null };
+    }
+
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < MIN_RETENTION_DAYS || days > MAX_RETENTION_DAYS) {
+        return {
+            days: null,
+            error: `Retention must be a whole number of days from ${MIN_RETENTION_DAYS} to ${MAX_RETENTION_DAYS}, or null to keep recordings indefinitely`,
+        };
+    }
+
+    return { days, error: null };
+}
+
+/**
+ * When a recording is due for deletion
+ * @param {string|Date} recordedAt - Call end (or start) time
+ * @param {number|null} retentionDays - null keeps it indefinitely
+ * @returns {string|null} - ISO timestamp
+ */
+export function getRecordingDeleteAt(recordedAt, retentionDays) {
+    if (retentionDays === null || retentionDays === undefined) return null;
+
+    const start = new Date(recordedAt || Date.now());
+    return new Date(start.getTime() + retentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * File extension for a downloaded recording (content type first, then the URL)
+ */
+export function getRecordingExtension(contentType, url = '') {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (CONTENT_TYPE_EXTENSIONS[type]) return CONTENT_TYPE_EXTENSIONS[type];
+
+    let pathname = '';
+    try {
+        pathname = new URL(url).pathname;
+    } catch {
+        pathname = String(url || '');
+    }
+
+    const extension = pathname.split('.').pop().toLowerCase();
+    return EXTENSION_CONTENT_TYPES[extension] ? extension : 'wav';
+}
+
+/**
+ * Content type to store a recording with
+ */
+export function getRecordingContentType(extension) {
+    return EXTENSION_CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * Object path in the recordings bucket - grouped by owner so a user's
+ * recordings can be listed or removed together
+ */
+export function getRecordingPath(userId, callId, extension) {
+    return `${userId || 'platform'}/${callId}.${extension}`;
+}
+
+/**
+ * When to retry a failed archive (5, 10, 20, 40... minutes)
+ * @returns {string|null} - ISO timestamp, or null once attempts are used up
+ */
+export function getNextArchiveAttempt(attempts, now = new Date()) {
+    if (attempts >= MAX_ARCHIVE_ATTEMPTS) return null;
+    const delayMinutes = RETRY_BASE_MINUTES * Math.pow(2, Math.max(0, attempts - 1));
+    return new Date(now.getTime() + delayMinutes * 60 * 1000).toISOString();
+}
+
+export default {
+    RECORDINGS_BUCKET,
+    DEFAULT_RETENTION_DAYS,
+    MIN_RETENTION_DAYS,
+    MAX_RETENTION_DAYS,
+    SIGNED_URL_TTL_SECONDS,
+    MAX_ARCHIVE_ATTEMPTS,
+    MAX_RECORDING_BYTES,
+    validateRetentionDays,
+    getRecordingDeleteAt,
+    getRecordingExtension,
+    getRecordingContentType,
+    getRecordingPath,
+    getNextArchiveAttempt,
+};
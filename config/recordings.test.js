@@ -0,0 +1,79 @@
+/**
+ * Unit tests for call recording module
+ */
+
+import {
+    MAX_ARCHIVE_ATTEMPTS,
+    validateRetentionDays,
+    getRecordingDeleteAt,
+    getRecordingExtension,
+    getRecordingContentType,
+    getRecordingPath,
+    getNextArchiveAttempt,
+} from './recordings.js';
+
+describe('Retention Validation', () => {
+    test('should accept whole days within range', () => {
+        expect(validateRetentionDays(30)).toEqual({ days: 30, error: null });
+        expect(validateRetentionDays('365')).toEqual({ days: 365, error: null });
+    });
+
+    test('should treat null as keeping recordings indefinitely', () => {
+        expect(validateRetentionDays(null)).toEqual({ days: null, error: null });
+        expect(validateRetentionDays('')).toEqual({ days: null, error: null });
+    });
+
+    test('should reject fractions and out-of-range values', () => {
+        expect(validateRetentionDays(0).error).toContain('from 1 to 3650');
+        expect(validateRetentionDays(3651).error).toBeTruthy();
+        expect(validateRetentionDays(1.5).error).toBeTruthy();
+        expect(validateRetentionDays('forever').error).toBeTruthy();
+    });
+});
+
+describe('Deletion Date', () => {
+    test('should add the retention period to the recording time', () => {
+        expect(getRecordingDeleteAt('2026-01-01T10:00:00.000Z', 30)).toBe('2026-01-31T10:00:00.000Z');
+    });
+
+    test('should never delete when retention is indefinite', () => {
+        expect(getRecordingDeleteAt('2026-01-01T10:00:00.000Z', null)).toBeNull();
+    });
+});
+
+describe('Recording Files', () => {
+    test('should pick the extension from the content type', () => {
+        expect(getRecordingExtension('audio/mpeg', 'https://storage.vapi.ai/abc.wav')).toBe('mp3');
+        expect(getRecordingExtension('audio/wav; charset=binary')).toBe('wav');
+    });
+
+    test('should fall back to the URL extension, then wav', () => {
+        expect(getRecordingExtension('application/octet-stream', 'https://storage.vapi.ai/abc-mono.mp3?sig=1')).toBe('mp3');
+        expect(getRecordingExtension(null, 'https://storage.vapi.ai/abc')).toBe('wav');
+        expect(getRecordingExtension(null, 'not a url')).toBe('wav');
+    });
+
+    test('should map extensions back to content types', () => {
+        expect(getRecordingContentType('mp3')).toBe('audio/mpeg');
+        expect(getRecordingContentType('exe')).toBe('application/octet-stream');
+    });
+
+    test('should store recordings under their owner', () => {
+        expect(getRecordingPath('user-1', 'call-1', 'wav')).toBe('user-1/call-1.wav');
+        expect(getRecordingPath(null, 'call-1', 'mp3')).toBe('platform/call-1.mp3');
+    });
+});
+
+describe('Archive Retries', () => {
+    const now = new Date('2026-01-01T10:00:00.000Z');
+
+    test('should back off exponentially', () => {
+        expect(getNextArchiveAttempt(1, now)).toBe('2026-01-01T10:05:00.000Z');
+        expect(getNextArchiveAttempt(2, now)).toBe('2026-01-01T10:10:00.000Z');
+        expect(getNextArchiveAttempt(4, now)).toBe('2026-01-01T10:40:00.000Z');
+    });
+
+    test('should give up after the last attempt', () => {
+        expect(getNextArchiveAttempt(MAX_ARCHIVE_ATTEMPTS, now)).toBeNull();
+    });
+});
@@ -3,8 +3,7 @@
  * Tests webhook verification, user validation, and rollback functionality
  */
 
-// Mock crypto for signature verification tests
-const crypto = require('crypto');
+import crypto from 'crypto';
 
 describe('Stripe Webhook Signature Verification', () => {
     const STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
@@ -0,0 +1,116 @@
+/**
+ * SendGrid Event Webhook Configuration
+ *
+ * SendGrid posts batches of events (a JSON array) to /api/sendgrid/webhook.
+ * With the Signed Event Webhook enabled, each request carries:
+ * - X-Twilio-Email-Event-Webhook-Signature - base64 ECDSA (P-256, SHA-256) signature
+ * - X-Twilio-Email-Event-Webhook-Timestamp - signed together with the raw body
+ * The verification key is the public key shown in SendGrid's Mail Settings.
+ *
+ * Events are normalized to the same types the Resend webhook handles.
+ */
+
+import crypto from 'crypto';
+
+export const SENDGRID_SIGNATURE_HEADER = 'x-twilio-email-event-webhook-signature';
+export const SENDGRID_TIMESTAMP_HEADER = 'x-twilio-email-event-webhook-timestamp';
+
+/**
+ * SendGrid event -> normalized email event type
+ * processed/deferred are informational and ignored
+ */
+export const SENDGRID_EVENT_TYPES = {
+    delivered: 'delivered',
+    bounce: 'bounce',
+    dropped: 'dropped',
+    open: 'open',
+    click: 'click',
+    spamreport: 'complaint',
+    unsubscribe: 'unsubscribe',
+    group_unsubscribe: 'unsubscribe',
+};
+
+/**
+ * Turn the verification key from SendGrid (base64 DER or PEM) into a KeyObject
+ */
+function toPublicKey(publicKey) {
+    const key = String(publicKey).trim();
+    if (key.includes('BEGIN PUBLIC KEY')) {
+        return crypto.createPublicKey(key);
+    }
+    return crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+}
+
+/**
+ * Verify a signed SendGrid event webhook request
+ * @param {string|Buffer} rawBody - Raw request body
+ * @param {string} signature - Signature header (base64 DER ECDSA)
+ * @param {string} timestamp - Timestamp header
+ * @param {string} publicKey - Verification key from SendGrid
+ * @returns {boolean}
+ */
+export function verifySendGridSignature(rawBody, signature, timestamp, publicKey) {
+    if (!publicKey || !signature || !timestamp) return false;
+
+    try {
+        const verifier = crypto.createVerify('sha256');
+        verifier.update(String(timestamp));
+        verifier.update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody)));
+        verifier.end();
+        return verifier.verify(toPublicKey(publicKey), Buffer.from(signature, 'base64'));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Strip the filter suffix from sg_message_id
+ * "abc123.filterdrecv-...-1.0" -> "abc123" (the X-Message-Id we stored at send time)
+ */
+export function getSendGridMessageId(sgMessageId) {
+    if (!sgMessageId) return null;
+    return String(sgMessageId).replace(/^<|>$/g, '').split('.')[0] || null;
+}
+
+/**
+ * Normalize one SendGrid event
+ * @param {Object} event - Event from the batch
+ * @returns {Object|null} - { type, eventId, messageId, trackingId, email, url, userAgent, ipAddress, reason, occurredAt }
+ */
+export function normalizeSendGridEvent(event) {
+    const type = SENDGRID_EVENT_TYPES[event?.event];
+    if (!type) return null;
+
+    return {
+        type,
+        eventId: event.sg_event_id || null,
+        messageId: getSendGridMessageId(event.sg_message_id),
+        // Set from customArgs when we send through SendGrid
+        trackingId: event.tracking_id || null,
+        email: event.email ? String(event.email).toLowerCase() : null,
+        url: event.url || null,
+        userAgent: event.useragent || null,
+        ipAddress: event.ip || null,
+        reason: event.reason || event.response || event.type || null,
+        occurredAt: event.timestamp ? new Date(event.timestamp * 1000).toISOString() : new Date().toISOString(),
+    };
+}
+
+/**
+ * Normalize a webhook batch, dropping events we don't handle
+ * @param {Object[]|Object} payload - Parsed request body
+ */
+export function normalizeSendGridEvents(payload) {
+    const events = Array.isArray(payload) ? payload : [payload];
+    return events.map(normalizeSendGridEvent).filter(Boolean);
+}
+
+export default {
+    SENDGRID_SIGNATURE_HEADER,
+    SENDGRID_TIMESTAMP_HEADER,
+    SENDGRID_EVENT_TYPES,
+    verifySendGridSignature,
+    getSendGridMessageId,
+    normalizeSendGridEvent,
+    normalizeSendGridEvents,
+};
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for SendGrid event webhook module
+ */
+
+import crypto from 'crypto';
+import {
+    verifySendGridSignature,
+    getSendGridMessageId,
+    normalizeSendGridEvent,
+    normalizeSendGridEvents,
+} from './sendgridWebhook.js';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+
+function sign(timestamp, body, key = privateKey) {
+    const signer = crypto.createSign('sha256');
+    signer.update(timestamp + body);
+    signer.end();
+    return signer.sign(key).toString('base64');
+}
+
+describe('SendGrid Webhook Signature Verification', () => {
+    const body = '[{"email":"lead@example.com","event":"open","sg_message_id":"abc.filter"}]';
+    const timestamp = '1760000000';
+
+    test('should accept a valid signature', () => {
+        expect(verifySendGridSignature(body, sign(timestamp, body), timestamp, PUBLIC_KEY)).toBe(true);
+    });
+
+    test('should accept a Buffer body and a PEM key', () => {
+        const pem = publicKey.export({ format: 'pem', type: 'spki' });
+        expect(verifySendGridSignature(Buffer.from(body), sign(timestamp, body), timestamp, pem)).toBe(true);
+    });
+
+    test('should reject a tampered body', () => {
+        const signature = sign(timestamp, body);
+        expect(verifySendGridSignature(body.replace('open', 'click'), signature, timestamp, PUBLIC_KEY)).toBe(false);
+    });
+
+    test('should reject a different timestamp', () => {
+        expect(verifySendGridSignature(body, sign(timestamp, body), '1760000001', PUBLIC_KEY)).toBe(false);
+    });
+
+    test('should reject a signature from another key', () => {
+        const other = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        expect(verifySendGridSignature(body, sign(timestamp, body, other.privateKey), timestamp, PUBLIC_KEY)).toBe(false);
+    });
+
+    test('should reject missing inputs and garbage keys', () => {
+        expect(verifySendGridSignature(body, '', timestamp, PUBLIC_KEY)).toBe(false);
+        expect(verifySendGridSignature(body, sign(timestamp, body), timestamp, '')).toBe(false);
+        expect(verifySendGridSignature(body, sign(timestamp, body), timestamp, 'not-a-key')).toBe(false);
+    });
+});
+
+describe('SendGrid Event Normalization', () => {
+    test('should strip the filter suffix from message ids', () => {
+        expect(getSendGridMessageId('14c5d75ce93.dfd.64b469.filter0001.16648.5515E0B88.0')).toBe('14c5d75ce93');
+        expect(getSendGridMessageId('<abc123>')).toBe('abc123');
+        expect(getSendGridMessageId(null)).toBeNull();
+    });
+
+    test('should map SendGrid events onto our event types', () => {
+        expect(normalizeSendGridEvent({ event: 'delivered' }).type).toBe('delivered');
+        expect(normalizeSendGridEvent({ event: 'bounce', type: 'blocked' }).type).toBe('bounce');
+        expect(normalizeSendGridEvent({ event: 'spamreport' }).type).toBe('complaint');
+        expect(normalizeSendGridEvent({ event: 'group_unsubscribe' }).type).toBe('unsubscribe');
+    });
+
+    test('should ignore informational events', () => {
+        expect(normalizeSendGridEvent({ event: 'processed' })).toBeNull();
+        expect(normalizeSendGridEvent({ event: 'deferred' })).toBeNull();
+        expect(normalizeSendGridEvent(null)).toBeNull();
+    });
+
+    test('should carry ids, tracking id and click details', () => {
+        expect(normalizeSendGridEvent({
+            event: 'click',
+            email: 'Lead@Example.com',
+            sg_event_id: 'evt_1',
+            sg_message_id: 'msg_1.filter',
+            tracking_id: 'tid_1',
+            url: 'https://example.com',
+            useragent: 'Mozilla/5.0',
+            ip: '203.0.113.1',
+            timestamp: 1760000000,
+        })).toEqual({
+            type: 'click',
+            eventId: 'evt_1',
+            messageId: 'msg_1',
+            trackingId: 'tid_1',
+            email: 'lead@example.com',
+            url: 'https://example.com',
+            userAgent: 'Mozilla/5.0',
+            ipAddress: '203.0.113.1',
+            reason: null,
+            occurredAt: '2025-10-09T08:53:20.000Z',
+        });
+    });
+
+    test('should normalize a batch and drop unknown events', () => {
+        const events = normalizeSendGridEvents([
+            { event: 'processed' },
+            { event: 'open', sg_message_id: 'a.b' },
+            { event: 'bounce', reason: '550 No such user' },
+        ]);
+        expect(events.map(e => e.type)).toEqual(['open', 'bounce']);
+        expect(events[1].reason).toBe('550 No such user');
+    });
+});
@@ -0,0 +1,260 @@
+/**
+ * Sequence Step A/B Variants Configuration
+ *
+ * A sequence step can carry several subject/body variants:
+ * - `variants` - [{ key, subject, body, weight }] on email_sequence_steps
+ * - Each enrollment is assigned a variant deterministically (hash of
+ *   enrollment id + step), weighted by `weight`, so retries resend the same copy
+ * - Steps without variants send subject_template/body_template as variant 'A'
+ * - Once a winner is promoted (`winning_variant`) every later send uses it
+ *
+ * Auto-promotion compares each variant's open/click/reply rate with a
+ * two-proportion z-test; the leader is promoted when it beats every other
+ * variant at the step's confidence level after the minimum sends.
+ */
+
+import crypto from 'crypto';
+
+export const VARIANT_METRICS = ['opens', 'clicks', 'replies'];
+
+export const DEFAULT_PROMOTION_SETTINGS = {
+    metric: 'replies',
+    minSends: 100,
+    confidence: 0.95,
+};
+
+export const MAX_VARIANTS = 5;
+
+const VARIANT_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+/**
+ * Get the variant list for a step as submitted by the client
+ * Keys default to A, B, C... in order; weights default to 1
+ */
+export function normalizeVariantInput(variants) {
+    if (!Array.isArray(variants)) return [];
+
+    return variants.map((variant, index) => ({
+        key: variant.key ? String(variant.key) : VARIANT_KEYS[index] || `V${index + 1}`,
+        subject: variant.subject,
+        body: variant.body,
+        weight: variant.weight === undefined ? 1 : Number(variant.weight),
+    }));
+}
+
+/**
+ * Validate the variants of each step
+ * @param {Object[]} steps - Steps as submitted by the client ({ subject, body, variants })
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateStepVariants(steps) {
+    const errors = [];
+
+    (steps || []).forEach((step, index) => {
+        const label = `Step ${index + 1}`;
+        const variants = normalizeVariantInput(step.variants);
+
+        if (variants.length === 0) {
+            if (!step.subject || !step.body) {
+                errors.push(`${label}: subject and body are required`);
+            }
+            return;
+        }
+
+        if (variants.length > MAX_VARIANTS) {
+            errors.push(`${label}: at most ${MAX_VARIANTS} variants are allowed`);
+        }
+
+        const keys = new Set();
+        variants.forEach(variant => {
+            if (keys.has(variant.key)) {
+                errors.push(`${label}: duplicate variant key "${variant.key}"`);
+            }
+            keys.add(variant.key);
+
+            if (!variant.subject || !variant.body) {
+                errors.push(`${label}: variant "${variant.key}" needs a subject and body`);
+            }
+            if (!Number.isFinite(variant.weight) || variant.weight < 0) {
+                errors.push(`${label}: variant "${variant.key}" weight must be a non-negative number`);
+            }
+        });
+
+        if (variants.every(v => !(v.weight > 0))) {
+            errors.push(`${label}: at least one variant needs a weight above 0`);
+        }
+
+        if (step.promotionMetric !== undefined && !VARIANT_METRICS.includes(step.promotionMetric)) {
+            errors.push(`${label}: promotionMetric must be one of ${VARIANT_METRICS.join(', ')}`);
+        }
+
+        if (step.promotionConfidence !== undefined) {
+            const confidence = Number(step.promotionConfidence);
+            if (!(confidence > 0.5 && confidence < 1)) {
+                errors.push(`${label}: promotionConfidence must be between 0.5 and 1`);
+            }
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get the variants a step can currently send
+ * @param {Object} step - email_sequence_steps row
+ * @returns {Object[]} - [{ key, subject, body, weight }]
+ */
+export function getStepVariants(step) {
+    const variants = Array.isArray(step?.variants) && step.variants.length > 0
+        ? step.variants
+        : [{ key: 'A', subject: step?.subject_template, body: step?.body_template, weight: 1 }];
+
+    if (step?.winning_variant) {
+        const winner = variants.find(v => v.key === step.winning_variant);
+        if (winner) return [{ ...winner, weight: 1 }];
+    }
+
+    return variants.filter(v => Number(v.weight ?? 1) > 0);
+}
+
+/**
+ * Pick the variant for an enrollment - the same enrollment always gets the same variant
+ * @param {Object[]} variants - From getStepVariants
+ * @param {string} enrollmentId - Enrollment being sent to
+ * @param {string|number} stepKey - Step id or number
+ */
+export function assignVariant(variants, enrollmentId, stepKey) {
+    if (!variants || variants.length === 0) return null;
+    if (variants.length === 1) return variants[0];
+
+    const totalWeight = variants.reduce((sum, v) => sum + Number(v.weight ?? 1), 0);
+    const hash = crypto.createHash('sha256').update(`${enrollmentId}:${stepKey}`).digest();
+    // 32 bits of the hash mapped onto [0, totalWeight)
+    const point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+    let cumulative = 0;
+    for (const variant of variants) {
+        cumulative += Number(variant.weight ?? 1);
+        if (point < cumulative) return variant;
+    }
+    return variants[variants.length - 1];
+}
+
+/**
+ * Attribute sends, opens, clicks and replies to each step variant
+ * Counts are unique per email (one open per email, however often it's opened)
+ * @param {Object[]} logs - email_logs rows ({ id, step_number, variant_key, status })
+ * @param {Object[]} events - email_tracking_events rows ({ email_log_id, event_type })
+ * @param {Object[]} responses - email_responses rows ({ email_log_id })
+ * @returns {Object} - { [stepNumber]: { [variantKey]: { sent, opens, clicks, replies, openRate, clickRate, replyRate } } }
+ */
+export function computeVariantStats(logs, events = [], responses = []) {
+    const opened = new Set();
+    const clicked = new Set();
+    for (const event of events || []) {
+        if (event.event_type === 'open') opened.add(event.email_log_id);
+        if (event.event_type === 'click') clicked.add(event.email_log_id);
+    }
+    const replied = new Set((responses || []).map(r => r.email_log_id));
+
+    const stats = {};
+    for (const log of logs || []) {
+        if (log.status === 'failed' || !log.step_number) continue;
+
+        const key = log.variant_key || 'A';
+        const step = stats[log.step_number] = stats[log.step_number] || {};
+        const variant = step[key] = step[key] || { sent: 0, opens: 0, clicks: 0, replies: 0 };
+
+        variant.sent++;
+        if (opened.has(log.id)) variant.opens++;
+        if (clicked.has(log.id)) variant.clicks++;
+        if (replied.has(log.id)) variant.replies++;
+    }
+
+    for (const step of Object.values(stats)) {
+        for (const variant of Object.values(step)) {
+            variant.openRate = variant.sent > 0 ? Math.round((variant.opens / variant.sent) * 100) : 0;
+            variant.clickRate = variant.sent > 0 ? Math.round((variant.clicks / variant.sent) * 100) : 0;
+            variant.replyRate = variant.sent > 0 ? Math.round((variant.replies / variant.sent) * 100) : 0;
+        }
+    }
+
+    return stats;
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun approximation)
+ */
+function normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const d = 0.3989423 * Math.exp(-z * z / 2);
+    const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+    return z > 0 ? 1 - p : p;
+}
+
+/**
+ * One-sided two-proportion z-test: is A's rate higher than B's?
+ * @returns {{ z: number, pValue: number }}
+ */
+export function twoProportionTest(successesA, totalA, successesB, totalB) {
+    if (!totalA || !totalB) return { z: 0, pValue: 1 };
+
+    const rateA = successesA / totalA;
+    const rateB = successesB / totalB;
+    const pooled = (successesA + successesB) / (totalA + totalB);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+
+    if (standardError === 0) return { z: 0, pValue: 1 };
+
+    const z = (rateA - rateB) / standardError;
+    return { z, pValue: 1 - normalCdf(z) };
+}
+
+/**
+ * Decide whether a step has a significant winner
+ * @param {Object} variantStats - { [variantKey]: { sent, opens, clicks, replies } } for one step
+ * @param {Object} settings - { metric, minSends, confidence }
+ * @returns {{ winner: string|null, pValue: number|null, reason: string }}
+ */
+export function findWinningVariant(variantStats, settings = {}) {
+    const { metric, minSends, confidence } = { ...DEFAULT_PROMOTION_SETTINGS, ...settings };
+    const entries = Object.entries(variantStats || {});
+
+    if (entries.length < 2) {
+        return { winner: null, pValue: null, reason: 'Need at least two variants' };
+    }
+
+    if (entries.some(([, stats]) => stats.sent < minSends)) {
+        return { winner: null, pValue: null, reason: `Waiting for ${minSends} sends per variant` };
+    }
+
+    const rate = stats => stats[metric] / stats.sent;
+    const [leaderKey, leader] = [...entries].sort((a, b) => rate(b[1]) - rate(a[1]))[0];
+
+    // The leader must beat every other variant, not just the runner-up
+    let worstPValue = 0;
+    for (const [key, stats] of entries) {
+        if (key === leaderKey) continue;
+        const { pValue } = twoProportionTest(leader[metric], leader.sent, stats[metric], stats.sent);
+        worstPValue = Math.max(worstPValue, pValue);
+    }
+
+    if (worstPValue <= 1 - confidence) {
+        return { winner: leaderKey, pValue: worstPValue, reason: `Variant ${leaderKey} wins on ${metric}` };
+    }
+
+    return { winner: null, pValue: worstPValue, reason: 'No significant difference yet' };
+}
+
+export default {
+    VARIANT_METRICS,
+    DEFAULT_PROMOTION_SETTINGS,
+    MAX_VARIANTS,
+    normalizeVariantInput,
+    validateStepVariants,
+    getStepVariants,
+    assignVariant,
+    computeVariantStats,
+    twoProportionTest,
+    findWinningVariant,
+};
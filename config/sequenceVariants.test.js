@@ -0,0 +1,183 @@
+/**
+ * Unit tests for sequence step A/B variants configuration module
+ */
+
+import {
+    normalizeVariantInput,
+    validateStepVariants,
+    getStepVariants,
+    assignVariant,
+    computeVariantStats,
+    twoProportionTest,
+    findWinningVariant,
+} from './sequenceVariants.js';
+
+describe('Sequence Variants Configuration Module', () => {
+    describe('normalizeVariantInput', () => {
+        test('should default keys and weights', () => {
+            expect(normalizeVariantInput([
+                { subject: 'One', body: 'Body 1' },
+                { subject: 'Two', body: 'Body 2', weight: 3 },
+            ])).toEqual([
+                { key: 'A', subject: 'One', body: 'Body 1', weight: 1 },
+                { key: 'B', subject: 'Two', body: 'Body 2', weight: 3 },
+            ]);
+        });
+
+        test('should return an empty list for non-arrays', () => {
+            expect(normalizeVariantInput(undefined)).toEqual([]);
+        });
+    });
+
+    describe('validateStepVariants', () => {
+        test('should accept plain steps and steps with variants', () => {
+            const result = validateStepVariants([
+                { subject: 'Hi', body: 'Hello' },
+                { variants: [{ subject: 'A', body: 'a' }, { subject: 'B', body: 'b', weight: 2 }] },
+            ]);
+            expect(result).toEqual({ valid: true, errors: [] });
+        });
+
+        test('should require copy on every variant', () => {
+            const result = validateStepVariants([{ variants: [{ subject: 'A' }, { subject: 'B', body: 'b' }] }]);
+            expect(result.valid).toBe(false);
+            expect(result.errors[0]).toMatch(/variant "A" needs a subject and body/);
+        });
+
+        test('should reject duplicate keys and bad weights', () => {
+            const result = validateStepVariants([{
+                variants: [
+                    { key: 'X', subject: 'a', body: 'a', weight: 0 },
+                    { key: 'X', subject: 'b', body: 'b', weight: -1 },
+                ],
+            }]);
+            expect(result.errors).toEqual(expect.arrayContaining([
+                'Step 1: duplicate variant key "X"',
+                'Step 1: variant "X" weight must be a non-negative number',
+                'Step 1: at least one variant needs a weight above 0',
+            ]));
+        });
+
+        test('should reject unknown promotion settings', () => {
+            const result = validateStepVariants([{
+                variants: [{ subject: 'a', body: 'a' }, { subject: 'b', body: 'b' }],
+                promotionMetric: 'bounces',
+                promotionConfidence: 1.2,
+            }]);
+            expect(result.errors).toHaveLength(2);
+        });
+    });
+
+    describe('getStepVariants', () => {
+        test('should fall back to the step templates', () => {
+            expect(getStepVariants({ subject_template: 'S', body_template: 'B' }))
+                .toEqual([{ key: 'A', subject: 'S', body: 'B', weight: 1 }]);
+        });
+
+        test('should only send the promoted winner', () => {
+            const step = {
+                variants: [{ key: 'A', subject: 'a', body: 'a', weight: 1 }, { key: 'B', subject: 'b', body: 'b', weight: 1 }],
+                winning_variant: 'B',
+            };
+            expect(getStepVariants(step).map(v => v.key)).toEqual(['B']);
+        });
+
+        test('should skip zero-weight variants', () => {
+            const step = { variants: [{ key: 'A', weight: 0 }, { key: 'B', weight: 1 }] };
+            expect(getStepVariants(step).map(v => v.key)).toEqual(['B']);
+        });
+    });
+
+    describe('assignVariant', () => {
+        const variants = [{ key: 'A', weight: 1 }, { key: 'B', weight: 1 }];
+
+        test('should be deterministic per enrollment and step', () => {
+            const first = assignVariant(variants, 'enrollment-1', 2);
+            for (let i = 0; i < 5; i++) {
+                expect(assignVariant(variants, 'enrollment-1', 2)).toBe(first);
+            }
+        });
+
+        test('should split roughly by weight', () => {
+            const weighted = [{ key: 'A', weight: 3 }, { key: 'B', weight: 1 }];
+            let countA = 0;
+            for (let i = 0; i < 2000; i++) {
+                if (assignVariant(weighted, `enrollment-${i}`, 1).key === 'A') countA++;
+            }
+            expect(countA / 2000).toBeGreaterThan(0.7);
+            expect(countA / 2000).toBeLessThan(0.8);
+        });
+
+        test('should handle single and empty lists', () => {
+            expect(assignVariant([{ key: 'A' }], 'e', 1).key).toBe('A');
+            expect(assignVariant([], 'e', 1)).toBeNull();
+        });
+    });
+
+    describe('computeVariantStats', () => {
+        test('should attribute unique opens, clicks and replies to each variant', () => {
+            const logs = [
+                { id: 'l1', step_number: 1, variant_key: 'A', status: 'sent' },
+                { id: 'l2', step_number: 1, variant_key: 'B', status: 'sent' },
+                { id: 'l3', step_number: 1, variant_key: 'B', status: 'sent' },
+                { id: 'l4', step_number: 1, variant_key: 'B', status: 'failed' },
+                { id: 'l5', step_number: 2, variant_key: null, status: 'sent' },
+            ];
+            const events = [
+                { email_log_id: 'l1', event_type: 'open' },
+                { email_log_id: 'l1', event_type: 'open' },
+                { email_log_id: 'l2', event_type: 'open' },
+                { email_log_id: 'l2', event_type: 'click' },
+            ];
+            const responses = [{ email_log_id: 'l3' }];
+
+            const stats = computeVariantStats(logs, events, responses);
+
+            expect(stats[1].A).toMatchObject({ sent: 1, opens: 1, clicks: 0, replies: 0, openRate: 100 });
+            expect(stats[1].B).toMatchObject({ sent: 2, opens: 1, clicks: 1, replies: 1, replyRate: 50 });
+            expect(stats[2].A.sent).toBe(1);
+        });
+    });
+
+    describe('twoProportionTest', () => {
+        test('should find a clear difference significant', () => {
+            expect(twoProportionTest(30, 100, 10, 100).pValue).toBeLessThan(0.01);
+        });
+
+        test('should not find equal rates significant', () => {
+            expect(twoProportionTest(10, 100, 10, 100).pValue).toBeGreaterThanOrEqual(0.5);
+        });
+
+        test('should handle empty samples', () => {
+            expect(twoProportionTest(0, 0, 5, 10)).toEqual({ z: 0, pValue: 1 });
+        });
+    });
+
+    describe('findWinningVariant', () => {
+        test('should wait for the minimum sends', () => {
+            const result = findWinningVariant({ A: { sent: 50, replies: 20 }, B: { sent: 120, replies: 1 } });
+            expect(result.winner).toBeNull();
+        });
+
+        test('should promote a significant leader', () => {
+            const result = findWinningVariant(
+                { A: { sent: 200, opens: 40 }, B: { sent: 200, opens: 80 } },
+                { metric: 'opens', minSends: 100 }
+            );
+            expect(result.winner).toBe('B');
+            expect(result.pValue).toBeLessThan(0.05);
+        });
+
+        test('should require the leader to beat every variant', () => {
+            const result = findWinningVariant(
+                { A: { sent: 200, opens: 40 }, B: { sent: 200, opens: 80 }, C: { sent: 200, opens: 78 } },
+                { metric: 'opens', minSends: 100 }
+            );
+            expect(result.winner).toBeNull();
+        });
+
+        test('should need two variants', () => {
+            expect(findWinningVariant({ A: { sent: 500, replies: 50 } }).winner).toBeNull();
+        });
+    });
+});
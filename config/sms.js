@@ -0,0 +1,85 @@
+/**
+ * SMS Configuration
+ * Opt-out/opt-in keywords, Twilio webhook signatures and choosing which of
+ * the user's numbers sends a message
+ */
+
+import crypto from 'crypto';
+import { getLocalPresenceScore } from './numberPool.js';
+
+// Carrier-standard opt-out and opt-in keywords
+export const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT'];
+export const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+
+/**
+ * Get the keyword of an inbound message if it is an opt-out or opt-in
+ * @param {string} body - Inbound message body
+ * @returns {'opt_out'|'opt_in'|null}
+ */
+export function detectSmsKeyword(body) {
+    const keyword = (body || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+
+    if (OPT_OUT_KEYWORDS.includes(keyword)) return 'opt_out';
+    if (OPT_IN_KEYWORDS.includes(keyword)) return 'opt_in';
+    return null;
+}
+
+/**
+ * Verify Twilio request signature
+ * @param {string} url - Full webhook URL Twilio posted to
+ * @param {Object} params - Form-encoded POST parameters
+ * @param {string} signature - X-Twilio-Signature header
+ * @param {string} authToken - Twilio auth token (verification is skipped when unset)
+ * @see https://www.twilio.com/docs/usage/webhooks/webhooks-security
+ */
+export function verifyTwilioSignature(url, params, signature, authToken) {
+    if (!authToken) {
+        console.warn('TWILIO_AUTH_TOKEN not set - skipping verification');
+        return true;
+    }
+
+    if (!signature) return false;
+
+    try {
+        const data = Object.keys(params || {})
+            .sort()
+            .reduce((acc, key) => acc + key + params[key], url);
+
+        const expectedSig = crypto
+            .createHmac('sha1', authToken)
+            .update(Buffer.from(data, 'utf-8'))
+            .digest('base64');
+
+        return crypto.timingSafeEqual(
+            Buffer.from(signature),
+            Buffer.from(expectedSig)
+        );
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Pick the number to text from
+ * Numbers explicitly provisioned without SMS capability are skipped; the
+ * rest are preferred same area code, then same country.
+ * @param {Object[]} numbers - The user's active Twilio user_phone_numbers rows
+ * @param {string} toNumber - Destination number (E.164)
+ * @returns {Object|null}
+ */
+export function pickSmsNumber(numbers, toNumber = '') {
+    const capable = (numbers || []).filter(n => n.metadata?.capabilities?.sms !== false);
+    if (capable.length === 0) return null;
+
+    return capable
+        .map((number, index) => ({ number, index, score: getLocalPresenceScore(number, toNumber) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)[0].number;
+}
+
+export default {
+    OPT_OUT_KEYWORDS,
+    OPT_IN_KEYWORDS,
+    detectSmsKeyword,
+    verifyTwilioSignature,
+    pickSmsNumber,
+};
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for SMS module
+ */
+
+import crypto from 'crypto';
+import {
+    detectSmsKeyword,
+    verifyTwilioSignature,
+    pickSmsNumber,
+} from './sms.js';
+
+const AUTH_TOKEN = 'test-auth-token';
+const URL = 'https://api.example.com/api/sms/webhook';
+
+function sign(url, params, token = AUTH_TOKEN) {
+    const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+    return crypto.createHmac('sha1', token).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+describe('SMS Keywords', () => {
+    test('should detect opt-out keywords', () => {
+        for (const body of ['STOP', 'stop', ' Stop. ', 'UNSUBSCRIBE', 'Stop all', 'quit!', 'opt-out']) {
+            expect(detectSmsKeyword(body)).toBe('opt_out');
+        }
+    });
+
+    test('should detect opt-in keywords', () => {
+        expect(detectSmsKeyword('START')).toBe('opt_in');
+        expect(detectSmsKeyword('unstop')).toBe('opt_in');
+        expect(detectSmsKeyword('Yes')).toBe('opt_in');
+    });
+
+    test('should ignore keywords inside a sentence', () => {
+        expect(detectSmsKeyword('Please stop calling at lunch')).toBeNull();
+        expect(detectSmsKeyword('Yes please, send details')).toBeNull();
+        expect(detectSmsKeyword('')).toBeNull();
+        expect(detectSmsKeyword(null)).toBeNull();
+    });
+});
+
+describe('Twilio Signature Verification', () => {
+    const params = { From: '+353861234567', To: '+35315550001', Body: 'STOP', MessageSid: 'SM123' };
+
+    test('should accept a valid signature', () => {
+        expect(verifyTwilioSignature(URL, params, sign(URL, params), AUTH_TOKEN)).toBe(true);
+    });
+
+    test('should reject tampered parameters or URL', () => {
+        const signature = sign(URL, params);
+        expect(verifyTwilioSignature(URL, { ...params, Body: 'START' }, signature, AUTH_TOKEN)).toBe(false);
+        expect(verifyTwilioSignature(`${URL}?x=1`, params, signature, AUTH_TOKEN)).toBe(false);
+    });
+
+    test('should reject a wrong token or missing signature', () => {
+        expect(verifyTwilioSignature(URL, params, sign(URL, params, 'other-token'), AUTH_TOKEN)).toBe(false);
+        expect(verifyTwilioSignature(URL, params, undefined, AUTH_TOKEN)).toBe(false);
+        expect(verifyTwilioSignature(URL, params, 'short', AUTH_TOKEN)).toBe(false);
+    });
+});
+
+describe('Choosing a Number', () => {
+    const numbers = [
+        { id: 'us-ny', phone_number: '+12125550100' },
+        { id: 'pt', phone_number: '+351211234567' },
+        { id: 'ie-dub', phone_number: '+35315550100' },
+        { id: 'us-sf', phone_number: '+14155550100' },
+        { id: 'ie-cork', phone_number: '+353215550100', metadata: { capabilities: { sms: false } } },
+    ];
+
+    test('should prefer the same area code', () => {
+        expect(pickSmsNumber(numbers, '+14155551234').id).toBe('us-sf');
+        expect(pickSmsNumber(numbers, '+12125551234').id).toBe('us-ny');
+    });
+
+    test('should not confuse countries sharing leading digits', () => {
+        // Portugal (+351) and Ireland (+353) both start "+35"
+        expect(pickSmsNumber(numbers, '+353861234567').id).toBe('ie-dub');
+        expect(pickSmsNumber([numbers[1], numbers[2]], '+353861234567').id).toBe('ie-dub');
+    });
+
+    test('should skip numbers without SMS and fall back to the first', () => {
+        expect(pickSmsNumber(numbers, '+353215551234').id).toBe('ie-dub');
+        expect(pickSmsNumber(numbers, '+33612345678').id).toBe('us-ny');
+        expect(pickSmsNumber([numbers[4]], '+353215551234')).toBeNull();
+    });
+});
@@ -0,0 +1,283 @@
+/**
+ * Suppression List Configuration
+ *
+ * Each user has one suppression list (the suppressions table) that every
+ * send and dial path checks before contacting a lead:
+ * - email: an exact address
+ * - domain: every address at that domain
+ * - phone: a number, matched on its E.164 form (national numbers are read in
+ *   DNC_DEFAULT_COUNTRY, so "086 123 4567" matches "+353861234567")
+ *
+ * Unsubscribes, bounces and complaints are added automatically; manual and
+ * do-not-call entries come from the API or a CSV import.
+ */
+
+import { toE164, DEFAULT_DNC_COUNTRY } from './dnc.js';
+
+export const SUPPRESSION_TYPES = ['email', 'phone', 'domain'];
+
+export const SUPPRESSION_REASONS = ['unsubscribe', 'bounce', 'complaint', 'manual', 'do_not_call'];
+
+export const SUPPRESSION_CSV_COLUMNS = ['type', 'value', 'reason', 'source', 'note', 'created_at'];
+
+export const MAX_IMPORT_ROWS = 10000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^(?!-)[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+export function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Domain part of an email address ("Jane@Acme.com" -> "acme.com")
+ */
+export function getEmailDomain(email) {
+    const normalized = normalizeEmail(email);
+    const at = normalized.lastIndexOf('@');
+    return at === -1 ? null : normalized.slice(at + 1) || null;
+}
+
+/**
+ * "@Acme.com", "https://www.acme.com/" -> "acme.com"
+ */
+export function normalizeDomain(domain) {
+    return String(domain || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^@/, '')
+        .replace(/^www\./, '')
+        .split('/')[0];
+}
+
+function defaultCountry() {
+    return process.env.DNC_DEFAULT_COUNTRY || DEFAULT_DNC_COUNTRY;
+}
+
+/**
+ * E.164 form of a number, reading national formats in the default country
+ * Numbers that can't be converted keep their digits and a leading +.
+ */
+export function normalizePhone(phone) {
+    const e164 = toE164(phone, defaultCountry());
+    if (e164) return e164;
+
+    const cleaned = String(phone || '').trim().replace(/[^\d+]/g, '');
+    const withPlus = cleaned.startsWith('00') ? `+${cleaned.slice(2)}` : cleaned;
+    return withPlus.startsWith('+') ? `+${withPlus.slice(1).replace(/\+/g, '')}` : withPlus.replace(/\+/g, '');
+}
+
+/**
+ * Key phone numbers are matched on
+ */
+export function getPhoneKey(phone) {
+    return normalizePhone(phone).replace(/^\+/, '');
+}
+
+/**
+ * Guess an entry's type from its value
+ */
+export function inferSuppressionType(value) {
+    const text = String(value || '').trim();
+    if (text.includes('@') && !text.startsWith('@')) return 'email';
+    if (/^\+?[\d\s().-]{6,}$/.test(text)) return 'phone';
+    if (DOMAIN_PATTERN.test(normalizeDomain(text))) return 'domain';
+    return null;
+}
+
+/**
+ * Validate and normalize one entry
+ * @param {Object} entry - { type?, value, reason?, note? }
+ * @returns {{ entry: Object|null, error: string|null }}
+ */
+export function normalizeSuppression({ type, value, reason = 'manual', note = null } = {}) {
+    const resolvedType = type ? String(type).trim().toLowerCase() : inferSuppressionType(value);
+
+    if (!SUPPRESSION_TYPES.includes(resolvedType)) {
+        return { entry: null, error: `Could not determine type for "${value ?? ''}"` };
+    }
+
+    const resolvedReason = String(reason || 'manual').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!SUPPRESSION_REASONS.includes(resolvedReason)) {
+        return { entry: null, error: `Invalid reason "${reason}" (expected one of ${SUPPRESSION_REASONS.join(', ')})` };
+    }
+
+    let normalizedValue;
+    if (resolvedType === 'email') {
+        normalizedValue = normalizeEmail(value);
+        if (!EMAIL_PATTERN.test(normalizedValue)) {
+            return { entry: null, error: `Invalid email "${value ?? ''}"` };
+        }
+    } else if (resolvedType === 'domain') {
+        normalizedValue = normalizeDomain(value);
+        if (!DOMAIN_PATTERN.test(normalizedValue)) {
+            return { entry: null, error: `Invalid domain "${value ?? ''}"` };
+        }
+    } else {
+        normalizedValue = normalizePhone(value);
+        if (getPhoneKey(normalizedValue).length < 6) {
+            return { entry: null, error: `Invalid phone number "${value ?? ''}"` };
+        }
+    }
+
+    return {
+        entry: { type: resolvedType, value: normalizedValue, reason: resolvedReason, note: note || null },
+        error: null,
+    };
+}
+
+/**
+ * Index suppression rows for fast lookups
+ * @param {Object[]} rows - suppressions rows
+ */
+export function buildSuppressionIndex(rows = []) {
+    const index = { email: new Map(), domain: new Map(), phone: new Map() };
+
+    for (const row of rows) {
+        if (row.type === 'email') index.email.set(normalizeEmail(row.value), row);
+        else if (row.type === 'domain') index.domain.set(normalizeDomain(row.value), row);
+        else if (row.type === 'phone') index.phone.set(getPhoneKey(row.value), row);
+    }
+
+    return index;
+}
+
+/**
+ * Find the suppression that blocks contacting someone
+ * @param {Object} index - From buildSuppressionIndex
+ * @param {Object} contact - { email, phone } - pass only the channel being used
+ * @returns {Object|null} - The matching row
+ */
+export function findSuppression(index, { email = null, phone = null } = {}) {
+    if (email) {
+        const byEmail = index.email.get(normalizeEmail(email));
+        if (byEmail) return byEmail;
+
+        const domain = getEmailDomain(email);
+        const byDomain = domain ? index.domain.get(domain) : null;
+        if (byDomain) return byDomain;
+    }
+
+    if (phone) {
+        const key = getPhoneKey(phone);
+        const byPhone = key ? index.phone.get(key) : null;
+        if (byPhone) return byPhone;
+    }
+
+    return null;
+}
+
+/**
+ * Split one CSV line, honoring double-quoted fields
+ */
+export function parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Parse an imported CSV
+ * With a header row, columns are matched by name (type, value/email/phone/domain, reason, note).
+ * Without one, column 1 is the value and column 2 the reason.
+ * @param {string} text - CSV contents
+ * @param {string} defaultReason - Reason for rows that don't give one
+ * @returns {{ entries: Object[], errors: Object[] }} - errors: [{ line, error }]
+ */
+export function parseSuppressionCsv(text, defaultReason = 'manual') {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const entries = [];
+    const errors = [];
+
+    const first = parseCsvLine(lines[0] || '').map(c => c.toLowerCase());
+    const valueColumn = first.findIndex(c => ['value', 'email', 'phone', 'domain'].includes(c));
+    const hasHeader = valueColumn !== -1;
+    const column = name => (hasHeader ? first.indexOf(name) : -1);
+
+    const columns = {
+        type: column('type'),
+        value: hasHeader ? valueColumn : 0,
+        reason: hasHeader ? column('reason') : 1,
+        note: column('note'),
+    };
+    // A header like "email" or "phone" tells us the type of every row
+    const headerType = hasHeader && first[valueColumn] !== 'value' ? first[valueColumn] : null;
+
+    for (let i = hasHeader ? 1 : 0; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+
+        const cells = parseCsvLine(lines[i]);
+        const { entry, error } = normalizeSuppression({
+            type: (columns.type !== -1 && cells[columns.type]) || headerType || undefined,
+            value: cells[columns.value],
+            reason: (columns.reason !== -1 && cells[columns.reason]) || defaultReason,
+            note: columns.note !== -1 ? cells[columns.note] : null,
+        });
+
+        if (entry) entries.push(entry);
+        else errors.push({ line: i + 1, error });
+    }
+
+    return { entries, errors };
+}
+
+export function escapeCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export suppression rows as CSV (re-importable with parseSuppressionCsv)
+ */
+export function toSuppressionCsv(rows = []) {
+    const lines = [SUPPRESSION_CSV_COLUMNS.join(',')];
+    for (const row of rows) {
+        lines.push(SUPPRESSION_CSV_COLUMNS.map(col => escapeCsvCell(row[col])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+export default {
+    SUPPRESSION_TYPES,
+    SUPPRESSION_REASONS,
+    SUPPRESSION_CSV_COLUMNS,
+    MAX_IMPORT_ROWS,
+    normalizeEmail,
+    getEmailDomain,
+    normalizeDomain,
+    normalizePhone,
+    getPhoneKey,
+    inferSuppressionType,
+    normalizeSuppression,
+    buildSuppressionIndex,
+    findSuppression,
+    parseCsvLine,
+    parseSuppressionCsv,
+    escapeCsvCell,
+    toSuppressionCsv,
+};
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for suppression list module
+ */
+
+import {
+    getEmailDomain,
+    normalizeDomain,
+    normalizePhone,
+    inferSuppressionType,
+    normalizeSuppression,
+    buildSuppressionIndex,
+    findSuppression,
+    parseSuppressionCsv,
+    toSuppressionCsv,
+} from './suppression.js';
+
+describe('Normalization', () => {
+    test('should extract and normalize domains', () => {
+        expect(getEmailDomain('Jane@Acme.COM')).toBe('acme.com');
+        expect(getEmailDomain('not-an-email')).toBeNull();
+        expect(normalizeDomain('https://www.Acme.com/about')).toBe('acme.com');
+        expect(normalizeDomain('@acme.com')).toBe('acme.com');
+    });
+
+    test('should normalize phone numbers', () => {
+        expect(normalizePhone('+353 (86) 123-4567')).toBe('+353861234567');
+        expect(normalizePhone('00353861234567')).toBe('+353861234567');
+        expect(normalizePhone('086 123 4567')).toBe('+353861234567');
+        expect(normalizePhone('123')).toBe('123');
+    });
+
+    test('should infer entry types', () => {
+        expect(inferSuppressionType('jane@acme.com')).toBe('email');
+        expect(inferSuppressionType('+1 (555) 123-4567')).toBe('phone');
+        expect(inferSuppressionType('acme.com')).toBe('domain');
+        expect(inferSuppressionType('@acme.com')).toBe('domain');
+        expect(inferSuppressionType('hello')).toBeNull();
+    });
+});
+
+describe('Entry Validation', () => {
+    test('should normalize a valid entry', () => {
+        expect(normalizeSuppression({ value: ' Jane@Acme.com ', reason: 'Do Not Call' })).toEqual({
+            entry: { type: 'email', value: 'jane@acme.com', reason: 'do_not_call', note: null },
+            error: null,
+        });
+    });
+
+    test('should default the reason to manual', () => {
+        expect(normalizeSuppression({ type: 'phone', value: '+15551234567' }).entry.reason).toBe('manual');
+    });
+
+    test('should reject bad types, reasons and values', () => {
+        expect(normalizeSuppression({ type: 'fax', value: '123' }).error).toMatch(/Could not determine type/);
+        expect(normalizeSuppression({ value: 'jane@acme.com', reason: 'annoyed' }).error).toMatch(/Invalid reason/);
+        expect(normalizeSuppression({ type: 'email', value: 'jane' }).error).toMatch(/Invalid email/);
+        expect(normalizeSuppression({ type: 'phone', value: '123' }).error).toMatch(/Invalid phone/);
+        expect(normalizeSuppression({ type: 'domain', value: 'localhost' }).error).toMatch(/Invalid domain/);
+    });
+});
+
+describe('Matching', () => {
+    const index = buildSuppressionIndex([
+        { id: 1, type: 'email', value: 'jane@acme.com', reason: 'unsubscribe' },
+        { id: 2, type: 'domain', value: 'blocked.io', reason: 'manual' },
+        { id: 3, type: 'phone', value: '+353861234567', reason: 'do_not_call' },
+    ]);
+
+    test('should match emails case-insensitively', () => {
+        expect(findSuppression(index, { email: 'JANE@acme.com' }).id).toBe(1);
+        expect(findSuppression(index, { email: 'john@acme.com' })).toBeNull();
+    });
+
+    test('should match every address at a suppressed domain', () => {
+        expect(findSuppression(index, { email: 'anyone@Blocked.io' }).id).toBe(2);
+    });
+
+    test('should match phone numbers on their E.164 form', () => {
+        expect(findSuppression(index, { phone: '+353 86 123 4567' }).id).toBe(3);
+        expect(findSuppression(index, { phone: '00353861234567' }).id).toBe(3);
+        expect(findSuppression(index, { phone: '+15551234567' })).toBeNull();
+    });
+
+    test('should match national and international formats of the same number', () => {
+        expect(findSuppression(index, { phone: '086 123 4567' }).id).toBe(3);
+
+        const nationalIndex = buildSuppressionIndex([{ id: 4, type: 'phone', value: '086 123 4567', reason: 'manual' }]);
+        expect(findSuppression(nationalIndex, { phone: '+353861234567' }).id).toBe(4);
+    });
+
+    test('should only check the channels passed in', () => {
+        expect(findSuppression(index, { phone: '+15551234567', email: null })).toBeNull();
+        expect(findSuppression(index, {})).toBeNull();
+    });
+});
+
+describe('CSV Import and Export', () => {
+    test('should parse a CSV with a header row', () => {
+        const { entries, errors } = parseSuppressionCsv(
+            'type,value,reason,note\n' +
+            'email,Jane@Acme.com,unsubscribe,"Asked by phone, twice"\n' +
+            'phone,+353 86 123 4567,do_not_call,\n' +
+            'domain,competitor.com,,\n'
+        );
+        expect(errors).toEqual([]);
+        expect(entries).toEqual([
+            { type: 'email', value: 'jane@acme.com', reason: 'unsubscribe', note: 'Asked by phone, twice' },
+            { type: 'phone', value: '+353861234567', reason: 'do_not_call', note: null },
+            { type: 'domain', value: 'competitor.com', reason: 'manual', note: null },
+        ]);
+    });
+
+    test('should take the type from a single-column header', () => {
+        const { entries } = parseSuppressionCsv('phone\n0861234567\n0871234567', 'do_not_call');
+        expect(entries.map(e => [e.type, e.value, e.reason])).toEqual([
+            ['phone', '+353861234567', 'do_not_call'],
+            ['phone', '+353871234567', 'do_not_call'],
+        ]);
+    });
+
+    test('should parse headerless rows and report bad lines', () => {
+        const { entries, errors } = parseSuppressionCsv('jane@acme.com,bounce\nnonsense\n\r\n+15551234567');
+        expect(entries.map(e => [e.type, e.reason])).toEqual([['email', 'bounce'], ['phone', 'manual']]);
+        expect(errors).toEqual([{ line: 2, error: 'Could not determine type for "nonsense"' }]);
+    });
+
+    test('should export CSV that imports back to the same entries', () => {
+        const rows = [
+            { type: 'email', value: 'jane@acme.com', reason: 'complaint', source: 'webhook', note: 'Said "stop"', created_at: '2026-01-01T00:00:00Z' },
+            { type: 'domain', value: 'acme.com', reason: 'manual', source: 'api', note: null, created_at: '2026-01-02T00:00:00Z' },
+        ];
+        const csv = toSuppressionCsv(rows);
+        expect(csv.split('\n')[0]).toBe('type,value,reason,source,note,created_at');
+        expect(csv).toContain('"Said ""stop"""');
+        expect(parseSuppressionCsv(csv).entries).toEqual([
+            { type: 'email', value: 'jane@acme.com', reason: 'complaint', note: 'Said "stop"' },
+            { type: 'domain', value: 'acme.com', reason: 'manual', note: null },
+        ]);
+    });
+});
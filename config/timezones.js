@@ -0,0 +1,388 @@
+/**
+ * Lead Timezone Configuration
+ *
+ * This module resolves the local timezone of a lead so send windows
+ * (emails, calls, SMS) can be evaluated in the lead's own time:
+ * 1. Explicit leads.timezone (if set)
+ * 2. Latitude/longitude (scraped from Google Maps)
+ * 3. City name
+ * 4. Phone country code (area code for +1 numbers)
+ * Falls back to the workflow/sequence timezone when nothing matches.
+ */
+
+/**
+ * Phone country code -> default timezone
+ * Multi-zone countries use their most populous zone, except +1 which is
+ * resolved by area code (NANP_AREA_CODE_TIMEZONES)
+ */
+export const PHONE_COUNTRY_TIMEZONES = {
+    '353': 'Europe/Dublin',
+    '44': 'Europe/London',
+    '33': 'Europe/Paris',
+    '34': 'Europe/Madrid',
+    '49': 'Europe/Berlin',
+    '39': 'Europe/Rome',
+    '31': 'Europe/Amsterdam',
+    '32': 'Europe/Brussels',
+    '351': 'Europe/Lisbon',
+    '61': 'Australia/Sydney',
+    '64': 'Pacific/Auckland',
+    '91': 'Asia/Kolkata',
+    '52': 'America/Mexico_City',
+    '55': 'America/Sao_Paulo',
+};
+
+/**
+ * NANP (+1) area codes by timezone
+ * Only area codes that lie within one timezone are listed - the rest are
+ * left unresolved rather than guessed.
+ */
+const NANP_TIMEZONE_AREA_CODES = {
+    'America/New_York': [
+        '201', '202', '203', '207', '212', '215', '216', '220', '226', '234', '239', '240', '248', '249',
+        '252', '260', '267', '269', '289', '301', '302', '304', '305', '313', '315', '317', '321', '330',
+        '339', '343', '347', '351', '352', '365', '380', '386', '401', '404', '407', '410', '412', '413',
+        '416', '418', '419', '423', '434', '437', '438', '440', '443', '450', '463', '470', '475', '478',
+        '484', '502', '508', '513', '514', '516', '517', '518', '519', '540', '548', '551', '561', '567',
+        '570', '571', '579', '581', '585', '586', '603', '606', '607', '609', '610', '613', '614', '616',
+        '617', '631', '646', '647', '678', '681', '689', '703', '704', '705', '706', '716', '717', '718',
+        '724', '727', '732', '734', '740', '743', '754', '757', '762', '765', '770', '772', '774', '781',
+        '786', '802', '803', '804', '810', '813', '814', '819', '828', '843', '845', '848', '856', '857',
+        '859', '860', '862', '863', '864', '865', '873', '904', '905', '908', '910', '912', '914', '917',
+        '919', '929', '937', '941', '954', '959', '973', '978', '980', '984', '989',
+    ],
+    'America/Chicago': [
+        '204', '205', '210', '214', '217', '218', '224', '225', '228', '251', '254', '256', '262', '281',
+        '309', '312', '314', '316', '318', '319', '320', '325', '331', '334', '337', '346', '361', '402',
+        '405', '409', '414', '417', '430', '431', '432', '447', '469', '479', '501', '504', '507', '512',
+        '515', '531', '534', '539', '563', '572', '573', '580', '601', '608', '612', '615', '618', '629',
+        '630', '636', '641', '651', '659', '660', '662', '682', '708', '712', '713', '715', '726', '731',
+        '737', '763', '769', '773', '779', '806', '815', '816', '817', '830', '832', '847', '861', '870',
+        '872', '901', '903', '913', '918', '920', '931', '936', '938', '940', '945', '952', '956', '972',
+        '975', '979', '985',
+    ],
+    'America/Regina': ['306', '639'],
+    'America/Denver': ['303', '307', '385', '406', '435', '505', '575', '719', '720', '801', '915', '970', '983'],
+    'America/Edmonton': ['403', '587', '780', '825'],
+    'America/Phoenix': ['480', '520', '602', '623', '928'],
+    'America/Los_Angeles': [
+        '206', '209', '213', '236', '253', '279', '310', '323', '341', '360', '408', '415', '424', '425',
+        '442', '458', '503', '509', '510', '530', '559', '562', '564', '604', '619', '626', '628', '650',
+        '657', '661', '669', '672', '702', '707', '714', '725', '747', '760', '778', '805', '818', '820',
+        '858', '909', '916', '925', '949', '951', '971',
+    ],
+    'America/Halifax': ['782', '902'],
+    'America/Moncton': ['506'],
+    'America/St_Johns': ['709'],
+    'America/Anchorage': ['907'],
+    'Pacific/Honolulu': ['808'],
+};
+
+export const NANP_AREA_CODE_TIMEZONES = Object.fromEntries(
+    Object.entries(NANP_TIMEZONE_AREA_CODES).flatMap(([timezone, codes]) => codes.map(code => [code, timezone]))
+);
+
+/**
+ * City name (lowercase) -> timezone
+ */
+export const CITY_TIMEZONES = {
+    // Ireland
+    'dublin': 'Europe/Dublin',
+    'cork': 'Europe/Dublin',
+    'galway': 'Europe/Dublin',
+    'limerick': 'Europe/Dublin',
+    'waterford': 'Europe/Dublin',
+    'kilkenny': 'Europe/Dublin',
+    // United Kingdom
+    'london': 'Europe/London',
+    'manchester': 'Europe/London',
+    'birmingham': 'Europe/London',
+    'leeds': 'Europe/London',
+    'liverpool': 'Europe/London',
+    'bristol': 'Europe/London',
+    'glasgow': 'Europe/London',
+    'edinburgh': 'Europe/London',
+    'belfast': 'Europe/London',
+    'cardiff': 'Europe/London',
+    // United States - Eastern
+    'new york': 'America/New_York',
+    'boston': 'America/New_York',
+    'philadelphia': 'America/New_York',
+    'washington': 'America/New_York',
+    'atlanta': 'America/New_York',
+    'miami': 'America/New_York',
+    'orlando': 'America/New_York',
+    'charlotte': 'America/New_York',
+    'pittsburgh': 'America/New_York',
+    'detroit': 'America/Detroit',
+    // United States - Central
+    'chicago': 'America/Chicago',
+    'houston': 'America/Chicago',
+    'dallas': 'America/Chicago',
+    'austin': 'America/Chicago',
+    'san antonio': 'America/Chicago',
+    'minneapolis': 'America/Chicago',
+    'nashville': 'America/Chicago',
+    'new orleans': 'America/Chicago',
+    'kansas city': 'America/Chicago',
+    // United States - Mountain
+    'denver': 'America/Denver',
+    'salt lake city': 'America/Denver',
+    'phoenix': 'America/Phoenix',
+    // United States - Pacific
+    'los angeles': 'America/Los_Angeles',
+    'san francisco': 'America/Los_Angeles',
+    'san diego': 'America/Los_Angeles',
+    'san jose': 'America/Los_Angeles',
+    'seattle': 'America/Los_Angeles',
+    'portland': 'America/Los_Angeles',
+    'las vegas': 'America/Los_Angeles',
+    // Other
+    'honolulu': 'Pacific/Honolulu',
+    'anchorage': 'America/Anchorage',
+    'toronto': 'America/Toronto',
+    'vancouver': 'America/Vancouver',
+    'paris': 'Europe/Paris',
+    'berlin': 'Europe/Berlin',
+    'madrid': 'Europe/Madrid',
+    'amsterdam': 'Europe/Amsterdam',
+    'sydney': 'Australia/Sydney',
+    'melbourne': 'Australia/Melbourne',
+};
+
+/**
+ * Coordinate bounding boxes -> timezone (checked in order, first match wins)
+ * US zones are split on approximate longitude boundaries
+ */
+export const COORDINATE_REGIONS = [
+    { timezone: 'Europe/Dublin', minLat: 51.2, maxLat: 55.5, minLng: -10.7, maxLng: -5.9 },
+    { timezone: 'Europe/London', minLat: 49.8, maxLat: 60.9, minLng: -8.7, maxLng: 1.8 },
+    { timezone: 'Pacific/Honolulu', minLat: 18.5, maxLat: 22.5, minLng: -160.5, maxLng: -154.5 },
+    { timezone: 'America/Anchorage', minLat: 51.0, maxLat: 71.5, minLng: -180, maxLng: -130 },
+    { timezone: 'America/New_York', minLat: 24.5, maxLat: 49.5, minLng: -87.5, maxLng: -66.9 },
+    { timezone: 'America/Chicago', minLat: 24.5, maxLat: 49.5, minLng: -101.5, maxLng: -87.5 },
+    { timezone: 'America/Denver', minLat: 24.5, maxLat: 49.5, minLng: -114.5, maxLng: -101.5 },
+    { timezone: 'America/Los_Angeles', minLat: 24.5, maxLat: 49.5, minLng: -125, maxLng: -114.5 },
+];
+
+const DEFAULT_SEND_DAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Check that a timezone name is valid for Intl
+ */
+export function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Infer timezone from coordinates
+ * @returns {string|null}
+ */
+export function timezoneFromCoordinates(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) return null;
+
+    const region = COORDINATE_REGIONS.find(r =>
+        lat >= r.minLat && lat <= r.maxLat && lng >= r.minLng && lng <= r.maxLng
+    );
+
+    return region?.timezone || null;
+}
+
+/**
+ * Infer timezone from a city name (e.g. "Dublin", "Austin, TX")
+ * @returns {string|null}
+ */
+export function timezoneFromCity(city) {
+    if (!city) return null;
+
+    const normalized = city.toLowerCase().split(',')[0].trim();
+    return CITY_TIMEZONES[normalized] || null;
+}
+
+/**
+ * Infer timezone from an international phone number (+353..., 0044...)
+ * Numbers without an international prefix cannot be resolved, nor can +1
+ * numbers whose area code spans timezones or isn't listed
+ * @returns {string|null}
+ */
+export function timezoneFromPhone(phone) {
+    if (!phone) return null;
+
+    const trimmed = phone.trim();
+    let digits;
+    if (trimmed.startsWith('+')) {
+        digits = trimmed.replace(/\D/g, '');
+    } else if (trimmed.startsWith('00')) {
+        digits = trimmed.replace(/\D/g, '').slice(2);
+    } else {
+        return null;
+    }
+
+    if (digits.startsWith('1')) {
+        return NANP_AREA_CODE_TIMEZONES[digits.slice(1, 4)] || null;
+    }
+
+    // Country codes are 1-3 digits; try the longest prefix first
+    for (const length of [3, 2, 1]) {
+        const timezone = PHONE_COUNTRY_TIMEZONES[digits.slice(0, length)];
+        if (timezone) return timezone;
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the lead's local timezone
+ * @param {Object} lead - Lead row (timezone, latitude, longitude, city, phone)
+ * @param {string} fallback - Timezone to use when nothing can be inferred
+ * @returns {string}
+ */
+export function inferLeadTimezone(lead, fallback = 'UTC') {
+    if (!lead) return fallback;
+
+    if (isValidTimezone(lead.timezone)) return lead.timezone;
+
+    return timezoneFromCoordinates(lead.latitude, lead.longitude)
+        || timezoneFromCity(lead.city)
+        || timezoneFromPhone(lead.phone)
+        || fallback;
+}
+
+/**
+ * Get day of week (1=Monday, 7=Sunday) and minutes since midnight in a timezone
+ * @returns {{ dayOfWeek: number, minutes: number }}
+ */
+export function getLocalTime(now = new Date(), timezone = 'UTC') {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    });
+    const parts = formatter.formatToParts(now);
+    const weekday = parts.find(p => p.type === 'weekday').value;
+    const hour = parseInt(parts.find(p => p.type === 'hour').value) % 24;
+    const minute = parseInt(parts.find(p => p.type === 'minute').value);
+
+    const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+    return {
+        dayOfWeek: days.indexOf(weekday) + 1,
+        minutes: hour * 60 + minute,
+    };
+}
+
+/**
+ * Check whether `now` falls within a send window in the given timezone
+ * @param {Object} window - { send_days, send_window_start, send_window_end }
+ * @param {Date} now - Current time
+ * @param {string} timezone - IANA timezone to evaluate in
+ */
+export function isWithinSendWindow(window, now = new Date(), timezone = 'UTC') {
+    if (!window) return false;
+
+    const { dayOfWeek, minutes } = getLocalTime(now, timezone);
+    const sendDays = window.send_days || DEFAULT_SEND_DAYS;
+
+    if (!sendDays.includes(dayOfWeek)) return false;
+
+    const [startH, startM] = (window.send_window_start || '09:00').split(':').map(Number);
+    const [endH, endM] = (window.send_window_end || '17:00').split(':').map(Number);
+
+    const startMinutes = startH * 60 + startM;
+    const endMinutes = endH * 60 + endM;
+
+    // Windows that cross midnight (e.g. 22:00-02:00)
+    if (endMinutes < startMinutes) {
+        return minutes >= startMinutes || minutes <= endMinutes;
+    }
+
+    return minutes >= startMinutes && minutes <= endMinutes;
+}
+
+/**
+ * Resolve the timezone a workflow/sequence step should be evaluated in
+ * @param {Object} settings - Workflow or sequence row
+ * @param {Object} lead - Lead row
+ */
+export function resolveSendTimezone(settings, lead) {
+    const base = isValidTimezone(settings?.timezone) ? settings.timezone : 'UTC';
+
+    if (settings?.use_lead_timezone === false) return base;
+
+    return inferLeadTimezone(lead, base);
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getTimezoneOffset(date, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: false
+    });
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(p => [p.type, p.value]));
+    const asUtc = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parseInt(parts.hour) % 24,
+        parts.minute,
+        parts.second
+    );
+
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Find the next time a send window opens, as a UTC Date
+ * Used to push out-of-window enrollments forward instead of re-polling them
+ * @param {Object} window - { send_days, send_window_start }
+ * @param {Date} now - Current time
+ * @param {string} timezone - IANA timezone to evaluate in
+ * @returns {Date|null}
+ */
+export function getNextSendWindowStart(window, now = new Date(), timezone = 'UTC') {
+    if (!window) return null;
+
+    const tz = isValidTimezone(timezone) ? timezone : 'UTC';
+    const sendDays = window.send_days || DEFAULT_SEND_DAYS;
+    if (sendDays.length === 0) return null;
+
+    const [startH, startM] = (window.send_window_start || '09:00').split(':').map(Number);
+    const dateFormatter = new Intl.DateTimeFormat('en-CA', {
+        timeZone: tz,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    });
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = new Date(now.getTime() + offset * 24 * 60 * 60 * 1000);
+        const { dayOfWeek } = getLocalTime(day, tz);
+        if (!sendDays.includes(dayOfWeek)) continue;
+
+        const [year, month, date] = dateFormatter.format(day).split('-').map(Number);
+        const guess = Date.UTC(year, month - 1, date, startH, startM);
+        const candidate = new Date(guess - getTimezoneOffset(new Date(guess), tz));
+
+        if (candidate > now) return candidate;
+    }
+
+    return null;
+}
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for lead timezone configuration module
+ */
+
+import {
+    inferLeadTimezone,
+    timezoneFromCoordinates,
+    timezoneFromCity,
+    timezoneFromPhone,
+    getLocalTime,
+    isWithinSendWindow,
+    resolveSendTimezone,
+    getNextSendWindowStart,
+} from './timezones.js';
+
+// Monday 19 Oct 2026, 12:00 UTC (13:00 Dublin, 08:00 New York, 05:00 Los Angeles)
+const MONDAY_NOON_UTC = new Date('2026-10-19T12:00:00Z');
+
+describe('Timezone Configuration Module', () => {
+    describe('timezoneFromCoordinates', () => {
+        test('should resolve Irish coordinates to Dublin', () => {
+            expect(timezoneFromCoordinates(53.35, -6.26)).toBe('Europe/Dublin');
+        });
+
+        test('should resolve English coordinates to London', () => {
+            expect(timezoneFromCoordinates(51.5, -0.12)).toBe('Europe/London');
+        });
+
+        test('should split US coordinates by zone', () => {
+            expect(timezoneFromCoordinates(40.71, -74.0)).toBe('America/New_York');
+            expect(timezoneFromCoordinates(41.88, -87.63)).toBe('America/Chicago');
+            expect(timezoneFromCoordinates(39.74, -104.99)).toBe('America/Denver');
+            expect(timezoneFromCoordinates(34.05, -118.24)).toBe('America/Los_Angeles');
+        });
+
+        test('should accept numeric strings', () => {
+            expect(timezoneFromCoordinates('53.35', '-6.26')).toBe('Europe/Dublin');
+        });
+
+        test('should return null for missing or unknown coordinates', () => {
+            expect(timezoneFromCoordinates(null, null)).toBeNull();
+            expect(timezoneFromCoordinates(0, 0)).toBeNull();
+        });
+    });
+
+    describe('timezoneFromCity', () => {
+        test('should match city names case-insensitively', () => {
+            expect(timezoneFromCity('Cork')).toBe('Europe/Dublin');
+            expect(timezoneFromCity('SEATTLE')).toBe('America/Los_Angeles');
+        });
+
+        test('should ignore state/country suffix', () => {
+            expect(timezoneFromCity('Austin, TX')).toBe('America/Chicago');
+        });
+
+        test('should return null for unknown cities', () => {
+            expect(timezoneFromCity('Atlantis')).toBeNull();
+            expect(timezoneFromCity(null)).toBeNull();
+        });
+    });
+
+    describe('timezoneFromPhone', () => {
+        test('should resolve + prefixed numbers', () => {
+            expect(timezoneFromPhone('+353 87 123 4567')).toBe('Europe/Dublin');
+            expect(timezoneFromPhone('+44 20 7946 0000')).toBe('Europe/London');
+            expect(timezoneFromPhone('+1 (212) 555-0100')).toBe('America/New_York');
+        });
+
+        test('should resolve 00 prefixed numbers', () => {
+            expect(timezoneFromPhone('00353871234567')).toBe('Europe/Dublin');
+        });
+
+        test('should resolve +1 numbers by area code', () => {
+            expect(timezoneFromPhone('+1 415 555 0100')).toBe('America/Los_Angeles');
+            expect(timezoneFromPhone('+1 602 555 0100')).toBe('America/Phoenix');
+            expect(timezoneFromPhone('+1 416 555 0100')).toBe('America/New_York');
+            expect(timezoneFromPhone('+1 907 555 0100')).toBe('America/Anchorage');
+        });
+
+        test('should not guess for +1 area codes spanning timezones', () => {
+            // 850 (Florida panhandle) is split between Eastern and Central
+            expect(timezoneFromPhone('+1 850 555 0100')).toBeNull();
+            expect(timezoneFromPhone('+1 555 555 0100')).toBeNull();
+        });
+
+        test('should not guess for national-format numbers', () => {
+            expect(timezoneFromPhone('087 123 4567')).toBeNull();
+        });
+    });
+
+    describe('inferLeadTimezone', () => {
+        test('should prefer an explicit lead timezone', () => {
+            expect(inferLeadTimezone({ timezone: 'America/Denver', city: 'Dublin' })).toBe('America/Denver');
+        });
+
+        test('should ignore an invalid explicit timezone', () => {
+            expect(inferLeadTimezone({ timezone: 'Not/AZone', city: 'Dublin' })).toBe('Europe/Dublin');
+        });
+
+        test('should prefer coordinates over city and phone', () => {
+            const lead = { latitude: 34.05, longitude: -118.24, city: 'Dublin', phone: '+353871234567' };
+            expect(inferLeadTimezone(lead)).toBe('America/Los_Angeles');
+        });
+
+        test('should fall back to phone country code', () => {
+            expect(inferLeadTimezone({ phone: '+447700900000' })).toBe('Europe/London');
+            expect(inferLeadTimezone({ phone: '+13105550100' })).toBe('America/Los_Angeles');
+        });
+
+        test('should use the fallback when nothing matches', () => {
+            expect(inferLeadTimezone({}, 'Europe/Dublin')).toBe('Europe/Dublin');
+            expect(inferLeadTimezone(null)).toBe('UTC');
+            expect(inferLeadTimezone({ phone: '+18505550100' }, 'Europe/Dublin')).toBe('Europe/Dublin');
+        });
+    });
+
+    describe('getLocalTime', () => {
+        test('should return day and minutes in the target timezone', () => {
+            expect(getLocalTime(MONDAY_NOON_UTC, 'Europe/Dublin')).toEqual({ dayOfWeek: 1, minutes: 13 * 60 });
+            expect(getLocalTime(MONDAY_NOON_UTC, 'America/Los_Angeles')).toEqual({ dayOfWeek: 1, minutes: 5 * 60 });
+        });
+
+        test('should use the local day, not the server day', () => {
+            // Monday 02:00 UTC is still Sunday evening in New York
+            const earlyMonday = new Date('2026-10-19T02:00:00Z');
+            expect(getLocalTime(earlyMonday, 'America/New_York').dayOfWeek).toBe(7);
+        });
+    });
+
+    describe('isWithinSendWindow', () => {
+        const window = { send_days: [1, 2, 3, 4, 5], send_window_start: '09:00', send_window_end: '17:00' };
+
+        test('should evaluate the window in the given timezone', () => {
+            expect(isWithinSendWindow(window, MONDAY_NOON_UTC, 'Europe/Dublin')).toBe(true);
+            expect(isWithinSendWindow(window, MONDAY_NOON_UTC, 'America/Los_Angeles')).toBe(false);
+        });
+
+        test('should respect send days in local time', () => {
+            const earlyMonday = new Date('2026-10-19T02:00:00Z');
+            const lateWindow = { ...window, send_window_start: '20:00', send_window_end: '23:00' };
+            expect(isWithinSendWindow(lateWindow, earlyMonday, 'America/New_York')).toBe(false);
+        });
+
+        test('should support windows that cross midnight', () => {
+            const overnight = { send_days: [1, 2, 3, 4, 5, 6, 7], send_window_start: '22:00', send_window_end: '02:00' };
+            expect(isWithinSendWindow(overnight, new Date('2026-10-19T23:30:00Z'), 'UTC')).toBe(true);
+            expect(isWithinSendWindow(overnight, new Date('2026-10-19T12:00:00Z'), 'UTC')).toBe(false);
+        });
+
+        test('should return false without settings', () => {
+            expect(isWithinSendWindow(null, MONDAY_NOON_UTC, 'UTC')).toBe(false);
+        });
+    });
+
+    describe('resolveSendTimezone', () => {
+        const lead = { city: 'Seattle' };
+
+        test('should use the lead timezone by default', () => {
+            expect(resolveSendTimezone({ timezone: 'Europe/Dublin' }, lead)).toBe('America/Los_Angeles');
+        });
+
+        test('should use the workflow timezone when lead timezone is disabled', () => {
+            expect(resolveSendTimezone({ timezone: 'Europe/Dublin', use_lead_timezone: false }, lead)).toBe('Europe/Dublin');
+        });
+
+        test('should fall back to the workflow timezone for unknown leads', () => {
+            expect(resolveSendTimezone({ timezone: 'Europe/London' }, {})).toBe('Europe/London');
+        });
+    });
+
+    describe('getNextSendWindowStart', () => {
+        const window = { send_days: [1, 2, 3, 4, 5], send_window_start: '09:00', send_window_end: '17:00' };
+
+        test('should return later today when the window has not opened yet', () => {
+            const next = getNextSendWindowStart(window, MONDAY_NOON_UTC, 'America/Los_Angeles');
+            expect(next.toISOString()).toBe('2026-10-19T16:00:00.000Z');
+        });
+
+        test('should skip to the next send day after the weekend', () => {
+            const fridayEvening = new Date('2026-10-23T18:00:00Z');
+            const next = getNextSendWindowStart(window, fridayEvening, 'Europe/Dublin');
+            expect(next.toISOString()).toBe('2026-10-26T09:00:00.000Z');
+        });
+
+        test('should return null when no send days are configured', () => {
+            expect(getNextSendWindowStart({ ...window, send_days: [] }, MONDAY_NOON_UTC, 'UTC')).toBeNull();
+        });
+    });
+});
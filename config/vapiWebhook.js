@@ -0,0 +1,141 @@
+/**
+ * VAPI Webhook Security Configuration
+ *
+ * VAPI server messages are authenticated with the server secret configured on
+ * the assistant / phone number / org (Server URL settings):
+ * 1. Shared secret - sent as-is in the X-Vapi-Secret header
+ * 2. HMAC credential - X-Vapi-Signature = hex HMAC-SHA256(`${timestamp}.${rawBody}`)
+ *    with the timestamp in X-Vapi-Timestamp
+ * HMAC requests older than the replay window are rejected (their timestamp is
+ * signed), and each delivery is processed once per call id + message type.
+ */
+
+import crypto from 'crypto';
+
+export const VAPI_SECRET_HEADER = 'x-vapi-secret';
+export const VAPI_SIGNATURE_HEADER = 'x-vapi-signature';
+export const VAPI_TIMESTAMP_HEADER = 'x-vapi-timestamp';
+
+/**
+ * How far a request timestamp may drift from our clock (ms)
+ */
+export const REPLAY_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    if (bufA.length !== bufB.length) return false;
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Parse a timestamp given in seconds, milliseconds or ISO 8601
+ * @returns {number|null} - Milliseconds since epoch
+ */
+export function parseWebhookTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        const numeric = Number(value);
+        // Anything below 1e12 is in seconds
+        return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Check a request timestamp falls inside the replay window
+ * @param {*} timestamp - Seconds, milliseconds or ISO string
+ * @param {number} now - Current time (ms)
+ * @param {number} windowMs - Allowed drift either side
+ */
+export function isWithinReplayWindow(timestamp, now = Date.now(), windowMs = REPLAY_WINDOW_MS) {
+    const ms = parseWebhookTimestamp(timestamp);
+    if (ms === null) return false;
+    return Math.abs(now - ms) <= windowMs;
+}
+
+/**
+ * Check a verified request is not a replay
+ * Only HMAC requests carry a signed timestamp. A shared-secret message's own
+ * timestamp proves nothing and goes stale on legitimate retries, so those rely
+ * on the per-delivery idempotency keys instead.
+ * @param {Object} verification - Result of verifyVapiSignature
+ * @param {number} now - Current time (ms)
+ */
+export function isFreshWebhookRequest(verification, now = Date.now()) {
+    if (verification?.method !== 'hmac') return true;
+    return isWithinReplayWindow(verification.timestamp, now);
+}
+
+/**
+ * Verify a VAPI webhook request
+ * @param {string} rawBody - Raw request body
+ * @param {Object} headers - Request headers (lowercased keys)
+ * @param {string} secret - VAPI server secret
+ * @returns {{ valid: boolean, method: string|null, timestamp: string|null }}
+ */
+export function verifyVapiSignature(rawBody, headers, secret) {
+    const result = { valid: false, method: null, timestamp: headers[VAPI_TIMESTAMP_HEADER] || null };
+    if (!secret) return result;
+
+    try {
+        const signature = headers[VAPI_SIGNATURE_HEADER];
+        if (signature) {
+            result.method = 'hmac';
+            if (!result.timestamp) return result;
+
+            const expected = crypto
+                .createHmac('sha256', secret)
+                .update(`${result.timestamp}.${rawBody}`)
+                .digest('hex');
+            result.valid = safeEqual(signature.replace(/^sha256=/, ''), expected);
+            return result;
+        }
+
+        const sharedSecret = headers[VAPI_SECRET_HEADER];
+        if (sharedSecret) {
+            result.method = 'secret';
+            result.valid = safeEqual(sharedSecret, secret);
+        }
+
+        return result;
+    } catch {
+        return result;
+    }
+}
+
+/**
+ * Build the idempotency key for a webhook delivery
+ * Status updates are keyed per status so each transition is processed once.
+ * @param {Object} message - VAPI server message ({ type, call, status })
+ * @param {string} type - Override the message type (e.g. 'transfer-call')
+ * @returns {string|null} - null when the message has no call id
+ */
+export function getWebhookEventKey(message, type = message?.type) {
+    const callId = message?.call?.id;
+    if (!callId || !type) return null;
+
+    if (type === 'status-update' && message.status) {
+        return `${callId}:${type}:${message.status}`;
+    }
+
+    return `${callId}:${type}`;
+}
+
+export default {
+    VAPI_SECRET_HEADER,
+    VAPI_SIGNATURE_HEADER,
+    VAPI_TIMESTAMP_HEADER,
+    REPLAY_WINDOW_MS,
+    parseWebhookTimestamp,
+    isWithinReplayWindow,
+    isFreshWebhookRequest,
+    verifyVapiSignature,
+    getWebhookEventKey,
+};
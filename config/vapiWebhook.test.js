@@ -0,0 +1,164 @@
+/**
+ * Unit tests for VAPI webhook security module
+ */
+
+import crypto from 'crypto';
+import {
+    REPLAY_WINDOW_MS,
+    parseWebhookTimestamp,
+    isWithinReplayWindow,
+    isFreshWebhookRequest,
+    verifyVapiSignature,
+    getWebhookEventKey,
+} from './vapiWebhook.js';
+
+const SECRET = 'vapi_test_secret';
+
+function sign(timestamp, body, secret = SECRET) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+describe('VAPI Webhook Signature Verification', () => {
+    const body = '{"message":{"type":"end-of-call-report","call":{"id":"call_1"}}}';
+
+    test('should return invalid without a secret', () => {
+        const result = verifyVapiSignature(body, { 'x-vapi-secret': SECRET }, '');
+        expect(result.valid).toBe(false);
+    });
+
+    test('should return invalid without any auth header', () => {
+        const result = verifyVapiSignature(body, {}, SECRET);
+        expect(result).toEqual({ valid: false, method: null, timestamp: null });
+    });
+
+    describe('shared secret', () => {
+        test('should accept the matching secret', () => {
+            const result = verifyVapiSignature(body, { 'x-vapi-secret': SECRET }, SECRET);
+            expect(result.valid).toBe(true);
+            expect(result.method).toBe('secret');
+        });
+
+        test('should reject a wrong secret', () => {
+            expect(verifyVapiSignature(body, { 'x-vapi-secret': 'nope' }, SECRET).valid).toBe(false);
+            expect(verifyVapiSignature(body, { 'x-vapi-secret': `${SECRET}x` }, SECRET).valid).toBe(false);
+        });
+    });
+
+    describe('HMAC', () => {
+        test('should accept a valid signature', () => {
+            const timestamp = String(Date.now());
+            const headers = {
+                'x-vapi-signature': sign(timestamp, body),
+                'x-vapi-timestamp': timestamp,
+            };
+            const result = verifyVapiSignature(body, headers, SECRET);
+            expect(result).toEqual({ valid: true, method: 'hmac', timestamp });
+        });
+
+        test('should accept a sha256= prefixed signature', () => {
+            const timestamp = String(Date.now());
+            const headers = {
+                'x-vapi-signature': `sha256=${sign(timestamp, body)}`,
+                'x-vapi-timestamp': timestamp,
+            };
+            expect(verifyVapiSignature(body, headers, SECRET).valid).toBe(true);
+        });
+
+        test('should reject a tampered body', () => {
+            const timestamp = String(Date.now());
+            const headers = {
+                'x-vapi-signature': sign(timestamp, body),
+                'x-vapi-timestamp': timestamp,
+            };
+            expect(verifyVapiSignature(body.replace('call_1', 'call_2'), headers, SECRET).valid).toBe(false);
+        });
+
+        test('should reject a signature over a different timestamp', () => {
+            const headers = {
+                'x-vapi-signature': sign('1000', body),
+                'x-vapi-timestamp': '2000',
+            };
+            expect(verifyVapiSignature(body, headers, SECRET).valid).toBe(false);
+        });
+
+        test('should reject a signature without a timestamp', () => {
+            const headers = { 'x-vapi-signature': sign('', body) };
+            const result = verifyVapiSignature(body, headers, SECRET);
+            expect(result.valid).toBe(false);
+            expect(result.method).toBe('hmac');
+        });
+
+        test('should prefer the HMAC signature over a shared secret header', () => {
+            const headers = {
+                'x-vapi-signature': 'bad',
+                'x-vapi-timestamp': String(Date.now()),
+                'x-vapi-secret': SECRET,
+            };
+            expect(verifyVapiSignature(body, headers, SECRET).valid).toBe(false);
+        });
+    });
+});
+
+describe('VAPI Webhook Replay Window', () => {
+    const now = Date.parse('2026-01-15T12:00:00Z');
+
+    test('should parse seconds, milliseconds and ISO timestamps', () => {
+        expect(parseWebhookTimestamp(now / 1000)).toBe(now);
+        expect(parseWebhookTimestamp(String(now))).toBe(now);
+        expect(parseWebhookTimestamp('2026-01-15T12:00:00Z')).toBe(now);
+    });
+
+    test('should return null for missing or invalid timestamps', () => {
+        expect(parseWebhookTimestamp(undefined)).toBeNull();
+        expect(parseWebhookTimestamp('')).toBeNull();
+        expect(parseWebhookTimestamp('yesterday-ish')).toBeNull();
+    });
+
+    test('should accept timestamps inside the window', () => {
+        expect(isWithinReplayWindow(now, now)).toBe(true);
+        expect(isWithinReplayWindow(now - REPLAY_WINDOW_MS, now)).toBe(true);
+        expect(isWithinReplayWindow(now + 30 * 1000, now)).toBe(true);
+    });
+
+    test('should reject stale and far-future timestamps', () => {
+        expect(isWithinReplayWindow(now - REPLAY_WINDOW_MS - 1, now)).toBe(false);
+        expect(isWithinReplayWindow(now + REPLAY_WINDOW_MS + 1, now)).toBe(false);
+    });
+
+    test('should reject missing timestamps', () => {
+        expect(isWithinReplayWindow(null, now)).toBe(false);
+    });
+
+    test('should only apply the window to HMAC requests', () => {
+        const stale = String((now - REPLAY_WINDOW_MS - 1000) / 1000);
+        expect(isFreshWebhookRequest({ valid: true, method: 'hmac', timestamp: stale }, now)).toBe(false);
+        expect(isFreshWebhookRequest({ valid: true, method: 'hmac', timestamp: null }, now)).toBe(false);
+        expect(isFreshWebhookRequest({ valid: true, method: 'hmac', timestamp: String(now / 1000) }, now)).toBe(true);
+        // Shared-secret retries of an old end-of-call-report, or messages without a timestamp
+        expect(isFreshWebhookRequest({ valid: true, method: 'secret', timestamp: null }, now)).toBe(true);
+        expect(isFreshWebhookRequest({ valid: true, method: 'secret', timestamp: stale }, now)).toBe(true);
+    });
+});
+
+describe('VAPI Webhook Idempotency Keys', () => {
+    test('should key on call id and message type', () => {
+        const message = { type: 'end-of-call-report', call: { id: 'call_1' } };
+        expect(getWebhookEventKey(message)).toBe('call_1:end-of-call-report');
+    });
+
+    test('should key status updates per status', () => {
+        const ringing = { type: 'status-update', status: 'ringing', call: { id: 'call_1' } };
+        const ended = { type: 'status-update', status: 'ended', call: { id: 'call_1' } };
+        expect(getWebhookEventKey(ringing)).toBe('call_1:status-update:ringing');
+        expect(getWebhookEventKey(ringing)).not.toBe(getWebhookEventKey(ended));
+    });
+
+    test('should allow overriding the type', () => {
+        expect(getWebhookEventKey({ call: { id: 'call_1' } }, 'transfer-call')).toBe('call_1:transfer-call');
+    });
+
+    test('should return null without a call id', () => {
+        expect(getWebhookEventKey({ type: 'end-of-call-report' })).toBeNull();
+        expect(getWebhookEventKey(null)).toBeNull();
+    });
+});
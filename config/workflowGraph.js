@@ -0,0 +1,220 @@
+/**
+ * Workflow Graph Configuration
+ *
+ * Workflows are a graph of steps rather than a fixed list:
+ * - Every step has a `key` (unique within the workflow)
+ * - `onTrue`  - where to go after the step runs (or its condition passes)
+ * - `onFalse` - where to go when the step's condition is not met
+ * - `outcomes` - call steps only: where to go per call outcome
+ *                (interested, not_interested, answered, voicemail, voicemail_left, no_answer,
+ *                ivr, failed, default)
+ * Omitted targets fall through to the next step in list order, so plain
+ * linear workflows keep working unchanged.
+ */
+
+export const STEP_TYPES = ['email', 'call', 'sms', 'wait', 'branch'];
+
+export const STEP_CONDITIONS = ['always', 'no_reply', 'no_open', 'no_answer', 'voicemail_left'];
+
+/**
+ * Outcome keys a call step can route on
+ * interested/not_interested refine answered using the call's success evaluation
+ */
+export const CALL_OUTCOME_ROUTES = [
+    'interested',
+    'not_interested',
+    'answered',
+    'voicemail',
+    'voicemail_left',
+    'no_answer',
+    'ivr',
+    'failed',
+    'default',
+];
+
+/**
+ * Get the key of a step as submitted by the client (defaults to its position)
+ */
+export function getStepKey(step, index) {
+    return step.key ? String(step.key) : `step-${index + 1}`;
+}
+
+/**
+ * Resolve every outgoing edge of a step (client format)
+ * @returns {string[]} - Target keys; sequential fall-through is included when a
+ *                       path has no explicit target
+ */
+function getEdges(step, index, keys) {
+    const sequential = keys[index + 1] || null;
+    const edges = [];
+
+    const passTarget = step.onTrue || sequential;
+    const failTarget = step.onFalse || sequential;
+
+    if (step.type === 'call' && step.outcomes && Object.keys(step.outcomes).length > 0) {
+        edges.push(...Object.values(step.outcomes));
+        // Outcomes without a route fall back to default/onTrue/next
+        edges.push(step.outcomes.default || passTarget);
+    } else {
+        edges.push(passTarget);
+    }
+
+    if ((step.condition && step.condition !== 'always') || step.type === 'branch') {
+        edges.push(failTarget);
+    }
+
+    return edges.filter(Boolean);
+}
+
+/**
+ * Validate a workflow graph submitted to POST/PATCH /api/workflows
+ * @param {Object[]} steps - Steps in client format ({ key, type, condition, onTrue, onFalse, outcomes })
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateWorkflowGraph(steps) {
+    const errors = [];
+
+    if (!Array.isArray(steps)) {
+        return { valid: false, errors: ['steps must be an array'] };
+    }
+
+    if (steps.length === 0) {
+        return { valid: true, errors };
+    }
+
+    const keys = steps.map(getStepKey);
+    const keySet = new Set();
+
+    steps.forEach((step, index) => {
+        const key = keys[index];
+        const label = `Step "${key}"`;
+
+        if (keySet.has(key)) {
+            errors.push(`${label}: duplicate key`);
+        }
+        keySet.add(key);
+
+        if (!STEP_TYPES.includes(step.type)) {
+            errors.push(`${label}: invalid type "${step.type}". Must be one of: ${STEP_TYPES.join(', ')}`);
+        }
+
+        const condition = step.condition || 'always';
+        if (!STEP_CONDITIONS.includes(condition)) {
+            errors.push(`${label}: invalid condition "${condition}". Must be one of: ${STEP_CONDITIONS.join(', ')}`);
+        }
+
+        if (step.type === 'branch' && condition === 'always') {
+            errors.push(`${label}: branch steps need a condition`);
+        }
+
+        if (step.outcomes && Object.keys(step.outcomes).length > 0) {
+            if (step.type !== 'call') {
+                errors.push(`${label}: outcome routes are only supported on call steps`);
+            }
+
+            for (const outcome of Object.keys(step.outcomes)) {
+                if (!CALL_OUTCOME_ROUTES.includes(outcome)) {
+                    errors.push(`${label}: unknown call outcome "${outcome}"`);
+                }
+            }
+        }
+    });
+
+    // All targets must exist
+    steps.forEach((step, index) => {
+        const targets = [step.onTrue, step.onFalse, ...Object.values(step.outcomes || {})].filter(Boolean);
+        for (const target of targets) {
+            if (!keySet.has(String(target))) {
+                errors.push(`Step "${keys[index]}": target "${target}" does not exist`);
+            }
+            if (String(target) === keys[index]) {
+                errors.push(`Step "${keys[index]}": cannot target itself`);
+            }
+        }
+    });
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    // No cycles - every enrollment must eventually finish
+    const indexByKey = Object.fromEntries(keys.map((key, index) => [key, index]));
+    const state = {}; // undefined = unvisited, 1 = in progress, 2 = done
+
+    const visit = (key, path) => {
+        if (state[key] === 2) return;
+        if (state[key] === 1) {
+            errors.push(`Cycle detected: ${[...path, key].join(' -> ')}`);
+            return;
+        }
+
+        state[key] = 1;
+        const index = indexByKey[key];
+        for (const target of getEdges(steps[index], index, keys)) {
+            visit(String(target), [...path, key]);
+        }
+        state[key] = 2;
+    };
+
+    visit(keys[0], []);
+
+    // Every step must be reachable from the first one
+    keys.forEach(key => {
+        if (!state[key]) {
+            errors.push(`Step "${key}" is unreachable from the first step`);
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Pick the route key for a finished call
+ * @param {Object} outcomeRoutes - { outcome: stepKey }
+ * @param {string} actionResult - answered, voicemail, voicemail_left, no_answer, ivr, failed
+ * @param {boolean|null} interested - Call success evaluation, if any
+ * @returns {string|null} - Target step key, or null to use the step's default path
+ */
+export function resolveOutcomeRoute(outcomeRoutes, actionResult, interested = null) {
+    const routes = outcomeRoutes || {};
+
+    if (actionResult === 'answered' && interested !== null) {
+        const refined = interested ? 'interested' : 'not_interested';
+        if (routes[refined]) return routes[refined];
+    }
+
+    // A dropped voicemail is still a voicemail for workflows that don't distinguish them
+    if (actionResult === 'voicemail_left' && !routes.voicemail_left && routes.voicemail) {
+        return routes.voicemail;
+    }
+
+    return routes[actionResult] || routes.default || null;
+}
+
+/**
+ * Interpret VAPI's analysis.successEvaluation as interested / not interested
+ * @returns {boolean|null}
+ */
+export function parseSuccessEvaluation(analysis) {
+    const value = analysis?.successEvaluation;
+    if (value === undefined || value === null || value === '') return null;
+
+    if (typeof value === 'boolean') return value;
+
+    // Only pass/fail style rubrics map cleanly; numeric scales are ambiguous
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', 'pass', 'yes', 'interested'].includes(normalized)) return true;
+    if (['false', 'fail', 'no', 'not interested', 'not_interested'].includes(normalized)) return false;
+
+    return null;
+}
+
+export default {
+    STEP_TYPES,
+    STEP_CONDITIONS,
+    CALL_OUTCOME_ROUTES,
+    getStepKey,
+    validateWorkflowGraph,
+    resolveOutcomeRoute,
+    parseSuccessEvaluation,
+};
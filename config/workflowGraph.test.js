@@ -0,0 +1,176 @@
+/**
+ * Unit tests for workflow graph configuration module
+ */
+
+import {
+    getStepKey,
+    validateWorkflowGraph,
+    resolveOutcomeRoute,
+    parseSuccessEvaluation,
+} from './workflowGraph.js';
+
+describe('Workflow Graph Configuration Module', () => {
+    describe('getStepKey', () => {
+        test('should use the client key when given', () => {
+            expect(getStepKey({ key: 'intro' }, 0)).toBe('intro');
+        });
+
+        test('should default to the step position', () => {
+            expect(getStepKey({}, 2)).toBe('step-3');
+        });
+    });
+
+    describe('validateWorkflowGraph', () => {
+        test('should accept an empty workflow', () => {
+            expect(validateWorkflowGraph([])).toEqual({ valid: true, errors: [] });
+        });
+
+        test('should reject non-array steps', () => {
+            expect(validateWorkflowGraph('nope').valid).toBe(false);
+        });
+
+        test('should accept a plain linear workflow without keys', () => {
+            const result = validateWorkflowGraph([
+                { type: 'email' },
+                { type: 'wait' },
+                { type: 'call', condition: 'no_reply' },
+            ]);
+            expect(result).toEqual({ valid: true, errors: [] });
+        });
+
+        test('should accept a call step routing per outcome', () => {
+            const result = validateWorkflowGraph([
+                { key: 'call', type: 'call', outcomes: { interested: 'book', voicemail: 'vm', not_interested: 'bye' } },
+                { key: 'book', type: 'email', onTrue: 'end' },
+                { key: 'vm', type: 'sms', onTrue: 'end' },
+                { key: 'bye', type: 'email', onTrue: 'end' },
+                { key: 'end', type: 'wait' },
+            ]);
+            expect(result.errors).toEqual([]);
+            expect(result.valid).toBe(true);
+        });
+
+        test('should accept a branch step with true/false targets', () => {
+            const result = validateWorkflowGraph([
+                { key: 'intro', type: 'email' },
+                { key: 'check', type: 'branch', condition: 'no_open', onTrue: 'call', onFalse: 'follow' },
+                { key: 'follow', type: 'email', onTrue: 'call' },
+                { key: 'call', type: 'call' },
+            ]);
+            expect(result.valid).toBe(true);
+        });
+
+        test('should reject duplicate keys', () => {
+            const result = validateWorkflowGraph([
+                { key: 'a', type: 'email' },
+                { key: 'a', type: 'call' },
+            ]);
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('Step "a": duplicate key');
+        });
+
+        test('should reject unknown types and conditions', () => {
+            const result = validateWorkflowGraph([
+                { type: 'fax' },
+                { type: 'email', condition: 'sometimes' },
+            ]);
+            expect(result.valid).toBe(false);
+            expect(result.errors).toHaveLength(2);
+        });
+
+        test('should require a condition on branch steps', () => {
+            const result = validateWorkflowGraph([{ type: 'branch' }]);
+            expect(result.errors).toContain('Step "step-1": branch steps need a condition');
+        });
+
+        test('should only allow outcome routes on call steps', () => {
+            const result = validateWorkflowGraph([
+                { key: 'a', type: 'email', outcomes: { voicemail: 'b' } },
+                { key: 'b', type: 'email' },
+            ]);
+            expect(result.errors).toContain('Step "a": outcome routes are only supported on call steps');
+        });
+
+        test('should reject unknown call outcomes', () => {
+            const result = validateWorkflowGraph([
+                { key: 'a', type: 'call', outcomes: { maybe: 'b' } },
+                { key: 'b', type: 'email' },
+            ]);
+            expect(result.errors).toContain('Step "a": unknown call outcome "maybe"');
+        });
+
+        test('should reject missing and self targets', () => {
+            const result = validateWorkflowGraph([
+                { key: 'a', type: 'email', onTrue: 'ghost' },
+                { key: 'b', type: 'email', condition: 'no_open', onFalse: 'b' },
+            ]);
+            expect(result.errors).toContain('Step "a": target "ghost" does not exist');
+            expect(result.errors).toContain('Step "b": cannot target itself');
+        });
+
+        test('should detect cycles', () => {
+            const result = validateWorkflowGraph([
+                { key: 'a', type: 'email' },
+                { key: 'b', type: 'call', outcomes: { voicemail: 'a' } },
+            ]);
+            expect(result.valid).toBe(false);
+            expect(result.errors.some(e => e.startsWith('Cycle detected: a -> b -> a'))).toBe(true);
+        });
+
+        test('should detect unreachable steps', () => {
+            const result = validateWorkflowGraph([
+                { key: 'a', type: 'email', onTrue: 'c' },
+                { key: 'b', type: 'email' },
+                { key: 'c', type: 'email' },
+            ]);
+            expect(result.errors).toEqual(['Step "b" is unreachable from the first step']);
+        });
+    });
+
+    describe('resolveOutcomeRoute', () => {
+        const routes = { interested: 'book', not_interested: 'bye', answered: 'talked', voicemail: 'vm', default: 'next' };
+
+        test('should refine answered calls by interest', () => {
+            expect(resolveOutcomeRoute(routes, 'answered', true)).toBe('book');
+            expect(resolveOutcomeRoute(routes, 'answered', false)).toBe('bye');
+        });
+
+        test('should use the answered route when interest is unknown', () => {
+            expect(resolveOutcomeRoute(routes, 'answered', null)).toBe('talked');
+        });
+
+        test('should fall back to the default route', () => {
+            expect(resolveOutcomeRoute(routes, 'voicemail')).toBe('vm');
+            expect(resolveOutcomeRoute(routes, 'no_answer')).toBe('next');
+        });
+
+        test('should route voicemail_left like voicemail unless it has its own route', () => {
+            expect(resolveOutcomeRoute(routes, 'voicemail_left')).toBe('vm');
+            expect(resolveOutcomeRoute({ ...routes, voicemail_left: 'sms' }, 'voicemail_left')).toBe('sms');
+        });
+
+        test('should return null without a matching route', () => {
+            expect(resolveOutcomeRoute({ voicemail: 'vm' }, 'failed')).toBeNull();
+            expect(resolveOutcomeRoute(null, 'answered', true)).toBeNull();
+        });
+    });
+
+    describe('parseSuccessEvaluation', () => {
+        test('should accept booleans', () => {
+            expect(parseSuccessEvaluation({ successEvaluation: true })).toBe(true);
+            expect(parseSuccessEvaluation({ successEvaluation: false })).toBe(false);
+        });
+
+        test('should accept pass/fail strings', () => {
+            expect(parseSuccessEvaluation({ successEvaluation: 'true' })).toBe(true);
+            expect(parseSuccessEvaluation({ successEvaluation: 'Pass' })).toBe(true);
+            expect(parseSuccessEvaluation({ successEvaluation: 'fail' })).toBe(false);
+        });
+
+        test('should return null for missing or ambiguous values', () => {
+            expect(parseSuccessEvaluation(null)).toBeNull();
+            expect(parseSuccessEvaluation({})).toBeNull();
+            expect(parseSuccessEvaluation({ successEvaluation: '7' })).toBeNull();
+        });
+    });
+});
@@ -13,16 +13,29 @@ import emailRoutes from './routes/email.js';
 import domainsRoutes from './routes/domains.js';
 import adminRoutes from './routes/admin.js';
 import resendWebhookRoutes from './routes/resendWebhook.js';
+import sendgridWebhookRoutes from './routes/sendgridWebhook.js';
 import userSettingsRoutes from './routes/userSettings.js';
 import sequencesRoutes from './routes/sequences.js';
 import emailTrackingRoutes from './routes/emailTracking.js';
 import workflowsRoutes from './routes/workflows.js';
+import smsRoutes from './routes/sms.js';
+import meetingsRoutes from './routes/meetings.js';
+import suppressionsRoutes from './routes/suppressions.js';
+import dncRoutes from './routes/dnc.js';
+import callInsightsRoutes from './routes/callInsights.js';
+import leadSourcingRoutes from './routes/leadSourcing.js';
+import leadImportsRoutes from './routes/leadImports.js';
+import leadDedupRoutes from './routes/leadDedup.js';
+import leadEnrichmentRoutes from './routes/leadEnrichment.js';
 
 // Import services
 import callScheduler from './services/callScheduler.js';
 import triggerEngine from './services/triggerEngine.js';
 import emailSequenceScheduler from './services/emailSequenceScheduler.js';
 import workflowScheduler from './services/workflowScheduler.js';
+import recordingArchiver from './services/recordingArchiver.js';
+import leadSourcingPoller from './services/leadSourcingPoller.js';
+import leadEnrichmentWorker from './services/leadEnrichmentWorker.js';
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -53,6 +66,16 @@ app.use('/api/stripe/webhook', express.raw({ type: 'application/json' }));
 // Resend webhook also needs raw body for signature verification
 app.use('/api/resend/webhook', express.raw({ type: 'application/json' }));
 
+// SendGrid signs the raw event batch (ECDSA)
+app.use('/api/sendgrid/webhook', express.raw({ type: 'application/json' }));
+
+// Booking webhooks (Cal.com / Calendly) sign the raw body
+app.use('/api/meetings/webhook', express.raw({ type: 'application/json' }));
+
+// VAPI server messages are HMAC-signed over the raw body
+app.use('/api/vapi/webhook', express.raw({ type: 'application/json' }));
+app.use('/api/vapi/transfer-call', express.raw({ type: 'application/json' }));
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -78,6 +101,9 @@ app.get('/health', (req, res) => {
             triggerEngine: true,
             emailSequenceScheduler: true,
             workflowScheduler: true,
+            recordingArchiver: true,
+            leadSourcingPoller: true,
+            leadEnrichmentWorker: true,
         }
     });
 });
@@ -94,10 +120,20 @@ app.use('/api/email', emailRoutes);
 app.use('/api/domains', domainsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/resend', resendWebhookRoutes);
+app.use('/api/sendgrid', sendgridWebhookRoutes);
 app.use('/api/settings', userSettingsRoutes);
 app.use('/api/sequences', sequencesRoutes);
 app.use('/api/email-tracking', emailTrackingRoutes);
 app.use('/api/workflows', workflowsRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/meetings', meetingsRoutes);
+app.use('/api/suppressions', suppressionsRoutes);
+app.use('/api/dnc', dncRoutes);
+app.use('/api/call-insights', callInsightsRoutes);
+app.use('/api/lead-sourcing', leadSourcingRoutes);
+app.use('/api/lead-imports', leadImportsRoutes);
+app.use('/api/lead-dedup', leadDedupRoutes);
+app.use('/api/lead-enrichment', leadEnrichmentRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -128,4 +164,13 @@ app.listen(PORT, () => {
 
     // Start the multi-channel workflow scheduler (email + calls + SMS)
     workflowScheduler.start();
+
+    // Start the recording archiver (Storage copies + retention)
+    recordingArchiver.start();
+
+    // Start the lead sourcing poller (finishes Apify scrape runs)
+    leadSourcingPoller.start();
+
+    // Start the lead enrichment worker (reads lead websites for personalization)
+    leadEnrichmentWorker.start();
 });
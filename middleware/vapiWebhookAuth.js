@@ -0,0 +1,98 @@
+/**
+ * VAPI Webhook Authentication Middleware
+ * Verifies server messages from VAPI and de-duplicates deliveries
+ *
+ * Setup:
+ * 1. In VAPI, set the Server URL secret (or an HMAC credential) on your assistants / org
+ * 2. Copy the same value to VAPI_WEBHOOK_SECRET
+ * Routes using this middleware must receive the raw body (see index.js).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { verifyVapiSignature, isFreshWebhookRequest } from '../config/vapiWebhook.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Middleware to require a valid VAPI signature (and a fresh timestamp for HMAC)
+ * Parses the raw body into req.body (and keeps it as req.rawBody)
+ */
+export function verifyVapiWebhook(req, res, next) {
+    const rawBody = Buffer.isBuffer(req.body)
+        ? req.body.toString('utf8')
+        : (typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {}));
+
+    try {
+        req.rawBody = rawBody;
+        req.body = rawBody ? JSON.parse(rawBody) : {};
+    } catch {
+        return res.status(400).json({ error: 'Invalid JSON' });
+    }
+
+    const secret = process.env.VAPI_WEBHOOK_SECRET;
+    if (!secret) {
+        console.warn('⚠️ VAPI_WEBHOOK_SECRET not set - skipping signature verification (UNSAFE in production)');
+        return next();
+    }
+
+    const verification = verifyVapiSignature(rawBody, req.headers, secret);
+    if (!verification.valid) {
+        console.error(`❌ [VAPI Webhook] Invalid ${verification.method || 'missing'} signature on ${req.path}`);
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    // Only HMAC signs a timestamp; shared-secret replays are caught by claimVapiWebhookEvent
+    if (!isFreshWebhookRequest(verification)) {
+        console.error(`❌ [VAPI Webhook] Stale or missing timestamp on ${req.path}: ${verification.timestamp}`);
+        return res.status(401).json({ error: 'Request timestamp outside replay window' });
+    }
+
+    next();
+}
+
+/**
+ * Claim a webhook delivery for processing
+ * @param {string} eventKey - Key from getWebhookEventKey
+ * @param {Object} details - { callId, messageType }
+ * @returns {Promise<boolean>} - false if this delivery was already processed
+ */
+export async function claimVapiWebhookEvent(eventKey, { callId, messageType } = {}) {
+    if (!eventKey) return true;
+
+    const { error } = await supabase
+        .from('vapi_webhook_events')
+        .insert({
+            event_key: eventKey,
+            call_id: callId || null,
+            message_type: messageType || null,
+        });
+
+    if (!error) return true;
+
+    if (error.code === '23505') {
+        console.log(`🔁 [VAPI Webhook] Duplicate delivery ignored: ${eventKey}`);
+        return false;
+    }
+
+    // Don't drop real events because the dedupe table is unavailable
+    console.error('Failed to record VAPI webhook event:', error.message);
+    return true;
+}
+
+/**
+ * Release a claimed delivery so VAPI's retry can be processed
+ * Used when handling fails after the claim
+ */
+export async function releaseVapiWebhookEvent(eventKey) {
+    if (!eventKey) return;
+
+    await supabase
+        .from('vapi_webhook_events')
+        .delete()
+        .eq('event_key', eventKey);
+}
+
+export default { verifyVapiWebhook, claimVapiWebhookEvent, releaseVapiWebhookEvent };
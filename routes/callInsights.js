@@ -0,0 +1,140 @@
+/**
+ * Call Insights Routes
+ * Campaign qualification questions and the answers extracted from each call
+ */
+
+import { Router } from 'express';
+import { QUESTION_TYPES, INSIGHT_OUTCOMES } from '../config/callInsights.js';
+import {
+    getCampaignQuestions,
+    setCampaignQuestions,
+    analyzeCall,
+    getCallInsight,
+    listCallInsights,
+} from '../services/callInsights.js';
+
+const router = Router();
+
+/**
+ * GET /api/call-insights
+ * List insights
+ * Query: campaignId, leadId, outcome, status, limit, offset
+ */
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { campaignId, leadId, outcome, status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const result = await listCallInsights(userId, { campaignId, leadId, outcome, status, limit, offset });
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({ insights: result.insights, total: result.total, limit, offset, outcomes: INSIGHT_OUTCOMES });
+    } catch (error) {
+        console.error('Error listing call insights:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/call-insights/campaigns/:campaignId/questions
+ * The campaign's qualification questions (the defaults if it has none)
+ */
+router.get('/campaigns/:campaignId/questions', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { questions, isDefault } = await getCampaignQuestions(req.params.campaignId);
+        res.json({ questions, isDefault, types: QUESTION_TYPES });
+    } catch (error) {
+        console.error('Error getting qualification questions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/call-insights/campaigns/:campaignId/questions
+ * Body: { questions: [{ key?, label, type, options?, min?, max?, weight? }] } - null resets to the defaults
+ */
+router.put('/campaigns/:campaignId/questions', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        if (req.body.questions === undefined) {
+            return res.status(400).json({ error: 'questions is required (null resets to the defaults)' });
+        }
+
+        const result = await setCampaignQuestions(userId, req.params.campaignId, req.body.questions);
+        if (!result.success) {
+            const status = result.error === 'Campaign not found' ? 404 : 400;
+            return res.status(status).json({ error: result.error });
+        }
+
+        res.json({ questions: result.questions, isDefault: result.isDefault });
+    } catch (error) {
+        console.error('Error saving qualification questions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/call-insights/calls/:callId
+ * Insight for one call (calls.id)
+ */
+router.get('/calls/:callId', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const insight = await getCallInsight(userId, req.params.callId);
+        if (!insight) {
+            return res.status(404).json({ error: 'No insight for this call' });
+        }
+
+        res.json(insight);
+    } catch (error) {
+        console.error('Error getting call insight:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/call-insights/calls/:callId/analyze
+ * Run (or re-run) qualification for a call, e.g. after a failure or a question change
+ */
+router.post('/calls/:callId/analyze', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const result = await analyzeCall({ callId: req.params.callId, userId });
+        if (!result.success) {
+            const status = result.error === 'Call not found' ? 404 : 500;
+            return res.status(status).json({ error: result.error, insight: result.insight });
+        }
+
+        res.json({ insight: result.insight, skipped: !!result.skipped });
+    } catch (error) {
+        console.error('Error analyzing call:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
@@ -1,5 +1,7 @@
 import { Router } from 'express';
 import { createClient } from '@supabase/supabase-js';
+import { promptClaude } from '../services/claude.js';
+import { reserveFreeTierLeads } from '../services/freeTier.js';
 
 const router = Router();
 
@@ -15,145 +17,6 @@ const supabase = createClient(
     process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-/**
- * Atomically reserve leads for a free tier user
- * This prevents race conditions by checking AND incrementing in a single operation
- * Returns the number of leads that can actually be generated (capped to remaining)
- */
-async function reserveFreeTierLeads(userId, requestedCount = 1) {
-    if (!userId) return { canGenerate: true, isFreeTier: false, reserved: requestedCount };
-
-    // Check for active subscription first
-    const { data: subscription } = await supabase
-        .from('user_subscriptions')
-        .select('status')
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-    if (subscription) {
-        return { canGenerate: true, isFreeTier: false, reserved: requestedCount };
-    }
-
-    // Get current usage
-    let { data: usage } = await supabase
-        .from('free_tier_usage')
-        .select('leads_used, leads_limit')
-        .eq('user_id', userId)
-        .single();
-
-    // Create record if doesn't exist
-    if (!usage) {
-        const { data: newUsage, error: createError } = await supabase
-            .from('free_tier_usage')
-            .insert({ user_id: userId, leads_used: 0 })
-            .select()
-            .single();
-
-        if (createError) {
-            console.error('Error creating usage record:', createError);
-            return { canGenerate: false, isFreeTier: true, remaining: 0, error: 'Failed to create usage record' };
-        }
-        usage = newUsage;
-    }
-
-    const currentUsed = usage.leads_used;
-    const limit = usage.leads_limit;
-    const remaining = Math.max(0, limit - currentUsed);
-
-    // If no remaining leads, reject
-    if (remaining === 0) {
-        return {
-            canGenerate: false,
-            isFreeTier: true,
-            remaining: 0,
-            used: currentUsed,
-            limit: limit
-        };
-    }
-
-    // Cap the requested count to remaining
-    const toReserve = Math.min(requestedCount, remaining);
-    const newTotal = currentUsed + toReserve;
-
-    // ATOMIC: Update with condition to prevent race condition
-    // Only update if the current value matches what we read (optimistic locking)
-    const { data: updated, error: updateError } = await supabase
-        .from('free_tier_usage')
-        .update({ leads_used: newTotal })
-        .eq('user_id', userId)
-        .eq('leads_used', currentUsed) // Optimistic lock: only update if unchanged
-        .select()
-        .single();
-
-    if (updateError || !updated) {
-        // Race condition detected - another request modified the value
-        // Retry once with fresh data
-        console.log('[LeadGen] Race condition detected, retrying reservation...');
-
-        const { data: freshUsage } = await supabase
-            .from('free_tier_usage')
-            .select('leads_used, leads_limit')
-            .eq('user_id', userId)
-            .single();
-
-        if (!freshUsage) {
-            return { canGenerate: false, isFreeTier: true, remaining: 0, error: 'Usage record not found' };
-        }
-
-        const freshRemaining = Math.max(0, freshUsage.leads_limit - freshUsage.leads_used);
-
-        if (freshRemaining === 0) {
-            return {
-                canGenerate: false,
-                isFreeTier: true,
-                remaining: 0,
-                used: freshUsage.leads_used,
-                limit: freshUsage.leads_limit
-            };
-        }
-
-        const toReserveRetry = Math.min(requestedCount, freshRemaining);
-        const newTotalRetry = freshUsage.leads_used + toReserveRetry;
-
-        const { data: retryUpdate, error: retryError } = await supabase
-            .from('free_tier_usage')
-            .update({ leads_used: newTotalRetry })
-            .eq('user_id', userId)
-            .eq('leads_used', freshUsage.leads_used)
-            .select()
-            .single();
-
-        if (retryError || !retryUpdate) {
-            // Still failing, reject the request
-            return {
-                canGenerate: false,
-                isFreeTier: true,
-                remaining: freshRemaining,
-                error: 'Unable to reserve leads due to concurrent requests. Please try again.'
-            };
-        }
-
-        return {
-            canGenerate: true,
-            isFreeTier: true,
-            reserved: toReserveRetry,
-            remaining: freshRemaining - toReserveRetry,
-            used: newTotalRetry,
-            limit: freshUsage.leads_limit
-        };
-    }
-
-    return {
-        canGenerate: true,
-        isFreeTier: true,
-        reserved: toReserve,
-        remaining: remaining - toReserve,
-        used: newTotal,
-        limit: limit
-    };
-}
-
 /**
  * Increment leads used count for free tier user
  */
@@ -196,53 +59,6 @@ const claudeApiKey = cleanEnvVar(process.env.CLAUDE_API_KEY);
 
 console.log('Claude API URL configured:', claudeApiUrl ? `${claudeApiUrl.substring(0, 20)}...` : 'NOT SET');
 
-// Helper to call Claude API
-// Updated to use new /prompt endpoint with provider parameter
-const promptClaude = async (prompt, model = 'sonnet', provider = 'claude') => {
-    if (!claudeApiUrl || !claudeApiKey) {
-        throw new Error('Claude API not configured');
-    }
-
-    const url = `${claudeApiUrl}/v1/claude`;
-    const body = { prompt, model, provider };
-
-    console.log(`Calling Claude API at: ${url}`);
-    console.log(`Request body:`, JSON.stringify(body).substring(0, 200) + '...');
-
-    try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 60000); // 60 second timeout
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': claudeApiKey,
-            },
-            body: JSON.stringify(body),
-            signal: controller.signal,
-        });
-
-        clearTimeout(timeout);
-
-        console.log(`Claude API response status: ${response.status}`);
-
-        if (!response.ok) {
-            const error = await response.text();
-            console.error('Claude API response error:', response.status, error);
-            throw new Error(`Claude API error (${response.status}): ${error}`);
-        }
-
-        const data = await response.json();
-        console.log('Claude API response received:', typeof data);
-        return data.result || data.response || data.content || data;
-    } catch (err) {
-        console.error('Claude API fetch error:', err.message);
-        console.error('Full error:', err);
-        throw err;
-    }
-};
-
 // Generate improved text for AI voice agent product pitch
 router.post('/generate', async (req, res) => {
     try {
@@ -397,7 +213,8 @@ router.get('/status', (req, res) => {
     });
 });
 
-// Generate leads using Claude AI
+// Generate synthetic demo leads using Claude AI (fictional 555 numbers - never dial these)
+// Real leads come from /api/lead-sourcing
 router.post('/generate-leads', async (req, res) => {
     try {
         if (!claudeApiUrl || !claudeApiKey) {
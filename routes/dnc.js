@@ -0,0 +1,265 @@
+/**
+ * Do-Not-Call Registry Routes
+ * Upload national DNC registry files, screen leads, and review the screening log
+ */
+
+import { Router } from 'express';
+import multer from 'multer';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import { DNC_REGISTRIES, DNC_MODES } from '../config/dnc.js';
+import {
+    getDncMode,
+    setDncMode,
+    importRegistryFile,
+    screenPhone,
+    screenLeads,
+    getRegistrySummary,
+    deleteRegistry,
+    listScreenings,
+    describeScreening,
+} from '../services/dnc.js';
+
+const router = Router();
+
+// Registry files can be large (the US registry is split per area code)
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 50 * 1024 * 1024, // 50MB limit
+    },
+});
+
+/**
+ * Shared handler for user and platform registry uploads
+ */
+async function handleRegistryUpload(req, res, userId) {
+    const { registry } = req.params;
+    if (!DNC_REGISTRIES[registry]) {
+        return res.status(400).json({ error: `Unknown registry. Use one of: ${Object.keys(DNC_REGISTRIES).join(', ')}` });
+    }
+
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const result = await importRegistryFile({
+        userId,
+        registry,
+        text: req.file.buffer.toString('utf8'),
+        fileName: req.file.originalname,
+        replace: req.body.replace === true || req.body.replace === 'true',
+    });
+
+    if (!result.success) {
+        return res.status(result.uploadId ? 500 : 400).json({ error: result.error, uploadId: result.uploadId });
+    }
+
+    res.json(result);
+}
+
+/**
+ * GET /api/dnc/registries
+ * Registries available to the user (their own and platform-wide) with counts
+ */
+router.get('/registries', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const [registries, mode] = await Promise.all([
+            getRegistrySummary(userId),
+            getDncMode(userId),
+        ]);
+
+        res.json({ registries, mode, modes: DNC_MODES });
+    } catch (error) {
+        console.error('Error getting DNC registries:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/dnc/registries/:registry/upload
+ * Load a registry file for the user
+ * Form data: file, replace ('true' to replace previously loaded numbers)
+ */
+router.post('/registries/:registry/upload', upload.single('file'), async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        await handleRegistryUpload(req, res, userId);
+    } catch (error) {
+        console.error('Error uploading DNC registry:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/dnc/registries/:registry
+ * Remove the user's numbers for a registry (platform-wide numbers stay)
+ */
+router.delete('/registries/:registry', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const result = await deleteRegistry(userId, req.params.registry);
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting DNC registry:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/dnc/platform/registries/:registry/upload
+ * Load a registry file for every user (admin only)
+ * Form data: file, replace, adminUserId
+ */
+router.post('/platform/registries/:registry/upload', upload.single('file'), requireAdmin, async (req, res) => {
+    try {
+        await handleRegistryUpload(req, res, null);
+    } catch (error) {
+        console.error('Error uploading platform DNC registry:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/dnc/platform/registries/:registry
+ * Remove platform-wide numbers for a registry (admin only)
+ */
+router.delete('/platform/registries/:registry', requireAdmin, async (req, res) => {
+    try {
+        const result = await deleteRegistry(null, req.params.registry);
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting platform DNC registry:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/dnc/check?phone=
+ * Screen one number (logged like a dial-time check)
+ */
+router.get('/check', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        if (!req.query.phone) {
+            return res.status(400).json({ error: 'phone is required' });
+        }
+
+        const screening = await screenPhone(userId, req.query.phone, { context: 'check' });
+        res.json({ ...screening, message: describeScreening(screening) });
+    } catch (error) {
+        console.error('Error checking DNC:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/dnc/screen
+ * Screen leads and record the result on each one
+ * Body: { leadIds?, campaignId? } - all of the user's leads when neither is given
+ */
+router.post('/screen', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { leadIds, campaignId } = req.body;
+        if (leadIds && !Array.isArray(leadIds)) {
+            return res.status(400).json({ error: 'leadIds must be an array' });
+        }
+
+        const result = await screenLeads(userId, { leadIds, campaignId });
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error screening leads:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/dnc/screenings
+ * Screening audit log
+ * Query: leadId, action (allowed, flagged, blocked), limit, offset
+ */
+router.get('/screenings', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const result = await listScreenings(userId, {
+            leadId: req.query.leadId,
+            action: req.query.action,
+            limit,
+            offset,
+        });
+
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({ screenings: result.screenings, total: result.total, limit, offset });
+    } catch (error) {
+        console.error('Error listing DNC screenings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/dnc/settings
+ * Body: { mode: 'block' | 'flag' }
+ */
+router.post('/settings', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const result = await setDncMode(userId, req.body.mode);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error saving DNC settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
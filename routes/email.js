@@ -6,6 +6,7 @@
 import { Router } from 'express';
 import { createClient } from '@supabase/supabase-js';
 import { sendWelcomeEmail, sendUsageAlertEmail, sendColdEmail, generateColdEmailHtml, isConfigured } from '../services/email.js';
+import { checkSuppression, describeSuppression } from '../services/suppression.js';
 import { getBrandSettings } from '../services/userSettings.js';
 
 // Allow self-signed certificates in development
@@ -303,6 +304,17 @@ router.post('/send-cold-email', async (req, res) => {
             return res.status(400).json({ error: 'toEmail, subject, and body are required' });
         }
 
+        if (userId) {
+            const suppression = await checkSuppression(userId, { email: toEmail });
+            if (suppression) {
+                return res.status(403).json({
+                    error: describeSuppression(suppression),
+                    suppressed: true,
+                    reason: suppression.reason,
+                });
+            }
+        }
+
         // Fetch user's brand settings if userId provided
         let brandSettings = {};
         if (userId) {
@@ -7,6 +7,7 @@ import { Router } from 'express';
 import { createClient } from '@supabase/supabase-js';
 import { recordTrackingEvent, processUnsubscribe } from '../services/emailTracking.js';
 import emailSequenceScheduler from '../services/emailSequenceScheduler.js';
+import workflowScheduler from '../services/workflowScheduler.js';
 
 const router = Router();
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
@@ -92,6 +93,9 @@ router.get('/click', async (req, res) => {
             if (event?.enrollment_id) {
                 await emailSequenceScheduler.handleStopCondition(event.enrollment_id, 'click');
             }
+            if (event?.workflow_enrollment_id) {
+                await workflowScheduler.handleStopCondition(event.workflow_enrollment_id, 'click');
+            }
         }).catch(err => {
             console.error('Error recording click event:', err.message);
         });
@@ -0,0 +1,189 @@
+/**
+ * Lead Deduplication Routes
+ * Scan for duplicate leads, work through the review queue and merge leads
+ */
+
+import { Router } from 'express';
+import {
+    scanForDuplicates,
+    getReviewQueue,
+    mergeLeads,
+    mergeDuplicate,
+    dismissDuplicate,
+    listMerges,
+} from '../services/leadDedup.js';
+
+const router = Router();
+
+function mergeErrorStatus(result) {
+    if (result.notFound) return 404;
+    if (result.invalid) return 400;
+    return result.conflict ? 409 : 500;
+}
+
+/**
+ * POST /api/lead-dedup/scan
+ * Compare all the user's leads and queue new likely duplicates
+ * Body: { minConfidence? } - 0-1
+ */
+router.post('/scan', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { minConfidence } = req.body;
+        if (minConfidence !== undefined && !(Number(minConfidence) >= 0 && Number(minConfidence) <= 1)) {
+            return res.status(400).json({ error: 'minConfidence must be between 0 and 1' });
+        }
+
+        const result = await scanForDuplicates(userId, minConfidence !== undefined ? { minConfidence: Number(minConfidence) } : {});
+        if (!result.success) {
+            const status = result.error === 'A duplicate scan is already running' ? 409 : 500;
+            return res.status(status).json({ error: result.error });
+        }
+
+        res.json({ scanned: result.scanned, found: result.found, queued: result.queued });
+    } catch (error) {
+        console.error('Error scanning for duplicates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/lead-dedup/queue
+ * Pending duplicate pairs with both leads, most confident first
+ * Query: minConfidence, limit, offset
+ */
+router.get('/queue', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+        const minConfidence = req.query.minConfidence !== undefined ? parseFloat(req.query.minConfidence) : null;
+
+        const result = await getReviewQueue(userId, {
+            minConfidence: Number.isNaN(minConfidence) ? null : minConfidence,
+            limit,
+            offset,
+        });
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({ duplicates: result.duplicates, total: result.total, limit, offset });
+    } catch (error) {
+        console.error('Error getting duplicate queue:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/lead-dedup/queue/:id/merge
+ * Merge a queued pair
+ * Body: { keepLeadId? } - which lead to keep (defaults to the suggested one)
+ */
+router.post('/queue/:id/merge', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const result = await mergeDuplicate(userId, req.params.id, req.body.keepLeadId || null);
+        if (!result.success) {
+            return res.status(mergeErrorStatus(result)).json({ error: result.error });
+        }
+
+        res.json({ success: true, lead: result.lead, repointed: result.repointed });
+    } catch (error) {
+        console.error('Error merging duplicate:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/lead-dedup/queue/:id/dismiss
+ * Not duplicates - don't suggest this pair again
+ */
+router.post('/queue/:id/dismiss', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const result = await dismissDuplicate(userId, req.params.id);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json({ success: true, duplicate: result.duplicate });
+    } catch (error) {
+        console.error('Error dismissing duplicate:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/lead-dedup/merge
+ * Merge any of the user's leads into one
+ * Body: { survivingLeadId, mergedLeadIds: [] }
+ */
+router.post('/merge', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { survivingLeadId, mergedLeadIds } = req.body;
+        if (!Array.isArray(mergedLeadIds)) {
+            return res.status(400).json({ error: 'mergedLeadIds array is required' });
+        }
+
+        const result = await mergeLeads(userId, survivingLeadId, mergedLeadIds);
+        if (!result.success) {
+            return res.status(mergeErrorStatus(result)).json({ error: result.error });
+        }
+
+        res.json({ success: true, lead: result.lead, repointed: result.repointed });
+    } catch (error) {
+        console.error('Error merging leads:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/lead-dedup/merges
+ * Past merges, with copies of the merged leads
+ * Query: limit, offset
+ */
+router.get('/merges', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const result = await listMerges(userId, { limit, offset });
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({ merges: result.merges, total: result.total, limit, offset });
+    } catch (error) {
+        console.error('Error listing lead merges:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
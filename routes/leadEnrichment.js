@@ -0,0 +1,59 @@
+/**
+ * Lead Enrichment Routes
+ * What was found on a lead's website, and reading it again on request
+ */
+
+import { Router } from 'express';
+import { enrichLeadById, getEnrichment } from '../services/leadEnrichment.js';
+
+const router = Router();
+
+/**
+ * GET /api/lead-enrichment/leads/:leadId
+ * The lead's enrichment record - contact names, emails, services, social links
+ */
+router.get('/leads/:leadId', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const result = await getEnrichment(userId, req.params.leadId);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json({ enrichment: result.enrichment });
+    } catch (error) {
+        console.error('Error getting lead enrichment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/lead-enrichment/leads/:leadId
+ * Read the lead's website now (again, if it was read before)
+ */
+router.post('/leads/:leadId', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const result = await enrichLeadById(userId, req.params.leadId);
+        if (!result.success && !result.enrichment) {
+            const status = result.notFound ? 404 : result.invalid ? 400 : 500;
+            return res.status(status).json({ error: result.error });
+        }
+
+        // A website that couldn't be read is a result too - the record says why
+        res.json({ success: result.success, enrichment: result.enrichment });
+    } catch (error) {
+        console.error('Error enriching lead:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
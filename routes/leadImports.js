@@ -0,0 +1,210 @@
+/**
+ * Lead Import Routes
+ * Upload a CSV or XLSX file, map its columns to lead fields, then import the
+ * valid rows in the background and download the per-row error report
+ */
+
+import { Router } from 'express';
+import multer from 'multer';
+import { LEAD_IMPORT_FIELDS, REQUIRED_IMPORT_FIELDS, toImportErrorCsv } from '../config/leadImport.js';
+import {
+    createImport,
+    saveImportMapping,
+    startImport,
+    getImport,
+    getImportErrors,
+    listImports,
+} from '../services/leadImport.js';
+
+const router = Router();
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+    },
+});
+
+/**
+ * GET /api/lead-imports
+ * List the user's imports
+ * Query: limit, offset
+ */
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const result = await listImports(userId, { limit, offset });
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({ imports: result.imports, total: result.total, limit, offset });
+    } catch (error) {
+        console.error('Error listing lead imports:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/lead-imports
+ * Upload a file (field "file") and preview its columns
+ * Returns the detected columns with sample values and a suggested mapping -
+ * the mapping last saved for a file with the same columns, if there is one
+ */
+router.post('/', upload.single('file'), async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'file is required' });
+        }
+
+        const result = await createImport(userId, req.file);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.status(201).json({
+            import: result.import,
+            columns: result.columns,
+            fields: LEAD_IMPORT_FIELDS,
+            requiredFields: REQUIRED_IMPORT_FIELDS,
+            suggestedMapping: result.suggestedMapping,
+            mappingSource: result.mappingSource,
+            warning: result.truncated,
+        });
+    } catch (error) {
+        console.error('Error uploading lead import:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/lead-imports/:id
+ * One import (poll this while status is processing)
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const leadImport = await getImport(userId, req.params.id);
+        if (!leadImport) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+
+        res.json(leadImport);
+    } catch (error) {
+        console.error('Error getting lead import:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/lead-imports/:id/mapping
+ * Save the column mapping and validate the file against it
+ * Body: { mapping: { name: 'Company', phone: 'Tel', ... }, defaultCountry? }
+ */
+router.put('/:id/mapping', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { mapping, defaultCountry } = req.body;
+        const result = await saveImportMapping(userId, req.params.id, { mapping, defaultCountry });
+        if (!result.success) {
+            const status = result.notFound ? 404 : result.invalid ? 400 : 409;
+            return res.status(status).json({ error: result.error });
+        }
+
+        res.json({
+            import: result.import,
+            validRows: result.validRows,
+            errorCount: result.errorCount,
+            errors: result.errors,
+        });
+    } catch (error) {
+        console.error('Error saving lead import mapping:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/lead-imports/:id/start
+ * Import the valid rows in the background
+ */
+router.post('/:id/start', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const result = await startImport(userId, req.params.id);
+        if (!result.success) {
+            if (result.freeTier) {
+                return res.status(403).json({
+                    error: result.error,
+                    upgradeRequired: true,
+                    isFreeTier: true,
+                    used: result.freeTier.used,
+                    limit: result.freeTier.limit,
+                    remaining: result.freeTier.remaining,
+                });
+            }
+            const status = result.notFound ? 404 : result.invalid ? 400 : 409;
+            return res.status(status).json({ error: result.error });
+        }
+
+        res.status(202).json({ success: true, import: result.import });
+    } catch (error) {
+        console.error('Error starting lead import:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/lead-imports/:id/errors
+ * Rows that were (or will be) skipped and why
+ * Query: format = json (default) | csv
+ */
+router.get('/:id/errors', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const errors = await getImportErrors(userId, req.params.id);
+        if (!errors) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="import-${req.params.id}-errors.csv"`);
+            return res.send(toImportErrorCsv(errors));
+        }
+
+        res.json({ errors, total: errors.length });
+    } catch (error) {
+        console.error('Error getting lead import errors:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
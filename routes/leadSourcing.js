@@ -0,0 +1,172 @@
+/**
+ * Lead Sourcing Routes
+ * Find real businesses through a provider (Apify Google Maps, Google Places)
+ * and save them as leads, tracked as scrape_jobs. CSV uploads run as a lead
+ * import, tracked at /api/lead-imports.
+ */
+
+import { Router } from 'express';
+import multer from 'multer';
+import {
+    LEAD_SOURCE_PROVIDERS,
+    MAX_RESULTS_LIMIT,
+    validateSourcingRequest,
+} from '../config/leadSourcing.js';
+import {
+    getProviderStatus,
+    startSourcingJob,
+    cancelSourcingJob,
+    getSourcingJob,
+    listSourcingJobs,
+} from '../services/leadSourcing.js';
+
+const router = Router();
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+    },
+});
+
+/**
+ * GET /api/lead-sourcing/providers
+ * Providers and whether each is configured
+ */
+router.get('/providers', (req, res) => {
+    const configured = getProviderStatus();
+    res.json({
+        providers: LEAD_SOURCE_PROVIDERS.map(provider => ({ provider, configured: configured[provider] })),
+        maxResults: MAX_RESULTS_LIMIT,
+    });
+});
+
+/**
+ * GET /api/lead-sourcing/jobs
+ * List the user's sourcing jobs
+ * Query: status, provider, limit, offset
+ */
+router.get('/jobs', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { status, provider } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const result = await listSourcingJobs(userId, { status, provider, limit, offset });
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({ jobs: result.jobs, total: result.total, limit, offset });
+    } catch (error) {
+        console.error('Error listing sourcing jobs:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/lead-sourcing/jobs
+ * Start a job
+ * Body/form: { provider, keyword, location, maxResults } - csv provider takes a
+ * CSV upload (field "file") or { csv } text instead, and returns the started
+ * lead import with the rows it skipped (csvErrors)
+ */
+router.post('/jobs', upload.single('file'), async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { request, error: validationError } = validateSourcingRequest({
+            ...req.body,
+            csv: req.file ? req.file.buffer.toString('utf8') : req.body.csv,
+            filename: req.file?.originalname,
+        });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const result = await startSourcingJob(userId, request);
+        if (!result.success) {
+            if (result.freeTier) {
+                return res.status(403).json({
+                    error: result.error,
+                    upgradeRequired: true,
+                    isFreeTier: true,
+                    used: result.freeTier.used,
+                    limit: result.freeTier.limit,
+                    remaining: result.freeTier.remaining,
+                });
+            }
+            // A job that exists failed at the provider; otherwise it never started
+            const status = result.job ? 502 : result.invalid || result.error.endsWith('is not configured') ? 400 : 500;
+            return res.status(status).json({ error: result.error, job: result.job, import: result.import, csvErrors: result.csvErrors });
+        }
+
+        if (result.import) {
+            return res.status(202).json({ success: true, import: result.import, csvErrors: result.csvErrors });
+        }
+
+        res.status(result.job.status === 'running' ? 202 : 200).json({
+            success: true,
+            job: result.job,
+        });
+    } catch (error) {
+        console.error('Error starting sourcing job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/lead-sourcing/jobs/:id
+ * One job (poll this until status is no longer running)
+ */
+router.get('/jobs/:id', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const job = await getSourcingJob(userId, req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json(job);
+    } catch (error) {
+        console.error('Error getting sourcing job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/lead-sourcing/jobs/:id/cancel
+ * Stop a running job and refund its reserved leads
+ */
+router.post('/jobs/:id/cancel', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const result = await cancelSourcingJob(userId, req.params.id);
+        if (!result.success) {
+            return res.status(result.error === 'Job not found' ? 404 : 409).json({ error: result.error });
+        }
+
+        res.json({ success: true, job: result.job });
+    } catch (error) {
+        console.error('Error cancelling sourcing job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+/**
+ * Meeting Booking Routes
+ * Booking webhooks from Cal.com / Calendly and meeting listing
+ *
+ * Setup:
+ * - Cal.com: Settings > Developer > Webhooks > New, subscribe to Booking Created,
+ *   Rescheduled and Cancelled, URL https://your-api.com/api/meetings/webhook/<userId>
+ * - Calendly: create a webhook subscription for invitee.created / invitee.canceled
+ *   with the same URL
+ * Use the signing secret saved in /api/settings/booking for both - webhooks are
+ * rejected until one is saved.
+ */
+
+import { Router } from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { normalizeBookingPayload, verifyBookingSignature } from '../config/meetings.js';
+import { getBookingConfig, recordMeeting } from '../services/meetings.js';
+
+const router = Router();
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * POST /api/meetings/webhook/:userId
+ * Booking created / rescheduled / cancelled (raw JSON body)
+ */
+router.post('/webhook/:userId', async (req, res) => {
+    const { userId } = req.params;
+    const rawBody = Buffer.isBuffer(req.body)
+        ? req.body.toString('utf8')
+        : (typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+
+    try {
+        const config = await getBookingConfig(userId);
+        if (!config) {
+            return res.status(404).json({ error: 'No booking calendar configured' });
+        }
+
+        if (!config.webhookSecret) {
+            console.error(`[Meetings Webhook] No signing secret for user ${userId} - rejecting`);
+            return res.status(401).json({ error: 'Webhook signing secret not configured' });
+        }
+
+        if (!verifyBookingSignature(rawBody, req.headers, config.webhookSecret)) {
+            console.error(`[Meetings Webhook] Invalid signature for user ${userId}`);
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+
+        let body;
+        try {
+            body = JSON.parse(rawBody);
+        } catch {
+            return res.status(400).json({ error: 'Invalid JSON' });
+        }
+
+        const booking = normalizeBookingPayload(body);
+        if (!booking) {
+            console.log('[Meetings Webhook] Ignoring unrecognized event');
+            return res.json({ received: true, ignored: true });
+        }
+
+        console.log(`[Meetings Webhook] ${booking.provider} booking ${booking.event}: ${booking.externalId}`);
+
+        const result = await recordMeeting(userId, booking, { source: 'webhook' });
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({ received: true, meetingId: result.meeting?.id || null });
+    } catch (error) {
+        console.error('Meetings webhook error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/meetings
+ * List the user's booked meetings
+ * Query: userId (required), status, leadId, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { userId, status, leadId, limit = 50 } = req.query;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        let query = supabase
+            .from('meetings')
+            .select(`
+                *,
+                lead:leads(id, name, phone, email)
+            `)
+            .eq('user_id', userId)
+            .order('start_time', { ascending: true })
+            .limit(Math.min(parseInt(limit) || 50, 200));
+
+        if (status) query = query.eq('status', status);
+        if (leadId) query = query.eq('lead_id', leadId);
+
+        const { data, error } = await query;
+
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+
+        res.json(data);
+    } catch (error) {
+        console.error('List meetings error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
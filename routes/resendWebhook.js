@@ -13,8 +13,16 @@ import { Router } from 'express';
 import { createClient } from '@supabase/supabase-js';
 import { Resend } from 'resend';
 import crypto from 'crypto';
-import { recordTrackingEvent, processUnsubscribe } from '../services/emailTracking.js';
+import {
+    findEmailLog,
+    handleBounce,
+    handleComplaint,
+    handleDelivered,
+    handleOpen,
+    handleClick,
+} from '../services/emailEvents.js';
 import emailSequenceScheduler from '../services/emailSequenceScheduler.js';
+import workflowScheduler from '../services/workflowScheduler.js';
 
 const router = Router();
 
@@ -314,11 +322,31 @@ async function handleEmailReceived(data) {
             await emailSequenceScheduler.handleStopCondition(enrollment.id, 'reply');
 
             // Update sequence reply count
-            await supabase.rpc('increment_sequence_stats', {
+            const { error: statsError } = await supabase.rpc('increment_sequence_stats', {
                 p_sequence_id: enrollment.sequence_id,
                 p_stat_name: 'total_replies',
                 p_increment: 1
-            }).catch(() => {});
+            });
+            if (statsError) console.error('[Resend] Failed to update sequence reply count:', statsError.message);
+        }
+
+        // Same for multi-channel workflows
+        const { data: workflowEnrollments } = await supabase
+            .from('workflow_enrollments')
+            .select('id, workflow_id')
+            .eq('lead_id', leadId)
+            .eq('user_id', userId)
+            .eq('status', 'active');
+
+        for (const enrollment of (workflowEnrollments || [])) {
+            await workflowScheduler.handleStopCondition(enrollment.id, 'reply');
+
+            const { error: statsError } = await supabase.rpc('increment_workflow_stats', {
+                p_workflow_id: enrollment.workflow_id,
+                p_stat_name: 'total_replies',
+                p_increment: 1
+            });
+            if (statsError) console.error('[Resend] Failed to update workflow reply count:', statsError.message);
         }
     }
 
@@ -331,68 +359,9 @@ async function handleEmailReceived(data) {
 async function handleEmailBounced(data) {
     console.log('[Resend] Email bounced:', data.email_id);
 
-    const { email_id, to } = data;
-    const recipientEmail = Array.isArray(to) ? to[0] : to;
-
-    // Update email log status and get tracking info
-    const { data: emailLog } = await supabase
-        .from('email_logs')
-        .update({
-            status: 'bounced',
-            bounced_at: new Date().toISOString()
-        })
-        .eq('resend_id', email_id)
-        .select('tracking_id, enrollment_id, sequence_id, step_number')
-        .single();
-
-    // Record tracking event
-    if (emailLog?.tracking_id) {
-        await recordTrackingEvent({
-            trackingId: emailLog.tracking_id,
-            eventType: 'bounce',
-        });
-    }
-
-    // Check stop conditions for bounce (stop sequence)
-    if (emailLog?.enrollment_id) {
-        await emailSequenceScheduler.handleStopCondition(emailLog.enrollment_id, 'bounce');
-    }
-
-    // Update sequence/step bounce stats
-    if (emailLog?.sequence_id) {
-        await supabase.rpc('increment_sequence_stats', {
-            p_sequence_id: emailLog.sequence_id,
-            p_stat_name: 'total_bounces',
-            p_increment: 1
-        }).catch(() => {});
-
-        if (emailLog.step_number) {
-            await supabase.rpc('increment_step_stats', {
-                p_sequence_id: emailLog.sequence_id,
-                p_step_number: emailLog.step_number,
-                p_stat_name: 'bounces',
-                p_increment: 1
-            }).catch(() => {});
-        }
-    }
-
-    // Find and update lead status
-    const { data: lead } = await supabase
-        .from('leads')
-        .select('id')
-        .eq('email', recipientEmail)
-        .maybeSingle();
-
-    if (lead) {
-        await supabase
-            .from('leads')
-            .update({
-                status: 'invalid',
-                email_status: 'bounced',
-                notes: 'Email bounced'
-            })
-            .eq('id', lead.id);
-    }
+    const recipientEmail = Array.isArray(data.to) ? data.to[0] : data.to;
+    const emailLog = await findEmailLog({ messageId: data.email_id });
+    await handleBounce(emailLog, recipientEmail);
 }
 
 /**
@@ -401,28 +370,9 @@ async function handleEmailBounced(data) {
 async function handleEmailComplained(data) {
     console.log('[Resend] Email complaint:', data.email_id);
 
-    const { email_id, to } = data;
-    const recipientEmail = Array.isArray(to) ? to[0] : to;
-
-    // Update email log status
-    await supabase
-        .from('email_logs')
-        .update({ status: 'complained' })
-        .eq('resend_id', email_id);
-
-    // Find and update lead - mark as not interested
-    const { data: lead } = await supabase
-        .from('leads')
-        .select('id')
-        .eq('email', recipientEmail)
-        .maybeSingle();
-
-    if (lead) {
-        await supabase
-            .from('leads')
-            .update({ status: 'not_interested', notes: 'Marked as spam' })
-            .eq('id', lead.id);
-    }
+    const recipientEmail = Array.isArray(data.to) ? data.to[0] : data.to;
+    const emailLog = await findEmailLog({ messageId: data.email_id });
+    await handleComplaint(emailLog, recipientEmail);
 }
 
 /**
@@ -431,24 +381,8 @@ async function handleEmailComplained(data) {
 async function handleEmailDelivered(data) {
     console.log('[Resend] Email delivered:', data.email_id);
 
-    // Update email log status and delivered_at
-    const { data: emailLog } = await supabase
-        .from('email_logs')
-        .update({
-            status: 'delivered',
-            delivered_at: new Date().toISOString()
-        })
-        .eq('resend_id', data.email_id)
-        .select('tracking_id, enrollment_id')
-        .single();
-
-    // Record tracking event if we have a tracking_id
-    if (emailLog?.tracking_id) {
-        await recordTrackingEvent({
-            trackingId: emailLog.tracking_id,
-            eventType: 'delivered',
-        });
-    }
+    const emailLog = await findEmailLog({ messageId: data.email_id });
+    await handleDelivered(emailLog);
 }
 
 /**
@@ -457,21 +391,11 @@ async function handleEmailDelivered(data) {
 async function handleEmailOpened(data) {
     console.log('[Resend] Email opened:', data.email_id);
 
-    // Get email log to find tracking_id
-    const { data: emailLog } = await supabase
-        .from('email_logs')
-        .select('tracking_id, enrollment_id')
-        .eq('resend_id', data.email_id)
-        .single();
-
-    if (emailLog?.tracking_id) {
-        await recordTrackingEvent({
-            trackingId: emailLog.tracking_id,
-            eventType: 'open',
-            userAgent: data.user_agent,
-            ipAddress: data.ip_address,
-        });
-    }
+    const emailLog = await findEmailLog({ messageId: data.email_id });
+    await handleOpen(emailLog, {
+        userAgent: data.user_agent,
+        ipAddress: data.ip_address,
+    });
 }
 
 /**
@@ -480,27 +404,12 @@ async function handleEmailOpened(data) {
 async function handleEmailClicked(data) {
     console.log('[Resend] Email clicked:', data.email_id, data.link);
 
-    // Get email log to find tracking_id
-    const { data: emailLog } = await supabase
-        .from('email_logs')
-        .select('tracking_id, enrollment_id')
-        .eq('resend_id', data.email_id)
-        .single();
-
-    if (emailLog?.tracking_id) {
-        const event = await recordTrackingEvent({
-            trackingId: emailLog.tracking_id,
-            eventType: 'click',
-            url: data.link,
-            userAgent: data.user_agent,
-            ipAddress: data.ip_address,
-        });
-
-        // Check stop conditions for click
-        if (event?.enrollment_id) {
-            await emailSequenceScheduler.handleStopCondition(event.enrollment_id, 'click');
-        }
-    }
+    const emailLog = await findEmailLog({ messageId: data.email_id });
+    await handleClick(emailLog, {
+        url: data.link,
+        userAgent: data.user_agent,
+        ipAddress: data.ip_address,
+    });
 }
 
 /**
@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { createClient } from '@supabase/supabase-js';
+import { checkCallingHours, describeCallingHours } from '../services/callingHours.js';
 
 const router = Router();
 
@@ -78,9 +79,13 @@ router.post('/calls', async (req, res) => {
 
         console.log(`📅 Scheduled call created: ${data.id} for ${scheduledAt}`);
 
+        // The scheduler defers calls outside calling hours; tell the user up front
+        const callingHours = await checkCallingHours(phoneNumber, { userId, leadId, now: scheduledTime });
+
         res.status(201).json({
             message: 'Call scheduled successfully',
             data,
+            warning: callingHours.allowed ? null : describeCallingHours(callingHours),
         });
     } catch (error) {
         console.error('Schedule call error:', error);
@@ -0,0 +1,88 @@
+/**
+ * SendGrid Webhook Routes
+ * Handles delivery and engagement events from SendGrid's Event Webhook
+ *
+ * Setup in SendGrid Dashboard:
+ * 1. Go to Settings > Mail Settings > Event Webhook
+ * 2. Set URL to: https://your-api.com/api/sendgrid/webhook
+ * 3. Select events: Delivered, Bounced, Dropped, Opened, Clicked, Spam Reports, Unsubscribes
+ * 4. Enable Signed Event Webhook and copy the verification key to SENDGRID_WEBHOOK_PUBLIC_KEY
+ */
+
+import { Router } from 'express';
+import {
+    SENDGRID_SIGNATURE_HEADER,
+    SENDGRID_TIMESTAMP_HEADER,
+    verifySendGridSignature,
+    normalizeSendGridEvents,
+} from '../config/sendgridWebhook.js';
+import { isWithinReplayWindow } from '../config/vapiWebhook.js';
+import { applyEmailEvent } from '../services/emailEvents.js';
+
+const router = Router();
+
+/**
+ * POST /api/sendgrid/webhook
+ * SendGrid posts a JSON array of events per request
+ */
+router.post('/webhook', async (req, res) => {
+    const rawBody = Buffer.isBuffer(req.body)
+        ? req.body
+        : Buffer.from(typeof req.body === 'string' ? req.body : JSON.stringify(req.body || []));
+
+    const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+    if (publicKey) {
+        const signature = req.headers[SENDGRID_SIGNATURE_HEADER];
+        const timestamp = req.headers[SENDGRID_TIMESTAMP_HEADER];
+
+        if (!verifySendGridSignature(rawBody, signature, timestamp, publicKey)) {
+            console.error('[SendGrid Webhook] Invalid signature');
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+
+        if (!isWithinReplayWindow(timestamp)) {
+            console.error(`[SendGrid Webhook] Stale timestamp: ${timestamp}`);
+            return res.status(401).json({ error: 'Request timestamp outside replay window' });
+        }
+    } else {
+        console.warn('SENDGRID_WEBHOOK_PUBLIC_KEY not set - skipping verification');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(rawBody.toString('utf8') || '[]');
+    } catch {
+        return res.status(400).json({ error: 'Invalid JSON' });
+    }
+
+    const events = normalizeSendGridEvents(payload);
+    console.log(`[SendGrid Webhook] Received ${Array.isArray(payload) ? payload.length : 1} event(s), ${events.length} to process`);
+
+    let processed = 0;
+    let failed = 0;
+
+    for (const event of events) {
+        try {
+            await applyEmailEvent(event);
+            processed++;
+        } catch (error) {
+            failed++;
+            console.error(`[SendGrid Webhook] Failed to process ${event.type} for ${event.email}:`, error.message);
+        }
+    }
+
+    // Always 200 so SendGrid doesn't retry the whole batch for one bad event
+    res.json({ received: true, processed, failed });
+});
+
+/**
+ * GET /api/sendgrid/status
+ * Check webhook configuration status
+ */
+router.get('/status', (req, res) => {
+    res.json({
+        webhookVerification: !!process.env.SENDGRID_WEBHOOK_PUBLIC_KEY,
+    });
+});
+
+export default router;
@@ -6,6 +6,13 @@
 import { Router } from 'express';
 import { createClient } from '@supabase/supabase-js';
 import { batchPersonalizeLeads } from '../services/emailPersonalization.js';
+import { getSequenceVariantStats, promoteVariant } from '../services/sequenceVariants.js';
+import { filterSuppressedLeads } from '../services/suppression.js';
+import {
+    DEFAULT_PROMOTION_SETTINGS,
+    normalizeVariantInput,
+    validateStepVariants,
+} from '../config/sequenceVariants.js';
 
 const router = Router();
 
@@ -15,6 +22,30 @@ const supabase = createClient(
     process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+/**
+ * Build an email_sequence_steps row from a step submitted by the client
+ * With variants, subject/body default to the first variant's copy
+ */
+function buildSequenceStepRow(step, index, sequenceId) {
+    const variants = normalizeVariantInput(step.variants);
+
+    return {
+        sequence_id: sequenceId,
+        step_number: index + 1,
+        delay_days: step.delayDays || 3,
+        delay_hours: step.delayHours || 0,
+        subject_template: step.subject || variants[0]?.subject,
+        body_template: step.body || variants[0]?.body,
+        cta_text: step.ctaText || null,
+        cta_url: step.ctaUrl || null,
+        variants,
+        auto_promote: !!step.autoPromote,
+        promotion_metric: step.promotionMetric || DEFAULT_PROMOTION_SETTINGS.metric,
+        promotion_min_sends: step.promotionMinSends ?? DEFAULT_PROMOTION_SETTINGS.minSends,
+        promotion_confidence: step.promotionConfidence ?? DEFAULT_PROMOTION_SETTINGS.confidence,
+    };
+}
+
 /**
  * GET /api/sequences
  * List user's sequences
@@ -63,6 +94,7 @@ router.post('/', async (req, res) => {
             name,
             campaignId,
             timezone = 'UTC',
+            useLeadTimezone = true,
             sendWindowStart = '09:00',
             sendWindowEnd = '17:00',
             sendDays = [1, 2, 3, 4, 5],
@@ -76,6 +108,11 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Sequence name is required' });
         }
 
+        const variantCheck = validateStepVariants(steps);
+        if (!variantCheck.valid) {
+            return res.status(400).json({ error: 'Invalid sequence steps', details: variantCheck.errors });
+        }
+
         // Create sequence
         const { data: sequence, error: seqError } = await supabase
             .from('email_sequences')
@@ -84,6 +121,7 @@ router.post('/', async (req, res) => {
                 campaign_id: campaignId || null,
                 name,
                 timezone,
+                use_lead_timezone: useLeadTimezone,
                 send_window_start: sendWindowStart,
                 send_window_end: sendWindowEnd,
                 send_days: sendDays,
@@ -102,16 +140,7 @@ router.post('/', async (req, res) => {
 
         // Create steps if provided
         if (steps.length > 0) {
-            const stepsData = steps.map((step, index) => ({
-                sequence_id: sequence.id,
-                step_number: index + 1,
-                delay_days: step.delayDays || 3,
-                delay_hours: step.delayHours || 0,
-                subject_template: step.subject,
-                body_template: step.body,
-                cta_text: step.ctaText || null,
-                cta_url: step.ctaUrl || null,
-            }));
+            const stepsData = steps.map((step, index) => buildSequenceStepRow(step, index, sequence.id));
 
             const { error: stepsError } = await supabase
                 .from('email_sequence_steps')
@@ -211,6 +240,7 @@ router.patch('/:id', async (req, res) => {
         const {
             name,
             timezone,
+            useLeadTimezone,
             sendWindowStart,
             sendWindowEnd,
             sendDays,
@@ -220,10 +250,18 @@ router.patch('/:id', async (req, res) => {
             steps
         } = req.body;
 
+        if (steps && Array.isArray(steps)) {
+            const variantCheck = validateStepVariants(steps);
+            if (!variantCheck.valid) {
+                return res.status(400).json({ error: 'Invalid sequence steps', details: variantCheck.errors });
+            }
+        }
+
         // Build update object
         const updates = { updated_at: new Date().toISOString() };
         if (name !== undefined) updates.name = name;
         if (timezone !== undefined) updates.timezone = timezone;
+        if (useLeadTimezone !== undefined) updates.use_lead_timezone = useLeadTimezone;
         if (sendWindowStart !== undefined) updates.send_window_start = sendWindowStart;
         if (sendWindowEnd !== undefined) updates.send_window_end = sendWindowEnd;
         if (sendDays !== undefined) updates.send_days = sendDays;
@@ -253,16 +291,7 @@ router.patch('/:id', async (req, res) => {
                 .eq('sequence_id', id);
 
             // Insert new steps
-            const stepsData = steps.map((step, index) => ({
-                sequence_id: id,
-                step_number: index + 1,
-                delay_days: step.delayDays || 3,
-                delay_hours: step.delayHours || 0,
-                subject_template: step.subject,
-                body_template: step.body,
-                cta_text: step.ctaText || null,
-                cta_url: step.ctaUrl || null,
-            }));
+            const stepsData = steps.map((step, index) => buildSequenceStepRow(step, index, id));
 
             await supabase
                 .from('email_sequence_steps')
@@ -368,22 +397,16 @@ router.post('/:id/activate', async (req, res) => {
         const existingLeadIds = new Set((existingEnrollments || []).map(e => e.lead_id));
         const newLeadIds = leadsToEnroll.filter(id => !existingLeadIds.has(id));
 
-        // Get unsubscribed emails
+        // Skip leads on the suppression list
         const { data: leads } = await supabase
             .from('leads')
             .select('id, email')
             .in('id', newLeadIds);
 
-        const { data: unsubscribes } = await supabase
-            .from('email_unsubscribes')
-            .select('email')
-            .eq('user_id', userId);
-
-        const unsubscribedEmails = new Set((unsubscribes || []).map(u => u.email));
-        const eligibleLeads = (leads || []).filter(l => !unsubscribedEmails.has(l.email));
+        const { allowed: eligibleLeads } = await filterSuppressedLeads(userId, leads || [], 'email');
 
         if (eligibleLeads.length === 0) {
-            return res.status(400).json({ error: 'No eligible leads to enroll (all unsubscribed or already enrolled)' });
+            return res.status(400).json({ error: 'No eligible leads to enroll (all suppressed or already enrolled)' });
         }
 
         // Create enrollments
@@ -550,10 +573,16 @@ router.get('/:id/analytics', async (req, res) => {
             .select('status, current_step, emails_sent, opens, clicks')
             .eq('sequence_id', id);
 
+        // Engagement per A/B variant, attributed via email_logs
+        const variantStats = await getSequenceVariantStats(id);
+
         // Calculate funnel stats
         const funnel = sequence.steps.map((step, i) => {
             const stepNum = step.step_number;
             const atOrPastStep = (enrollments || []).filter(e => e.current_step >= stepNum).length;
+            const stepVariants = (step.variants || []).length > 0
+                ? step.variants
+                : [{ key: 'A', subject: step.subject_template }];
             return {
                 stepNumber: stepNum,
                 subject: step.subject_template.substring(0, 50),
@@ -563,6 +592,18 @@ router.get('/:id/analytics', async (req, res) => {
                 openRate: step.emails_sent > 0 ? Math.round((step.opens / step.emails_sent) * 100) : 0,
                 clickRate: step.emails_sent > 0 ? Math.round((step.clicks / step.emails_sent) * 100) : 0,
                 reachedStep: atOrPastStep,
+                variants: stepVariants.map(variant => ({
+                    key: variant.key,
+                    subject: (variant.subject || '').substring(0, 50),
+                    weight: variant.weight ?? 1,
+                    isWinner: step.winning_variant === variant.key,
+                    ...(variantStats[stepNum]?.[variant.key]
+                        || { sent: 0, opens: 0, clicks: 0, replies: 0, openRate: 0, clickRate: 0, replyRate: 0 }),
+                })),
+                autoPromote: !!step.auto_promote,
+                winningVariant: step.winning_variant || null,
+                promotedAt: step.promoted_at || null,
+                promotionReason: step.promotion_reason || null,
             };
         });
 
@@ -617,6 +658,49 @@ router.get('/:id/analytics', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/sequences/:id/steps/:stepId/promote
+ * Manually promote an A/B variant - the step sends only that variant from now on
+ */
+router.post('/:id/steps/:stepId/promote', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        const { id, stepId } = req.params;
+        const { variantKey } = req.body;
+
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        if (!variantKey) {
+            return res.status(400).json({ error: 'variantKey is required' });
+        }
+
+        // Make sure the step belongs to one of the user's sequences
+        const { data: step } = await supabase
+            .from('email_sequence_steps')
+            .select('id, sequence:email_sequences!inner(user_id)')
+            .eq('id', stepId)
+            .eq('sequence_id', id)
+            .eq('sequence.user_id', userId)
+            .maybeSingle();
+
+        if (!step) {
+            return res.status(404).json({ error: 'Step not found' });
+        }
+
+        const result = await promoteVariant(stepId, variantKey);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({ success: true, winningVariant: variantKey });
+    } catch (error) {
+        console.error('Promote variant error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * GET /api/sequences/:id/enrollments
  * Get enrollments for a sequence with lead details
@@ -0,0 +1,147 @@
+/**
+ * SMS Webhook Routes
+ * Handles inbound text messages to provisioned Twilio numbers
+ *
+ * Setup: provisioned numbers get their SmsUrl set to
+ * https://your-api.com/api/sms/webhook (see services/phoneProvisioning.js)
+ */
+
+import { Router } from 'express';
+import { createClient } from '@supabase/supabase-js';
+import {
+    detectSmsKeyword,
+    recordSmsOptOut,
+    clearSmsOptOut,
+    logInboundSms,
+} from '../services/sms.js';
+import workflowScheduler from '../services/workflowScheduler.js';
+import { verifyTwilioSignature } from '../config/sms.js';
+
+const router = Router();
+
+const API_URL = process.env.API_URL || 'http://localhost:3002';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Empty TwiML - we don't auto-reply (Twilio sends its own STOP confirmation)
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+/**
+ * Find the lead that sent the message (matches on trailing digits)
+ */
+async function findLeadByPhone(userId, phoneNumber) {
+    const digits = phoneNumber.replace(/\D/g, '').slice(-9);
+    if (!digits) return null;
+
+    const { data: lead } = await supabase
+        .from('leads')
+        .select('id, user_id, name, phone')
+        .eq('user_id', userId)
+        .ilike('phone', `%${digits}`)
+        .limit(1)
+        .maybeSingle();
+
+    return lead;
+}
+
+/**
+ * POST /api/sms/webhook
+ * Twilio inbound message webhook (application/x-www-form-urlencoded)
+ */
+router.post('/webhook', async (req, res) => {
+    const signature = req.headers['x-twilio-signature'];
+    const url = `${API_URL}${req.originalUrl}`;
+
+    if (!verifyTwilioSignature(url, req.body || {}, signature, process.env.TWILIO_AUTH_TOKEN)) {
+        console.error('Invalid Twilio signature');
+        return res.status(403).send('Invalid signature');
+    }
+
+    try {
+        const { From: from, To: to, Body: body, MessageSid: messageSid } = req.body;
+
+        console.log(`[SMS Webhook] Message from ${from} to ${to}`);
+
+        // Find which user owns the receiving number
+        const { data: ownedNumber } = await supabase
+            .from('user_phone_numbers')
+            .select('user_id')
+            .eq('phone_number', to)
+            .maybeSingle();
+
+        if (!ownedNumber) {
+            console.warn(`[SMS Webhook] No user owns ${to}`);
+            return res.type('text/xml').send(EMPTY_TWIML);
+        }
+
+        const userId = ownedNumber.user_id;
+        const lead = await findLeadByPhone(userId, from);
+
+        await logInboundSms({
+            userId,
+            leadId: lead?.id || null,
+            from,
+            to,
+            body,
+            messageSid,
+        });
+
+        const keyword = detectSmsKeyword(body);
+
+        if (keyword === 'opt_in') {
+            await clearSmsOptOut(userId, lead?.phone || from);
+            return res.type('text/xml').send(EMPTY_TWIML);
+        }
+
+        if (keyword === 'opt_out') {
+            await recordSmsOptOut(userId, lead?.phone || from, body.trim().toUpperCase());
+            console.log(`[SMS] ${from} opted out of SMS for user ${userId}`);
+        }
+
+        if (lead) {
+            // Any message (including STOP) counts as a reply for workflow stop rules
+            const { data: enrollments } = await supabase
+                .from('workflow_enrollments')
+                .select('id')
+                .eq('lead_id', lead.id)
+                .eq('user_id', userId)
+                .eq('status', 'active');
+
+            for (const enrollment of (enrollments || [])) {
+                await workflowScheduler.handleStopCondition(enrollment.id, 'reply');
+            }
+
+            if (keyword !== 'opt_out') {
+                await supabase
+                    .from('leads')
+                    .update({
+                        status: 'interested',
+                        notes: `SMS reply received: ${body.substring(0, 200)}`
+                    })
+                    .eq('id', lead.id);
+            }
+        }
+
+        res.type('text/xml').send(EMPTY_TWIML);
+    } catch (error) {
+        console.error('SMS webhook error:', error);
+        // Return 200 so Twilio doesn't retry
+        res.type('text/xml').send(EMPTY_TWIML);
+    }
+});
+
+/**
+ * GET /api/sms/status
+ * Check SMS configuration status
+ */
+router.get('/status', (req, res) => {
+    res.json({
+        configured: !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN),
+        webhookUrl: `${API_URL}/api/sms/webhook`,
+    });
+});
+
+export default router;
@@ -1,34 +1,13 @@
 import { Router } from 'express';
 import { createClient } from '@supabase/supabase-js';
+import { normalizeReportFormat, buildReportBlocks, renderMarkdown, getReportFilename } from '../config/campaignReport.js';
+import { renderPdf } from '../config/pdf.js';
+import { getCampaignReport } from '../services/campaignReport.js';
+import { saveLeads } from '../services/leads.js';
+import { scanForDuplicates } from '../services/leadDedup.js';
 
 const router = Router();
 
-// Retry helper with exponential backoff for transient errors
-const withRetry = async (operation, maxRetries = 3, baseDelay = 1000) => {
-    let lastError;
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-            return await operation();
-        } catch (error) {
-            lastError = error;
-            // Only retry on transient/network errors
-            const isTransient = error.message?.includes('fetch failed') ||
-                error.message?.includes('SocketError') ||
-                error.message?.includes('ECONNRESET') ||
-                error.code === 'UND_ERR_SOCKET';
-
-            if (!isTransient || attempt === maxRetries - 1) {
-                throw error;
-            }
-            // Exponential backoff: 1s, 2s, 4s
-            const delay = baseDelay * Math.pow(2, attempt);
-            console.log(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-    }
-    throw lastError;
-};
-
 // Supabase client options with timeout
 const supabaseOptions = {
     auth: { persistSession: false },
@@ -218,120 +197,15 @@ router.post('/leads', async (req, res) => {
             return res.status(400).json({ error: 'leads array is required' });
         }
 
-        // Transform all leads to the database format
-        const leadsData = leads.map(lead => {
-            const data = {
-                name: lead.name,
-                phone: lead.phone,
-                email: lead.email,
-                address: lead.address,
-                city: lead.city,
-                website: lead.website,
-                rating: lead.rating,
-                review_count: lead.reviewCount,
-                category: lead.category,
-                place_id: lead.placeId,
-                google_maps_url: lead.googleMapsUrl || lead.url,
-                latitude: lead.location?.lat,
-                longitude: lead.location?.lng,
-                search_keyword: searchKeyword,
-                search_location: searchLocation,
-            };
-            if (userId) {
-                data.user_id = userId;
-            }
-            return data;
-        });
+        const { saved, duplicates } = await saveLeads(supabase, leads, { userId, searchKeyword, searchLocation });
+
+        // place_id only catches repeats from the same source
+        if (userId && saved > 0) {
+            scanForDuplicates(userId).catch(err => {
+                console.error('Duplicate scan error:', err.message);
+            });
+        }
 
-        let saved = 0;
-        let duplicates = 0;
-        const BATCH_SIZE = 50;
-
-        console.log(`[Leads] Saving ${leadsData.length} leads for keyword="${searchKeyword}", location="${searchLocation}", userId=${userId || 'null (dev mode)'}`);
-
-        if (userId) {
-            // With user_id - use batch upsert with retry
-            for (let i = 0; i < leadsData.length; i += BATCH_SIZE) {
-                const batch = leadsData.slice(i, i + BATCH_SIZE);
-                try {
-                    const { data, error } = await withRetry(() =>
-                        supabase
-                            .from('leads')
-                            .upsert(batch, {
-                                onConflict: 'user_id,place_id',
-                                ignoreDuplicates: true,
-                            })
-                            .select('id')
-                    );
-
-                    if (error) {
-                        if (error.code === '23505') {
-                            duplicates += batch.length;
-                        } else {
-                            console.error('Error saving lead batch:', error);
-                        }
-                    } else {
-                        const actualSaved = data?.length ?? 0;
-                        saved += actualSaved;
-                        duplicates += batch.length - actualSaved;
-                    }
-                } catch (err) {
-                    console.error('Error processing lead batch after retries:', err);
-                }
-            }
-        } else {
-            // No user_id (dev mode) - check existing and insert new ones in batches
-            const placeIds = leadsData.filter(l => l.place_id).map(l => l.place_id);
-
-            // Get existing place_ids in one query with retry
-            let existingPlaceIds = new Set();
-            if (placeIds.length > 0) {
-                try {
-                    const { data: existing } = await withRetry(() =>
-                        supabase
-                            .from('leads')
-                            .select('place_id')
-                            .in('place_id', placeIds)
-                            .is('user_id', null)
-                    );
-                    existingPlaceIds = new Set((existing || []).map(e => e.place_id));
-                    console.log(`[Leads] Found ${existingPlaceIds.size} existing place_ids in database`);
-                } catch (err) {
-                    console.error('Error checking existing leads:', err);
-                }
-            }
-
-            // Filter out duplicates and insert in batches
-            const newLeads = leadsData.filter(l => !l.place_id || !existingPlaceIds.has(l.place_id));
-            duplicates = leadsData.length - newLeads.length;
-            console.log(`[Leads] New leads to insert: ${newLeads.length}, duplicates skipped: ${duplicates}`);
-
-            for (let i = 0; i < newLeads.length; i += BATCH_SIZE) {
-                const batch = newLeads.slice(i, i + BATCH_SIZE);
-                try {
-                    const { data, error } = await withRetry(() =>
-                        supabase
-                            .from('leads')
-                            .insert(batch)
-                            .select('id')
-                    );
-
-                    if (error) {
-                        if (error.code === '23505') {
-                            duplicates += batch.length;
-                        } else {
-                            console.error('Error inserting lead batch:', error);
-                        }
-                    } else {
-                        saved += data?.length || batch.length;
-                    }
-                } catch (err) {
-                    console.error('Error inserting lead batch after retries:', err);
-                }
-            }
-        }
-
-        console.log(`[Leads] Result: saved=${saved}, duplicates=${duplicates}`);
         res.json({ saved, duplicates });
     } catch (error) {
         console.error('Save leads error:', error);
@@ -450,20 +324,25 @@ router.patch('/leads/:id/after-call', async (req, res) => {
             return res.status(400).json({ error: 'Supabase not configured' });
         }
 
-        // First get current call count
+        // First get current call count and status
         const { data: currentLead } = await supabase
             .from('leads')
-            .select('call_count')
+            .select('call_count, status')
             .eq('id', req.params.id)
             .single();
 
+        const updates = {
+            call_count: (currentLead?.call_count || 0) + 1,
+            last_called_at: new Date().toISOString(),
+        };
+        // The post-call insight sets interested/not_interested - don't overwrite it
+        if (!currentLead?.status || currentLead.status === 'new') {
+            updates.status = 'contacted';
+        }
+
         const { data, error } = await supabase
             .from('leads')
-            .update({
-                status: 'contacted',
-                call_count: (currentLead?.call_count || 0) + 1,
-                last_called_at: new Date().toISOString(),
-            })
+            .update(updates)
             .eq('id', req.params.id)
             .select()
             .single();
@@ -560,7 +439,8 @@ router.post('/campaigns', async (req, res) => {
 
         const {
             name, productIdea, companyContext, totalLeads, leadIds, selectedAgentId,
-            senderName, senderEmail, emailSubject, emailBody, ctaText, ctaUrl
+            senderName, senderEmail, emailSubject, emailBody, ctaText, ctaUrl,
+            voicemailDropEnabled, voicemailDropMessage, handoffPhone, handoffName
         } = req.body;
 
         const { data, error } = await supabase
@@ -579,6 +459,10 @@ router.post('/campaigns', async (req, res) => {
                 email_body: emailBody || null,
                 cta_text: ctaText || null,
                 cta_url: ctaUrl || null,
+                voicemail_drop_enabled: !!voicemailDropEnabled,
+                voicemail_drop_message: voicemailDropMessage || null,
+                handoff_phone: handoffPhone || null,
+                handoff_name: handoffName || null,
             })
             .select()
             .single();
@@ -620,6 +504,62 @@ router.patch('/campaigns/:id', async (req, res) => {
     }
 });
 
+// Get market validation report for a campaign
+// Query: format=json|markdown|pdf, refresh=true to regenerate the AI analysis
+router.get('/campaigns/:id/report', async (req, res) => {
+    try {
+        const supabase = getSupabaseClient(req);
+        if (!supabase) {
+            return res.status(400).json({ error: 'Supabase not configured' });
+        }
+
+        const format = normalizeReportFormat(req.query.format);
+        if (!format) {
+            return res.status(400).json({ error: 'format must be json, markdown or pdf' });
+        }
+
+        // Read through the user's client so RLS limits this to their own campaigns
+        const { data: campaign, error } = await supabase
+            .from('campaigns')
+            .select('id, name, product_idea, company_context, validation_report')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const result = await getCampaignReport(campaign, { refresh: req.query.refresh === 'true' });
+        if (!result.success) {
+            const status = result.error === 'No conversations to analyze yet' ? 400 : 500;
+            return res.status(status).json({ error: result.error, metrics: result.metrics });
+        }
+
+        const { report } = result;
+        if (format === 'json') {
+            return res.json({ ...report, cached: result.cached });
+        }
+
+        const blocks = buildReportBlocks(report);
+        const filename = getReportFilename(campaign.name, format);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'markdown') {
+            res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+            return res.send(renderMarkdown(blocks));
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.send(renderPdf(blocks, { title: blocks[0].text }));
+    } catch (error) {
+        console.error('Get campaign report error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // =============================================
 // CALLS
 // =============================================
@@ -0,0 +1,233 @@
+/**
+ * Suppression List Routes
+ * Manage the per-user do-not-contact list (emails, phone numbers, domains)
+ * that every email send and dial checks
+ */
+
+import { Router } from 'express';
+import multer from 'multer';
+import {
+    SUPPRESSION_TYPES,
+    SUPPRESSION_REASONS,
+    MAX_IMPORT_ROWS,
+    normalizeSuppression,
+    parseSuppressionCsv,
+    toSuppressionCsv,
+} from '../config/suppression.js';
+import {
+    checkSuppression,
+    addSuppression,
+    importSuppressions,
+    listSuppressions,
+    fetchAllSuppressions,
+    removeSuppression,
+    describeSuppression,
+} from '../services/suppression.js';
+
+const router = Router();
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+    },
+});
+
+/**
+ * GET /api/suppressions
+ * List the user's suppressions
+ * Query: type, reason, search, limit, offset
+ */
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { type, reason, search } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const result = await listSuppressions(userId, { type, reason, search, limit, offset });
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({
+            suppressions: result.suppressions,
+            total: result.total,
+            limit,
+            offset,
+            types: SUPPRESSION_TYPES,
+            reasons: SUPPRESSION_REASONS,
+        });
+    } catch (error) {
+        console.error('Error listing suppressions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/suppressions/check
+ * Check whether an email or phone number may be contacted
+ * Query: email, phone
+ */
+router.get('/check', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { email, phone } = req.query;
+        if (!email && !phone) {
+            return res.status(400).json({ error: 'email or phone is required' });
+        }
+
+        const suppression = await checkSuppression(userId, { email, phone });
+
+        res.json({
+            suppressed: !!suppression,
+            suppression,
+            message: describeSuppression(suppression),
+        });
+    } catch (error) {
+        console.error('Error checking suppression:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/suppressions/export
+ * Download the whole list
+ * Query: format = csv (default) | json
+ */
+router.get('/export', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const rows = await fetchAllSuppressions(userId);
+
+        if (req.query.format === 'json') {
+            return res.json({ suppressions: rows, total: rows.length });
+        }
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="suppressions.csv"');
+        res.send(toSuppressionCsv(rows));
+    } catch (error) {
+        console.error('Error exporting suppressions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/suppressions
+ * Add one entry
+ * Body: { value, type?, reason?, note? } - type is inferred from value when omitted
+ */
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const { value, type, reason = 'manual', note } = req.body;
+        if (!value) {
+            return res.status(400).json({ error: 'value is required' });
+        }
+
+        const result = await addSuppression(userId, { value, type, reason, note }, 'api');
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({ success: true, suppression: result.suppression });
+    } catch (error) {
+        console.error('Error adding suppression:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/suppressions/import
+ * Bulk import from a CSV upload (field "file"), CSV text ({ csv }) or a list ({ entries })
+ * Body/form: reason - default reason for rows without one
+ */
+router.post('/import', upload.single('file'), async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const defaultReason = req.body.reason || 'manual';
+        let entries = [];
+        let errors = [];
+
+        if (req.file || req.body.csv) {
+            const text = req.file ? req.file.buffer.toString('utf8') : String(req.body.csv);
+            ({ entries, errors } = parseSuppressionCsv(text, defaultReason));
+        } else if (Array.isArray(req.body.entries)) {
+            req.body.entries.forEach((raw, i) => {
+                const input = typeof raw === 'string' ? { value: raw } : raw;
+                const { entry, error } = normalizeSuppression({ reason: defaultReason, ...input });
+                if (entry) entries.push(entry);
+                else errors.push({ line: i + 1, error });
+            });
+        } else {
+            return res.status(400).json({ error: 'Upload a CSV file, or send csv or entries in the body' });
+        }
+
+        if (entries.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `Too many rows (max ${MAX_IMPORT_ROWS} per import)` });
+        }
+
+        const result = await importSuppressions(userId, entries, 'import');
+        if (!result.success) {
+            return res.status(500).json({ error: result.error, imported: result.imported });
+        }
+
+        res.json({
+            success: true,
+            valid: entries.length,
+            imported: result.imported,
+            duplicates: entries.length - result.imported,
+            invalid: errors.length,
+            errors: errors.slice(0, 100),
+        });
+    } catch (error) {
+        console.error('Error importing suppressions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/suppressions/:id
+ * Remove an entry so the contact can be reached again
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const userId = req.headers['x-user-id'];
+        if (!userId) {
+            return res.status(401).json({ error: 'User ID required' });
+        }
+
+        const result = await removeSuppression(userId, req.params.id);
+        if (!result.success) {
+            return res.status(result.error === 'Suppression not found' ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json({ success: true, suppression: result.suppression });
+    } catch (error) {
+        console.error('Error removing suppression:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
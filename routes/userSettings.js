@@ -26,7 +26,18 @@ import {
     // Brand settings
     getBrandSettings,
     saveBrandSettings,
+    // Meeting booking settings
+    getBookingSettings,
+    saveBookingSettings,
+    // Warm transfer settings
+    getHandoffSettings,
+    saveHandoffSettings,
+    // Call recording settings
+    getRecordingSettings,
+    saveRecordingSettings,
 } from '../services/userSettings.js';
+import { getConsentSettings, saveConsentSettings, listConsentEvents } from '../services/consent.js';
+import { CONSENT_MODES, DISCLOSURE_RULES } from '../config/consent.js';
 
 const router = Router();
 
@@ -571,4 +582,265 @@ router.delete('/brand/logo', async (req, res) => {
     }
 });
 
+// =============================================
+// MEETING BOOKING SETTINGS
+// =============================================
+
+/**
+ * GET /api/settings/booking
+ * Get user's meeting booking settings (Cal.com / Calendly)
+ * Query: userId (required)
+ */
+router.get('/booking', async (req, res) => {
+    try {
+        const { userId } = req.query;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const result = await getBookingSettings(userId);
+
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Get booking settings error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/settings/booking
+ * Save user's meeting booking settings
+ * Body: { userId, provider?, apiKey?, eventTypeId?, webhookSecret? }
+ */
+router.post('/booking', async (req, res) => {
+    try {
+        const { userId, provider, apiKey, eventTypeId, webhookSecret } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const result = await saveBookingSettings(userId, { provider, apiKey, eventTypeId, webhookSecret });
+
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Save booking settings error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// =============================================
+// WARM TRANSFER SETTINGS
+// =============================================
+
+/**
+ * GET /api/settings/handoff
+ * Get user's warm transfer number and business hours
+ * Query: userId (required)
+ */
+router.get('/handoff', async (req, res) => {
+    try {
+        const { userId } = req.query;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const result = await getHandoffSettings(userId);
+
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Get handoff settings error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/settings/handoff
+ * Save user's warm transfer number and business hours
+ * Body: { userId, phone?, name?, email?, timezone?, hoursStart?, hoursEnd?, days? }
+ */
+router.post('/handoff', async (req, res) => {
+    try {
+        const { userId, phone, name, email, timezone, hoursStart, hoursEnd, days } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const result = await saveHandoffSettings(userId, { phone, name, email, timezone, hoursStart, hoursEnd, days });
+
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Save handoff settings error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// =============================================
+// CALL RECORDING SETTINGS
+// =============================================
+
+/**
+ * GET /api/settings/recordings
+ * Get user's call recording retention period
+ * Query: userId (required)
+ */
+router.get('/recordings', async (req, res) => {
+    try {
+        const { userId } = req.query;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const result = await getRecordingSettings(userId);
+
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Get recording settings error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/settings/recordings
+ * Save user's call recording retention period
+ * Body: { userId, retentionDays } - retentionDays null keeps recordings indefinitely
+ */
+router.post('/recordings', async (req, res) => {
+    try {
+        const { userId, retentionDays } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const result = await saveRecordingSettings(userId, { retentionDays });
+
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Save recording settings error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// =============================================
+// CALL CONSENT SETTINGS
+// =============================================
+
+/**
+ * GET /api/settings/consent
+ * Get user's call disclosure settings and the countries that require one
+ * Query: userId (required)
+ */
+router.get('/consent', async (req, res) => {
+    try {
+        const { userId } = req.query;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const settings = await getConsentSettings(userId);
+
+        res.json({
+            success: true,
+            ...settings,
+            modes: CONSENT_MODES,
+            requiredCountries: Object.entries(DISCLOSURE_RULES).map(([country, rule]) => ({
+                country,
+                language: rule.language,
+                aiDisclosure: rule.aiDisclosure,
+                basis: rule.basis,
+            })),
+        });
+    } catch (error) {
+        console.error('Get consent settings error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/settings/consent
+ * Save user's call disclosure settings
+ * Body: { userId, mode?, customText? } - mode 'auto' or 'always'; customText null restores the built-in wording
+ */
+router.post('/consent', async (req, res) => {
+    try {
+        const { userId, mode, customText } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const result = await saveConsentSettings(userId, { mode, customText });
+
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({ ...result, message: 'Consent settings saved' });
+    } catch (error) {
+        console.error('Save consent settings error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/settings/consent/events
+ * User's log of call disclosures and opt-outs
+ * Query: userId (required), eventType (disclosure|opt_out), callId, limit, offset
+ */
+router.get('/consent/events', async (req, res) => {
+    try {
+        const { userId, eventType, callId } = req.query;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const result = await listConsentEvents(userId, {
+            eventType: eventType || null,
+            callId: callId || null,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200),
+            offset: parseInt(req.query.offset) || 0,
+        });
+
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('List consent events error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 export default router;
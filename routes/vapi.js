@@ -8,6 +8,39 @@ import {
     DEFAULT_AMD_PRESET,
     AMD_PRESETS
 } from '../config/amd.js';
+import workflowScheduler from '../services/workflowScheduler.js';
+import { checkSuppression, getSuppressionIndex, describeSuppression } from '../services/suppression.js';
+import { findSuppression } from '../config/suppression.js';
+import { screenPhone, describeScreening } from '../services/dnc.js';
+import { checkCallingHours, deferCall, describeCallingHours } from '../services/callingHours.js';
+import { handleAssistantRequest, notifyInboundCall, setInboundSettings } from '../services/inboundCalls.js';
+import { analyzeCall } from '../services/callInsights.js';
+import { getCallDisclosure, applyCallDisclosure, logDisclosure, processCallConsent } from '../services/consent.js';
+import { getRecordingPlayback, deleteRecordings } from '../services/recordings.js';
+import { handleMeetingToolCall } from '../services/meetings.js';
+import { getCampaignVoicemailDrop, applyCampaignVoicemailDrop } from '../services/voicemailDrop.js';
+import { getWebhookEventKey } from '../config/vapiWebhook.js';
+import { parsePhoneList } from '../config/leadImport.js';
+import { DEFAULT_DNC_COUNTRY } from '../config/dnc.js';
+import {
+    TAKE_MESSAGE_INSTRUCTIONS,
+    resolveHandoffTarget,
+    isWithinHandoffHours,
+    getTransferArguments,
+} from '../config/handoff.js';
+import { getTransferContext, logTransfer, sendPendingTransferMessage } from '../services/handoff.js';
+import {
+    verifyVapiWebhook,
+    claimVapiWebhookEvent,
+    releaseVapiWebhookEvent,
+} from '../middleware/vapiWebhookAuth.js';
+import {
+    reserveNumber,
+    releaseNumber,
+    flagNumberAsSpam,
+    clearSpamFlag,
+    getPoolStats,
+} from '../services/numberPool.js';
 
 const router = Router();
 
@@ -413,274 +446,21 @@ async function checkFreeTierCallLimit(userId) {
 // Note: determineCallOutcome is now imported from ../config/amd.js
 // This provides enhanced detection with more patterns and better accuracy
 
-// =============================================
-// MULTI-TENANT PHONE ROTATION (Database-based)
-// =============================================
-
-/**
- * Get next available phone number for a user from database
- * Uses the database function for atomic operation
- */
-async function getUserPhoneNumber(userId) {
-    // First, reset any numbers that need daily reset
-    const today = new Date().toISOString().split('T')[0];
-
-    await supabase
-        .from('user_phone_numbers')
-        .update({ daily_calls_used: 0, last_reset_date: today })
-        .eq('user_id', userId)
-        .lt('last_reset_date', today);
-
-    // Get the phone number with lowest usage that's under limit
-    const { data: phoneNumber, error } = await supabase
-        .from('user_phone_numbers')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .order('daily_calls_used', { ascending: true })
-        .limit(1)
-        .single();
-
-    if (error || !phoneNumber) {
-        return null;
-    }
-
-    // Check if under limit
-    if (phoneNumber.daily_calls_used >= phoneNumber.daily_calls_limit) {
-        return null;
-    }
-
-    return phoneNumber;
-}
-
-/**
- * Increment usage for a phone number
- */
-async function incrementPhoneUsage(phoneNumberId, userId, callId = null) {
-    // Try RPC first (atomic increment)
-    const { error: rpcError } = await supabase.rpc('increment_phone_usage', {
-        p_phone_number_id: phoneNumberId,
-        p_user_id: userId,
-        p_call_id: callId
-    });
-
-    // Fallback if RPC doesn't exist - use read-then-update
-    if (rpcError) {
-        console.log('  RPC not available, using fallback increment');
-
-        // Get current values
-        const { data: current, error: readError } = await supabase
-            .from('user_phone_numbers')
-            .select('daily_calls_used, total_calls_made')
-            .eq('phone_number_id', phoneNumberId)
-            .eq('user_id', userId)
-            .single();
-
-        if (readError || !current) {
-            console.error('Failed to read phone number for increment:', readError);
-            return false;
-        }
-
-        // Update with incremented values
-        const { error: updateError } = await supabase
-            .from('user_phone_numbers')
-            .update({
-                daily_calls_used: (current.daily_calls_used || 0) + 1,
-                total_calls_made: (current.total_calls_made || 0) + 1,
-            })
-            .eq('phone_number_id', phoneNumberId)
-            .eq('user_id', userId);
-
-        if (updateError) {
-            console.error('Failed to increment phone usage:', updateError);
-            return false;
-        }
-    }
-
-    return true;
-}
-
-/**
- * Get user's phone stats from database
- */
-async function getUserPhoneStats(userId) {
-    const { data: numbers, error } = await supabase
-        .from('user_phone_numbers')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('status', 'active');
-
-    if (error || !numbers) {
-        return {
-            totalNumbers: 0,
-            activeNumbers: 0,
-            totalDailyCapacity: 0,
-            usedToday: 0,
-            remainingToday: 0,
-            numbers: [],
-        };
-    }
-
-    const totalDailyCapacity = numbers.reduce((sum, n) => sum + n.daily_calls_limit, 0);
-    const usedToday = numbers.reduce((sum, n) => sum + n.daily_calls_used, 0);
-
-    return {
-        totalNumbers: numbers.length,
-        activeNumbers: numbers.filter(n => n.status === 'active').length,
-        totalDailyCapacity,
-        usedToday,
-        remainingToday: totalDailyCapacity - usedToday,
-        numbers: numbers.map(n => ({
-            id: n.id,
-            phoneNumber: n.phone_number,
-            phoneNumberId: n.phone_number_id,
-            dailyCallsUsed: n.daily_calls_used,
-            dailyCallsLimit: n.daily_calls_limit,
-            remaining: n.daily_calls_limit - n.daily_calls_used,
-            available: n.daily_calls_used < n.daily_calls_limit,
-            totalCallsMade: n.total_calls_made,
-        })),
-    };
-}
-
-// Phone Number Rotation System
-class PhoneNumberRotator {
-    constructor() {
-        // Parse phone numbers from env (comma-separated)
-        const phoneNumberIds = process.env.VAPI_PHONE_NUMBER_IDS || '';
-        this.phoneNumbers = phoneNumberIds.split(',').map(id => id.trim()).filter(Boolean);
-
-        // Fallback to legacy single number if new env not set
-        if (this.phoneNumbers.length === 0 && process.env.VAPI_PHONE_NUMBER_ID) {
-            this.phoneNumbers = [process.env.VAPI_PHONE_NUMBER_ID];
-        }
-
-        // Max calls per number per day
-        this.maxCallsPerDay = parseInt(process.env.VAPI_MAX_CALLS_PER_NUMBER_PER_DAY) || 50;
-
-        // Track usage: { phoneNumberId: { date: 'YYYY-MM-DD', count: number } }
-        this.usage = {};
-
-        // Current index for round-robin
-        this.currentIndex = 0;
-
-        // Clean up old date entries every hour to prevent memory leak
-        this.cleanupInterval = setInterval(() => this.cleanupOldEntries(), 60 * 60 * 1000);
-
-        console.log(`📞 Phone Rotator initialized with ${this.phoneNumbers.length} number(s), max ${this.maxCallsPerDay} calls/day each`);
-    }
-
-    /**
-     * Clean up usage entries from previous days to prevent memory leak
-     */
-    cleanupOldEntries() {
-        const today = this.getTodayDate();
-        let cleaned = 0;
-
-        for (const phoneNumberId of Object.keys(this.usage)) {
-            if (this.usage[phoneNumberId].date !== today) {
-                delete this.usage[phoneNumberId];
-                cleaned++;
-            }
-        }
-
-        if (cleaned > 0) {
-            console.log(`📞 Phone Rotator: Cleaned up ${cleaned} old usage entries`);
-        }
-    }
-
-    /**
-     * Cleanup resources when shutting down
-     */
-    destroy() {
-        if (this.cleanupInterval) {
-            clearInterval(this.cleanupInterval);
-            this.cleanupInterval = null;
-        }
-    }
-
-    getTodayDate() {
-        return new Date().toISOString().split('T')[0];
-    }
-
-    getUsageForNumber(phoneNumberId) {
-        const today = this.getTodayDate();
-        if (!this.usage[phoneNumberId] || this.usage[phoneNumberId].date !== today) {
-            this.usage[phoneNumberId] = { date: today, count: 0 };
-        }
-        return this.usage[phoneNumberId];
-    }
-
-    incrementUsage(phoneNumberId) {
-        const usage = this.getUsageForNumber(phoneNumberId);
-        usage.count++;
-    }
-
-    isNumberAvailable(phoneNumberId) {
-        const usage = this.getUsageForNumber(phoneNumberId);
-        return usage.count < this.maxCallsPerDay;
-    }
-
-    // Get next available phone number using round-robin with daily limit check
-    getNextPhoneNumber() {
-        if (this.phoneNumbers.length === 0) {
-            return null;
-        }
-
-        // Try each number starting from current index
-        for (let i = 0; i < this.phoneNumbers.length; i++) {
-            const index = (this.currentIndex + i) % this.phoneNumbers.length;
-            const phoneNumberId = this.phoneNumbers[index];
-
-            if (this.isNumberAvailable(phoneNumberId)) {
-                this.currentIndex = (index + 1) % this.phoneNumbers.length;
-                return phoneNumberId;
-            }
-        }
-
-        // All numbers exhausted for today
-        return null;
-    }
-
-    // Use a phone number and track it
-    usePhoneNumber() {
-        const phoneNumberId = this.getNextPhoneNumber();
-        if (phoneNumberId) {
-            this.incrementUsage(phoneNumberId);
-        }
-        return phoneNumberId;
-    }
-
-    // Get stats for all numbers
-    getStats() {
-        return this.phoneNumbers.map(id => ({
-            phoneNumberId: id,
-            todayCalls: this.getUsageForNumber(id).count,
-            maxCallsPerDay: this.maxCallsPerDay,
-            available: this.isNumberAvailable(id),
-            remainingCalls: this.maxCallsPerDay - this.getUsageForNumber(id).count,
-        }));
-    }
-
-    // Get total remaining capacity
-    getTotalRemainingCapacity() {
-        return this.phoneNumbers.reduce((total, id) => {
-            return total + (this.maxCallsPerDay - this.getUsageForNumber(id).count);
-        }, 0);
-    }
-}
-
-// Initialize global rotator instance
-const phoneRotator = new PhoneNumberRotator();
+// Outbound numbers come from the shared number pool (services/numberPool.js)
 
 // Check if Vapi is configured
-router.get('/status', (req, res) => {
-    res.json({
-        configured: !!VAPI_API_KEY,
-        hasPhoneNumber: phoneRotator.phoneNumbers.length > 0,
-        phoneNumberCount: phoneRotator.phoneNumbers.length,
-        totalRemainingCapacity: phoneRotator.getTotalRemainingCapacity(),
-    });
+router.get('/status', async (req, res) => {
+    try {
+        const pool = await getPoolStats(null);
+        res.json({
+            configured: !!VAPI_API_KEY,
+            hasPhoneNumber: pool.totalNumbers > 0,
+            phoneNumberCount: pool.totalNumbers,
+            totalRemainingCapacity: pool.remainingToday,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // Get AMD (Answering Machine Detection) presets
@@ -709,7 +489,9 @@ function getAMDPresetDescription(preset) {
 // =============================================
 // VAPI WEBHOOK - Receives call updates and transcripts
 // =============================================
-router.post('/webhook', async (req, res) => {
+router.post('/webhook', verifyVapiWebhook, async (req, res) => {
+    let eventKey = null;
+
     try {
         const { message } = req.body;
 
@@ -721,6 +503,34 @@ router.post('/webhook', async (req, res) => {
 
         console.log(`📥 [VAPI Webhook] ${type} for call ${call?.id}`);
 
+        // Handle tool-calls - meeting booking tools need a result back
+        if (type === 'tool-calls') {
+            const toolCalls = message.toolCallList || message.toolCalls || [];
+            const results = [];
+
+            for (const toolCall of toolCalls) {
+                const name = toolCall.function?.name;
+                if (name === 'checkAvailability' || name === 'bookMeeting') {
+                    const result = await handleMeetingToolCall(toolCall, call);
+                    results.push({ toolCallId: toolCall.id, result });
+                }
+            }
+
+            return res.status(200).json({ results });
+        }
+
+        // Handle assistant-request - an inbound call to one of our numbers needs an assistant
+        if (type === 'assistant-request') {
+            return res.status(200).json(await handleAssistantRequest(message));
+        }
+
+        // Everything below changes call state - process each delivery once
+        eventKey = getWebhookEventKey(message);
+        const isNew = await claimVapiWebhookEvent(eventKey, { callId: call?.id, messageType: type });
+        if (!isNew) {
+            return res.status(200).json({ received: true, duplicate: true });
+        }
+
         // Handle end-of-call-report - contains transcript, recording, analysis
         if (type === 'end-of-call-report') {
             const {
@@ -735,7 +545,9 @@ router.post('/webhook', async (req, res) => {
             // Find and update the call in database
             if (call?.id) {
                 // Determine if call reached a human, voicemail, or IVR
-                const callOutcome = determineCallOutcome(endedReason, transcript, messages);
+                const callOutcome = determineCallOutcome(endedReason, transcript, messages, {
+                    voicemailDrop: !!call.metadata?.voicemailDrop,
+                });
 
                 console.log(`📊 Call ${call.id} outcome: ${callOutcome} (endedReason: ${endedReason})`);
 
@@ -753,6 +565,9 @@ router.post('/webhook', async (req, res) => {
                         raw_response: message,
                         call_outcome: callOutcome,
                         ended_reason: endedReason,
+                        // Queue the recording for the archiver (VAPI's URL can expire)
+                        recording_archive_status: recordingUrl ? 'pending' : null,
+                        recording_next_attempt_at: recordingUrl ? new Date().toISOString() : null,
                     })
                     .eq('vapi_call_id', call.id);
 
@@ -760,6 +575,38 @@ router.post('/webhook', async (req, res) => {
                     console.error('Failed to update call:', error);
                 } else {
                     console.log(`✅ Call ${call.id} updated with transcript (outcome: ${callOutcome})`);
+
+                    // Qualify the lead from the transcript in the background (Claude can take a while)
+                    analyzeCall({ vapiCallId: call.id }).catch(err => {
+                        console.error(`Call insight error for ${call.id}:`, err.message);
+                    });
+                }
+
+                // Suppress the number if the lead asked not to be called again
+                await processCallConsent({
+                    vapiCallId: call.id,
+                    customerNumber: call.customer?.number,
+                    transcript,
+                    messages,
+                }).catch(err => {
+                    console.error(`Consent processing error for ${call.id}:`, err.message);
+                });
+
+                // Email any message taken instead of an out-of-hours transfer
+                await sendPendingTransferMessage(call.id, {
+                    summary: summary || analysis?.summary,
+                    transcript,
+                });
+
+                // Tell the owner a lead called in
+                await notifyInboundCall(call.id, {
+                    summary: summary || analysis?.summary,
+                    transcript,
+                });
+
+                // Workflow call steps tag the call with their enrollment
+                if (call.metadata?.enrollmentId) {
+                    await workflowScheduler.recordCallOutcome(call.metadata, call.id, callOutcome, endedReason, analysis);
                 }
             }
         }
@@ -782,6 +629,7 @@ router.post('/webhook', async (req, res) => {
         res.status(200).json({ received: true });
     } catch (error) {
         console.error('Webhook error:', error);
+        await releaseVapiWebhookEvent(eventKey).catch(() => {});
         res.status(200).json({ received: true, error: error.message });
     }
 });
@@ -800,14 +648,19 @@ router.get('/public-key', (req, res) => {
     });
 });
 
-// Get phone number rotation stats
-router.get('/phone-stats', (req, res) => {
-    res.json({
-        numbers: phoneRotator.getStats(),
-        totalNumbers: phoneRotator.phoneNumbers.length,
-        totalRemainingCapacity: phoneRotator.getTotalRemainingCapacity(),
-        maxCallsPerNumberPerDay: phoneRotator.maxCallsPerDay,
-    });
+// Get platform number pool stats
+router.get('/phone-stats', async (req, res) => {
+    try {
+        const pool = await getPoolStats(null);
+        res.json({
+            numbers: pool.numbers,
+            totalNumbers: pool.totalNumbers,
+            coolingDownNumbers: pool.coolingDownNumbers,
+            totalRemainingCapacity: pool.remainingToday,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
 /**
@@ -897,6 +750,7 @@ router.post('/call', async (req, res) => {
             companyContext,
             assistant: customAssistant,
             assistantId, // ID of pre-configured assistant from Vapi
+            campaignId, // Campaign whose voicemail drop setting applies
             amdPreset = DEFAULT_AMD_PRESET // AMD preset: 'aggressive', 'balanced', 'conservative', 'disabled'
         } = req.body;
 
@@ -904,6 +758,24 @@ router.post('/call', async (req, res) => {
             return res.status(400).json({ error: 'phoneNumber is required' });
         }
 
+        // Platform-wide do-not-call registries
+        const dncScreening = await screenPhone(null, phoneNumber, { context: 'call' });
+        if (!dncScreening.allowed) {
+            return res.status(403).json({
+                error: describeScreening(dncScreening),
+                dnc: dncScreening,
+            });
+        }
+
+        // No user to queue a deferred call for - refuse outside calling hours
+        const callingHours = await checkCallingHours(phoneNumber);
+        if (!callingHours.allowed) {
+            return res.status(403).json({
+                error: describeCallingHours(callingHours),
+                callingHours,
+            });
+        }
+
         // Route Irish calls through VoIPcloud click-to-call
         if (isIrishNumber(phoneNumber)) {
             if (!VOIPCLOUD_TOKEN) {
@@ -924,6 +796,15 @@ router.post('/call', async (req, res) => {
                     process.env.VOIPCLOUD_CALLER_ID || '+35312655181',
                     assistantId // Pass the selected assistant ID
                 );
+
+                // VoIPcloud bridges to the assistant configured on the Irish numbers, so the
+                // disclosure can't be injected or verified - record it as not delivered
+                await logDisclosure(await getCallDisclosure(null, phoneNumber), {
+                    vapiCallId: voipcloudData.call_id || null,
+                    phone: phoneNumber,
+                    delivery: 'not_delivered',
+                });
+
                 return res.json({
                     id: voipcloudData.call_id || `voipcloud-${Date.now()}`,
                     provider: 'voipcloud',
@@ -939,9 +820,9 @@ router.post('/call', async (req, res) => {
             }
         }
 
-        // Get next available phone number from rotation
-        const phoneNumberId = phoneRotator.usePhoneNumber();
-        if (!phoneNumberId) {
+        // Reserve an outbound number from the platform pool, local to the lead if possible
+        const outboundNumber = await reserveNumber(null, { leadPhone: phoneNumber });
+        if (!outboundNumber) {
             return res.status(429).json({
                 error: 'All phone numbers have reached their daily limit',
                 remainingCapacity: 0,
@@ -949,6 +830,8 @@ router.post('/call', async (req, res) => {
             });
         }
 
+        const phoneNumberId = outboundNumber.phone_number_id;
+
         // Build the call payload
         const callPayload = {
             phoneNumberId: phoneNumberId,
@@ -991,6 +874,12 @@ router.post('/call', async (req, res) => {
             callPayload.assistant = customAssistant || createMarketResearchAssistant(productIdea, companyContext, amdPreset);
         }
 
+        const voicemailDrop = await getCampaignVoicemailDrop(null, campaignId);
+        applyCampaignVoicemailDrop(callPayload, voicemailDrop, { name: customerName }, amdPreset);
+
+        // Recording/AI disclosure required at the destination goes first
+        const disclosure = await applyCallDisclosure(callPayload, { phone: phoneNumber });
+
         console.log(`📞 [AMD] Using preset: ${amdPreset}, config:`, JSON.stringify(getAMDConfig(amdPreset), null, 2));
 
         // Log the payload for debugging
@@ -1007,17 +896,21 @@ router.post('/call', async (req, res) => {
 
         if (!response.ok) {
             const error = await response.json();
+            await releaseNumber(outboundNumber);
             return res.status(response.status).json({
                 error: error.message || 'Failed to initiate call'
             });
         }
 
         const data = await response.json();
+        await logDisclosure(disclosure, { vapiCallId: data.id, phone: phoneNumber });
+        const pool = await getPoolStats(null);
         res.json({
             ...data,
             _rotation: {
                 phoneNumberIdUsed: phoneNumberId,
-                remainingCapacity: phoneRotator.getTotalRemainingCapacity(),
+                phoneNumberUsed: outboundNumber.phone_number,
+                remainingCapacity: pool.remainingToday,
             }
         });
     } catch (error) {
@@ -1033,14 +926,21 @@ router.post('/calls/batch', async (req, res) => {
             return res.status(400).json({ error: 'Vapi API key not configured' });
         }
 
-        const { phoneNumbers, productIdea, companyContext, delayMs = 2000, amdPreset = DEFAULT_AMD_PRESET } = req.body;
+        const {
+            phoneNumbers,
+            productIdea,
+            companyContext,
+            campaignId,
+            delayMs = 2000,
+            amdPreset = DEFAULT_AMD_PRESET
+        } = req.body;
 
         if (!phoneNumbers || !Array.isArray(phoneNumbers)) {
             return res.status(400).json({ error: 'phoneNumbers array is required' });
         }
 
         // Check if we have enough capacity
-        const remainingCapacity = phoneRotator.getTotalRemainingCapacity();
+        const { remainingToday: remainingCapacity } = await getPoolStats(null);
         if (remainingCapacity === 0) {
             return res.status(429).json({
                 error: 'All phone numbers have reached their daily limit',
@@ -1057,14 +957,41 @@ router.post('/calls/batch', async (req, res) => {
 
         console.log(`📞 [Batch] Using AMD preset: ${amdPreset}`);
         const assistant = createMarketResearchAssistant(productIdea, companyContext, amdPreset);
+        const voicemailDrop = await getCampaignVoicemailDrop(null, campaignId);
         const results = [];
         let skippedDueToCapacity = 0;
+        let skippedDnc = 0;
+        let skippedOutsideHours = 0;
 
         for (let i = 0; i < phoneNumbers.length; i++) {
-            // Get next available phone number from rotation
-            const outboundPhoneNumberId = phoneRotator.usePhoneNumber();
+            const dncScreening = await screenPhone(null, phoneNumbers[i].number, { context: 'batch' });
+            if (!dncScreening.allowed) {
+                results.push({
+                    phoneNumber: phoneNumbers[i].number,
+                    status: 'skipped',
+                    error: describeScreening(dncScreening),
+                    dnc: dncScreening,
+                });
+                skippedDnc++;
+                continue;
+            }
+
+            const callingHours = await checkCallingHours(phoneNumbers[i].number);
+            if (!callingHours.allowed) {
+                results.push({
+                    phoneNumber: phoneNumbers[i].number,
+                    status: 'skipped',
+                    error: describeCallingHours(callingHours),
+                    nextAllowedAt: callingHours.nextAllowedAt,
+                });
+                skippedOutsideHours++;
+                continue;
+            }
+
+            // Reserve the best available number for this lead
+            const outboundNumber = await reserveNumber(null, { leadPhone: phoneNumbers[i].number });
 
-            if (!outboundPhoneNumberId) {
+            if (!outboundNumber) {
                 // No more capacity - mark remaining as skipped
                 results.push({
                     phoneNumber: phoneNumbers[i].number,
@@ -1075,25 +1002,33 @@ router.post('/calls/batch', async (req, res) => {
                 continue;
             }
 
+            const outboundPhoneNumberId = outboundNumber.phone_number_id;
+
             try {
+                // Copy the shared assistant - each destination gets its own disclosure
+                const callPayload = {
+                    phoneNumberId: outboundPhoneNumberId,
+                    customer: {
+                        number: phoneNumbers[i].number,
+                        name: phoneNumbers[i].name || 'Prospect',
+                    },
+                    assistant: { ...assistant },
+                };
+                applyCampaignVoicemailDrop(callPayload, voicemailDrop, { name: phoneNumbers[i].name }, amdPreset);
+                const disclosure = await applyCallDisclosure(callPayload, { phone: phoneNumbers[i].number });
+
                 const response = await fetch(`${VAPI_API_URL}/call/phone`, {
                     method: 'POST',
                     headers: {
                         'Authorization': `Bearer ${VAPI_API_KEY}`,
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify({
-                        phoneNumberId: outboundPhoneNumberId,
-                        customer: {
-                            number: phoneNumbers[i].number,
-                            name: phoneNumbers[i].name || 'Prospect',
-                        },
-                        assistant,
-                    }),
+                    body: JSON.stringify(callPayload),
                 });
 
                 if (response.ok) {
                     const result = await response.json();
+                    await logDisclosure(disclosure, { vapiCallId: result.id, phone: phoneNumbers[i].number });
                     results.push({
                         phoneNumber: phoneNumbers[i].number,
                         status: 'initiated',
@@ -1103,6 +1038,7 @@ router.post('/calls/batch', async (req, res) => {
                     });
                 } else {
                     const error = await response.json();
+                    await releaseNumber(outboundNumber);
                     results.push({
                         phoneNumber: phoneNumbers[i].number,
                         status: 'failed',
@@ -1111,6 +1047,7 @@ router.post('/calls/batch', async (req, res) => {
                     });
                 }
             } catch (error) {
+                await releaseNumber(outboundNumber);
                 results.push({
                     phoneNumber: phoneNumbers[i].number,
                     status: 'failed',
@@ -1125,14 +1062,18 @@ router.post('/calls/batch', async (req, res) => {
             }
         }
 
+        const finalPool = await getPoolStats(null);
+
         res.json({
             results,
             summary: {
                 total: phoneNumbers.length,
                 initiated: results.filter(r => r.status === 'initiated').length,
                 failed: results.filter(r => r.status === 'failed').length,
-                skipped: skippedDueToCapacity,
-                remainingCapacity: phoneRotator.getTotalRemainingCapacity(),
+                skipped: skippedDueToCapacity + skippedDnc + skippedOutsideHours,
+                dncBlocked: skippedDnc,
+                outsideCallingHours: skippedOutsideHours,
+                remainingCapacity: finalPool.remainingToday,
                 capacityWarning,
             }
         });
@@ -1588,32 +1529,20 @@ const DEEPGRAM_VOICES = [
     { id: 'zeus-en', name: 'Zeus', gender: 'male', description: 'Authoritative male' },
 ];
 
-// Parse phone numbers utility endpoint
+/**
+ * Parse a pasted list of phone numbers into E.164
+ * Body: { input, defaultCountry? } - "Name: number" or a number per line/comma
+ * Spreadsheets of leads go through /api/lead-imports instead
+ */
 router.post('/parse-phones', (req, res) => {
-    const { input } = req.body;
+    const { input, defaultCountry = process.env.DNC_DEFAULT_COUNTRY || DEFAULT_DNC_COUNTRY } = req.body;
 
     if (!input) {
         return res.json([]);
     }
 
-    // Split by newlines or commas
-    const lines = input.split(/[\n,]+/).map(line => line.trim()).filter(Boolean);
-
-    const parsed = lines.map(line => {
-        // Try to parse "Name: Number" or just "Number"
-        const match = line.match(/^(.+?):\s*(.+)$/) || [null, null, line];
-        let number = match[2]?.trim().replace(/[^\d+]/g, '') || '';
-        // Ensure number starts with + for international format
-        if (number && !number.startsWith('+')) {
-            number = '+' + number;
-        }
-        return {
-            name: match[1]?.trim() || null,
-            number,
-        };
-    }).filter(p => p.number.length >= 10);
-
-    res.json(parsed);
+    // Same response shape as before - numbers that can't be dialled are dropped
+    res.json(parsePhoneList(input, defaultCountry).phones);
 });
 
 // =============================================
@@ -1630,7 +1559,7 @@ router.get('/user/:userId/phone-stats', async (req, res) => {
         // Validate user has access to this userId
         await validateUserAccess(req, userId);
 
-        const stats = await getUserPhoneStats(userId);
+        const stats = await getPoolStats(userId);
         res.json(stats);
     } catch (error) {
         console.error('Error getting user phone stats:', error);
@@ -1667,6 +1596,9 @@ router.post('/user/:userId/call', async (req, res) => {
             companyContext,
             assistant: customAssistant,
             assistantId,
+            leadId,
+            campaignId, // Campaign whose voicemail drop setting applies
+            deferOutsideHours = false, // Queue the call for the next allowed slot instead of refusing it
             amdPreset = DEFAULT_AMD_PRESET // AMD preset: 'aggressive', 'balanced', 'conservative', 'disabled'
         } = req.body;
 
@@ -1674,6 +1606,55 @@ router.post('/user/:userId/call', async (req, res) => {
             return res.status(400).json({ error: 'phoneNumber is required' });
         }
 
+        const suppression = await checkSuppression(userId, { phone: phoneNumber });
+        if (suppression) {
+            return res.status(403).json({
+                error: describeSuppression(suppression),
+                suppressed: true,
+                reason: suppression.reason,
+            });
+        }
+
+        const dncScreening = await screenPhone(userId, phoneNumber, { context: 'call' });
+        if (!dncScreening.allowed) {
+            return res.status(403).json({
+                error: describeScreening(dncScreening),
+                dnc: dncScreening,
+            });
+        }
+
+        const callingHours = await checkCallingHours(phoneNumber, { userId, leadId });
+        if (!callingHours.allowed) {
+            // Inline assistants aren't stored on scheduled_calls, so those calls can't be deferred
+            if (deferOutsideHours && !customAssistant && callingHours.nextAllowedAt) {
+                const deferral = await deferCall(userId, {
+                    phoneNumber,
+                    customerName,
+                    leadId,
+                    campaignId,
+                    productIdea,
+                    companyContext,
+                    assistantId,
+                }, callingHours);
+
+                if (!deferral.success) {
+                    return res.status(500).json({ error: deferral.error });
+                }
+
+                return res.status(202).json({
+                    deferred: true,
+                    message: describeCallingHours(callingHours),
+                    scheduledCall: deferral.scheduledCall,
+                    callingHours,
+                });
+            }
+
+            return res.status(403).json({
+                error: describeCallingHours(callingHours),
+                callingHours,
+            });
+        }
+
         // ATOMIC: Reserve a call for free tier users (prevents race conditions)
         const callReservation = await reserveFreeTierCall(userId);
         if (!callReservation.canCall) {
@@ -1729,6 +1710,14 @@ router.post('/user/:userId/call', async (req, res) => {
                     raw_response: { provider: 'voipcloud', assistantId, ...voipcloudData },
                 });
 
+                // The disclosure can't be injected into VoIPcloud calls - see the legacy /call route
+                await logDisclosure(await getCallDisclosure(userId, phoneNumber), {
+                    userId,
+                    vapiCallId: voipcloudData.call_id || null,
+                    phone: phoneNumber,
+                    delivery: 'not_delivered',
+                });
+
                 return res.json({
                     id: voipcloudData.call_id || `voipcloud-${Date.now()}`,
                     provider: 'voipcloud',
@@ -1748,8 +1737,8 @@ router.post('/user/:userId/call', async (req, res) => {
             }
         }
 
-        // Get next available phone number for this user from database
-        let userPhone = await getUserPhoneNumber(userId);
+        // Reserve one of the user's numbers, local to the lead if possible
+        let userPhone = await reserveNumber(userId, { leadPhone: phoneNumber });
         let usingFreeTierPhone = false;
 
         if (!userPhone) {
@@ -1766,7 +1755,7 @@ router.post('/user/:userId/call', async (req, res) => {
                 if (callReservation.isFreeTier && callReservation.reserved) {
                     await rollbackFreeTierCall(userId);
                 }
-                const stats = await getUserPhoneStats(userId);
+                const stats = await getPoolStats(userId);
                 return res.status(429).json({
                     error: stats.totalNumbers === 0
                         ? 'No phone numbers configured. Please subscribe to a plan.'
@@ -1818,6 +1807,12 @@ router.post('/user/:userId/call', async (req, res) => {
             callPayload.assistant = customAssistant || createMarketResearchAssistant(productIdea, companyContext, amdPreset);
         }
 
+        const voicemailDrop = await getCampaignVoicemailDrop(userId, campaignId);
+        applyCampaignVoicemailDrop(callPayload, voicemailDrop, { name: customerName }, amdPreset);
+
+        // Recording/AI disclosure required at the destination goes first
+        const disclosure = await applyCallDisclosure(callPayload, { userId, phone: phoneNumber });
+
         console.log(`📞 [User: ${userId}] [AMD] Using preset: ${amdPreset}`);
 
         // Enforce max duration for free tier users
@@ -1839,7 +1834,10 @@ router.post('/user/:userId/call', async (req, res) => {
 
         if (!response.ok) {
             const error = await response.json();
-            // Rollback the reservation on VAPI failure
+            // Rollback the reservations on VAPI failure
+            if (!usingFreeTierPhone) {
+                await releaseNumber(userPhone);
+            }
             if (callReservation.isFreeTier && callReservation.reserved) {
                 await rollbackFreeTierCall(userId);
                 console.log(`📞 [User: ${userId}] Call rolled back due to VAPI error`);
@@ -1851,11 +1849,6 @@ router.post('/user/:userId/call', async (req, res) => {
 
         const data = await response.json();
 
-        // Increment phone usage in database (for subscribed users)
-        if (!usingFreeTierPhone) {
-            await incrementPhoneUsage(userPhone.phone_number_id, userId, data.id);
-        }
-
         // Call successfully initiated - reservation is now consumed
         if (callReservation.isFreeTier) {
             console.log(`📞 [User: ${userId}] Free tier call successful (usage: ${callReservation.used}/${callReservation.limit})`);
@@ -1872,9 +1865,10 @@ router.post('/user/:userId/call', async (req, res) => {
             status: 'initiated',
             raw_response: data,
         });
+        await logDisclosure(disclosure, { userId, vapiCallId: data.id, phone: phoneNumber });
 
         // Get updated stats
-        const stats = await getUserPhoneStats(userId);
+        const stats = await getPoolStats(userId);
 
         res.json({
             ...data,
@@ -1924,14 +1918,22 @@ router.post('/user/:userId/calls/batch', async (req, res) => {
             return res.status(403).json({ error: authError.message });
         }
 
-        const { phoneNumbers, productIdea, companyContext, delayMs = 2000, amdPreset = DEFAULT_AMD_PRESET } = req.body;
+        const {
+            phoneNumbers,
+            productIdea,
+            companyContext,
+            campaignId,
+            delayMs = 2000,
+            deferOutsideHours = false, // Queue numbers outside calling hours for their next allowed slot
+            amdPreset = DEFAULT_AMD_PRESET
+        } = req.body;
 
         if (!phoneNumbers || !Array.isArray(phoneNumbers)) {
             return res.status(400).json({ error: 'phoneNumbers array is required' });
         }
 
         // Check user's capacity
-        const stats = await getUserPhoneStats(userId);
+        const stats = await getPoolStats(userId);
 
         if (stats.totalNumbers === 0) {
             return res.status(400).json({
@@ -1956,12 +1958,75 @@ router.post('/user/:userId/calls/batch', async (req, res) => {
 
         console.log(`📞 [User: ${userId}] [Batch] Using AMD preset: ${amdPreset}`);
         const assistant = createMarketResearchAssistant(productIdea, companyContext, amdPreset);
+        const voicemailDrop = await getCampaignVoicemailDrop(userId, campaignId);
         const results = [];
         let skippedDueToCapacity = 0;
+        let skippedSuppressed = 0;
+        let skippedDnc = 0;
+        let skippedOutsideHours = 0;
+        let deferred = 0;
+        const suppressionIndex = await getSuppressionIndex(userId);
 
         for (let i = 0; i < phoneNumbers.length; i++) {
-            // Get next available phone number for this user
-            const userPhone = await getUserPhoneNumber(userId);
+            const suppression = findSuppression(suppressionIndex, { phone: phoneNumbers[i].number });
+            if (suppression) {
+                results.push({
+                    phoneNumber: phoneNumbers[i].number,
+                    status: 'skipped',
+                    error: describeSuppression(suppression),
+                    suppressed: true,
+                });
+                skippedSuppressed++;
+                continue;
+            }
+
+            const dncScreening = await screenPhone(userId, phoneNumbers[i].number, { context: 'batch' });
+            if (!dncScreening.allowed) {
+                results.push({
+                    phoneNumber: phoneNumbers[i].number,
+                    status: 'skipped',
+                    error: describeScreening(dncScreening),
+                    dnc: dncScreening,
+                });
+                skippedDnc++;
+                continue;
+            }
+
+            const callingHours = await checkCallingHours(phoneNumbers[i].number, { userId, leadId: phoneNumbers[i].leadId });
+            if (!callingHours.allowed) {
+                const deferral = deferOutsideHours && callingHours.nextAllowedAt
+                    ? await deferCall(userId, {
+                        phoneNumber: phoneNumbers[i].number,
+                        customerName: phoneNumbers[i].name,
+                        leadId: phoneNumbers[i].leadId,
+                        campaignId,
+                        productIdea,
+                        companyContext,
+                    }, callingHours)
+                    : null;
+
+                if (deferral?.success) {
+                    results.push({
+                        phoneNumber: phoneNumbers[i].number,
+                        status: 'deferred',
+                        scheduledCallId: deferral.scheduledCall.id,
+                        scheduledAt: deferral.scheduledCall.scheduled_at,
+                    });
+                    deferred++;
+                } else {
+                    results.push({
+                        phoneNumber: phoneNumbers[i].number,
+                        status: 'skipped',
+                        error: deferral?.error || describeCallingHours(callingHours),
+                        nextAllowedAt: callingHours.nextAllowedAt,
+                    });
+                    skippedOutsideHours++;
+                }
+                continue;
+            }
+
+            // Reserve the best available number for this lead
+            const userPhone = await reserveNumber(userId, { leadPhone: phoneNumbers[i].number });
 
             if (!userPhone) {
                 results.push({
@@ -1974,28 +2039,30 @@ router.post('/user/:userId/calls/batch', async (req, res) => {
             }
 
             try {
+                // Copy the shared assistant - each destination gets its own disclosure
+                const callPayload = {
+                    phoneNumberId: userPhone.phone_number_id,
+                    customer: {
+                        number: phoneNumbers[i].number,
+                        name: phoneNumbers[i].name || 'Prospect',
+                    },
+                    assistant: { ...assistant },
+                };
+                applyCampaignVoicemailDrop(callPayload, voicemailDrop, { name: phoneNumbers[i].name }, amdPreset);
+                const disclosure = await applyCallDisclosure(callPayload, { userId, phone: phoneNumbers[i].number });
+
                 const response = await fetch(`${VAPI_API_URL}/call/phone`, {
                     method: 'POST',
                     headers: {
                         'Authorization': `Bearer ${VAPI_API_KEY}`,
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify({
-                        phoneNumberId: userPhone.phone_number_id,
-                        customer: {
-                            number: phoneNumbers[i].number,
-                            name: phoneNumbers[i].name || 'Prospect',
-                        },
-                        assistant,
-                    }),
+                    body: JSON.stringify(callPayload),
                 });
 
                 if (response.ok) {
                     const result = await response.json();
 
-                    // Increment usage
-                    await incrementPhoneUsage(userPhone.phone_number_id, userId, result.id);
-
                     // Store call
                     await supabase.from('calls').insert({
                         user_id: userId,
@@ -2007,6 +2074,7 @@ router.post('/user/:userId/calls/batch', async (req, res) => {
                         status: 'initiated',
                         raw_response: result,
                     });
+                    await logDisclosure(disclosure, { userId, vapiCallId: result.id, phone: phoneNumbers[i].number });
 
                     results.push({
                         phoneNumber: phoneNumbers[i].number,
@@ -2017,6 +2085,7 @@ router.post('/user/:userId/calls/batch', async (req, res) => {
                     });
                 } else {
                     const error = await response.json();
+                    await releaseNumber(userPhone);
                     results.push({
                         phoneNumber: phoneNumbers[i].number,
                         status: 'failed',
@@ -2025,6 +2094,7 @@ router.post('/user/:userId/calls/batch', async (req, res) => {
                     });
                 }
             } catch (error) {
+                await releaseNumber(userPhone);
                 results.push({
                     phoneNumber: phoneNumbers[i].number,
                     status: 'failed',
@@ -2039,7 +2109,7 @@ router.post('/user/:userId/calls/batch', async (req, res) => {
         }
 
         // Get final stats
-        const finalStats = await getUserPhoneStats(userId);
+        const finalStats = await getPoolStats(userId);
 
         res.json({
             results,
@@ -2047,7 +2117,11 @@ router.post('/user/:userId/calls/batch', async (req, res) => {
                 total: phoneNumbers.length,
                 initiated: results.filter(r => r.status === 'initiated').length,
                 failed: results.filter(r => r.status === 'failed').length,
-                skipped: skippedDueToCapacity,
+                skipped: skippedDueToCapacity + skippedSuppressed + skippedDnc + skippedOutsideHours,
+                suppressed: skippedSuppressed,
+                dncBlocked: skippedDnc,
+                outsideCallingHours: skippedOutsideHours,
+                deferred,
                 remainingCapacity: finalStats.remainingToday,
                 capacityWarning,
             }
@@ -2088,18 +2162,194 @@ router.get('/user/:userId/phone-numbers', async (req, res) => {
 });
 
 /**
- * VAPI Function Tool Endpoint - Transfer Call to Mariano
+ * Flag one of the user's numbers as spam
+ * The number is skipped for a cool-down period, then rejoins rotation
+ */
+router.post('/user/:userId/phone-numbers/:phoneNumberId/spam', async (req, res) => {
+    try {
+        const { userId, phoneNumberId } = req.params;
+
+        try {
+            await validateUserAccess(req, userId);
+        } catch (authError) {
+            return res.status(403).json({ error: authError.message });
+        }
+
+        const result = await flagNumberAsSpam(userId, phoneNumberId);
+        if (!result.success) {
+            return res.status(result.error === 'Phone number not found' ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json(result.number);
+    } catch (error) {
+        console.error('Error flagging phone number:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Inbound call settings for one of the user's numbers
+ * Body: { enabled?, assistantId? } - assistantId null uses the built-in inbound assistant
+ */
+router.patch('/user/:userId/phone-numbers/:phoneNumberId/inbound', async (req, res) => {
+    try {
+        const { userId, phoneNumberId } = req.params;
+
+        try {
+            await validateUserAccess(req, userId);
+        } catch (authError) {
+            return res.status(403).json({ error: authError.message });
+        }
+
+        const { enabled, assistantId } = req.body;
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be a boolean' });
+        }
+
+        const result = await setInboundSettings(userId, phoneNumberId, { enabled, assistantId });
+        if (!result.success) {
+            return res.status(result.error === 'Phone number not found' ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json(result.number);
+    } catch (error) {
+        console.error('Error updating inbound settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Clear a spam flag before the cool-down ends
+ */
+router.delete('/user/:userId/phone-numbers/:phoneNumberId/spam', async (req, res) => {
+    try {
+        const { userId, phoneNumberId } = req.params;
+
+        try {
+            await validateUserAccess(req, userId);
+        } catch (authError) {
+            return res.status(403).json({ error: authError.message });
+        }
+
+        const result = await clearSpamFlag(userId, phoneNumberId);
+        if (!result.success) {
+            return res.status(result.error === 'Phone number not found' ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json(result.number);
+    } catch (error) {
+        console.error('Error clearing phone number spam flag:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const RECORDING_ERROR_STATUS = {
+    'Call not found': 404,
+    'No recording for this call': 404,
+    'Recording was deleted': 410,
+};
+
+/**
+ * Playback URL for a call recording the user owns
+ * Query: redirect=true to redirect straight to the audio (e.g. for an <audio> src)
+ */
+router.get('/user/:userId/calls/:callId/recording', async (req, res) => {
+    try {
+        const { userId, callId } = req.params;
+
+        try {
+            await validateUserAccess(req, userId);
+        } catch (authError) {
+            return res.status(403).json({ error: authError.message });
+        }
+
+        const result = await getRecordingPlayback(userId, callId);
+        if (!result.success) {
+            return res.status(RECORDING_ERROR_STATUS[result.error] || 500).json({ error: result.error });
+        }
+
+        // Signed URLs expire - don't let browsers or proxies keep them
+        res.setHeader('Cache-Control', 'no-store');
+
+        if (req.query.redirect === 'true') {
+            return res.redirect(302, result.url);
+        }
+
+        res.json({ url: result.url, source: result.source, expiresAt: result.expiresAt });
+    } catch (error) {
+        console.error('Error getting call recording:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete a call's recording now (the call, transcript and summary are kept)
+ */
+router.delete('/user/:userId/calls/:callId/recording', async (req, res) => {
+    try {
+        const { userId, callId } = req.params;
+
+        try {
+            await validateUserAccess(req, userId);
+        } catch (authError) {
+            return res.status(403).json({ error: authError.message });
+        }
+
+        const result = await deleteRecordings(userId, { callId });
+        if (!result.success) {
+            return res.status(RECORDING_ERROR_STATUS[result.error] || 500).json({ error: result.error });
+        }
+
+        res.json({ deleted: result.deleted });
+    } catch (error) {
+        console.error('Error deleting call recording:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete every recording of calls with a lead (GDPR erasure requests)
+ */
+router.delete('/user/:userId/leads/:leadId/recordings', async (req, res) => {
+    try {
+        const { userId, leadId } = req.params;
+
+        try {
+            await validateUserAccess(req, userId);
+        } catch (authError) {
+            return res.status(403).json({ error: authError.message });
+        }
+
+        const result = await deleteRecordings(userId, { leadId });
+        if (!result.success) {
+            return res.status(500).json({ error: result.error, deleted: result.deleted });
+        }
+
+        res.json({ deleted: result.deleted });
+    } catch (error) {
+        console.error('Error deleting lead recordings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * VAPI Function Tool Endpoint - Warm transfer to a human
  *
- * Called by VAPI AI assistant when a lead is qualified and ready to speak with Mariano.
- * Uses VAPI's forwardingPhoneNumber or conference feature to connect Mariano to the call.
+ * Called by the VAPI assistant when a lead is qualified and ready to speak with someone.
+ * Routes to the campaign's handoff number, else the user's (Settings > Handoff), else
+ * the global HANDOFF_PHONE. Outside the user's business hours the assistant is told to
+ * take a message instead; it's emailed to the user when the call ends.
+ * Every attempt is logged in call_transfers.
  */
-router.post('/transfer-call', async (req, res) => {
+router.post('/transfer-call', verifyVapiWebhook, async (req, res) => {
+    let eventKey = null;
+
     try {
-        const { message, call } = req.body;
+        const { message } = req.body;
+        const call = req.body.call || message?.call;
 
         // Extract function parameters from AI's call
-        const reason = message?.toolCalls?.[0]?.function?.arguments?.reason || 'interested lead';
-        const leadQuality = message?.toolCalls?.[0]?.function?.arguments?.leadQuality || 'warm';
+        const { reason, leadQuality } = getTransferArguments(message);
         const callId = call?.id;
 
         console.log('🔄 Transfer request received:', {
@@ -2116,16 +2366,55 @@ router.post('/transfer-call', async (req, res) => {
             });
         }
 
-        const HANDOFF_PHONE = process.env.HANDOFF_PHONE;
-        if (!HANDOFF_PHONE) {
-            console.error('❌ HANDOFF_PHONE not configured');
+        // Only forward a call once, however often the tool call is retried
+        eventKey = getWebhookEventKey({ call }, 'transfer-call');
+        const isNew = await claimVapiWebhookEvent(eventKey, { callId, messageType: 'transfer-call' });
+        if (!isNew) {
+            return res.json({
+                success: true,
+                duplicate: true,
+                message: 'Transfer already in progress',
+            });
+        }
+
+        const context = await getTransferContext(call);
+        const target = resolveHandoffTarget(context.profile, context.campaign, process.env.HANDOFF_PHONE);
+
+        if (!target) {
+            console.error(`❌ No handoff number configured for user ${context.userId}`);
+            await logTransfer(callId, context, {
+                status: 'failed',
+                leadQuality,
+                reason,
+                error: 'Transfer number not configured',
+            });
             return res.status(500).json({
                 error: 'Transfer number not configured'
             });
         }
 
+        // Outside business hours - take a message instead of transferring
+        if (!isWithinHandoffHours(context.profile)) {
+            console.log(`🌙 Outside handoff hours for user ${context.userId} - taking a message`);
+            await logTransfer(callId, context, {
+                status: 'message_requested',
+                leadQuality,
+                reason,
+                target,
+            });
+            return res.json({
+                success: false,
+                outsideBusinessHours: true,
+                message: TAKE_MESSAGE_INSTRUCTIONS,
+                leadInfo: {
+                    quality: leadQuality,
+                    reason: reason
+                },
+                timestamp: new Date().toISOString()
+            });
+        }
+
         // Use VAPI's forwarding/transfer capability
-        // This will forward the call to Mariano's number
         const transferResponse = await fetch(`${VAPI_API_URL}/call/${callId}`, {
             method: 'PATCH',
             headers: {
@@ -2133,13 +2422,21 @@ router.post('/transfer-call', async (req, res) => {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                forwardingPhoneNumber: HANDOFF_PHONE
+                forwardingPhoneNumber: target.phone
             })
         });
 
         if (!transferResponse.ok) {
             const error = await transferResponse.text();
             console.error('❌ VAPI transfer failed:', error);
+            await releaseVapiWebhookEvent(eventKey).catch(() => {});
+            await logTransfer(callId, context, {
+                status: 'failed',
+                leadQuality,
+                reason,
+                target,
+                error,
+            });
 
             return res.status(500).json({
                 error: 'Transfer failed',
@@ -2147,9 +2444,16 @@ router.post('/transfer-call', async (req, res) => {
             });
         }
 
-        const transferData = await transferResponse.json();
+        await logTransfer(callId, context, {
+            status: 'transferred',
+            leadQuality,
+            reason,
+            target,
+        });
+
+        const handoffName = target.name || 'a member of the team';
 
-        console.log('✅ Call transferred successfully to Mariano');
+        console.log(`✅ Call transferred to ${target.phone} (${target.source})`);
         console.log(`   Lead quality: ${leadQuality}`);
         console.log(`   Reason: ${reason}`);
 
@@ -2157,8 +2461,8 @@ router.post('/transfer-call', async (req, res) => {
         // The AI will say the "request-complete" message and then call transfers
         return res.json({
             success: true,
-            message: `Transferring to Mariano now. Lead quality: ${leadQuality}`,
-            handoffNumber: HANDOFF_PHONE,
+            message: `Transferring to ${handoffName} now. Lead quality: ${leadQuality}`,
+            handoffNumber: target.phone,
             leadInfo: {
                 quality: leadQuality,
                 reason: reason
@@ -2168,6 +2472,7 @@ router.post('/transfer-call', async (req, res) => {
 
     } catch (error) {
         console.error('❌ Transfer endpoint error:', error);
+        await releaseVapiWebhookEvent(eventKey).catch(() => {});
         return res.status(500).json({
             error: 'Internal server error',
             message: error.message
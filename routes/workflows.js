@@ -6,6 +6,8 @@
 import { Router } from 'express';
 import { createClient } from '@supabase/supabase-js';
 import { batchPersonalizeLeads } from '../services/emailPersonalization.js';
+import { getStepKey, validateWorkflowGraph } from '../config/workflowGraph.js';
+import { filterSuppressedLeads } from '../services/suppression.js';
 
 const router = Router();
 
@@ -14,6 +16,42 @@ const supabase = createClient(
     process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+/**
+ * Map a client step to a workflow_steps row
+ * Targets (onTrue, onFalse, outcomes) refer to other steps by key
+ */
+function buildStepRow(step, index, workflowId) {
+    return {
+        workflow_id: workflowId,
+        step_number: index + 1,
+        step_key: getStepKey(step, index),
+        step_type: step.type,
+        delay_days: step.delayDays || 0,
+        delay_hours: step.delayHours || 0,
+        delay_minutes: step.delayMinutes || 0,
+        condition: step.condition || 'always',
+        // Routing
+        on_true: step.onTrue || null,
+        on_false: step.onFalse || null,
+        outcome_routes: step.outcomes || {},
+        // Email fields
+        email_subject: step.emailSubject || null,
+        email_body: step.emailBody || null,
+        email_cta_text: step.emailCtaText || null,
+        email_cta_url: step.emailCtaUrl || null,
+        // Call fields
+        call_assistant_id: step.callAssistantId || null,
+        call_script_context: step.callScriptContext || null,
+        call_max_duration_seconds: step.callMaxDuration || 300,
+        call_voicemail_drop: step.callVoicemailDrop ?? null,
+        call_voicemail_message: step.callVoicemailMessage || null,
+        // SMS fields
+        sms_message: step.smsMessage || null,
+        // Wait fields
+        wait_for: step.waitFor || null,
+    };
+}
+
 /**
  * GET /api/workflows
  * List user's workflows
@@ -63,6 +101,7 @@ router.post('/', async (req, res) => {
             description,
             campaignId,
             timezone = 'UTC',
+            useLeadTimezone = true,
             sendWindowStart = '09:00',
             sendWindowEnd = '17:00',
             sendDays = [1, 2, 3, 4, 5],
@@ -80,6 +119,11 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Workflow name is required' });
         }
 
+        const graph = validateWorkflowGraph(steps);
+        if (!graph.valid) {
+            return res.status(400).json({ error: 'Invalid workflow steps', details: graph.errors });
+        }
+
         // Create workflow
         const { data: workflow, error: workflowError } = await supabase
             .from('outreach_workflows')
@@ -89,6 +133,7 @@ router.post('/', async (req, res) => {
                 name,
                 description,
                 timezone,
+                use_lead_timezone: useLeadTimezone,
                 send_window_start: sendWindowStart,
                 send_window_end: sendWindowEnd,
                 send_days: sendDays,
@@ -111,28 +156,7 @@ router.post('/', async (req, res) => {
 
         // Create steps
         if (steps.length > 0) {
-            const stepsData = steps.map((step, index) => ({
-                workflow_id: workflow.id,
-                step_number: index + 1,
-                step_type: step.type,
-                delay_days: step.delayDays || 0,
-                delay_hours: step.delayHours || 0,
-                delay_minutes: step.delayMinutes || 0,
-                condition: step.condition || 'always',
-                // Email fields
-                email_subject: step.emailSubject || null,
-                email_body: step.emailBody || null,
-                email_cta_text: step.emailCtaText || null,
-                email_cta_url: step.emailCtaUrl || null,
-                // Call fields
-                call_assistant_id: step.callAssistantId || null,
-                call_script_context: step.callScriptContext || null,
-                call_max_duration_seconds: step.callMaxDuration || 300,
-                // SMS fields
-                sms_message: step.smsMessage || null,
-                // Wait fields
-                wait_for: step.waitFor || null,
-            }));
+            const stepsData = steps.map((step, index) => buildStepRow(step, index, workflow.id));
 
             const { error: stepsError } = await supabase
                 .from('workflow_steps')
@@ -197,6 +221,7 @@ router.get('/:id', async (req, res) => {
             stopped_call: 0,
             stopped_click: 0,
             stopped_bounce: 0,
+            stopped_meeting: 0,
             paused: 0,
         };
 
@@ -232,6 +257,7 @@ router.patch('/:id', async (req, res) => {
             name,
             description,
             timezone,
+            useLeadTimezone,
             sendWindowStart,
             sendWindowEnd,
             sendDays,
@@ -245,11 +271,19 @@ router.patch('/:id', async (req, res) => {
             steps
         } = req.body;
 
+        if (steps !== undefined) {
+            const graph = validateWorkflowGraph(steps);
+            if (!graph.valid) {
+                return res.status(400).json({ error: 'Invalid workflow steps', details: graph.errors });
+            }
+        }
+
         // Build update object
         const updates = { updated_at: new Date().toISOString() };
         if (name !== undefined) updates.name = name;
         if (description !== undefined) updates.description = description;
         if (timezone !== undefined) updates.timezone = timezone;
+        if (useLeadTimezone !== undefined) updates.use_lead_timezone = useLeadTimezone;
         if (sendWindowStart !== undefined) updates.send_window_start = sendWindowStart;
         if (sendWindowEnd !== undefined) updates.send_window_end = sendWindowEnd;
         if (sendDays !== undefined) updates.send_days = sendDays;
@@ -273,33 +307,42 @@ router.patch('/:id', async (req, res) => {
             return res.status(500).json({ error: error.message });
         }
 
-        // Update steps if provided
+        // Update steps if provided - matched by key so active enrollments
+        // keep pointing at the same step ids
         if (steps && Array.isArray(steps)) {
-            await supabase
+            const { data: existingSteps } = await supabase
                 .from('workflow_steps')
-                .delete()
+                .select('id, step_key')
                 .eq('workflow_id', id);
 
-            const stepsData = steps.map((step, index) => ({
-                workflow_id: id,
-                step_number: index + 1,
-                step_type: step.type,
-                delay_days: step.delayDays || 0,
-                delay_hours: step.delayHours || 0,
-                delay_minutes: step.delayMinutes || 0,
-                condition: step.condition || 'always',
-                email_subject: step.emailSubject || null,
-                email_body: step.emailBody || null,
-                email_cta_text: step.emailCtaText || null,
-                email_cta_url: step.emailCtaUrl || null,
-                call_assistant_id: step.callAssistantId || null,
-                call_script_context: step.callScriptContext || null,
-                call_max_duration_seconds: step.callMaxDuration || 300,
-                sms_message: step.smsMessage || null,
-                wait_for: step.waitFor || null,
-            }));
-
-            await supabase.from('workflow_steps').insert(stepsData);
+            const existingByKey = Object.fromEntries(
+                (existingSteps || []).map(step => [step.step_key, step.id])
+            );
+            const stepsData = steps.map((step, index) => buildStepRow(step, index, id));
+            const keptKeys = new Set(stepsData.map(step => step.step_key));
+
+            const removedIds = (existingSteps || [])
+                .filter(step => !keptKeys.has(step.step_key))
+                .map(step => step.id);
+
+            if (removedIds.length > 0) {
+                await supabase
+                    .from('workflow_steps')
+                    .delete()
+                    .in('id', removedIds);
+            }
+
+            for (const stepData of stepsData) {
+                const existingId = existingByKey[stepData.step_key];
+                if (existingId) {
+                    await supabase
+                        .from('workflow_steps')
+                        .update({ ...stepData, updated_at: new Date().toISOString() })
+                        .eq('id', existingId);
+                } else {
+                    await supabase.from('workflow_steps').insert(stepData);
+                }
+            }
         }
 
         res.json({ workflow });
@@ -394,19 +437,13 @@ router.post('/:id/activate', async (req, res) => {
         const existingLeadIds = new Set((existingEnrollments || []).map(e => e.lead_id));
         const newLeadIds = leadsToEnroll.filter(lid => !existingLeadIds.has(lid));
 
-        // Get unsubscribed emails
+        // Skip leads on the suppression list
         const { data: leads } = await supabase
             .from('leads')
             .select('id, email, phone')
             .in('id', newLeadIds);
 
-        const { data: unsubscribes } = await supabase
-            .from('email_unsubscribes')
-            .select('email')
-            .eq('user_id', userId);
-
-        const unsubscribedEmails = new Set((unsubscribes || []).map(u => u.email));
-        const eligibleLeads = (leads || []).filter(l => !unsubscribedEmails.has(l.email));
+        const { allowed: eligibleLeads } = await filterSuppressedLeads(userId, leads || [], 'email');
 
         if (eligibleLeads.length === 0) {
             return res.status(400).json({ error: 'No eligible leads to enroll' });
@@ -429,6 +466,7 @@ router.post('/:id/activate', async (req, res) => {
             lead_id: lead.id,
             user_id: userId,
             current_step: 0,
+            next_step_id: firstStep.id,
             status: 'active',
             next_action_at: firstActionAt.toISOString(),
             next_action_type: firstStep.step_type,
@@ -571,6 +609,7 @@ router.get('/:id/analytics', async (req, res) => {
         // Calculate funnel
         const funnel = workflow.steps.map((step) => ({
             stepNumber: step.step_number,
+            stepKey: step.step_key,
             type: step.step_type,
             subject: step.email_subject?.substring(0, 40) || step.step_type.toUpperCase(),
             executed: step.executed || 0,
@@ -590,6 +629,7 @@ router.get('/:id/analytics', async (req, res) => {
             stopped_call: 0,
             stopped_click: 0,
             stopped_bounce: 0,
+            stopped_meeting: 0,
             paused: 0,
         };
 
@@ -0,0 +1,260 @@
+/**
+ * Call Insights Service
+ * Post-call pipeline: answers the campaign's qualification questions from the
+ * transcript with Claude, stores them in call_insights, and updates the
+ * lead's status and score.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    DEFAULT_QUALIFICATION_QUESTIONS,
+    validateQuestions,
+    isQualifiableCall,
+    buildExtractionPrompt,
+    parseExtractionResponse,
+    scoreInsights,
+    resolveLeadStatus,
+} from '../config/callInsights.js';
+import { isClaudeConfigured, promptClaude } from './claude.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Questions for a campaign (its own, or the defaults)
+ * @returns {Promise<{ questions: Object[], isDefault: boolean }>}
+ */
+export async function getCampaignQuestions(campaignId) {
+    if (!campaignId) {
+        return { questions: DEFAULT_QUALIFICATION_QUESTIONS, isDefault: true };
+    }
+
+    const { data: campaign } = await supabase
+        .from('campaigns')
+        .select('qualification_questions')
+        .eq('id', campaignId)
+        .single();
+
+    const { questions } = validateQuestions(campaign?.qualification_questions);
+    return questions
+        ? { questions, isDefault: false }
+        : { questions: DEFAULT_QUALIFICATION_QUESTIONS, isDefault: true };
+}
+
+/**
+ * Save a campaign's questions (null resets to the defaults)
+ * @returns {Promise<Object>} - { success, questions, error }
+ */
+export async function setCampaignQuestions(userId, campaignId, questions) {
+    let normalized = null;
+    if (questions !== null) {
+        const validation = validateQuestions(questions);
+        if (validation.error) {
+            return { success: false, error: validation.error };
+        }
+        normalized = validation.questions;
+    }
+
+    const { data, error } = await supabase
+        .from('campaigns')
+        .update({ qualification_questions: normalized })
+        .eq('id', campaignId)
+        .eq('user_id', userId)
+        .select('id')
+        .maybeSingle();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    if (!data) {
+        return { success: false, error: 'Campaign not found' };
+    }
+
+    return { success: true, questions: normalized || DEFAULT_QUALIFICATION_QUESTIONS, isDefault: !normalized };
+}
+
+/**
+ * Write the insight row for a call
+ */
+async function saveInsight(call, fields) {
+    const { data, error } = await supabase
+        .from('call_insights')
+        .upsert({
+            call_id: call.id,
+            vapi_call_id: call.vapi_call_id,
+            user_id: call.user_id,
+            lead_id: call.lead_id,
+            campaign_id: call.campaign_id,
+            updated_at: new Date().toISOString(),
+            ...fields,
+        }, { onConflict: 'call_id' })
+        .select()
+        .single();
+
+    if (error) {
+        console.error(`Failed to save call insight for ${call.id}:`, error.message);
+    }
+
+    return data;
+}
+
+/**
+ * Move the lead to its new status and score
+ */
+async function updateLead(leadId, outcome, score) {
+    const { data: lead } = await supabase
+        .from('leads')
+        .select('id, status')
+        .eq('id', leadId)
+        .single();
+
+    if (!lead) return null;
+
+    const status = resolveLeadStatus(outcome, lead.status);
+    await supabase
+        .from('leads')
+        .update({
+            status,
+            lead_score: score,
+            qualified_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+        })
+        .eq('id', leadId);
+
+    return status;
+}
+
+/**
+ * Qualify one call from its transcript
+ * @param {Object} options - { vapiCallId } or { callId, userId } (userId restricts to the owner)
+ * @returns {Promise<Object>} - { success, insight, skipped, error }
+ */
+export async function analyzeCall({ vapiCallId = null, callId = null, userId = null }) {
+    let query = supabase
+        .from('calls')
+        .select('id, vapi_call_id, user_id, lead_id, campaign_id, transcript, call_outcome, lead:leads(name)');
+    query = callId ? query.eq('id', callId) : query.eq('vapi_call_id', vapiCallId);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data: call, error: callError } = await query.maybeSingle();
+    if (callError) {
+        return { success: false, error: callError.message };
+    }
+    if (!call) {
+        return { success: false, error: 'Call not found' };
+    }
+
+    if (!isQualifiableCall(call)) {
+        const insight = await saveInsight(call, {
+            status: 'skipped',
+            error: `No conversation to qualify (${call.call_outcome || 'short transcript'})`,
+        });
+        return { success: true, skipped: true, insight };
+    }
+
+    if (!isClaudeConfigured()) {
+        return { success: false, error: 'Claude API not configured' };
+    }
+
+    const { questions } = await getCampaignQuestions(call.campaign_id);
+    await saveInsight(call, { status: 'processing', questions, error: null });
+
+    let campaign = null;
+    if (call.campaign_id) {
+        const { data } = await supabase
+            .from('campaigns')
+            .select('product_idea')
+            .eq('id', call.campaign_id)
+            .single();
+        campaign = data;
+    }
+
+    try {
+        const prompt = buildExtractionPrompt({
+            transcript: call.transcript,
+            questions,
+            productIdea: campaign?.product_idea,
+            leadName: call.lead?.name,
+        });
+        const result = await promptClaude(prompt, 'haiku');
+        const { answers, outcome, reasoning } = parseExtractionResponse(result, questions);
+        const score = scoreInsights(answers, questions, outcome);
+
+        const leadStatus = call.lead_id ? await updateLead(call.lead_id, outcome, score) : null;
+
+        // calls.interest_score is 1-10
+        await supabase
+            .from('calls')
+            .update({ interest_score: Math.max(1, Math.round(score / 10)) })
+            .eq('id', call.id);
+
+        const insight = await saveInsight(call, {
+            status: 'completed',
+            questions,
+            answers,
+            outcome,
+            reasoning,
+            score,
+            lead_status: leadStatus,
+            error: null,
+        });
+
+        console.log(`🧠 Call ${call.id} qualified: ${outcome}, score ${score}${leadStatus ? `, lead -> ${leadStatus}` : ''}`);
+        return { success: true, insight };
+    } catch (error) {
+        console.error(`Call insight extraction failed for ${call.id}:`, error.message);
+        const insight = await saveInsight(call, { status: 'failed', error: error.message });
+        return { success: false, insight, error: error.message };
+    }
+}
+
+/**
+ * Insight for one call
+ */
+export async function getCallInsight(userId, callId) {
+    const { data, error } = await supabase
+        .from('call_insights')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('call_id', callId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * List a user's insights
+ * @param {Object} filters - { campaignId, leadId, outcome, status, limit, offset }
+ * @returns {Promise<Object>} - { success, insights, total, error }
+ */
+export async function listCallInsights(userId, { campaignId = null, leadId = null, outcome = null, status = null, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+        .from('call_insights')
+        .select('*, lead:leads(name, phone, status, lead_score)', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (campaignId) query = query.eq('campaign_id', campaignId);
+    if (leadId) query = query.eq('lead_id', leadId);
+    if (outcome) query = query.eq('outcome', outcome);
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query;
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, insights: data || [], total: count || 0 };
+}
+
+export default {
+    getCampaignQuestions,
+    setCampaignQuestions,
+    analyzeCall,
+    getCallInsight,
+    listCallInsights,
+};
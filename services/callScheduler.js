@@ -1,5 +1,11 @@
 import cron from 'node-cron';
 import { createClient } from '@supabase/supabase-js';
+import { reserveNumber, releaseNumber } from './numberPool.js';
+import { checkSuppression, describeSuppression } from './suppression.js';
+import { screenPhone, describeScreening } from './dnc.js';
+import { checkCallingHours, describeCallingHours } from './callingHours.js';
+import { applyCallDisclosure, logDisclosure } from './consent.js';
+import { getCampaignVoicemailDrop, applyCampaignVoicemailDrop } from './voicemailDrop.js';
 
 const VAPI_API_URL = 'https://api.vapi.ai';
 const VAPI_API_KEY = process.env.VAPI_API_KEY;
@@ -124,16 +130,55 @@ class CallScheduler {
      * Execute a scheduled call
      */
     async executeScheduledCall(scheduledCall) {
-        const { id, user_id, phone_number, customer_name, product_idea, company_context, assistant_id, lead_id } = scheduledCall;
+        const {
+            id,
+            user_id,
+            phone_number,
+            customer_name,
+            product_idea,
+            company_context,
+            assistant_id,
+            lead_id,
+            campaign_id,
+        } = scheduledCall;
 
         console.log(`📞 Executing scheduled call ${id} to ${phone_number}`);
 
         // Mark as in_progress
         await this.updateStatus(id, 'in_progress', { executed_at: new Date().toISOString() });
 
+        let userPhone = null;
+        let callPlaced = false;
+
         try {
-            // Get available phone number for the user
-            const userPhone = await this.getUserPhoneNumber(user_id);
+            // Suppressed numbers are cancelled rather than retried
+            const suppression = await checkSuppression(user_id, { phone: phone_number });
+            if (suppression) {
+                await this.updateStatus(id, 'cancelled', { last_error: describeSuppression(suppression) });
+                console.log(`🚫 Scheduled call ${id} cancelled: ${describeSuppression(suppression)}`);
+                return;
+            }
+
+            const dncScreening = await screenPhone(user_id, phone_number, { leadId: lead_id, context: 'scheduled' });
+            if (dncScreening.status === 'error') {
+                // Lookup failed - retry later rather than dial unscreened
+                throw new Error(describeScreening(dncScreening));
+            }
+            if (!dncScreening.allowed) {
+                await this.updateStatus(id, 'cancelled', { last_error: describeScreening(dncScreening) });
+                console.log(`🚫 Scheduled call ${id} cancelled: ${describeScreening(dncScreening)}`);
+                return;
+            }
+
+            // Outside the recipient's legal calling hours - move to the next slot
+            const callingHours = await checkCallingHours(phone_number, { userId: user_id, leadId: lead_id });
+            if (!callingHours.allowed) {
+                await this.deferToCallingWindow(scheduledCall, callingHours);
+                return;
+            }
+
+            // Reserve one of the user's numbers, local to the lead if possible
+            userPhone = await reserveNumber(user_id, { leadPhone: phone_number });
 
             if (!userPhone) {
                 throw new Error('No available phone numbers - daily limit reached or none configured');
@@ -167,6 +212,12 @@ class CallScheduler {
                 callPayload.assistant = this.createMarketResearchAssistant(product_idea, company_context);
             }
 
+            const voicemailDrop = await getCampaignVoicemailDrop(user_id, campaign_id);
+            applyCampaignVoicemailDrop(callPayload, voicemailDrop, { name: customer_name });
+
+            // Recording/AI disclosure required at the destination goes first
+            const disclosure = await applyCallDisclosure(callPayload, { userId: user_id, phone: phone_number });
+
             // Make the VAPI call
             const response = await fetch(`${VAPI_API_URL}/call/phone`, {
                 method: 'POST',
@@ -183,9 +234,7 @@ class CallScheduler {
             }
 
             const vapiResponse = await response.json();
-
-            // Increment phone usage
-            await this.incrementPhoneUsage(userPhone.phone_number_id, user_id, vapiResponse.id);
+            callPlaced = true;
 
             // Store call record in calls table
             const { data: callRecord } = await supabase.from('calls').insert({
@@ -199,6 +248,7 @@ class CallScheduler {
                 status: 'initiated',
                 raw_response: vapiResponse,
             }).select().single();
+            await logDisclosure(disclosure, { userId: user_id, vapiCallId: vapiResponse.id, phone: phone_number });
 
             // Mark scheduled call as completed
             await this.updateStatus(id, 'completed', {
@@ -211,10 +261,40 @@ class CallScheduler {
 
         } catch (error) {
             console.error(`❌ Scheduled call ${id} failed:`, error.message);
+            if (userPhone && !callPlaced) {
+                await releaseNumber(userPhone);
+            }
             await this.handleCallFailure(scheduledCall, error);
         }
     }
 
+    /**
+     * Push a call outside calling hours to the next allowed slot
+     * Deferrals don't use up a retry; calls with no slot (unparseable numbers) are cancelled
+     */
+    async deferToCallingWindow(scheduledCall, callingHours) {
+        const { id, status } = scheduledCall;
+        const reason = describeCallingHours(callingHours);
+
+        if (!callingHours.nextAllowedAt) {
+            await this.updateStatus(id, 'cancelled', { last_error: reason });
+            console.log(`🚫 Scheduled call ${id} cancelled: ${reason}`);
+            return;
+        }
+
+        const nextAllowedAt = callingHours.nextAllowedAt.toISOString();
+        const updates = status === 'retry_scheduled'
+            ? { next_retry_at: nextAllowedAt }
+            : { scheduled_at: nextAllowedAt };
+
+        await this.updateStatus(id, status === 'retry_scheduled' ? 'retry_scheduled' : 'pending', {
+            ...updates,
+            last_error: reason,
+        });
+
+        console.log(`🕘 Scheduled call ${id} deferred to ${nextAllowedAt}`);
+    }
+
     /**
      * Handle call failure - schedule retry or mark as failed
      */
@@ -262,83 +342,6 @@ class CallScheduler {
         }
     }
 
-    /**
-     * Get next available phone number for a user
-     */
-    async getUserPhoneNumber(userId) {
-        const today = new Date().toISOString().split('T')[0];
-
-        // Reset daily counters if needed
-        await supabase
-            .from('user_phone_numbers')
-            .update({ daily_calls_used: 0, last_reset_date: today })
-            .eq('user_id', userId)
-            .lt('last_reset_date', today);
-
-        // Get phone with lowest usage under limit
-        const { data: phoneNumber, error } = await supabase
-            .from('user_phone_numbers')
-            .select('*')
-            .eq('user_id', userId)
-            .eq('status', 'active')
-            .order('daily_calls_used', { ascending: true })
-            .limit(1)
-            .single();
-
-        if (error || !phoneNumber) {
-            return null;
-        }
-
-        if (phoneNumber.daily_calls_used >= phoneNumber.daily_calls_limit) {
-            return null;
-        }
-
-        return phoneNumber;
-    }
-
-    /**
-     * Increment phone usage counter
-     */
-    async incrementPhoneUsage(phoneNumberId, userId, callId = null) {
-        const { error: rpcError } = await supabase.rpc('increment_phone_usage', {
-            p_phone_number_id: phoneNumberId,
-            p_user_id: userId,
-            p_call_id: callId
-        });
-
-        // Fallback if RPC doesn't exist - use read-then-update
-        if (rpcError) {
-            console.log('  [Scheduler] RPC not available, using fallback increment');
-
-            // Get current values
-            const { data: current, error: readError } = await supabase
-                .from('user_phone_numbers')
-                .select('daily_calls_used, total_calls_made')
-                .eq('phone_number_id', phoneNumberId)
-                .eq('user_id', userId)
-                .single();
-
-            if (readError || !current) {
-                console.error('[Scheduler] Failed to read phone number for increment:', readError);
-                return;
-            }
-
-            // Update with incremented values
-            const { error: updateError } = await supabase
-                .from('user_phone_numbers')
-                .update({
-                    daily_calls_used: (current.daily_calls_used || 0) + 1,
-                    total_calls_made: (current.total_calls_made || 0) + 1,
-                })
-                .eq('phone_number_id', phoneNumberId)
-                .eq('user_id', userId);
-
-            if (updateError) {
-                console.error('[Scheduler] Failed to increment phone usage:', updateError);
-            }
-        }
-    }
-
     /**
      * Build system prompt for market research
      */
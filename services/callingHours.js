@@ -0,0 +1,125 @@
+/**
+ * Calling Hours Guard
+ * Checks every outbound dial against the destination country's legal calling
+ * hours in the recipient's local time, and defers calls that fall outside them
+ * to scheduled_calls so the call scheduler places them in the next window.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_DNC_COUNTRY } from '../config/dnc.js';
+import { evaluateCallingHours } from '../config/callingHours.js';
+
+const LEAD_LOCATION_FIELDS = 'id, timezone, latitude, longitude, city';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+function defaultCountry() {
+    return process.env.DNC_DEFAULT_COUNTRY || DEFAULT_DNC_COUNTRY;
+}
+
+/**
+ * Find the lead being called so its timezone can be used
+ * Without one the guard falls back to every zone of the number's country,
+ * which is stricter, so lookup errors are not fatal
+ */
+async function findLead(userId, phone, leadId) {
+    if (!leadId && !userId) return null;
+
+    let query = supabase.from('leads').select(LEAD_LOCATION_FIELDS).limit(1);
+    query = leadId ? query.eq('id', leadId) : query.eq('user_id', userId).eq('phone', phone);
+
+    const { data, error } = await query;
+    if (error) {
+        console.error(`Error loading lead location for ${phone}:`, error.message);
+        return null;
+    }
+
+    return data?.[0] || null;
+}
+
+/**
+ * Check whether a number may be dialled now
+ * @param {string} phone - Number about to be dialled
+ * @param {Object} options - { userId, leadId, lead, now } - lead is looked up when not passed
+ * @returns {Promise<Object>} - { allowed, phoneE164, country, rule, timezones, nextAllowedAt }
+ */
+export async function checkCallingHours(phone, { userId = null, leadId = null, lead = null, now = new Date() } = {}) {
+    const recipient = lead || await findLead(userId, phone, leadId);
+
+    const result = evaluateCallingHours(phone, {
+        lead: recipient,
+        now,
+        defaultCountry: defaultCountry(),
+    });
+
+    if (!result.allowed) {
+        console.log(`🕘 Outside calling hours: ${result.phoneE164 || phone} (${result.country || 'unknown'}), next slot ${result.nextAllowedAt?.toISOString() || 'none'}`);
+    }
+
+    return result;
+}
+
+/**
+ * Queue a call for the next allowed slot instead of dialling it now
+ * @param {string} userId - Owner of the call
+ * @param {Object} call - { phoneNumber, customerName, leadId, campaignId, productIdea, companyContext, assistantId }
+ * @param {Object} callingHours - Result of checkCallingHours
+ * @returns {Promise<Object>} - { success, scheduledCall, error }
+ */
+export async function deferCall(userId, call, callingHours) {
+    if (!callingHours.nextAllowedAt) {
+        return { success: false, error: describeCallingHours(callingHours) };
+    }
+
+    const { data, error } = await supabase
+        .from('scheduled_calls')
+        .insert({
+            user_id: userId,
+            lead_id: call.leadId || null,
+            campaign_id: call.campaignId || null,
+            phone_number: call.phoneNumber,
+            customer_name: call.customerName || null,
+            scheduled_at: callingHours.nextAllowedAt.toISOString(),
+            product_idea: call.productIdea || '',
+            company_context: call.companyContext || null,
+            assistant_id: call.assistantId || null,
+            status: 'pending',
+            last_error: describeCallingHours(callingHours),
+        })
+        .select()
+        .single();
+
+    if (error) {
+        console.error(`Error deferring call to ${call.phoneNumber}:`, error.message);
+        return { success: false, error: error.message };
+    }
+
+    console.log(`📅 Call to ${call.phoneNumber} deferred to ${data.scheduled_at}`);
+    return { success: true, scheduledCall: data };
+}
+
+/**
+ * Human-readable reason a dial was refused or deferred
+ */
+export function describeCallingHours(callingHours) {
+    if (callingHours.allowed) {
+        return `${callingHours.phoneE164} is within calling hours`;
+    }
+    if (!callingHours.phoneE164) {
+        return 'Phone number could not be normalized to check calling hours';
+    }
+
+    const next = callingHours.nextAllowedAt
+        ? `; next allowed at ${callingHours.nextAllowedAt.toISOString()}`
+        : '';
+    return `Outside legal calling hours for ${callingHours.country || 'the destination'} (${callingHours.rule}, recipient time ${callingHours.timezones.join(', ')})${next}`;
+}
+
+export default {
+    checkCallingHours,
+    deferCall,
+    describeCallingHours,
+};
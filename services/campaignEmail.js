@@ -1,11 +1,9 @@
 /**
  * Campaign Email Service
- * Handles sending marketing campaign emails via Resend
+ * Handles sending marketing campaign emails through the platform transport
  */
 
-import { Resend } from 'resend';
-
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+import { sendEmail, isConfigured } from './emailTransport.js';
 
 const FROM_ADDRESS = process.env.EMAIL_FROM_ADDRESS || 'ValidateCall <noreply@validatecall.com>';
 const REPLY_TO = process.env.EMAIL_REPLY_TO || 'support@validatecall.com';
@@ -14,64 +12,54 @@ const REPLY_TO = process.env.EMAIL_REPLY_TO || 'support@validatecall.com';
  * Send a campaign email to a single recipient
  */
 export async function sendCampaignEmail({ to, subject, html, text }) {
-    if (!resend) {
-        console.warn('RESEND_API_KEY not set - skipping campaign email');
+    if (!isConfigured()) {
+        console.warn('No email provider configured - skipping campaign email');
         return { success: false, error: 'Email service not configured' };
     }
 
-    try {
-        const { data, error } = await resend.emails.send({
-            from: FROM_ADDRESS,
-            to,
-            replyTo: REPLY_TO,
-            subject,
-            html: wrapInTemplate(html),
-            text,
-        });
-
-        if (error) {
-            console.error(`Campaign email failed to ${to}:`, error);
-            return { success: false, error: error.message };
-        }
-
-        return { success: true, emailId: data.id };
-    } catch (err) {
-        console.error(`Campaign email exception for ${to}:`, err);
-        return { success: false, error: err.message };
+    const result = await sendEmail({
+        from: FROM_ADDRESS,
+        to,
+        replyTo: REPLY_TO,
+        subject,
+        html: wrapInTemplate(html),
+        text,
+    });
+
+    if (!result.success) {
+        console.error(`Campaign email failed to ${to}:`, result.error);
+        return { success: false, error: result.error };
     }
+
+    return { success: true, emailId: result.messageId, provider: result.provider };
 }
 
 /**
  * Send a triggered email (usage alerts, win-back, etc.)
  */
 export async function sendTriggerEmail({ to, subject, html, text, triggerType }) {
-    if (!resend) {
-        console.warn('RESEND_API_KEY not set - skipping trigger email');
+    if (!isConfigured()) {
+        console.warn('No email provider configured - skipping trigger email');
         return { success: false, error: 'Email service not configured' };
     }
 
-    try {
-        const { data, error } = await resend.emails.send({
-            from: FROM_ADDRESS,
-            to,
-            replyTo: REPLY_TO,
-            subject,
-            html: wrapInTemplate(html),
-            text,
-            tags: [{ name: 'trigger_type', value: triggerType }],
-        });
-
-        if (error) {
-            console.error(`Trigger email failed to ${to}:`, error);
-            return { success: false, error: error.message };
-        }
-
-        console.log(`Trigger email sent to ${to} (${triggerType}), id: ${data.id}`);
-        return { success: true, emailId: data.id };
-    } catch (err) {
-        console.error(`Trigger email exception for ${to}:`, err);
-        return { success: false, error: err.message };
+    const result = await sendEmail({
+        from: FROM_ADDRESS,
+        to,
+        replyTo: REPLY_TO,
+        subject,
+        html: wrapInTemplate(html),
+        text,
+        tags: [{ name: 'trigger_type', value: triggerType }],
+    });
+
+    if (!result.success) {
+        console.error(`Trigger email failed to ${to}:`, result.error);
+        return { success: false, error: result.error };
     }
+
+    console.log(`Trigger email sent to ${to} (${triggerType}), id: ${result.messageId}`);
+    return { success: true, emailId: result.messageId, provider: result.provider };
 }
 
 /**
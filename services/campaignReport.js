@@ -0,0 +1,119 @@
+/**
+ * Campaign Report Service
+ * Builds the market validation report for a campaign from its calls and
+ * call insights, caching Claude's write-up on the campaign.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    MIN_REPORT_CONVERSATIONS,
+    computeCampaignMetrics,
+    buildReportPrompt,
+    parseReportResponse,
+} from '../config/campaignReport.js';
+import { isClaudeConfigured, promptClaude } from './claude.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PAGE_SIZE = 1000;
+const MAX_REPORT_CALLS = 5000;
+
+/**
+ * Read every row of a query in pages (PostgREST caps responses at 1000 rows)
+ */
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+    for (let from = 0; from < MAX_REPORT_CALLS; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+    return rows;
+}
+
+/**
+ * A campaign's calls, newest first, with their lead segment and insight
+ */
+async function getCampaignCalls(campaignId) {
+    const [calls, insights] = await Promise.all([
+        fetchAllRows(() => supabase
+            .from('calls')
+            .select('id, status, call_outcome, duration_seconds, transcript, summary, created_at, lead:leads(category, city)')
+            .eq('campaign_id', campaignId)
+            .order('created_at', { ascending: false })),
+        fetchAllRows(() => supabase
+            .from('call_insights')
+            .select('call_id, outcome, score')
+            .eq('campaign_id', campaignId)
+            .eq('status', 'completed')
+            .order('created_at', { ascending: false })),
+    ]);
+
+    const insightsByCall = new Map(insights.map(insight => [insight.call_id, insight]));
+    return calls.map(call => ({ ...call, insight: insightsByCall.get(call.id) || null }));
+}
+
+/**
+ * Market validation report for a campaign
+ * Claude's analysis is reused until the campaign has new conversations
+ * @param {Object} campaign - Campaign row (already checked to belong to the user)
+ * @param {Object} options - { refresh } - true regenerates the analysis
+ * @returns {Promise<Object>} - { success, report, cached, metrics, error }
+ */
+export async function getCampaignReport(campaign, { refresh = false } = {}) {
+    const calls = await getCampaignCalls(campaign.id);
+    const metrics = computeCampaignMetrics(calls);
+
+    if (metrics.conversations < MIN_REPORT_CONVERSATIONS) {
+        return { success: false, metrics, error: 'No conversations to analyze yet' };
+    }
+
+    const report = {
+        campaign: { id: campaign.id, name: campaign.name, productIdea: campaign.product_idea },
+        metrics,
+    };
+
+    const cached = campaign.validation_report;
+    if (!refresh && cached?.analysis && cached.conversations === metrics.conversations) {
+        return { success: true, cached: true, report: { ...report, generatedAt: cached.generatedAt, analysis: cached.analysis } };
+    }
+
+    if (!isClaudeConfigured()) {
+        return { success: false, metrics, error: 'Claude API not configured' };
+    }
+
+    const prompt = buildReportPrompt({ campaign, calls, metrics });
+    const result = await promptClaude(prompt, 'sonnet');
+
+    let analysis;
+    try {
+        analysis = parseReportResponse(result);
+    } catch (parseError) {
+        console.error(`Failed to parse report for campaign ${campaign.id}:`, parseError.message);
+        return { success: false, metrics, error: 'Failed to parse AI response' };
+    }
+    const generatedAt = new Date().toISOString();
+
+    const { error } = await supabase
+        .from('campaigns')
+        .update({
+            validation_report: { generatedAt, conversations: metrics.conversations, analysis },
+            validation_report_generated_at: generatedAt,
+        })
+        .eq('id', campaign.id);
+
+    if (error) {
+        console.error(`Failed to cache report for campaign ${campaign.id}:`, error.message);
+    }
+
+    console.log(`📊 Validation report for campaign ${campaign.id}: ${analysis.verdict} from ${metrics.conversations} conversations`);
+    return { success: true, cached: false, report: { ...report, generatedAt, analysis } };
+}
+
+export default {
+    getCampaignReport,
+};
@@ -0,0 +1,74 @@
+/**
+ * Claude Service
+ * Shared client for the Claude API proxy used by lead generation, pitch
+ * writing and post-call analysis
+ */
+
+// Clean up URL and API key (remove ALL quotes, semicolons, whitespace)
+const cleanEnvVar = (val) => val?.replace(/["';]/g, '').trim();
+const claudeApiUrl = cleanEnvVar(process.env.CLAUDE_API_URL);
+const claudeApiKey = cleanEnvVar(process.env.CLAUDE_API_KEY);
+
+/**
+ * Check if the Claude API is configured
+ */
+export function isClaudeConfigured() {
+    return !!(claudeApiUrl && claudeApiKey);
+}
+
+/**
+ * Send a prompt to the Claude API proxy (/v1/claude)
+ * @param {string} prompt - Full prompt text
+ * @param {string} model - 'sonnet' or 'haiku'
+ * @param {string} provider - Provider behind the proxy
+ * @returns {Promise<string|Object>} - The model's reply
+ */
+export async function promptClaude(prompt, model = 'sonnet', provider = 'claude') {
+    if (!claudeApiUrl || !claudeApiKey) {
+        throw new Error('Claude API not configured');
+    }
+
+    const url = `${claudeApiUrl}/v1/claude`;
+    const body = { prompt, model, provider };
+
+    console.log(`Calling Claude API at: ${url}`);
+    console.log(`Request body:`, JSON.stringify(body).substring(0, 200) + '...');
+
+    try {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 60000); // 60 second timeout
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-API-Key': claudeApiKey,
+            },
+            body: JSON.stringify(body),
+            signal: controller.signal,
+        });
+
+        clearTimeout(timeout);
+
+        console.log(`Claude API response status: ${response.status}`);
+
+        if (!response.ok) {
+            const error = await response.text();
+            console.error('Claude API response error:', response.status, error);
+            throw new Error(`Claude API error (${response.status}): ${error}`);
+        }
+
+        const data = await response.json();
+        console.log('Claude API response received:', typeof data);
+        return data.result || data.response || data.content || data;
+    } catch (err) {
+        console.error('Claude API fetch error:', err.message);
+        console.error('Full error:', err);
+        throw err;
+    }
+}
+
+export default {
+    isClaudeConfigured,
+    promptClaude,
+};
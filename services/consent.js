@@ -0,0 +1,290 @@
+/**
+ * Call Consent Service
+ * Puts the recording/AI disclosure in front of every outbound call's first
+ * message, logs each disclosure in call_consent_events, and suppresses the
+ * number of any lead who asks not to be called again.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    DEFAULT_CONSENT_MODE,
+    CONSENT_MODES,
+    buildDisclosure,
+    applyDisclosure,
+    validateDisclosureText,
+    detectOptOut,
+} from '../config/consent.js';
+import { DEFAULT_DNC_COUNTRY, toE164 } from '../config/dnc.js';
+import { addSuppression } from './suppression.js';
+
+const VAPI_API_URL = 'https://api.vapi.ai';
+const ASSISTANT_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// assistantId -> { firstMessage, fetchedAt }
+const assistantFirstMessages = new Map();
+
+function defaultCountry() {
+    return process.env.DNC_DEFAULT_COUNTRY || DEFAULT_DNC_COUNTRY;
+}
+
+/**
+ * A user's disclosure settings
+ * Falls back to the defaults (auto mode) if the profile can't be read
+ */
+export async function getConsentSettings(userId) {
+    if (!userId) {
+        return { mode: DEFAULT_CONSENT_MODE, customText: null, businessName: null };
+    }
+
+    const { data, error } = await supabase
+        .from('profiles')
+        .select('consent_disclosure_mode, consent_disclosure_text, company_name')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Consent settings lookup failed for ${userId}:`, error.message);
+    }
+
+    return {
+        mode: CONSENT_MODES.includes(data?.consent_disclosure_mode) ? data.consent_disclosure_mode : DEFAULT_CONSENT_MODE,
+        customText: data?.consent_disclosure_text || null,
+        businessName: data?.company_name || null,
+    };
+}
+
+/**
+ * Save a user's disclosure settings
+ * @param {Object} settings - { mode, customText } - customText null restores the built-in wording
+ */
+export async function saveConsentSettings(userId, { mode, customText }) {
+    const updates = {};
+
+    if (mode !== undefined) {
+        if (!CONSENT_MODES.includes(mode)) {
+            return { success: false, error: `mode must be one of: ${CONSENT_MODES.join(', ')}` };
+        }
+        updates.consent_disclosure_mode = mode;
+    }
+
+    if (customText !== undefined) {
+        const { text, error: validationError } = validateDisclosureText(customText);
+        if (validationError) {
+            return { success: false, error: validationError };
+        }
+        updates.consent_disclosure_text = text;
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return { success: false, error: 'mode or customText is required' };
+    }
+
+    const { error } = await supabase
+        .from('profiles')
+        .update(updates)
+        .eq('id', userId);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, ...(await getConsentSettings(userId)) };
+}
+
+/**
+ * Disclosure a call to this number needs (null if none)
+ */
+export async function getCallDisclosure(userId, phone) {
+    const settings = await getConsentSettings(userId);
+    return buildDisclosure(phone, {
+        ...settings,
+        defaultCountry: defaultCountry(),
+    });
+}
+
+/**
+ * First message configured on a saved VAPI assistant
+ * An assistantOverrides.firstMessage replaces it, so the disclosure has to
+ * be prepended to it rather than sent on its own
+ */
+async function getAssistantFirstMessage(assistantId, vapiApiKey) {
+    const cached = assistantFirstMessages.get(assistantId);
+    if (cached && Date.now() - cached.fetchedAt < ASSISTANT_CACHE_TTL_MS) {
+        return cached.firstMessage;
+    }
+
+    try {
+        const response = await fetch(`${VAPI_API_URL}/assistant/${assistantId}`, {
+            headers: { 'Authorization': `Bearer ${vapiApiKey}` },
+        });
+        if (!response.ok) {
+            console.error(`Failed to load assistant ${assistantId} for disclosure: ${response.status}`);
+            return null;
+        }
+
+        const assistant = await response.json();
+        const firstMessage = assistant.firstMessage || null;
+        assistantFirstMessages.set(assistantId, { firstMessage, fetchedAt: Date.now() });
+        return firstMessage;
+    } catch (error) {
+        console.error(`Failed to load assistant ${assistantId} for disclosure:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Work out and add the disclosure for an outbound call payload
+ * If a saved assistant's greeting can't be loaded the call opens with the
+ * disclosure alone - the assistant carries on from there
+ * @param {Object} callPayload - VAPI call payload (modified in place)
+ * @param {Object} options - { userId, phone, vapiApiKey }
+ * @returns {Promise<Object|null>} - The disclosure made, for logDisclosure
+ */
+export async function applyCallDisclosure(callPayload, { userId = null, phone, vapiApiKey = process.env.VAPI_API_KEY }) {
+    const disclosure = await getCallDisclosure(userId, phone);
+    if (!disclosure) return null;
+
+    let baseFirstMessage = null;
+    if (!callPayload.assistant && callPayload.assistantId && !callPayload.assistantOverrides?.firstMessage) {
+        baseFirstMessage = await getAssistantFirstMessage(callPayload.assistantId, vapiApiKey);
+    }
+
+    applyDisclosure(callPayload, disclosure, baseFirstMessage);
+    return disclosure;
+}
+
+/**
+ * Record a disclosure made on a call
+ * @param {Object} disclosure - From applyCallDisclosure / getCallDisclosure
+ * @param {Object} call - { userId, vapiCallId, phone, delivery } - delivery 'not_delivered'
+ *   when the call was routed somewhere the first message can't be changed (VoIPcloud)
+ */
+export async function logDisclosure(disclosure, { userId = null, vapiCallId = null, phone = null, delivery = 'first_message' }) {
+    if (!disclosure) return;
+
+    const { error } = await supabase
+        .from('call_consent_events')
+        .insert({
+            user_id: userId,
+            vapi_call_id: vapiCallId,
+            phone_number: phone,
+            event_type: 'disclosure',
+            country: disclosure.country,
+            required: disclosure.required,
+            basis: disclosure.basis,
+            disclosure_text: disclosure.text,
+            delivery,
+        });
+
+    if (error) {
+        console.error(`Failed to log disclosure for call ${vapiCallId}:`, error.message);
+    }
+}
+
+/**
+ * End-of-call consent handling
+ * Links the call's consent events to its calls row, and suppresses the
+ * number if the lead asked not to be called again
+ * @param {Object} report - { vapiCallId, customerNumber, transcript, messages }
+ * @returns {Promise<Object>} - { optedOut, phrase, suppression }
+ */
+export async function processCallConsent({ vapiCallId, customerNumber = null, transcript = null, messages = null }) {
+    const { data: call } = await supabase
+        .from('calls')
+        .select('id, user_id, phone_number')
+        .eq('vapi_call_id', vapiCallId)
+        .maybeSingle();
+
+    if (call) {
+        await supabase
+            .from('call_consent_events')
+            .update({ call_id: call.id })
+            .eq('vapi_call_id', vapiCallId)
+            .is('call_id', null);
+    }
+
+    const { optedOut, phrase } = detectOptOut({ transcript, messages });
+    if (!optedOut) {
+        return { optedOut: false };
+    }
+
+    const userId = call?.user_id || null;
+    const rawPhone = call?.phone_number || customerNumber;
+    const phone = toE164(rawPhone, defaultCountry()) || rawPhone;
+    let suppression = null;
+
+    if (userId && phone) {
+        const result = await addSuppression(userId, {
+            type: 'phone',
+            value: phone,
+            reason: 'do_not_call',
+            note: `Asked not to be called again: "${phrase}"`,
+        }, 'call');
+
+        if (result.success) {
+            suppression = result.suppression;
+        } else {
+            console.error(`Failed to suppress opted-out number for call ${vapiCallId}:`, result.error);
+        }
+    } else {
+        // Platform calls have no suppression list to add to
+        console.warn(`⚠️ Opt-out heard on call ${vapiCallId} but it has no owner - number not suppressed`);
+    }
+
+    const { error } = await supabase
+        .from('call_consent_events')
+        .insert({
+            user_id: userId,
+            call_id: call?.id || null,
+            vapi_call_id: vapiCallId,
+            phone_number: phone,
+            event_type: 'opt_out',
+            detected_phrase: phrase,
+            suppression_id: suppression?.id || null,
+        });
+
+    if (error) {
+        console.error(`Failed to log opt-out for call ${vapiCallId}:`, error.message);
+    }
+
+    console.log(`🚫 Call ${vapiCallId}: lead opted out ("${phrase}")`);
+    return { optedOut: true, phrase, suppression };
+}
+
+/**
+ * A user's consent log
+ * @param {Object} filters - { eventType, callId, limit, offset }
+ */
+export async function listConsentEvents(userId, { eventType = null, callId = null, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+        .from('call_consent_events')
+        .select('*', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (eventType) query = query.eq('event_type', eventType);
+    if (callId) query = query.eq('call_id', callId);
+
+    const { data, error, count } = await query;
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, events: data || [], total: count || 0 };
+}
+
+export default {
+    getConsentSettings,
+    saveConsentSettings,
+    getCallDisclosure,
+    applyCallDisclosure,
+    logDisclosure,
+    processCallConsent,
+    listConsentEvents,
+};
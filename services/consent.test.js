@@ -0,0 +1,59 @@
+/**
+ * Unit tests for call consent service
+ * Runs against a fake Supabase client; the suppression service is mocked.
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeSupabase } from '../test-utils/fakeSupabase.js';
+
+const supabase = createFakeSupabase(query => {
+    if (query.table === 'calls') {
+        return { data: { id: 'call-1', user_id: 'user-1', phone_number: '086 123 4567' } };
+    }
+    return {};
+});
+
+const addSuppression = jest.fn(async () => ({ success: true, suppression: { id: 's-1' } }));
+
+jest.unstable_mockModule('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+jest.unstable_mockModule('./suppression.js', () => ({ addSuppression }));
+
+const { processCallConsent } = await import('./consent.js');
+
+let consoleLog;
+
+beforeEach(() => {
+    supabase.calls.length = 0;
+    jest.clearAllMocks();
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    consoleLog.mockRestore();
+});
+
+describe('Processing Call Consent', () => {
+    test('should suppress an opted-out number in E.164', async () => {
+        const result = await processCallConsent({ vapiCallId: 'vapi-1', transcript: 'User: Stop calling.' });
+
+        expect(result).toMatchObject({ optedOut: true, suppression: { id: 's-1' } });
+        expect(addSuppression).toHaveBeenCalledWith(
+            'user-1',
+            expect.objectContaining({ type: 'phone', value: '+353861234567', reason: 'do_not_call' }),
+            'call'
+        );
+
+        const event = supabase.calls.find(q => q.table === 'call_consent_events' && q.action === 'insert');
+        expect(event.values).toMatchObject({ phone_number: '+353861234567', suppression_id: 's-1' });
+    });
+
+    test('should not suppress a callback request', async () => {
+        const result = await processCallConsent({
+            vapiCallId: 'vapi-1',
+            transcript: "User: I am busy, don't bother me now, call me next week",
+        });
+
+        expect(result).toEqual({ optedOut: false });
+        expect(addSuppression).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,448 @@
+/**
+ * Do-Not-Call Screening Service
+ * Loads national DNC registry files and screens numbers before every dial
+ *
+ * Registry numbers belong to a user, or to the platform (user_id NULL) so
+ * they apply to everyone. Every screening is written to dnc_screenings and
+ * the latest result is kept on the lead.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    DNC_REGISTRIES,
+    DNC_MODES,
+    DEFAULT_DNC_MODE,
+    DEFAULT_DNC_COUNTRY,
+    toE164,
+    parseRegistryFile,
+    resolveScreening,
+} from '../config/dnc.js';
+
+const INSERT_CHUNK_SIZE = 1000;
+const LOOKUP_CHUNK_SIZE = 200;
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+function defaultCountry() {
+    return process.env.DNC_DEFAULT_COUNTRY || DEFAULT_DNC_COUNTRY;
+}
+
+/**
+ * Restrict a query to a user's rows plus platform-wide rows
+ */
+function forOwner(query, userId) {
+    return userId
+        ? query.or(`user_id.eq.${userId},user_id.is.null`)
+        : query.is('user_id', null);
+}
+
+/**
+ * Get the user's DNC mode ('block' or 'flag')
+ */
+export async function getDncMode(userId) {
+    if (!userId) return DEFAULT_DNC_MODE;
+
+    const { data } = await supabase
+        .from('profiles')
+        .select('dnc_mode')
+        .eq('id', userId)
+        .maybeSingle();
+
+    return DNC_MODES.includes(data?.dnc_mode) ? data.dnc_mode : DEFAULT_DNC_MODE;
+}
+
+/**
+ * Set the user's DNC mode
+ */
+export async function setDncMode(userId, mode) {
+    if (!DNC_MODES.includes(mode)) {
+        return { success: false, error: `mode must be one of ${DNC_MODES.join(', ')}` };
+    }
+
+    const { error } = await supabase
+        .from('profiles')
+        .update({ dnc_mode: mode })
+        .eq('id', userId);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, mode };
+}
+
+/**
+ * Load a registry file
+ * @param {Object} options
+ * @param {string|null} options.userId - Owner (null = platform-wide)
+ * @param {string} options.registry - Key of DNC_REGISTRIES
+ * @param {string} options.text - File contents
+ * @param {string} options.fileName - Original file name
+ * @param {boolean} options.replace - Remove the registry's previous numbers first (full snapshot)
+ */
+export async function importRegistryFile({ userId = null, registry, text, fileName = null, replace = false }) {
+    if (!DNC_REGISTRIES[registry]) {
+        return { success: false, error: `Unknown registry: ${registry}` };
+    }
+
+    const { numbers, invalid, lines } = parseRegistryFile(text, registry);
+    if (numbers.length === 0) {
+        return { success: false, error: 'No phone numbers found in the file' };
+    }
+
+    const { data: upload, error: uploadError } = await supabase
+        .from('dnc_registry_uploads')
+        .insert({
+            user_id: userId,
+            registry,
+            file_name: fileName,
+            replaced_existing: replace,
+            line_count: lines,
+            invalid_count: invalid,
+        })
+        .select()
+        .single();
+
+    if (uploadError) {
+        return { success: false, error: uploadError.message };
+    }
+
+    try {
+        if (replace) {
+            let deleteQuery = supabase
+                .from('dnc_registry_numbers')
+                .delete()
+                .eq('registry', registry);
+            deleteQuery = userId ? deleteQuery.eq('user_id', userId) : deleteQuery.is('user_id', null);
+
+            const { error } = await deleteQuery;
+            if (error) throw error;
+        }
+
+        for (let i = 0; i < numbers.length; i += INSERT_CHUNK_SIZE) {
+            const rows = numbers.slice(i, i + INSERT_CHUNK_SIZE).map(phone => ({
+                user_id: userId,
+                registry,
+                phone_e164: phone,
+                upload_id: upload.id,
+            }));
+
+            const { error } = await supabase
+                .from('dnc_registry_numbers')
+                .upsert(rows, { onConflict: 'user_id,registry,phone_e164', ignoreDuplicates: true });
+
+            if (error) throw error;
+        }
+
+        await supabase
+            .from('dnc_registry_uploads')
+            .update({
+                status: 'completed',
+                number_count: numbers.length,
+                completed_at: new Date().toISOString(),
+            })
+            .eq('id', upload.id);
+
+        console.log(`☎️ Loaded ${numbers.length} ${registry} DNC numbers for ${userId || 'platform'} (${invalid} invalid lines)`);
+        return { success: true, uploadId: upload.id, numbers: numbers.length, invalid, lines };
+    } catch (error) {
+        console.error(`DNC registry import failed (${registry}):`, error.message);
+        await supabase
+            .from('dnc_registry_uploads')
+            .update({ status: 'failed', error: error.message, completed_at: new Date().toISOString() })
+            .eq('id', upload.id);
+
+        return { success: false, uploadId: upload.id, error: error.message };
+    }
+}
+
+/**
+ * Registries with numbers loaded for a user (their own or platform-wide)
+ * @returns {Promise<string[]>}
+ */
+export async function getLoadedRegistries(userId) {
+    const { data } = await forOwner(
+        supabase
+            .from('dnc_registry_uploads')
+            .select('registry')
+            .eq('status', 'completed'),
+        userId
+    );
+
+    return [...new Set((data || []).map(u => u.registry))];
+}
+
+/**
+ * Registries listing each of the given E.164 numbers
+ * @returns {Promise<Map<string, string[]>>} - phone_e164 -> registries
+ */
+async function findListings(userId, phones) {
+    const listings = new Map();
+
+    for (let i = 0; i < phones.length; i += LOOKUP_CHUNK_SIZE) {
+        const { data, error } = await forOwner(
+            supabase
+                .from('dnc_registry_numbers')
+                .select('registry, phone_e164')
+                .in('phone_e164', phones.slice(i, i + LOOKUP_CHUNK_SIZE)),
+            userId
+        );
+
+        if (error) throw new Error(`DNC lookup failed: ${error.message}`);
+
+        for (const row of data || []) {
+            listings.set(row.phone_e164, [...(listings.get(row.phone_e164) || []), row.registry]);
+        }
+    }
+
+    return listings;
+}
+
+function getAction(result, mode) {
+    if (!result.allowed) return 'blocked';
+    return result.status === 'listed' && mode === 'flag' ? 'flagged' : 'allowed';
+}
+
+/**
+ * Screen one number before dialing
+ * Fails closed: if the lookup errors, the call is blocked.
+ * @param {string|null} userId - Dialing user (null = platform-only registries)
+ * @param {string} phone - Number about to be dialed
+ * @param {Object} options - { leadId, context }
+ * @returns {Promise<Object>} - { allowed, status, registry, phoneE164, action, mode }
+ */
+export async function screenPhone(userId, phone, { leadId = null, context = 'call' } = {}) {
+    const phoneE164 = toE164(phone, defaultCountry());
+    const mode = await getDncMode(userId);
+
+    let result;
+    try {
+        const listings = phoneE164 ? await findListings(userId, [phoneE164]) : new Map();
+        const loaded = await getLoadedRegistries(userId);
+        result = resolveScreening(phoneE164, listings.get(phoneE164) || [], loaded, mode);
+    } catch (error) {
+        console.error(`DNC screening failed for ${phone}:`, error.message);
+        return { allowed: false, status: 'error', registry: null, phoneE164, action: 'blocked', mode, error: error.message };
+    }
+
+    const action = getAction(result, mode);
+    const checkedAt = new Date().toISOString();
+
+    await supabase.from('dnc_screenings').insert({
+        user_id: userId,
+        lead_id: leadId,
+        phone,
+        phone_e164: phoneE164,
+        status: result.status,
+        registry: result.registry,
+        mode,
+        action,
+        context,
+    });
+
+    // Keep the latest result on the lead
+    const leadUpdate = {
+        phone_e164: phoneE164,
+        dnc_status: result.status,
+        dnc_registry: result.registry,
+        dnc_checked_at: checkedAt,
+    };
+    if (leadId) {
+        await supabase.from('leads').update(leadUpdate).eq('id', leadId);
+    } else if (userId) {
+        await supabase.from('leads').update(leadUpdate).eq('user_id', userId).eq('phone', phone);
+    }
+
+    if (action !== 'allowed') {
+        console.log(`☎️ DNC ${action}: ${phoneE164 || phone} (${result.status}${result.registry ? `, ${result.registry}` : ''})`);
+    }
+
+    return { ...result, phoneE164, action, mode };
+}
+
+/**
+ * Screen a user's leads in bulk and record the results on them
+ * @param {string} userId - Owner of the leads
+ * @param {Object} options - { leadIds, campaignId } - all of the user's leads with a phone if neither
+ * @returns {Promise<Object>} - { success, screened, listed, clear, unscreened, invalid }
+ */
+export async function screenLeads(userId, { leadIds = null, campaignId = null } = {}) {
+    let ids = leadIds;
+
+    if (!ids && campaignId) {
+        const { data: campaign } = await supabase
+            .from('campaigns')
+            .select('lead_ids')
+            .eq('id', campaignId)
+            .eq('user_id', userId)
+            .maybeSingle();
+        ids = campaign?.lead_ids || [];
+    }
+
+    let query = supabase
+        .from('leads')
+        .select('id, phone')
+        .eq('user_id', userId)
+        .not('phone', 'is', null);
+    if (ids) query = query.in('id', ids);
+
+    const { data: leads, error } = await query;
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    const mode = await getDncMode(userId);
+    const loaded = await getLoadedRegistries(userId);
+    const normalized = (leads || []).map(lead => ({ ...lead, phoneE164: toE164(lead.phone, defaultCountry()) }));
+    const listings = await findListings(userId, [...new Set(normalized.map(l => l.phoneE164).filter(Boolean))]);
+
+    const counts = { screened: 0, clear: 0, listed: 0, unscreened: 0, invalid: 0 };
+    const checkedAt = new Date().toISOString();
+    const screenings = [];
+
+    for (const lead of normalized) {
+        const result = resolveScreening(lead.phoneE164, listings.get(lead.phoneE164) || [], loaded, mode);
+        counts.screened++;
+        counts[result.status]++;
+
+        await supabase
+            .from('leads')
+            .update({
+                phone_e164: lead.phoneE164,
+                dnc_status: result.status,
+                dnc_registry: result.registry,
+                dnc_checked_at: checkedAt,
+            })
+            .eq('id', lead.id);
+
+        screenings.push({
+            user_id: userId,
+            lead_id: lead.id,
+            phone: lead.phone,
+            phone_e164: lead.phoneE164,
+            status: result.status,
+            registry: result.registry,
+            mode,
+            action: getAction(result, mode),
+            context: 'bulk_screen',
+        });
+    }
+
+    for (let i = 0; i < screenings.length; i += INSERT_CHUNK_SIZE) {
+        await supabase.from('dnc_screenings').insert(screenings.slice(i, i + INSERT_CHUNK_SIZE));
+    }
+
+    return { success: true, mode, registries: loaded, ...counts };
+}
+
+/**
+ * Loaded registries with their number counts and latest upload
+ */
+export async function getRegistrySummary(userId) {
+    const { data: uploads } = await forOwner(
+        supabase
+            .from('dnc_registry_uploads')
+            .select('id, user_id, registry, file_name, number_count, invalid_count, status, error, created_at, completed_at')
+            .order('created_at', { ascending: false }),
+        userId
+    );
+
+    const summary = [];
+    for (const [key, registry] of Object.entries(DNC_REGISTRIES)) {
+        const { count } = await forOwner(
+            supabase
+                .from('dnc_registry_numbers')
+                .select('id', { count: 'exact', head: true })
+                .eq('registry', key),
+            userId
+        );
+
+        summary.push({
+            registry: key,
+            ...registry,
+            numbers: count || 0,
+            uploads: (uploads || []).filter(u => u.registry === key).map(u => ({ ...u, platform: !u.user_id })),
+        });
+    }
+
+    return summary;
+}
+
+/**
+ * Remove a registry's numbers and uploads
+ * @param {string|null} userId - Owner (null = platform-wide)
+ */
+export async function deleteRegistry(userId, registry) {
+    let numbersQuery = supabase.from('dnc_registry_numbers').delete().eq('registry', registry);
+    let uploadsQuery = supabase.from('dnc_registry_uploads').delete().eq('registry', registry);
+
+    numbersQuery = userId ? numbersQuery.eq('user_id', userId) : numbersQuery.is('user_id', null);
+    uploadsQuery = userId ? uploadsQuery.eq('user_id', userId) : uploadsQuery.is('user_id', null);
+
+    const { error: numbersError } = await numbersQuery;
+    if (numbersError) {
+        return { success: false, error: numbersError.message };
+    }
+
+    const { error: uploadsError } = await uploadsQuery;
+    if (uploadsError) {
+        return { success: false, error: uploadsError.message };
+    }
+
+    return { success: true };
+}
+
+/**
+ * Screening audit log
+ * @param {Object} options - { leadId, action, limit, offset }
+ */
+export async function listScreenings(userId, { leadId = null, action = null, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+        .from('dnc_screenings')
+        .select('*', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (leadId) query = query.eq('lead_id', leadId);
+    if (action) query = query.eq('action', action);
+
+    const { data, count, error } = await query;
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, screenings: data || [], total: count || 0 };
+}
+
+/**
+ * Human-readable reason a dial was blocked
+ */
+export function describeScreening(screening) {
+    if (screening.status === 'listed') {
+        return `${screening.phoneE164} is on the ${DNC_REGISTRIES[screening.registry]?.name || screening.registry}`;
+    }
+    if (screening.status === 'invalid') {
+        return 'Phone number could not be normalized to E.164 for do-not-call screening';
+    }
+    if (screening.status === 'error') {
+        return `Do-not-call screening failed: ${screening.error}`;
+    }
+    return `${screening.phoneE164} passed do-not-call screening`;
+}
+
+export default {
+    getDncMode,
+    setDncMode,
+    importRegistryFile,
+    getLoadedRegistries,
+    screenPhone,
+    screenLeads,
+    getRegistrySummary,
+    deleteRegistry,
+    listScreenings,
+    describeScreening,
+};
@@ -2,105 +2,13 @@
  * Email Service - Multi-Provider Support
  * Handles all transactional email sending for ValidateCall
  *
- * Supports: Resend, SendGrid
+ * Sends through the shared transport (services/emailTransport.js):
+ * Resend, SendGrid, SMTP or the local file sink, with failover.
  * For cold emails, users can provide their own API key to send
  * from their own verified domains/senders.
  */
 
-import { Resend } from 'resend';
-import sgMail from '@sendgrid/mail';
-import { getUserResendApiKey, getActiveEmailProvider } from './userSettings.js';
-
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
-
-/**
- * Get a Resend client - either the user's or the platform default
- * @param {string} userId - Optional user ID to get their API key
- * @returns {Resend|null} - Resend client or null if not configured
- */
-async function getResendClient(userId = null) {
-    // If userId provided, try to use their API key first
-    if (userId) {
-        const userApiKey = await getUserResendApiKey(userId);
-        if (userApiKey) {
-            return new Resend(userApiKey);
-        }
-    }
-
-    // Fall back to platform default
-    return resend;
-}
-
-/**
- * Get the email provider configuration for a user
- * @param {string} userId - User ID
- * @returns {Object} - { provider: 'resend'|'sendgrid'|null, apiKey, client }
- */
-async function getEmailProviderConfig(userId) {
-    if (!userId) {
-        return { provider: 'resend', client: resend, apiKey: null };
-    }
-
-    const providerConfig = await getActiveEmailProvider(userId);
-
-    if (!providerConfig) {
-        // Fall back to platform default
-        return { provider: 'resend', client: resend, apiKey: null };
-    }
-
-    if (providerConfig.provider === 'sendgrid') {
-        return {
-            provider: 'sendgrid',
-            apiKey: providerConfig.apiKey,
-            client: null, // SendGrid uses a different pattern
-        };
-    }
-
-    if (providerConfig.provider === 'resend') {
-        return {
-            provider: 'resend',
-            apiKey: providerConfig.apiKey,
-            client: new Resend(providerConfig.apiKey),
-        };
-    }
-
-    return { provider: 'resend', client: resend, apiKey: null };
-}
-
-/**
- * Send email via SendGrid
- * @param {string} apiKey - SendGrid API key
- * @param {Object} emailData - Email data
- */
-async function sendViaSendGrid(apiKey, { from, to, replyTo, subject, html, text }) {
-    sgMail.setApiKey(apiKey);
-
-    const msg = {
-        to,
-        from, // Can be email string or { email, name } object
-        replyTo,
-        subject,
-        html,
-        text,
-    };
-
-    try {
-        const [response] = await sgMail.send(msg);
-        return {
-            success: true,
-            emailId: response.headers['x-message-id'],
-        };
-    } catch (err) {
-        console.error('SendGrid send error:', err);
-        if (err.response) {
-            console.error('SendGrid error body:', err.response.body);
-        }
-        return {
-            success: false,
-            error: err.message || 'Failed to send via SendGrid',
-        };
-    }
-}
+import { sendEmail, isConfigured as isTransportConfigured } from './emailTransport.js';
 
 const FROM_ADDRESS = process.env.EMAIL_FROM_ADDRESS || 'ValidateCall <noreply@validatecall.com>';
 const REPLY_TO = process.env.EMAIL_REPLY_TO || 'support@validatecall.com';
@@ -110,22 +18,22 @@ const FRONTEND_URL = process.env.FRONTEND_URL || 'https://validatecall.com';
  * Check if email service is configured
  */
 export function isConfigured() {
-    return !!process.env.RESEND_API_KEY;
+    return isTransportConfigured();
 }
 
 /**
  * Send welcome email to new users
  */
 export async function sendWelcomeEmail({ email, name }) {
-    if (!resend) {
-        console.warn('RESEND_API_KEY not set - skipping welcome email');
+    if (!isTransportConfigured()) {
+        console.warn('No email provider configured - skipping welcome email');
         return { success: false, error: 'Email service not configured' };
     }
 
     const firstName = name?.split(' ')[0] || 'there';
 
     try {
-        const { data, error } = await resend.emails.send({
+        const result = await sendEmail({
             from: FROM_ADDRESS,
             to: email,
             replyTo: REPLY_TO,
@@ -134,13 +42,13 @@ export async function sendWelcomeEmail({ email, name }) {
             text: generateWelcomeText({ firstName }),
         });
 
-        if (error) {
-            console.error('Failed to send welcome email:', error);
-            return { success: false, error: error.message };
+        if (!result.success) {
+            console.error('Failed to send welcome email:', result.error);
+            return { success: false, error: result.error };
         }
 
-        console.log(`Welcome email sent to ${email}, id: ${data.id}`);
-        return { success: true, emailId: data.id };
+        console.log(`Welcome email sent to ${email}, id: ${result.messageId}`);
+        return { success: true, emailId: result.messageId, provider: result.provider };
     } catch (err) {
         console.error('Welcome email exception:', err);
         return { success: false, error: err.message };
@@ -151,15 +59,15 @@ export async function sendWelcomeEmail({ email, name }) {
  * Send payment confirmation email
  */
 export async function sendPaymentConfirmationEmail({ email, name, planName, amount, currency = 'USD' }) {
-    if (!resend) {
-        console.warn('RESEND_API_KEY not set - skipping payment email');
+    if (!isTransportConfigured()) {
+        console.warn('No email provider configured - skipping payment email');
         return { success: false, error: 'Email service not configured' };
     }
 
     const firstName = name?.split(' ')[0] || 'there';
 
     try {
-        const { data, error } = await resend.emails.send({
+        const result = await sendEmail({
             from: FROM_ADDRESS,
             to: email,
             replyTo: REPLY_TO,
@@ -168,13 +76,13 @@ export async function sendPaymentConfirmationEmail({ email, name, planName, amou
             text: generatePaymentText({ firstName, planName, amount, currency }),
         });
 
-        if (error) {
-            console.error('Failed to send payment email:', error);
-            return { success: false, error: error.message };
+        if (!result.success) {
+            console.error('Failed to send payment email:', result.error);
+            return { success: false, error: result.error };
         }
 
-        console.log(`Payment confirmation sent to ${email}, id: ${data.id}`);
-        return { success: true, emailId: data.id };
+        console.log(`Payment confirmation sent to ${email}, id: ${result.messageId}`);
+        return { success: true, emailId: result.messageId, provider: result.provider };
     } catch (err) {
         console.error('Payment email exception:', err);
         return { success: false, error: err.message };
@@ -185,15 +93,15 @@ export async function sendPaymentConfirmationEmail({ email, name, planName, amou
  * Send usage alert email (approaching limit)
  */
 export async function sendUsageAlertEmail({ email, name, resourceType, used, limit, percentUsed }) {
-    if (!resend) {
-        console.warn('RESEND_API_KEY not set - skipping usage alert');
+    if (!isTransportConfigured()) {
+        console.warn('No email provider configured - skipping usage alert');
         return { success: false, error: 'Email service not configured' };
     }
 
     const firstName = name?.split(' ')[0] || 'there';
 
     try {
-        const { data, error } = await resend.emails.send({
+        const result = await sendEmail({
             from: FROM_ADDRESS,
             to: email,
             replyTo: REPLY_TO,
@@ -202,23 +110,105 @@ export async function sendUsageAlertEmail({ email, name, resourceType, used, lim
             text: generateUsageAlertText({ firstName, resourceType, used, limit, percentUsed }),
         });
 
-        if (error) {
-            console.error('Failed to send usage alert:', error);
-            return { success: false, error: error.message };
+        if (!result.success) {
+            console.error('Failed to send usage alert:', result.error);
+            return { success: false, error: result.error };
         }
 
-        console.log(`Usage alert sent to ${email}, id: ${data.id}`);
-        return { success: true, emailId: data.id };
+        console.log(`Usage alert sent to ${email}, id: ${result.messageId}`);
+        return { success: true, emailId: result.messageId, provider: result.provider };
     } catch (err) {
         console.error('Usage alert exception:', err);
         return { success: false, error: err.message };
     }
 }
 
+/**
+ * Email the user a message taken by the assistant outside business hours
+ */
+export async function sendTransferMessageEmail({ email, name, customerName, customerPhone, leadQuality, reason, summary, transcript }) {
+    if (!isTransportConfigured()) {
+        console.warn('No email provider configured - skipping transfer message email');
+        return { success: false, error: 'Email service not configured' };
+    }
+
+    const firstName = name?.split(' ')[0] || 'there';
+    const caller = customerName || customerPhone || 'A lead';
+
+    try {
+        const result = await sendEmail({
+            from: FROM_ADDRESS,
+            to: email,
+            replyTo: REPLY_TO,
+            subject: `Missed transfer: ${caller} (${leadQuality} lead) left a message`,
+            html: generateTransferMessageHtml({ firstName, caller, customerPhone, leadQuality, reason, summary, transcript }),
+            text: generateTransferMessageText({ firstName, caller, customerPhone, leadQuality, reason, summary, transcript }),
+        });
+
+        if (!result.success) {
+            console.error('Failed to send transfer message email:', result.error);
+            return { success: false, error: result.error };
+        }
+
+        console.log(`Transfer message sent to ${email}, id: ${result.messageId}`);
+        return { success: true, emailId: result.messageId, provider: result.provider };
+    } catch (err) {
+        console.error('Transfer message email exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Email the user about a call a lead made to one of their numbers
+ */
+export async function sendInboundCallEmail({ email, name, customerName, customerPhone, inboundNumber, isKnownLead, durationSeconds, summary, transcript }) {
+    if (!isTransportConfigured()) {
+        console.warn('No email provider configured - skipping inbound call email');
+        return { success: false, error: 'Email service not configured' };
+    }
+
+    const firstName = name?.split(' ')[0] || 'there';
+    const caller = customerName || customerPhone || 'Unknown caller';
+    const details = { firstName, caller, customerPhone, inboundNumber, isKnownLead, durationSeconds, summary, transcript };
+
+    try {
+        const result = await sendEmail({
+            from: FROM_ADDRESS,
+            to: email,
+            replyTo: REPLY_TO,
+            subject: isKnownLead ? `${caller} called you back` : `Incoming call from ${caller}`,
+            html: generateInboundCallHtml(details),
+            text: generateInboundCallText(details),
+        });
+
+        if (!result.success) {
+            console.error('Failed to send inbound call email:', result.error);
+            return { success: false, error: result.error };
+        }
+
+        console.log(`Inbound call email sent to ${email}, id: ${result.messageId}`);
+        return { success: true, emailId: result.messageId, provider: result.provider };
+    } catch (err) {
+        console.error('Inbound call email exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
 // ============================================
 // HTML Email Templates
 // ============================================
 
+/**
+ * Escape text from calls (transcripts, summaries) before putting it in HTML
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function generateWelcomeHtml({ firstName }) {
     return `
 <!DOCTYPE html>
@@ -430,16 +420,139 @@ Questions? Contact support@validatecall.com
 `;
 }
 
+function generateTransferMessageHtml({ firstName, caller, customerPhone, leadQuality, reason, summary, transcript }) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: white; border-radius: 12px; padding: 40px; box-shadow: 0 2px 8px rgba(0,0,0,0.05);">
+        <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #7c3aed; margin: 0; font-size: 28px;">ValidateCall</h1>
+        </div>
+
+        <h2 style="color: #1a1a2e; margin-top: 0;">A lead asked to speak with you</h2>
+
+        <p>Hi ${escapeHtml(firstName)},</p>
+
+        <p>${escapeHtml(caller)} wanted to be transferred, but it was outside your business hours, so your assistant took a message.</p>
+
+        <div style="background: #f8f4ff; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #7c3aed;">
+            <p style="margin: 0;"><strong>Phone:</strong> ${escapeHtml(customerPhone || 'Unknown')}</p>
+            <p style="margin: 10px 0 0;"><strong>Lead quality:</strong> ${escapeHtml(leadQuality)}</p>
+            <p style="margin: 10px 0 0;"><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+        </div>
+
+        ${summary ? `<h3 style="color: #1a1a2e;">Summary</h3>
+        <p>${escapeHtml(summary)}</p>` : ''}
+
+        ${transcript ? `<h3 style="color: #1a1a2e;">Transcript</h3>
+        <p style="white-space: pre-wrap; color: #555; font-size: 14px;">${escapeHtml(transcript)}</p>` : ''}
+
+        <div style="text-align: center; margin: 35px 0;">
+            <a href="${FRONTEND_URL}/calls" style="background: linear-gradient(135deg, #7c3aed 0%, #5b21b6 100%); color: white; padding: 14px 35px; text-decoration: none; border-radius: 8px; font-weight: 600; display: inline-block;">View Call</a>
+        </div>
+    </div>
+
+    <p style="text-align: center; color: #999; font-size: 12px; margin-top: 20px;">
+        &copy; ${new Date().getFullYear()} ValidateCall. All rights reserved.
+    </p>
+</body>
+</html>`;
+}
+
+function generateTransferMessageText({ firstName, caller, customerPhone, leadQuality, reason, summary, transcript }) {
+    return `
+A lead asked to speak with you
+
+Hi ${firstName},
+
+${caller} wanted to be transferred, but it was outside your business hours, so your assistant took a message.
+
+Phone: ${customerPhone || 'Unknown'}
+Lead quality: ${leadQuality}
+Reason: ${reason}
+${summary ? `\nSummary:\n${summary}\n` : ''}${transcript ? `\nTranscript:\n${transcript}\n` : ''}
+View call: ${FRONTEND_URL}/calls
+`;
+}
+
+function formatCallDuration(seconds) {
+    if (!seconds) return 'Unknown';
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function generateInboundCallHtml({ firstName, caller, customerPhone, inboundNumber, isKnownLead, durationSeconds, summary, transcript }) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: white; border-radius: 12px; padding: 40px; box-shadow: 0 2px 8px rgba(0,0,0,0.05);">
+        <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #7c3aed; margin: 0; font-size: 28px;">ValidateCall</h1>
+        </div>
+
+        <h2 style="color: #1a1a2e; margin-top: 0;">${isKnownLead ? 'A lead called you back' : 'You had an incoming call'}</h2>
+
+        <p>Hi ${escapeHtml(firstName)},</p>
+
+        <p>${escapeHtml(caller)} called ${escapeHtml(inboundNumber || 'your number')} and your assistant answered.</p>
+
+        <div style="background: #f8f4ff; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #7c3aed;">
+            <p style="margin: 0;"><strong>Phone:</strong> ${escapeHtml(customerPhone || 'Unknown')}</p>
+            <p style="margin: 10px 0 0;"><strong>Duration:</strong> ${escapeHtml(formatCallDuration(durationSeconds))}</p>
+            <p style="margin: 10px 0 0;"><strong>In your leads:</strong> ${isKnownLead ? 'Yes' : 'No'}</p>
+        </div>
+
+        ${summary ? `<h3 style="color: #1a1a2e;">Summary</h3>
+        <p>${escapeHtml(summary)}</p>` : ''}
+
+        ${transcript ? `<h3 style="color: #1a1a2e;">Transcript</h3>
+        <p style="white-space: pre-wrap; color: #555; font-size: 14px;">${escapeHtml(transcript)}</p>` : ''}
+
+        <div style="text-align: center; margin: 35px 0;">
+            <a href="${FRONTEND_URL}/calls" style="background: linear-gradient(135deg, #7c3aed 0%, #5b21b6 100%); color: white; padding: 14px 35px; text-decoration: none; border-radius: 8px; font-weight: 600; display: inline-block;">View Call</a>
+        </div>
+    </div>
+
+    <p style="text-align: center; color: #999; font-size: 12px; margin-top: 20px;">
+        &copy; ${new Date().getFullYear()} ValidateCall. All rights reserved.
+    </p>
+</body>
+</html>`;
+}
+
+function generateInboundCallText({ firstName, caller, customerPhone, inboundNumber, isKnownLead, durationSeconds, summary, transcript }) {
+    return `
+${isKnownLead ? 'A lead called you back' : 'You had an incoming call'}
+
+Hi ${firstName},
+
+${caller} called ${inboundNumber || 'your number'} and your assistant answered.
+
+Phone: ${customerPhone || 'Unknown'}
+Duration: ${formatCallDuration(durationSeconds)}
+In your leads: ${isKnownLead ? 'Yes' : 'No'}
+${summary ? `\nSummary:\n${summary}\n` : ''}${transcript ? `\nTranscript:\n${transcript}\n` : ''}
+View call: ${FRONTEND_URL}/calls
+`;
+}
+
 /**
  * Send cold email to a lead
- * Supports both Resend and SendGrid based on user's settings
+ * Tries the user's own providers first, failing over to the platform's
  * @param {string} userId - User ID (to use their email provider settings)
  * @param {string} fromEmail - Custom sender email (requires verified domain/sender)
  */
 export async function sendColdEmail({ userId, toEmail, toName, subject, htmlContent, textContent, fromName, fromEmail }) {
-    // Get the user's email provider configuration
-    const providerConfig = await getEmailProviderConfig(userId);
-
     // Build the from address
     let fromAddress;
     if (fromEmail) {
@@ -456,63 +569,32 @@ export async function sendColdEmail({ userId, toEmail, toName, subject, htmlCont
 
     const replyToAddress = fromEmail || REPLY_TO;
 
-    // Send via the appropriate provider
-    if (providerConfig.provider === 'sendgrid' && providerConfig.apiKey) {
-        console.log(`Sending cold email via SendGrid to ${toEmail} from ${fromAddress}`);
-
-        const result = await sendViaSendGrid(providerConfig.apiKey, {
-            from: fromAddress,
-            to: toEmail,
-            replyTo: replyToAddress,
-            subject,
-            html: htmlContent,
-            text: textContent,
-        });
+    console.log(`Sending cold email to ${toEmail} from ${fromAddress}`);
 
-        if (result.success) {
-            console.log(`Cold email sent via SendGrid to ${toEmail}, id: ${result.emailId}`);
+    // Uses the user's own providers first, then the platform's
+    const result = await sendEmail({
+        from: fromAddress,
+        to: toEmail,
+        replyTo: replyToAddress,
+        subject,
+        html: htmlContent,
+        text: textContent,
+    }, { userId });
+
+    if (!result.success) {
+        console.error('Failed to send cold email:', result.error);
+        // Check if it's a domain verification error
+        if (fromEmail && (result.error?.includes('domain') || result.error?.includes('verified'))) {
+            return {
+                success: false,
+                error: `Domain not verified: ${fromEmail}. Please verify your domain with your email provider first.`
+            };
         }
-        return result;
-    }
-
-    // Default to Resend
-    const resendClient = providerConfig.client || resend;
-
-    if (!resendClient) {
-        console.warn('No email provider configured - skipping cold email');
-        return { success: false, error: 'Email service not configured. Please add your API key in Settings.' };
+        return { success: false, error: result.error };
     }
 
-    console.log(`Sending cold email via Resend to ${toEmail} from ${fromAddress}`);
-
-    try {
-        const { data, error } = await resendClient.emails.send({
-            from: fromAddress,
-            to: toEmail,
-            replyTo: replyToAddress,
-            subject: subject,
-            html: htmlContent,
-            text: textContent,
-        });
-
-        if (error) {
-            console.error('Failed to send cold email via Resend:', error);
-            // Check if it's a domain verification error
-            if (error.message?.includes('domain') || error.message?.includes('verified')) {
-                return {
-                    success: false,
-                    error: `Domain not verified: ${fromEmail}. Please verify your domain in your Resend dashboard first.`
-                };
-            }
-            return { success: false, error: error.message };
-        }
-
-        console.log(`Cold email sent via Resend to ${toEmail}, id: ${data.id}`);
-        return { success: true, emailId: data.id };
-    } catch (err) {
-        console.error('Cold email exception:', err);
-        return { success: false, error: err.message };
-    }
+    console.log(`Cold email sent via ${result.provider} to ${toEmail}, id: ${result.messageId}`);
+    return { success: true, emailId: result.messageId, provider: result.provider };
 }
 
 /**
@@ -699,6 +781,8 @@ export default {
     sendWelcomeEmail,
     sendPaymentConfirmationEmail,
     sendUsageAlertEmail,
+    sendTransferMessageEmail,
+    sendInboundCallEmail,
     sendColdEmail,
     generateColdEmailHtml,
 };
@@ -0,0 +1,301 @@
+/**
+ * Email Provider Events Service
+ * Shared handling for delivery events reported by email providers
+ * (Resend and SendGrid webhooks), so both update the same tracking,
+ * bounce, unsubscribe and sequence-stop state.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { recordTrackingEvent, processUnsubscribe } from './emailTracking.js';
+import emailSequenceScheduler from './emailSequenceScheduler.js';
+import workflowScheduler from './workflowScheduler.js';
+import { addSuppression } from './suppression.js';
+
+const EMAIL_LOG_COLUMNS = 'id, user_id, recipient, tracking_id, enrollment_id, sequence_id, workflow_enrollment_id, step_number';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Find the email_logs row an event refers to
+ * @param {Object} ids - { trackingId, messageId } - messageId is the provider's ID stored in resend_id
+ */
+export async function findEmailLog({ trackingId = null, messageId = null }) {
+    if (trackingId) {
+        const { data } = await supabase
+            .from('email_logs')
+            .select(EMAIL_LOG_COLUMNS)
+            .eq('tracking_id', trackingId)
+            .maybeSingle();
+        if (data) return data;
+    }
+
+    if (messageId) {
+        const { data } = await supabase
+            .from('email_logs')
+            .select(EMAIL_LOG_COLUMNS)
+            .eq('resend_id', messageId)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        if (data) return data;
+    }
+
+    return null;
+}
+
+/**
+ * Email delivered to the recipient's server
+ */
+export async function handleDelivered(emailLog) {
+    if (!emailLog) return;
+
+    await supabase
+        .from('email_logs')
+        .update({
+            status: 'delivered',
+            delivered_at: new Date().toISOString()
+        })
+        .eq('id', emailLog.id);
+
+    if (emailLog.tracking_id) {
+        await recordTrackingEvent({
+            trackingId: emailLog.tracking_id,
+            eventType: 'delivered',
+        });
+    }
+}
+
+/**
+ * Email bounced - stop sequences, count it, suppress the address and mark the lead invalid
+ * @param {Object|null} emailLog - From findEmailLog
+ * @param {string} recipientEmail - Bounced address
+ */
+export async function handleBounce(emailLog, recipientEmail) {
+    if (emailLog) {
+        await supabase
+            .from('email_logs')
+            .update({
+                status: 'bounced',
+                bounced_at: new Date().toISOString()
+            })
+            .eq('id', emailLog.id);
+
+        // Suppress first - nothing below may keep the address sendable
+        await suppressRecipient(emailLog, recipientEmail, 'bounce');
+
+        if (emailLog.tracking_id) {
+            await recordTrackingEvent({
+                trackingId: emailLog.tracking_id,
+                eventType: 'bounce',
+            });
+        }
+
+        // Check stop conditions for bounce (stop sequence)
+        if (emailLog.enrollment_id) {
+            await emailSequenceScheduler.handleStopCondition(emailLog.enrollment_id, 'bounce');
+        }
+        if (emailLog.workflow_enrollment_id) {
+            await workflowScheduler.handleStopCondition(emailLog.workflow_enrollment_id, 'bounce');
+        }
+
+        // Update sequence/step bounce stats
+        if (emailLog.sequence_id) {
+            const { error: sequenceStatsError } = await supabase.rpc('increment_sequence_stats', {
+                p_sequence_id: emailLog.sequence_id,
+                p_stat_name: 'total_bounces',
+                p_increment: 1
+            });
+            if (sequenceStatsError) {
+                console.error('[Email Events] Failed to update sequence bounce count:', sequenceStatsError.message);
+            }
+
+            if (emailLog.step_number) {
+                const { error: stepStatsError } = await supabase.rpc('increment_step_stats', {
+                    p_sequence_id: emailLog.sequence_id,
+                    p_step_number: emailLog.step_number,
+                    p_stat_name: 'bounces',
+                    p_increment: 1
+                });
+                if (stepStatsError) {
+                    console.error('[Email Events] Failed to update step bounce count:', stepStatsError.message);
+                }
+            }
+        }
+    }
+
+    const lead = await findLead(recipientEmail || emailLog?.recipient);
+    if (lead) {
+        await supabase
+            .from('leads')
+            .update({
+                status: 'invalid',
+                email_status: 'bounced',
+                notes: 'Email bounced'
+            })
+            .eq('id', lead.id);
+    }
+}
+
+/**
+ * Recipient marked the email as spam - never email them again
+ */
+export async function handleComplaint(emailLog, recipientEmail) {
+    if (emailLog) {
+        await supabase
+            .from('email_logs')
+            .update({ status: 'complained' })
+            .eq('id', emailLog.id);
+
+        await suppressRecipient(emailLog, recipientEmail, 'complaint');
+    }
+
+    const lead = await findLead(recipientEmail || emailLog?.recipient);
+    if (lead) {
+        await supabase
+            .from('leads')
+            .update({ status: 'not_interested', notes: 'Marked as spam' })
+            .eq('id', lead.id);
+    }
+}
+
+/**
+ * Provider refused to send (e.g. address already suppressed on their side)
+ */
+export async function handleDropped(emailLog, reason = null) {
+    if (!emailLog) return;
+
+    console.log(`[Email Events] Email ${emailLog.id} dropped by provider: ${reason || 'no reason given'}`);
+
+    await supabase
+        .from('email_logs')
+        .update({ status: 'dropped' })
+        .eq('id', emailLog.id);
+}
+
+/**
+ * Email opened (provider-side open tracking)
+ */
+export async function handleOpen(emailLog, { userAgent = null, ipAddress = null } = {}) {
+    if (!emailLog?.tracking_id) return null;
+
+    return recordTrackingEvent({
+        trackingId: emailLog.tracking_id,
+        eventType: 'open',
+        userAgent,
+        ipAddress,
+    });
+}
+
+/**
+ * Link clicked (provider-side click tracking) - may stop sequences
+ */
+export async function handleClick(emailLog, { url = null, userAgent = null, ipAddress = null } = {}) {
+    if (!emailLog?.tracking_id) return null;
+
+    const event = await recordTrackingEvent({
+        trackingId: emailLog.tracking_id,
+        eventType: 'click',
+        url,
+        userAgent,
+        ipAddress,
+    });
+
+    // Check stop conditions for click
+    if (event?.enrollment_id) {
+        await emailSequenceScheduler.handleStopCondition(event.enrollment_id, 'click');
+    }
+    if (event?.workflow_enrollment_id) {
+        await workflowScheduler.handleStopCondition(event.workflow_enrollment_id, 'click');
+    }
+
+    return event;
+}
+
+/**
+ * Recipient unsubscribed through the provider's own link
+ */
+export async function handleUnsubscribe(emailLog, recipientEmail) {
+    const email = recipientEmail || emailLog?.recipient;
+    if (!emailLog || !email) return false;
+
+    if (emailLog.tracking_id) {
+        return processUnsubscribe(emailLog.tracking_id, email, 'provider');
+    }
+
+    await supabase
+        .from('email_unsubscribes')
+        .upsert({
+            user_id: emailLog.user_id,
+            email,
+            reason: 'provider',
+            source: 'link',
+        }, {
+            onConflict: 'user_id,email'
+        });
+
+    return true;
+}
+
+/**
+ * Apply a normalized provider event
+ * @param {Object} event - { type, trackingId, messageId, email, url, userAgent, ipAddress, reason }
+ */
+export async function applyEmailEvent(event) {
+    const emailLog = await findEmailLog(event);
+
+    switch (event.type) {
+        case 'delivered':
+            return handleDelivered(emailLog);
+        case 'bounce':
+            return handleBounce(emailLog, event.email);
+        case 'complaint':
+            return handleComplaint(emailLog, event.email);
+        case 'dropped':
+            return handleDropped(emailLog, event.reason);
+        case 'open':
+            return handleOpen(emailLog, event);
+        case 'click':
+            return handleClick(emailLog, event);
+        case 'unsubscribe':
+            return handleUnsubscribe(emailLog, event.email);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Add the recipient to the sending user's suppression list
+ */
+async function suppressRecipient(emailLog, recipientEmail, reason) {
+    const email = recipientEmail || emailLog?.recipient;
+    if (!emailLog?.user_id || !email) return;
+
+    await addSuppression(emailLog.user_id, { type: 'email', value: email, reason }, 'webhook');
+}
+
+async function findLead(email) {
+    if (!email) return null;
+
+    const { data: lead } = await supabase
+        .from('leads')
+        .select('id')
+        .eq('email', email)
+        .maybeSingle();
+
+    return lead;
+}
+
+export default {
+    findEmailLog,
+    handleDelivered,
+    handleBounce,
+    handleComplaint,
+    handleDropped,
+    handleOpen,
+    handleClick,
+    handleUnsubscribe,
+    applyEmailEvent,
+};
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for email provider events service
+ * Runs against a fake Supabase client; the schedulers are mocked.
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeSupabase } from '../test-utils/fakeSupabase.js';
+
+const EMAIL_LOG = {
+    id: 'log-1',
+    user_id: 'user-1',
+    recipient: 'ann@example.com',
+    tracking_id: null,
+    enrollment_id: 'enr-1',
+    sequence_id: 'seq-1',
+    workflow_enrollment_id: null,
+    step_number: 2,
+};
+
+const supabase = createFakeSupabase(query => {
+    if (query.action === 'rpc') {
+        return { error: { message: 'rpc failed' } };
+    }
+    if (query.table === 'leads' && query.action === 'select') {
+        return { data: { id: 'lead-1' } };
+    }
+    return {};
+});
+
+const sequenceStop = jest.fn(async () => {});
+const workflowStop = jest.fn(async () => {});
+
+jest.unstable_mockModule('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+jest.unstable_mockModule('./emailSequenceScheduler.js', () => ({ default: { handleStopCondition: sequenceStop } }));
+jest.unstable_mockModule('./workflowScheduler.js', () => ({ default: { handleStopCondition: workflowStop } }));
+
+const { handleBounce } = await import('./emailEvents.js');
+
+let consoleLog;
+let consoleError;
+
+beforeEach(() => {
+    supabase.calls.length = 0;
+    jest.clearAllMocks();
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    consoleLog.mockRestore();
+    consoleError.mockRestore();
+});
+
+describe('Handling Bounces', () => {
+    test('should suppress the address and mark the lead invalid when stats RPCs fail', async () => {
+        await handleBounce(EMAIL_LOG, 'ann@example.com');
+
+        const suppression = supabase.calls.find(q => q.table === 'suppressions' && q.action === 'upsert');
+        expect(suppression.values).toMatchObject({ user_id: 'user-1', type: 'email', value: 'ann@example.com', reason: 'bounce' });
+
+        const leadUpdate = supabase.calls.find(q => q.table === 'leads' && q.action === 'update');
+        expect(leadUpdate.values).toMatchObject({ status: 'invalid', email_status: 'bounced' });
+
+        expect(sequenceStop).toHaveBeenCalledWith('enr-1', 'bounce');
+        expect(supabase.calls.filter(q => q.action === 'rpc').map(q => q.rpc))
+            .toEqual(['increment_sequence_stats', 'increment_step_stats']);
+    });
+
+    test('should suppress before counting the bounce', async () => {
+        await handleBounce(EMAIL_LOG, 'ann@example.com');
+
+        const suppressedAt = supabase.calls.findIndex(q => q.table === 'suppressions');
+        const countedAt = supabase.calls.findIndex(q => q.action === 'rpc');
+        expect(suppressedAt).toBeGreaterThanOrEqual(0);
+        expect(suppressedAt).toBeLessThan(countedAt);
+    });
+});
@@ -11,6 +11,8 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { formatEnrichmentContext } from '../config/leadEnrichment.js';
+import { getLeadEnrichment } from './leadEnrichment.js';
 
 // Clean up URL and API key
 const cleanEnvVar = (val) => val?.replace(/["';]/g, '').trim();
@@ -101,6 +103,9 @@ export async function generatePersonalizedContent(lead, sequence, userId) {
         }
     }
 
+    // What the lead's website says about them, if it has been read
+    const websiteContext = formatEnrichmentContext(await getLeadEnrichment(lead.id));
+
     try {
         const prompt = `You are helping personalize a cold email for a specific business. Generate short, natural personalization fields.
 
@@ -110,6 +115,7 @@ LEAD INFORMATION:
 - Location: ${lead.city || lead.address || 'Unknown'}
 - Rating: ${lead.rating ? `${lead.rating}/5 (${lead.review_count || 0} reviews)` : 'Not available'}
 - Website: ${lead.website || 'Not available'}
+${websiteContext ? `\nFROM THEIR WEBSITE:\n${websiteContext}\n` : ''}
 
 SENDER'S PRODUCT/SERVICE:
 ${productIdea || 'A business solution'}
@@ -120,8 +126,8 @@ Generate the following fields. Keep each one SHORT (1 sentence max). Be conversa
 
 Return ONLY valid JSON in this exact format:
 {
-  "firstName": "Best guess at a first name or contact name, or 'there' if unknown",
-  "openingLine": "A brief, specific observation about their business (use their name, industry, rating, or location)",
+  "firstName": "First name of a contact from their website if known, otherwise best guess at a first name or contact name, or 'there' if unknown",
+  "openingLine": "A brief, specific observation about their business (use their services, name, industry, rating, or location)",
   "painPoint": "One specific pain point relevant to their industry that the sender's product solves",
   "valueProposition": "One sentence about how the sender can help them specifically",
   "followUpHook": "A reason to follow up (e.g., 'I wanted to share a quick case study' or 'Just checking if you had a chance to review')"
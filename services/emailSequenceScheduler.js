@@ -4,12 +4,18 @@
  *
  * Runs a cron job every minute to check for emails that need to be sent.
  * Respects send windows (time of day, days of week) and stop conditions.
+ * Steps with A/B variants send each enrollment its assigned variant, and a
+ * second job promotes significant winners every 15 minutes.
  */
 
 import cron from 'node-cron';
 import { createClient } from '@supabase/supabase-js';
+import { isWithinSendWindow, resolveSendTimezone, getNextSendWindowStart } from '../config/timezones.js';
 import { sendSequenceEmail } from './emailTracking.js';
+import { checkSuppression, describeSuppression } from './suppression.js';
 import { generatePersonalizedContent } from './emailPersonalization.js';
+import { checkAutoPromotions } from './sequenceVariants.js';
+import { getStepVariants, assignVariant } from '../config/sequenceVariants.js';
 
 const POLL_BATCH_SIZE = 50;
 const RETRY_DELAY_MINUTES = 5;
@@ -28,6 +34,7 @@ class EmailSequenceScheduler {
     constructor() {
         this.isProcessing = false;
         this.cronJob = null;
+        this.promotionJob = null;
     }
 
     /**
@@ -39,6 +46,14 @@ class EmailSequenceScheduler {
             await this.processDueEmails();
         });
 
+        // Check A/B tests for significant winners
+        this.promotionJob = cron.schedule('*/15 * * * *', async () => {
+            const result = await checkAutoPromotions();
+            if (result.promoted > 0) {
+                console.log(`🏆 Promoted ${result.promoted} winning variant(s)`);
+            }
+        });
+
         console.log('📧 Email sequence scheduler started - checking for due emails every minute');
     }
 
@@ -50,6 +65,9 @@ class EmailSequenceScheduler {
             this.cronJob.stop();
             console.log('📧 Email sequence scheduler stopped');
         }
+        if (this.promotionJob) {
+            this.promotionJob.stop();
+        }
     }
 
     /**
@@ -107,55 +125,37 @@ class EmailSequenceScheduler {
             return [];
         }
 
-        // Filter by send window
-        const filtered = (data || []).filter(enrollment => {
-            return this.isWithinSendWindow(enrollment.sequence, now);
-        });
+        // Filter by send window; push the rest to their next window so they
+        // don't keep filling the batch
+        const filtered = [];
+        for (const enrollment of (data || [])) {
+            if (this.isWithinSendWindow(enrollment.sequence, now, enrollment.lead)) {
+                filtered.push(enrollment);
+            } else if (enrollment.sequence) {
+                const timezone = resolveSendTimezone(enrollment.sequence, enrollment.lead);
+                const nextWindow = getNextSendWindowStart(enrollment.sequence, now, timezone);
+                if (nextWindow) {
+                    await supabase
+                        .from('email_sequence_enrollments')
+                        .update({ next_email_at: nextWindow.toISOString() })
+                        .eq('id', enrollment.id);
+                }
+            }
+        }
 
         return filtered;
     }
 
     /**
-     * Check if current time is within the sequence's send window
+     * Check if current time is within the send window
+     * Evaluated in the lead's local timezone when it can be inferred,
+     * otherwise in the sequence's timezone
      */
-    isWithinSendWindow(sequence, now = new Date()) {
+    isWithinSendWindow(sequence, now = new Date(), lead = null) {
         if (!sequence) return false;
 
-        // Check day of week (1=Monday, 7=Sunday in PostgreSQL, JS: 0=Sunday)
-        const dayOfWeek = now.getDay() || 7; // Convert JS Sunday (0) to 7
-        const sendDays = sequence.send_days || [1, 2, 3, 4, 5];
-
-        if (!sendDays.includes(dayOfWeek)) {
-            return false;
-        }
-
-        // Check time window
-        const timezone = sequence.timezone || 'UTC';
-        let currentTime;
-
-        try {
-            const formatter = new Intl.DateTimeFormat('en-US', {
-                timeZone: timezone,
-                hour: '2-digit',
-                minute: '2-digit',
-                hour12: false
-            });
-            const parts = formatter.formatToParts(now);
-            const hour = parseInt(parts.find(p => p.type === 'hour').value);
-            const minute = parseInt(parts.find(p => p.type === 'minute').value);
-            currentTime = hour * 60 + minute;
-        } catch {
-            // Fallback to UTC
-            currentTime = now.getUTCHours() * 60 + now.getUTCMinutes();
-        }
-
-        const [startH, startM] = (sequence.send_window_start || '09:00').split(':').map(Number);
-        const [endH, endM] = (sequence.send_window_end || '17:00').split(':').map(Number);
-
-        const startMinutes = startH * 60 + startM;
-        const endMinutes = endH * 60 + endM;
-
-        return currentTime >= startMinutes && currentTime <= endMinutes;
+        const timezone = resolveSendTimezone(sequence, lead);
+        return isWithinSendWindow(sequence, now, timezone);
     }
 
     /**
@@ -169,10 +169,11 @@ class EmailSequenceScheduler {
             return;
         }
 
-        // Check if lead is unsubscribed
-        const isUnsubscribed = await this.isEmailUnsubscribed(user_id, lead.email);
-        if (isUnsubscribed) {
-            await this.stopEnrollment(enrollmentId, 'unsubscribed', 'Email unsubscribed');
+        // Check the suppression list (unsubscribes, bounces, complaints, blocked domains)
+        const suppression = await checkSuppression(user_id, { email: lead.email });
+        if (suppression) {
+            const status = suppression.reason === 'unsubscribe' ? 'unsubscribed' : 'suppressed';
+            await this.stopEnrollment(enrollmentId, status, describeSuppression(suppression));
             return;
         }
 
@@ -227,9 +228,12 @@ class EmailSequenceScheduler {
                 }
             }
 
+            // Pick this enrollment's A/B variant (same one on every retry)
+            const variant = assignVariant(getStepVariants(step), enrollmentId, step.id);
+
             // Personalize subject and body
-            const subject = this.personalizeTemplate(step.subject_template, lead, personalizedData);
-            const body = this.personalizeTemplate(step.body_template, lead, personalizedData);
+            const subject = this.personalizeTemplate(variant.subject, lead, personalizedData);
+            const body = this.personalizeTemplate(variant.body, lead, personalizedData);
 
             // Send the email with tracking
             const result = await sendSequenceEmail({
@@ -237,6 +241,7 @@ class EmailSequenceScheduler {
                 enrollmentId,
                 sequenceId: sequence.id,
                 stepNumber: nextStepNumber,
+                variantKey: variant.key,
                 lead,
                 subject,
                 body,
@@ -253,7 +258,7 @@ class EmailSequenceScheduler {
                 // Update stats
                 await this.incrementStats(sequence.id, nextStepNumber, lead.id);
 
-                console.log(`✉️ Sent step ${nextStepNumber} to ${lead.email} (enrollment ${enrollmentId})`);
+                console.log(`✉️ Sent step ${nextStepNumber} (variant ${variant.key}) to ${lead.email} (enrollment ${enrollmentId})`);
             } else {
                 console.error(`Failed to send email to ${lead.email}:`, result.error);
                 // Schedule retry
@@ -450,20 +455,6 @@ class EmailSequenceScheduler {
             .eq('id', leadId);
     }
 
-    /**
-     * Check if an email is unsubscribed
-     */
-    async isEmailUnsubscribed(userId, email) {
-        const { data } = await supabase
-            .from('email_unsubscribes')
-            .select('id')
-            .eq('user_id', userId)
-            .eq('email', email)
-            .maybeSingle();
-
-        return !!data;
-    }
-
     /**
      * Handle stop conditions when events occur
      * Called by webhook handlers
@@ -10,11 +10,10 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
-import { Resend } from 'resend';
 import crypto from 'crypto';
 import { generateColdEmailHtml } from './email.js';
 import { getBrandSettings } from './userSettings.js';
-import { getUserResendApiKey, getActiveEmailProvider } from './userSettings.js';
+import { sendEmail } from './emailTransport.js';
 
 const API_URL = process.env.API_URL || 'http://localhost:3002';
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
@@ -119,9 +118,12 @@ export function addUnsubscribeFooter(html, trackingId, email) {
  */
 export async function sendSequenceEmail({
     userId,
-    enrollmentId,
-    sequenceId,
+    enrollmentId = null,
+    sequenceId = null,
+    workflowId = null,
+    workflowEnrollmentId = null,
     stepNumber,
+    variantKey = null,
     lead,
     subject,
     body,
@@ -133,9 +135,6 @@ export async function sendSequenceEmail({
     // Generate tracking ID
     const trackingId = generateTrackingId();
 
-    // Get user's email provider configuration
-    const providerConfig = await getActiveEmailProvider(userId);
-
     // Get brand settings
     let brandSettings = {};
     const brandResult = await getBrandSettings(userId);
@@ -181,44 +180,15 @@ export async function sendSequenceEmail({
     };
 
     try {
-        let emailId;
-
-        // Send via appropriate provider
-        if (providerConfig?.provider === 'sendgrid' && providerConfig.apiKey) {
-            const sgMail = (await import('@sendgrid/mail')).default;
-            sgMail.setApiKey(providerConfig.apiKey);
-
-            const [response] = await sgMail.send({
-                to: lead.email,
-                from: emailData.from,
-                replyTo: emailData.replyTo,
-                subject,
-                html: htmlContent,
-                text: emailData.text,
-            });
-            emailId = response.headers['x-message-id'];
-        } else {
-            // Use Resend
-            let resendClient;
-            if (providerConfig?.provider === 'resend' && providerConfig.apiKey) {
-                resendClient = new Resend(providerConfig.apiKey);
-            } else {
-                resendClient = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
-            }
-
-            if (!resendClient) {
-                throw new Error('No email provider configured');
-            }
-
-            const { data, error } = await resendClient.emails.send(emailData);
+        // User's providers first, then the platform's
+        const result = await sendEmail({ ...emailData, trackingId }, { userId });
 
-            if (error) {
-                throw new Error(error.message);
-            }
-
-            emailId = data.id;
+        if (!result.success) {
+            throw new Error(result.error);
         }
 
+        const emailId = result.messageId;
+
         // Log the email with tracking info
         const { data: emailLog, error: logError } = await supabase
             .from('email_logs')
@@ -231,12 +201,16 @@ export async function sendSequenceEmail({
                 tracking_id: trackingId,
                 sequence_id: sequenceId,
                 enrollment_id: enrollmentId,
+                workflow_id: workflowId,
+                workflow_enrollment_id: workflowEnrollmentId,
                 step_number: stepNumber,
+                variant_key: variantKey,
                 subject,
                 metadata: {
                     leadId: lead.id,
                     leadName: lead.name,
                     stepNumber,
+                    provider: result.provider,
                 }
             })
             .select()
@@ -267,7 +241,10 @@ export async function sendSequenceEmail({
                 tracking_id: trackingId,
                 sequence_id: sequenceId,
                 enrollment_id: enrollmentId,
+                workflow_id: workflowId,
+                workflow_enrollment_id: workflowEnrollmentId,
                 step_number: stepNumber,
+                variant_key: variantKey,
                 subject,
                 metadata: {
                     leadId: lead.id,
@@ -282,6 +259,36 @@ export async function sendSequenceEmail({
     }
 }
 
+/**
+ * Add one to a counter column (read-then-write - these tables have no
+ * increment RPC), optionally stamping a first-seen timestamp column
+ */
+async function incrementCounter(table, id, column, firstAtColumn = null) {
+    const columns = firstAtColumn ? `${column}, ${firstAtColumn}` : column;
+    const { data: row, error } = await supabase
+        .from(table)
+        .select(columns)
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error || !row) {
+        if (error) console.error(`Failed to read ${table}.${column}:`, error.message);
+        return;
+    }
+
+    const updates = { [column]: (row[column] || 0) + 1 };
+    if (firstAtColumn && !row[firstAtColumn]) {
+        updates[firstAtColumn] = new Date().toISOString();
+    }
+
+    const { error: updateError } = await supabase
+        .from(table)
+        .update(updates)
+        .eq('id', id);
+
+    if (updateError) console.error(`Failed to update ${table}.${column}:`, updateError.message);
+}
+
 /**
  * Record a tracking event
  * @param {Object} event - Event data
@@ -296,7 +303,7 @@ export async function recordTrackingEvent({
     // Get email log by tracking ID
     const { data: emailLog } = await supabase
         .from('email_logs')
-        .select('id, user_id, enrollment_id, sequence_id, step_number')
+        .select('id, user_id, enrollment_id, sequence_id, workflow_id, workflow_enrollment_id, step_number')
         .eq('tracking_id', trackingId)
         .single();
 
@@ -314,6 +321,13 @@ export async function recordTrackingEvent({
             .eq('id', emailLog.enrollment_id)
             .single();
         leadId = enrollment?.lead_id;
+    } else if (emailLog.workflow_enrollment_id) {
+        const { data: enrollment } = await supabase
+            .from('workflow_enrollments')
+            .select('lead_id')
+            .eq('id', emailLog.workflow_enrollment_id)
+            .single();
+        leadId = enrollment?.lead_id;
     }
 
     // Detect device type from user agent
@@ -335,6 +349,7 @@ export async function recordTrackingEvent({
         .insert({
             email_log_id: emailLog.id,
             enrollment_id: emailLog.enrollment_id,
+            workflow_enrollment_id: emailLog.workflow_enrollment_id,
             lead_id: leadId,
             user_id: emailLog.user_id,
             event_type: eventType,
@@ -353,41 +368,41 @@ export async function recordTrackingEvent({
     }
 
     // Update email_logs with event timestamp and count
-    const updates = {};
     if (eventType === 'open') {
-        updates.open_count = supabase.sql`COALESCE(open_count, 0) + 1`;
-        updates.opened_at = supabase.sql`COALESCE(opened_at, NOW())`;
+        await incrementCounter('email_logs', emailLog.id, 'open_count', 'opened_at');
     } else if (eventType === 'click') {
-        updates.click_count = supabase.sql`COALESCE(click_count, 0) + 1`;
-        updates.clicked_at = supabase.sql`COALESCE(clicked_at, NOW())`;
-    } else if (eventType === 'delivered') {
-        updates.delivered_at = new Date().toISOString();
-    } else if (eventType === 'bounce') {
-        updates.bounced_at = new Date().toISOString();
-        updates.status = 'bounced';
-    }
+        await incrementCounter('email_logs', emailLog.id, 'click_count', 'clicked_at');
+    } else if (eventType === 'delivered' || eventType === 'bounce') {
+        const updates = eventType === 'delivered'
+            ? { delivered_at: new Date().toISOString() }
+            : { bounced_at: new Date().toISOString(), status: 'bounced' };
 
-    if (Object.keys(updates).length > 0) {
         await supabase
             .from('email_logs')
             .update(updates)
             .eq('id', emailLog.id);
     }
 
+    const engagementField = eventType === 'open' ? 'opens'
+        : eventType === 'click' ? 'clicks'
+        : null;
+
     // Update enrollment stats
-    if (emailLog.enrollment_id) {
-        const enrollmentUpdates = {};
-        if (eventType === 'open') {
-            enrollmentUpdates.opens = supabase.sql`COALESCE(opens, 0) + 1`;
-        } else if (eventType === 'click') {
-            enrollmentUpdates.clicks = supabase.sql`COALESCE(clicks, 0) + 1`;
-        }
+    if (emailLog.enrollment_id && engagementField) {
+        await incrementCounter('email_sequence_enrollments', emailLog.enrollment_id, engagementField);
+    }
+
+    // Update workflow enrollment + workflow stats
+    if (emailLog.workflow_enrollment_id && engagementField) {
+        await incrementCounter('workflow_enrollments', emailLog.workflow_enrollment_id, engagementField);
 
-        if (Object.keys(enrollmentUpdates).length > 0) {
-            await supabase
-                .from('email_sequence_enrollments')
-                .update(enrollmentUpdates)
-                .eq('id', emailLog.enrollment_id);
+        if (emailLog.workflow_id) {
+            const { error: statsError } = await supabase.rpc('increment_workflow_stats', {
+                p_workflow_id: emailLog.workflow_id,
+                p_stat_name: eventType === 'open' ? 'total_opens' : 'total_clicks',
+                p_increment: 1
+            });
+            if (statsError) console.error('Failed to update workflow stats:', statsError.message);
         }
     }
 
@@ -399,17 +414,12 @@ export async function recordTrackingEvent({
             : null;
 
         if (sequenceField) {
-            await supabase.rpc('increment_sequence_stats', {
+            const { error: statsError } = await supabase.rpc('increment_sequence_stats', {
                 p_sequence_id: emailLog.sequence_id,
                 p_stat_name: sequenceField,
                 p_increment: 1
-            }).catch(() => {
-                // Fallback
-                supabase
-                    .from('email_sequences')
-                    .update({ [sequenceField]: supabase.sql`COALESCE(${sequenceField}, 0) + 1` })
-                    .eq('id', emailLog.sequence_id);
             });
+            if (statsError) console.error('Failed to update sequence stats:', statsError.message);
         }
 
         // Update step stats
@@ -420,42 +430,32 @@ export async function recordTrackingEvent({
                 : null;
 
             if (stepField) {
-                await supabase.rpc('increment_step_stats', {
+                const { error: statsError } = await supabase.rpc('increment_step_stats', {
                     p_sequence_id: emailLog.sequence_id,
                     p_step_number: emailLog.step_number,
                     p_stat_name: stepField,
                     p_increment: 1
-                }).catch(() => {
-                    // Fallback
-                    supabase
-                        .from('email_sequence_steps')
-                        .update({ [stepField]: supabase.sql`COALESCE(${stepField}, 0) + 1` })
-                        .eq('sequence_id', emailLog.sequence_id)
-                        .eq('step_number', emailLog.step_number);
                 });
+                if (statsError) console.error('Failed to update step stats:', statsError.message);
             }
         }
     }
 
     // Update lead stats
-    if (leadId) {
-        const leadUpdates = {};
-        if (eventType === 'open') {
-            leadUpdates.total_opens = supabase.sql`COALESCE(total_opens, 0) + 1`;
-            leadUpdates.last_opened_at = new Date().toISOString();
-            leadUpdates.email_status = 'engaged';
-        } else if (eventType === 'click') {
-            leadUpdates.total_clicks = supabase.sql`COALESCE(total_clicks, 0) + 1`;
-            leadUpdates.last_clicked_at = new Date().toISOString();
-            leadUpdates.email_status = 'engaged';
-        }
+    if (leadId && engagementField) {
+        const { error: statsError } = await supabase.rpc('increment_lead_email_stats', {
+            p_lead_id: leadId,
+            p_stat_name: eventType === 'open' ? 'total_opens' : 'total_clicks',
+            p_increment: 1
+        });
+        if (statsError) console.error('Failed to update lead email stats:', statsError.message);
 
-        if (Object.keys(leadUpdates).length > 0) {
-            await supabase
-                .from('leads')
-                .update(leadUpdates)
-                .eq('id', leadId);
-        }
+        await supabase
+            .from('leads')
+            .update(eventType === 'open'
+                ? { last_opened_at: new Date().toISOString(), email_status: 'engaged' }
+                : { last_clicked_at: new Date().toISOString(), email_status: 'engaged' })
+            .eq('id', leadId);
     }
 
     return event;
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for email tracking service
+ * Runs against a fake Supabase client.
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeSupabase, getFilter } from '../test-utils/fakeSupabase.js';
+
+const EMAIL_LOG = {
+    id: 'log-1',
+    user_id: 'user-1',
+    enrollment_id: null,
+    sequence_id: null,
+    workflow_id: 'wf-1',
+    workflow_enrollment_id: 'we-1',
+    step_number: 2,
+};
+
+const supabase = createFakeSupabase(query => {
+    if (query.table === 'email_logs' && query.action === 'select') {
+        return getFilter(query, 'tracking_id')
+            ? { data: EMAIL_LOG }
+            : { data: { open_count: 1, opened_at: '2025-01-01T00:00:00Z', click_count: 0, clicked_at: null } };
+    }
+    if (query.table === 'workflow_enrollments' && query.action === 'select') {
+        return { data: { lead_id: 'lead-1', opens: 4, clicks: 2 } };
+    }
+    if (query.table === 'email_tracking_events' && query.action === 'insert') {
+        return { data: { id: 'event-1', ...query.values } };
+    }
+    return {};
+});
+
+jest.unstable_mockModule('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+
+const { recordTrackingEvent } = await import('./emailTracking.js');
+
+const updatesTo = table => supabase.calls.filter(q => q.table === table && q.action === 'update').map(q => q.values);
+const rpcCalls = () => supabase.calls.filter(q => q.action === 'rpc').map(q => [q.rpc, q.args.p_stat_name]);
+
+beforeEach(() => {
+    supabase.calls.length = 0;
+});
+
+describe('Recording Workflow Email Events', () => {
+    test('should count a click on a workflow email and return the event', async () => {
+        const event = await recordTrackingEvent({ trackingId: 'track-1', eventType: 'click', url: 'https://example.com' });
+
+        expect(event).toMatchObject({ id: 'event-1', workflow_enrollment_id: 'we-1', lead_id: 'lead-1' });
+        expect(updatesTo('email_logs')).toEqual([{ click_count: 1, clicked_at: expect.any(String) }]);
+        expect(updatesTo('workflow_enrollments')).toEqual([{ clicks: 3 }]);
+        expect(rpcCalls()).toEqual([
+            ['increment_workflow_stats', 'total_clicks'],
+            ['increment_lead_email_stats', 'total_clicks'],
+        ]);
+    });
+
+    test('should keep the first open time', async () => {
+        await recordTrackingEvent({ trackingId: 'track-1', eventType: 'open' });
+
+        expect(updatesTo('email_logs')).toEqual([{ open_count: 2 }]);
+        expect(updatesTo('workflow_enrollments')).toEqual([{ opens: 5 }]);
+        expect(rpcCalls()[0]).toEqual(['increment_workflow_stats', 'total_opens']);
+    });
+
+    test('should carry on when a stats RPC fails', async () => {
+        const original = supabase.rpc;
+        supabase.rpc = () => ({ then: resolve => Promise.resolve({ data: null, error: { message: 'boom' } }).then(resolve) });
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            const event = await recordTrackingEvent({ trackingId: 'track-1', eventType: 'click' });
+            expect(event).toMatchObject({ id: 'event-1' });
+        } finally {
+            supabase.rpc = original;
+            consoleError.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,279 @@
+/**
+ * Email Transport Service
+ * Single entry point for sending email, with one adapter per provider
+ *
+ * Adapters: Resend, SendGrid, SMTP (nodemailer) and a file sink that writes
+ * .eml files to EMAIL_SINK_DIR for development and tests.
+ * Each adapter takes the same message and returns { messageId } or throws.
+ * Adding a provider means adding an adapter here and its name to
+ * EMAIL_PROVIDERS in config/emailTransport.js.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Resend } from 'resend';
+import sgMail from '@sendgrid/mail';
+import nodemailer from 'nodemailer';
+import { getUserEmailProviders } from './userSettings.js';
+import {
+    getPlatformProviders,
+    buildTransportChain,
+    normalizeMessageId,
+    shouldFailover,
+} from '../config/emailTransport.js';
+
+const EMAIL_SINK_DIR = process.env.EMAIL_SINK_DIR || path.join(os.tmpdir(), 'validatecall-mail');
+
+let smtpTransporter = null;
+const fileTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+/**
+ * Error thrown by adapters
+ * statusCode/retryable feed shouldFailover()
+ */
+function transportError(message, { statusCode = null, retryable = true } = {}) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.retryable = retryable;
+    return error;
+}
+
+// ============================================
+// Adapters
+// ============================================
+
+/**
+ * Resend adapter
+ * @param {string} apiKey - Resend API key
+ */
+function createResendAdapter(apiKey) {
+    const client = new Resend(apiKey);
+
+    return {
+        name: 'resend',
+        async send(message) {
+            const { data, error } = await client.emails.send({
+                from: message.from,
+                to: message.to,
+                replyTo: message.replyTo,
+                subject: message.subject,
+                html: message.html,
+                text: message.text,
+                headers: message.headers,
+                tags: message.tags,
+            });
+
+            if (error) {
+                throw transportError(error.message, { statusCode: error.statusCode });
+            }
+
+            return { messageId: data.id };
+        },
+    };
+}
+
+/**
+ * SendGrid adapter
+ * Uses its own MailService so concurrent sends with different keys don't share setApiKey()
+ * @param {string} apiKey - SendGrid API key
+ */
+function createSendGridAdapter(apiKey) {
+    const client = new sgMail.MailService();
+    client.setApiKey(apiKey);
+
+    return {
+        name: 'sendgrid',
+        async send(message) {
+            const customArgs = Object.fromEntries((message.tags || []).map(t => [t.name, String(t.value)]));
+            if (message.trackingId) {
+                // Echoed back on every Event Webhook event (see routes/sendgridWebhook.js)
+                customArgs.tracking_id = message.trackingId;
+            }
+
+            try {
+                const [response] = await client.send({
+                    from: message.from,
+                    to: message.to,
+                    replyTo: message.replyTo,
+                    subject: message.subject,
+                    html: message.html,
+                    text: message.text,
+                    headers: message.headers,
+                    customArgs: Object.keys(customArgs).length > 0 ? customArgs : undefined,
+                });
+
+                return { messageId: response.headers['x-message-id'] };
+            } catch (err) {
+                if (err.response) {
+                    console.error('SendGrid error body:', err.response.body);
+                }
+                throw transportError(err.message || 'Failed to send via SendGrid', { statusCode: err.code });
+            }
+        },
+    };
+}
+
+/**
+ * SMTP adapter (platform only)
+ * Configured with SMTP_URL, or SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS/SMTP_SECURE
+ */
+function createSmtpAdapter() {
+    if (!smtpTransporter) {
+        smtpTransporter = nodemailer.createTransport(process.env.SMTP_URL || {
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined,
+        });
+    }
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            try {
+                const info = await smtpTransporter.sendMail(toNodemailerMessage(message));
+                return { messageId: info.messageId };
+            } catch (err) {
+                // A rejected recipient will be rejected by every provider
+                const rejectedRecipient = err.command === 'RCPT TO' && err.responseCode >= 500;
+                throw transportError(err.message, { statusCode: err.responseCode, retryable: !rejectedRecipient });
+            }
+        },
+    };
+}
+
+/**
+ * File sink adapter - writes each message to EMAIL_SINK_DIR as an .eml file
+ */
+function createFileAdapter() {
+    return {
+        name: 'file',
+        async send(message) {
+            const info = await fileTransporter.sendMail(toNodemailerMessage(message));
+            const messageId = normalizeMessageId('file', info.messageId) || crypto.randomUUID();
+
+            await fs.mkdir(EMAIL_SINK_DIR, { recursive: true });
+            const fileName = `${Date.now()}-${messageId.replace(/[^a-zA-Z0-9.-]/g, '_')}.eml`;
+            await fs.writeFile(path.join(EMAIL_SINK_DIR, fileName), info.message);
+
+            console.log(`📭 Email to ${message.to} written to ${path.join(EMAIL_SINK_DIR, fileName)}`);
+            return { messageId };
+        },
+    };
+}
+
+function toNodemailerMessage(message) {
+    return {
+        from: message.from,
+        to: message.to,
+        replyTo: message.replyTo,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers: {
+            ...(message.headers || {}),
+            ...(message.trackingId ? { 'X-Tracking-Id': message.trackingId } : {}),
+        },
+    };
+}
+
+/**
+ * Create the adapter for one entry of the transport chain
+ * @param {Object} transport - { provider, apiKey, owner }
+ */
+function createAdapter({ provider, apiKey }) {
+    switch (provider) {
+        case 'resend':
+            return createResendAdapter(apiKey || process.env.RESEND_API_KEY);
+        case 'sendgrid':
+            return createSendGridAdapter(apiKey || process.env.SENDGRID_API_KEY);
+        case 'smtp':
+            return createSmtpAdapter();
+        case 'file':
+            return createFileAdapter();
+        default:
+            throw new Error(`Unknown email provider: ${provider}`);
+    }
+}
+
+// ============================================
+// Sending
+// ============================================
+
+/**
+ * Whether the platform can send email without a user's own key
+ */
+export function isConfigured() {
+    return getPlatformProviders(process.env).length > 0;
+}
+
+/**
+ * Providers a send would try, in order
+ * @param {string|null} userId - Use this user's providers first (null = platform only)
+ * @returns {Promise<Object[]>} - [{ provider, apiKey, owner }]
+ */
+export async function getTransportChain(userId = null) {
+    const userProviders = userId ? await getUserEmailProviders(userId) : [];
+    return buildTransportChain(userProviders, getPlatformProviders(process.env));
+}
+
+/**
+ * Send an email, failing over to the next provider when one errors
+ * @param {Object} message - { from, to, replyTo, subject, html, text, headers, tags: [{ name, value }], trackingId }
+ * @param {Object} options - { userId, failover: true }
+ * @returns {Promise<Object>} - { success, provider, messageId, emailId, attempts, error }
+ */
+export async function sendEmail(message, { userId = null, failover = true } = {}) {
+    const chain = await getTransportChain(userId);
+
+    if (chain.length === 0) {
+        return {
+            success: false,
+            error: 'Email service not configured. Please add your API key in Settings.',
+            attempts: [],
+        };
+    }
+
+    const attempts = [];
+
+    for (const transport of chain) {
+        try {
+            const adapter = createAdapter(transport);
+            const { messageId: rawId } = await adapter.send(message);
+            const messageId = normalizeMessageId(transport.provider, rawId);
+
+            if (attempts.length > 0) {
+                console.log(`📧 Email to ${message.to} sent via ${transport.provider} after ${attempts.length} failed attempt(s)`);
+            }
+
+            return {
+                success: true,
+                provider: transport.provider,
+                messageId,
+                emailId: messageId,
+                attempts,
+            };
+        } catch (error) {
+            console.error(`Email send via ${transport.provider} (${transport.owner}) failed:`, error.message);
+            attempts.push({ provider: transport.provider, owner: transport.owner, error: error.message });
+
+            if (!failover || !shouldFailover(error)) break;
+        }
+    }
+
+    return {
+        success: false,
+        error: attempts[attempts.length - 1]?.error || 'Failed to send email',
+        attempts,
+    };
+}
+
+export default {
+    isConfigured,
+    getTransportChain,
+    sendEmail,
+};
@@ -0,0 +1,196 @@
+/**
+ * Free Tier Service
+ * Lead allowance for users without an active subscription
+ * (free_tier_usage.leads_used / leads_limit)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Atomically reserve leads for a free tier user
+ * This prevents race conditions by checking AND incrementing in a single operation
+ * Returns the number of leads that can actually be generated (capped to remaining)
+ */
+export async function reserveFreeTierLeads(userId, requestedCount = 1) {
+    if (!userId) return { canGenerate: true, isFreeTier: false, reserved: requestedCount };
+
+    // Check for active subscription first
+    const { data: subscription } = await supabase
+        .from('user_subscriptions')
+        .select('status')
+        .eq('user_id', userId)
+        .eq('status', 'active')
+        .single();
+
+    if (subscription) {
+        return { canGenerate: true, isFreeTier: false, reserved: requestedCount };
+    }
+
+    // Get current usage
+    let { data: usage } = await supabase
+        .from('free_tier_usage')
+        .select('leads_used, leads_limit')
+        .eq('user_id', userId)
+        .single();
+
+    // Create record if doesn't exist
+    if (!usage) {
+        const { data: newUsage, error: createError } = await supabase
+            .from('free_tier_usage')
+            .insert({ user_id: userId, leads_used: 0 })
+            .select()
+            .single();
+
+        if (createError) {
+            console.error('Error creating usage record:', createError);
+            return { canGenerate: false, isFreeTier: true, remaining: 0, error: 'Failed to create usage record' };
+        }
+        usage = newUsage;
+    }
+
+    const currentUsed = usage.leads_used;
+    const limit = usage.leads_limit;
+    const remaining = Math.max(0, limit - currentUsed);
+
+    // If no remaining leads, reject
+    if (remaining === 0) {
+        return {
+            canGenerate: false,
+            isFreeTier: true,
+            remaining: 0,
+            used: currentUsed,
+            limit: limit
+        };
+    }
+
+    // Cap the requested count to remaining
+    const toReserve = Math.min(requestedCount, remaining);
+    const newTotal = currentUsed + toReserve;
+
+    // ATOMIC: Update with condition to prevent race condition
+    // Only update if the current value matches what we read (optimistic locking)
+    const { data: updated, error: updateError } = await supabase
+        .from('free_tier_usage')
+        .update({ leads_used: newTotal })
+        .eq('user_id', userId)
+        .eq('leads_used', currentUsed) // Optimistic lock: only update if unchanged
+        .select()
+        .single();
+
+    if (updateError || !updated) {
+        // Race condition detected - another request modified the value
+        // Retry once with fresh data
+        console.log('[FreeTier] Race condition detected, retrying reservation...');
+
+        const { data: freshUsage } = await supabase
+            .from('free_tier_usage')
+            .select('leads_used, leads_limit')
+            .eq('user_id', userId)
+            .single();
+
+        if (!freshUsage) {
+            return { canGenerate: false, isFreeTier: true, remaining: 0, error: 'Usage record not found' };
+        }
+
+        const freshRemaining = Math.max(0, freshUsage.leads_limit - freshUsage.leads_used);
+
+        if (freshRemaining === 0) {
+            return {
+                canGenerate: false,
+                isFreeTier: true,
+                remaining: 0,
+                used: freshUsage.leads_used,
+                limit: freshUsage.leads_limit
+            };
+        }
+
+        const toReserveRetry = Math.min(requestedCount, freshRemaining);
+        const newTotalRetry = freshUsage.leads_used + toReserveRetry;
+
+        const { data: retryUpdate, error: retryError } = await supabase
+            .from('free_tier_usage')
+            .update({ leads_used: newTotalRetry })
+            .eq('user_id', userId)
+            .eq('leads_used', freshUsage.leads_used)
+            .select()
+            .single();
+
+        if (retryError || !retryUpdate) {
+            // Still failing, reject the request
+            return {
+                canGenerate: false,
+                isFreeTier: true,
+                remaining: freshRemaining,
+                error: 'Unable to reserve leads due to concurrent requests. Please try again.'
+            };
+        }
+
+        return {
+            canGenerate: true,
+            isFreeTier: true,
+            reserved: toReserveRetry,
+            remaining: freshRemaining - toReserveRetry,
+            used: newTotalRetry,
+            limit: freshUsage.leads_limit
+        };
+    }
+
+    return {
+        canGenerate: true,
+        isFreeTier: true,
+        reserved: toReserve,
+        remaining: remaining - toReserve,
+        used: newTotal,
+        limit: limit
+    };
+}
+
+/**
+ * Give back reserved leads that weren't delivered (failed runs, duplicates)
+ * Only free tier users are charged, so this is a no-op for everyone else
+ * @param {string} userId - The user's ID
+ * @param {number} count - Leads to refund
+ */
+export async function releaseFreeTierLeads(userId, count) {
+    if (!userId || !count || count <= 0) return { success: true, released: 0 };
+
+    try {
+        const { data: usage } = await supabase
+            .from('free_tier_usage')
+            .select('leads_used')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (!usage || usage.leads_used <= 0) {
+            return { success: true, released: 0 };
+        }
+
+        const released = Math.min(count, usage.leads_used);
+        const { error } = await supabase
+            .from('free_tier_usage')
+            .update({ leads_used: usage.leads_used - released })
+            .eq('user_id', userId)
+            .eq('leads_used', usage.leads_used); // Optimistic lock, like the reservation
+
+        if (error) {
+            console.error('[FreeTier] Failed to release leads:', error.message);
+            return { success: false, error: error.message };
+        }
+
+        console.log(`[FreeTier] Released ${released} unused leads for user ${userId}`);
+        return { success: true, released };
+    } catch (error) {
+        console.error('[FreeTier] Error releasing leads:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+export default {
+    reserveFreeTierLeads,
+    releaseFreeTierLeads,
+};
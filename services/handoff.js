@@ -0,0 +1,159 @@
+/**
+ * Warm Transfer (Handoff) Service
+ * Resolves who a call should be transferred to, logs every transfer attempt,
+ * and emails messages taken outside business hours
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { sendTransferMessageEmail } from './email.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Load the user, campaign and lead behind a VAPI call
+ * Prefers our calls row; falls back to the metadata we attach to outbound calls
+ * @param {Object} call - VAPI call object ({ id, metadata, customer })
+ * @returns {Promise<Object>} - { userId, campaignId, leadId, customerName, customerPhone, profile, campaign }
+ */
+export async function getTransferContext(call) {
+    const { data: callRow } = await supabase
+        .from('calls')
+        .select('user_id, campaign_id, lead_id, customer_name, phone_number')
+        .eq('vapi_call_id', call.id)
+        .maybeSingle();
+
+    const metadata = call.metadata || {};
+    const context = {
+        userId: callRow?.user_id || metadata.userId || null,
+        campaignId: callRow?.campaign_id || metadata.campaignId || null,
+        leadId: callRow?.lead_id || metadata.leadId || null,
+        customerName: callRow?.customer_name || call.customer?.name || null,
+        customerPhone: call.customer?.number || callRow?.phone_number || null,
+        profile: null,
+        campaign: null,
+    };
+
+    if (context.userId) {
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('id, email, full_name, timezone, handoff_phone, handoff_name, handoff_email, handoff_timezone, handoff_hours_start, handoff_hours_end, handoff_days')
+            .eq('id', context.userId)
+            .single();
+        context.profile = profile || null;
+    }
+
+    if (context.campaignId) {
+        const { data: campaign } = await supabase
+            .from('campaigns')
+            .select('id, handoff_phone, handoff_name')
+            .eq('id', context.campaignId)
+            .single();
+        context.campaign = campaign || null;
+    }
+
+    return context;
+}
+
+/**
+ * Log a transfer attempt against the call
+ * @param {string} vapiCallId - VAPI call ID
+ * @param {Object} context - From getTransferContext
+ * @param {Object} details - { status, leadQuality, reason, target, error }
+ *                           status: transferred, message_requested, failed
+ */
+export async function logTransfer(vapiCallId, context, { status, leadQuality, reason, target = null, error = null }) {
+    const { data, error: insertError } = await supabase
+        .from('call_transfers')
+        .insert({
+            vapi_call_id: vapiCallId,
+            user_id: context.userId,
+            campaign_id: context.campaignId,
+            lead_id: context.leadId,
+            customer_phone: context.customerPhone,
+            status,
+            lead_quality: leadQuality,
+            reason,
+            handoff_phone: target?.phone || null,
+            handoff_source: target?.source || null,
+            error,
+        })
+        .select()
+        .single();
+
+    if (insertError) {
+        console.error('Failed to log call transfer:', insertError.message);
+        return null;
+    }
+
+    return data;
+}
+
+/**
+ * Email the user any message taken on this call instead of a transfer
+ * Called from the end-of-call-report, once the summary and transcript exist
+ * @param {string} vapiCallId - VAPI call ID
+ * @param {Object} report - { summary, transcript }
+ * @returns {Promise<Object>} - { success, sent, error }
+ */
+export async function sendPendingTransferMessage(vapiCallId, { summary, transcript } = {}) {
+    try {
+        const { data: transfer } = await supabase
+            .from('call_transfers')
+            .select('id, user_id, customer_phone, lead_quality, reason, lead:leads(name)')
+            .eq('vapi_call_id', vapiCallId)
+            .eq('status', 'message_requested')
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (!transfer) {
+            return { success: true, sent: false };
+        }
+
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('email, full_name, handoff_email')
+            .eq('id', transfer.user_id)
+            .single();
+
+        const email = profile?.handoff_email || profile?.email;
+        if (!email) {
+            return { success: false, sent: false, error: 'No email address for user' };
+        }
+
+        const result = await sendTransferMessageEmail({
+            email,
+            name: profile.full_name,
+            customerName: transfer.lead?.name,
+            customerPhone: transfer.customer_phone,
+            leadQuality: transfer.lead_quality,
+            reason: transfer.reason,
+            summary,
+            transcript,
+        });
+
+        await supabase
+            .from('call_transfers')
+            .update({
+                status: result.success ? 'message_sent' : 'message_failed',
+                message_summary: summary || null,
+                error: result.success ? null : result.error,
+                updated_at: new Date().toISOString(),
+            })
+            .eq('id', transfer.id);
+
+        return { success: result.success, sent: result.success, error: result.error };
+    } catch (error) {
+        console.error('Send transfer message error:', error.message);
+        return { success: false, sent: false, error: error.message };
+    }
+}
+
+export default {
+    getTransferContext,
+    logTransfer,
+    sendPendingTransferMessage,
+};
@@ -0,0 +1,340 @@
+/**
+ * Inbound Call Service
+ * Answers calls leads make to our numbers: picks the assistant for VAPI's
+ * assistant-request, logs the call, and emails the owner once it ends.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_DNC_COUNTRY, toE164 } from '../config/dnc.js';
+import { getPhoneMatchVariants, buildInboundAssistant, buildInboundPrompt, buildInboundFirstMessage, PREVIOUS_CALLS_IN_CONTEXT } from '../config/inboundCalls.js';
+import { getMeetingTools, MEETING_BOOKING_PROMPT_INSTRUCTIONS } from '../config/meetings.js';
+import { checkSuppression } from './suppression.js';
+import { configureInboundOnVapi } from './phoneProvisioning.js';
+import { sendInboundCallEmail } from './email.js';
+
+const API_URL = process.env.API_URL || 'http://localhost:3002';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+function defaultCountry() {
+    return process.env.DNC_DEFAULT_COUNTRY || DEFAULT_DNC_COUNTRY;
+}
+
+/**
+ * PostgREST in.() list with quoted values (numbers contain + and spaces)
+ */
+function quotedList(values) {
+    return `(${values.map(v => `"${String(v).replace(/"/g, '')}"`).join(',')})`;
+}
+
+/**
+ * Our number that was called
+ */
+async function findCalledNumber(phoneNumberId, number) {
+    if (!phoneNumberId && !number) return null;
+
+    let query = supabase
+        .from('user_phone_numbers')
+        .select('id, user_id, phone_number, phone_number_id, inbound_enabled, inbound_assistant_id')
+        .limit(1);
+    query = phoneNumberId ? query.eq('phone_number_id', phoneNumberId) : query.eq('phone_number', number);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return data?.[0] || null;
+}
+
+/**
+ * Platform pool numbers have no owner - use whoever last called this lead from it
+ */
+async function findOwnerFromLastCall(phoneNumberId, variants) {
+    if (!phoneNumberId || variants.length === 0) return null;
+
+    const { data, error } = await supabase
+        .from('calls')
+        .select('user_id')
+        .eq('outbound_phone_number_id', phoneNumberId)
+        .in('phone_number', variants)
+        .not('user_id', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+    if (error) throw error;
+    return data?.[0]?.user_id || null;
+}
+
+/**
+ * The owner's lead with this caller ID (most recent if there are duplicates)
+ */
+async function findLead(userId, variants, e164) {
+    const filters = [`phone.in.${quotedList(variants)}`];
+    if (e164) filters.push(`phone_e164.eq."${e164}"`);
+
+    const { data, error } = await supabase
+        .from('leads')
+        .select('id, name, phone, category, city, email')
+        .eq('user_id', userId)
+        .or(filters.join(','))
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+}
+
+/**
+ * The owner's previous calls with this number, newest first
+ */
+async function findPreviousCalls(userId, variants) {
+    const { data, error } = await supabase
+        .from('calls')
+        .select('id, created_at, summary, call_outcome, direction, campaign_id, lead_id')
+        .eq('user_id', userId)
+        .in('phone_number', variants)
+        .order('created_at', { ascending: false })
+        .limit(PREVIOUS_CALLS_IN_CONTEXT);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Whether the caller is on the owner's suppression list
+ * Errors count as opted out so the assistant doesn't pitch
+ */
+async function isOptedOut(userId, phone) {
+    try {
+        return !!(await checkSuppression(userId, { phone }));
+    } catch (error) {
+        console.error(`Suppression check failed for inbound caller ${phone}:`, error.message);
+        return true;
+    }
+}
+
+/**
+ * Log the inbound call so status updates and the end-of-call-report land on it
+ */
+async function logInboundCall(call, { userId, lead, campaignId, calledNumber }) {
+    const { error } = await supabase
+        .from('calls')
+        .upsert({
+            user_id: userId,
+            lead_id: lead?.id || null,
+            campaign_id: campaignId,
+            vapi_call_id: call.id,
+            phone_number: call.customer?.number || 'Unknown',
+            customer_name: lead?.name || call.customer?.name || null,
+            direction: 'inbound',
+            inbound_phone_number: calledNumber,
+            status: 'ringing',
+            raw_response: call,
+        }, { onConflict: 'vapi_call_id', ignoreDuplicates: true });
+
+    if (error) {
+        console.error(`Failed to log inbound call ${call.id}:`, error.message);
+    }
+}
+
+/**
+ * Answer VAPI's assistant-request for an inbound call
+ * Always returns an assistant - a caller is never dropped because a lookup failed
+ * @param {Object} message - VAPI server message ({ call, phoneNumber })
+ * @returns {Promise<Object>} - { assistantId, assistantOverrides } | { assistant } | { error }
+ */
+export async function handleAssistantRequest(message) {
+    const call = message.call || {};
+    const callerPhone = call.customer?.number || null;
+    const phoneNumberId = call.phoneNumberId || message.phoneNumber?.id || null;
+    const calledNumber = message.phoneNumber?.number || null;
+
+    try {
+        const number = await findCalledNumber(phoneNumberId, calledNumber);
+        if (number?.inbound_enabled === false) {
+            console.log(`📵 Inbound call to ${number.phone_number} rejected - inbound disabled`);
+            return { error: 'This number does not accept incoming calls' };
+        }
+
+        const variants = getPhoneMatchVariants(callerPhone, defaultCountry());
+        const userId = number?.user_id || await findOwnerFromLastCall(phoneNumberId, variants);
+
+        let lead = null;
+        let previousCalls = [];
+        let profile = null;
+        let productIdea = null;
+        let optedOut = false;
+
+        if (userId && variants.length > 0) {
+            [lead, previousCalls, optedOut] = await Promise.all([
+                findLead(userId, variants, toE164(callerPhone, defaultCountry())),
+                findPreviousCalls(userId, variants),
+                isOptedOut(userId, callerPhone),
+            ]);
+
+            const { data } = await supabase
+                .from('profiles')
+                .select('full_name, brand_name, booking_provider, booking_api_key')
+                .eq('id', userId)
+                .single();
+            profile = data;
+        }
+
+        const campaignId = previousCalls.find(c => c.campaign_id)?.campaign_id || null;
+        if (campaignId) {
+            const { data: campaign } = await supabase
+                .from('campaigns')
+                .select('product_idea')
+                .eq('id', campaignId)
+                .single();
+            productIdea = campaign?.product_idea || null;
+        }
+
+        await logInboundCall(call, {
+            userId,
+            lead,
+            campaignId,
+            calledNumber: calledNumber || number?.phone_number || null,
+        });
+
+        console.log(`📲 Inbound call ${call.id} from ${callerPhone || 'unknown'}: ${lead ? `lead ${lead.name}` : 'unknown caller'}, ${previousCalls.length} previous call(s)`);
+
+        const bookingEnabled = !!(profile?.booking_provider && profile?.booking_api_key) && !optedOut;
+        const context = {
+            lead,
+            previousCalls,
+            businessName: profile?.brand_name || profile?.full_name || null,
+            productIdea,
+            optedOut,
+            tools: bookingEnabled ? getMeetingTools(`${API_URL}/api/vapi/webhook`) : [],
+        };
+
+        const assistantId = number?.inbound_assistant_id || process.env.VAPI_INBOUND_ASSISTANT_ID;
+        if (assistantId) {
+            const prompt = buildInboundPrompt(context);
+            return {
+                assistantId,
+                assistantOverrides: {
+                    firstMessage: buildInboundFirstMessage(context),
+                    model: {
+                        messages: [{
+                            role: 'system',
+                            content: bookingEnabled ? `${prompt}\n${MEETING_BOOKING_PROMPT_INSTRUCTIONS}` : prompt,
+                        }],
+                    },
+                },
+            };
+        }
+
+        const assistant = buildInboundAssistant(context);
+        if (bookingEnabled) {
+            assistant.model.messages[0].content += `\n${MEETING_BOOKING_PROMPT_INSTRUCTIONS}`;
+        }
+        return { assistant };
+    } catch (error) {
+        console.error(`Inbound assistant lookup failed for call ${call.id}:`, error.message);
+        return { assistant: buildInboundAssistant({}) };
+    }
+}
+
+/**
+ * Email the owner about an inbound call once its end-of-call-report arrives
+ * @param {string} vapiCallId - VAPI call ID
+ * @param {Object} report - { summary, transcript }
+ * @returns {Promise<Object>} - { success, sent, error }
+ */
+export async function notifyInboundCall(vapiCallId, { summary, transcript } = {}) {
+    try {
+        const { data: call } = await supabase
+            .from('calls')
+            .select('id, user_id, lead_id, direction, phone_number, customer_name, inbound_phone_number, duration_seconds, owner_notified_at')
+            .eq('vapi_call_id', vapiCallId)
+            .maybeSingle();
+
+        if (!call || call.direction !== 'inbound' || call.owner_notified_at || !call.user_id) {
+            return { success: true, sent: false };
+        }
+
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('email, full_name, handoff_email')
+            .eq('id', call.user_id)
+            .single();
+
+        const email = profile?.handoff_email || profile?.email;
+        if (!email) {
+            return { success: false, sent: false, error: 'No email address for user' };
+        }
+
+        const result = await sendInboundCallEmail({
+            email,
+            name: profile.full_name,
+            customerName: call.customer_name,
+            customerPhone: call.phone_number,
+            inboundNumber: call.inbound_phone_number,
+            isKnownLead: !!call.lead_id,
+            durationSeconds: call.duration_seconds,
+            summary,
+            transcript,
+        });
+
+        if (result.success) {
+            await supabase
+                .from('calls')
+                .update({ owner_notified_at: new Date().toISOString() })
+                .eq('id', call.id);
+        }
+
+        return { success: result.success, sent: result.success, error: result.error };
+    } catch (error) {
+        console.error('Inbound call notification error:', error.message);
+        return { success: false, sent: false, error: error.message };
+    }
+}
+
+/**
+ * Turn inbound answering on or off for one of the user's numbers
+ * @param {string} userId - Owner
+ * @param {string} phoneNumberId - VAPI phone number ID
+ * @param {Object} settings - { enabled, assistantId } - assistantId null uses the default
+ * @returns {Promise<Object>} - { success, number, error }
+ */
+export async function setInboundSettings(userId, phoneNumberId, { enabled, assistantId } = {}) {
+    const updates = { updated_at: new Date().toISOString() };
+    if (enabled !== undefined) updates.inbound_enabled = !!enabled;
+    if (assistantId !== undefined) updates.inbound_assistant_id = assistantId || null;
+
+    const { data, error } = await supabase
+        .from('user_phone_numbers')
+        .update(updates)
+        .eq('user_id', userId)
+        .eq('phone_number_id', phoneNumberId)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    if (!data) {
+        return { success: false, error: 'Phone number not found' };
+    }
+
+    // Numbers imported before inbound support don't send assistant-requests yet
+    if (data.inbound_enabled) {
+        try {
+            await configureInboundOnVapi(phoneNumberId);
+        } catch (vapiError) {
+            return { success: false, number: data, error: vapiError.message };
+        }
+    }
+
+    return { success: true, number: data };
+}
+
+export default {
+    handleAssistantRequest,
+    notifyInboundCall,
+    setInboundSettings,
+};
@@ -0,0 +1,273 @@
+/**
+ * Lead Deduplication Service
+ * Finds likely duplicate leads, keeps them in a review queue
+ * (lead_duplicates) and merges them with the merge_leads database function,
+ * which moves the merged leads' history onto the survivor in one transaction.
+ *
+ * Scans run on request and after every import or sourcing job that saved
+ * new leads.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    DEFAULT_MIN_CONFIDENCE,
+    MAX_MERGE_LEADS,
+    getPairKey,
+    findDuplicatePairs,
+    buildMergedFields,
+} from '../config/leadDedup.js';
+import { DEFAULT_DNC_COUNTRY } from '../config/dnc.js';
+
+const PAGE_SIZE = 1000;
+const INSERT_CHUNK_SIZE = 500;
+
+const LEAD_MATCH_COLUMNS = 'id, name, phone, phone_e164, email, website, address, status, call_count, total_emails_sent, lead_score, created_at';
+const QUEUE_LEAD_COLUMNS = 'id, name, phone, email, website, address, city, source, status, call_count, created_at';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Users with a scan in progress - a second scan at the same time is refused
+const scanning = new Set();
+
+function defaultCountry() {
+    return process.env.DNC_DEFAULT_COUNTRY || DEFAULT_DNC_COUNTRY;
+}
+
+async function fetchAll(buildQuery) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+    }
+}
+
+/**
+ * Compare all of a user's leads and queue new likely duplicates
+ * Pairs already queued or dismissed are not suggested again.
+ * @returns {Promise<Object>} - { success, scanned, found, queued, error }
+ */
+export async function scanForDuplicates(userId, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+    if (scanning.has(userId)) {
+        return { success: false, error: 'A duplicate scan is already running' };
+    }
+    scanning.add(userId);
+
+    try {
+        const leads = await fetchAll(() => supabase
+            .from('leads')
+            .select(LEAD_MATCH_COLUMNS)
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true }));
+
+        const known = await fetchAll(() => supabase
+            .from('lead_duplicates')
+            .select('lead_id, duplicate_lead_id')
+            .eq('user_id', userId));
+        const skipPairs = new Set(known.map(pair => getPairKey(pair.lead_id, pair.duplicate_lead_id)));
+
+        const pairs = findDuplicatePairs(leads, { defaultCountry: defaultCountry(), minConfidence, skipPairs });
+
+        let queued = 0;
+        for (let i = 0; i < pairs.length; i += INSERT_CHUNK_SIZE) {
+            const rows = pairs.slice(i, i + INSERT_CHUNK_SIZE).map(pair => ({
+                user_id: userId,
+                lead_id: pair.leadId,
+                duplicate_lead_id: pair.duplicateLeadId,
+                confidence: pair.confidence,
+                reasons: pair.reasons,
+            }));
+
+            const { error } = await supabase.from('lead_duplicates').insert(rows);
+            if (error) {
+                // 23505: a concurrent scan or merge got there first - the next scan picks up the rest
+                console.error('Error queueing duplicate leads:', error.message);
+                continue;
+            }
+            queued += rows.length;
+        }
+
+        if (queued > 0) {
+            console.log(`🔁 Duplicate scan for user ${userId}: ${queued} new pairs across ${leads.length} leads`);
+        }
+        return { success: true, scanned: leads.length, found: pairs.length, queued };
+    } catch (error) {
+        console.error('Error scanning for duplicate leads:', error);
+        return { success: false, error: error.message };
+    } finally {
+        scanning.delete(userId);
+    }
+}
+
+/**
+ * Pending pairs with both leads, most confident first
+ * @param {Object} filters - { minConfidence, limit, offset }
+ */
+export async function getReviewQueue(userId, { minConfidence = null, limit = 20, offset = 0 } = {}) {
+    let query = supabase
+        .from('lead_duplicates')
+        .select(`
+            id, confidence, reasons, created_at,
+            lead:leads!lead_duplicates_lead_id_fkey(${QUEUE_LEAD_COLUMNS}),
+            duplicate:leads!lead_duplicates_duplicate_lead_id_fkey(${QUEUE_LEAD_COLUMNS})
+        `, { count: 'exact' })
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .order('confidence', { ascending: false })
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+    if (minConfidence !== null) query = query.gte('confidence', minConfidence);
+
+    const { data, error, count } = await query;
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, duplicates: data || [], total: count || 0 };
+}
+
+/**
+ * Merge leads into one
+ * Blank fields on the survivor are filled from the merged leads, then their
+ * calls, scheduled calls, enrollments, email and SMS history move to it and
+ * they are deleted. A copy of each is kept in lead_merges.
+ * @param {string} survivingLeadId - Lead to keep
+ * @param {string[]} mergedLeadIds - Leads to merge into it
+ * @returns {Promise<Object>} - { success, lead, repointed, error, notFound }
+ */
+export async function mergeLeads(userId, survivingLeadId, mergedLeadIds) {
+    const mergedIds = [...new Set((mergedLeadIds || []).filter(Boolean))];
+    if (!survivingLeadId || mergedIds.length === 0) {
+        return { success: false, invalid: true, error: 'survivingLeadId and mergedLeadIds are required' };
+    }
+    if (mergedIds.includes(survivingLeadId)) {
+        return { success: false, invalid: true, error: 'A lead cannot be merged into itself' };
+    }
+    if (mergedIds.length > MAX_MERGE_LEADS) {
+        return { success: false, invalid: true, error: `At most ${MAX_MERGE_LEADS} leads can be merged at once` };
+    }
+
+    const { data: leads, error: fetchError } = await supabase
+        .from('leads')
+        .select('*')
+        .eq('user_id', userId)
+        .in('id', [survivingLeadId, ...mergedIds]);
+
+    if (fetchError) {
+        return { success: false, error: fetchError.message };
+    }
+
+    const survivor = (leads || []).find(lead => lead.id === survivingLeadId);
+    const merged = (leads || []).filter(lead => mergedIds.includes(lead.id));
+    if (!survivor || merged.length !== mergedIds.length) {
+        return { success: false, notFound: true, error: 'Lead not found' };
+    }
+
+    const updates = buildMergedFields(survivor, merged);
+
+    const { data: repointed, error } = await supabase.rpc('merge_leads', {
+        p_user_id: userId,
+        p_surviving_lead_id: survivingLeadId,
+        p_merged_lead_ids: mergedIds,
+        p_updates: updates,
+    });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    const { data: lead } = await supabase
+        .from('leads')
+        .select('*')
+        .eq('id', survivingLeadId)
+        .single();
+
+    console.log(`🔁 Merged ${mergedIds.length} lead(s) into ${survivingLeadId}`);
+    return { success: true, lead, repointed };
+}
+
+async function getDuplicate(userId, duplicateId) {
+    const { data, error } = await supabase
+        .from('lead_duplicates')
+        .select('*')
+        .eq('id', duplicateId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Merge a queued pair
+ * @param {string} keepLeadId - Which of the two to keep (defaults to the suggested survivor)
+ */
+export async function mergeDuplicate(userId, duplicateId, keepLeadId = null) {
+    const pair = await getDuplicate(userId, duplicateId);
+    if (!pair) {
+        return { success: false, notFound: true, error: 'Duplicate not found' };
+    }
+    if (pair.status !== 'pending') {
+        return { success: false, conflict: true, error: `Duplicate is already ${pair.status}` };
+    }
+
+    const keep = keepLeadId || pair.lead_id;
+    if (![pair.lead_id, pair.duplicate_lead_id].includes(keep)) {
+        return { success: false, invalid: true, error: 'keepLeadId must be one of the pair' };
+    }
+
+    return mergeLeads(userId, keep, [keep === pair.lead_id ? pair.duplicate_lead_id : pair.lead_id]);
+}
+
+/**
+ * Mark a queued pair as not duplicates - it won't be suggested again
+ */
+export async function dismissDuplicate(userId, duplicateId) {
+    const { data, error } = await supabase
+        .from('lead_duplicates')
+        .update({ status: 'dismissed', resolved_at: new Date().toISOString() })
+        .eq('id', duplicateId)
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    if (!data) {
+        return { success: false, notFound: true, error: 'Duplicate not found' };
+    }
+    return { success: true, duplicate: data };
+}
+
+/**
+ * A user's past merges, newest first
+ */
+export async function listMerges(userId, { limit = 20, offset = 0 } = {}) {
+    const { data, error, count } = await supabase
+        .from('lead_merges')
+        .select('*', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, merges: data || [], total: count || 0 };
+}
+
+export default {
+    scanForDuplicates,
+    getReviewQueue,
+    mergeLeads,
+    mergeDuplicate,
+    dismissDuplicate,
+    listMerges,
+};
@@ -0,0 +1,343 @@
+/**
+ * Lead Enrichment Service
+ * Reads leads' websites - the homepage plus its contact/about/services pages -
+ * for contact names, emails, services and social profiles and keeps the
+ * result in lead_enrichment, one record per lead.
+ *
+ * The lead enrichment worker works through leads whose website hasn't been
+ * read yet; a lead can also be enriched on request.
+ *
+ * Only public hosts are fetched: the website comes from scraped or imported
+ * lead data, so addresses on private networks are refused (after each
+ * redirect too).
+ */
+
+import { lookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+import { createClient } from '@supabase/supabase-js';
+import {
+    MAX_ENRICHMENT_ATTEMPTS,
+    MAX_ENRICHMENT_PAGES,
+    normalizeWebsiteUrl,
+    isPrivateAddress,
+    extractPage,
+    findRelatedPages,
+    mergePageResults,
+} from '../config/leadEnrichment.js';
+
+const ENRICH_BATCH_SIZE = 10;
+const RETRY_AFTER_HOURS = 24;
+
+const MAX_PAGE_BYTES = 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+const USER_AGENT = 'Mozilla/5.0 (compatible; LeadEnrichmentBot/1.0)';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+async function assertPublicHost(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = isIP(hostname)
+        ? [hostname]
+        : (await lookup(hostname, { all: true })).map(entry => entry.address);
+
+    if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+        throw new Error(`${hostname} is not a public address`);
+    }
+}
+
+async function readBody(response, maxBytes) {
+    if (!response.body) return '';
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+
+    while (size < maxBytes) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        size += value.length;
+    }
+    await reader.cancel().catch(() => {});
+
+    const charset = (response.headers.get('content-type') || '').match(/charset=["']?([\w-]+)/i)?.[1];
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset || 'utf-8');
+    } catch {
+        decoder = new TextDecoder('utf-8');
+    }
+    return decoder.decode(Buffer.concat(chunks).subarray(0, maxBytes));
+}
+
+/**
+ * Fetch one HTML page, following redirects
+ * @param {Object} options - { fetchImpl, timeoutMs, maxBytes, allowPrivateHosts }
+ * @returns {Promise<{ url: string, html: string }>} - url is where the redirects ended
+ */
+export async function fetchPage(url, {
+    fetchImpl = fetch,
+    timeoutMs = FETCH_TIMEOUT_MS,
+    maxBytes = MAX_PAGE_BYTES,
+    allowPrivateHosts = false,
+} = {}) {
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+        if (!allowPrivateHosts) await assertPublicHost(current);
+
+        const response = await fetchImpl(current, {
+            redirect: 'manual',
+            signal: AbortSignal.timeout(timeoutMs),
+            headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+        });
+
+        if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+            await response.body?.cancel().catch(() => {});
+            if (redirects >= MAX_REDIRECTS) throw new Error('Too many redirects');
+
+            const next = new URL(response.headers.get('location'), current);
+            if (!['http:', 'https:'].includes(next.protocol)) throw new Error('Redirected away from the website');
+            current = next.toString();
+            continue;
+        }
+
+        if (!response.ok) {
+            await response.body?.cancel().catch(() => {});
+            throw new Error(`Website returned HTTP ${response.status}`);
+        }
+
+        const contentType = (response.headers.get('content-type') || '').toLowerCase();
+        if (contentType && !/text\/html|application\/xhtml\+xml/.test(contentType)) {
+            await response.body?.cancel().catch(() => {});
+            throw new Error(`Website returned ${contentType.split(';')[0]}, not HTML`);
+        }
+
+        return { url: current, html: await readBody(response, maxBytes) };
+    }
+}
+
+/**
+ * Read a lead's website: the homepage, then up to MAX_ENRICHMENT_PAGES - 1
+ * of its contact/about/services pages
+ * Only a failed homepage fails the crawl - other pages are skipped.
+ * @param {string} website - The lead's website field
+ * @param {Object} options - fetchPage options, plus maxPages
+ * @returns {Promise<Object>} - { success, url, pagesFetched, enrichment, error }
+ */
+export async function crawlWebsite(website, { maxPages = MAX_ENRICHMENT_PAGES, ...fetchOptions } = {}) {
+    const startUrl = normalizeWebsiteUrl(website);
+    if (!startUrl) {
+        return { success: false, error: 'Lead website is not a valid URL' };
+    }
+
+    let home;
+    try {
+        home = await fetchPage(startUrl, fetchOptions);
+    } catch (error) {
+        const reason = error.name === 'TimeoutError' ? 'Website did not respond in time' : error.message;
+        return { success: false, url: startUrl, error: reason };
+    }
+
+    const homePage = extractPage(home.html, home.url);
+    const pages = [homePage];
+    const pagesFetched = [home.url];
+
+    for (const related of findRelatedPages(homePage.links, home.url, maxPages - 1)) {
+        try {
+            const page = await fetchPage(related.url, fetchOptions);
+            if (pagesFetched.includes(page.url)) continue;
+            pages.push(extractPage(page.html, page.url));
+            pagesFetched.push(page.url);
+        } catch {
+            // A broken contact page shouldn't lose what the homepage had
+        }
+    }
+
+    return {
+        success: true,
+        url: home.url,
+        pagesFetched,
+        enrichment: mergePageResults(pages, home.url),
+    };
+}
+
+/**
+ * Read a lead's website and save what was found
+ * A failed read keeps the previous result unless the website has changed.
+ * @param {Object} lead - { id, user_id, website }
+ * @returns {Promise<Object>} - { success, enrichment, error }
+ */
+export async function enrichLead(lead) {
+    const { data: existing } = await supabase
+        .from('lead_enrichment')
+        .select('website, attempts')
+        .eq('lead_id', lead.id)
+        .maybeSingle();
+
+    const sameWebsite = existing?.website === lead.website;
+    const attempts = sameWebsite ? existing.attempts + 1 : 1;
+    const now = new Date().toISOString();
+
+    const result = await crawlWebsite(lead.website);
+
+    const row = {
+        user_id: lead.user_id,
+        lead_id: lead.id,
+        website: lead.website,
+        status: result.success ? 'completed' : 'failed',
+        error: result.success ? null : result.error,
+        attempts,
+        updated_at: now,
+    };
+
+    if (result.success) {
+        Object.assign(row, {
+            final_url: result.url,
+            pages_fetched: result.pagesFetched,
+            contact_names: result.enrichment.contactNames,
+            emails: result.enrichment.emails,
+            services: result.enrichment.services,
+            social_links: result.enrichment.socialLinks,
+            description: result.enrichment.description,
+            fetched_at: now,
+        });
+    } else if (!sameWebsite) {
+        Object.assign(row, {
+            final_url: null,
+            pages_fetched: [],
+            contact_names: [],
+            emails: [],
+            services: [],
+            social_links: {},
+            description: null,
+            fetched_at: null,
+        });
+    }
+
+    const { data: enrichment, error } = await supabase
+        .from('lead_enrichment')
+        .upsert(row, { onConflict: 'lead_id' })
+        .select()
+        .single();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+        return { success: false, enrichment, error: result.error };
+    }
+    return { success: true, enrichment };
+}
+
+/**
+ * Enrich one of a user's leads now
+ * @returns {Promise<Object>} - { success, enrichment, error, notFound, invalid }
+ */
+export async function enrichLeadById(userId, leadId) {
+    const { data: lead, error } = await supabase
+        .from('leads')
+        .select('id, user_id, website')
+        .eq('id', leadId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    if (!lead) {
+        return { success: false, notFound: true, error: 'Lead not found' };
+    }
+    if (!lead.website?.trim()) {
+        return { success: false, invalid: true, error: 'Lead has no website' };
+    }
+
+    return enrichLead(lead);
+}
+
+/**
+ * A user's enrichment record for a lead, whatever its status
+ */
+export async function getEnrichment(userId, leadId) {
+    const { data, error } = await supabase
+        .from('lead_enrichment')
+        .select('*')
+        .eq('lead_id', leadId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    if (!data) {
+        return { success: false, notFound: true, error: 'Lead has not been enriched' };
+    }
+    return { success: true, enrichment: data };
+}
+
+/**
+ * What was found on a lead's website, for personalization prompts
+ * @returns {Promise<Object|null>} - null if the website hasn't been read successfully
+ */
+export async function getLeadEnrichment(leadId) {
+    if (!leadId) return null;
+
+    const { data, error } = await supabase
+        .from('lead_enrichment')
+        .select('contact_names, emails, services, social_links, description, fetched_at')
+        .eq('lead_id', leadId)
+        .not('fetched_at', 'is', null)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Error getting lead enrichment:', error.message);
+        return null;
+    }
+    return data;
+}
+
+/**
+ * Enrich the next batch of leads whose website is unread, changed, or due a retry
+ * @returns {Promise<Object>} - { processed, completed, failed }
+ */
+export async function enrichPendingLeads(limit = ENRICH_BATCH_SIZE) {
+    const retryBefore = new Date(Date.now() - RETRY_AFTER_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { data: leads, error } = await supabase.rpc('get_leads_to_enrich', {
+        p_limit: limit,
+        p_max_attempts: MAX_ENRICHMENT_ATTEMPTS,
+        p_retry_before: retryBefore,
+    });
+
+    if (error) {
+        throw new Error(error.message);
+    }
+
+    const results = { processed: 0, completed: 0, failed: 0 };
+    for (const lead of leads || []) {
+        const result = await enrichLead(lead);
+        results.processed++;
+        if (result.success) {
+            results.completed++;
+        } else {
+            results.failed++;
+        }
+    }
+
+    return results;
+}
+
+export default {
+    fetchPage,
+    crawlWebsite,
+    enrichLead,
+    enrichLeadById,
+    getEnrichment,
+    getLeadEnrichment,
+    enrichPendingLeads,
+};
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for lead enrichment service
+ * Crawls run against a local fixture website.
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeSupabase } from '../test-utils/fakeSupabase.js';
+import { startFixtureWebsite } from '../test-utils/fixtureWebsite.js';
+
+const supabase = createFakeSupabase();
+
+jest.unstable_mockModule('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+
+const { fetchPage, crawlWebsite } = await import('./leadEnrichment.js');
+
+let site;
+
+beforeAll(async () => {
+    site = await startFixtureWebsite();
+});
+
+afterAll(async () => {
+    await site.close();
+});
+
+beforeEach(() => {
+    site.requested.length = 0;
+});
+
+describe('Fetching', () => {
+    test('should refuse private hosts by default', async () => {
+        await expect(fetchPage(`${site.baseUrl}/`)).rejects.toThrow('not a public address');
+        expect(site.requested).toEqual([]);
+    });
+
+    test('should follow redirects', async () => {
+        const page = await fetchPage(`${site.baseUrl}/old-site`, { allowPrivateHosts: true });
+        expect(page.url).toBe(`${site.baseUrl}/`);
+        expect(page.html).toContain('Bright Smile Dental');
+    });
+
+    test('should stop redirect loops', async () => {
+        await expect(fetchPage(`${site.baseUrl}/loop`, { allowPrivateHosts: true })).rejects.toThrow('Too many redirects');
+    });
+
+    test('should reject non-HTML responses and errors', async () => {
+        await expect(fetchPage(`${site.baseUrl}/brochure.pdf`, { allowPrivateHosts: true })).rejects.toThrow('application/pdf');
+        await expect(fetchPage(`${site.baseUrl}/nowhere`, { allowPrivateHosts: true })).rejects.toThrow('HTTP 404');
+    });
+
+    test('should cap the page size', async () => {
+        const page = await fetchPage(`${site.baseUrl}/`, { allowPrivateHosts: true, maxBytes: 100 });
+        expect(page.html.length).toBeLessThanOrEqual(100);
+    });
+});
+
+describe('Crawling', () => {
+    test('should combine the homepage and its related pages', async () => {
+        const result = await crawlWebsite(`${site.baseUrl}/`, { allowPrivateHosts: true });
+
+        expect(result.success).toBe(true);
+        expect(result.pagesFetched).toEqual([`${site.baseUrl}/`, `${site.baseUrl}/contact`, `${site.baseUrl}/about-us`, `${site.baseUrl}/our-services`]);
+        expect(result.enrichment.contactNames.map(c => c.name)).toContain('Tom Kelly');
+        expect(result.enrichment.emails).toContain('reception@brightsmile.ie');
+    });
+
+    test('should keep going when a related page fails', async () => {
+        const result = await crawlWebsite(`${site.baseUrl}/broken`, { allowPrivateHosts: true });
+
+        expect(result.success).toBe(true);
+        expect(site.requested).toContain('/missing-contact');
+        expect(result.pagesFetched).not.toContain(`${site.baseUrl}/missing-contact`);
+        expect(result.enrichment.services).toContain('Teeth Whitening');
+    });
+
+    test('should fail when the homepage cannot be read', async () => {
+        expect(await crawlWebsite('not a website')).toEqual({ success: false, error: 'Lead website is not a valid URL' });
+
+        const slow = await crawlWebsite(`${site.baseUrl}/slow`, { allowPrivateHosts: true, timeoutMs: 100 });
+        expect(slow).toMatchObject({ success: false, error: 'Website did not respond in time' });
+    });
+
+    test('should stop at the page limit', async () => {
+        const result = await crawlWebsite(`${site.baseUrl}/`, { allowPrivateHosts: true, maxPages: 2 });
+        expect(result.pagesFetched).toEqual([`${site.baseUrl}/`, `${site.baseUrl}/contact`]);
+    });
+});
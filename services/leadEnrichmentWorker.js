@@ -0,0 +1,65 @@
+/**
+ * Lead Enrichment Worker
+ * Reads new leads' websites in the background
+ *
+ * Runs a cron job every 5 minutes that enriches a batch of leads whose
+ * website hasn't been read, has changed since, or failed over a day ago.
+ */
+
+import cron from 'node-cron';
+import { enrichPendingLeads } from './leadEnrichment.js';
+
+/**
+ * LeadEnrichmentWorker - enriches leads from their websites
+ */
+class LeadEnrichmentWorker {
+    constructor() {
+        this.isProcessing = false;
+        this.cronJob = null;
+    }
+
+    /**
+     * Start the worker
+     */
+    start() {
+        this.cronJob = cron.schedule('*/5 * * * *', async () => {
+            await this.processPendingLeads();
+        });
+
+        console.log('🌐 Lead enrichment worker started - reading lead websites every 5 minutes');
+    }
+
+    /**
+     * Stop the worker
+     */
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            console.log('🌐 Lead enrichment worker stopped');
+        }
+    }
+
+    /**
+     * Enrich the next batch of leads
+     */
+    async processPendingLeads() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            const results = await enrichPendingLeads();
+            if (results.processed > 0) {
+                console.log(`🌐 Enriched ${results.completed}/${results.processed} lead websites (${results.failed} failed)`);
+            }
+        } catch (error) {
+            console.error('❌ Lead enrichment error:', error.message);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+}
+
+// Export singleton instance
+const leadEnrichmentWorker = new LeadEnrichmentWorker();
+export default leadEnrichmentWorker;
+export { LeadEnrichmentWorker };
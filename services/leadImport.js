@@ -0,0 +1,426 @@
+/**
+ * Lead Import Service
+ * Spreadsheet (CSV/XLSX) uploads: preview, column mapping, validation and a
+ * background import into leads with a per-row error report
+ *
+ * Parsed rows are kept on the lead_imports row until the import finishes,
+ * so the mapping can be changed and re-validated before starting.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { readSheet } from 'read-excel-file/node';
+import {
+    MAX_IMPORT_ROWS,
+    getImportFileType,
+    parseCsvRows,
+    normalizeSheet,
+    suggestMapping,
+    previewColumns,
+    validateMapping,
+    validateImportRows,
+    getHeaderSignature,
+} from '../config/leadImport.js';
+import { DEFAULT_DNC_COUNTRY } from '../config/dnc.js';
+import { COUNTRY_CALLING_CODES } from '../config/numberPool.js';
+import { saveLeads } from './leads.js';
+import { reserveFreeTierLeads, releaseFreeTierLeads } from './freeTier.js';
+import { scanForDuplicates } from './leadDedup.js';
+
+const SAVE_CHUNK_SIZE = 250;
+const ERROR_PREVIEW_LIMIT = 100;
+const STALE_IMPORT_MINUTES = 30;
+
+// Columns returned to the API - rows can be thousands of cells
+const IMPORT_COLUMNS = 'id, user_id, filename, file_type, status, headers, mapping, default_country, total_rows, valid_rows, imported_count, duplicate_count, error_count, error_message, created_at, started_at, completed_at, updated_at';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+function defaultCountry() {
+    return process.env.DNC_DEFAULT_COUNTRY || DEFAULT_DNC_COUNTRY;
+}
+
+/**
+ * Read an uploaded file into raw rows
+ * @param {Object} file - multer file ({ originalname, mimetype, buffer })
+ */
+async function readImportFile(file, fileType) {
+    if (fileType === 'xlsx') {
+        // First sheet only
+        return readSheet(file.buffer);
+    }
+    return parseCsvRows(file.buffer.toString('utf8'));
+}
+
+/**
+ * Mapping the user saved for a file with the same columns, if any
+ */
+async function findSavedMapping(userId, headerSignature, headers) {
+    const { data } = await supabase
+        .from('lead_imports')
+        .select('mapping')
+        .eq('user_id', userId)
+        .eq('header_signature', headerSignature)
+        .not('mapping', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (!data?.mapping) return null;
+    const { mapping } = validateMapping(data.mapping, headers);
+    return mapping;
+}
+
+/**
+ * Upload a file and preview its columns
+ * @returns {Promise<Object>} - { success, import, columns, suggestedMapping, mappingSource, truncated, error }
+ */
+export async function createImport(userId, file) {
+    const fileType = getImportFileType(file.originalname, file.mimetype);
+    if (!fileType) {
+        return { success: false, error: 'Only .csv and .xlsx files can be imported' };
+    }
+
+    let sheet;
+    try {
+        sheet = await readImportFile(file, fileType);
+    } catch (error) {
+        return { success: false, error: `Could not read the file: ${error.message}` };
+    }
+
+    const { headers, rows, truncated, error: sheetError } = normalizeSheet(sheet);
+    if (sheetError) {
+        return { success: false, error: sheetError };
+    }
+
+    const headerSignature = getHeaderSignature(headers);
+    const savedMapping = await findSavedMapping(userId, headerSignature, headers);
+
+    const { data: leadImport, error } = await supabase
+        .from('lead_imports')
+        .insert({
+            user_id: userId,
+            filename: file.originalname,
+            file_type: fileType,
+            headers,
+            header_signature: headerSignature,
+            rows,
+            total_rows: rows.length,
+            default_country: defaultCountry(),
+        })
+        .select(IMPORT_COLUMNS)
+        .single();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    console.log(`📥 Lead import ${leadImport.id} uploaded: ${file.originalname} (${rows.length} rows)`);
+
+    return {
+        success: true,
+        import: leadImport,
+        columns: previewColumns(headers, rows),
+        suggestedMapping: savedMapping || suggestMapping(headers),
+        mappingSource: savedMapping ? 'saved' : 'detected',
+        truncated: truncated ? `Only the first ${MAX_IMPORT_ROWS} rows will be imported` : null,
+    };
+}
+
+async function getImportWithRows(userId, importId) {
+    const { data, error } = await supabase
+        .from('lead_imports')
+        .select('*')
+        .eq('id', importId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Save the column mapping and validate every row against it
+ * @param {Object} options - { mapping, defaultCountry }
+ * @returns {Promise<Object>} - { success, import, validRows, errorCount, errors, error }
+ */
+export async function saveImportMapping(userId, importId, { mapping, defaultCountry: country } = {}) {
+    const leadImport = await getImportWithRows(userId, importId);
+    if (!leadImport) {
+        return { success: false, notFound: true, error: 'Import not found' };
+    }
+    if (leadImport.status !== 'mapping') {
+        return { success: false, error: `Import is already ${leadImport.status}` };
+    }
+
+    const { mapping: validMapping, error: mappingError } = validateMapping(mapping, leadImport.headers);
+    if (mappingError) {
+        return { success: false, invalid: true, error: mappingError };
+    }
+
+    const importCountry = String(country || leadImport.default_country || defaultCountry()).toUpperCase();
+    if (!COUNTRY_CALLING_CODES[importCountry]) {
+        return { success: false, invalid: true, error: `Unsupported country: ${importCountry}` };
+    }
+
+    const { leads, errors } = validateImportRows(leadImport.headers, leadImport.rows || [], validMapping, {
+        defaultCountry: importCountry,
+    });
+
+    const { data: updated, error } = await supabase
+        .from('lead_imports')
+        .update({
+            mapping: validMapping,
+            default_country: importCountry,
+            valid_rows: leads.length,
+            error_count: errors.length,
+            row_errors: errors,
+            updated_at: new Date().toISOString(),
+        })
+        .eq('id', importId)
+        .eq('status', 'mapping')
+        .select(IMPORT_COLUMNS)
+        .single();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return {
+        success: true,
+        import: updated,
+        validRows: leads.length,
+        errorCount: errors.length,
+        errors: errors.slice(0, ERROR_PREVIEW_LIMIT),
+    };
+}
+
+/**
+ * End an import and refund what it didn't use
+ */
+async function finishImport(leadImport, updates, refund) {
+    const { data, error } = await supabase
+        .from('lead_imports')
+        .update({
+            ...updates,
+            rows: null,
+            completed_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+        })
+        .eq('id', leadImport.id)
+        .eq('status', 'processing')
+        .select(IMPORT_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Failed to finish lead import ${leadImport.id}:`, error.message);
+        return null;
+    }
+
+    // Only the call that ended the import refunds it
+    if (data && refund > 0) {
+        await releaseFreeTierLeads(leadImport.user_id, refund);
+    }
+    return data;
+}
+
+/**
+ * Save the valid rows as leads
+ */
+async function runImport(leadImport) {
+    const reserved = leadImport.leads_reserved || 0;
+
+    try {
+        const { leads, errors } = validateImportRows(leadImport.headers, leadImport.rows || [], leadImport.mapping, {
+            defaultCountry: leadImport.default_country,
+        });
+
+        // Free tier users import as many rows as they have leads left
+        const allowed = leadImport.allowed ?? leads.length;
+        const toImport = leads.slice(0, allowed);
+        for (const { row, lead } of leads.slice(allowed)) {
+            errors.push({ row, field: null, value: lead.name, error: 'Free tier lead limit reached' });
+        }
+
+        let imported = 0;
+        let duplicates = 0;
+        for (let i = 0; i < toImport.length; i += SAVE_CHUNK_SIZE) {
+            const result = await saveLeads(supabase, toImport.slice(i, i + SAVE_CHUNK_SIZE).map(l => l.lead), {
+                userId: leadImport.user_id,
+                searchKeyword: leadImport.filename,
+                source: leadImport.file_type,
+            });
+            imported += result.saved;
+            duplicates += result.duplicates;
+
+            await supabase
+                .from('lead_imports')
+                .update({ imported_count: imported, duplicate_count: duplicates, updated_at: new Date().toISOString() })
+                .eq('id', leadImport.id);
+        }
+
+        errors.sort((a, b) => a.row - b.row);
+        await finishImport(leadImport, {
+            status: 'completed',
+            imported_count: imported,
+            duplicate_count: duplicates,
+            error_count: errors.length,
+            row_errors: errors,
+        }, Math.max(0, reserved - imported));
+
+        console.log(`📥 Lead import ${leadImport.id} completed: ${imported} imported, ${duplicates} duplicates, ${errors.length} errors`);
+
+        if (imported > 0) {
+            // New leads may repeat ones that came from other sources
+            scanForDuplicates(leadImport.user_id).catch(err => {
+                console.error('Duplicate scan error:', err.message);
+            });
+        }
+    } catch (error) {
+        console.error(`❌ Lead import ${leadImport.id} failed:`, error.message);
+        await finishImport(leadImport, { status: 'failed', error_message: error.message }, reserved);
+    }
+}
+
+/**
+ * Start importing with the saved mapping
+ * @returns {Promise<Object>} - { success, import, error, freeTier }
+ */
+export async function startImport(userId, importId) {
+    const leadImport = await getImportWithRows(userId, importId);
+    if (!leadImport) {
+        return { success: false, notFound: true, error: 'Import not found' };
+    }
+    if (leadImport.status !== 'mapping') {
+        return { success: false, error: `Import is already ${leadImport.status}` };
+    }
+    if (!leadImport.mapping) {
+        return { success: false, invalid: true, error: 'Save a column mapping before starting the import' };
+    }
+    if (!leadImport.valid_rows) {
+        return { success: false, invalid: true, error: 'No rows passed validation - check the error report' };
+    }
+
+    const reservation = await reserveFreeTierLeads(userId, leadImport.valid_rows);
+    if (!reservation.canGenerate) {
+        return {
+            success: false,
+            error: reservation.error || 'Free tier lead limit reached',
+            freeTier: reservation,
+        };
+    }
+    const reserved = reservation.isFreeTier ? reservation.reserved : 0;
+
+    const { data: started, error } = await supabase
+        .from('lead_imports')
+        .update({
+            status: 'processing',
+            leads_reserved: reserved,
+            started_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+        })
+        .eq('id', importId)
+        .eq('status', 'mapping')
+        .select(IMPORT_COLUMNS)
+        .maybeSingle();
+
+    if (error || !started) {
+        await releaseFreeTierLeads(userId, reserved);
+        return { success: false, error: error?.message || 'Import has already started' };
+    }
+
+    console.log(`📥 Lead import ${importId} started: ${leadImport.valid_rows} valid rows`);
+
+    runImport({
+        ...leadImport,
+        leads_reserved: reserved,
+        allowed: reservation.isFreeTier ? reservation.reserved : undefined,
+    }).catch(err => {
+        console.error(`Lead import ${importId} error:`, err.message);
+    });
+
+    return { success: true, import: started };
+}
+
+/**
+ * One of a user's imports
+ */
+export async function getImport(userId, importId) {
+    const { data, error } = await supabase
+        .from('lead_imports')
+        .select(IMPORT_COLUMNS)
+        .eq('id', importId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * An import's per-row error report
+ * @returns {Promise<Object[]|null>} - [{ row, field, value, error }], or null if not found
+ */
+export async function getImportErrors(userId, importId) {
+    const { data, error } = await supabase
+        .from('lead_imports')
+        .select('row_errors')
+        .eq('id', importId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.row_errors || [] : null;
+}
+
+/**
+ * A user's imports, newest first
+ */
+export async function listImports(userId, { limit = 20, offset = 0 } = {}) {
+    const { data, error, count } = await supabase
+        .from('lead_imports')
+        .select(IMPORT_COLUMNS, { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, imports: data || [], total: count || 0 };
+}
+
+/**
+ * Fail imports left processing by a restart and refund them
+ */
+export async function failStaleImports() {
+    const cutoff = new Date(Date.now() - STALE_IMPORT_MINUTES * 60 * 1000).toISOString();
+
+    const { data: imports } = await supabase
+        .from('lead_imports')
+        .select('id, user_id, leads_reserved, imported_count')
+        .eq('status', 'processing')
+        .lt('started_at', cutoff)
+        .limit(10);
+
+    for (const leadImport of imports || []) {
+        await finishImport(
+            leadImport,
+            { status: 'failed', error_message: 'Import was interrupted - upload the file again' },
+            Math.max(0, (leadImport.leads_reserved || 0) - (leadImport.imported_count || 0))
+        );
+    }
+}
+
+export default {
+    createImport,
+    saveImportMapping,
+    startImport,
+    getImport,
+    getImportErrors,
+    listImports,
+    failStaleImports,
+};
@@ -0,0 +1,397 @@
+/**
+ * Lead Sourcing Service
+ * Runs scrape_jobs against a provider (Apify Google Maps actor, Google
+ * Places API), saves the results as leads and settles the free-tier lead
+ * reservation when the job ends.
+ *
+ * Apify runs are started here and finished by services/leadSourcingPoller.js;
+ * Google Places searches run in the background. CSV uploads are handed to the
+ * spreadsheet import (services/leadImport.js) and tracked in lead_imports.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    PROVIDER_LEAD_SOURCES,
+    DEFAULT_APIFY_ACTOR,
+    APIFY_RUN_TIMEOUT_MINUTES,
+    GOOGLE_PLACES_FIELD_MASK,
+    mapApifyRunStatus,
+    buildApifyInput,
+    mapApifyPlace,
+    buildGooglePlacesRequest,
+    mapGooglePlace,
+    prepareSourcedLeads,
+} from '../config/leadSourcing.js';
+import { saveLeads } from './leads.js';
+import { reserveFreeTierLeads, releaseFreeTierLeads } from './freeTier.js';
+import { scanForDuplicates } from './leadDedup.js';
+import { createImport, saveImportMapping, startImport } from './leadImport.js';
+
+const APIFY_API_URL = 'https://api.apify.com/v2';
+const GOOGLE_PLACES_URL = 'https://places.googleapis.com/v1/places:searchText';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Which providers are configured
+ */
+export function getProviderStatus() {
+    return {
+        apify: !!process.env.APIFY_API_TOKEN,
+        google_places: !!process.env.GOOGLE_PLACES_API_KEY,
+        csv: true,
+    };
+}
+
+const PROVIDER_NAMES = {
+    apify: 'Apify',
+    google_places: 'Google Places',
+    csv: 'CSV import',
+};
+
+async function apifyRequest(path, { method = 'GET', body = null } = {}) {
+    const response = await fetch(`${APIFY_API_URL}${path}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${process.env.APIFY_API_TOKEN}`,
+            'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw new Error(`Apify error (${response.status}): ${data?.error?.message || response.statusText}`);
+    }
+    return data;
+}
+
+/**
+ * Update a running job
+ * @returns {Promise<Object|null>} - The updated job, or null if it had already ended
+ */
+async function updateRunningJob(jobId, updates) {
+    const { data, error } = await supabase
+        .from('scrape_jobs')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', jobId)
+        .eq('status', 'running')
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Failed to update scrape job ${jobId}:`, error.message);
+        return null;
+    }
+    return data;
+}
+
+/**
+ * End a job without results and refund its reservation
+ * @param {string} status - 'failed' or 'cancelled'
+ */
+export async function failJob(job, message, status = 'failed') {
+    const updated = await updateRunningJob(job.id, {
+        status,
+        error_message: message,
+        completed_at: new Date().toISOString(),
+    });
+
+    // Only the call that ended the job refunds it
+    if (updated) {
+        await releaseFreeTierLeads(job.user_id, job.leads_reserved);
+        console.log(`🔎 Scrape job ${job.id} ${status}: ${message}`);
+    }
+    return updated;
+}
+
+/**
+ * Complete a job and save its results as leads
+ * The job is claimed first, so one that was cancelled or failed (and already
+ * refunded) keeps no leads. Reserved leads that didn't become new leads
+ * (duplicates, short runs) are refunded.
+ */
+async function finishJob(job, results) {
+    const leads = prepareSourcedLeads(results, job.max_results);
+
+    const claimed = await updateRunningJob(job.id, {
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+    });
+    if (!claimed) return null;
+
+    const { saved, duplicates } = await saveLeads(supabase, leads, {
+        userId: job.user_id,
+        searchKeyword: job.keyword,
+        searchLocation: job.location,
+        source: PROVIDER_LEAD_SOURCES[job.provider],
+    });
+
+    await releaseFreeTierLeads(job.user_id, Math.max(0, (job.leads_reserved || 0) - saved));
+
+    const { data: updated, error } = await supabase
+        .from('scrape_jobs')
+        .update({ leads_found: saved, duplicates_found: duplicates, updated_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Failed to record results of scrape job ${job.id}:`, error.message);
+    }
+    console.log(`🔎 Scrape job ${job.id} completed: ${saved} new leads, ${duplicates} duplicates`);
+
+    if (saved > 0) {
+        // New leads may repeat ones that came from other sources
+        scanForDuplicates(job.user_id).catch(err => {
+            console.error('Duplicate scan error:', err.message);
+        });
+    }
+    return updated || { ...claimed, leads_found: saved, duplicates_found: duplicates };
+}
+
+/**
+ * Run a Places API text search, following pages up to the job's size
+ */
+async function fetchGooglePlaces(job) {
+    const places = [];
+    let pageToken = null;
+
+    do {
+        const response = await fetch(GOOGLE_PLACES_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Goog-Api-Key': process.env.GOOGLE_PLACES_API_KEY,
+                'X-Goog-FieldMask': GOOGLE_PLACES_FIELD_MASK,
+            },
+            body: JSON.stringify(buildGooglePlacesRequest({ keyword: job.keyword, location: job.location, pageToken })),
+        });
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(`Google Places error (${response.status}): ${data?.error?.message || response.statusText}`);
+        }
+
+        places.push(...(data?.places || []).map(mapGooglePlace));
+        pageToken = data?.nextPageToken || null;
+    } while (pageToken && places.length < job.max_results);
+
+    return places;
+}
+
+async function runGooglePlacesJob(job) {
+    try {
+        await finishJob(job, await fetchGooglePlaces(job));
+    } catch (error) {
+        await failJob(job, error.message);
+    }
+}
+
+/**
+ * Import an uploaded CSV with its detected column mapping
+ * Rows that fail validation are skipped and listed in csvErrors.
+ * @returns {Promise<Object>} - { success, import, csvErrors, error, invalid, freeTier }
+ */
+async function importCsvLeads(userId, { csv, filename }) {
+    const created = await createImport(userId, {
+        originalname: filename,
+        mimetype: 'text/csv',
+        buffer: Buffer.from(csv, 'utf8'),
+    });
+    if (!created.success) {
+        return { success: false, invalid: true, error: created.error };
+    }
+
+    const mapped = await saveImportMapping(userId, created.import.id, { mapping: created.suggestedMapping });
+    if (!mapped.success) {
+        return { ...mapped, import: created.import };
+    }
+
+    const started = await startImport(userId, created.import.id);
+    return { ...started, import: started.import || mapped.import, csvErrors: mapped.errors };
+}
+
+/**
+ * Start a sourcing job
+ * @param {string} userId - Owner of the job and the leads
+ * @param {Object} request - From validateSourcingRequest
+ * @returns {Promise<Object>} - { success, job, error, freeTier }, or for csv
+ *   { success, import, csvErrors, error, invalid, freeTier }
+ */
+export async function startSourcingJob(userId, request) {
+    if (!getProviderStatus()[request.provider]) {
+        return { success: false, error: `${PROVIDER_NAMES[request.provider]} is not configured` };
+    }
+
+    if (request.provider === 'csv') {
+        return importCsvLeads(userId, request);
+    }
+
+    // Charge the free tier up front; unused leads are refunded when the job ends
+    const reservation = await reserveFreeTierLeads(userId, request.maxResults);
+    if (!reservation.canGenerate) {
+        return {
+            success: false,
+            error: reservation.error || 'Free tier lead limit reached',
+            freeTier: reservation,
+        };
+    }
+
+    const reserved = reservation.isFreeTier ? reservation.reserved : 0;
+    const maxResults = reservation.isFreeTier ? reservation.reserved : request.maxResults;
+
+    const { data: job, error: insertError } = await supabase
+        .from('scrape_jobs')
+        .insert({
+            user_id: userId,
+            provider: request.provider,
+            keyword: request.keyword,
+            location: request.location,
+            max_results: maxResults,
+            leads_reserved: reserved,
+            status: 'running',
+        })
+        .select()
+        .single();
+
+    if (insertError) {
+        await releaseFreeTierLeads(userId, reserved);
+        return { success: false, error: insertError.message };
+    }
+
+    console.log(`🔎 Scrape job ${job.id} started: ${request.provider} "${request.keyword}" in "${request.location}" (max ${maxResults})`);
+
+    try {
+        if (request.provider === 'apify') {
+            const actor = process.env.APIFY_ACTOR_ID || DEFAULT_APIFY_ACTOR;
+            const { data: run } = await apifyRequest(`/acts/${actor}/runs`, {
+                method: 'POST',
+                body: buildApifyInput({ ...request, maxResults }),
+            });
+
+            const updated = await updateRunningJob(job.id, {
+                apify_run_id: run.id,
+                apify_dataset_id: run.defaultDatasetId,
+            });
+            return { success: true, job: updated || job };
+        }
+
+        // Google Places: a few pages of results - don't hold the request open for them
+        runGooglePlacesJob(job).catch(err => {
+            console.error(`Google Places job ${job.id} error:`, err.message);
+        });
+        return { success: true, job };
+    } catch (error) {
+        const failed = await failJob(job, error.message);
+        return { success: false, job: failed || job, error: error.message };
+    }
+}
+
+/**
+ * Check an Apify run and finish its job if the run has ended
+ */
+export async function pollApifyJob(job) {
+    if (!job.apify_run_id) {
+        return failJob(job, 'Apify run was never started');
+    }
+
+    const { data: run } = await apifyRequest(`/actor-runs/${job.apify_run_id}`);
+    const status = mapApifyRunStatus(run.status);
+
+    if (status === 'completed') {
+        const datasetId = run.defaultDatasetId || job.apify_dataset_id;
+        const items = await apifyRequest(`/datasets/${datasetId}/items?clean=true&format=json&limit=${job.max_results}`);
+        return finishJob(job, (items || []).map(mapApifyPlace));
+    }
+
+    if (status === 'failed' || status === 'cancelled') {
+        return failJob(job, `Apify run ${run.status.toLowerCase()}`, status);
+    }
+
+    // Still running - give up on runs that have gone on too long
+    const runningMinutes = (Date.now() - new Date(job.started_at || job.created_at).getTime()) / 60000;
+    if (runningMinutes > APIFY_RUN_TIMEOUT_MINUTES) {
+        await apifyRequest(`/actor-runs/${job.apify_run_id}/abort`, { method: 'POST' }).catch(() => {});
+        return failJob(job, `Apify run took longer than ${APIFY_RUN_TIMEOUT_MINUTES} minutes`);
+    }
+
+    return updateRunningJob(job.id, { last_polled_at: new Date().toISOString() });
+}
+
+/**
+ * Cancel a running job (aborts its Apify run)
+ */
+export async function cancelSourcingJob(userId, jobId) {
+    const job = await getSourcingJob(userId, jobId);
+    if (!job) {
+        return { success: false, error: 'Job not found' };
+    }
+    if (job.status !== 'running') {
+        return { success: false, error: `Job is already ${job.status}` };
+    }
+
+    if (job.provider === 'apify' && job.apify_run_id) {
+        try {
+            await apifyRequest(`/actor-runs/${job.apify_run_id}/abort`, { method: 'POST' });
+        } catch (error) {
+            console.error(`Failed to abort Apify run ${job.apify_run_id}:`, error.message);
+        }
+    }
+
+    const cancelled = await failJob(job, 'Cancelled by user', 'cancelled');
+    return cancelled
+        ? { success: true, job: cancelled }
+        : { success: false, error: 'Job has already finished' };
+}
+
+/**
+ * One of a user's jobs
+ */
+export async function getSourcingJob(userId, jobId) {
+    const { data, error } = await supabase
+        .from('scrape_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * A user's jobs, newest first
+ * @param {Object} filters - { status, provider, limit, offset }
+ */
+export async function listSourcingJobs(userId, { status = null, provider = null, limit = 20, offset = 0 } = {}) {
+    let query = supabase
+        .from('scrape_jobs')
+        .select('*', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (provider) query = query.eq('provider', provider);
+
+    const { data, error, count } = await query;
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, jobs: data || [], total: count || 0 };
+}
+
+export default {
+    getProviderStatus,
+    startSourcingJob,
+    pollApifyJob,
+    failJob,
+    cancelSourcingJob,
+    getSourcingJob,
+    listSourcingJobs,
+};
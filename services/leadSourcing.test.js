@@ -0,0 +1,133 @@
+/**
+ * Unit tests for lead sourcing jobs
+ * Runs against a fake Supabase client; lead saving, lead imports, the free
+ * tier and Apify are mocked.
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeSupabase } from '../test-utils/fakeSupabase.js';
+
+const JOB = {
+    id: 'job-1',
+    user_id: 'user-1',
+    provider: 'apify',
+    keyword: 'cafes',
+    location: 'Galway',
+    max_results: 10,
+    leads_reserved: 10,
+    apify_run_id: 'run-1',
+    apify_dataset_id: 'dataset-1',
+};
+
+const PLACE = { title: 'Bean There', phone: '+353 91 123 456', placeId: 'ChIJabc' };
+
+const state = { status: 'running' };
+
+const supabase = createFakeSupabase(query => {
+    if (query.table === 'scrape_jobs' && query.action === 'update') {
+        const statusGuard = query.filters.find(([op, col]) => op === 'eq' && col === 'status');
+        if (statusGuard && statusGuard[2] !== state.status) return { data: null };
+        if (query.values.status) state.status = query.values.status;
+        return { data: { ...JOB, status: state.status, ...query.values } };
+    }
+    return {};
+});
+
+const saveLeads = jest.fn(async () => ({ saved: 1, duplicates: 0 }));
+const releaseFreeTierLeads = jest.fn(async () => {});
+const scanForDuplicates = jest.fn(async () => {});
+const createImport = jest.fn(async () => ({
+    success: true,
+    import: { id: 'import-1', status: 'mapping' },
+    suggestedMapping: { name: 'Company', phone: 'Phone' },
+}));
+const saveImportMapping = jest.fn(async () => ({
+    success: true,
+    import: { id: 'import-1', status: 'mapping' },
+    errors: [{ row: 3, field: 'phone', value: 'n/a', error: 'Invalid phone number' }],
+}));
+const startImport = jest.fn(async () => ({ success: true, import: { id: 'import-1', status: 'processing' } }));
+
+jest.unstable_mockModule('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+jest.unstable_mockModule('./leads.js', () => ({ saveLeads }));
+jest.unstable_mockModule('./freeTier.js', () => ({ reserveFreeTierLeads: jest.fn(), releaseFreeTierLeads }));
+jest.unstable_mockModule('./leadDedup.js', () => ({ scanForDuplicates }));
+jest.unstable_mockModule('./leadImport.js', () => ({ createImport, saveImportMapping, startImport }));
+
+const { pollApifyJob, startSourcingJob } = await import('./leadSourcing.js');
+
+const originalFetch = global.fetch;
+let consoleLog;
+
+beforeEach(() => {
+    supabase.calls.length = 0;
+    state.status = 'running';
+    jest.clearAllMocks();
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    global.fetch = jest.fn(async url => ({
+        ok: true,
+        json: async () => (url.includes('/datasets/') ? [PLACE] : { data: { status: 'SUCCEEDED', defaultDatasetId: 'dataset-1' } }),
+    }));
+});
+
+afterEach(() => {
+    consoleLog.mockRestore();
+});
+
+afterAll(() => {
+    global.fetch = originalFetch;
+});
+
+describe('Finishing Jobs', () => {
+    test('should claim the job before saving its leads', async () => {
+        const job = await pollApifyJob(JOB);
+
+        expect(job).toMatchObject({ status: 'completed', leads_found: 1, duplicates_found: 0 });
+
+        const updates = supabase.calls.filter(q => q.table === 'scrape_jobs' && q.action === 'update');
+        expect(updates[0].values.status).toBe('completed');
+        expect(updates[1].values).toMatchObject({ leads_found: 1, duplicates_found: 0 });
+        expect(saveLeads).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refund only the unused part of the reservation', async () => {
+        await pollApifyJob(JOB);
+
+        expect(releaseFreeTierLeads).toHaveBeenCalledTimes(1);
+        expect(releaseFreeTierLeads).toHaveBeenCalledWith('user-1', 9);
+    });
+
+    test('should not save leads for a job that was cancelled while it ran', async () => {
+        state.status = 'cancelled';
+
+        const job = await pollApifyJob(JOB);
+
+        expect(job).toBeNull();
+        expect(saveLeads).not.toHaveBeenCalled();
+        expect(releaseFreeTierLeads).not.toHaveBeenCalled();
+    });
+});
+
+describe('CSV Uploads', () => {
+    const request = { provider: 'csv', csv: 'Company,Phone\nAcme,0861234567', filename: 'acme.csv' };
+
+    test('should run the upload as a lead import with the detected mapping', async () => {
+        const result = await startSourcingJob('user-1', request);
+
+        expect(createImport).toHaveBeenCalledWith('user-1', expect.objectContaining({ originalname: 'acme.csv', mimetype: 'text/csv' }));
+        expect(createImport.mock.calls[0][1].buffer.toString('utf8')).toBe(request.csv);
+        expect(saveImportMapping).toHaveBeenCalledWith('user-1', 'import-1', { mapping: { name: 'Company', phone: 'Phone' } });
+        expect(startImport).toHaveBeenCalledWith('user-1', 'import-1');
+        expect(result).toMatchObject({ success: true, import: { status: 'processing' }, csvErrors: [{ row: 3 }] });
+        expect(supabase.calls.some(q => q.table === 'scrape_jobs')).toBe(false);
+    });
+
+    test('should report a file that cannot be imported as invalid', async () => {
+        createImport.mockResolvedValueOnce({ success: false, error: 'The file has no rows' });
+
+        const result = await startSourcingJob('user-1', request);
+
+        expect(result).toEqual({ success: false, invalid: true, error: 'The file has no rows' });
+        expect(startImport).not.toHaveBeenCalled();
+    });
+});
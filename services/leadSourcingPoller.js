@@ -0,0 +1,117 @@
+/**
+ * Lead Sourcing Poller
+ * Finishes scrape_jobs whose provider runs outside the request
+ *
+ * Runs a cron job every minute that checks running Apify jobs, saves the
+ * leads of finished runs and fails jobs whose run failed or timed out.
+ * Google Places jobs and spreadsheet imports left running by a restart are
+ * failed and refunded.
+ */
+
+import cron from 'node-cron';
+import { createClient } from '@supabase/supabase-js';
+import { pollApifyJob, failJob } from './leadSourcing.js';
+import { failStaleImports } from './leadImport.js';
+
+const POLL_BATCH_SIZE = 10;
+const STALE_SEARCH_MINUTES = 15;
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * LeadSourcingPoller - completes running scrape jobs
+ */
+class LeadSourcingPoller {
+    constructor() {
+        this.isProcessing = false;
+        this.cronJob = null;
+    }
+
+    /**
+     * Start the poller
+     */
+    start() {
+        this.cronJob = cron.schedule('* * * * *', async () => {
+            await this.processRunningJobs();
+        });
+
+        console.log('🔎 Lead sourcing poller started - checking running jobs every minute');
+    }
+
+    /**
+     * Stop the poller
+     */
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            console.log('🔎 Lead sourcing poller stopped');
+        }
+    }
+
+    /**
+     * Check Apify runs and clean up abandoned searches
+     */
+    async processRunningJobs() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            const { data: jobs, error } = await supabase
+                .from('scrape_jobs')
+                .select('*')
+                .eq('status', 'running')
+                .eq('provider', 'apify')
+                .order('last_polled_at', { ascending: true, nullsFirst: true })
+                .limit(POLL_BATCH_SIZE);
+
+            if (error) {
+                console.error('❌ Failed to get running scrape jobs:', error.message);
+                return;
+            }
+
+            for (const job of jobs || []) {
+                try {
+                    await pollApifyJob(job);
+                } catch (err) {
+                    // Apify unreachable - try again next minute
+                    console.error(`❌ Failed to poll scrape job ${job.id}:`, err.message);
+                }
+            }
+
+            await this.failStaleSearches();
+            await failStaleImports();
+        } catch (error) {
+            console.error('❌ Lead sourcing poll error:', error.message);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Google Places and CSV jobs finish within a request or two - one still
+     * running after STALE_SEARCH_MINUTES was interrupted by a restart
+     */
+    async failStaleSearches() {
+        const cutoff = new Date(Date.now() - STALE_SEARCH_MINUTES * 60 * 1000).toISOString();
+
+        const { data: jobs } = await supabase
+            .from('scrape_jobs')
+            .select('*')
+            .eq('status', 'running')
+            .in('provider', ['google_places', 'csv'])
+            .lt('started_at', cutoff)
+            .limit(POLL_BATCH_SIZE);
+
+        for (const job of jobs || []) {
+            await failJob(job, 'Search was interrupted - please run it again');
+        }
+    }
+}
+
+// Export singleton instance
+const leadSourcingPoller = new LeadSourcingPoller();
+export default leadSourcingPoller;
+export { LeadSourcingPoller };
@@ -0,0 +1,165 @@
+/**
+ * Leads Service
+ * Saving batches of leads - shared by POST /api/supabase/leads and lead
+ * sourcing jobs, so every way leads arrive dedupes the same way
+ */
+
+// Retry helper with exponential backoff for transient errors
+const withRetry = async (operation, maxRetries = 3, baseDelay = 1000) => {
+    let lastError;
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            lastError = error;
+            // Only retry on transient/network errors
+            const isTransient = error.message?.includes('fetch failed') ||
+                error.message?.includes('SocketError') ||
+                error.message?.includes('ECONNRESET') ||
+                error.code === 'UND_ERR_SOCKET';
+
+            if (!isTransient || attempt === maxRetries - 1) {
+                throw error;
+            }
+            // Exponential backoff: 1s, 2s, 4s
+            const delay = baseDelay * Math.pow(2, attempt);
+            console.log(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+    throw lastError;
+};
+
+/**
+ * Save leads in batches, skipping ones the user already has
+ * With a user, duplicates are skipped by the (user_id, place_id) upsert;
+ * without one (dev mode) existing place_ids are looked up first.
+ * @param {Object} supabase - Client to write with (the request's RLS client, or service role)
+ * @param {Object[]} leads - Leads in the API shape ({ name, phone, placeId, reviewCount, ... })
+ * @param {Object} options - { userId, searchKeyword, searchLocation, source }
+ * @returns {Promise<{ saved: number, duplicates: number }>}
+ */
+export async function saveLeads(supabase, leads, { userId = null, searchKeyword = null, searchLocation = null, source = null } = {}) {
+    // Transform all leads to the database format
+    const leadsData = leads.map(lead => {
+        const data = {
+            name: lead.name,
+            phone: lead.phone,
+            email: lead.email,
+            address: lead.address,
+            city: lead.city,
+            website: lead.website,
+            rating: lead.rating,
+            review_count: lead.reviewCount,
+            category: lead.category,
+            place_id: lead.placeId,
+            google_maps_url: lead.googleMapsUrl || lead.url,
+            latitude: lead.location?.lat,
+            longitude: lead.location?.lng,
+            search_keyword: searchKeyword,
+            search_location: searchLocation,
+        };
+        if (source) {
+            data.source = source;
+        }
+        if (userId) {
+            data.user_id = userId;
+        }
+        return data;
+    });
+
+    let saved = 0;
+    let duplicates = 0;
+    const BATCH_SIZE = 50;
+
+    console.log(`[Leads] Saving ${leadsData.length} leads for keyword="${searchKeyword}", location="${searchLocation}", userId=${userId || 'null (dev mode)'}`);
+
+    if (userId) {
+        // With user_id - use batch upsert with retry
+        for (let i = 0; i < leadsData.length; i += BATCH_SIZE) {
+            const batch = leadsData.slice(i, i + BATCH_SIZE);
+            try {
+                const { data, error } = await withRetry(() =>
+                    supabase
+                        .from('leads')
+                        .upsert(batch, {
+                            onConflict: 'user_id,place_id',
+                            ignoreDuplicates: true,
+                        })
+                        .select('id')
+                );
+
+                if (error) {
+                    if (error.code === '23505') {
+                        duplicates += batch.length;
+                    } else {
+                        console.error('Error saving lead batch:', error);
+                    }
+                } else {
+                    const actualSaved = data?.length ?? 0;
+                    saved += actualSaved;
+                    duplicates += batch.length - actualSaved;
+                }
+            } catch (err) {
+                console.error('Error processing lead batch after retries:', err);
+            }
+        }
+    } else {
+        // No user_id (dev mode) - check existing and insert new ones in batches
+        const placeIds = leadsData.filter(l => l.place_id).map(l => l.place_id);
+
+        // Get existing place_ids in one query with retry
+        let existingPlaceIds = new Set();
+        if (placeIds.length > 0) {
+            try {
+                const { data: existing } = await withRetry(() =>
+                    supabase
+                        .from('leads')
+                        .select('place_id')
+                        .in('place_id', placeIds)
+                        .is('user_id', null)
+                );
+                existingPlaceIds = new Set((existing || []).map(e => e.place_id));
+                console.log(`[Leads] Found ${existingPlaceIds.size} existing place_ids in database`);
+            } catch (err) {
+                console.error('Error checking existing leads:', err);
+            }
+        }
+
+        // Filter out duplicates and insert in batches
+        const newLeads = leadsData.filter(l => !l.place_id || !existingPlaceIds.has(l.place_id));
+        duplicates = leadsData.length - newLeads.length;
+        console.log(`[Leads] New leads to insert: ${newLeads.length}, duplicates skipped: ${duplicates}`);
+
+        for (let i = 0; i < newLeads.length; i += BATCH_SIZE) {
+            const batch = newLeads.slice(i, i + BATCH_SIZE);
+            try {
+                const { data, error } = await withRetry(() =>
+                    supabase
+                        .from('leads')
+                        .insert(batch)
+                        .select('id')
+                );
+
+                if (error) {
+                    if (error.code === '23505') {
+                        duplicates += batch.length;
+                    } else {
+                        console.error('Error inserting lead batch:', error);
+                    }
+                } else {
+                    saved += data?.length || batch.length;
+                }
+            } catch (err) {
+                console.error('Error inserting lead batch after retries:', err);
+            }
+        }
+    }
+
+    console.log(`[Leads] Result: saved=${saved}, duplicates=${duplicates}`);
+    return { saved, duplicates };
+}
+
+export default {
+    saveLeads,
+};
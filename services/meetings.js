@@ -0,0 +1,579 @@
+/**
+ * Meeting Booking Service
+ * Offers and books meetings on the user's Cal.com / Calendly calendar
+ *
+ * Features:
+ * - Availability lookup + booking for the VAPI checkAvailability/bookMeeting tools
+ * - Recording bookings from provider webhooks
+ * - Matching bookings to leads and workflow enrollments (stop_on_meeting_booked)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { inferLeadTimezone } from '../config/timezones.js';
+import workflowScheduler from './workflowScheduler.js';
+import { getUserSmsNumber, isSmsOptedOut, sendSms } from './sms.js';
+import { checkSuppression } from './suppression.js';
+
+const CALCOM_API_URL = 'https://api.cal.com/v2';
+const CALENDLY_API_URL = 'https://api.calendly.com';
+const MAX_OFFERED_SLOTS = 6;
+const SLOTS_PER_DAY = 2;
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Get the user's booking provider configuration (for internal use only)
+ * @param {string} userId - The user's ID
+ * @returns {Object|null} - { provider, apiKey, eventTypeId, webhookSecret, timezone }
+ */
+export async function getBookingConfig(userId) {
+    const { data, error } = await supabase
+        .from('profiles')
+        .select('booking_provider, booking_api_key, booking_event_type_id, booking_webhook_secret, timezone')
+        .eq('id', userId)
+        .single();
+
+    if (error || !data?.booking_provider || !data.booking_api_key || !data.booking_event_type_id) {
+        return null;
+    }
+
+    return {
+        provider: data.booking_provider,
+        apiKey: data.booking_api_key,
+        eventTypeId: data.booking_event_type_id,
+        webhookSecret: data.booking_webhook_secret,
+        timezone: data.timezone || 'UTC',
+    };
+}
+
+/**
+ * Format a slot for the assistant to read out
+ */
+function formatSlotLabel(isoTime, timezone) {
+    return new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'long',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+    }).format(new Date(isoTime));
+}
+
+/**
+ * Pick a few slots spread across days rather than the first N of day one
+ */
+function pickSlots(slots) {
+    const perDay = {};
+    const picked = [];
+
+    for (const slot of slots) {
+        const day = slot.start.slice(0, 10);
+        perDay[day] = (perDay[day] || 0) + 1;
+        if (perDay[day] > SLOTS_PER_DAY) continue;
+
+        picked.push(slot);
+        if (picked.length >= MAX_OFFERED_SLOTS) break;
+    }
+
+    return picked;
+}
+
+/**
+ * Add lead/enrollment attribution to a Calendly scheduling link
+ */
+function withTracking(schedulingUrl, leadId, enrollmentId) {
+    if (!schedulingUrl) return null;
+
+    const url = new URL(schedulingUrl);
+    url.searchParams.set('utm_source', 'validatecall');
+    if (leadId) url.searchParams.set('utm_term', leadId);
+    if (enrollmentId) url.searchParams.set('utm_content', enrollmentId);
+    return url.toString();
+}
+
+/**
+ * Get available slots from the user's calendar
+ * @param {string} userId - The user's ID
+ * @param {Object} options - { days, timezone, spread } - spread=false returns every open slot
+ * @returns {Object} - { success, slots: [{ start, label, schedulingUrl }], error }
+ */
+export async function getAvailableSlots(userId, { days = 5, timezone = 'UTC', spread = true } = {}) {
+    const config = await getBookingConfig(userId);
+    if (!config) {
+        return { success: false, error: 'No booking calendar configured' };
+    }
+
+    const lookahead = Math.min(Math.max(parseInt(days) || 5, 1), 14);
+    const start = new Date();
+    const end = new Date(start.getTime() + lookahead * 24 * 60 * 60 * 1000);
+
+    try {
+        let slots = [];
+
+        if (config.provider === 'calcom') {
+            const params = new URLSearchParams({
+                eventTypeId: config.eventTypeId,
+                start: start.toISOString(),
+                end: end.toISOString(),
+            });
+
+            const response = await fetch(`${CALCOM_API_URL}/slots?${params}`, {
+                headers: {
+                    'Authorization': `Bearer ${config.apiKey}`,
+                    'cal-api-version': '2024-09-04',
+                },
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error?.message || response.statusText);
+            }
+
+            slots = Object.values(data.data || {})
+                .flat()
+                .map(slot => ({ start: slot.start }));
+        } else if (config.provider === 'calendly') {
+            // Calendly limits availability queries to 7 days
+            const calendlyEnd = new Date(Math.min(end.getTime(), start.getTime() + 7 * 24 * 60 * 60 * 1000));
+            const params = new URLSearchParams({
+                event_type: config.eventTypeId,
+                start_time: new Date(start.getTime() + 60 * 1000).toISOString(),
+                end_time: calendlyEnd.toISOString(),
+            });
+
+            const response = await fetch(`${CALENDLY_API_URL}/event_type_available_times?${params}`, {
+                headers: { 'Authorization': `Bearer ${config.apiKey}` },
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || response.statusText);
+            }
+
+            slots = (data.collection || [])
+                .filter(slot => slot.status === 'available')
+                .map(slot => ({ start: slot.start_time, schedulingUrl: slot.scheduling_url }));
+        } else {
+            return { success: false, error: `Unsupported booking provider: ${config.provider}` };
+        }
+
+        slots.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+        return {
+            success: true,
+            slots: (spread ? pickSlots(slots) : slots).map(slot => ({
+                ...slot,
+                label: formatSlotLabel(slot.start, timezone),
+            })),
+        };
+    } catch (error) {
+        console.error('Failed to get available slots:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Book a meeting at the given slot
+ * Cal.com books directly; Calendly has no booking API, so we return the
+ * pre-filled scheduling link and record the meeting when its webhook fires
+ * @param {string} userId - The user's ID
+ * @param {Object} options - Booking details
+ */
+export async function bookMeeting(userId, {
+    startTime,
+    name,
+    email,
+    phone = null,
+    timezone = 'UTC',
+    leadId = null,
+    enrollmentId = null,
+    callId = null,
+}) {
+    const config = await getBookingConfig(userId);
+    if (!config) {
+        return { success: false, error: 'No booking calendar configured' };
+    }
+
+    if (!startTime || Number.isNaN(new Date(startTime).getTime())) {
+        return { success: false, error: 'A valid startTime is required' };
+    }
+
+    try {
+        if (config.provider === 'calendly') {
+            const { success, slots, error } = await getAvailableSlots(userId, { days: 7, timezone, spread: false });
+            if (!success) return { success: false, error };
+
+            const slot = slots.find(s => new Date(s.start).getTime() === new Date(startTime).getTime());
+            if (!slot) {
+                return { success: false, error: 'That time is no longer available' };
+            }
+
+            return {
+                success: true,
+                booked: false,
+                schedulingUrl: withTracking(slot.schedulingUrl, leadId, enrollmentId),
+            };
+        }
+
+        if (!email) {
+            return { success: false, error: 'An email address is required to send the invite' };
+        }
+
+        const response = await fetch(`${CALCOM_API_URL}/bookings`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${config.apiKey}`,
+                'cal-api-version': '2024-08-13',
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                start: new Date(startTime).toISOString(),
+                eventTypeId: Number(config.eventTypeId),
+                attendee: {
+                    name: name || 'Guest',
+                    email,
+                    timeZone: timezone,
+                    ...(phone ? { phoneNumber: phone } : {}),
+                },
+                metadata: {
+                    ...(leadId ? { leadId } : {}),
+                    ...(enrollmentId ? { enrollmentId } : {}),
+                    ...(callId ? { callId } : {}),
+                },
+            }),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error?.message || response.statusText);
+        }
+
+        const booking = data.data || {};
+        const result = await recordMeeting(userId, {
+            provider: 'calcom',
+            event: 'created',
+            externalId: booking.uid || String(booking.id),
+            startTime: booking.start || startTime,
+            endTime: booking.end || null,
+            inviteeName: name || null,
+            inviteeEmail: email.toLowerCase(),
+            inviteePhone: phone,
+            meetingUrl: booking.meetingUrl || booking.location || null,
+            leadId,
+            enrollmentId,
+        }, { source: 'call_tool', callId });
+
+        return { success: true, booked: true, meeting: result.meeting };
+    } catch (error) {
+        console.error('Failed to book meeting:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Match a booking to one of the user's leads
+ */
+async function findLeadForBooking(userId, booking) {
+    if (booking.leadId) {
+        const { data } = await supabase
+            .from('leads')
+            .select('id')
+            .eq('id', booking.leadId)
+            .eq('user_id', userId)
+            .maybeSingle();
+        if (data) return data.id;
+    }
+
+    if (booking.inviteeEmail) {
+        const { data } = await supabase
+            .from('leads')
+            .select('id')
+            .eq('user_id', userId)
+            .ilike('email', booking.inviteeEmail)
+            .limit(1)
+            .maybeSingle();
+        if (data) return data.id;
+    }
+
+    const digits = booking.inviteePhone?.replace(/\D/g, '').slice(-9);
+    if (digits) {
+        const { data } = await supabase
+            .from('leads')
+            .select('id')
+            .eq('user_id', userId)
+            .ilike('phone', `%${digits}`)
+            .limit(1)
+            .maybeSingle();
+        if (data) return data.id;
+    }
+
+    return null;
+}
+
+/**
+ * Find the workflow enrollment a booking belongs to
+ */
+async function findEnrollmentForBooking(userId, leadId, enrollmentId) {
+    if (enrollmentId) {
+        const { data } = await supabase
+            .from('workflow_enrollments')
+            .select('id, workflow_id, lead_id')
+            .eq('id', enrollmentId)
+            .eq('user_id', userId)
+            .maybeSingle();
+        if (data) return data;
+    }
+
+    if (!leadId) return null;
+
+    const { data } = await supabase
+        .from('workflow_enrollments')
+        .select('id, workflow_id, lead_id')
+        .eq('lead_id', leadId)
+        .eq('user_id', userId)
+        .eq('status', 'active')
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    return data;
+}
+
+/**
+ * Record a booking (from a webhook or our own booking call)
+ * New bookings are matched to the lead/enrollment, counted on the workflow
+ * and trigger stop_on_meeting_booked. Repeat deliveries are idempotent.
+ * @param {string} userId - The user's ID
+ * @param {Object} booking - Normalized booking (see config/meetings.js)
+ * @param {Object} options - { source, callId }
+ * @returns {Object} - { success, meeting, isNew, error }
+ */
+export async function recordMeeting(userId, booking, { source = 'webhook', callId = null } = {}) {
+    if (!booking?.externalId) {
+        return { success: false, error: 'Booking has no external ID' };
+    }
+
+    const { data: existing } = await supabase
+        .from('meetings')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('provider', booking.provider)
+        .eq('external_id', booking.externalId)
+        .maybeSingle();
+
+    if (booking.event === 'cancelled') {
+        if (!existing) return { success: true, meeting: null, isNew: false };
+
+        const { data: meeting } = await supabase
+            .from('meetings')
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('id', existing.id)
+            .select()
+            .single();
+
+        return { success: true, meeting, isNew: false };
+    }
+
+    if (existing) {
+        const { data: meeting } = await supabase
+            .from('meetings')
+            .update({
+                status: 'scheduled',
+                start_time: booking.startTime || existing.start_time,
+                end_time: booking.endTime || existing.end_time,
+                meeting_url: booking.meetingUrl || existing.meeting_url,
+                updated_at: new Date().toISOString(),
+            })
+            .eq('id', existing.id)
+            .select()
+            .single();
+
+        return { success: true, meeting, isNew: false };
+    }
+
+    const leadId = await findLeadForBooking(userId, booking);
+    const enrollment = await findEnrollmentForBooking(userId, leadId, booking.enrollmentId);
+
+    const { data: meeting, error } = await supabase
+        .from('meetings')
+        .insert({
+            user_id: userId,
+            lead_id: leadId || enrollment?.lead_id || null,
+            workflow_id: enrollment?.workflow_id || null,
+            enrollment_id: enrollment?.id || null,
+            call_id: callId,
+            provider: booking.provider,
+            external_id: booking.externalId,
+            status: 'scheduled',
+            source,
+            start_time: booking.startTime,
+            end_time: booking.endTime,
+            invitee_name: booking.inviteeName,
+            invitee_email: booking.inviteeEmail,
+            invitee_phone: booking.inviteePhone,
+            meeting_url: booking.meetingUrl,
+        })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Failed to record meeting:', error.message);
+        return { success: false, error: error.message };
+    }
+
+    console.log(`📅 Meeting ${meeting.id} booked for lead ${meeting.lead_id || 'unknown'}`);
+
+    if (meeting.lead_id) {
+        await supabase
+            .from('leads')
+            .update({
+                status: 'interested',
+                notes: `Meeting booked for ${booking.startTime}`,
+            })
+            .eq('id', meeting.lead_id);
+    }
+
+    if (enrollment) {
+        const { error: statsError } = await supabase.rpc('increment_workflow_stats', {
+            p_workflow_id: enrollment.workflow_id,
+            p_stat_name: 'total_meetings_booked',
+            p_increment: 1
+        });
+        if (statsError) {
+            console.error('Failed to update workflow meeting count:', statsError.message);
+        }
+
+        await supabase.from('workflow_action_log').insert({
+            workflow_id: enrollment.workflow_id,
+            enrollment_id: enrollment.id,
+            lead_id: meeting.lead_id,
+            user_id: userId,
+            action_type: 'meeting_booked',
+            action_result: 'success',
+            call_id: callId,
+            metadata: {
+                meetingId: meeting.id,
+                provider: booking.provider,
+                startTime: booking.startTime,
+            }
+        });
+
+        await workflowScheduler.handleStopCondition(enrollment.id, 'meeting_booked');
+    }
+
+    return { success: true, meeting, isNew: true };
+}
+
+/**
+ * Whether the booking link may be texted - same gates as a workflow SMS step
+ * (STOP replies and the suppression list)
+ */
+async function canTextBookingLink(userId, phone) {
+    if (await isSmsOptedOut(userId, phone)) return false;
+    return !(await checkSuppression(userId, { phone }));
+}
+
+/**
+ * Handle a checkAvailability / bookMeeting tool call from a live VAPI call
+ * @param {Object} toolCall - { id, function: { name, arguments } }
+ * @param {Object} call - VAPI call object (metadata carries userId/leadId/enrollmentId)
+ * @returns {string} - Result text for the assistant
+ */
+export async function handleMeetingToolCall(toolCall, call) {
+    const name = toolCall.function?.name;
+    let args = toolCall.function?.arguments || {};
+    if (typeof args === 'string') {
+        try {
+            args = JSON.parse(args);
+        } catch {
+            args = {};
+        }
+    }
+
+    const { userId, leadId, enrollmentId } = call?.metadata || {};
+    if (!userId) {
+        return 'Booking is not available on this call.';
+    }
+
+    let lead = null;
+    if (leadId) {
+        const { data } = await supabase
+            .from('leads')
+            .select('id, name, email, phone, city, latitude, longitude, timezone')
+            .eq('id', leadId)
+            .single();
+        lead = data;
+    }
+
+    const config = await getBookingConfig(userId);
+    const timezone = inferLeadTimezone(lead, config?.timezone || 'UTC');
+
+    if (name === 'checkAvailability') {
+        const result = await getAvailableSlots(userId, { days: args.days, timezone });
+        if (!result.success) {
+            return `Could not check the calendar: ${result.error}. Offer to follow up by email instead.`;
+        }
+        if (result.slots.length === 0) {
+            return 'No open slots in that period. Offer to follow up by email instead.';
+        }
+
+        return JSON.stringify({
+            timezone,
+            slots: result.slots.map(slot => ({ startTime: slot.start, label: slot.label })),
+        });
+    }
+
+    if (name === 'bookMeeting') {
+        const result = await bookMeeting(userId, {
+            startTime: args.startTime,
+            name: args.name || lead?.name,
+            email: args.email || lead?.email,
+            phone: call?.customer?.number || lead?.phone,
+            timezone,
+            leadId,
+            enrollmentId,
+            callId: call?.id,
+        });
+
+        if (!result.success) {
+            return `Booking failed: ${result.error}`;
+        }
+        if (!result.booked) {
+            // Calendly: text the pre-filled link so they can confirm the slot
+            const to = call?.customer?.number || lead?.phone;
+            const fromNumber = to && await canTextBookingLink(userId, to)
+                ? await getUserSmsNumber(userId, to)
+                : null;
+            if (fromNumber && result.schedulingUrl) {
+                const sent = await sendSms({
+                    userId,
+                    leadId,
+                    enrollmentId,
+                    from: fromNumber.phone_number,
+                    to,
+                    body: `Here's the link to confirm our meeting on ${formatSlotLabel(args.startTime, timezone)}: ${result.schedulingUrl}`,
+                });
+                if (sent.success) {
+                    return 'A text with a link to confirm the meeting has been sent. Ask the customer to tap it to confirm.';
+                }
+            }
+            return 'The meeting could not be confirmed on the call. Offer to follow up by email with a booking link instead.';
+        }
+
+        return `Meeting booked for ${formatSlotLabel(args.startTime, timezone)}. A calendar invite is on its way.`;
+    }
+
+    return `Unknown tool: ${name}`;
+}
+
+export default {
+    getBookingConfig,
+    getAvailableSlots,
+    bookMeeting,
+    recordMeeting,
+    handleMeetingToolCall,
+};
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for meeting booking service
+ * Runs against a fake Supabase client; workflow and SMS services are mocked.
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeSupabase, getFilter } from '../test-utils/fakeSupabase.js';
+
+const SLOT = '2025-03-04T14:00:00.000Z';
+
+const state = { optedOut: false, suppressions: [], meetings: [] };
+
+const supabase = createFakeSupabase(query => {
+    if (query.action === 'rpc') {
+        return { error: { message: 'rpc failed' } };
+    }
+    if (query.table === 'meetings' && query.action === 'select') {
+        const meeting = state.meetings.find(m =>
+            m.user_id === getFilter(query, 'user_id') && m.external_id === getFilter(query, 'external_id'));
+        return { data: meeting || null };
+    }
+    if (query.table === 'meetings' && query.action === 'update') {
+        return { data: { id: getFilter(query, 'id'), ...query.values } };
+    }
+    if (query.table === 'meetings' && query.action === 'insert') {
+        return { data: { id: 'meeting-1', ...query.values } };
+    }
+    if (query.table === 'leads' && query.action === 'select') {
+        return { data: { id: 'lead-1', name: 'Ann', phone: '+353871234567' } };
+    }
+    if (query.table === 'workflow_enrollments') {
+        return { data: { id: 'we-1', workflow_id: 'wf-1', lead_id: 'lead-1' } };
+    }
+    if (query.table === 'profiles') {
+        return {
+            data: {
+                booking_provider: 'calendly',
+                booking_api_key: 'key',
+                booking_event_type_id: 'https://api.calendly.com/event_types/1',
+                timezone: 'Europe/Dublin',
+            },
+        };
+    }
+    if (query.table === 'suppressions') {
+        return { data: state.suppressions };
+    }
+    return {};
+});
+
+const handleStopCondition = jest.fn(async () => {});
+const isSmsOptedOut = jest.fn(async () => state.optedOut);
+const getUserSmsNumber = jest.fn(async () => ({ phone_number: '+35315550100' }));
+const sendSms = jest.fn(async () => ({ success: true }));
+
+jest.unstable_mockModule('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+jest.unstable_mockModule('./workflowScheduler.js', () => ({ default: { handleStopCondition } }));
+jest.unstable_mockModule('./sms.js', () => ({ getUserSmsNumber, isSmsOptedOut, sendSms }));
+
+const { recordMeeting, handleMeetingToolCall } = await import('./meetings.js');
+
+const originalFetch = global.fetch;
+
+const bookMeetingCall = {
+    id: 'tool-1',
+    function: { name: 'bookMeeting', arguments: JSON.stringify({ startTime: SLOT }) },
+};
+const call = { id: 'call-1', metadata: { userId: 'user-1', leadId: 'lead-1' }, customer: { number: '+353871234567' } };
+
+beforeEach(() => {
+    supabase.calls.length = 0;
+    state.optedOut = false;
+    state.suppressions = [];
+    state.meetings = [];
+    jest.clearAllMocks();
+    global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({
+            collection: [{ status: 'available', start_time: SLOT, scheduling_url: 'https://calendly.com/u/slot' }],
+        }),
+    }));
+});
+
+afterAll(() => {
+    global.fetch = originalFetch;
+});
+
+describe('Recording Meetings', () => {
+    test('should stop the workflow enrollment even when the stats RPC fails', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            const result = await recordMeeting('user-1', {
+                provider: 'calcom',
+                event: 'created',
+                externalId: 'booking-1',
+                startTime: SLOT,
+                enrollmentId: 'we-1',
+            });
+
+            expect(result).toMatchObject({ success: true, isNew: true });
+            const actionLog = supabase.calls.find(q => q.table === 'workflow_action_log');
+            expect(actionLog.values).toMatchObject({ enrollment_id: 'we-1', action_type: 'meeting_booked' });
+            expect(handleStopCondition).toHaveBeenCalledWith('we-1', 'meeting_booked');
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+
+    test('should not cancel another user\'s meeting with the same external ID', async () => {
+        state.meetings = [{ id: 'meeting-1', user_id: 'user-1', provider: 'calcom', external_id: 'booking-1' }];
+
+        const result = await recordMeeting('user-2', { provider: 'calcom', event: 'cancelled', externalId: 'booking-1' });
+
+        expect(result).toMatchObject({ success: true, meeting: null });
+        expect(supabase.calls.some(q => q.table === 'meetings' && q.action === 'update')).toBe(false);
+    });
+
+    test('should cancel the user\'s own meeting', async () => {
+        state.meetings = [{ id: 'meeting-1', user_id: 'user-1', provider: 'calcom', external_id: 'booking-1' }];
+
+        const result = await recordMeeting('user-1', { provider: 'calcom', event: 'cancelled', externalId: 'booking-1' });
+
+        expect(result.meeting).toMatchObject({ id: 'meeting-1', status: 'cancelled' });
+    });
+});
+
+describe('Texting the Calendly Link', () => {
+    test('should text the link to a reachable lead', async () => {
+        const reply = await handleMeetingToolCall(bookMeetingCall, call);
+
+        expect(reply).toMatch(/text with a link/);
+        expect(sendSms).toHaveBeenCalledWith(expect.objectContaining({ to: '+353871234567' }));
+    });
+
+    test('should not text a lead who opted out of SMS', async () => {
+        state.optedOut = true;
+
+        const reply = await handleMeetingToolCall(bookMeetingCall, call);
+
+        expect(reply).toMatch(/could not be confirmed/);
+        expect(sendSms).not.toHaveBeenCalled();
+    });
+
+    test('should not text a suppressed number', async () => {
+        state.suppressions = [{ id: 's-1', type: 'phone', value: '353871234567', reason: 'manual' }];
+
+        const reply = await handleMeetingToolCall(bookMeetingCall, call);
+
+        expect(reply).toMatch(/could not be confirmed/);
+        expect(sendSms).not.toHaveBeenCalled();
+    });
+});
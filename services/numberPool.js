@@ -0,0 +1,306 @@
+/**
+ * Outbound Number Pool Service
+ * Reserves the caller ID for every outbound call (direct, batch, scheduled, workflow)
+ * from user_phone_numbers, using the rules in config/numberPool.js.
+ *
+ * Pools:
+ * - A user's own numbers (user_id = the user)
+ * - The platform pool (user_id IS NULL), seeded from VAPI_PHONE_NUMBER_IDS
+ *   (or the legacy VAPI_PHONE_NUMBER_ID) for calls made without a user
+ *
+ * Reservations are atomic: the usage counter is bumped with an optimistic lock,
+ * so two concurrent calls can never push a number past its daily cap.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    COUNTRY_CALLING_CODES,
+    DEFAULT_DAILY_CALL_LIMIT,
+    getPoolDate,
+    getDailyUsage,
+    isNumberAvailable,
+    parsePhoneLocation,
+    rankPoolNumbers,
+    summarizePool,
+} from '../config/numberPool.js';
+
+const VAPI_API_URL = 'https://api.vapi.ai';
+const MAX_RESERVE_ATTEMPTS = 3;
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+let platformSync = null;
+
+/**
+ * Platform phone number IDs from env
+ */
+function getPlatformPhoneNumberIds() {
+    const ids = (process.env.VAPI_PHONE_NUMBER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0 && process.env.VAPI_PHONE_NUMBER_ID) {
+        ids.push(process.env.VAPI_PHONE_NUMBER_ID);
+    }
+    return ids;
+}
+
+/**
+ * Make sure every env platform number has a pool row
+ * Runs once per process; numbers are looked up in VAPI for their E.164 number
+ */
+export function syncPlatformNumbers() {
+    if (!platformSync) {
+        platformSync = doSyncPlatformNumbers().catch(error => {
+            console.error('Failed to sync platform phone numbers:', error.message);
+            platformSync = null;
+        });
+    }
+    return platformSync;
+}
+
+async function doSyncPlatformNumbers() {
+    const ids = getPlatformPhoneNumberIds();
+    if (ids.length === 0) return;
+
+    const { data: existing, error } = await supabase
+        .from('user_phone_numbers')
+        .select('phone_number_id')
+        .in('phone_number_id', ids);
+
+    if (error) throw error;
+
+    const known = new Set((existing || []).map(n => n.phone_number_id));
+    const dailyLimit = parseInt(process.env.VAPI_MAX_CALLS_PER_NUMBER_PER_DAY) || DEFAULT_DAILY_CALL_LIMIT;
+
+    for (const phoneNumberId of ids.filter(id => !known.has(id))) {
+        let vapiNumber = {};
+        try {
+            const response = await fetch(`${VAPI_API_URL}/phone-number/${phoneNumberId}`, {
+                headers: { 'Authorization': `Bearer ${process.env.VAPI_API_KEY}` },
+            });
+            if (response.ok) vapiNumber = await response.json();
+        } catch (fetchError) {
+            console.warn(`⚠️ Could not look up platform number ${phoneNumberId}:`, fetchError.message);
+        }
+
+        const phoneNumber = vapiNumber.number || phoneNumberId;
+        const { callingCode, areaCode } = parsePhoneLocation(phoneNumber);
+        const countryCode = Object.keys(COUNTRY_CALLING_CODES).find(iso => COUNTRY_CALLING_CODES[iso] === callingCode);
+
+        const { error: insertError } = await supabase
+            .from('user_phone_numbers')
+            .insert({
+                user_id: null,
+                phone_number: phoneNumber,
+                phone_number_id: phoneNumberId,
+                provider: vapiNumber.provider || 'vapi',
+                country_code: countryCode || null,
+                area_code: areaCode,
+                daily_calls_limit: dailyLimit,
+                friendly_name: vapiNumber.name || 'Platform number',
+                metadata: { source: 'platform' },
+            });
+
+        if (!insertError) {
+            console.log(`📞 Added platform number ${phoneNumber} to the pool`);
+        } else if (insertError.code !== '23505') {
+            console.error(`Failed to add platform number ${phoneNumberId}:`, insertError.message);
+        }
+    }
+}
+
+/**
+ * Load a pool's numbers (null userId = platform pool)
+ */
+async function getPoolNumbers(userId) {
+    if (!userId) await syncPlatformNumbers();
+
+    let query = supabase
+        .from('user_phone_numbers')
+        .select('*')
+        .in('status', ['active', 'flagged']);
+
+    query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+    const { data, error } = await query;
+    if (error) {
+        console.error('Error loading number pool:', error.message);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Match a column against a value, including NULL
+ */
+function whereEquals(query, column, value) {
+    return value === null || value === undefined ? query.is(column, null) : query.eq(column, value);
+}
+
+/**
+ * Take one call off a number's daily allowance
+ * @returns {Promise<Object|null>} - Updated row, or null if another caller got there first
+ */
+async function claimNumber(number, now) {
+    const updates = {
+        daily_calls_used: getDailyUsage(number, now) + 1,
+        last_reset_date: getPoolDate(now),
+        total_calls_made: (number.total_calls_made || 0) + 1,
+        updated_at: now.toISOString(),
+    };
+
+    // Cool-down over - the number rejoins normal rotation
+    if (number.flagged_as_spam) {
+        updates.flagged_as_spam = false;
+        updates.status = 'active';
+    }
+
+    let query = supabase
+        .from('user_phone_numbers')
+        .update(updates)
+        .eq('id', number.id);
+
+    // Optimistic lock on the counters we read
+    query = whereEquals(query, 'daily_calls_used', number.daily_calls_used);
+    query = whereEquals(query, 'last_reset_date', number.last_reset_date);
+
+    const { data, error } = await query.select().maybeSingle();
+    if (error || !data) return null;
+    return data;
+}
+
+/**
+ * Reserve an outbound number for a call
+ * @param {string|null} userId - Owner of the pool; null for the platform pool
+ * @param {Object} options - { leadPhone, includePlatform }
+ *   leadPhone: destination, used for local-presence selection
+ *   includePlatform: fall back to the platform pool when the user has nothing free
+ * @returns {Promise<Object|null>} - Reserved user_phone_numbers row, or null if the pool is exhausted
+ */
+export async function reserveNumber(userId, { leadPhone = null, includePlatform = false } = {}) {
+    const pools = userId && includePlatform ? [userId, null] : [userId || null];
+
+    for (const poolUserId of pools) {
+        const candidates = rankPoolNumbers(await getPoolNumbers(poolUserId), leadPhone);
+
+        for (let candidate of candidates) {
+            for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS && candidate; attempt++) {
+                const now = new Date();
+                const reserved = await claimNumber(candidate, now);
+                if (reserved) {
+                    console.log(`📞 Reserved ${reserved.phone_number} (${reserved.daily_calls_used}/${reserved.daily_calls_limit} today)${leadPhone ? ` for ${leadPhone}` : ''}`);
+                    return reserved;
+                }
+
+                // Lost the race - re-read and try again while it still has room
+                const { data: fresh } = await supabase
+                    .from('user_phone_numbers')
+                    .select('*')
+                    .eq('id', candidate.id)
+                    .maybeSingle();
+                candidate = fresh && isNumberAvailable(fresh, now) ? fresh : null;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Give a reservation back when the call could not be placed
+ * @param {Object} number - Row returned by reserveNumber
+ */
+export async function releaseNumber(number) {
+    if (!number?.id) return false;
+
+    let current = number;
+    for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS && current; attempt++) {
+        // A reservation from an earlier day has already been reset
+        if (current.last_reset_date !== getPoolDate() || !current.daily_calls_used) return true;
+
+        let query = supabase
+            .from('user_phone_numbers')
+            .update({
+                daily_calls_used: current.daily_calls_used - 1,
+                total_calls_made: Math.max(0, (current.total_calls_made || 0) - 1),
+                updated_at: new Date().toISOString(),
+            })
+            .eq('id', current.id)
+            .eq('daily_calls_used', current.daily_calls_used);
+        query = whereEquals(query, 'last_reset_date', current.last_reset_date);
+
+        const { data } = await query.select().maybeSingle();
+        if (data) return true;
+
+        const { data: fresh } = await supabase
+            .from('user_phone_numbers')
+            .select('*')
+            .eq('id', current.id)
+            .maybeSingle();
+        current = fresh;
+    }
+
+    console.error(`Failed to release reservation on ${number.phone_number}`);
+    return false;
+}
+
+/**
+ * Flag a number as spam - it sits out the cool-down before rejoining rotation
+ * @param {string} userId - Owner (null for a platform number)
+ * @param {string} phoneNumberId - VAPI phone number ID
+ */
+export async function flagNumberAsSpam(userId, phoneNumberId) {
+    return setSpamFlag(userId, phoneNumberId, true);
+}
+
+/**
+ * Clear a spam flag early
+ */
+export async function clearSpamFlag(userId, phoneNumberId) {
+    return setSpamFlag(userId, phoneNumberId, false);
+}
+
+async function setSpamFlag(userId, phoneNumberId, flagged) {
+    let query = supabase
+        .from('user_phone_numbers')
+        .update({
+            flagged_as_spam: flagged,
+            status: flagged ? 'flagged' : 'active',
+            ...(flagged ? { spam_flagged_at: new Date().toISOString() } : {}),
+            updated_at: new Date().toISOString(),
+        })
+        .eq('phone_number_id', phoneNumberId)
+        .in('status', ['active', 'flagged']);
+
+    query = whereEquals(query, 'user_id', userId);
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    if (!data) {
+        return { success: false, error: 'Phone number not found' };
+    }
+
+    console.log(`${flagged ? '🚩' : '✅'} ${data.phone_number} ${flagged ? 'flagged as spam' : 'spam flag cleared'}`);
+    return { success: true, number: data };
+}
+
+/**
+ * Today's capacity for a pool
+ * @param {string|null} userId - Owner of the pool; null for the platform pool
+ */
+export async function getPoolStats(userId) {
+    return summarizePool(await getPoolNumbers(userId));
+}
+
+export default {
+    syncPlatformNumbers,
+    reserveNumber,
+    releaseNumber,
+    flagNumberAsSpam,
+    clearSpamFlag,
+    getPoolStats,
+};
@@ -7,6 +7,7 @@ const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
 const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
 const VAPI_API_KEY = process.env.VAPI_API_KEY;
 const VAPI_API_URL = 'https://api.vapi.ai';
+const API_URL = process.env.API_URL || 'http://localhost:3002';
 
 // Country configurations for phone numbers
 const COUNTRY_CONFIG = {
@@ -26,7 +27,7 @@ export async function searchAvailableNumbers(countryCode = 'IE', options = {}) {
 
     const params = new URLSearchParams({
         VoiceEnabled: 'true',
-        SmsEnabled: 'false',  // We only need voice
+        SmsEnabled: 'true',  // Workflow SMS steps send from the same number
         PageSize: limit.toString(),
     });
 
@@ -67,6 +68,8 @@ export async function purchasePhoneNumber(phoneNumber) {
                 PhoneNumber: phoneNumber,
                 VoiceMethod: 'POST',
                 // VoiceUrl will be set by VAPI after import
+                SmsUrl: `${API_URL}/api/sms/webhook`,
+                SmsMethod: 'POST',
             }),
         }
     );
@@ -79,8 +82,42 @@ export async function purchasePhoneNumber(phoneNumber) {
     return await response.json();
 }
 
+/**
+ * Server settings that make VAPI send an assistant-request for inbound calls
+ * (the number has no fixed assistant, so VAPI asks our webhook which one to use)
+ */
+function getInboundServerConfig() {
+    const server = { url: `${API_URL}/api/vapi/webhook` };
+    if (process.env.VAPI_WEBHOOK_SECRET) {
+        server.secret = process.env.VAPI_WEBHOOK_SECRET;
+    }
+    return server;
+}
+
+/**
+ * Point an existing VAPI number at our webhook for inbound calls
+ */
+export async function configureInboundOnVapi(phoneNumberId) {
+    const response = await fetch(`${VAPI_API_URL}/phone-number/${phoneNumberId}`, {
+        method: 'PATCH',
+        headers: {
+            'Authorization': `Bearer ${VAPI_API_KEY}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ server: getInboundServerConfig() }),
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`VAPI update failed: ${error.message || response.statusText}`);
+    }
+
+    return await response.json();
+}
+
 /**
  * Import a Twilio phone number to VAPI
+ * Inbound calls to it are answered via the assistant-request webhook
  */
 export async function importToVapi(phoneNumber, twilioSid) {
     const response = await fetch(`${VAPI_API_URL}/phone-number`, {
@@ -95,6 +132,7 @@ export async function importToVapi(phoneNumber, twilioSid) {
             twilioAccountSid: TWILIO_ACCOUNT_SID,
             twilioAuthToken: TWILIO_AUTH_TOKEN,
             name: `Auto-provisioned ${phoneNumber}`,
+            server: getInboundServerConfig(),
         }),
     });
 
@@ -287,6 +325,7 @@ export default {
     searchAvailableNumbers,
     purchasePhoneNumber,
     importToVapi,
+    configureInboundOnVapi,
     releasePhoneNumber,
     deleteFromVapi,
     provisionPhoneNumbersForUser,
@@ -0,0 +1,143 @@
+/**
+ * Recording Archiver
+ * Copies finished calls' recordings into Supabase Storage and enforces each
+ * user's retention period
+ *
+ * Runs a cron job every 5 minutes for the archive queue (calls with
+ * recording_archive_status pending/failed), and an hourly job that deletes
+ * recordings past their recording_delete_at.
+ */
+
+import cron from 'node-cron';
+import { createClient } from '@supabase/supabase-js';
+import { archiveRecording, deleteExpiredRecordings } from './recordings.js';
+
+const ARCHIVE_BATCH_SIZE = 20;
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * RecordingArchiver - archives recordings and deletes expired ones
+ */
+class RecordingArchiver {
+    constructor() {
+        this.isArchiving = false;
+        this.isDeleting = false;
+        this.archiveJob = null;
+        this.retentionJob = null;
+    }
+
+    /**
+     * Start the archiver
+     */
+    start() {
+        this.archiveJob = cron.schedule('*/5 * * * *', async () => {
+            await this.archivePendingRecordings();
+        });
+
+        this.retentionJob = cron.schedule('15 * * * *', async () => {
+            await this.deleteExpiredRecordings();
+        });
+
+        console.log('🎙️ Recording archiver started - archiving every 5 minutes, retention checked hourly');
+    }
+
+    /**
+     * Stop the archiver
+     */
+    stop() {
+        if (this.archiveJob) {
+            this.archiveJob.stop();
+            console.log('🎙️ Recording archiver stopped');
+        }
+        if (this.retentionJob) {
+            this.retentionJob.stop();
+        }
+    }
+
+    /**
+     * Calls whose recordings are due to be archived
+     */
+    async getDueRecordings() {
+        const { data, error } = await supabase
+            .from('calls')
+            .select('id, user_id, recording_url, ended_at, created_at, recording_archive_attempts')
+            .in('recording_archive_status', ['pending', 'failed'])
+            .not('recording_url', 'is', null)
+            .lte('recording_next_attempt_at', new Date().toISOString())
+            .order('recording_next_attempt_at', { ascending: true })
+            .limit(ARCHIVE_BATCH_SIZE);
+
+        if (error) {
+            console.error('❌ Failed to get recordings to archive:', error.message);
+            return [];
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Archive due recordings - called every 5 minutes
+     */
+    async archivePendingRecordings() {
+        // Prevent overlapping runs (downloads can be slow)
+        if (this.isArchiving) {
+            return;
+        }
+
+        this.isArchiving = true;
+
+        try {
+            const calls = await this.getDueRecordings();
+            if (calls.length === 0) {
+                return;
+            }
+
+            let archived = 0;
+            for (const call of calls) {
+                const result = await archiveRecording(call);
+                if (result.success) {
+                    archived++;
+                } else {
+                    console.error(`⚠️ Recording archive failed for call ${call.id}: ${result.error}`);
+                }
+            }
+
+            console.log(`🎙️ Archived ${archived}/${calls.length} recording(s)`);
+        } catch (error) {
+            console.error('❌ Recording archiver error:', error.message);
+        } finally {
+            this.isArchiving = false;
+        }
+    }
+
+    /**
+     * Delete recordings past their retention period - called hourly
+     */
+    async deleteExpiredRecordings() {
+        if (this.isDeleting) {
+            return;
+        }
+
+        this.isDeleting = true;
+
+        try {
+            const { deleted, failed } = await deleteExpiredRecordings();
+            if (deleted > 0 || failed > 0) {
+                console.log(`🗑️ Retention: deleted ${deleted} recording(s)${failed ? `, ${failed} failed` : ''}`);
+            }
+        } catch (error) {
+            console.error('❌ Recording retention error:', error.message);
+        } finally {
+            this.isDeleting = false;
+        }
+    }
+}
+
+// Export singleton instance
+const recordingArchiver = new RecordingArchiver();
+export default recordingArchiver;
+export { RecordingArchiver };
@@ -0,0 +1,304 @@
+/**
+ * Call Recording Service
+ * Copies VAPI-hosted recordings into Supabase Storage, serves them through
+ * signed URLs, and deletes them on request or when retention runs out.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    RECORDINGS_BUCKET,
+    DEFAULT_RETENTION_DAYS,
+    SIGNED_URL_TTL_SECONDS,
+    MAX_RECORDING_BYTES,
+    getRecordingDeleteAt,
+    getRecordingExtension,
+    getRecordingContentType,
+    getRecordingPath,
+    getNextArchiveAttempt,
+} from '../config/recordings.js';
+
+const DOWNLOAD_TIMEOUT_MS = 120000;
+const DELETE_BATCH_SIZE = 100;
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Upload to the recordings bucket, creating it (private) on first use
+ */
+async function uploadRecording(path, body, contentType) {
+    const upload = () => supabase.storage
+        .from(RECORDINGS_BUCKET)
+        .upload(path, body, { contentType, upsert: true });
+
+    let { error } = await upload();
+
+    if (error && (error.message?.includes('not found') || error.statusCode === '404')) {
+        const { error: createError } = await supabase.storage.createBucket(RECORDINGS_BUCKET, {
+            public: false,
+            fileSizeLimit: MAX_RECORDING_BYTES,
+        });
+
+        if (createError && !createError.message?.includes('already exists')) {
+            throw createError;
+        }
+
+        ({ error } = await upload());
+    }
+
+    if (error) throw error;
+}
+
+/**
+ * Owner's retention period (null = keep indefinitely)
+ */
+async function getRetentionDays(userId) {
+    if (!userId) return DEFAULT_RETENTION_DAYS;
+
+    const { data } = await supabase
+        .from('profiles')
+        .select('recording_retention_days')
+        .eq('id', userId)
+        .single();
+
+    return data ? data.recording_retention_days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Copy one call's recording into Storage
+ * Failures are retried with backoff until MAX_ARCHIVE_ATTEMPTS, then marked unavailable
+ * @param {Object} call - { id, user_id, recording_url, ended_at, created_at, recording_archive_attempts }
+ * @returns {Promise<Object>} - { success, path, error }
+ */
+export async function archiveRecording(call) {
+    const attempts = (call.recording_archive_attempts || 0) + 1;
+    const retentionDays = await getRetentionDays(call.user_id);
+    const deleteAt = getRecordingDeleteAt(call.ended_at || call.created_at, retentionDays);
+
+    try {
+        const response = await fetch(call.recording_url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`Recording download failed (${response.status})`);
+        }
+
+        if (Number(response.headers.get('content-length')) > MAX_RECORDING_BYTES) {
+            throw new Error('Recording is too large to archive');
+        }
+
+        const body = Buffer.from(await response.arrayBuffer());
+        if (body.length === 0 || body.length > MAX_RECORDING_BYTES) {
+            throw new Error(body.length === 0 ? 'Recording is empty' : 'Recording is too large to archive');
+        }
+
+        const extension = getRecordingExtension(response.headers.get('content-type'), call.recording_url);
+        const path = getRecordingPath(call.user_id, call.id, extension);
+        await uploadRecording(path, body, getRecordingContentType(extension));
+
+        await supabase
+            .from('calls')
+            .update({
+                recording_storage_path: path,
+                recording_archive_status: 'archived',
+                recording_archive_attempts: attempts,
+                recording_archive_error: null,
+                recording_next_attempt_at: null,
+                recording_size_bytes: body.length,
+                recording_archived_at: new Date().toISOString(),
+                recording_delete_at: deleteAt,
+            })
+            .eq('id', call.id);
+
+        return { success: true, path };
+    } catch (error) {
+        const nextAttempt = getNextArchiveAttempt(attempts);
+
+        // The VAPI copy still counts towards retention if archiving never succeeds
+        await supabase
+            .from('calls')
+            .update({
+                recording_archive_status: nextAttempt ? 'failed' : 'unavailable',
+                recording_archive_attempts: attempts,
+                recording_archive_error: error.message,
+                recording_next_attempt_at: nextAttempt,
+                recording_delete_at: deleteAt,
+            })
+            .eq('id', call.id);
+
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete a call's recording from Storage and forget the VAPI URL
+ * The call row, transcript and summary are kept
+ */
+async function removeRecording(call) {
+    if (call.recording_storage_path) {
+        const { error } = await supabase.storage
+            .from(RECORDINGS_BUCKET)
+            .remove([call.recording_storage_path]);
+        if (error) throw error;
+    }
+
+    const { error } = await supabase
+        .from('calls')
+        .update({
+            recording_url: null,
+            recording_storage_path: null,
+            recording_archive_status: 'deleted',
+            recording_next_attempt_at: null,
+            recording_deleted_at: new Date().toISOString(),
+        })
+        .eq('id', call.id);
+
+    if (error) throw error;
+}
+
+/**
+ * Delete recordings whose retention period has passed
+ * @returns {Promise<Object>} - { deleted, failed }
+ */
+export async function deleteExpiredRecordings() {
+    let deleted = 0;
+    let failed = 0;
+
+    // Each pass removes what it finds, so keep going until a short page
+    for (;;) {
+        const { data: calls, error } = await supabase
+            .from('calls')
+            .select('id, recording_storage_path')
+            .lte('recording_delete_at', new Date().toISOString())
+            .is('recording_deleted_at', null)
+            .limit(DELETE_BATCH_SIZE);
+
+        if (error) throw error;
+
+        let batchDeleted = 0;
+        for (const call of calls || []) {
+            try {
+                await removeRecording(call);
+                batchDeleted++;
+            } catch (removeError) {
+                failed++;
+                console.error(`Failed to delete recording for call ${call.id}:`, removeError.message);
+            }
+        }
+        deleted += batchDeleted;
+
+        // Stop on a short page, or if nothing in a full page could be removed
+        if (!calls || calls.length < DELETE_BATCH_SIZE || batchDeleted === 0) break;
+    }
+
+    return { deleted, failed };
+}
+
+/**
+ * Delete a user's recordings now (e.g. a GDPR erasure request)
+ * @param {string} userId - Owner
+ * @param {Object} target - { callId } for one call, or { leadId } for every call with a lead
+ * @returns {Promise<Object>} - { success, deleted, error }
+ */
+export async function deleteRecordings(userId, { callId = null, leadId = null } = {}) {
+    if (!callId && !leadId) {
+        return { success: false, error: 'callId or leadId is required' };
+    }
+
+    let query = supabase
+        .from('calls')
+        .select('id, recording_url, recording_storage_path, recording_deleted_at')
+        .eq('user_id', userId);
+    query = callId ? query.eq('id', callId) : query.eq('lead_id', leadId);
+
+    const { data: calls, error } = await query;
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    if (callId && calls.length === 0) {
+        return { success: false, error: 'Call not found' };
+    }
+
+    let deleted = 0;
+    for (const call of calls) {
+        if (call.recording_deleted_at || (!call.recording_url && !call.recording_storage_path)) continue;
+        try {
+            await removeRecording(call);
+            deleted++;
+        } catch (removeError) {
+            return { success: false, deleted, error: removeError.message };
+        }
+    }
+
+    console.log(`🗑️ Deleted ${deleted} recording(s) for user ${userId} (${callId ? `call ${callId}` : `lead ${leadId}`})`);
+    return { success: true, deleted };
+}
+
+/**
+ * Playback URL for a call the user owns
+ * Archived recordings get a short-lived signed URL; not-yet-archived ones fall back to VAPI's URL
+ * @returns {Promise<Object>} - { success, url, source, expiresAt, error }
+ */
+export async function getRecordingPlayback(userId, callId) {
+    const { data: call, error } = await supabase
+        .from('calls')
+        .select('id, recording_url, recording_storage_path, recording_archive_status, recording_deleted_at')
+        .eq('id', callId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    if (!call) {
+        return { success: false, error: 'Call not found' };
+    }
+    if (call.recording_deleted_at) {
+        return { success: false, error: 'Recording was deleted' };
+    }
+
+    if (call.recording_storage_path) {
+        const { data, error: signError } = await supabase.storage
+            .from(RECORDINGS_BUCKET)
+            .createSignedUrl(call.recording_storage_path, SIGNED_URL_TTL_SECONDS);
+
+        if (signError) {
+            return { success: false, error: signError.message };
+        }
+
+        return {
+            success: true,
+            url: data.signedUrl,
+            source: 'archive',
+            expiresAt: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString(),
+        };
+    }
+
+    if (call.recording_url) {
+        return { success: true, url: call.recording_url, source: 'vapi', expiresAt: null, archiveStatus: call.recording_archive_status };
+    }
+
+    return { success: false, error: 'No recording for this call' };
+}
+
+/**
+ * Re-date a user's existing recordings after their retention period changes
+ * @returns {Promise<number>} - Recordings updated
+ */
+export async function applyRecordingRetention(userId, retentionDays) {
+    const { data, error } = await supabase.rpc('apply_recording_retention', {
+        p_user_id: userId,
+        p_days: retentionDays,
+    });
+
+    if (error) throw error;
+    return data || 0;
+}
+
+export default {
+    archiveRecording,
+    deleteExpiredRecordings,
+    deleteRecordings,
+    getRecordingPlayback,
+    applyRecordingRetention,
+};
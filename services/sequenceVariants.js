@@ -0,0 +1,155 @@
+/**
+ * Sequence A/B Variants Service
+ * Attributes email engagement to step variants and promotes winners
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    DEFAULT_PROMOTION_SETTINGS,
+    computeVariantStats,
+    findWinningVariant,
+} from '../config/sequenceVariants.js';
+
+// Keep .in() filters inside PostgREST URL limits
+const ID_CHUNK_SIZE = 200;
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Fetch rows whose email_log_id is in a (possibly long) list of IDs
+ */
+async function selectByEmailLogIds(table, columns, ids) {
+    const rows = [];
+    for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(columns)
+            .in('email_log_id', ids.slice(i, i + ID_CHUNK_SIZE));
+
+        if (error) throw error;
+        rows.push(...(data || []));
+    }
+    return rows;
+}
+
+/**
+ * Per-step, per-variant sends, opens, clicks and replies for a sequence
+ * Opens/clicks come from email_tracking_events, replies from email_responses
+ * @param {string} sequenceId - Sequence ID
+ * @returns {Promise<Object>} - { [stepNumber]: { [variantKey]: stats } }
+ */
+export async function getSequenceVariantStats(sequenceId) {
+    const { data: logs, error } = await supabase
+        .from('email_logs')
+        .select('id, step_number, variant_key, status')
+        .eq('sequence_id', sequenceId)
+        .eq('email_type', 'sequence_email');
+
+    if (error) throw error;
+    if (!logs || logs.length === 0) return {};
+
+    const ids = logs.map(l => l.id);
+    const events = await selectByEmailLogIds('email_tracking_events', 'email_log_id, event_type', ids);
+    const responses = await selectByEmailLogIds('email_responses', 'email_log_id', ids);
+
+    return computeVariantStats(logs, events, responses);
+}
+
+/**
+ * Make a variant the only one a step sends from now on
+ * @param {string} stepId - email_sequence_steps ID
+ * @param {string} variantKey - Variant to promote
+ * @param {string} reason - Why it was promoted (stored for the UI)
+ */
+export async function promoteVariant(stepId, variantKey, reason = 'Promoted manually') {
+    const { data: step, error: stepError } = await supabase
+        .from('email_sequence_steps')
+        .select('id, variants')
+        .eq('id', stepId)
+        .single();
+
+    if (stepError || !step) {
+        return { success: false, error: 'Step not found' };
+    }
+
+    if (!(step.variants || []).some(v => v.key === variantKey)) {
+        return { success: false, error: `Variant ${variantKey} not found on this step` };
+    }
+
+    const { error } = await supabase
+        .from('email_sequence_steps')
+        .update({
+            winning_variant: variantKey,
+            promoted_at: new Date().toISOString(),
+            promotion_reason: reason,
+            updated_at: new Date().toISOString(),
+        })
+        .eq('id', stepId);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    console.log(`🏆 Step ${stepId}: variant ${variantKey} promoted (${reason})`);
+    return { success: true };
+}
+
+/**
+ * Promote significant winners on every step with auto-promotion enabled
+ */
+export async function checkAutoPromotions() {
+    const { data: steps, error } = await supabase
+        .from('email_sequence_steps')
+        .select('id, sequence_id, step_number, variants, promotion_metric, promotion_min_sends, promotion_confidence')
+        .eq('auto_promote', true)
+        .is('winning_variant', null);
+
+    if (error) {
+        console.error('Error loading steps for auto-promotion:', error.message);
+        return { success: false, error: error.message };
+    }
+
+    const candidates = (steps || []).filter(s => (s.variants || []).length > 1);
+    const statsBySequence = {};
+    let promoted = 0;
+
+    for (const step of candidates) {
+        try {
+            if (!statsBySequence[step.sequence_id]) {
+                statsBySequence[step.sequence_id] = await getSequenceVariantStats(step.sequence_id);
+            }
+
+            // Only variants still on the step take part
+            const keys = new Set(step.variants.map(v => v.key));
+            const stepStats = Object.fromEntries(
+                Object.entries(statsBySequence[step.sequence_id][step.step_number] || {})
+                    .filter(([key]) => keys.has(key))
+            );
+
+            const result = findWinningVariant(stepStats, {
+                metric: step.promotion_metric || DEFAULT_PROMOTION_SETTINGS.metric,
+                minSends: step.promotion_min_sends ?? DEFAULT_PROMOTION_SETTINGS.minSends,
+                confidence: Number(step.promotion_confidence) || DEFAULT_PROMOTION_SETTINGS.confidence,
+            });
+
+            if (result.winner) {
+                const reason = `${result.reason} (p=${result.pValue.toFixed(4)})`;
+                const promotion = await promoteVariant(step.id, result.winner, reason);
+                if (promotion.success) promoted++;
+            }
+        } catch (stepError) {
+            console.error(`Auto-promotion failed for step ${step.id}:`, stepError.message);
+        }
+    }
+
+    return { success: true, checked: candidates.length, promoted };
+}
+
+export default {
+    getSequenceVariantStats,
+    promoteVariant,
+    checkAutoPromotions,
+};
@@ -0,0 +1,188 @@
+/**
+ * SMS Service
+ * Sends and receives text messages through the user's provisioned Twilio numbers
+ *
+ * Features:
+ * - Outbound SMS from the user's own active numbers
+ * - Opt-out keyword handling (STOP, UNSUBSCRIBE, ...)
+ * - Message log in sms_messages
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    OPT_OUT_KEYWORDS,
+    OPT_IN_KEYWORDS,
+    detectSmsKeyword,
+    pickSmsNumber,
+} from '../config/sms.js';
+
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export { OPT_OUT_KEYWORDS, OPT_IN_KEYWORDS, detectSmsKeyword };
+
+/**
+ * Pick an active outbound number for the user
+ * Prefers numbers in the destination's area code, then its country
+ * @param {string} userId - The user's ID
+ * @param {string} toNumber - Destination number (E.164)
+ */
+export async function getUserSmsNumber(userId, toNumber = '') {
+    const { data: numbers, error } = await supabase
+        .from('user_phone_numbers')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('status', 'active')
+        .eq('provider', 'twilio');
+
+    if (error || !numbers || numbers.length === 0) {
+        return null;
+    }
+
+    return pickSmsNumber(numbers, toNumber);
+}
+
+/**
+ * Check whether a phone number has opted out of SMS for this user
+ * @param {string} userId - The user's ID
+ * @param {string} phoneNumber - Lead phone number
+ */
+export async function isSmsOptedOut(userId, phoneNumber) {
+    if (!phoneNumber) return false;
+
+    const { data } = await supabase
+        .from('sms_opt_outs')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('phone_number', phoneNumber)
+        .maybeSingle();
+
+    return !!data;
+}
+
+/**
+ * Record an opt-out for a phone number
+ */
+export async function recordSmsOptOut(userId, phoneNumber, keyword) {
+    await supabase
+        .from('sms_opt_outs')
+        .upsert({
+            user_id: userId,
+            phone_number: phoneNumber,
+            keyword,
+            opted_out_at: new Date().toISOString(),
+        }, {
+            onConflict: 'user_id,phone_number'
+        });
+}
+
+/**
+ * Remove an opt-out after the lead texts START
+ */
+export async function clearSmsOptOut(userId, phoneNumber) {
+    await supabase
+        .from('sms_opt_outs')
+        .delete()
+        .eq('user_id', userId)
+        .eq('phone_number', phoneNumber);
+}
+
+/**
+ * Send an SMS via the Twilio Messages API
+ * @param {Object} options - Message options
+ */
+export async function sendSms({
+    userId,
+    leadId = null,
+    enrollmentId = null,
+    from,
+    to,
+    body,
+}) {
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
+        return { success: false, error: 'Twilio not configured' };
+    }
+
+    const authHeader = 'Basic ' + Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64');
+
+    try {
+        const response = await fetch(
+            `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+            {
+                method: 'POST',
+                headers: {
+                    'Authorization': authHeader,
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body: new URLSearchParams({ From: from, To: to, Body: body }),
+            }
+        );
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(`Twilio SMS failed: ${data.message || response.statusText}`);
+        }
+
+        await supabase.from('sms_messages').insert({
+            user_id: userId,
+            lead_id: leadId,
+            enrollment_id: enrollmentId,
+            direction: 'outbound',
+            from_number: from,
+            to_number: to,
+            body,
+            provider_sid: data.sid,
+            status: data.status || 'queued',
+        });
+
+        return { success: true, messageSid: data.sid };
+    } catch (error) {
+        console.error('Failed to send SMS:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Store an inbound SMS
+ */
+export async function logInboundSms({ userId, leadId, from, to, body, messageSid }) {
+    const { data, error } = await supabase
+        .from('sms_messages')
+        .insert({
+            user_id: userId,
+            lead_id: leadId,
+            direction: 'inbound',
+            from_number: from,
+            to_number: to,
+            body,
+            provider_sid: messageSid,
+            status: 'received',
+        })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Failed to store inbound SMS:', error.message);
+        return null;
+    }
+
+    return data;
+}
+
+export default {
+    detectSmsKeyword,
+    getUserSmsNumber,
+    isSmsOptedOut,
+    recordSmsOptOut,
+    clearSmsOptOut,
+    sendSms,
+    logInboundSms,
+    OPT_OUT_KEYWORDS,
+    OPT_IN_KEYWORDS,
+};
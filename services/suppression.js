@@ -0,0 +1,269 @@
+/**
+ * Suppression Service
+ * Per-user list of emails, domains and phone numbers that must not be contacted
+ *
+ * Checked by every send and dial path (cold email, sequences, workflows,
+ * calls, scheduled calls, SMS). Unsubscribes are mirrored in by a trigger on
+ * email_unsubscribes; bounces and complaints are added by services/emailEvents.js.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    normalizeEmail,
+    normalizePhone,
+    getPhoneKey,
+    getEmailDomain,
+    normalizeSuppression,
+    buildSuppressionIndex,
+    findSuppression,
+} from '../config/suppression.js';
+
+const SUPPRESSION_COLUMNS = 'id, type, value, reason, source, note, created_at';
+const PAGE_SIZE = 1000;
+const UPSERT_CHUNK_SIZE = 500;
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Find the suppression blocking one contact, if any
+ * @param {string} userId - Owner of the list
+ * @param {Object} contact - { email, phone } - pass only the channel being used
+ * @returns {Promise<Object|null>} - The suppressions row
+ */
+export async function checkSuppression(userId, { email = null, phone = null } = {}) {
+    if (!userId || (!email && !phone)) return null;
+
+    // Values are quoted so the dots and @ in emails don't break PostgREST's or() syntax
+    const match = (type, value) => `and(type.eq.${type},value.eq."${String(value).replace(/"/g, '')}")`;
+
+    const filters = [];
+    if (email) {
+        filters.push(match('email', normalizeEmail(email)));
+        const domain = getEmailDomain(email);
+        if (domain) filters.push(match('domain', domain));
+    }
+    if (phone) {
+        const key = getPhoneKey(phone);
+        if (key) {
+            filters.push(match('phone', key));
+            filters.push(match('phone', `+${key}`));
+        }
+        // Rows saved before numbers were stored in E.164 may hold the national form
+        const digits = String(phone).replace(/\D/g, '');
+        if (digits && digits !== key) filters.push(match('phone', digits));
+    }
+    if (filters.length === 0) return null;
+
+    const { data, error } = await supabase
+        .from('suppressions')
+        .select(SUPPRESSION_COLUMNS)
+        .eq('user_id', userId)
+        .or(filters.join(','));
+
+    if (error) {
+        // Fail closed - better to skip a contact than to reach a suppressed one
+        console.error('Suppression check failed:', error.message);
+        throw new Error(`Suppression check failed: ${error.message}`);
+    }
+
+    return findSuppression(buildSuppressionIndex(data || []), { email, phone });
+}
+
+/**
+ * Load a user's whole list for checking many contacts at once
+ * @returns {Promise<Object>} - Index for findSuppression (config/suppression.js)
+ */
+export async function getSuppressionIndex(userId) {
+    const rows = await fetchAllSuppressions(userId);
+    return buildSuppressionIndex(rows);
+}
+
+/**
+ * Split leads into contactable and suppressed for one channel
+ * @param {string} userId - Owner of the list
+ * @param {Object[]} leads - Objects with email and/or phone
+ * @param {string} channel - 'email' or 'phone'
+ * @returns {Promise<{ allowed: Object[], suppressed: Object[] }>} - suppressed items carry .suppression
+ */
+export async function filterSuppressedLeads(userId, leads, channel = 'email') {
+    const index = await getSuppressionIndex(userId);
+    const allowed = [];
+    const suppressed = [];
+
+    for (const lead of leads || []) {
+        const suppression = findSuppression(index, channel === 'phone' ? { phone: lead.phone } : { email: lead.email });
+        if (suppression) suppressed.push({ ...lead, suppression });
+        else allowed.push(lead);
+    }
+
+    return { allowed, suppressed };
+}
+
+/**
+ * Add one entry
+ * An existing entry for the same value is kept as-is (first reason wins)
+ * @param {string} userId - Owner of the list
+ * @param {Object} entry - { type?, value, reason, note? }
+ * @param {string} source - link, provider, webhook, api, import
+ */
+export async function addSuppression(userId, entry, source = 'api') {
+    const { entry: normalized, error: validationError } = normalizeSuppression(entry);
+    if (!normalized) {
+        return { success: false, error: validationError };
+    }
+
+    const { error } = await supabase
+        .from('suppressions')
+        .upsert({ user_id: userId, ...normalized, source }, {
+            onConflict: 'user_id,type,value',
+            ignoreDuplicates: true,
+        });
+
+    if (error) {
+        console.error('Failed to add suppression:', error.message);
+        return { success: false, error: error.message };
+    }
+
+    const { data: suppression } = await supabase
+        .from('suppressions')
+        .select(SUPPRESSION_COLUMNS)
+        .eq('user_id', userId)
+        .eq('type', normalized.type)
+        .eq('value', normalized.value)
+        .maybeSingle();
+
+    console.log(`🚫 Suppressed ${normalized.type} ${normalized.value} for user ${userId} (${normalized.reason})`);
+    return { success: true, suppression };
+}
+
+/**
+ * Add many already-normalized entries (CSV import)
+ * @param {string} userId - Owner of the list
+ * @param {Object[]} entries - From parseSuppressionCsv
+ * @returns {Promise<Object>} - { success, imported, error }
+ */
+export async function importSuppressions(userId, entries, source = 'import') {
+    let imported = 0;
+
+    for (let i = 0; i < entries.length; i += UPSERT_CHUNK_SIZE) {
+        const rows = entries.slice(i, i + UPSERT_CHUNK_SIZE).map(entry => ({ user_id: userId, ...entry, source }));
+
+        const { data, error } = await supabase
+            .from('suppressions')
+            .upsert(rows, { onConflict: 'user_id,type,value', ignoreDuplicates: true })
+            .select('id');
+
+        if (error) {
+            console.error('Suppression import failed:', error.message);
+            return { success: false, imported, error: error.message };
+        }
+
+        imported += (data || []).length;
+    }
+
+    return { success: true, imported };
+}
+
+/**
+ * List entries with filters and paging
+ * @param {Object} options - { type, reason, search, limit, offset }
+ */
+export async function listSuppressions(userId, { type = null, reason = null, search = null, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+        .from('suppressions')
+        .select(SUPPRESSION_COLUMNS, { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (type) query = query.eq('type', type);
+    if (reason) query = query.eq('reason', reason);
+    if (search) query = query.ilike('value', `%${search}%`);
+
+    const { data, count, error } = await query;
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, suppressions: data || [], total: count || 0 };
+}
+
+/**
+ * Every entry on a user's list (for export)
+ */
+export async function fetchAllSuppressions(userId) {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('suppressions')
+            .select(SUPPRESSION_COLUMNS)
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw new Error(`Failed to load suppressions: ${error.message}`);
+
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return rows;
+}
+
+/**
+ * Remove an entry so the contact can be reached again
+ * Removing an unsubscribed email also clears it from email_unsubscribes
+ */
+export async function removeSuppression(userId, suppressionId) {
+    const { data: suppression, error } = await supabase
+        .from('suppressions')
+        .delete()
+        .eq('id', suppressionId)
+        .eq('user_id', userId)
+        .select(SUPPRESSION_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    if (!suppression) {
+        return { success: false, error: 'Suppression not found' };
+    }
+
+    if (suppression.type === 'email' && suppression.reason === 'unsubscribe') {
+        await supabase
+            .from('email_unsubscribes')
+            .delete()
+            .eq('user_id', userId)
+            .ilike('email', suppression.value);
+    }
+
+    return { success: true, suppression };
+}
+
+/**
+ * Human-readable reason for API responses and logs
+ */
+export function describeSuppression(suppression) {
+    if (!suppression) return null;
+    const target = suppression.type === 'phone' ? normalizePhone(suppression.value) : suppression.value;
+    return `${target} is on the suppression list (${suppression.reason.replace(/_/g, ' ')})`;
+}
+
+export default {
+    checkSuppression,
+    getSuppressionIndex,
+    filterSuppressedLeads,
+    addSuppression,
+    importSuppressions,
+    listSuppressions,
+    fetchAllSuppressions,
+    removeSuppression,
+    describeSuppression,
+};
@@ -7,6 +7,11 @@
 import { Resend } from 'resend';
 import sgMail from '@sendgrid/mail';
 import { createClient } from '@supabase/supabase-js';
+import { BOOKING_PROVIDERS } from '../config/meetings.js';
+import { isValidHandoffPhone } from '../config/handoff.js';
+import { isValidTimezone } from '../config/timezones.js';
+import { DEFAULT_RETENTION_DAYS, validateRetentionDays } from '../config/recordings.js';
+import { applyRecordingRetention } from './recordings.js';
 
 const supabase = createClient(
     process.env.SUPABASE_URL,
@@ -92,11 +97,11 @@ export async function setEmailProvider(userId, provider) {
 }
 
 /**
- * Get user's active email provider and API key
+ * Get every email provider the user has a key for, active provider first
  * @param {string} userId - The user's ID
- * @returns {Object} - { provider, apiKey } or null
+ * @returns {Promise<Array>} - [{ provider, apiKey }]
  */
-export async function getActiveEmailProvider(userId) {
+export async function getUserEmailProviders(userId) {
     try {
         const { data, error } = await supabase
             .from('profiles')
@@ -105,34 +110,38 @@ export async function getActiveEmailProvider(userId) {
             .single();
 
         if (error || !data) {
-            return null;
+            return [];
         }
 
-        const provider = data.email_provider;
-
-        if (provider === 'sendgrid' && data.sendgrid_api_key) {
-            return { provider: 'sendgrid', apiKey: data.sendgrid_api_key };
-        }
-
-        if (provider === 'resend' && data.resend_api_key) {
-            return { provider: 'resend', apiKey: data.resend_api_key };
-        }
-
-        // Auto-detect: prefer whichever has an API key
+        const providers = [];
         if (data.resend_api_key) {
-            return { provider: 'resend', apiKey: data.resend_api_key };
+            providers.push({ provider: 'resend', apiKey: data.resend_api_key });
         }
-
         if (data.sendgrid_api_key) {
-            return { provider: 'sendgrid', apiKey: data.sendgrid_api_key };
+            providers.push({ provider: 'sendgrid', apiKey: data.sendgrid_api_key });
         }
 
-        return null;
+        // The selected provider goes first; otherwise prefer Resend
+        if (data.email_provider === 'sendgrid') {
+            providers.sort((a, b) => (b.provider === 'sendgrid') - (a.provider === 'sendgrid'));
+        }
+
+        return providers;
     } catch {
-        return null;
+        return [];
     }
 }
 
+/**
+ * Get user's active email provider and API key
+ * @param {string} userId - The user's ID
+ * @returns {Object} - { provider, apiKey } or null
+ */
+export async function getActiveEmailProvider(userId) {
+    const providers = await getUserEmailProviders(userId);
+    return providers[0] || null;
+}
+
 // =============================================
 // RESEND API KEY MANAGEMENT
 // =============================================
@@ -759,6 +768,245 @@ export async function saveBrandSettings(userId, { brandLogoUrl, brandColor, bran
     }
 }
 
+// =============================================
+// MEETING BOOKING SETTINGS
+// =============================================
+
+/**
+ * Get user's meeting booking settings (API key masked)
+ * @param {string} userId - The user's ID
+ * @returns {Object} - { success, provider, hasApiKey, maskedKey, eventTypeId, hasWebhookSecret }
+ */
+export async function getBookingSettings(userId) {
+    try {
+        const { data, error } = await supabase
+            .from('profiles')
+            .select('booking_provider, booking_api_key, booking_event_type_id, booking_webhook_secret')
+            .eq('id', userId)
+            .single();
+
+        if (error) {
+            console.error('Get booking settings error:', error);
+            return { success: false, error: error.message };
+        }
+
+        return {
+            success: true,
+            provider: data?.booking_provider || null,
+            hasApiKey: !!data?.booking_api_key,
+            maskedKey: maskApiKey(data?.booking_api_key),
+            eventTypeId: data?.booking_event_type_id || null,
+            hasWebhookSecret: !!data?.booking_webhook_secret,
+        };
+    } catch (err) {
+        console.error('Get booking settings exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Save user's meeting booking settings
+ * @param {string} userId - The user's ID
+ * @param {Object} settings - { provider, apiKey, eventTypeId, webhookSecret }
+ * @returns {Object} - Result
+ */
+export async function saveBookingSettings(userId, { provider, apiKey, eventTypeId, webhookSecret }) {
+    try {
+        if (provider && !BOOKING_PROVIDERS.includes(provider)) {
+            return { success: false, error: `Invalid provider. Must be one of: ${BOOKING_PROVIDERS.join(', ')}` };
+        }
+
+        // Calendly event types are URIs, Cal.com event types are numeric IDs
+        if (provider === 'calendly' && eventTypeId && !String(eventTypeId).startsWith('https://api.calendly.com/event_types/')) {
+            return { success: false, error: 'Calendly event type must be the event type URI' };
+        }
+        if (provider === 'calcom' && eventTypeId && !/^\d+$/.test(String(eventTypeId))) {
+            return { success: false, error: 'Cal.com event type must be a numeric ID' };
+        }
+
+        const updates = {};
+        if (provider !== undefined) updates.booking_provider = provider || null;
+        if (apiKey !== undefined) updates.booking_api_key = apiKey || null;
+        if (eventTypeId !== undefined) updates.booking_event_type_id = eventTypeId ? String(eventTypeId) : null;
+        if (webhookSecret !== undefined) updates.booking_webhook_secret = webhookSecret || null;
+
+        const { error } = await supabase
+            .from('profiles')
+            .update(updates)
+            .eq('id', userId);
+
+        if (error) {
+            console.error('Save booking settings error:', error);
+            return { success: false, error: error.message };
+        }
+
+        return { success: true, message: 'Booking settings saved' };
+    } catch (err) {
+        console.error('Save booking settings exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+// =============================================
+// WARM TRANSFER (HANDOFF) SETTINGS
+// =============================================
+
+/**
+ * Get user's warm transfer settings
+ * @param {string} userId - The user's ID
+ * @returns {Object} - { success, phone, name, email, timezone, hoursStart, hoursEnd, days }
+ */
+export async function getHandoffSettings(userId) {
+    try {
+        const { data, error } = await supabase
+            .from('profiles')
+            .select('handoff_phone, handoff_name, handoff_email, handoff_timezone, handoff_hours_start, handoff_hours_end, handoff_days')
+            .eq('id', userId)
+            .single();
+
+        if (error) {
+            console.error('Get handoff settings error:', error);
+            return { success: false, error: error.message };
+        }
+
+        return {
+            success: true,
+            phone: data?.handoff_phone || null,
+            name: data?.handoff_name || null,
+            email: data?.handoff_email || null,
+            timezone: data?.handoff_timezone || null,
+            hoursStart: data?.handoff_hours_start || null,
+            hoursEnd: data?.handoff_hours_end || null,
+            days: data?.handoff_days || null,
+        };
+    } catch (err) {
+        console.error('Get handoff settings exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Save user's warm transfer settings
+ * Leaving hoursStart/hoursEnd empty means transfers are accepted at any time
+ * @param {string} userId - The user's ID
+ * @param {Object} settings - { phone, name, email, timezone, hoursStart, hoursEnd, days }
+ * @returns {Object} - Result
+ */
+export async function saveHandoffSettings(userId, { phone, name, email, timezone, hoursStart, hoursEnd, days }) {
+    try {
+        if (phone && !isValidHandoffPhone(phone)) {
+            return { success: false, error: 'Handoff phone must be in E.164 format, e.g. +353861234567' };
+        }
+
+        if (timezone && !isValidTimezone(timezone)) {
+            return { success: false, error: 'Invalid timezone' };
+        }
+
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+        if ((hoursStart && !timePattern.test(hoursStart)) || (hoursEnd && !timePattern.test(hoursEnd))) {
+            return { success: false, error: 'Business hours must be in HH:MM format' };
+        }
+
+        if (days !== undefined && days !== null
+            && (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 1 || day > 7))) {
+            return { success: false, error: 'Days must be an array of 1 (Monday) to 7 (Sunday)' };
+        }
+
+        const updates = {};
+        if (phone !== undefined) updates.handoff_phone = phone ? phone.trim() : null;
+        if (name !== undefined) updates.handoff_name = name || null;
+        if (email !== undefined) updates.handoff_email = email || null;
+        if (timezone !== undefined) updates.handoff_timezone = timezone || null;
+        if (hoursStart !== undefined) updates.handoff_hours_start = hoursStart || null;
+        if (hoursEnd !== undefined) updates.handoff_hours_end = hoursEnd || null;
+        if (days !== undefined) updates.handoff_days = days || null;
+
+        const { error } = await supabase
+            .from('profiles')
+            .update(updates)
+            .eq('id', userId);
+
+        if (error) {
+            console.error('Save handoff settings error:', error);
+            return { success: false, error: error.message };
+        }
+
+        return { success: true, message: 'Handoff settings saved' };
+    } catch (err) {
+        console.error('Save handoff settings exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+// =============================================
+// CALL RECORDING SETTINGS
+// =============================================
+
+/**
+ * Get user's call recording retention
+ * @param {string} userId - The user's ID
+ * @returns {Object} - { success, retentionDays } - null keeps recordings indefinitely
+ */
+export async function getRecordingSettings(userId) {
+    try {
+        const { data, error } = await supabase
+            .from('profiles')
+            .select('recording_retention_days')
+            .eq('id', userId)
+            .single();
+
+        if (error) {
+            console.error('Get recording settings error:', error);
+            return { success: false, error: error.message };
+        }
+
+        return {
+            success: true,
+            retentionDays: data ? data.recording_retention_days : DEFAULT_RETENTION_DAYS,
+        };
+    } catch (err) {
+        console.error('Get recording settings exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Save user's call recording retention
+ * Existing recordings are re-dated, so shortening it deletes older ones on the next retention run
+ * @param {string} userId - The user's ID
+ * @param {Object} settings - { retentionDays } - null keeps recordings indefinitely
+ * @returns {Object} - Result
+ */
+export async function saveRecordingSettings(userId, { retentionDays }) {
+    try {
+        if (retentionDays === undefined) {
+            return { success: false, error: 'retentionDays is required (null keeps recordings indefinitely)' };
+        }
+
+        const { days, error: validationError } = validateRetentionDays(retentionDays);
+        if (validationError) {
+            return { success: false, error: validationError };
+        }
+
+        const { error } = await supabase
+            .from('profiles')
+            .update({ recording_retention_days: days })
+            .eq('id', userId);
+
+        if (error) {
+            console.error('Save recording settings error:', error);
+            return { success: false, error: error.message };
+        }
+
+        const recordingsUpdated = await applyRecordingRetention(userId, days);
+
+        return { success: true, retentionDays: days, recordingsUpdated, message: 'Recording settings saved' };
+    } catch (err) {
+        console.error('Save recording settings exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
 // =============================================
 // HELPER FUNCTIONS
 // =============================================
@@ -780,6 +1028,7 @@ export default {
     getEmailProviderSettings,
     setEmailProvider,
     getActiveEmailProvider,
+    getUserEmailProviders,
     // Resend
     getResendApiKeyStatus,
     getUserResendApiKey,
@@ -797,4 +1046,13 @@ export default {
     // Brand settings
     getBrandSettings,
     saveBrandSettings,
+    // Meeting booking settings
+    getBookingSettings,
+    saveBookingSettings,
+    // Warm transfer settings
+    getHandoffSettings,
+    saveHandoffSettings,
+    // Call recording settings
+    getRecordingSettings,
+    saveRecordingSettings,
 };
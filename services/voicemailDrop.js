@@ -0,0 +1,58 @@
+/**
+ * Voicemail Drop Service
+ * Campaign voicemail drop for calls placed outside workflows (single and batch
+ * dials, scheduled calls). Workflow call steps resolve it per step instead.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { applyVoicemailDrop, buildVoicemailDropMessage } from '../config/amd.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Get a campaign's voicemail drop setting
+ * @param {string|null} userId - Owner of the campaign (null for platform calls)
+ * @param {string} campaignId - The campaign's ID
+ * @returns {Promise<Object|null>} - { template } when the campaign leaves voicemails
+ */
+export async function getCampaignVoicemailDrop(userId, campaignId) {
+    if (!campaignId) return null;
+
+    let query = supabase
+        .from('campaigns')
+        .select('voicemail_drop_enabled, voicemail_drop_message')
+        .eq('id', campaignId);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+        console.error(`Error loading voicemail drop for campaign ${campaignId}:`, error.message);
+        return null;
+    }
+
+    return data?.voicemail_drop_enabled ? { template: data.voicemail_drop_message || null } : null;
+}
+
+/**
+ * Leave the campaign's voicemail on this call if it has one
+ * @param {Object} callPayload - POST /call/phone body (modified in place)
+ * @param {Object|null} voicemailDrop - From getCampaignVoicemailDrop
+ * @param {Object} lead - { name } used to personalize the message
+ * @param {string} amdPreset - AMD preset for detection timings
+ * @returns {boolean} - Whether the drop was applied
+ */
+export function applyCampaignVoicemailDrop(callPayload, voicemailDrop, lead, amdPreset) {
+    if (!voicemailDrop) return false;
+
+    applyVoicemailDrop(callPayload, buildVoicemailDropMessage(lead, {}, voicemailDrop.template), amdPreset);
+    return true;
+}
+
+export default {
+    getCampaignVoicemailDrop,
+    applyCampaignVoicemailDrop,
+};
@@ -8,15 +8,41 @@
 
 import cron from 'node-cron';
 import { createClient } from '@supabase/supabase-js';
+import { isWithinSendWindow, resolveSendTimezone, getNextSendWindowStart } from '../config/timezones.js';
 import { sendSequenceEmail } from './emailTracking.js';
+import { checkSuppression, describeSuppression } from './suppression.js';
+import { screenPhone, describeScreening } from './dnc.js';
+import { checkCallingHours, describeCallingHours } from './callingHours.js';
+import { applyCallDisclosure, logDisclosure } from './consent.js';
 import { generatePersonalizedContent } from './emailPersonalization.js';
+import { getLeadEnrichment } from './leadEnrichment.js';
+import { getUserSmsNumber, isSmsOptedOut, sendSms } from './sms.js';
+import { reserveNumber, releaseNumber } from './numberPool.js';
+import { getMeetingTools, MEETING_BOOKING_PROMPT_INSTRUCTIONS } from '../config/meetings.js';
+import { END_CALL_TOOL, buildVoicemailDropMessage, getVoicemailDropConfig } from '../config/amd.js';
+import { resolveOutcomeRoute, parseSuccessEvaluation } from '../config/workflowGraph.js';
+import { formatEnrichmentContext } from '../config/leadEnrichment.js';
 
 const POLL_BATCH_SIZE = 50;
 const RETRY_DELAY_MINUTES = 5;
+// How long to wait for a call's end-of-call-report before no_answer gives up waiting
+const CALL_OUTCOME_WAIT_MINUTES = 30;
+
+// determineCallOutcome() result -> workflow_action_log.action_result
+const CALL_OUTCOME_RESULTS = {
+    human: 'answered',
+    voicemail: 'voicemail',
+    ivr: 'ivr',
+    voicemail_left: 'voicemail_left',
+    no_answer: 'no_answer',
+    busy: 'no_answer',
+    failed: 'failed',
+};
 
 // Clean environment variables
 const cleanEnvVar = (val) => val?.replace(/["';]/g, '').trim();
 const vapiApiKey = cleanEnvVar(process.env.VAPI_API_KEY);
+const API_URL = process.env.API_URL || 'http://localhost:3002';
 
 const supabase = createClient(
     process.env.SUPABASE_URL,
@@ -102,84 +128,91 @@ class WorkflowScheduler {
             return [];
         }
 
-        // Filter by send window
-        return (data || []).filter(enrollment => {
-            return this.isWithinSendWindow(enrollment.workflow, now);
-        });
+        // Filter by send window; push the rest to their next window so they
+        // don't keep filling the batch
+        const due = [];
+        for (const enrollment of (data || [])) {
+            if (this.isWithinSendWindow(enrollment.workflow, now, enrollment.lead)) {
+                due.push(enrollment);
+            } else if (enrollment.workflow) {
+                const timezone = resolveSendTimezone(enrollment.workflow, enrollment.lead);
+                const nextWindow = getNextSendWindowStart(enrollment.workflow, now, timezone);
+                if (nextWindow) {
+                    await supabase
+                        .from('workflow_enrollments')
+                        .update({ next_action_at: nextWindow.toISOString() })
+                        .eq('id', enrollment.id);
+                }
+            }
+        }
+
+        return due;
     }
 
     /**
-     * Check if current time is within send window
+     * Check if current time is within the send window
+     * Evaluated in the lead's local timezone when it can be inferred,
+     * otherwise in the workflow's timezone
      */
-    isWithinSendWindow(workflow, now = new Date()) {
+    isWithinSendWindow(workflow, now = new Date(), lead = null) {
         if (!workflow) return false;
 
-        const dayOfWeek = now.getDay() || 7;
-        const sendDays = workflow.send_days || [1, 2, 3, 4, 5];
-
-        if (!sendDays.includes(dayOfWeek)) return false;
-
-        const timezone = workflow.timezone || 'UTC';
-        let currentTime;
-
-        try {
-            const formatter = new Intl.DateTimeFormat('en-US', {
-                timeZone: timezone,
-                hour: '2-digit',
-                minute: '2-digit',
-                hour12: false
-            });
-            const parts = formatter.formatToParts(now);
-            const hour = parseInt(parts.find(p => p.type === 'hour').value);
-            const minute = parseInt(parts.find(p => p.type === 'minute').value);
-            currentTime = hour * 60 + minute;
-        } catch {
-            currentTime = now.getUTCHours() * 60 + now.getUTCMinutes();
-        }
-
-        const [startH, startM] = (workflow.send_window_start || '09:00').split(':').map(Number);
-        const [endH, endM] = (workflow.send_window_end || '17:00').split(':').map(Number);
-
-        return currentTime >= (startH * 60 + startM) && currentTime <= (endH * 60 + endM);
+        const timezone = resolveSendTimezone(workflow, lead);
+        return isWithinSendWindow(workflow, now, timezone);
     }
 
     /**
      * Process a single enrollment
      */
     async processEnrollment(enrollment) {
-        const { id: enrollmentId, workflow, lead, current_step, user_id, next_action_type } = enrollment;
+        const { id: enrollmentId, workflow, lead, user_id, next_action_type } = enrollment;
 
         if (!workflow || !lead) {
             console.error(`Missing workflow or lead for enrollment ${enrollmentId}`);
             return;
         }
 
-        // Check unsubscribe
-        const isUnsubscribed = await this.isEmailUnsubscribed(user_id, lead.email);
-        if (isUnsubscribed) {
-            await this.stopEnrollment(enrollmentId, 'unsubscribed', 'Email unsubscribed');
+        // Check the suppression list (unsubscribes, bounces, complaints, blocked domains)
+        const suppression = await checkSuppression(user_id, { email: lead.email });
+        if (suppression) {
+            const status = suppression.reason === 'unsubscribe' ? 'unsubscribed' : 'suppressed';
+            await this.stopEnrollment(enrollmentId, status, describeSuppression(suppression));
+            return;
+        }
+
+        const steps = await this.getWorkflowSteps(workflow.id);
+
+        // A routed call step timed out waiting for its end-of-call-report
+        if (next_action_type === 'await_outcome') {
+            await this.resolvePendingCallOutcome(enrollment, steps);
             return;
         }
 
         // Get next step
-        const nextStepNumber = current_step + 1;
-        const { data: step, error: stepError } = await supabase
-            .from('workflow_steps')
-            .select('*')
-            .eq('workflow_id', workflow.id)
-            .eq('step_number', nextStepNumber)
-            .single();
+        const step = this.findNextStep(enrollment, steps);
 
-        if (stepError || !step) {
+        if (!step) {
             await this.completeEnrollment(enrollmentId, workflow.id);
             return;
         }
 
+        // Don't evaluate no_answer while a previous call's outcome is still unknown
+        if (step.condition === 'no_answer' && await this.hasPendingCallOutcome(enrollmentId)) {
+            await this.scheduleRetry(enrollmentId);
+            return;
+        }
+
         // Check step condition
         const shouldExecute = await this.checkStepCondition(enrollment, step);
         if (!shouldExecute) {
-            // Skip this step, advance to next
-            await this.advanceToNextStep(enrollmentId, workflow, nextStepNumber);
+            // Condition not met - take the false branch (or skip to the next step)
+            await this.advanceToStep(enrollmentId, workflow, step, this.getFailTarget(step, steps));
+            return;
+        }
+
+        // Branch steps only route; there is nothing to execute
+        if (step.step_type === 'branch') {
+            await this.advanceToStep(enrollmentId, workflow, step, this.getPassTarget(step, steps));
             return;
         }
 
@@ -197,7 +230,7 @@ class WorkflowScheduler {
                     result = await this.executeSmsStep(enrollment, step, workflow);
                     break;
                 case 'wait':
-                    result = { success: true };
+                    result = { success: true, actionType: 'wait' };
                     break;
                 default:
                     console.error(`Unknown step type: ${step.step_type}`);
@@ -205,14 +238,18 @@ class WorkflowScheduler {
             }
 
             if (result.success) {
-                await this.advanceToNextStep(enrollmentId, workflow, nextStepNumber);
+                if (result.actionType === 'call_initiated' && this.hasOutcomeRoutes(step)) {
+                    await this.awaitCallOutcome(enrollmentId, step);
+                } else {
+                    await this.advanceToStep(enrollmentId, workflow, step, this.getPassTarget(step, steps));
+                }
                 await this.logAction(enrollment, step, result);
                 await this.incrementStats(workflow.id, step, result);
 
-                console.log(`✅ Executed ${step.step_type} step ${nextStepNumber} for ${lead.email}`);
+                console.log(`✅ Executed ${step.step_type} step ${step.step_key || step.step_number} for ${lead.email}`);
             } else {
                 console.error(`Failed ${step.step_type} for ${lead.email}:`, result.error);
-                await this.scheduleRetry(enrollmentId);
+                await this.scheduleRetry(enrollmentId, result.deferUntil);
             }
 
         } catch (error) {
@@ -221,6 +258,79 @@ class WorkflowScheduler {
         }
     }
 
+    /**
+     * Get all steps of a workflow in list order
+     */
+    async getWorkflowSteps(workflowId) {
+        const { data, error } = await supabase
+            .from('workflow_steps')
+            .select('*')
+            .eq('workflow_id', workflowId)
+            .order('step_number', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching workflow steps:', error.message);
+            return [];
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Find the step an enrollment should run next
+     * Enrollments created before branching only have current_step; fall back to list order
+     */
+    findNextStep(enrollment, steps) {
+        if (enrollment.next_step_id) {
+            const step = steps.find(s => s.id === enrollment.next_step_id);
+            if (step) return step;
+        }
+
+        if (enrollment.current_step_id) {
+            const current = steps.find(s => s.id === enrollment.current_step_id);
+            if (current) return this.getSequentialStep(current, steps);
+        }
+
+        return steps.find(s => s.step_number === enrollment.current_step + 1) || null;
+    }
+
+    /**
+     * Step after this one in list order
+     */
+    getSequentialStep(step, steps) {
+        const index = steps.findIndex(s => s.id === step.id);
+        return index >= 0 ? steps[index + 1] || null : null;
+    }
+
+    /**
+     * Find a step by its key
+     */
+    findStepByKey(steps, key) {
+        if (!key) return null;
+        return steps.find(s => s.step_key === key) || null;
+    }
+
+    /**
+     * Where to go after a step runs or its condition passes
+     */
+    getPassTarget(step, steps) {
+        return this.findStepByKey(steps, step.on_true) || this.getSequentialStep(step, steps);
+    }
+
+    /**
+     * Where to go when a step's condition is not met
+     */
+    getFailTarget(step, steps) {
+        return this.findStepByKey(steps, step.on_false) || this.getSequentialStep(step, steps);
+    }
+
+    /**
+     * Check if a call step routes on its outcome
+     */
+    hasOutcomeRoutes(step) {
+        return !!step.outcome_routes && Object.keys(step.outcome_routes).length > 0;
+    }
+
     /**
      * Check if step condition is met
      */
@@ -255,6 +365,16 @@ class WorkflowScheduler {
                     .limit(1);
                 return !answeredCalls || answeredCalls.length === 0;
 
+            case 'voicemail_left':
+                // Only follow up on a voicemail we actually left
+                const { data: voicemails } = await supabase
+                    .from('workflow_action_log')
+                    .select('id')
+                    .eq('enrollment_id', enrollment.id)
+                    .eq('action_result', 'voicemail_left')
+                    .limit(1);
+                return !!voicemails && voicemails.length > 0;
+
             default:
                 return true;
         }
@@ -306,8 +426,8 @@ class WorkflowScheduler {
         // Send email
         const result = await sendSequenceEmail({
             userId: user_id,
-            enrollmentId,
-            sequenceId: workflow.id,
+            workflowId: workflow.id,
+            workflowEnrollmentId: enrollmentId,
             stepNumber: step.step_number,
             lead,
             subject,
@@ -322,6 +442,7 @@ class WorkflowScheduler {
             success: result.success,
             actionType: 'email_sent',
             emailId: result.emailId,
+            emailLogId: result.emailLogId,
             trackingId: result.trackingId,
             error: result.error,
         };
@@ -341,6 +462,26 @@ class WorkflowScheduler {
             return { success: false, error: 'Lead has no phone number' };
         }
 
+        // Suppressed numbers are skipped, like SMS opt-outs
+        const suppression = await checkSuppression(user_id, { phone: lead.phone });
+        if (suppression) {
+            return { success: true, actionType: 'call_skipped', error: describeSuppression(suppression) };
+        }
+
+        const dncScreening = await screenPhone(user_id, lead.phone, { leadId: lead.id, context: 'workflow' });
+        if (dncScreening.status === 'error') {
+            return { success: false, error: describeScreening(dncScreening) };
+        }
+        if (!dncScreening.allowed) {
+            return { success: true, actionType: 'call_skipped', error: describeScreening(dncScreening) };
+        }
+
+        // The workflow's send window may be wider than what the law allows
+        const callingHours = await checkCallingHours(lead.phone, { lead });
+        if (!callingHours.allowed) {
+            return { success: false, deferUntil: callingHours.nextAllowedAt, error: describeCallingHours(callingHours) };
+        }
+
         // Get assistant ID
         const assistantId = step.call_assistant_id || workflow.default_assistant_id;
         if (!assistantId) {
@@ -350,22 +491,27 @@ class WorkflowScheduler {
         // Get campaign context
         let productIdea = '';
         let companyContext = '';
+        let campaignVoicemailDrop = false;
+        let campaignVoicemailMessage = null;
 
         if (workflow.campaign_id) {
             const { data: campaign } = await supabase
                 .from('campaigns')
-                .select('product_idea, company_context')
+                .select('product_idea, company_context, voicemail_drop_enabled, voicemail_drop_message')
                 .eq('id', workflow.campaign_id)
                 .single();
 
             if (campaign) {
                 productIdea = campaign.product_idea || '';
                 companyContext = campaign.company_context || '';
+                campaignVoicemailDrop = !!campaign.voicemail_drop_enabled;
+                campaignVoicemailMessage = campaign.voicemail_drop_message;
             }
         }
 
         // Add personalized context for the AI
         const personalizedData = personalized_data || {};
+        const websiteContext = formatEnrichmentContext(await getLeadEnrichment(lead.id));
         const callContext = `
 ${companyContext}
 
@@ -373,6 +519,7 @@ LEAD INFO:
 - Business: ${lead.name}
 - Industry: ${lead.category || 'Unknown'}
 - Location: ${lead.city || 'Unknown'}
+${websiteContext ? `\nFROM THEIR WEBSITE (ask for the contacts by name):\n${websiteContext}\n` : ''}
 
 ${step.call_script_context || ''}
 
@@ -380,7 +527,74 @@ ${personalizedData.openingLine ? `Opening suggestion: ${personalizedData.opening
 ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPoint}` : ''}
         `.trim();
 
+        // Let the assistant offer and book meetings if the user has a calendar connected
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('booking_provider, booking_api_key')
+            .eq('id', user_id)
+            .single();
+
+        const bookingEnabled = !!(profile?.booking_provider && profile?.booking_api_key);
+        const model = {
+            messages: [
+                {
+                    role: 'system',
+                    content: bookingEnabled ? `${callContext}\n${MEETING_BOOKING_PROMPT_INSTRUCTIONS}` : callContext,
+                }
+            ]
+        };
+        if (bookingEnabled) {
+            model.tools = [END_CALL_TOOL, ...getMeetingTools(`${API_URL}/api/vapi/webhook`)];
+        }
+
+        const assistantOverrides = {
+            firstMessage: `Hi, is this ${personalizedData.firstName || lead.name}?`,
+            model,
+        };
+
+        // Voicemail drop: the step setting wins, otherwise inherit the campaign's
+        const voicemailDrop = step.call_voicemail_drop ?? campaignVoicemailDrop;
+        if (voicemailDrop) {
+            const message = buildVoicemailDropMessage(
+                lead,
+                personalizedData,
+                step.call_voicemail_message || campaignVoicemailMessage
+            );
+            Object.assign(assistantOverrides, getVoicemailDropConfig(undefined, message));
+        }
+
+        // The user's own numbers first, then the platform pool
+        const outboundNumber = await reserveNumber(user_id, { leadPhone: lead.phone, includePlatform: true });
+        if (!outboundNumber) {
+            return {
+                success: false,
+                actionType: 'call_initiated',
+                error: 'No available phone numbers - daily limit reached or none configured',
+            };
+        }
+
         try {
+            const callPayload = {
+                assistantId,
+                phoneNumberId: outboundNumber.phone_number_id,
+                customer: {
+                    number: lead.phone,
+                    name: lead.name,
+                },
+                assistantOverrides,
+                metadata: {
+                    workflowId: workflow.id,
+                    enrollmentId,
+                    stepNumber: step.step_number,
+                    leadId: lead.id,
+                    userId: user_id,
+                    voicemailDrop: !!voicemailDrop,
+                }
+            };
+
+            // Recording/AI disclosure required at the destination goes first
+            const disclosure = await applyCallDisclosure(callPayload, { userId: user_id, phone: lead.phone, vapiApiKey });
+
             // Initiate VAPI call
             const response = await fetch('https://api.vapi.ai/call', {
                 method: 'POST',
@@ -388,36 +602,12 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
                     'Authorization': `Bearer ${vapiApiKey}`,
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({
-                    assistantId,
-                    phoneNumberId: process.env.VAPI_PHONE_NUMBER_ID,
-                    customer: {
-                        number: lead.phone,
-                        name: lead.name,
-                    },
-                    assistantOverrides: {
-                        firstMessage: `Hi, is this ${personalizedData.firstName || lead.name}?`,
-                        model: {
-                            messages: [
-                                {
-                                    role: 'system',
-                                    content: callContext,
-                                }
-                            ]
-                        }
-                    },
-                    metadata: {
-                        workflowId: workflow.id,
-                        enrollmentId,
-                        stepNumber: step.step_number,
-                        leadId: lead.id,
-                        userId: user_id,
-                    }
-                }),
+                body: JSON.stringify(callPayload),
             });
 
             if (!response.ok) {
                 const error = await response.text();
+                await releaseNumber(outboundNumber);
                 throw new Error(`VAPI error: ${error}`);
             }
 
@@ -430,6 +620,8 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
                 campaign_id: workflow.campaign_id,
                 vapi_call_id: callData.id,
                 phone_number: lead.phone,
+                outbound_phone_number_id: outboundNumber.phone_number_id,
+                outbound_phone_number: outboundNumber.phone_number,
                 status: 'queued',
                 metadata: {
                     workflowId: workflow.id,
@@ -437,6 +629,7 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
                     stepNumber: step.step_number,
                 }
             });
+            await logDisclosure(disclosure, { userId: user_id, vapiCallId: callData.id, phone: lead.phone });
 
             return {
                 success: true,
@@ -454,13 +647,51 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
     }
 
     /**
-     * Execute an SMS step (placeholder)
+     * Execute an SMS step
      */
     async executeSmsStep(enrollment, step, workflow) {
-        // SMS implementation would go here
-        // For now, just skip
-        console.log('SMS step not implemented yet');
-        return { success: true, actionType: 'sms_skipped' };
+        const { lead, user_id, id: enrollmentId, personalized_data } = enrollment;
+
+        if (!lead.phone) {
+            return { success: false, actionType: 'sms_sent', error: 'Lead has no phone number' };
+        }
+
+        if (!step.sms_message) {
+            return { success: false, actionType: 'sms_sent', error: 'SMS step has no message' };
+        }
+
+        // Honor STOP replies - skip the step rather than retrying forever
+        if (await isSmsOptedOut(user_id, lead.phone)) {
+            return { success: true, actionType: 'sms_skipped', error: 'Lead opted out of SMS' };
+        }
+
+        const suppression = await checkSuppression(user_id, { phone: lead.phone });
+        if (suppression) {
+            return { success: true, actionType: 'sms_skipped', error: describeSuppression(suppression) };
+        }
+
+        const fromNumber = await getUserSmsNumber(user_id, lead.phone);
+        if (!fromNumber) {
+            return { success: false, actionType: 'sms_sent', error: 'No SMS-capable phone number available' };
+        }
+
+        const body = this.personalizeTemplate(step.sms_message, lead, personalized_data || {});
+
+        const result = await sendSms({
+            userId: user_id,
+            leadId: lead.id,
+            enrollmentId,
+            from: fromNumber.phone_number,
+            to: lead.phone,
+            body,
+        });
+
+        return {
+            success: result.success,
+            actionType: 'sms_sent',
+            messageSid: result.messageSid,
+            error: result.error,
+        };
     }
 
     /**
@@ -510,19 +741,10 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
     }
 
     /**
-     * Advance to next step
+     * Move an enrollment from one step to the next (null = complete)
      */
-    async advanceToNextStep(enrollmentId, workflow, currentStepNumber) {
-        // Get next step
-        const { data: nextStep } = await supabase
-            .from('workflow_steps')
-            .select('*')
-            .eq('workflow_id', workflow.id)
-            .eq('step_number', currentStepNumber + 1)
-            .single();
-
+    async advanceToStep(enrollmentId, workflow, fromStep, nextStep) {
         let nextActionAt = null;
-        let nextActionType = null;
 
         if (nextStep) {
             // Calculate next action time
@@ -530,16 +752,17 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
             nextActionAt.setDate(nextActionAt.getDate() + (nextStep.delay_days || 0));
             nextActionAt.setHours(nextActionAt.getHours() + (nextStep.delay_hours || 0));
             nextActionAt.setMinutes(nextActionAt.getMinutes() + (nextStep.delay_minutes || 0));
-            nextActionType = nextStep.step_type;
         }
 
         await supabase
             .from('workflow_enrollments')
             .update({
-                current_step: currentStepNumber,
+                current_step: fromStep.step_number,
+                current_step_id: fromStep.id,
+                next_step_id: nextStep?.id || null,
                 last_action_at: new Date().toISOString(),
                 next_action_at: nextActionAt?.toISOString() || null,
-                next_action_type: nextActionType,
+                next_action_type: nextStep?.step_type || null,
                 updated_at: new Date().toISOString(),
             })
             .eq('id', enrollmentId);
@@ -549,6 +772,67 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
         }
     }
 
+    /**
+     * Park an enrollment on a routed call step until its outcome arrives
+     * next_action_at doubles as the timeout after which we route as no_answer
+     */
+    async awaitCallOutcome(enrollmentId, step) {
+        const timeoutAt = new Date(Date.now() + CALL_OUTCOME_WAIT_MINUTES * 60 * 1000);
+
+        await supabase
+            .from('workflow_enrollments')
+            .update({
+                current_step: step.step_number,
+                current_step_id: step.id,
+                next_step_id: null,
+                last_action_at: new Date().toISOString(),
+                next_action_at: timeoutAt.toISOString(),
+                next_action_type: 'await_outcome',
+                updated_at: new Date().toISOString(),
+            })
+            .eq('id', enrollmentId);
+    }
+
+    /**
+     * Route an enrollment waiting on a call step to the step for its outcome
+     * @param {Object} enrollment - Enrollment row (id, workflow_id, current_step_id)
+     * @param {Object[]} steps - Workflow steps
+     * @param {string} actionResult - answered, voicemail, voicemail_left, no_answer, ivr, failed
+     * @param {boolean|null} interested - Call success evaluation
+     */
+    async routeCallOutcome(enrollment, steps, actionResult, interested = null) {
+        const callStep = steps.find(s => s.id === enrollment.current_step_id);
+        if (!callStep) return;
+
+        const targetKey = resolveOutcomeRoute(callStep.outcome_routes, actionResult, interested);
+        const nextStep = this.findStepByKey(steps, targetKey) || this.getPassTarget(callStep, steps);
+
+        console.log(`🔀 Enrollment ${enrollment.id}: call ${actionResult} -> ${nextStep?.step_key || 'end'}`);
+
+        await this.advanceToStep(enrollment.id, { id: enrollment.workflow_id }, callStep, nextStep);
+    }
+
+    /**
+     * Route an enrollment whose call outcome never arrived
+     */
+    async resolvePendingCallOutcome(enrollment, steps) {
+        const { data: logEntry } = await supabase
+            .from('workflow_action_log')
+            .select('action_result, metadata')
+            .eq('enrollment_id', enrollment.id)
+            .eq('step_id', enrollment.current_step_id)
+            .eq('action_type', 'call_initiated')
+            .order('executed_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        const actionResult = logEntry && logEntry.action_result !== 'success'
+            ? logEntry.action_result
+            : 'no_answer';
+
+        await this.routeCallOutcome(enrollment, steps, actionResult, logEntry?.metadata?.interested ?? null);
+    }
+
     /**
      * Complete enrollment
      */
@@ -586,11 +870,11 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
     }
 
     /**
-     * Schedule retry
+     * Schedule retry (at retryAt when a step was deferred, e.g. outside calling hours)
      */
-    async scheduleRetry(enrollmentId) {
-        const nextRetry = new Date();
-        nextRetry.setMinutes(nextRetry.getMinutes() + RETRY_DELAY_MINUTES);
+    async scheduleRetry(enrollmentId, retryAt = null) {
+        const nextRetry = retryAt ? new Date(retryAt) : new Date();
+        if (!retryAt) nextRetry.setMinutes(nextRetry.getMinutes() + RETRY_DELAY_MINUTES);
 
         await supabase
             .from('workflow_enrollments')
@@ -619,6 +903,7 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
             metadata: {
                 stepNumber: step.step_number,
                 stepType: step.step_type,
+                messageSid: result.messageSid,
                 error: result.error,
             }
         });
@@ -628,47 +913,127 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
      * Increment stats
      */
     async incrementStats(workflowId, step, result) {
-        // Workflow stats
-        const workflowStats = {};
+        let workflowStat = null;
+        let stepStat = null;
         if (step.step_type === 'email' && result.success) {
-            workflowStats.total_emails_sent = supabase.sql`total_emails_sent + 1`;
-        } else if (step.step_type === 'call' && result.success) {
-            workflowStats.total_calls_made = supabase.sql`total_calls_made + 1`;
+            workflowStat = 'total_emails_sent';
+            stepStat = 'emails_sent';
+        } else if (result.actionType === 'call_initiated' && result.success) {
+            workflowStat = 'total_calls_made';
+            stepStat = 'calls_made';
+        } else if (result.actionType === 'sms_sent' && result.success) {
+            workflowStat = 'total_sms_sent';
+            stepStat = 'sms_sent';
         }
 
-        if (Object.keys(workflowStats).length > 0) {
-            await supabase
-                .from('outreach_workflows')
-                .update({ ...workflowStats, updated_at: new Date().toISOString() })
-                .eq('id', workflowId);
+        // Workflow stats
+        if (workflowStat) {
+            const { error } = await supabase.rpc('increment_workflow_stats', {
+                p_workflow_id: workflowId,
+                p_stat_name: workflowStat,
+                p_increment: 1,
+            });
+            if (error) console.error(`Failed to increment workflow ${workflowStat}:`, error.message);
         }
 
         // Step stats
-        const stepStats = { executed: supabase.sql`executed + 1` };
-        if (step.step_type === 'email' && result.success) {
-            stepStats.emails_sent = supabase.sql`emails_sent + 1`;
-        } else if (step.step_type === 'call' && result.success) {
-            stepStats.calls_made = supabase.sql`calls_made + 1`;
+        for (const stat of ['executed', stepStat].filter(Boolean)) {
+            const { error } = await supabase.rpc('increment_workflow_step_stats', {
+                p_step_id: step.id,
+                p_stat_name: stat,
+                p_increment: 1,
+            });
+            if (error) console.error(`Failed to increment step ${stat}:`, error.message);
         }
-
-        await supabase
-            .from('workflow_steps')
-            .update(stepStats)
-            .eq('id', step.id);
     }
 
     /**
-     * Check if email is unsubscribed
+     * Check if a call from this enrollment is still waiting for its end-of-call-report
      */
-    async isEmailUnsubscribed(userId, email) {
+    async hasPendingCallOutcome(enrollmentId) {
+        const since = new Date(Date.now() - CALL_OUTCOME_WAIT_MINUTES * 60 * 1000);
+
         const { data } = await supabase
-            .from('email_unsubscribes')
+            .from('workflow_action_log')
             .select('id')
-            .eq('user_id', userId)
-            .eq('email', email)
+            .eq('enrollment_id', enrollmentId)
+            .eq('action_type', 'call_initiated')
+            .eq('action_result', 'success')
+            .gte('executed_at', since.toISOString())
+            .limit(1);
+
+        return !!(data && data.length > 0);
+    }
+
+    /**
+     * Record the final outcome of a workflow call (from the VAPI end-of-call-report)
+     * Updates the call_initiated action log row and the enrollment, so the
+     * no_answer condition can branch on it
+     * @param {Object} metadata - Call metadata set by executeCallStep
+     * @param {string} callId - VAPI call ID
+     * @param {string} callOutcome - Result of determineCallOutcome()
+     * @param {string} endedReason - VAPI endedReason
+     * @param {Object} analysis - VAPI call analysis (successEvaluation)
+     */
+    async recordCallOutcome(metadata, callId, callOutcome, endedReason, analysis = null) {
+        const { enrollmentId, workflowId } = metadata;
+        const actionResult = CALL_OUTCOME_RESULTS[callOutcome] || 'no_answer';
+        const interested = actionResult === 'answered' ? parseSuccessEvaluation(analysis) : null;
+
+        const { data: logEntry } = await supabase
+            .from('workflow_action_log')
+            .select('id, metadata')
+            .eq('enrollment_id', enrollmentId)
+            .eq('call_id', callId)
             .maybeSingle();
 
-        return !!data;
+        if (logEntry) {
+            await supabase
+                .from('workflow_action_log')
+                .update({
+                    action_result: actionResult,
+                    metadata: { ...(logEntry.metadata || {}), callOutcome, endedReason, interested },
+                })
+                .eq('id', logEntry.id);
+        }
+
+        await supabase
+            .from('workflow_enrollments')
+            .update({
+                last_action_type: 'call',
+                last_action_result: actionResult,
+                updated_at: new Date().toISOString(),
+            })
+            .eq('id', enrollmentId);
+
+        console.log(`📞 Workflow call ${callId} outcome: ${actionResult}`);
+
+        if (actionResult === 'answered') {
+            if (workflowId) {
+                const { error: statsError } = await supabase.rpc('increment_workflow_stats', {
+                    p_workflow_id: workflowId,
+                    p_stat_name: 'total_calls_answered',
+                    p_increment: 1
+                });
+                if (statsError) {
+                    console.error(`Failed to update answered call count for workflow ${workflowId}:`, statsError.message);
+                }
+            }
+
+            await this.handleStopCondition(enrollmentId, 'call_answered');
+        }
+
+        // Branching call steps wait for this outcome before moving on
+        const { data: enrollment } = await supabase
+            .from('workflow_enrollments')
+            .select('id, workflow_id, status, current_step_id, next_action_type')
+            .eq('id', enrollmentId)
+            .single();
+
+        if (enrollment?.status === 'active' && enrollment.next_action_type === 'await_outcome') {
+            const steps = await this.getWorkflowSteps(enrollment.workflow_id);
+            await this.routeCallOutcome(enrollment, steps, actionResult, interested);
+        }
     }
 
     /**
@@ -683,7 +1048,8 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
                     stop_on_reply,
                     stop_on_call_answered,
                     stop_on_click,
-                    stop_on_bounce
+                    stop_on_bounce,
+                    stop_on_meeting_booked
                 )
             `)
             .eq('id', enrollmentId)
@@ -694,13 +1060,15 @@ ${personalizedData.painPoint ? `Pain point to address: ${personalizedData.painPo
         const workflow = enrollment.workflow;
 
         if (eventType === 'reply' && workflow.stop_on_reply) {
-            await this.stopEnrollment(enrollmentId, 'reply', 'Lead replied to email');
+            await this.stopEnrollment(enrollmentId, 'reply', 'Lead replied');
         } else if (eventType === 'call_answered' && workflow.stop_on_call_answered) {
             await this.stopEnrollment(enrollmentId, 'call', 'Lead answered call');
         } else if (eventType === 'click' && workflow.stop_on_click) {
             await this.stopEnrollment(enrollmentId, 'click', 'Lead clicked a link');
         } else if (eventType === 'bounce' && workflow.stop_on_bounce) {
             await this.stopEnrollment(enrollmentId, 'bounce', 'Email bounced');
+        } else if (eventType === 'meeting_booked' && workflow.stop_on_meeting_booked) {
+            await this.stopEnrollment(enrollmentId, 'meeting', 'Lead booked a meeting');
         }
     }
 }
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for workflow scheduler call outcomes
+ * Runs against a fake Supabase client that keeps one enrollment row.
+ */
+
+import { jest } from '@jest/globals';
+import { createFakeSupabase } from '../test-utils/fakeSupabase.js';
+
+const STEPS = [
+    {
+        id: 'step-call',
+        step_key: 'call',
+        step_number: 1,
+        step_type: 'call',
+        outcome_routes: { interested: 'book', not_interested: 'nurture', no_answer: 'retry' },
+    },
+    { id: 'step-book', step_key: 'book', step_number: 2, step_type: 'email', delay_days: 0 },
+    { id: 'step-nurture', step_key: 'nurture', step_number: 3, step_type: 'email', delay_days: 3 },
+    { id: 'step-retry', step_key: 'retry', step_number: 4, step_type: 'call', delay_days: 1 },
+];
+
+const state = { enrollment: null, workflow: null };
+
+const supabase = createFakeSupabase(query => {
+    if (query.action === 'rpc') {
+        return { error: { message: 'rpc failed' } };
+    }
+    if (query.table === 'workflow_enrollments' && query.action === 'update') {
+        Object.assign(state.enrollment, query.values);
+        return {};
+    }
+    if (query.table === 'workflow_enrollments' && query.action === 'select') {
+        return { data: { ...state.enrollment, workflow: state.workflow } };
+    }
+    if (query.table === 'workflow_steps') {
+        return { data: STEPS };
+    }
+    return {};
+});
+
+jest.unstable_mockModule('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+
+const { WorkflowScheduler } = await import('./workflowScheduler.js');
+
+const scheduler = new WorkflowScheduler();
+const metadata = { enrollmentId: 'we-1', workflowId: 'wf-1' };
+let consoleLog;
+let consoleError;
+
+beforeEach(() => {
+    supabase.calls.length = 0;
+    state.enrollment = {
+        id: 'we-1',
+        workflow_id: 'wf-1',
+        status: 'active',
+        current_step: 1,
+        current_step_id: 'step-call',
+        next_action_type: 'await_outcome',
+    };
+    state.workflow = { stop_on_call_answered: false };
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    consoleLog.mockRestore();
+    consoleError.mockRestore();
+});
+
+describe('Recording Call Outcomes', () => {
+    test('should stop the enrollment on an answered call even when the stats RPC fails', async () => {
+        state.workflow.stop_on_call_answered = true;
+
+        await scheduler.recordCallOutcome(metadata, 'call-1', 'human', 'customer-ended-call');
+
+        expect(supabase.calls.find(q => q.action === 'rpc')).toMatchObject({
+            rpc: 'increment_workflow_stats',
+            args: { p_workflow_id: 'wf-1', p_stat_name: 'total_calls_answered' },
+        });
+        expect(state.enrollment.status).toBe('stopped_call');
+        expect(state.enrollment.next_step_id).toBeUndefined();
+    });
+
+    test('should route an answered call that passed its evaluation', async () => {
+        await scheduler.recordCallOutcome(metadata, 'call-1', 'human', 'customer-ended-call', { successEvaluation: 'pass' });
+
+        expect(state.enrollment).toMatchObject({ status: 'active', next_step_id: 'step-book', next_action_type: 'email' });
+    });
+
+    test('should route an answered call that failed its evaluation', async () => {
+        await scheduler.recordCallOutcome(metadata, 'call-1', 'human', 'customer-ended-call', { successEvaluation: false });
+
+        expect(state.enrollment).toMatchObject({ status: 'active', next_step_id: 'step-nurture' });
+    });
+
+    test('should route unanswered calls without counting them', async () => {
+        await scheduler.recordCallOutcome(metadata, 'call-1', 'no_answer', 'customer-did-not-answer');
+
+        expect(supabase.calls.some(q => q.action === 'rpc')).toBe(false);
+        expect(state.enrollment).toMatchObject({ last_action_result: 'no_answer', next_step_id: 'step-retry' });
+    });
+});
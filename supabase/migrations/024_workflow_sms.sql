@@ -0,0 +1,78 @@
+-- Migration: Workflow SMS
+-- Real SMS delivery for workflow steps through the user's provisioned Twilio numbers
+
+-- ============================================
+-- 1. SMS MESSAGES - Outbound and inbound message log
+-- ============================================
+CREATE TABLE IF NOT EXISTS sms_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+    enrollment_id UUID REFERENCES workflow_enrollments(id) ON DELETE SET NULL,
+
+    direction TEXT NOT NULL, -- outbound, inbound
+    from_number TEXT NOT NULL,
+    to_number TEXT NOT NULL,
+    body TEXT,
+
+    -- Twilio message SID
+    provider_sid TEXT,
+    status TEXT DEFAULT 'queued', -- queued, sent, delivered, failed, received
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_messages_user_id ON sms_messages(user_id);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_lead_id ON sms_messages(lead_id);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_enrollment_id ON sms_messages(enrollment_id);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_provider_sid ON sms_messages(provider_sid);
+
+-- ============================================
+-- 2. SMS OPT-OUTS - Numbers that replied STOP
+-- ============================================
+CREATE TABLE IF NOT EXISTS sms_opt_outs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    phone_number TEXT NOT NULL,
+    keyword TEXT, -- STOP, UNSUBSCRIBE, ...
+    opted_out_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(user_id, phone_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_opt_outs_user_phone ON sms_opt_outs(user_id, phone_number);
+
+-- ============================================
+-- 3. WORKFLOW SMS STATS
+-- ============================================
+ALTER TABLE outreach_workflows ADD COLUMN IF NOT EXISTS total_sms_sent INTEGER DEFAULT 0;
+ALTER TABLE workflow_steps ADD COLUMN IF NOT EXISTS sms_sent INTEGER DEFAULT 0;
+
+-- ============================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE sms_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sms_opt_outs ENABLE ROW LEVEL SECURITY;
+
+-- Service role policies
+CREATE POLICY "Service role full access on sms_messages" ON sms_messages
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access on sms_opt_outs" ON sms_opt_outs
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- User policies
+CREATE POLICY "Users can view own sms messages" ON sms_messages
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view own sms opt-outs" ON sms_opt_outs
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 5. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE sms_messages IS 'Log of SMS sent by workflow steps and replies received on provisioned numbers';
+COMMENT ON TABLE sms_opt_outs IS 'Phone numbers that opted out of SMS via STOP keywords';
+COMMENT ON COLUMN outreach_workflows.total_sms_sent IS 'Total SMS sent by this workflow';
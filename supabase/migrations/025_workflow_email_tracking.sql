@@ -0,0 +1,28 @@
+-- Migration: Workflow Email Tracking
+-- Links email logs and tracking events to workflow enrollments so replies,
+-- clicks and bounces can trigger workflow stop conditions
+
+-- ============================================
+-- 1. EMAIL LOGS - Workflow references
+-- ============================================
+-- Workflow emails previously reused sequence_id/enrollment_id, which reference
+-- the email sequence tables and therefore could not hold workflow IDs
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS workflow_id UUID REFERENCES outreach_workflows(id) ON DELETE SET NULL;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS workflow_enrollment_id UUID REFERENCES workflow_enrollments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_email_logs_workflow_enrollment_id ON email_logs(workflow_enrollment_id);
+
+-- ============================================
+-- 2. EMAIL TRACKING EVENTS - Workflow references
+-- ============================================
+ALTER TABLE email_tracking_events ADD COLUMN IF NOT EXISTS workflow_enrollment_id UUID REFERENCES workflow_enrollments(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_email_tracking_events_workflow_enrollment_id ON email_tracking_events(workflow_enrollment_id);
+
+-- ============================================
+-- 3. COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN email_logs.workflow_id IS 'Workflow that sent this email (null for sequence/manual emails)';
+COMMENT ON COLUMN email_logs.workflow_enrollment_id IS 'Workflow enrollment that sent this email';
+COMMENT ON COLUMN email_tracking_events.workflow_enrollment_id IS 'Workflow enrollment the tracked email belongs to';
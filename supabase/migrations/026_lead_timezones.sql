@@ -0,0 +1,23 @@
+-- Migration: Lead-Local Send Windows
+-- Evaluate workflow/sequence send windows in the lead's own timezone
+
+-- ============================================
+-- 1. LEADS - Optional explicit timezone
+-- ============================================
+-- When null, the timezone is inferred from latitude/longitude, city or phone
+-- country code (see config/timezones.js)
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+-- ============================================
+-- 2. WORKFLOWS & SEQUENCES - Opt out of lead-local windows
+-- ============================================
+ALTER TABLE outreach_workflows ADD COLUMN IF NOT EXISTS use_lead_timezone BOOLEAN DEFAULT TRUE;
+ALTER TABLE email_sequences ADD COLUMN IF NOT EXISTS use_lead_timezone BOOLEAN DEFAULT TRUE;
+
+-- ============================================
+-- 3. COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN leads.timezone IS 'IANA timezone of the lead (overrides inference from location/phone)';
+COMMENT ON COLUMN outreach_workflows.use_lead_timezone IS 'Evaluate send window in the lead''s local timezone; timezone column is the fallback';
+COMMENT ON COLUMN email_sequences.use_lead_timezone IS 'Evaluate send window in the lead''s local timezone; timezone column is the fallback';
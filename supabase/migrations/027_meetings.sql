@@ -0,0 +1,65 @@
+-- Migration: Meeting Booking
+-- Meetings booked during calls (VAPI tools) or via Cal.com / Calendly webhooks
+
+-- ============================================
+-- 1. MEETINGS - Booked meetings matched to leads/enrollments
+-- ============================================
+CREATE TABLE IF NOT EXISTS meetings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+    workflow_id UUID REFERENCES outreach_workflows(id) ON DELETE SET NULL,
+    enrollment_id UUID REFERENCES workflow_enrollments(id) ON DELETE SET NULL,
+    call_id TEXT, -- VAPI call ID when booked mid-call
+
+    provider TEXT NOT NULL, -- calcom, calendly
+    external_id TEXT NOT NULL, -- Cal.com booking uid / Calendly scheduled event URI
+    status TEXT DEFAULT 'scheduled', -- scheduled, cancelled
+    source TEXT DEFAULT 'webhook', -- call_tool, webhook
+
+    start_time TIMESTAMPTZ,
+    end_time TIMESTAMPTZ,
+    invitee_name TEXT,
+    invitee_email TEXT,
+    invitee_phone TEXT,
+    meeting_url TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(provider, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meetings_user_id ON meetings(user_id);
+CREATE INDEX IF NOT EXISTS idx_meetings_lead_id ON meetings(lead_id);
+CREATE INDEX IF NOT EXISTS idx_meetings_enrollment_id ON meetings(enrollment_id);
+CREATE INDEX IF NOT EXISTS idx_meetings_start_time ON meetings(start_time);
+
+-- ============================================
+-- 2. PROFILES - Booking calendar settings
+-- ============================================
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS booking_provider TEXT; -- calcom, calendly
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS booking_api_key TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS booking_event_type_id TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS booking_webhook_secret TEXT;
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE meetings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on meetings" ON meetings
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Users can view own meetings" ON meetings
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 4. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE meetings IS 'Meetings booked with leads via call tools or calendar webhooks';
+COMMENT ON COLUMN meetings.external_id IS 'Provider booking ID - used to make webhook deliveries idempotent';
+COMMENT ON COLUMN profiles.booking_event_type_id IS 'Cal.com event type ID or Calendly event type URI';
+COMMENT ON COLUMN workflow_enrollments.status IS 'active, completed, paused, unsubscribed, or stopped_<reason> (reply, call, click, bounce, meeting)';
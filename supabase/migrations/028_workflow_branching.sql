@@ -0,0 +1,44 @@
+-- Migration: Branching Workflow Graph
+-- Steps route to explicit targets (on_true / on_false / per call outcome)
+-- instead of always moving to step_number + 1
+
+-- ============================================
+-- 1. WORKFLOW STEPS - Step keys and routing targets
+-- ============================================
+ALTER TABLE workflow_steps ADD COLUMN IF NOT EXISTS step_key TEXT;
+ALTER TABLE workflow_steps ADD COLUMN IF NOT EXISTS on_true TEXT;
+ALTER TABLE workflow_steps ADD COLUMN IF NOT EXISTS on_false TEXT;
+ALTER TABLE workflow_steps ADD COLUMN IF NOT EXISTS outcome_routes JSONB DEFAULT '{}'::jsonb;
+
+-- Existing linear steps get positional keys
+UPDATE workflow_steps SET step_key = 'step-' || step_number WHERE step_key IS NULL;
+
+ALTER TABLE workflow_steps ALTER COLUMN step_key SET NOT NULL;
+
+-- step_number is now only the display order; steps are addressed by key,
+-- and reordering in place must not trip a uniqueness check
+ALTER TABLE workflow_steps DROP CONSTRAINT IF EXISTS workflow_steps_workflow_id_step_number_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workflow_steps_workflow_key
+    ON workflow_steps(workflow_id, step_key);
+
+-- ============================================
+-- 2. WORKFLOW ENROLLMENTS - Track position by step id
+-- ============================================
+ALTER TABLE workflow_enrollments ADD COLUMN IF NOT EXISTS current_step_id UUID REFERENCES workflow_steps(id) ON DELETE SET NULL;
+ALTER TABLE workflow_enrollments ADD COLUMN IF NOT EXISTS next_step_id UUID REFERENCES workflow_steps(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_workflow_enrollments_next_step_id ON workflow_enrollments(next_step_id);
+
+-- ============================================
+-- 3. COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN workflow_steps.step_type IS 'email, call, sms, wait, or branch (routes on its condition without executing anything)';
+COMMENT ON COLUMN workflow_steps.step_key IS 'Client-assigned key, unique per workflow - targets refer to steps by key';
+COMMENT ON COLUMN workflow_steps.on_true IS 'Step key to go to after this step runs (or its condition passes); NULL = next step in order';
+COMMENT ON COLUMN workflow_steps.on_false IS 'Step key to go to when the condition is not met; NULL = next step in order';
+COMMENT ON COLUMN workflow_steps.outcome_routes IS 'Call steps only: { "interested" | "not_interested" | "answered" | "voicemail" | "no_answer" | "ivr" | "failed" | "default": step_key }';
+COMMENT ON COLUMN workflow_enrollments.current_step_id IS 'Last step the enrollment ran';
+COMMENT ON COLUMN workflow_enrollments.next_step_id IS 'Step to run at next_action_at; NULL while waiting on a call outcome or when done';
+COMMENT ON COLUMN workflow_enrollments.next_action_type IS 'Type of next scheduled action: email, call, sms, wait, branch, or await_outcome';
@@ -0,0 +1,26 @@
+-- Migration: Voicemail Drop
+-- Leave a personalized voicemail after the beep instead of hanging up,
+-- configurable per campaign and overridable per workflow call step
+
+-- ============================================
+-- 1. CAMPAIGNS - Default voicemail drop settings
+-- ============================================
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS voicemail_drop_enabled BOOLEAN DEFAULT false;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS voicemail_drop_message TEXT;
+
+-- ============================================
+-- 2. WORKFLOW STEPS - Per call step override
+-- ============================================
+ALTER TABLE workflow_steps ADD COLUMN IF NOT EXISTS call_voicemail_drop BOOLEAN;
+ALTER TABLE workflow_steps ADD COLUMN IF NOT EXISTS call_voicemail_message TEXT;
+
+-- ============================================
+-- 3. COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN campaigns.voicemail_drop_enabled IS 'Leave a voicemail when AMD hears the beep instead of hanging up';
+COMMENT ON COLUMN campaigns.voicemail_drop_message IS 'Voicemail template - placeholders: {{firstName}}, {{businessName}}, {{openingLine}}, {{painPoint}}';
+COMMENT ON COLUMN workflow_steps.call_voicemail_drop IS 'Voicemail drop for this call step; NULL inherits the campaign setting';
+COMMENT ON COLUMN workflow_steps.call_voicemail_message IS 'Voicemail template for this call step; NULL uses the campaign template or the default';
+COMMENT ON COLUMN workflow_steps.condition IS 'always, no_reply, no_open, no_answer, or voicemail_left';
+COMMENT ON COLUMN calls.call_outcome IS 'What answered the call: human, voicemail, voicemail_left, ivr, no_answer, busy, failed';
@@ -0,0 +1,31 @@
+-- Migration: VAPI Webhook Idempotency
+-- Records processed VAPI server messages so retried deliveries are ignored
+
+-- ============================================
+-- 1. VAPI WEBHOOK EVENTS - One row per processed delivery
+-- ============================================
+CREATE TABLE IF NOT EXISTS vapi_webhook_events (
+    event_key TEXT PRIMARY KEY, -- <call id>:<message type>[:<status>]
+    call_id TEXT,
+    message_type TEXT,
+    received_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vapi_webhook_events_call_id ON vapi_webhook_events(call_id);
+CREATE INDEX IF NOT EXISTS idx_vapi_webhook_events_received_at ON vapi_webhook_events(received_at);
+
+-- ============================================
+-- 2. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE vapi_webhook_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on vapi_webhook_events" ON vapi_webhook_events
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- ============================================
+-- 3. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE vapi_webhook_events IS 'Processed VAPI webhook deliveries - used to make retries idempotent';
+COMMENT ON COLUMN vapi_webhook_events.event_key IS 'Call id + message type (status-update also keyed by status)';
@@ -0,0 +1,70 @@
+-- Migration: Warm Transfer Routing
+-- Per-user handoff numbers and business hours, per-campaign overrides,
+-- and a log of every transfer attempt
+
+-- ============================================
+-- 1. PROFILES - Handoff number and business hours
+-- ============================================
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS handoff_phone TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS handoff_name TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS handoff_email TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS handoff_timezone TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS handoff_hours_start TEXT; -- HH:MM, NULL = any time
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS handoff_hours_end TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS handoff_days INTEGER[] DEFAULT '{1,2,3,4,5}';
+
+-- ============================================
+-- 2. CAMPAIGNS - Handoff override
+-- ============================================
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS handoff_phone TEXT;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS handoff_name TEXT;
+
+-- ============================================
+-- 3. CALL TRANSFERS - Every transfer attempt
+-- ============================================
+CREATE TABLE IF NOT EXISTS call_transfers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    vapi_call_id TEXT NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+    lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+    customer_phone TEXT,
+
+    status TEXT NOT NULL, -- transferred, message_requested, message_sent, message_failed, failed
+    lead_quality TEXT, -- hot, warm, cold
+    reason TEXT,
+    handoff_phone TEXT,
+    handoff_source TEXT, -- campaign, user, global
+    message_summary TEXT,
+    error TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_transfers_vapi_call_id ON call_transfers(vapi_call_id);
+CREATE INDEX IF NOT EXISTS idx_call_transfers_user_id ON call_transfers(user_id);
+CREATE INDEX IF NOT EXISTS idx_call_transfers_campaign_id ON call_transfers(campaign_id);
+
+-- ============================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE call_transfers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on call_transfers" ON call_transfers
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Users can view own call_transfers" ON call_transfers
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 5. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE call_transfers IS 'Warm transfer attempts from the transferCall tool, with lead quality and reason';
+COMMENT ON COLUMN call_transfers.status IS 'transferred, failed, or message_requested -> message_sent / message_failed when outside business hours';
+COMMENT ON COLUMN profiles.handoff_phone IS 'E.164 number qualified leads are transferred to';
+COMMENT ON COLUMN profiles.handoff_email IS 'Where out-of-hours messages are emailed; NULL uses profiles.email';
+COMMENT ON COLUMN profiles.handoff_timezone IS 'Timezone for handoff hours; NULL uses profiles.timezone';
+COMMENT ON COLUMN campaigns.handoff_phone IS 'Overrides the user handoff number for this campaign';
@@ -0,0 +1,27 @@
+-- Migration: Unified Number Pool
+-- Every outbound call reserves its caller ID from user_phone_numbers.
+-- Rows without a user_id form the platform pool (seeded from VAPI_PHONE_NUMBER_IDS).
+
+-- ============================================
+-- 1. USER PHONE NUMBERS - Platform pool rows
+-- ============================================
+ALTER TABLE user_phone_numbers ALTER COLUMN user_id DROP NOT NULL;
+
+-- ============================================
+-- 2. INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_user_phone_numbers_pool
+    ON user_phone_numbers(user_id, status, daily_calls_used);
+
+CREATE INDEX IF NOT EXISTS idx_user_phone_numbers_platform_pool
+    ON user_phone_numbers(status, daily_calls_used)
+    WHERE user_id IS NULL;
+
+-- ============================================
+-- 3. COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN user_phone_numbers.user_id IS 'Owner of the number; NULL for the shared platform pool';
+COMMENT ON COLUMN user_phone_numbers.area_code IS 'Used for local-presence caller ID; parsed from phone_number when NULL';
+COMMENT ON COLUMN user_phone_numbers.daily_calls_used IS 'Calls reserved today; treated as 0 once last_reset_date is before today';
+COMMENT ON COLUMN user_phone_numbers.spam_flagged_at IS 'Flagged numbers sit out a 72 hour cool-down from this time, then rejoin rotation';
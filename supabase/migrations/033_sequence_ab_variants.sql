@@ -0,0 +1,34 @@
+-- Migration: A/B Variants for Sequence Steps
+-- Weighted subject/body variants per step, per-variant attribution on email_logs,
+-- and optional auto-promotion of a significant winner
+
+-- ============================================
+-- 1. EMAIL SEQUENCE STEPS - Variants and promotion settings
+-- ============================================
+ALTER TABLE email_sequence_steps ADD COLUMN IF NOT EXISTS variants JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE email_sequence_steps ADD COLUMN IF NOT EXISTS auto_promote BOOLEAN DEFAULT FALSE;
+ALTER TABLE email_sequence_steps ADD COLUMN IF NOT EXISTS promotion_metric TEXT DEFAULT 'replies'; -- opens, clicks, replies
+ALTER TABLE email_sequence_steps ADD COLUMN IF NOT EXISTS promotion_min_sends INTEGER DEFAULT 100;
+ALTER TABLE email_sequence_steps ADD COLUMN IF NOT EXISTS promotion_confidence NUMERIC(4,3) DEFAULT 0.95;
+ALTER TABLE email_sequence_steps ADD COLUMN IF NOT EXISTS winning_variant TEXT;
+ALTER TABLE email_sequence_steps ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMPTZ;
+ALTER TABLE email_sequence_steps ADD COLUMN IF NOT EXISTS promotion_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_email_sequence_steps_auto_promote ON email_sequence_steps(auto_promote)
+    WHERE auto_promote = TRUE AND winning_variant IS NULL;
+
+-- ============================================
+-- 2. EMAIL LOGS - Which variant was sent
+-- ============================================
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS variant_key TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_email_logs_sequence_variant ON email_logs(sequence_id, step_number, variant_key);
+
+-- ============================================
+-- 3. COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN email_sequence_steps.variants IS 'A/B variants: [{ key, subject, body, weight }]; empty = subject_template/body_template as variant A';
+COMMENT ON COLUMN email_sequence_steps.auto_promote IS 'Promote the winning variant once it is significant on promotion_metric';
+COMMENT ON COLUMN email_sequence_steps.winning_variant IS 'Promoted variant key; once set only this variant is sent';
+COMMENT ON COLUMN email_logs.variant_key IS 'Sequence step variant sent in this email (NULL = A)';
@@ -0,0 +1,75 @@
+-- Migration: Suppression List
+-- One per-user list of emails, phone numbers and domains that must not be
+-- contacted, checked by every email send and every dial
+
+-- ============================================
+-- 1. SUPPRESSIONS
+-- ============================================
+CREATE TABLE IF NOT EXISTS suppressions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+    type TEXT NOT NULL CHECK (type IN ('email', 'phone', 'domain')),
+    value TEXT NOT NULL, -- lowercased email/domain, or +digits phone
+    reason TEXT NOT NULL DEFAULT 'manual'
+        CHECK (reason IN ('unsubscribe', 'bounce', 'complaint', 'manual', 'do_not_call')),
+    source TEXT, -- link, provider, webhook, api, import
+    note TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(user_id, type, value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_suppressions_user_id ON suppressions(user_id);
+CREATE INDEX IF NOT EXISTS idx_suppressions_user_reason ON suppressions(user_id, reason);
+
+-- ============================================
+-- 2. KEEP EMAIL UNSUBSCRIBES IN SYNC
+-- email_unsubscribes stays as the unsubscribe history used by analytics;
+-- every row written there is also a suppression
+-- ============================================
+CREATE OR REPLACE FUNCTION suppress_unsubscribed_email()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.user_id IS NOT NULL AND NEW.email IS NOT NULL THEN
+        INSERT INTO suppressions (user_id, type, value, reason, source, note)
+        VALUES (NEW.user_id, 'email', LOWER(TRIM(NEW.email)), 'unsubscribe', COALESCE(NEW.source, 'link'), NEW.reason)
+        ON CONFLICT (user_id, type, value) DO NOTHING;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trg_suppress_unsubscribed_email ON email_unsubscribes;
+CREATE TRIGGER trg_suppress_unsubscribed_email
+    AFTER INSERT OR UPDATE ON email_unsubscribes
+    FOR EACH ROW EXECUTE FUNCTION suppress_unsubscribed_email();
+
+-- Backfill existing unsubscribes
+INSERT INTO suppressions (user_id, type, value, reason, source, note, created_at)
+SELECT user_id, 'email', LOWER(TRIM(email)), 'unsubscribe', COALESCE(source, 'link'), reason, COALESCE(unsubscribed_at, NOW())
+FROM email_unsubscribes
+WHERE user_id IS NOT NULL AND email IS NOT NULL
+ON CONFLICT (user_id, type, value) DO NOTHING;
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE suppressions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on suppressions" ON suppressions
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Users can view own suppressions" ON suppressions
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 4. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE suppressions IS 'Per-user do-not-contact list enforced on every email send and dial';
+COMMENT ON COLUMN suppressions.type IS 'email (exact address), domain (every address at it) or phone (matched on digits)';
+COMMENT ON COLUMN suppressions.reason IS 'unsubscribe, bounce, complaint, manual or do_not_call';
+COMMENT ON FUNCTION suppress_unsubscribed_email() IS 'Mirrors email_unsubscribes rows into suppressions';
@@ -0,0 +1,110 @@
+-- Migration: Do-Not-Call Registry Screening
+-- Registry files uploaded per user (or platform-wide), the E.164 numbers
+-- they list, and an audit log of every screening before a dial
+
+-- ============================================
+-- 1. REGISTRY UPLOADS
+-- ============================================
+CREATE TABLE IF NOT EXISTS dnc_registry_uploads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE, -- NULL = platform-wide
+
+    registry TEXT NOT NULL, -- us_national, ie_ndd
+    file_name TEXT,
+    replaced_existing BOOLEAN DEFAULT false,
+    line_count INTEGER DEFAULT 0,
+    number_count INTEGER DEFAULT 0,
+    invalid_count INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'processing', -- processing, completed, failed
+    error TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_dnc_registry_uploads_user_id ON dnc_registry_uploads(user_id, created_at DESC);
+
+-- ============================================
+-- 2. REGISTRY NUMBERS
+-- ============================================
+CREATE TABLE IF NOT EXISTS dnc_registry_numbers (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE, -- NULL = platform-wide
+    registry TEXT NOT NULL,
+    phone_e164 TEXT NOT NULL,
+    upload_id UUID REFERENCES dnc_registry_uploads(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- NULLS NOT DISTINCT so platform rows (user_id NULL) dedupe too
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dnc_registry_numbers_unique
+    ON dnc_registry_numbers(user_id, registry, phone_e164) NULLS NOT DISTINCT;
+CREATE INDEX IF NOT EXISTS idx_dnc_registry_numbers_phone ON dnc_registry_numbers(phone_e164);
+
+-- ============================================
+-- 3. SCREENING LOG
+-- ============================================
+CREATE TABLE IF NOT EXISTS dnc_screenings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+
+    phone TEXT,
+    phone_e164 TEXT,
+    status TEXT NOT NULL, -- clear, listed, unscreened, invalid
+    registry TEXT,
+    mode TEXT, -- block, flag
+    action TEXT NOT NULL, -- allowed, flagged, blocked
+    context TEXT, -- call, batch, scheduled, workflow, bulk_screen, check
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dnc_screenings_user_id ON dnc_screenings(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dnc_screenings_lead_id ON dnc_screenings(lead_id);
+
+-- ============================================
+-- 4. LEADS AND PROFILES
+-- ============================================
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS phone_e164 TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS dnc_status TEXT; -- NULL = never screened
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS dnc_registry TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS dnc_checked_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_leads_dnc_status ON leads(user_id, dnc_status);
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS dnc_mode TEXT DEFAULT 'block';
+
+-- ============================================
+-- 5. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE dnc_registry_uploads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dnc_registry_numbers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dnc_screenings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on dnc_registry_uploads" ON dnc_registry_uploads
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access on dnc_registry_numbers" ON dnc_registry_numbers
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access on dnc_screenings" ON dnc_screenings
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Users can view own dnc_registry_uploads" ON dnc_registry_uploads
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view own dnc_screenings" ON dnc_screenings
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 6. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE dnc_registry_uploads IS 'Do-not-call registry files loaded by a user (or platform-wide when user_id is NULL)';
+COMMENT ON TABLE dnc_registry_numbers IS 'E.164 numbers listed on a national do-not-call registry';
+COMMENT ON TABLE dnc_screenings IS 'Audit log of every do-not-call check before a dial';
+COMMENT ON COLUMN leads.dnc_status IS 'Last DNC screening: clear, listed, unscreened (no registry for the country) or invalid';
+COMMENT ON COLUMN leads.phone_e164 IS 'Lead phone normalized to E.164';
+COMMENT ON COLUMN profiles.dnc_mode IS 'block = never dial listed numbers; flag = dial but mark the lead';
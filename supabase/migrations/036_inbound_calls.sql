@@ -0,0 +1,36 @@
+-- Migration: Inbound Call Handling
+-- Leads calling back one of our numbers are matched by caller ID, answered by
+-- an assistant that knows the previous calls, logged in calls, and the owner
+-- is emailed the summary.
+
+-- ============================================
+-- 1. CALLS - Direction
+-- ============================================
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS direction TEXT DEFAULT 'outbound'; -- outbound, inbound
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS inbound_phone_number TEXT;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS owner_notified_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_calls_user_phone ON calls(user_id, phone_number, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_calls_direction ON calls(user_id, direction);
+
+-- ============================================
+-- 2. USER PHONE NUMBERS - Inbound settings
+-- ============================================
+ALTER TABLE user_phone_numbers ADD COLUMN IF NOT EXISTS inbound_enabled BOOLEAN DEFAULT true;
+ALTER TABLE user_phone_numbers ADD COLUMN IF NOT EXISTS inbound_assistant_id TEXT;
+
+-- ============================================
+-- 3. LEADS - Caller ID lookup
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_leads_user_phone ON leads(user_id, phone);
+CREATE INDEX IF NOT EXISTS idx_leads_user_phone_e164 ON leads(user_id, phone_e164);
+
+-- ============================================
+-- 4. COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN calls.direction IS 'outbound (we dialled) or inbound (the lead called one of our numbers)';
+COMMENT ON COLUMN calls.inbound_phone_number IS 'Our number the lead called (inbound calls only)';
+COMMENT ON COLUMN calls.owner_notified_at IS 'When the owner was emailed about an inbound call';
+COMMENT ON COLUMN user_phone_numbers.inbound_enabled IS 'Answer calls to this number with the inbound assistant; false rejects them';
+COMMENT ON COLUMN user_phone_numbers.inbound_assistant_id IS 'VAPI assistant for inbound calls; NULL uses VAPI_INBOUND_ASSISTANT_ID or the built-in assistant';
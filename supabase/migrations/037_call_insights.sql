@@ -0,0 +1,69 @@
+-- Migration: Post-Call Qualification
+-- Each answered call's transcript is run through Claude against the
+-- campaign's qualification questions; the structured answers land in
+-- call_insights and update the lead's status and score.
+
+-- ============================================
+-- 1. CAMPAIGNS - Question schema
+-- ============================================
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS qualification_questions JSONB; -- NULL = default questions
+
+-- ============================================
+-- 2. CALL INSIGHTS
+-- ============================================
+CREATE TABLE IF NOT EXISTS call_insights (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+    vapi_call_id TEXT,
+    lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+
+    status TEXT NOT NULL DEFAULT 'processing', -- processing, completed, skipped, failed
+    questions JSONB, -- Question schema used, so answers stay readable if the campaign changes
+    answers JSONB DEFAULT '{}',
+    outcome TEXT, -- interested, not_interested, callback, undecided
+    reasoning TEXT,
+    score INTEGER CHECK (score IS NULL OR (score >= 0 AND score <= 100)),
+    lead_status TEXT, -- Status the lead was moved to
+    error TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(call_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_insights_user_id ON call_insights(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_call_insights_lead_id ON call_insights(lead_id);
+CREATE INDEX IF NOT EXISTS idx_call_insights_campaign_id ON call_insights(campaign_id);
+
+-- ============================================
+-- 3. LEADS - Score
+-- ============================================
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS lead_score INTEGER;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS qualified_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_leads_lead_score ON leads(user_id, lead_score DESC);
+
+-- ============================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE call_insights ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on call_insights" ON call_insights
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Users can view own call_insights" ON call_insights
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 5. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE call_insights IS 'Answers to the campaign qualification questions extracted from a call transcript';
+COMMENT ON COLUMN call_insights.status IS 'completed, skipped (no usable transcript, e.g. voicemail) or failed (Claude error - can be re-run)';
+COMMENT ON COLUMN campaigns.qualification_questions IS '[{ key, label, type: text|boolean|number|scale|choice, options?, min?, max?, weight? }]';
+COMMENT ON COLUMN leads.lead_score IS '0-100 from the latest call insight';
+COMMENT ON COLUMN leads.qualified_at IS 'When the latest call insight updated the lead';
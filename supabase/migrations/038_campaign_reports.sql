@@ -0,0 +1,17 @@
+-- Migration: Campaign Validation Reports
+-- The AI-written market validation report for a campaign is cached on the
+-- campaign so JSON/Markdown/PDF exports don't re-run Claude; it is rebuilt
+-- when new conversations come in or on request.
+
+-- ============================================
+-- 1. CAMPAIGNS - Cached report
+-- ============================================
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS validation_report JSONB;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS validation_report_generated_at TIMESTAMPTZ;
+
+-- ============================================
+-- 2. COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN campaigns.validation_report IS 'Latest market validation report: { generatedAt, conversations, analysis } - metrics are recomputed on every request';
+COMMENT ON COLUMN campaigns.validation_report_generated_at IS 'When validation_report was generated';
@@ -0,0 +1,71 @@
+-- Migration: Call Recording Archival
+-- VAPI-hosted recording URLs can expire, so each recording is copied into
+-- the private call-recordings Storage bucket. Recordings are deleted once
+-- the owner's retention period has passed, or on request (GDPR).
+
+-- ============================================
+-- 1. PROFILES - Retention period
+-- ============================================
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS recording_retention_days INTEGER DEFAULT 365
+    CHECK (recording_retention_days IS NULL OR (recording_retention_days >= 1 AND recording_retention_days <= 3650));
+
+-- ============================================
+-- 2. CALLS - Archive state
+-- ============================================
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_storage_path TEXT;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_archive_status TEXT; -- pending, archived, failed, unavailable, deleted
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_archive_attempts INTEGER DEFAULT 0;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_archive_error TEXT;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_next_attempt_at TIMESTAMPTZ;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_size_bytes BIGINT;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_archived_at TIMESTAMPTZ;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_delete_at TIMESTAMPTZ;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_calls_recording_archive_queue ON calls(recording_next_attempt_at)
+    WHERE recording_archive_status IN ('pending', 'failed');
+CREATE INDEX IF NOT EXISTS idx_calls_recording_delete_at ON calls(recording_delete_at)
+    WHERE recording_delete_at IS NOT NULL AND recording_deleted_at IS NULL;
+
+-- Existing recordings join the archive queue
+UPDATE calls
+SET recording_archive_status = 'pending', recording_next_attempt_at = NOW()
+WHERE recording_url IS NOT NULL AND recording_archive_status IS NULL;
+
+-- ============================================
+-- 3. FUNCTIONS
+-- ============================================
+
+-- Re-date a user's recordings after their retention period changes
+-- p_days NULL keeps them indefinitely
+CREATE OR REPLACE FUNCTION apply_recording_retention(
+    p_user_id UUID,
+    p_days INTEGER
+)
+RETURNS INTEGER AS $$
+DECLARE
+    updated_count INTEGER;
+BEGIN
+    UPDATE calls
+    SET recording_delete_at = CASE
+        WHEN p_days IS NULL THEN NULL
+        ELSE COALESCE(ended_at, created_at) + make_interval(days => p_days)
+    END
+    WHERE user_id = p_user_id
+      AND recording_deleted_at IS NULL
+      AND (recording_url IS NOT NULL OR recording_storage_path IS NOT NULL);
+
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+    RETURN updated_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 4. COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN profiles.recording_retention_days IS 'Days call recordings are kept (1-3650); NULL keeps them indefinitely';
+COMMENT ON COLUMN calls.recording_storage_path IS 'Object path in the private call-recordings bucket - played back through signed URLs';
+COMMENT ON COLUMN calls.recording_archive_status IS 'pending, archived, failed (retried with backoff), unavailable (gave up) or deleted';
+COMMENT ON COLUMN calls.recording_delete_at IS 'When the retention job deletes the recording; NULL = kept indefinitely';
+COMMENT ON COLUMN calls.recording_deleted_at IS 'When the recording was deleted (retention or request) - the call row and transcript are kept';
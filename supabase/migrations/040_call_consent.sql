@@ -0,0 +1,60 @@
+-- Migration: Call Consent
+-- Outbound calls open with a recording (and, where required, AI) disclosure
+-- chosen by destination country. Every disclosure is logged against its
+-- call, and leads who ask not to be called again during a call are added to
+-- the owner's suppression list.
+
+-- ============================================
+-- 1. PROFILES - Disclosure settings
+-- ============================================
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS consent_disclosure_mode TEXT DEFAULT 'auto'
+    CHECK (consent_disclosure_mode IN ('auto', 'always'));
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS consent_disclosure_text TEXT; -- NULL = built-in wording
+
+-- ============================================
+-- 2. CALL CONSENT EVENTS
+-- ============================================
+CREATE TABLE IF NOT EXISTS call_consent_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    call_id UUID REFERENCES calls(id) ON DELETE SET NULL, -- Linked at end-of-call
+    vapi_call_id TEXT,
+    phone_number TEXT,
+
+    event_type TEXT NOT NULL CHECK (event_type IN ('disclosure', 'opt_out')),
+    country TEXT, -- Destination ISO country
+    required BOOLEAN DEFAULT false, -- Disclosure required by the destination's rules
+    basis TEXT, -- Rule the disclosure was made under
+    disclosure_text TEXT,
+    delivery TEXT, -- first_message, or not_delivered (VoIPcloud calls - nothing could be injected)
+    detected_phrase TEXT, -- What the lead said (opt_out)
+    suppression_id UUID REFERENCES suppressions(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_consent_events_user_id ON call_consent_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_call_consent_events_call_id ON call_consent_events(call_id);
+CREATE INDEX IF NOT EXISTS idx_call_consent_events_vapi_call_id ON call_consent_events(vapi_call_id);
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE call_consent_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on call_consent_events" ON call_consent_events
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Users can view own call_consent_events" ON call_consent_events
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 4. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE call_consent_events IS 'Audit log of disclosures due at the start of calls (and whether they were made) and verbal opt-outs heard during them';
+COMMENT ON COLUMN profiles.consent_disclosure_mode IS 'auto (only where the destination requires it) or always - required disclosures cannot be turned off';
+COMMENT ON COLUMN profiles.consent_disclosure_text IS 'Custom disclosure wording (must mention recording); NULL uses the built-in wording in the destination language';
+COMMENT ON COLUMN call_consent_events.delivery IS 'first_message (prepended to the call''s first message) or not_delivered (VoIPcloud routing - the disclosure was due but could not be injected or verified)';
+COMMENT ON COLUMN call_consent_events.call_id IS 'Linked from vapi_call_id when the end-of-call report arrives';
@@ -0,0 +1,28 @@
+-- Migration: Lead Sourcing
+-- scrape_jobs are now started and driven by the backend: an Apify Google
+-- Maps run that is polled until it finishes, or a Google Places search.
+-- Results are saved as leads and charged to the free tier. CSV uploads run
+-- as lead imports (042) and are not scrape jobs.
+
+-- ============================================
+-- 1. SCRAPE JOBS - Provider and progress
+-- ============================================
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS provider TEXT DEFAULT 'apify'
+    CHECK (provider IN ('apify', 'google_places'));
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS apify_dataset_id TEXT;
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS leads_reserved INTEGER DEFAULT 0; -- Free tier leads held for the job
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS duplicates_found INTEGER DEFAULT 0;
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMPTZ;
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_scrape_jobs_running ON scrape_jobs(provider, last_polled_at)
+    WHERE status = 'running';
+
+-- ============================================
+-- 2. COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN scrape_jobs.provider IS 'apify (Google Maps actor, polled) or google_places (Places API text search)';
+COMMENT ON COLUMN scrape_jobs.status IS 'running, completed, failed or cancelled';
+COMMENT ON COLUMN scrape_jobs.leads_reserved IS 'Free tier leads reserved when the job started; whatever is not saved as a new lead is refunded when it ends';
+COMMENT ON COLUMN scrape_jobs.leads_found IS 'New leads saved (duplicates of existing leads are counted in duplicates_found)';
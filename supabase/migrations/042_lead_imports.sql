@@ -0,0 +1,65 @@
+-- Migration: Lead Imports
+-- CSV and XLSX uploads are previewed, mapped to lead fields, validated
+-- (phone numbers normalized to E.164) and imported in the background, with
+-- a per-row error report. Mappings are reused for files with the same
+-- columns.
+
+-- ============================================
+-- 1. LEAD IMPORTS
+-- ============================================
+CREATE TABLE IF NOT EXISTS lead_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+
+    filename TEXT,
+    file_type TEXT NOT NULL CHECK (file_type IN ('csv', 'xlsx')),
+    status TEXT NOT NULL DEFAULT 'mapping'
+        CHECK (status IN ('mapping', 'processing', 'completed', 'failed')),
+
+    headers JSONB NOT NULL DEFAULT '[]', -- Column names in file order
+    header_signature TEXT, -- Lowercased headers, to find the mapping used for the same layout
+    rows JSONB, -- [{ row, cells }] - cleared once the import finishes
+    mapping JSONB, -- { field: column }
+    default_country TEXT, -- ISO country for numbers without a country code
+
+    total_rows INTEGER DEFAULT 0,
+    valid_rows INTEGER DEFAULT 0,
+    imported_count INTEGER DEFAULT 0,
+    duplicate_count INTEGER DEFAULT 0, -- Valid rows the user already had as leads
+    error_count INTEGER DEFAULT 0,
+    row_errors JSONB DEFAULT '[]', -- [{ row, field, value, error }]
+    error_message TEXT,
+    leads_reserved INTEGER DEFAULT 0, -- Free tier leads held while processing
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_imports_user_id ON lead_imports(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lead_imports_signature ON lead_imports(user_id, header_signature)
+    WHERE mapping IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_lead_imports_processing ON lead_imports(started_at)
+    WHERE status = 'processing';
+
+-- ============================================
+-- 2. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE lead_imports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on lead_imports" ON lead_imports
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Users can view own lead_imports" ON lead_imports
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 3. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE lead_imports IS 'Spreadsheet lead uploads: column preview, saved mapping, background import and per-row error report';
+COMMENT ON COLUMN lead_imports.status IS 'mapping (uploaded, waiting for a column mapping), processing, completed or failed';
+COMMENT ON COLUMN lead_imports.rows IS 'Parsed data rows with their spreadsheet row numbers; cleared when the import finishes';
+COMMENT ON COLUMN lead_imports.row_errors IS 'Rows that were not imported and why - validation errors, repeats within the file, free tier limit';
@@ -0,0 +1,190 @@
+-- Migration: Lead Deduplication
+-- The same business can be saved as several leads (scraped, imported,
+-- generated - each with its own place_id). Likely duplicates are matched on
+-- phone, email domain, website host and name+address and queued for review;
+-- merging keeps one lead, moves the others' calls, scheduled calls,
+-- enrollments and email history onto it and deletes them.
+
+-- ============================================
+-- 1. LEAD DUPLICATES - Review queue
+-- ============================================
+CREATE TABLE IF NOT EXISTS lead_duplicates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE, -- Suggested survivor
+    duplicate_lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+
+    confidence NUMERIC(4,3) NOT NULL,
+    reasons JSONB NOT NULL DEFAULT '[]', -- [{ type: phone|email_domain|website|name_address, value }]
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'dismissed')),
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ,
+
+    CHECK (lead_id <> duplicate_lead_id)
+);
+
+-- One row per pair, whichever way round it was found
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lead_duplicates_pair
+    ON lead_duplicates(LEAST(lead_id, duplicate_lead_id), GREATEST(lead_id, duplicate_lead_id));
+CREATE INDEX IF NOT EXISTS idx_lead_duplicates_queue ON lead_duplicates(user_id, confidence DESC)
+    WHERE status = 'pending';
+
+-- ============================================
+-- 2. LEAD MERGES - Audit log
+-- ============================================
+CREATE TABLE IF NOT EXISTS lead_merges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    surviving_lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+    merged_lead_ids UUID[] NOT NULL,
+    merged_leads JSONB NOT NULL, -- The deleted lead rows as they were
+    applied_updates JSONB DEFAULT '{}', -- Fields copied onto the survivor
+    repointed JSONB DEFAULT '{}', -- { table: rows moved }
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_merges_user_id ON lead_merges(user_id, created_at DESC);
+
+-- ============================================
+-- 3. MERGE FUNCTION
+-- ============================================
+
+-- Merge leads into a survivor in one transaction
+CREATE OR REPLACE FUNCTION merge_leads(
+    p_user_id UUID,
+    p_surviving_lead_id UUID,
+    p_merged_lead_ids UUID[],
+    p_updates JSONB DEFAULT '{}'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_all_ids UUID[] := p_merged_lead_ids || p_surviving_lead_id;
+    v_found INTEGER;
+    v_count INTEGER;
+    v_table TEXT;
+    v_repointed JSONB := '{}';
+    v_merged_leads JSONB;
+BEGIN
+    IF p_surviving_lead_id = ANY(p_merged_lead_ids) THEN
+        RAISE EXCEPTION 'A lead cannot be merged into itself';
+    END IF;
+
+    PERFORM 1 FROM leads WHERE id = ANY(v_all_ids) FOR UPDATE;
+
+    SELECT COUNT(*) INTO v_found FROM leads WHERE id = ANY(v_all_ids) AND user_id = p_user_id;
+
+    IF v_found <> cardinality(v_all_ids) THEN
+        RAISE EXCEPTION 'Leads not found';
+    END IF;
+
+    SELECT jsonb_agg(to_jsonb(l)) INTO v_merged_leads FROM leads l WHERE l.id = ANY(p_merged_lead_ids);
+
+    -- History that simply moves to the survivor
+    FOREACH v_table IN ARRAY ARRAY[
+        'calls', 'scheduled_calls', 'email_responses', 'email_tracking_events', 'workflow_action_log',
+        'sms_messages', 'meetings', 'call_transfers', 'dnc_screenings', 'call_insights'
+    ] LOOP
+        EXECUTE format('UPDATE %I SET lead_id = $1 WHERE lead_id = ANY($2)', v_table)
+            USING p_surviving_lead_id, p_merged_lead_ids;
+        GET DIAGNOSTICS v_count = ROW_COUNT;
+        v_repointed := v_repointed || jsonb_build_object(v_table, v_count);
+    END LOOP;
+
+    -- A lead can only be enrolled once per sequence/workflow: where several of
+    -- the leads are, keep the enrollment that got furthest
+    DELETE FROM email_sequence_enrollments e
+    USING (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY sequence_id
+            ORDER BY current_step DESC, (lead_id = p_surviving_lead_id) DESC, created_at
+        ) AS rank
+        FROM email_sequence_enrollments
+        WHERE lead_id = ANY(v_all_ids)
+    ) ranked
+    WHERE e.id = ranked.id AND ranked.rank > 1;
+
+    UPDATE email_sequence_enrollments SET lead_id = p_surviving_lead_id, updated_at = NOW()
+    WHERE lead_id = ANY(p_merged_lead_ids);
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    v_repointed := v_repointed || jsonb_build_object('email_sequence_enrollments', v_count);
+
+    DELETE FROM workflow_enrollments e
+    USING (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY workflow_id
+            ORDER BY current_step DESC, (lead_id = p_surviving_lead_id) DESC, created_at
+        ) AS rank
+        FROM workflow_enrollments
+        WHERE lead_id = ANY(v_all_ids)
+    ) ranked
+    WHERE e.id = ranked.id AND ranked.rank > 1;
+
+    UPDATE workflow_enrollments SET lead_id = p_surviving_lead_id, updated_at = NOW()
+    WHERE lead_id = ANY(p_merged_lead_ids);
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    v_repointed := v_repointed || jsonb_build_object('workflow_enrollments', v_count);
+
+    -- Fields worked out by the API (blanks filled, counts added up); absent keys keep the survivor's value
+    UPDATE leads l SET
+        phone = COALESCE(u.phone, l.phone),
+        phone_e164 = COALESCE(u.phone_e164, l.phone_e164),
+        email = COALESCE(u.email, l.email),
+        address = COALESCE(u.address, l.address),
+        city = COALESCE(u.city, l.city),
+        website = COALESCE(u.website, l.website),
+        rating = COALESCE(u.rating, l.rating),
+        review_count = COALESCE(u.review_count, l.review_count),
+        category = COALESCE(u.category, l.category),
+        google_maps_url = COALESCE(u.google_maps_url, l.google_maps_url),
+        latitude = COALESCE(u.latitude, l.latitude),
+        longitude = COALESCE(u.longitude, l.longitude),
+        timezone = COALESCE(u.timezone, l.timezone),
+        qualified_at = COALESCE(u.qualified_at, l.qualified_at),
+        status = COALESCE(u.status, l.status),
+        call_count = COALESCE(u.call_count, l.call_count),
+        last_called_at = COALESCE(u.last_called_at, l.last_called_at),
+        lead_score = COALESCE(u.lead_score, l.lead_score),
+        tags = COALESCE(u.tags, l.tags),
+        notes = COALESCE(u.notes, l.notes),
+        updated_at = NOW()
+    FROM jsonb_populate_record(NULL::leads, p_updates) u
+    WHERE l.id = p_surviving_lead_id;
+
+    INSERT INTO lead_merges (user_id, surviving_lead_id, merged_lead_ids, merged_leads, applied_updates, repointed)
+    VALUES (p_user_id, p_surviving_lead_id, p_merged_lead_ids, v_merged_leads, p_updates, v_repointed);
+
+    -- Review queue rows of the merged leads cascade
+    DELETE FROM leads WHERE id = ANY(p_merged_lead_ids);
+
+    RETURN v_repointed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE lead_duplicates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lead_merges ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on lead_duplicates" ON lead_duplicates
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Users can view own lead_duplicates" ON lead_duplicates
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access on lead_merges" ON lead_merges
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Users can view own lead_merges" ON lead_merges
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 5. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE lead_duplicates IS 'Likely duplicate lead pairs waiting for review (pending) or dismissed (not suggested again); merged pairs are removed with the merged lead and recorded in lead_merges';
+COMMENT ON COLUMN lead_duplicates.lead_id IS 'Suggested lead to keep - the one with more call/email history, then the oldest';
+COMMENT ON COLUMN lead_duplicates.confidence IS '0-1, combining the matched signals in reasons';
+COMMENT ON TABLE lead_merges IS 'Merges performed, with a copy of every deleted lead and how many history rows moved to the survivor';
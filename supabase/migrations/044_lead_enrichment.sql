@@ -0,0 +1,79 @@
+-- Migration: Lead Enrichment
+-- A lead's website is read for contact names, email addresses, services
+-- offered and social profiles. The result is kept per lead and added to the
+-- email personalization prompt and the AI call context.
+
+-- ============================================
+-- 1. LEAD ENRICHMENT - One record per lead
+-- ============================================
+CREATE TABLE IF NOT EXISTS lead_enrichment (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    lead_id UUID NOT NULL UNIQUE REFERENCES leads(id) ON DELETE CASCADE,
+
+    website TEXT NOT NULL, -- leads.website when it was read; a changed website is read again
+    status TEXT NOT NULL CHECK (status IN ('completed', 'failed')),
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+
+    final_url TEXT, -- Where the homepage redirects ended
+    pages_fetched TEXT[] DEFAULT '{}',
+    contact_names JSONB DEFAULT '[]', -- [{ name, role }]
+    emails TEXT[] DEFAULT '{}',
+    services TEXT[] DEFAULT '{}',
+    social_links JSONB DEFAULT '{}', -- { facebook, instagram, linkedin, twitter, tiktok, youtube }
+    description TEXT,
+
+    fetched_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_enrichment_user_id ON lead_enrichment(user_id);
+CREATE INDEX IF NOT EXISTS idx_lead_enrichment_retry ON lead_enrichment(updated_at)
+    WHERE status = 'failed';
+
+-- ============================================
+-- 2. ENRICHMENT QUEUE
+-- ============================================
+
+-- Leads with a website that was never read, has changed, or failed and is due a retry
+CREATE OR REPLACE FUNCTION get_leads_to_enrich(
+    p_limit INTEGER,
+    p_max_attempts INTEGER,
+    p_retry_before TIMESTAMPTZ
+)
+RETURNS TABLE (id UUID, user_id UUID, website TEXT) AS $$
+    SELECT l.id, l.user_id, l.website
+    FROM leads l
+    LEFT JOIN lead_enrichment e ON e.lead_id = l.id
+    WHERE l.website IS NOT NULL
+      AND btrim(l.website) <> ''
+      AND (
+          e.id IS NULL
+          OR e.website <> l.website
+          OR (e.status = 'failed' AND e.attempts < p_max_attempts AND e.updated_at < p_retry_before)
+      )
+    ORDER BY e.id IS NOT NULL, l.created_at DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE lead_enrichment ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on lead_enrichment" ON lead_enrichment
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Users can view own lead_enrichment" ON lead_enrichment
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================
+-- 4. COMMENTS
+-- ============================================
+
+COMMENT ON TABLE lead_enrichment IS 'What was found on each lead''s website (homepage plus contact/about/services pages), used for email personalization and call context';
+COMMENT ON COLUMN lead_enrichment.attempts IS 'Reads of the current website; failed reads are retried daily up to MAX_ENRICHMENT_ATTEMPTS';
+COMMENT ON COLUMN lead_enrichment.emails IS 'Addresses on the website''s own domain first';
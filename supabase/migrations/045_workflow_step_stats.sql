@@ -0,0 +1,23 @@
+-- Migration: Workflow Step Stats
+-- Counters on workflow_steps are incremented in the database, like
+-- increment_workflow_stats does for outreach_workflows.
+
+-- ============================================
+-- 1. STEP STATS FUNCTION
+-- ============================================
+
+-- Function to increment workflow step stats (executed, emails_sent, calls_made, sms_sent)
+CREATE OR REPLACE FUNCTION increment_workflow_step_stats(
+    p_step_id UUID,
+    p_stat_name TEXT,
+    p_increment INTEGER DEFAULT 1
+)
+RETURNS VOID AS $$
+BEGIN
+    EXECUTE format(
+        'UPDATE workflow_steps SET %I = COALESCE(%I, 0) + $1, updated_at = NOW() WHERE id = $2',
+        p_stat_name, p_stat_name
+    )
+    USING p_increment, p_step_id;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,147 @@
+-- Migration: Lead Merge - Campaigns and Enrichment
+-- merge_leads also moves what 043 missed: merged ids in campaigns.lead_ids
+-- (campaign enrollment reads them) are replaced by the survivor, and the best
+-- lead_enrichment row is kept on the survivor instead of cascading away.
+
+-- ============================================
+-- 1. MERGE FUNCTION
+-- ============================================
+
+-- Merge leads into a survivor in one transaction
+CREATE OR REPLACE FUNCTION merge_leads(
+    p_user_id UUID,
+    p_surviving_lead_id UUID,
+    p_merged_lead_ids UUID[],
+    p_updates JSONB DEFAULT '{}'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_all_ids UUID[] := p_merged_lead_ids || p_surviving_lead_id;
+    v_found INTEGER;
+    v_count INTEGER;
+    v_table TEXT;
+    v_repointed JSONB := '{}';
+    v_merged_leads JSONB;
+BEGIN
+    IF p_surviving_lead_id = ANY(p_merged_lead_ids) THEN
+        RAISE EXCEPTION 'A lead cannot be merged into itself';
+    END IF;
+
+    PERFORM 1 FROM leads WHERE id = ANY(v_all_ids) FOR UPDATE;
+
+    SELECT COUNT(*) INTO v_found FROM leads WHERE id = ANY(v_all_ids) AND user_id = p_user_id;
+
+    IF v_found <> cardinality(v_all_ids) THEN
+        RAISE EXCEPTION 'Leads not found';
+    END IF;
+
+    SELECT jsonb_agg(to_jsonb(l)) INTO v_merged_leads FROM leads l WHERE l.id = ANY(p_merged_lead_ids);
+
+    -- History that simply moves to the survivor
+    FOREACH v_table IN ARRAY ARRAY[
+        'calls', 'scheduled_calls', 'email_responses', 'email_tracking_events', 'workflow_action_log',
+        'sms_messages', 'meetings', 'call_transfers', 'dnc_screenings', 'call_insights'
+    ] LOOP
+        EXECUTE format('UPDATE %I SET lead_id = $1 WHERE lead_id = ANY($2)', v_table)
+            USING p_surviving_lead_id, p_merged_lead_ids;
+        GET DIAGNOSTICS v_count = ROW_COUNT;
+        v_repointed := v_repointed || jsonb_build_object(v_table, v_count);
+    END LOOP;
+
+    -- A lead can only be enrolled once per sequence/workflow: where several of
+    -- the leads are, keep the enrollment that got furthest
+    DELETE FROM email_sequence_enrollments e
+    USING (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY sequence_id
+            ORDER BY current_step DESC, (lead_id = p_surviving_lead_id) DESC, created_at
+        ) AS rank
+        FROM email_sequence_enrollments
+        WHERE lead_id = ANY(v_all_ids)
+    ) ranked
+    WHERE e.id = ranked.id AND ranked.rank > 1;
+
+    UPDATE email_sequence_enrollments SET lead_id = p_surviving_lead_id, updated_at = NOW()
+    WHERE lead_id = ANY(p_merged_lead_ids);
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    v_repointed := v_repointed || jsonb_build_object('email_sequence_enrollments', v_count);
+
+    DELETE FROM workflow_enrollments e
+    USING (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY workflow_id
+            ORDER BY current_step DESC, (lead_id = p_surviving_lead_id) DESC, created_at
+        ) AS rank
+        FROM workflow_enrollments
+        WHERE lead_id = ANY(v_all_ids)
+    ) ranked
+    WHERE e.id = ranked.id AND ranked.rank > 1;
+
+    UPDATE workflow_enrollments SET lead_id = p_surviving_lead_id, updated_at = NOW()
+    WHERE lead_id = ANY(p_merged_lead_ids);
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    v_repointed := v_repointed || jsonb_build_object('workflow_enrollments', v_count);
+
+    -- Campaign lead lists hold ids, not foreign keys: swap in the survivor, keeping
+    -- each id once at its first position
+    UPDATE campaigns c SET lead_ids = ARRAY(
+        SELECT CASE WHEN x.id = ANY(p_merged_lead_ids) THEN p_surviving_lead_id ELSE x.id END
+        FROM unnest(c.lead_ids) WITH ORDINALITY AS x(id, ord)
+        GROUP BY 1
+        ORDER BY MIN(x.ord)
+    )
+    WHERE c.user_id = p_user_id AND c.lead_ids && p_merged_lead_ids;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    v_repointed := v_repointed || jsonb_build_object('campaigns', v_count);
+
+    -- One enrichment per lead: keep a completed read over a failed one, then the survivor's, then the newest
+    DELETE FROM lead_enrichment e
+    USING (
+        SELECT id, ROW_NUMBER() OVER (
+            ORDER BY (status = 'completed') DESC, (lead_id = p_surviving_lead_id) DESC, fetched_at DESC NULLS LAST
+        ) AS rank
+        FROM lead_enrichment
+        WHERE lead_id = ANY(v_all_ids)
+    ) ranked
+    WHERE e.id = ranked.id AND ranked.rank > 1;
+
+    UPDATE lead_enrichment SET lead_id = p_surviving_lead_id, updated_at = NOW()
+    WHERE lead_id = ANY(p_merged_lead_ids);
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    v_repointed := v_repointed || jsonb_build_object('lead_enrichment', v_count);
+
+    -- Fields worked out by the API (blanks filled, counts added up); absent keys keep the survivor's value
+    UPDATE leads l SET
+        phone = COALESCE(u.phone, l.phone),
+        phone_e164 = COALESCE(u.phone_e164, l.phone_e164),
+        email = COALESCE(u.email, l.email),
+        address = COALESCE(u.address, l.address),
+        city = COALESCE(u.city, l.city),
+        website = COALESCE(u.website, l.website),
+        rating = COALESCE(u.rating, l.rating),
+        review_count = COALESCE(u.review_count, l.review_count),
+        category = COALESCE(u.category, l.category),
+        google_maps_url = COALESCE(u.google_maps_url, l.google_maps_url),
+        latitude = COALESCE(u.latitude, l.latitude),
+        longitude = COALESCE(u.longitude, l.longitude),
+        timezone = COALESCE(u.timezone, l.timezone),
+        qualified_at = COALESCE(u.qualified_at, l.qualified_at),
+        status = COALESCE(u.status, l.status),
+        call_count = COALESCE(u.call_count, l.call_count),
+        last_called_at = COALESCE(u.last_called_at, l.last_called_at),
+        lead_score = COALESCE(u.lead_score, l.lead_score),
+        tags = COALESCE(u.tags, l.tags),
+        notes = COALESCE(u.notes, l.notes),
+        updated_at = NOW()
+    FROM jsonb_populate_record(NULL::leads, p_updates) u
+    WHERE l.id = p_surviving_lead_id;
+
+    INSERT INTO lead_merges (user_id, surviving_lead_id, merged_lead_ids, merged_leads, applied_updates, repointed)
+    VALUES (p_user_id, p_surviving_lead_id, p_merged_lead_ids, v_merged_leads, p_updates, v_repointed);
+
+    -- Review queue rows of the merged leads cascade
+    DELETE FROM leads WHERE id = ANY(p_merged_lead_ids);
+
+    RETURN v_repointed;
+END;
+$$ LANGUAGE plpgsql;
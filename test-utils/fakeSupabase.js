@@ -0,0 +1,75 @@
+/**
+ * Fake Supabase client for service tests
+ * Records every query and RPC call and answers them from a handler. Like
+ * supabase-js v2, query builders and rpc() are thenables without .catch().
+ *
+ * Usage:
+ *   const supabase = createFakeSupabase(query => query.table === 'leads' ? { data: [] } : {});
+ *   jest.unstable_mockModule('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+ *   const { myFunction } = await import('../services/myService.js');
+ */
+
+const CHAIN_METHODS = [
+    'select', 'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'not', 'like', 'ilike', 'or',
+    'match', 'contains', 'filter', 'order', 'limit', 'range', 'single', 'maybeSingle', 'returns',
+];
+
+/**
+ * @param {Function} respond - (query) => { data, error, count }; query is
+ *   { table, action, values, filters, modifiers, rpc, args }
+ */
+export function createFakeSupabase(respond = () => ({})) {
+    const calls = [];
+
+    const resolve = query => {
+        calls.push(query);
+        const result = respond(query) || {};
+        return { data: result.data ?? null, error: result.error ?? null, count: result.count ?? null };
+    };
+
+    const builder = query => {
+        const chain = {
+            then(onFulfilled, onRejected) {
+                return Promise.resolve().then(() => resolve(query)).then(onFulfilled, onRejected);
+            },
+        };
+
+        for (const method of CHAIN_METHODS) {
+            chain[method] = (...args) => {
+                if (method === 'select' && query.action === null) query.action = 'select';
+                if (['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'not', 'like', 'ilike'].includes(method)) {
+                    query.filters.push([method, ...args]);
+                } else {
+                    query.modifiers.push([method, ...args]);
+                }
+                return chain;
+            };
+        }
+
+        for (const action of ['insert', 'update', 'upsert', 'delete']) {
+            chain[action] = (values, options) => {
+                query.action = action;
+                query.values = values;
+                query.options = options;
+                return chain;
+            };
+        }
+
+        return chain;
+    };
+
+    const newQuery = fields => ({ action: null, values: null, filters: [], modifiers: [], ...fields });
+
+    return {
+        calls,
+        from: table => builder(newQuery({ table })),
+        rpc: (rpc, args) => builder(newQuery({ rpc, args, action: 'rpc' })),
+    };
+}
+
+/**
+ * Value of an eq() filter on a recorded query
+ */
+export function getFilter(query, column) {
+    return query.filters.find(([op, col]) => op === 'eq' && col === column)?.[2];
+}
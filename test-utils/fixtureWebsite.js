@@ -0,0 +1,109 @@
+/**
+ * Fixture website for lead enrichment tests
+ * A small dental practice site: homepage plus contact, about and services
+ * pages, and a few routes for redirect, content-type and timeout handling.
+ */
+
+import http from 'http';
+
+export const HOME_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+    <title>Bright Smile Dental | Dublin</title>
+    <meta name="description" content="Family dental practice in Dublin 2 since 1998.">
+    <script type="application/ld+json">
+        { "@context": "https://schema.org", "@type": "Dentist", "name": "Bright Smile Dental",
+          "founder": { "@type": "Person", "name": "Aoife Byrne" },
+          "sameAs": ["https://www.linkedin.com/company/bright-smile-dental"] }
+    </script>
+    <script>var tracking = "noreply@tracker.io";</script>
+</head>
+<body>
+    <nav><ul><li><a href="/">Home</a></li><li><a href="/our-services">Services</a></li>
+        <li><a href="/about-us">About Us</a></li><li><a href="/contact">Contact</a></li></ul></nav>
+    <h1>Welcome to Bright Smile Dental</h1>
+    <h2>Our Services</h2>
+    <ul>
+        <li>Teeth Whitening</li>
+        <li>Dental Implants</li>
+        <li><a href="/invisalign">Invisalign &amp; Clear Aligners</a></li>
+    </ul>
+    <h2>Opening Hours</h2>
+    <ul><li>Mon-Fri 9am-6pm</li></ul>
+    <footer>
+        <a href="https://www.facebook.com/brightsmiledublin">Facebook</a>
+        <a href="https://instagram.com/brightsmile_dub/?hl=en">Instagram</a>
+        <a href="https://www.facebook.com/sharer/sharer.php?u=https://brightsmile.ie">Share</a>
+        <img src="/logo@2x.png">
+    </footer>
+</body>
+</html>`;
+
+export const CONTACT_PAGE = `<html><body>
+    <h1>Contact Us</h1>
+    <p>Email <a href="mailto:reception@brightsmile.ie?subject=Appointment">reception@brightsmile.ie</a></p>
+    <p>Accounts: accounts [at] brightsmile [dot] ie</p>
+    <p>Practice Manager: Tom Kelly</p>
+    <p>Or reach our booking partner at bookings@dentalbooker.com</p>
+</body></html>`;
+
+export const ABOUT_PAGE = `<html><body>
+    <h1>Meet the Team</h1>
+    <h3>Dr. Aoife Byrne, Principal Dentist</h3>
+    <p>Meet Siobhan O'Neill, our hygienist. Call us to book.</p>
+    <h3>Sinéad Murphy - owner</h3>
+</body></html>`;
+
+export const SERVICES_PAGE = `<html><body>
+    <h2>Treatments</h2>
+    <div><h3>Root Canal Treatment</h3><p>Pain-free.</p><h3>Dental Implants</h3></div>
+    <h2>Contact</h2>
+    <ul><li>Call today</li></ul>
+</body></html>`;
+
+/**
+ * Serve the fixture website on a random local port
+ * @returns {Promise<Object>} - { baseUrl, requested, close } - requested lists the paths asked for
+ */
+export async function startFixtureWebsite() {
+    const requested = [];
+    const server = http.createServer((req, res) => {
+        requested.push(req.url);
+        const html = body => {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(body);
+        };
+
+        switch (req.url) {
+            case '/': return html(HOME_PAGE);
+            case '/contact': return html(CONTACT_PAGE);
+            case '/about-us': return html(ABOUT_PAGE);
+            case '/our-services': return html(SERVICES_PAGE);
+            case '/old-site':
+                res.writeHead(301, { Location: '/' });
+                return res.end();
+            case '/loop':
+                res.writeHead(302, { Location: '/loop' });
+                return res.end();
+            case '/brochure.pdf':
+                res.writeHead(200, { 'Content-Type': 'application/pdf' });
+                return res.end('%PDF-1.4');
+            case '/slow':
+                setTimeout(() => html('<p>Too late</p>'), 500);
+                return undefined;
+            case '/broken':
+                return html(HOME_PAGE.replace('href="/contact"', 'href="/missing-contact"'));
+            default:
+                res.writeHead(404, { 'Content-Type': 'text/html' });
+                return res.end('<h1>Not found</h1>');
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requested,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}